@@ -8,7 +8,160 @@
 // NOTE: Change this secret key in production for security
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// How long an access token (JWT) lasts; clients swap their refresh token for a new one when it runs out
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Days a session can go unused before its refresh token expires (each refresh starts the count again)
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Why a session was ended early: the user logged out, changed or reset their password,
+// a refresh token that had already been used came back (someone else has a copy),
+// or two-factor authentication was turned on (other devices must sign in with a code)
+const SESSION_REVOKE_REASONS = ['logout', 'password_change', 'password_reset', 'token_reuse', 'two_factor_enabled'];
+
+// Order lifecycle statuses shown on the user and admin dashboards
+// awaiting_payment orders wait for their card payment to be authorized before they become pending;
+// partially_returned and returned are set by the returns workflow when a return is refunded
+const ORDER_STATUSES = [
+  'awaiting_payment', 'pending', 'processing', 'shipped', 'delivered', 'cancelled', 'partially_returned', 'returned'
+];
+
+// Statuses an admin can move an order to from each status; orders can only be cancelled before they ship,
+// and delivered or cancelled orders are final (returns change them through the returns workflow instead).
+// awaiting_payment orders become pending once their payment is authorized (see utils/payments)
+const ORDER_TRANSITIONS = {
+  awaiting_payment: ['cancelled'],
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+  partially_returned: [],
+  returned: []
+};
+
+// Return request (RMA) statuses: the customer ships an approved return back (in_transit),
+// the store receives it (stock goes back) and then refunds it
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'in_transit', 'received', 'refunded'];
+
+// Statuses a return can move to from each status; approved returns handed in at the store skip in_transit
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['in_transit', 'received'],
+  in_transit: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+// Reasons a customer can give for a return
+const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other'];
+
+// Reasons that are the store's fault: returning everything left on the order also refunds its delivery fee
+const STORE_FAULT_RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described'];
+
+// Days after delivery a customer can ask to return items
+const RETURN_WINDOW_DAYS = 30;
+
+// Notification types the frontend knows how to display (each has its own icon)
+const NOTIFICATION_TYPES = ['order', 'shipped', 'delivered', 'cancelled', 'return', 'discount', 'price', 'info', 'admin', 'welcome'];
+
+// Store recommendation factors and their default weights (users can save their own in their profile)
+// price: item price, total: price plus delivery, eta: delivery time, rating: store rating
+const DEFAULT_SCORING_WEIGHTS = { price: 40, total: 30, eta: 15, rating: 15 };
+
+// Price history summary windows in days (min/max/average are reported for each)
+const PRICE_HISTORY_WINDOWS = [30, 90, 365];
+
+// A price alert stays quiet this long after it fires, unless the price drops below the last alerted price
+const PRICE_ALERT_COOLDOWN_HOURS = 24;
+
+// How long stock stays held for a shopper while the checkout modal is open
+const STOCK_RESERVATION_MINUTES = 10;
+
+// Promo code kinds: percentage off, fixed amount off, or the store's delivery fee waived
+const COUPON_TYPES = ['percent', 'fixed', 'free_delivery'];
+
+// Payment methods offered at checkout: cash on delivery, or a card charged through the payment provider
+const PAYMENT_METHODS = ['cod', 'card'];
+
+// Card payment statuses: created intents wait for the card details (requires_confirmation) and, for 3-D Secure
+// cards, the bank challenge (requires_action); authorized amounts are captured when the order ships
+const PAYMENT_STATUSES = [
+  'requires_confirmation', 'requires_action', 'authorized', 'captured', 'partially_refunded', 'refunded', 'failed', 'cancelled'
+];
+
+// Payment provider that charges cards ('mock' is the local test gateway in utils/mockPaymentGateway)
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+
+// Secret the payment provider signs its webhook callbacks with
+// NOTE: Change this secret in production for security
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'your-webhook-secret-change-in-production';
+
+// Minutes a card order waits for its payment before the order is released
+const PAYMENT_TIMEOUT_MINUTES = 30;
+
+// How long an email verification link works, and how long to wait before another one can be sent
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+
+// Two-factor authentication: how long the second login step may take, and how many recovery codes are issued
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_RECOVERY_CODES = 10;
+
+// Brute-force protection (see utils/throttle): failed attempts allowed per IP address and per account before each
+// further attempt has to wait, doubling from the base delay up to the maximum; failures are forgotten after the window
+const THROTTLE_FREE_ATTEMPTS = { ip: 20, account: 5 };
+const THROTTLE_BASE_DELAY_SECONDS = 2;
+const THROTTLE_MAX_DELAY_SECONDS = 15 * 60;
+const THROTTLE_WINDOW_MINUTES = 60;
+
+// Failed logins that lock an account, and for how long (admins can unlock it sooner, and resetting the password does too)
+const ACCOUNT_LOCKOUT_ATTEMPTS = 10;
+const ACCOUNT_LOCKOUT_MINUTES = 30;
+
+// App-wide settings admins can change, with the values used until they do
+const SETTING_DEFAULTS = {
+  requireAdminTwoFactor: false // Admins must have two-factor authentication turned on to use the admin pages
+};
+
+// Currency every exchange rate is quoted against; prices in other currencies are converted to it before stores are compared
+const BASE_CURRENCY = 'USD';
+
 // Export constants for use throughout the application
 module.exports = {
-  JWT_SECRET
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_REVOKE_REASONS,
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  RETURN_REASONS,
+  STORE_FAULT_RETURN_REASONS,
+  RETURN_WINDOW_DAYS,
+  NOTIFICATION_TYPES,
+  DEFAULT_SCORING_WEIGHTS,
+  PRICE_HISTORY_WINDOWS,
+  PRICE_ALERT_COOLDOWN_HOURS,
+  STOCK_RESERVATION_MINUTES,
+  COUPON_TYPES,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  PAYMENT_PROVIDER,
+  PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_TIMEOUT_MINUTES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  TWO_FACTOR_CHALLENGE_TTL,
+  TWO_FACTOR_RECOVERY_CODES,
+  THROTTLE_FREE_ATTEMPTS,
+  THROTTLE_BASE_DELAY_SECONDS,
+  THROTTLE_MAX_DELAY_SECONDS,
+  THROTTLE_WINDOW_MINUTES,
+  ACCOUNT_LOCKOUT_ATTEMPTS,
+  ACCOUNT_LOCKOUT_MINUTES,
+  SETTING_DEFAULTS,
+  BASE_CURRENCY
 };
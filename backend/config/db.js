@@ -1,40 +1,19 @@
 /**
  * Database configuration file
- * Initializes Sequelize ORM connection to PostgreSQL database
+ * Initializes the Sequelize ORM connection (PostgreSQL or SQLite)
+ * Connection settings come from the environment; see config/database.js
  */
 
 const { Sequelize } = require('sequelize');
 require('dotenv').config();
+const { getDatabaseConfig } = require('./database');
 
 /**
- * Create Sequelize instance with database credentials
- * Database: cleancart
- * User: postgres
- * Password: aagaman
- * Host: localhost
- * Dialect: PostgreSQL
+ * Create Sequelize instance from the resolved settings
+ * Connecting is deferred until the first query (the server checks it on startup)
  */
-const sequelize = new Sequelize('cleancart', 'postgres', 'aagaman', {
-  host: 'localhost',
-  dialect: 'postgres',
-  logging: false, // Set to console.log to see SQL queries in console
-});
-
-/**
- * Test database connection on startup
- * Verifies that PostgreSQL is running and credentials are correct
- */
-const testConnection = async () => {
-  try {
-    await sequelize.authenticate();
-    console.log('✅ Database connection established successfully.');
-  } catch (error) {
-    console.error('❌ Unable to connect to the database:', error);
-  }
-};
-
-// Run connection test
-testConnection();
+const { url, options } = getDatabaseConfig();
+const sequelize = url ? new Sequelize(url, options) : new Sequelize(options);
 
 // Export sequelize instance for use in models and controllers
 module.exports = sequelize;
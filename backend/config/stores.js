@@ -0,0 +1,36 @@
+/**
+ * Default store definitions, with each store's delivery rule
+ * Inserted by the default-stores seeder (npm run seed); afterwards stores are managed
+ * by admins through /api/admin/stores
+ */
+
+const DEFAULT_STORES = [
+  {
+    id: 'techmart',
+    name: 'TechMart',
+    logo: '🛍️',
+    delivery: { flatFee: 3.99, perItemFee: 0, freeOver: 50 },
+    eta: '2-4 days',
+    rating: 4.6
+  },
+  {
+    id: 'gearhub',
+    name: 'GearHub',
+    logo: '⚡',
+    delivery: { flatFee: 2.49, perItemFee: 0.5, freeOver: null },
+    eta: 'Next day',
+    rating: 4.4
+  },
+  {
+    id: 'proshop',
+    name: 'ProShop',
+    logo: '💼',
+    delivery: { flatFee: 4.5, perItemFee: 0, freeOver: 75 },
+    eta: '3-5 days',
+    rating: 4.7
+  }
+];
+
+module.exports = {
+  DEFAULT_STORES
+};
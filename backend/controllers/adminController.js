@@ -5,6 +5,8 @@
  */
 
 const User = require('../models/User');
+const { isLocked, unlockAccount } = require('../utils/accountLockout');
+const { revokeUserSessions } = require('../utils/sessions');
 
 /**
  * Get all users from database
@@ -17,7 +19,7 @@ exports.getAllUsers = async (req, res) => {
   try {
     // Fetch all users but exclude password field for security
     const users = await User.findAll({
-      attributes: ['id', 'name', 'email', 'profilePicture', 'createdAt', 'updatedAt']
+      attributes: ['id', 'name', 'email', 'profilePicture', 'verifiedAt', 'lockedUntil', 'createdAt', 'updatedAt']
     });
     
     res.status(200).json({ users });
@@ -43,7 +45,7 @@ exports.getUserById = async (req, res) => {
     
     // Find user by primary key, excluding password
     const user = await User.findByPk(id, {
-      attributes: ['id', 'name', 'email', 'profilePicture', 'createdAt', 'updatedAt']
+      attributes: ['id', 'name', 'email', 'profilePicture', 'verifiedAt', 'lockedUntil', 'createdAt', 'updatedAt']
     });
 
     // Check if user exists
@@ -69,7 +71,7 @@ exports.getUserById = async (req, res) => {
  * Request body (all optional):
  * - name: Updated name
  * - email: Updated email (must be unique)
- * - password: New password
+ * - password: New password (signs the user out everywhere and lifts any lockout)
  * - profilePicture: Updated profile picture
  * 
  * Returns: Updated user object
@@ -93,6 +95,8 @@ exports.updateUser = async (req, res) => {
         return res.status(400).json({ error: 'Email already in use by another user' });
       }
       user.email = email;
+      // The user hasn't shown they own the new address yet
+      user.verifiedAt = null;
     }
 
     // Update name if provided and not empty
@@ -106,6 +110,8 @@ exports.updateUser = async (req, res) => {
         return res.status(400).json({ error: 'Password must be at least 6 characters long' });
       }
       user.password = password; // Will be hashed by model hook
+      // The new password is the one to sign in with, so lift any lockout from guesses at the old one
+      await unlockAccount(user, { save: false });
     }
 
     // Update profile picture (can be cleared with empty string)
@@ -116,6 +122,11 @@ exports.updateUser = async (req, res) => {
     // Save changes to database
     await user.save();
 
+    // Whoever had the old password may still be signed in
+    if (password) {
+      await revokeUserSessions(user.id, 'password_reset');
+    }
+
     // Return updated user data
     res.status(200).json({
       message: 'User updated successfully',
@@ -123,7 +134,8 @@ exports.updateUser = async (req, res) => {
         id: user.id,
         name: user.name,
         email: user.email,
-        profilePicture: user.profilePicture || null
+        profilePicture: user.profilePicture || null,
+        verifiedAt: user.verifiedAt || null
       }
     });
   } catch (error) {
@@ -169,3 +181,35 @@ exports.deleteUser = async (req, res) => {
     res.status(500).json({ error: 'Failed to delete user' });
   }
 };
+
+/**
+ * Unlock an account locked by failed logins
+ * POST /api/admin/users/:id/unlock
+ * Requires: Admin authentication
+ *
+ * URL params:
+ * - id: User ID to unlock
+ *
+ * Returns: Success message
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!isLocked(user)) {
+      return res.status(400).json({ error: 'This account is not locked' });
+    }
+
+    // Also forgets the failed logins, so the user gets a fresh set of attempts
+    await unlockAccount(user);
+
+    res.status(200).json({ message: `${user.email} has been unlocked` });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+};
@@ -0,0 +1,247 @@
+/**
+ * Price Alert Controller
+ * Handles the signed-in user's watchlist of products and their price alert conditions
+ * Alerts fire from product updates (see utils/priceAlerts); target and current prices are in the base currency
+ */
+
+const { PriceAlert, Product, Offer, Store } = require('../models');
+const { loadRates, convert } = require('../utils/currency');
+const { BASE_CURRENCY } = require('../config/constants');
+
+// Watched products are loaded with their offers so the current best price can be shown
+const PRODUCT_INCLUDE = {
+  model: Product,
+  as: 'product',
+  attributes: ['id', 'name', 'imageUrl'],
+  include: [{
+    model: Offer,
+    as: 'offers',
+    include: [{ model: Store, as: 'store', attributes: ['id', 'name', 'currency', 'active'] }]
+  }]
+};
+
+/**
+ * Convert an alert into the shape used by the frontend
+ * currentPrice is the lowest available price at the watched (active) stores, converted to the base currency
+ * @param {Object} alert - PriceAlert instance with its product loaded
+ * @param {Object} rates - Exchange rates from loadRates
+ * @returns {Object} Plain alert object
+ */
+const formatAlert = (alert, rates) => {
+  const watched = alert.storeIds?.length ? alert.storeIds : null;
+  const prices = (alert.product?.offers || [])
+    .filter((offer) => offer.available && offer.store?.active && (!watched || watched.includes(offer.storeId)))
+    .map((offer) => convert(Number(offer.price), offer.store.currency || BASE_CURRENCY, BASE_CURRENCY, rates))
+    .filter((price) => price !== null);
+
+  return {
+    id: alert.id,
+    productId: alert.productId,
+    productName: alert.product?.name || `Product ${alert.productId}`,
+    imageUrl: alert.product?.imageUrl || '',
+    targetPrice: alert.targetPrice != null ? Number(alert.targetPrice) : null,
+    storeIds: alert.storeIds || null,
+    active: alert.active,
+    currentPrice: prices.length ? Math.min(...prices) : null,
+    lastNotifiedAt: alert.lastNotifiedAt,
+    lastNotifiedPrice: alert.lastNotifiedPrice != null ? Number(alert.lastNotifiedPrice) : null,
+    createdAt: alert.createdAt
+  };
+};
+
+/**
+ * Validate alert fields from the request body
+ * @param {Object} body - Request body ({ targetPrice, storeIds, active })
+ * @param {Array} knownStores - Every store in the database
+ * @returns {{ error: string|null, fields: Object }} Validation error or fields to save
+ */
+const parseAlertFields = (body, knownStores) => {
+  const fields = {};
+  const { targetPrice, storeIds, active } = body || {};
+
+  if (targetPrice !== undefined) {
+    if (targetPrice === null || targetPrice === '') {
+      fields.targetPrice = null;
+    } else {
+      const value = Number(targetPrice);
+      if (isNaN(value) || value <= 0) {
+        return { error: 'Target price must be a positive number', fields };
+      }
+      fields.targetPrice = value;
+    }
+  }
+
+  if (storeIds !== undefined) {
+    if (storeIds === null || (Array.isArray(storeIds) && !storeIds.length)) {
+      fields.storeIds = null;
+    } else if (!Array.isArray(storeIds)) {
+      return { error: 'storeIds must be a list of store IDs', fields };
+    } else {
+      const unknown = storeIds.filter((id) => !knownStores.some((store) => store.id === id));
+      if (unknown.length) {
+        return { error: `Unknown store: ${unknown.join(', ')}`, fields };
+      }
+      fields.storeIds = [...new Set(storeIds)];
+    }
+  }
+
+  if (active !== undefined) fields.active = Boolean(active);
+
+  return { error: null, fields };
+};
+
+/**
+ * Load one of the current user's alerts with its product
+ * @param {number|string} id - Alert ID
+ * @param {number} userId - Owner's user ID
+ * @returns {Promise<Object|null>} PriceAlert instance or null
+ */
+const findUserAlert = (id, userId) => PriceAlert.findOne({
+  where: { id, userId },
+  include: [PRODUCT_INCLUDE]
+});
+
+/**
+ * Get the current user's watchlist
+ * GET /api/alerts
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Array of alerts, newest first
+ */
+exports.getAlerts = async (req, res) => {
+  try {
+    const alerts = await PriceAlert.findAll({
+      where: { userId: req.user.id },
+      include: [PRODUCT_INCLUDE],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const rates = await loadRates();
+
+    res.status(200).json({ alerts: alerts.map((alert) => formatAlert(alert, rates)) });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch price alerts' });
+  }
+};
+
+/**
+ * Watch a product
+ * POST /api/alerts
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - productId: Product to watch (required)
+ * - targetPrice: Alert at or below this price in the base currency (optional; omit or null for any drop)
+ * - storeIds: Only watch these stores (optional; omit or null for every store)
+ *
+ * Returns: Created alert
+ */
+exports.createAlert = async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({ error: 'productId is required' });
+    }
+
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { error, fields } = parseAlertFields(req.body, await Store.findAll());
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await PriceAlert.findOne({ where: { userId: req.user.id, productId: product.id } });
+    if (existing) {
+      return res.status(400).json({ error: 'This product is already on your watchlist' });
+    }
+
+    const alert = await PriceAlert.create({ ...fields, userId: req.user.id, productId: product.id });
+    const created = await findUserAlert(alert.id, req.user.id);
+
+    res.status(201).json({
+      message: 'Price alert created',
+      alert: formatAlert(created, await loadRates())
+    });
+  } catch (error) {
+    console.error('Create alert error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to create price alert' });
+  }
+};
+
+/**
+ * Update an alert's condition, stores, or paused state
+ * PUT /api/alerts/:id
+ * Requires: Authentication (JWT token)
+ *
+ * Request body (all optional):
+ * - targetPrice: New target in the base currency (null for any drop)
+ * - storeIds: Stores to watch (null for every store)
+ * - active: false to pause, true to resume
+ *
+ * Changing the condition clears the debounce so the new condition can fire right away
+ *
+ * Returns: Updated alert
+ */
+exports.updateAlert = async (req, res) => {
+  try {
+    const alert = await findUserAlert(req.params.id, req.user.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Price alert not found' });
+    }
+
+    const { error, fields } = parseAlertFields(req.body, await Store.findAll());
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    Object.assign(alert, fields);
+    if (fields.targetPrice !== undefined || fields.storeIds !== undefined) {
+      alert.lastNotifiedAt = null;
+      alert.lastNotifiedPrice = null;
+    }
+    await alert.save();
+
+    res.status(200).json({
+      message: 'Price alert updated',
+      alert: formatAlert(alert, await loadRates())
+    });
+  } catch (error) {
+    console.error('Update alert error:', error);
+    res.status(500).json({ error: 'Failed to update price alert' });
+  }
+};
+
+/**
+ * Stop watching a product
+ * DELETE /api/alerts/:id
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Success message
+ */
+exports.deleteAlert = async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!alert) {
+      return res.status(404).json({ error: 'Price alert not found' });
+    }
+
+    await alert.destroy();
+
+    res.status(200).json({ message: 'Price alert removed' });
+  } catch (error) {
+    console.error('Delete alert error:', error);
+    res.status(500).json({ error: 'Failed to remove price alert' });
+  }
+};
@@ -1,21 +1,72 @@
 /**
  * Authentication Controller
- * Handles user registration, login, profile retrieval and updates
+ * Handles user registration, login, token refresh, logout, profile retrieval and updates
+ * Signing in starts a session with a short-lived access token and a refresh token (see utils/sessions)
+ * Failed logins slow down further attempts and eventually lock the account (see utils/throttle, utils/accountLockout)
  */
 
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/constants');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, ACCOUNT_LOCKOUT_ATTEMPTS } = require('../config/constants');
+const { parseWeights, weightsFor } = require('../utils/storeScoring');
+const { startSession, refreshSession, endSession, revokeUserSessions } = require('../utils/sessions');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { isTwoFactorEnabled, verifySecondFactor, createChallenge, readChallenge } = require('../utils/twoFactor');
+const { checkThrottle, recordFailure, clearFailures } = require('../utils/throttle');
+const { isLocked, lockAccount } = require('../utils/accountLockout');
 
 /**
- * Generate JWT authentication token
- * @param {number} userId - User's database ID
- * @returns {string} Signed JWT token valid for 7 days
+ * Count a failed login, locking the account once it has failed ACCOUNT_LOCKOUT_ATTEMPTS times
+ * @param {Object} attempt - Throttle target { action: 'login', ip, account }
+ * @param {Object|null} user - Account the login was for, if it exists
+ * @returns {Promise<boolean>} Whether the account is now locked
  */
-const generateToken = (userId) => jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+const recordFailedLogin = async (attempt, user) => {
+  const failures = await recordFailure(attempt);
+  if (user && failures >= ACCOUNT_LOCKOUT_ATTEMPTS) {
+    await lockAccount(user);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Refuse a login to a locked account
+ * @param {Object} res - Express response
+ * @param {Object} user - Locked user
+ */
+const sendLocked = (res, user) => res.status(423).json({
+  error: 'This account is locked after too many failed logins. Try again later, or reset your password to unlock it now.',
+  lockedUntil: user.lockedUntil
+});
 
 /**
- * Register a new user
+ * Start a session for a user who just signed in and build the login response
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { message, token, refreshToken, user }
+ */
+const signIn = async (user, req) => {
+  // Start a session for this device
+  const { token, refreshToken } = await startSession(user, req);
+  return {
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      profilePicture: user.profilePicture || null,
+      role: user.role || 'user',
+      currency: user.currency || BASE_CURRENCY,
+      emailVerified: Boolean(user.verifiedAt)
+    }
+  };
+};
+
+/**
+ * Register a new user and email them a verification link
  * POST /api/auth/register
  * 
  * Request body:
@@ -24,7 +75,7 @@ const generateToken = (userId) => jwt.sign({ userId }, JWT_SECRET, { expiresIn:
  * - password: User's password (min 6 characters)
  * - confirmPassword: Password confirmation
  * 
- * Returns: JWT token and user object
+ * Returns: Access token (token), refresh token, and user object (emailVerified is false until the link is opened)
  */
 exports.register = async (req, res) => {
   try {
@@ -58,19 +109,25 @@ exports.register = async (req, res) => {
       password
     });
 
-    // Generate authentication token
-    const token = generateToken(user.id);
+    // Start a session for the new account
+    const { token, refreshToken } = await startSession(user, req);
+
+    // Send the verification link without holding up the response; it can be resent from the app if this fails
+    sendVerificationEmail(user).catch((error) => console.error('Verification email error:', error));
 
-    // Return success response with token and user data (excluding password)
+    // Return success response with tokens and user data (excluding password)
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         profilePicture: user.profilePicture || null,
-        role: user.role || 'user'
+        role: user.role || 'user',
+        currency: user.currency || BASE_CURRENCY,
+        emailVerified: Boolean(user.verifiedAt)
       }
     });
   } catch (error) {
@@ -108,10 +165,10 @@ exports.register = async (req, res) => {
  * - email: User's email address
  * - password: User's password
  * 
- * Special case: Creates admin account on first login with admin credentials
- * Admin credentials: admin@cleancart.com / admin1234
- * 
- * Returns: JWT token and user object
+ * Returns: Access token (token), refresh token, and user object
+ * With two-factor authentication on: { twoFactorRequired: true, challengeToken } instead; finish with POST /api/auth/login/2fa
+ * 429 with Retry-After after repeated failures from the IP address or for the account; a locked account gets the
+ * same 401 as a wrong password or unknown email
  */
 exports.login = async (req, res) => {
   try {
@@ -122,62 +179,50 @@ exports.login = async (req, res) => {
       return res.status(400).json({ error: 'Please provide email and password' });
     }
 
-    // Special case: Auto-create admin user if logging in with admin credentials
-    if ((email === 'admin@cleancart.com' || email === 'admin') && password === 'admin1234') {
-      let user = await User.findOne({ where: { email: 'admin@cleancart.com' } });
-      if (!user) {
-        // Create admin user if doesn't exist
-        user = await User.create({
-          name: 'Admin',
-          email: 'admin@cleancart.com',
-          password: 'admin1234',
-          role: 'admin'
-        });
-      }
-      // Generate token and return admin user
-      const token = generateToken(user.id);
-      return res.status(200).json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          profilePicture: user.profilePicture || null,
-          role: user.role || 'admin'
-        }
-      });
-    }
+    // Slow down repeated failures from this IP address or against this account
+    const attempt = { action: 'login', ip: req.ip, account: email };
+    await checkThrottle(attempt);
 
     // Find user by email
     const user = await User.findOne({ where: { email } });
     if (!user) {
       // Don't reveal if email exists for security
+      await recordFailedLogin(attempt, null);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    // A locked account refuses even the right password. It gets the same answer as an unknown email (the owner
+    // was emailed about the lock), so lockouts don't reveal which emails are registered
+    if (isLocked(user)) {
+      await recordFailure(attempt);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
     // Verify password using bcrypt comparison
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordFailedLogin(attempt, user);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate authentication token
-    const token = generateToken(user.id);
+    // The password alone isn't enough: hand back a challenge to answer with a code
+    // (failures are only forgotten once the code is right, so logging in again doesn't reset them)
+    if (isTwoFactorEnabled(user)) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user)
+      });
+    }
+    await clearFailures({ action: 'login', account: email });
 
-    // Return success response with token and user data
-    res.status(200).json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        profilePicture: user.profilePicture || null,
-        role: user.role || 'user'
-      }
-    });
+    // Return success response with tokens and user data
+    res.status(200).json(await signIn(user, req));
   } catch (error) {
+    if (error.name === 'ThrottleError') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
     console.error('Login error:', error);
     
     // Handle database connection errors
@@ -193,6 +238,115 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Finish a login with the second factor
+ * POST /api/auth/login/2fa
+ *
+ * Request body:
+ * - challengeToken: Token from POST /api/auth/login (valid for 5 minutes)
+ * - code: Code from the authenticator app, or
+ * - recoveryCode: One of the user's recovery codes (each works once)
+ *
+ * Returns: Access token (token), refresh token, and user object, plus recoveryCodesLeft when a recovery code was used
+ * Wrong codes count as failed logins, like wrong passwords (429 as for login); 423 while the account is locked
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await User.findByPk(readChallenge(challengeToken));
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(401).json({ error: 'Your login attempt expired. Please log in again.' });
+    }
+
+    const attempt = { action: 'login', ip: req.ip, account: user.email };
+    await checkThrottle(attempt);
+    if (isLocked(user)) {
+      return sendLocked(res, user);
+    }
+
+    let method;
+    try {
+      method = await verifySecondFactor(user, { code, recoveryCode });
+    } catch (error) {
+      if (error.name !== 'TwoFactorError') throw error;
+      if (await recordFailedLogin(attempt, user)) {
+        return sendLocked(res, user);
+      }
+      return res.status(401).json({ error: error.message });
+    }
+    await clearFailures({ action: 'login', account: user.email });
+
+    const response = await signIn(user, req);
+    if (method === 'recovery') {
+      response.recoveryCodesLeft = user.totpRecoveryCodes.length;
+    }
+    res.status(200).json(response);
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.name === 'ThrottleError') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed. Please try again.' });
+  }
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ *
+ * Request body:
+ * - refreshToken: The session's current refresh token (it stops working once swapped)
+ *
+ * Sending a refresh token that was already swapped signs the session out everywhere
+ *
+ * Returns: { token, refreshToken }
+ */
+exports.refresh = async (req, res) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken);
+
+    res.status(200).json({ token, refreshToken });
+  } catch (error) {
+    if (error.name === 'SessionError') {
+      return res.status(401).json({ error: error.message });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+};
+
+/**
+ * Log out: end the session a refresh token belongs to
+ * POST /api/auth/logout
+ *
+ * Request body:
+ * - refreshToken: The session's current refresh token
+ *
+ * The session's access tokens stop working straight away. Unknown or already ended sessions are ignored
+ *
+ * Returns: Success message
+ */
+exports.logout = async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
 /**
  * Get current authenticated user's profile
  * GET /api/auth/profile
@@ -212,7 +366,10 @@ exports.getProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         profilePicture: user.profilePicture || null,
-        role: user.role || 'user'
+        role: user.role || 'user',
+        scoringWeights: weightsFor(user),
+        currency: user.currency || BASE_CURRENCY,
+        emailVerified: Boolean(user.verifiedAt)
       }
     });
   } catch (error) {
@@ -230,7 +387,9 @@ exports.getProfile = async (req, res) => {
  * - name: Updated name
  * - profilePicture: Updated profile picture URL/base64
  * - currentPassword: Required if changing password
- * - newPassword: New password (requires currentPassword)
+ * - newPassword: New password (requires currentPassword); signs out every other session of the user
+ * - scoringWeights: Store recommendation weights { price, total, eta, rating } (null restores defaults)
+ * - currency: Display currency code, which needs an exchange rate (null restores the base currency)
  * 
  * Returns: Updated user object
  */
@@ -238,13 +397,32 @@ exports.updateProfile = async (req, res) => {
   try {
     // User is already attached to request by auth middleware
     const user = req.user;
-    const { name, profilePicture, currentPassword, newPassword } = req.body;
+    const { name, profilePicture, currentPassword, newPassword, scoringWeights, currency } = req.body;
 
     // Validate name if provided
     if (name && !name.trim()) {
       return res.status(400).json({ error: 'Name cannot be empty' });
     }
 
+    // Validate scoring weights if provided (null resets them to the defaults)
+    let weights = null;
+    if (scoringWeights !== undefined && scoringWeights !== null) {
+      const parsed = parseWeights(scoringWeights);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      weights = parsed.weights;
+    }
+
+    // Validate display currency if provided (null or blank resets it to the base currency)
+    let displayCurrency = null;
+    if (currency !== undefined && currency !== null && String(currency).trim()) {
+      displayCurrency = String(currency).trim().toUpperCase();
+      if (displayCurrency !== BASE_CURRENCY && !(await ExchangeRate.findByPk(displayCurrency))) {
+        return res.status(400).json({ error: `Prices can't be shown in ${displayCurrency} yet` });
+      }
+    }
+
     // Handle password change if requested
     if (newPassword) {
       // Require current password for security
@@ -277,9 +455,24 @@ exports.updateProfile = async (req, res) => {
       user.profilePicture = profilePicture;
     }
 
+    // Update recommendation weights if provided
+    if (scoringWeights !== undefined) {
+      user.scoringWeights = weights;
+    }
+
+    // Update display currency if provided (the base currency is stored as null)
+    if (currency !== undefined) {
+      user.currency = displayCurrency === BASE_CURRENCY ? null : displayCurrency;
+    }
+
     // Save changes to database
     await user.save();
 
+    // A new password signs out every other device, keeping the one that changed it
+    if (newPassword) {
+      await revokeUserSessions(user.id, 'password_change', req.sessionId);
+    }
+
     // Return updated profile
     res.status(200).json({
       message: 'Profile updated successfully',
@@ -288,7 +481,10 @@ exports.updateProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         profilePicture: user.profilePicture || null,
-        role: user.role || 'user'
+        role: user.role || 'user',
+        scoringWeights: weightsFor(user),
+        currency: user.currency || BASE_CURRENCY,
+        emailVerified: Boolean(user.verifiedAt)
       }
     });
   } catch (error) {
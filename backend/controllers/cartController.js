@@ -0,0 +1,234 @@
+/**
+ * Cart Controller
+ * Handles the signed-in user's server-side shopping cart
+ * Carts are stored per user so they follow the account across devices
+ */
+
+const { sequelize, User, Product, CartItem } = require('../models');
+const { planCart, parseMaxStores, noPlanMessage } = require('../utils/cartOptimizer');
+const { parseCodes } = require('../utils/coupons');
+const { parseShipTo } = require('../utils/tax');
+
+/**
+ * Validate and merge requested cart lines
+ * Duplicate product IDs are combined into one line
+ * @param {Array} items - [{ productId, quantity }] from the request body
+ * @returns {{ error: string|null, lines: Array }} Validation error or normalized lines
+ */
+const parseCartItems = (items) => {
+  if (!Array.isArray(items)) {
+    return { error: 'Items must be an array', lines: [] };
+  }
+
+  const merged = new Map();
+  for (const item of items) {
+    const productId = Number(item?.productId);
+    const quantity = Number(item?.quantity ?? 1);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: 'Invalid product in cart', lines: [] };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Quantity must be a positive whole number', lines: [] };
+    }
+    merged.set(productId, (merged.get(productId) || 0) + quantity);
+  }
+
+  return {
+    error: null,
+    lines: [...merged.entries()].map(([productId, quantity]) => ({ productId, quantity }))
+  };
+};
+
+/**
+ * Split cart lines into products that still exist and ones that were removed from the catalog
+ * @param {Array} lines - Normalized cart lines
+ * @returns {Promise<{ kept: Array, dropped: Array }>} Lines to save and lines that were dropped
+ */
+const splitExisting = async (lines) => {
+  if (!lines.length) return { kept: [], dropped: [] };
+
+  const products = await Product.findAll({
+    where: { id: lines.map((line) => line.productId) },
+    attributes: ['id']
+  });
+  const existing = new Set(products.map((p) => p.id));
+
+  return {
+    kept: lines.filter((line) => existing.has(line.productId)),
+    dropped: lines.filter((line) => !existing.has(line.productId))
+  };
+};
+
+/**
+ * Replace every line in a user's cart
+ * @param {number} userId - Cart owner
+ * @param {Array} lines - Lines to store
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const writeCart = async (userId, lines, transaction) => {
+  await CartItem.destroy({ where: { userId }, transaction });
+  if (lines.length) {
+    await CartItem.bulkCreate(lines.map((line) => ({ userId, ...line })), { transaction });
+  }
+};
+
+/**
+ * Convert cart item rows into the [{ productId, quantity }] shape used by the frontend
+ * @param {Array} rows - CartItem instances or plain lines
+ * @returns {Array} Cart lines
+ */
+const formatCart = (rows) => rows.map(({ productId, quantity }) => ({ productId, quantity }));
+
+/**
+ * Get the authenticated user's cart
+ * GET /api/cart
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: { items: [{ productId, quantity }] }
+ */
+exports.getCart = async (req, res) => {
+  try {
+    const items = await CartItem.findAll({
+      where: { userId: req.user.id },
+      order: [['id', 'ASC']]
+    });
+
+    res.status(200).json({ items: formatCart(items) });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ error: 'Failed to fetch cart' });
+  }
+};
+
+/**
+ * Replace the authenticated user's cart
+ * PUT /api/cart
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - items: [{ productId, quantity }] (an empty array clears the cart)
+ *
+ * Returns: { items, dropped } - dropped lists products that no longer exist
+ */
+exports.replaceCart = async (req, res) => {
+  try {
+    const { error, lines } = parseCartItems(req.body?.items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { kept, dropped } = await splitExisting(lines);
+    await sequelize.transaction((transaction) => writeCart(req.user.id, kept, transaction));
+
+    res.status(200).json({ items: formatCart(kept), dropped });
+  } catch (error) {
+    console.error('Replace cart error:', error);
+    res.status(500).json({ error: 'Failed to save cart' });
+  }
+};
+
+/**
+ * Merge items (e.g. a guest cart) into the authenticated user's cart
+ * PATCH /api/cart
+ * Requires: Authentication (JWT token)
+ *
+ * Quantities of products already in the cart are summed
+ *
+ * Request body:
+ * - items: [{ productId, quantity }]
+ *
+ * Returns: { items, dropped } - dropped lists incoming products that no longer exist
+ */
+exports.mergeCart = async (req, res) => {
+  try {
+    const { error, lines } = parseCartItems(req.body?.items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { kept, dropped } = await splitExisting(lines);
+
+    // Read and rewrite the cart with the user's row locked, so two merges at once (e.g. signing in
+    // from two tabs) can't both start from the same cart and lose one side (an empty cart has no rows to lock)
+    const items = await sequelize.transaction(async (transaction) => {
+      await User.findByPk(req.user.id, { attributes: ['id'], transaction, lock: true });
+
+      // Existing lines keep their position; new products are appended
+      const current = await CartItem.findAll({
+        where: { userId: req.user.id },
+        order: [['id', 'ASC']],
+        transaction
+      });
+      const merged = new Map(current.map((item) => [item.productId, item.quantity]));
+      for (const line of kept) {
+        merged.set(line.productId, (merged.get(line.productId) || 0) + line.quantity);
+      }
+      const cart = [...merged.entries()].map(([productId, quantity]) => ({ productId, quantity }));
+
+      await writeCart(req.user.id, cart, transaction);
+      return cart;
+    });
+
+    res.status(200).json({ items, dropped });
+  } catch (error) {
+    console.error('Merge cart error:', error);
+    res.status(500).json({ error: 'Failed to merge cart' });
+  }
+};
+
+/**
+ * Find the cheapest way to buy a cart across one or more stores
+ * POST /api/cart/optimize
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - items: [{ productId, quantity }] (optional, defaults to the saved cart)
+ * - maxStores: Most stores to split the cart across (optional, default no limit)
+ * - couponCodes: Promo codes to apply (optional); each store's best code comes off its share
+ * - shipTo: { region, postalCode } to charge sales tax for (optional)
+ *
+ * Returns: { plan } - per-store breakdown with discount and tax lines, totals, unavailable items,
+ *          the best single-store total, and the savings compared with it
+ */
+exports.optimizeCart = async (req, res) => {
+  try {
+    const { error: limitError, maxStores } = parseMaxStores(req.body?.maxStores);
+    if (limitError) {
+      return res.status(400).json({ error: limitError });
+    }
+
+    let lines;
+    if (req.body?.items !== undefined) {
+      const parsed = parseCartItems(req.body.items);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      lines = parsed.lines;
+    } else {
+      const items = await CartItem.findAll({
+        where: { userId: req.user.id },
+        order: [['id', 'ASC']]
+      });
+      lines = formatCart(items);
+    }
+
+    if (!lines.length) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+
+    const plan = await planCart(lines, {
+      maxStores,
+      couponCodes: parseCodes(req.body?.couponCodes),
+      shipTo: parseShipTo(req.body?.shipTo)
+    });
+    if (!plan) {
+      return res.status(400).json({ error: noPlanMessage(maxStores) });
+    }
+
+    res.status(200).json({ plan });
+  } catch (error) {
+    console.error('Optimize cart error:', error);
+    res.status(500).json({ error: 'Failed to optimize cart' });
+  }
+};
@@ -0,0 +1,290 @@
+/**
+ * Coupon Controller
+ * Handles admin management of store promo codes
+ * Shoppers check codes through the order quote (POST /api/orders/quote)
+ */
+
+const { Coupon, Store } = require('../models');
+const { COUPON_TYPES, BASE_CURRENCY } = require('../config/constants');
+const { normalizeCode, couponProblem, describeCoupon } = require('../utils/coupons');
+
+/**
+ * Convert a coupon into the shape used by the admin page
+ * @param {Object} coupon - Coupon instance
+ * @param {Array} stores - Every store (for the store name and currency)
+ * @returns {Object} Plain coupon object with numeric amounts (in the store's currency) and its current status
+ */
+const formatCoupon = (coupon, stores) => {
+  const store = stores.find((known) => known.id === coupon.storeId);
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    storeId: coupon.storeId,
+    storeName: store?.name || coupon.storeId,
+    currency: store?.currency || BASE_CURRENCY,
+    type: coupon.type,
+    value: Number(coupon.value),
+    category: coupon.category || '',
+    minSpend: coupon.minSpend != null ? Number(coupon.minSpend) : null,
+    startsAt: coupon.startsAt,
+    endsAt: coupon.endsAt,
+    usageLimit: coupon.usageLimit,
+    usedCount: coupon.usedCount,
+    active: coupon.active,
+    description: describeCoupon(coupon, store?.currency),
+    problem: couponProblem(coupon)
+  };
+};
+
+/**
+ * Read an optional date field
+ * @param {*} value - Date string, or empty/null to clear
+ * @returns {{ error: boolean, date: Date|null }} Parsed date
+ */
+const parseDate = (value) => {
+  if (value === null || value === '') return { error: false, date: null };
+  const date = new Date(value);
+  return { error: isNaN(date.getTime()), date };
+};
+
+/**
+ * Validate coupon fields from the request body
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Coupon being updated (null when creating)
+ * @param {Array} stores - Every store
+ * @returns {{ error: string|null, fields: Object }} Validation error or fields to save
+ */
+const parseCouponFields = (body, existing, stores) => {
+  const fields = {};
+  const { code, storeId, type, value, category, minSpend, startsAt, endsAt, usageLimit, active } = body || {};
+
+  if (code !== undefined || !existing) {
+    fields.code = normalizeCode(code);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(fields.code)) {
+      return { error: 'Code must be 3-40 letters, digits, dashes, or underscores', fields };
+    }
+  }
+
+  if (storeId !== undefined || !existing) {
+    if (!stores.some((store) => store.id === storeId)) {
+      return { error: `Unknown store: ${storeId || ''}`.trim(), fields };
+    }
+    fields.storeId = storeId;
+  }
+
+  if (type !== undefined || !existing) {
+    if (!COUPON_TYPES.includes(type)) {
+      return { error: `Type must be one of: ${COUPON_TYPES.join(', ')}`, fields };
+    }
+    fields.type = type;
+  }
+
+  // The amount must suit the (new or existing) type; free delivery has none
+  const finalType = fields.type || existing.type;
+  if (finalType === 'free_delivery') {
+    fields.value = 0;
+  } else if (value !== undefined || fields.type) {
+    const amount = Number(value);
+    if (value === '' || value === null || isNaN(amount) || amount <= 0) {
+      return { error: 'Discount value must be a positive number', fields };
+    }
+    if (finalType === 'percent' && amount > 100) {
+      return { error: 'A percentage discount cannot be more than 100', fields };
+    }
+    fields.value = amount;
+  }
+
+  if (category !== undefined) fields.category = category ? String(category).trim() : null;
+
+  if (minSpend !== undefined) {
+    if (minSpend === null || minSpend === '') {
+      fields.minSpend = null;
+    } else {
+      const amount = Number(minSpend);
+      if (isNaN(amount) || amount < 0) {
+        return { error: 'Minimum spend must be a non-negative number', fields };
+      }
+      fields.minSpend = amount;
+    }
+  }
+
+  for (const [key, raw] of [['startsAt', startsAt], ['endsAt', endsAt]]) {
+    if (raw === undefined) continue;
+    const { error, date } = parseDate(raw);
+    if (error) {
+      return { error: `${key === 'startsAt' ? 'Start' : 'End'} date is not a valid date`, fields };
+    }
+    fields[key] = date;
+  }
+  const start = fields.startsAt !== undefined ? fields.startsAt : existing?.startsAt;
+  const end = fields.endsAt !== undefined ? fields.endsAt : existing?.endsAt;
+  if (start && end && new Date(end) <= new Date(start)) {
+    return { error: 'End date must be after the start date', fields };
+  }
+
+  if (usageLimit !== undefined) {
+    if (usageLimit === null || usageLimit === '') {
+      fields.usageLimit = null;
+    } else {
+      const limit = Number(usageLimit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return { error: 'Usage limit must be a positive whole number', fields };
+      }
+      fields.usageLimit = limit;
+    }
+  }
+
+  if (active !== undefined) fields.active = Boolean(active);
+
+  return { error: null, fields };
+};
+
+/**
+ * Check that no other coupon at the same store uses the code
+ * @param {Object} fields - { code, storeId } to save
+ * @param {number|null} id - Coupon being updated (null when creating)
+ * @returns {Promise<boolean>} True if the code is taken
+ */
+const codeTaken = async ({ code, storeId }, id) => {
+  const existing = await Coupon.findOne({ where: { code, storeId } });
+  return Boolean(existing && existing.id !== id);
+};
+
+/**
+ * Get every coupon
+ * GET /api/admin/coupons
+ * Requires: Admin authentication
+ *
+ * Returns: Array of coupons, newest first
+ */
+exports.getCoupons = async (req, res) => {
+  try {
+    const [coupons, stores] = await Promise.all([
+      Coupon.findAll({ order: [['createdAt', 'DESC']] }),
+      Store.findAll()
+    ]);
+
+    res.status(200).json({ coupons: coupons.map((coupon) => formatCoupon(coupon, stores)) });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+};
+
+/**
+ * Create a promo code
+ * POST /api/admin/coupons
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - code: Code shoppers enter (required, case-insensitive)
+ * - storeId: Store the code is valid at (required)
+ * - type: percent, fixed, or free_delivery (required)
+ * - value: Percentage or amount off (required unless free_delivery)
+ * - category, minSpend, startsAt, endsAt, usageLimit, active: Optional restrictions
+ *
+ * Returns: Created coupon
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    const stores = await Store.findAll();
+    const { error, fields } = parseCouponFields(req.body, null, stores);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await codeTaken(fields, null)) {
+      return res.status(400).json({ error: 'This store already has a coupon with that code' });
+    }
+
+    const coupon = await Coupon.create(fields);
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon: formatCoupon(coupon, stores)
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+};
+
+/**
+ * Update a promo code
+ * PUT /api/admin/coupons/:id
+ * Requires: Admin authentication
+ *
+ * Request body (all optional):
+ * - code, storeId, type, value, category, minSpend, startsAt, endsAt, usageLimit, active
+ *
+ * Returns: Updated coupon
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByPk(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const stores = await Store.findAll();
+    const { error, fields } = parseCouponFields(req.body, coupon, stores);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = { code: fields.code || coupon.code, storeId: fields.storeId || coupon.storeId };
+    if (await codeTaken(target, coupon.id)) {
+      return res.status(400).json({ error: 'This store already has a coupon with that code' });
+    }
+
+    Object.assign(coupon, fields);
+    await coupon.save();
+
+    res.status(200).json({
+      message: 'Coupon updated successfully',
+      coupon: formatCoupon(coupon, stores)
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+};
+
+/**
+ * Delete a promo code
+ * DELETE /api/admin/coupons/:id
+ * Requires: Admin authentication
+ *
+ * Orders that used the code keep their code and discount
+ *
+ * Returns: Success message
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByPk(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    await coupon.destroy();
+
+    res.status(200).json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+};
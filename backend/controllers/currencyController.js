@@ -0,0 +1,247 @@
+/**
+ * Currency Controller
+ * Lists the currencies prices can be shown in and handles admin management of exchange rates
+ * Rates are entered by hand or imported from a rates file (see utils/currency)
+ */
+
+const { sequelize, ExchangeRate, Store } = require('../models');
+const { BASE_CURRENCY } = require('../config/constants');
+const { normalizeCurrency, isCurrencyCode, parseRatesFile } = require('../utils/currency');
+
+/**
+ * Convert an exchange rate into the shape used by the frontend
+ * @param {Object} exchangeRate - ExchangeRate instance
+ * @returns {Object} Plain exchange rate object with a numeric rate
+ */
+const formatExchangeRate = (exchangeRate) => ({
+  currency: exchangeRate.currency,
+  rate: Number(exchangeRate.rate),
+  source: exchangeRate.source,
+  updatedAt: exchangeRate.updatedAt
+});
+
+/**
+ * Validate a rate from the request body
+ * @param {*} rate - Raw rate
+ * @returns {{ error: string|null, rate: number }} Validation error or the rate to save
+ */
+const parseRate = (rate) => {
+  const value = Number(rate);
+  if (rate === '' || rate === null || rate === undefined || isNaN(value) || value <= 0) {
+    return { error: `Rate must be a positive number of units per ${BASE_CURRENCY}`, rate: value };
+  }
+  return { error: null, rate: Math.round(value * 1e6) / 1e6 };
+};
+
+/**
+ * Get the currencies prices can be shown in
+ * GET /api/currencies
+ * Public
+ *
+ * Returns: Base currency and every currency with an exchange rate (the base currency first, rate 1)
+ */
+exports.getCurrencies = async (req, res) => {
+  try {
+    const exchangeRates = await ExchangeRate.findAll({ order: [['currency', 'ASC']] });
+
+    res.status(200).json({
+      base: BASE_CURRENCY,
+      currencies: [
+        { currency: BASE_CURRENCY, rate: 1, source: 'base', updatedAt: null },
+        ...exchangeRates.filter((r) => r.currency !== BASE_CURRENCY).map(formatExchangeRate)
+      ]
+    });
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({ error: 'Failed to fetch currencies' });
+  }
+};
+
+/**
+ * Get every exchange rate
+ * GET /api/admin/exchange-rates
+ * Requires: Admin authentication
+ *
+ * Returns: Base currency and exchange rates by currency code
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const exchangeRates = await ExchangeRate.findAll({ order: [['currency', 'ASC']] });
+
+    res.status(200).json({ base: BASE_CURRENCY, exchangeRates: exchangeRates.map(formatExchangeRate) });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+};
+
+/**
+ * Create an exchange rate
+ * POST /api/admin/exchange-rates
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - currency: Three-letter currency code (required, not the base currency)
+ * - rate: Units of the currency per one unit of the base currency (required, positive)
+ *
+ * Returns: Created exchange rate
+ */
+exports.createExchangeRate = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.body?.currency);
+    if (!isCurrencyCode(currency)) {
+      return res.status(400).json({ error: 'Currency must be a three-letter code such as USD or EUR' });
+    }
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ error: `${BASE_CURRENCY} is the base currency and always has a rate of 1` });
+    }
+
+    const { error, rate } = parseRate(req.body?.rate);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await ExchangeRate.findByPk(currency)) {
+      return res.status(400).json({ error: `An exchange rate for ${currency} already exists` });
+    }
+
+    const exchangeRate = await ExchangeRate.create({ currency, rate, source: 'manual' });
+
+    res.status(201).json({
+      message: 'Exchange rate created successfully',
+      exchangeRate: formatExchangeRate(exchangeRate)
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to create exchange rate' });
+  }
+};
+
+/**
+ * Update an exchange rate
+ * PUT /api/admin/exchange-rates/:currency
+ * Requires: Admin authentication
+ *
+ * Orders already placed keep the rate they were placed at
+ *
+ * Request body:
+ * - rate: Units of the currency per one unit of the base currency (required, positive)
+ *
+ * Returns: Updated exchange rate
+ */
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByPk(normalizeCurrency(req.params.currency));
+    if (!exchangeRate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    const { error, rate } = parseRate(req.body?.rate);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    exchangeRate.rate = rate;
+    exchangeRate.source = 'manual';
+    await exchangeRate.save();
+
+    res.status(200).json({
+      message: 'Exchange rate updated successfully',
+      exchangeRate: formatExchangeRate(exchangeRate)
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to update exchange rate' });
+  }
+};
+
+/**
+ * Delete an exchange rate
+ * DELETE /api/admin/exchange-rates/:currency
+ * Requires: Admin authentication
+ *
+ * Refused while a store lists its prices in the currency; shoppers who picked it see the base currency
+ *
+ * Returns: Success message
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByPk(normalizeCurrency(req.params.currency));
+    if (!exchangeRate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    const storeCount = await Store.count({ where: { currency: exchangeRate.currency } });
+    if (storeCount > 0) {
+      return res.status(400).json({
+        error: `${storeCount} store${storeCount === 1 ? '' : 's'} list prices in ${exchangeRate.currency}. Change their currency first.`
+      });
+    }
+
+    await exchangeRate.destroy();
+
+    res.status(200).json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ error: 'Failed to delete exchange rate' });
+  }
+};
+
+/**
+ * Import exchange rates from a rates file
+ * POST /api/admin/exchange-rates/import
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - content: File contents, JSON ({ "base": "USD", "rates": { "EUR": 0.92 } }) or CSV ("currency,rate" lines)
+ *
+ * Adds new currencies and replaces the rates of existing ones; currencies not in the file are kept
+ *
+ * Returns: Number of rates imported and every exchange rate
+ */
+exports.importExchangeRates = async (req, res) => {
+  try {
+    const { error, rates } = parseRatesFile(req.body?.content);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { currency, rate } of rates) {
+        await ExchangeRate.upsert({ currency, rate, source: 'import' }, { transaction });
+      }
+    });
+
+    const exchangeRates = await ExchangeRate.findAll({ order: [['currency', 'ASC']] });
+
+    res.status(200).json({
+      message: `Imported ${rates.length} exchange rate${rates.length === 1 ? '' : 's'}`,
+      imported: rates.length,
+      exchangeRates: exchangeRates.map(formatExchangeRate)
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to import exchange rates' });
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Invoice Controller
+ * Handles PDF invoices for orders: customers download their own, admins download any order's invoice or
+ * export every invoice for orders placed in a date range as one PDF
+ * An order's invoice is issued (and numbered) the first time it is downloaded or exported (see utils/invoices)
+ */
+
+const { Op } = require('sequelize');
+const { User, Store, Order, OrderItem, ReturnRequest, Invoice, Payment } = require('../models');
+const {
+  UNINVOICED_ORDER_STATUSES, MAX_EXPORT_INVOICES, invoiceNumber, invoiceProblem, issueInvoice, parseDateRange, renderInvoices
+} = require('../utils/invoices');
+
+// Orders are loaded with everything printed on their invoice
+const INVOICE_ORDER_INCLUDE = [
+  { model: OrderItem, as: 'items' },
+  { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+  { model: Store, as: 'store', attributes: ['id', 'name'] },
+  { model: Invoice, as: 'invoice' },
+  { model: ReturnRequest, as: 'returns', attributes: ['id', 'status', 'refundAmount', 'refundedAt', 'updatedAt'] },
+  { model: Payment, as: 'payment', attributes: ['id', 'cardBrand', 'cardLast4'] }
+];
+
+/**
+ * Send a PDF as a file download
+ * @param {Object} res - Express response
+ * @param {Buffer} pdf - PDF file contents
+ * @param {string} filename - Download file name
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.status(200)
+    .set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` })
+    .send(pdf);
+};
+
+/**
+ * Issue (if needed) and send one order's invoice
+ * @param {Object} res - Express response
+ * @param {Object|null} order - Order instance with INVOICE_ORDER_INCLUDE loaded
+ */
+const sendOrderInvoice = async (res, order) => {
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  const problem = invoiceProblem(order);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  const invoice = await issueInvoice(order);
+  const number = invoiceNumber(invoice);
+  sendPdf(res, renderInvoices([{ invoice, order }], `Invoice ${number}`), `${number}.pdf`);
+};
+
+/**
+ * Download the invoice for one of the authenticated user's orders
+ * GET /api/orders/:id/invoice
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: PDF file (cancelled orders and orders waiting for payment have no invoice)
+ */
+exports.getMyInvoice = async (req, res) => {
+  try {
+    const order = await Order.findOne({ where: { id: req.params.id, userId: req.user.id }, include: INVOICE_ORDER_INCLUDE });
+    await sendOrderInvoice(res, order);
+  } catch (error) {
+    console.error('Get my invoice error:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+};
+
+/**
+ * Download any order's invoice
+ * GET /api/admin/orders/:id/invoice
+ * Requires: Admin authentication
+ *
+ * Returns: PDF file (cancelled orders and orders waiting for payment have no invoice)
+ */
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findByPk(req.params.id, { include: INVOICE_ORDER_INCLUDE });
+    await sendOrderInvoice(res, order);
+  } catch (error) {
+    console.error('Get order invoice error:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+};
+
+/**
+ * Export the invoices of every order placed in a date range as one PDF, oldest order first
+ * GET /api/admin/invoices/export
+ * Requires: Admin authentication
+ *
+ * Query params:
+ * - from, to: First and last day of the range (YYYY-MM-DD, UTC, both included)
+ *
+ * Orders without an invoice yet are issued one, in the order they were placed. Cancelled and unpaid orders are skipped
+ *
+ * Returns: PDF file with one invoice per order (at most MAX_EXPORT_INVOICES)
+ */
+exports.exportInvoices = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const where = {
+      createdAt: { [Op.between]: [range.from, range.to] },
+      status: { [Op.notIn]: UNINVOICED_ORDER_STATUSES }
+    };
+    const count = await Order.count({ where });
+    if (count === 0) {
+      return res.status(404).json({ error: 'No orders to invoice in this date range' });
+    }
+    if (count > MAX_EXPORT_INVOICES) {
+      return res.status(400).json({ error: `This range has ${count} orders; export at most ${MAX_EXPORT_INVOICES} invoices at a time` });
+    }
+
+    const orders = await Order.findAll({ where, include: INVOICE_ORDER_INCLUDE, order: [['createdAt', 'ASC'], ['id', 'ASC']] });
+    // Issued one at a time so new invoice numbers follow the order dates
+    const entries = [];
+    for (const order of orders) {
+      entries.push({ invoice: await issueInvoice(order), order });
+    }
+
+    sendPdf(res, renderInvoices(entries, `Invoices ${range.label}`), `invoices-${range.label}.pdf`);
+  } catch (error) {
+    console.error('Export invoices error:', error);
+    res.status(500).json({ error: 'Failed to export invoices' });
+  }
+};
@@ -0,0 +1,249 @@
+/**
+ * Notification Controller
+ * Handles the notification bell for signed-in users and admin broadcasts
+ * Read/dismissed state is tracked per user, so one user's actions never affect another's
+ */
+
+const { Op } = require('sequelize');
+const { User, Notification, NotificationReceipt } = require('../models');
+const { NOTIFICATION_TYPES } = require('../config/constants');
+
+// Maximum number of notifications returned to the bell dropdown
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Build the where clause for notifications a user can see:
+ * their own targeted notifications plus broadcasts sent since they registered
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Sequelize where clause
+ */
+const visibleTo = (user) => ({
+  [Op.or]: [
+    { userId: user.id },
+    { userId: null, createdAt: { [Op.gte]: user.createdAt } }
+  ]
+});
+
+/**
+ * Load a user's notifications with their receipt, dropping dismissed ones
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>} Notification instances, newest first
+ */
+const findVisible = async (user) => {
+  const notifications = await Notification.findAll({
+    where: visibleTo(user),
+    include: [{ model: NotificationReceipt, as: 'receipts', where: { userId: user.id }, required: false }],
+    order: [['createdAt', 'DESC']],
+    limit: NOTIFICATION_LIMIT
+  });
+
+  return notifications.filter((notification) => !notification.receipts?.[0]?.dismissed);
+};
+
+/**
+ * Convert a notification and the current user's receipt into the shape used by the UI
+ * @param {Object} notification - Notification instance with receipts loaded
+ * @returns {Object} Plain notification object
+ */
+const formatNotification = (notification) => ({
+  id: notification.id,
+  title: notification.title,
+  message: notification.message,
+  type: notification.type,
+  broadcast: notification.userId == null,
+  read: Boolean(notification.receipts?.[0]?.readAt),
+  createdAt: notification.createdAt
+});
+
+/**
+ * Get the authenticated user's notifications, newest first
+ * GET /api/notifications
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: { notifications, unreadCount }
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const notifications = (await findVisible(req.user)).map(formatNotification);
+
+    res.status(200).json({
+      notifications,
+      unreadCount: notifications.filter((n) => !n.read).length
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+};
+
+/**
+ * Get the number of unread notifications for the authenticated user
+ * GET /api/notifications/unread-count
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: { unreadCount }
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const notifications = await findVisible(req.user);
+    const unreadCount = notifications.filter((n) => !n.receipts?.[0]?.readAt).length;
+
+    res.status(200).json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to fetch unread count' });
+  }
+};
+
+/**
+ * Mark one notification as read for the authenticated user
+ * PATCH /api/notifications/:id/read
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Success message
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { [Op.and]: [{ id: req.params.id }, visibleTo(req.user)] }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    // Create the receipt on first read; keep the original read time afterwards
+    const [receipt] = await NotificationReceipt.findOrCreate({
+      where: { notificationId: notification.id, userId: req.user.id },
+      defaults: { readAt: new Date() }
+    });
+    if (!receipt.readAt) {
+      receipt.readAt = new Date();
+      await receipt.save();
+    }
+
+    res.status(200).json({ message: 'Notification marked as read' });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+};
+
+/**
+ * Mark every visible notification as read for the authenticated user
+ * PATCH /api/notifications/read-all
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Success message with the number of notifications updated
+ */
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const unread = (await findVisible(req.user)).filter((n) => !n.receipts?.[0]?.readAt);
+
+    if (unread.length) {
+      const readAt = new Date();
+      await NotificationReceipt.bulkCreate(
+        unread.map((n) => ({ notificationId: n.id, userId: req.user.id, readAt })),
+        { updateOnDuplicate: ['readAt'] }
+      );
+    }
+
+    res.status(200).json({ message: 'All notifications marked as read', updated: unread.length });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+};
+
+/**
+ * Remove a notification from the authenticated user's list
+ * DELETE /api/notifications/:id
+ * Requires: Authentication (JWT token)
+ *
+ * Targeted notifications are deleted; broadcasts are only dismissed for this user
+ *
+ * Returns: Success message
+ */
+exports.deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { [Op.and]: [{ id: req.params.id }, visibleTo(req.user)] }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (notification.userId == null) {
+      const [receipt] = await NotificationReceipt.findOrCreate({
+        where: { notificationId: notification.id, userId: req.user.id },
+        defaults: { dismissed: true }
+      });
+      if (!receipt.dismissed) {
+        receipt.dismissed = true;
+        await receipt.save();
+      }
+    } else {
+      await notification.destroy();
+    }
+
+    res.status(200).json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+};
+
+/**
+ * Send a notification to one user or broadcast it to everyone
+ * POST /api/admin/notifications
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - title: Notification title (required)
+ * - message: Notification body (required)
+ * - type: Notification type (default 'admin')
+ * - userId / userEmail: Recipient; omit both to broadcast
+ *
+ * Returns: Created notification
+ */
+exports.sendNotification = async (req, res) => {
+  try {
+    const { title, message, type = 'admin', userId, userEmail } = req.body;
+
+    // Input validation
+    if (!title || !String(title).trim() || !message || !String(message).trim()) {
+      return res.status(400).json({ error: 'Title and message are required' });
+    }
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid notification type' });
+    }
+
+    // Resolve the recipient when the notification is targeted
+    let recipientId = null;
+    if (userId || userEmail) {
+      const recipient = userId
+        ? await User.findByPk(userId)
+        : await User.findOne({ where: { email: userEmail } });
+      if (!recipient) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      recipientId = recipient.id;
+    }
+
+    const notification = await Notification.create({
+      userId: recipientId,
+      title: String(title).trim(),
+      message: String(message).trim(),
+      type
+    });
+
+    res.status(201).json({
+      message: recipientId ? 'Notification sent successfully' : 'Notification broadcast to all users',
+      notification: formatNotification(notification)
+    });
+  } catch (error) {
+    console.error('Send notification error:', error);
+    res.status(500).json({ error: 'Failed to send notification' });
+  }
+};
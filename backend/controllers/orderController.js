@@ -0,0 +1,967 @@
+/**
+ * Order Controller
+ * Handles checkout, promo code quotes, stock holds, customer order history, and admin order management
+ * Totals are always computed server-side from the current store offers, delivery rules, promo codes, and the
+ * sales tax rate for the shipping address, and ordered units (and code uses) are taken in the same transaction
+ * as the order. Orders are charged in the store's currency and record the exchange rate to the base currency.
+ * Status changes follow the order lifecycle (see utils/orderStatus) and each one is recorded in the order's history.
+ * Card orders wait for their payment (see utils/payments), which is captured when they ship
+ */
+
+const {
+  sequelize, User, Product, Offer, Store, Order, OrderItem, OrderStatusChange, ReturnRequest, CartItem, StockReservation,
+  DeliveryRule, Payment, Invoice
+} = require('../models');
+const { ORDER_STATUSES, PAYMENT_METHODS, BASE_CURRENCY } = require('../config/constants');
+const { notifyOrderStatusChange } = require('../utils/notifications');
+const { roundMoney } = require('../utils/money');
+const { calculateDeliveryFee } = require('../utils/delivery');
+const { parseShipTo, loadTaxRate, applyTax, describeTaxRate } = require('../utils/tax');
+const { loadRates, rateFor } = require('../utils/currency');
+const { planCart, parseMaxStores, noPlanMessage } = require('../utils/cartOptimizer');
+const { takeStock, restoreStock, reserveStock } = require('../utils/stock');
+const { checkRestockAlerts } = require('../utils/priceAlerts');
+const {
+  parseCodes, couponProblem, describeCoupon, applyCoupons, loadCoupons, redeemCoupons, releaseCoupon
+} = require('../utils/coupons');
+const { TransitionError, nextStatuses, transitionProblem, parseStatusNote } = require('../utils/orderStatus');
+const { OPEN_RETURN_STATUSES, returnDeadline } = require('../utils/returns');
+const {
+  paymentErrorStatus, formatPayment, startPayment, capturePayment, cancelPayment, releaseOrder
+} = require('../utils/payments');
+
+// Associations loaded whenever an order is returned to the client
+const ORDER_INCLUDE = [
+  { model: OrderItem, as: 'items', include: [{ model: Product, as: 'product', attributes: ['id', 'imageUrl'] }] },
+  { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+  { model: Store, as: 'store', attributes: ['id', 'name'] },
+  { model: OrderStatusChange, as: 'history', include: [{ model: User, as: 'changedByUser', attributes: ['id', 'name'] }] },
+  { model: Payment, as: 'payment' }
+];
+
+// Orders a customer can remove from their history, and the only ones an admin can delete
+const FINISHED_ORDER_STATUSES = ['delivered', 'cancelled', 'partially_returned', 'returned'];
+
+// Orders whose sale counts towards revenue (refunded returns are taken off)
+const SOLD_ORDER_STATUSES = ['delivered', 'partially_returned', 'returned'];
+
+// Active stores are loaded with their delivery rule for pricing
+const ACTIVE_STORES = { where: { active: true }, include: [{ model: DeliveryRule, as: 'deliveryRule' }] };
+
+/**
+ * Convert a status history row into the shape used by the tracking timeline
+ * @param {Object} change - OrderStatusChange instance with its user loaded
+ * @returns {Object} Plain status change object
+ */
+const formatStatusChange = (change) => ({
+  id: change.id,
+  fromStatus: change.fromStatus || null,
+  toStatus: change.toStatus,
+  note: change.note || '',
+  changedAt: change.changedAt,
+  changedBy: change.changedByUser ? { id: change.changedByUser.id, name: change.changedByUser.name } : null
+});
+
+/**
+ * Convert an order (with items, user, status history, and payment) into the shape used by the dashboards
+ * Single-line orders show the product name; multi-line orders show an item count
+ * @param {Object} order - Order instance with ORDER_INCLUDE loaded
+ * @returns {Object} Plain order object
+ */
+const formatOrder = (order) => {
+  const items = (order.items || []).map((item) => ({
+    id: item.id,
+    productId: item.productId,
+    productName: item.productName,
+    imageUrl: item.product?.imageUrl || '',
+    price: Number(item.price),
+    quantity: item.quantity
+  }));
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  const subtotal = Number(order.subtotal);
+
+  return {
+    id: order.id,
+    userId: order.userId,
+    userName: order.user?.name || null,
+    userEmail: order.user?.email || null,
+    storeId: order.storeId,
+    storeName: order.store?.name || order.storeId,
+    status: order.status,
+    nextStatuses: nextStatuses(order.status),
+    // Last day items can be returned (null unless the order has been delivered)
+    returnableUntil: returnDeadline(order),
+    history: [...(order.history || [])]
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt))
+      .map(formatStatusChange),
+    address: order.address,
+    region: order.region || '',
+    postalCode: order.postalCode || '',
+    paymentMethod: order.paymentMethod,
+    paymentNote: order.paymentNote || '',
+    // Card payment (null for cash on delivery)
+    payment: formatPayment(order.payment),
+    productId: items[0]?.productId || null,
+    productName: items.length === 1 ? items[0].productName : `${items.length} items`,
+    quantity,
+    price: items.length === 1 ? items[0].price : roundMoney(subtotal / Math.max(quantity, 1)),
+    subtotal,
+    deliveryFee: Number(order.deliveryFee),
+    couponCode: order.couponCode || null,
+    discount: Number(order.discount || 0),
+    taxRate: Number(order.taxRate || 0),
+    tax: Number(order.tax || 0),
+    taxIncluded: Boolean(order.taxIncluded),
+    total: Number(order.total),
+    currency: order.currency || BASE_CURRENCY,
+    exchangeRate: Number(order.exchangeRate || 1),
+    items,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+};
+
+/**
+ * Price a set of order lines at one store
+ * Delivery is worked out from the store's delivery rule and the offers' surcharges (see utils/delivery)
+ * @param {Object} store - Active Store instance with its delivery rule loaded
+ * @param {Array} lines - [{ productId, quantity }]
+ * @param {Array} offers - Available offers for the ordered products
+ * @returns {Object|null} { items, subtotal, deliveryFee, total, currency } in the store's currency,
+ *   or null if a product is not sold there
+ */
+const priceAtStore = (store, lines, offers) => {
+  const items = [];
+  for (const line of lines) {
+    const offer = offers.find((o) => o.storeId === store.id && o.productId === line.productId);
+    if (!offer) return null;
+    items.push({
+      productId: line.productId,
+      productName: offer.product?.name || `Product ${line.productId}`,
+      category: offer.product?.category || null,
+      price: Number(offer.price),
+      quantity: line.quantity,
+      surcharge: offer.deliverySurcharge,
+      offer
+    });
+  }
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const deliveryFee = calculateDeliveryFee(store.deliveryRule, items);
+
+  return { items, subtotal, deliveryFee, total: roundMoney(subtotal + deliveryFee), currency: store.currency || BASE_CURRENCY };
+};
+
+/**
+ * Validate and merge the requested order lines
+ * Duplicate product IDs are combined into one line
+ * @param {Array} items - [{ productId, quantity }] from the request body
+ * @returns {{ error: string|null, lines: Array }} Validation error or normalized lines
+ */
+const parseLines = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Order must contain at least one item', lines: [] };
+  }
+
+  const merged = new Map();
+  for (const item of items) {
+    const productId = Number(item?.productId);
+    const quantity = Number(item?.quantity ?? 1);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: 'Invalid product in order', lines: [] };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Quantity must be a positive whole number', lines: [] };
+    }
+    merged.set(productId, (merged.get(productId) || 0) + quantity);
+  }
+
+  return {
+    error: null,
+    lines: [...merged.entries()].map(([productId, quantity]) => ({ productId, quantity }))
+  };
+};
+
+/**
+ * Validate the payment method chosen at checkout
+ * @param {*} method - Raw payment method (defaults to cash on delivery)
+ * @returns {{ error: string|null, paymentMethod: string }} Validation error or the payment method
+ */
+const parsePaymentMethod = (method) => {
+  const paymentMethod = method ?? 'cod';
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, paymentMethod };
+  }
+  return { error: null, paymentMethod };
+};
+
+/**
+ * Start the card payments of newly placed orders
+ * If the provider fails, all of the orders are released (nothing is charged for them) and the error is passed on
+ * @param {Array<number>} orderIds - Orders awaiting payment
+ * @returns {Promise<void>}
+ * @throws {PaymentError} If a payment can't be started
+ */
+const startPayments = async (orderIds) => {
+  try {
+    for (const order of await Order.findAll({ where: { id: orderIds }, order: [['id', 'ASC']] })) {
+      await startPayment(order);
+    }
+  } catch (error) {
+    for (const orderId of orderIds) {
+      await releaseOrder(orderId, 'The card payment could not be started.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save an order and its line items, taking the ordered units out of stock and counting the promo code use
+ * Card orders start out awaiting_payment; everything else is pending
+ * @param {Object} details - userId, storeId, address, shipTo ({ region, postalCode }), paymentMethod, paymentNote,
+ *   and priced ({ items, subtotal, deliveryFee, discounts, discount, taxRate, tax, taxIncluded, total, currency,
+ *   exchangeRate } for one store)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Created order ID
+ * @throws {OutOfStockError} If an item doesn't have enough units left (the transaction is rolled back)
+ * @throws {CouponError} If the promo code can no longer be used
+ */
+const saveOrder = async ({ userId, storeId, address, shipTo, paymentMethod, paymentNote, priced }, transaction) => {
+  await takeStock(priced.items, storeId, userId, transaction);
+  await redeemCoupons(priced.discounts || [], transaction);
+
+  const status = paymentMethod === 'card' ? 'awaiting_payment' : 'pending';
+  const order = await Order.create({
+    userId,
+    storeId,
+    status,
+    address: String(address).trim(),
+    region: shipTo.region || null,
+    postalCode: shipTo.postalCode || null,
+    paymentMethod: paymentMethod || 'cod',
+    paymentNote: paymentNote || '',
+    subtotal: priced.subtotal,
+    deliveryFee: priced.deliveryFee,
+    couponCode: priced.discounts?.[0]?.code || null,
+    discount: priced.discount || 0,
+    taxRate: priced.taxRate || 0,
+    tax: priced.tax || 0,
+    taxIncluded: Boolean(priced.taxIncluded),
+    total: priced.total,
+    currency: priced.currency || BASE_CURRENCY,
+    exchangeRate: priced.exchangeRate || 1
+  }, { transaction });
+
+  await OrderItem.bulkCreate(priced.items.map((item) => ({
+    orderId: order.id,
+    productId: item.productId,
+    productName: item.productName,
+    price: item.price,
+    quantity: item.quantity
+  })), { transaction });
+
+  // First step of the tracking timeline
+  await OrderStatusChange.create({ orderId: order.id, fromStatus: null, toStatus: status, changedBy: userId }, { transaction });
+
+  return order.id;
+};
+
+/**
+ * Place a new order for the authenticated user
+ * POST /api/orders
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - items: [{ productId, quantity }] (required)
+ * - storeId: Store to order from; defaults to the cheapest store (after promo codes and tax, compared in the base
+ *   currency) that stocks every item
+ * - address: Delivery address (required)
+ * - shipTo: { region, postalCode } of the address, used for sales tax (optional; no tax without it)
+ * - paymentMethod: 'cod' (default) or 'card'; card orders wait for their payment to be confirmed
+ *   (POST /api/payments/:id/confirm) and are released if it fails or isn't completed in time
+ * - paymentNote: Optional payment note
+ * - couponCodes: Promo codes to try (optional); the best one valid at the store is applied
+ *
+ * Returns: Created order (with its payment for card orders)
+ */
+exports.createOrder = async (req, res) => {
+  try {
+    const { items, storeId, address, paymentNote } = req.body;
+    const couponCodes = parseCodes(req.body.couponCodes);
+    const shipTo = parseShipTo(req.body.shipTo);
+
+    // Input validation
+    const { error, lines } = parseLines(items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { error: paymentError, paymentMethod } = parsePaymentMethod(req.body.paymentMethod);
+    if (paymentError) {
+      return res.status(400).json({ error: paymentError });
+    }
+    if (!address || !String(address).trim()) {
+      return res.status(400).json({ error: 'Delivery address is required' });
+    }
+
+    // Orders can only be placed at active stores
+    const stores = await Store.findAll(ACTIVE_STORES);
+    if (storeId && !stores.some((s) => s.id === storeId)) {
+      return res.status(400).json({ error: `Unknown store: ${storeId}` });
+    }
+
+    // Load every available offer for the ordered products, the coupons for the entered codes, the tax rate,
+    // and the exchange rates
+    const [offers, coupons, taxRate, rates] = await Promise.all([
+      Offer.findAll({
+        where: { productId: lines.map((line) => line.productId), available: true },
+        include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'category'] }]
+      }),
+      loadCoupons(couponCodes),
+      loadTaxRate(shipTo),
+      loadRates()
+    ]);
+
+    /**
+     * Price the order at a store with its best promo code and sales tax
+     * @param {Object} candidate - Store
+     * @returns {Object|null} Priced order with the store's exchange rate, or null if an item isn't sold there
+     */
+    const quoteAt = (candidate) => {
+      const base = priceAtStore(candidate, lines, offers);
+      if (!base) return null;
+      const priced = applyTax(applyCoupons(base, candidate.id, coupons), taxRate, candidate.pricesIncludeTax);
+      return { ...priced, exchangeRate: rateFor(rates, priced.currency) };
+    };
+
+    let store;
+    let priced;
+    if (storeId) {
+      store = stores.find((s) => s.id === storeId);
+      if (!rateFor(rates, store.currency || BASE_CURRENCY)) {
+        return res.status(400).json({ error: `${store.name} prices can't be converted to ${BASE_CURRENCY} right now` });
+      }
+      priced = quoteAt(store);
+      if (!priced) {
+        return res.status(400).json({ error: `Some items are not available at ${store.name}` });
+      }
+    } else {
+      // Pick the cheapest store (in the base currency) that can fulfil the whole order from its stock
+      const candidates = stores
+        .map((candidate) => ({ store: candidate, priced: quoteAt(candidate) }))
+        .filter((candidate) => candidate.priced?.exchangeRate)
+        .filter((candidate) => candidate.priced.items.every((item) => item.offer.stock >= item.quantity))
+        .sort((a, b) => a.priced.total / a.priced.exchangeRate - b.priced.total / b.priced.exchangeRate);
+      if (!candidates.length) {
+        return res.status(400).json({ error: 'No single store has every item in your order' });
+      }
+      ({ store, priced } = candidates[0]);
+    }
+
+    const orderId = await sequelize.transaction((transaction) => saveOrder({
+      userId: req.user.id,
+      storeId: store.id,
+      address,
+      shipTo,
+      paymentMethod,
+      paymentNote,
+      priced
+    }, transaction));
+    if (paymentMethod === 'card') {
+      await startPayments([orderId]);
+    }
+
+    const order = await Order.findByPk(orderId, { include: ORDER_INCLUDE });
+
+    res.status(201).json({
+      message: paymentMethod === 'card' ? 'Order created; confirm the payment to place it' : 'Order placed successfully',
+      order: formatOrder(order)
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+
+    // Not enough stock left, or the promo code ran out (nothing was saved)
+    if (error.name === 'OutOfStockError' || error.name === 'CouponError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // The card payment couldn't be started (the order was released)
+    if (error.name === 'PaymentError') {
+      return res.status(paymentErrorStatus(error)).json({ error: `Card payment failed to start, so no order was placed: ${error.message}` });
+    }
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to place order' });
+  }
+};
+
+/**
+ * Check out a cart split across the cheapest combination of stores
+ * POST /api/orders/checkout
+ * Requires: Authentication (JWT token)
+ *
+ * Places one order per store in the optimizer's plan (each pays that store's delivery fee once)
+ * and removes the purchased products from the saved cart
+ *
+ * Request body:
+ * - items: [{ productId, quantity }] (required)
+ * - maxStores: Most stores to split the cart across (optional, default no limit)
+ * - address: Delivery address (required)
+ * - shipTo: { region, postalCode } of the address, used for sales tax (optional; no tax without it)
+ * - paymentMethod: 'cod' (default) or 'card'; each card order has its own payment to confirm
+ * - paymentNote: Optional payment note
+ * - couponCodes: Promo codes to try (optional); each store order gets the best one valid at that store
+ *
+ * Returns: { orders, total, savings, currency } - total and savings are in the base currency
+ */
+exports.checkoutCart = async (req, res) => {
+  try {
+    const { items, address, paymentNote } = req.body;
+    const couponCodes = parseCodes(req.body.couponCodes);
+    const shipTo = parseShipTo(req.body.shipTo);
+
+    // Input validation
+    const { error, lines } = parseLines(items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { error: paymentError, paymentMethod } = parsePaymentMethod(req.body.paymentMethod);
+    if (paymentError) {
+      return res.status(400).json({ error: paymentError });
+    }
+    const { error: limitError, maxStores } = parseMaxStores(req.body.maxStores);
+    if (limitError) {
+      return res.status(400).json({ error: limitError });
+    }
+    if (!address || !String(address).trim()) {
+      return res.status(400).json({ error: 'Delivery address is required' });
+    }
+
+    const plan = await planCart(lines, { maxStores, couponCodes, shipTo });
+    if (!plan) {
+      return res.status(400).json({ error: noPlanMessage(maxStores) });
+    }
+    if (plan.unavailable.length) {
+      const names = plan.unavailable.map((item) => item.productName).join(', ');
+      return res.status(400).json({ error: `Not in stock at any store: ${names}` });
+    }
+
+    const orderIds = await sequelize.transaction(async (transaction) => {
+      const ids = [];
+      for (const group of plan.stores) {
+        ids.push(await saveOrder({
+          userId: req.user.id,
+          storeId: group.storeId,
+          address,
+          shipTo,
+          paymentMethod,
+          paymentNote,
+          priced: group
+        }, transaction));
+      }
+
+      await CartItem.destroy({
+        where: { userId: req.user.id, productId: lines.map((line) => line.productId) },
+        transaction
+      });
+
+      return ids;
+    });
+    if (paymentMethod === 'card') {
+      await startPayments(orderIds);
+    }
+
+    const orders = await Order.findAll({
+      where: { id: orderIds },
+      include: ORDER_INCLUDE,
+      order: [['id', 'ASC']]
+    });
+
+    const placed = orders.length > 1 ? `${orders.length} orders` : 'Order';
+    res.status(201).json({
+      message: paymentMethod === 'card' ? `${placed} created; confirm the payment to place ${orders.length > 1 ? 'them' : 'it'}` : `${placed} placed successfully`,
+      orders: orders.map(formatOrder),
+      total: plan.total,
+      savings: plan.savings,
+      currency: plan.currency
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+
+    // Not enough stock left, or a promo code ran out (nothing was saved)
+    if (error.name === 'OutOfStockError' || error.name === 'CouponError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // The card payments couldn't be started (the orders were released)
+    if (error.name === 'PaymentError') {
+      return res.status(paymentErrorStatus(error)).json({ error: `Card payment failed to start, so no order was placed: ${error.message}` });
+    }
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to place order' });
+  }
+};
+
+/**
+ * Price the cart at every active store and check promo codes
+ * POST /api/orders/quote
+ * Public (guests see the same totals as signed-in shoppers)
+ *
+ * Each store is priced for the items it sells, in its own currency, with the same delivery rules and sales tax
+ * as an order placed there; the best code valid at that store is shown as a discount line. exchangeRate converts
+ * a store's amounts to the base currency for comparison; stores whose currency has no rate are left out
+ *
+ * Request body:
+ * - items: [{ productId, quantity }] (required)
+ * - couponCodes: Promo codes to check
+ * - shipTo: { region, postalCode } to work out sales tax for (optional)
+ *
+ * Returns: {
+ *   codes: [{ code, valid, error, coupons: [{ storeId, storeName, description }] }],
+ *   tax: { name, rate, description } or null when no rate applies,
+ *   stores: [{ storeId, storeName, currency, exchangeRate, subtotal, deliveryFee, discounts, discount, taxRate, tax,
+ *     taxIncluded, total, missingCount }]
+ * }
+ */
+exports.quoteOrder = async (req, res) => {
+  try {
+    const { error, lines } = parseLines(req.body.items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const couponCodes = parseCodes(req.body.couponCodes);
+    const shipTo = parseShipTo(req.body.shipTo);
+
+    const [stores, offers, coupons, taxRate, rates] = await Promise.all([
+      Store.findAll(ACTIVE_STORES),
+      Offer.findAll({
+        where: { productId: lines.map((line) => line.productId), available: true },
+        include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'category'] }]
+      }),
+      loadCoupons(couponCodes),
+      loadTaxRate(shipTo),
+      loadRates()
+    ]);
+
+    // A code is valid if it can be used at any active store right now
+    const now = new Date();
+    const codes = couponCodes.map((code) => {
+      const matches = coupons.filter((coupon) => coupon.code === code && stores.some((s) => s.id === coupon.storeId));
+      const usable = matches.filter((coupon) => !couponProblem(coupon, now));
+      return {
+        code,
+        valid: usable.length > 0,
+        error: usable.length ? null : (matches.length ? couponProblem(matches[0], now) : 'Unknown promo code'),
+        coupons: usable.map((coupon) => ({
+          storeId: coupon.storeId,
+          storeName: stores.find((s) => s.id === coupon.storeId).name,
+          description: describeCoupon(coupon)
+        }))
+      };
+    });
+
+    const quotes = [];
+    for (const store of stores) {
+      const sold = lines.filter((line) => offers.some((o) => o.storeId === store.id && o.productId === line.productId));
+      const exchangeRate = rateFor(rates, store.currency || BASE_CURRENCY);
+      if (!sold.length || !exchangeRate) continue;
+      const discounted = applyCoupons(priceAtStore(store, sold, offers), store.id, coupons, now);
+      const priced = applyTax(discounted, taxRate, store.pricesIncludeTax);
+      quotes.push({
+        storeId: store.id,
+        storeName: store.name,
+        currency: priced.currency,
+        exchangeRate,
+        subtotal: priced.subtotal,
+        deliveryFee: priced.deliveryFee,
+        discounts: priced.discounts.map(({ code, description, amount }) => ({ code, description, amount })),
+        discount: priced.discount,
+        taxRate: priced.taxRate,
+        tax: priced.tax,
+        taxIncluded: priced.taxIncluded,
+        total: priced.total,
+        missingCount: lines.length - sold.length
+      });
+    }
+
+    const tax = taxRate
+      ? { name: taxRate.name, rate: Number(taxRate.rate), description: describeTaxRate(taxRate) }
+      : null;
+
+    res.status(200).json({ codes, tax, stores: quotes });
+  } catch (error) {
+    console.error('Quote order error:', error);
+    res.status(500).json({ error: 'Failed to check promo codes' });
+  }
+};
+
+/**
+ * Hold stock for the authenticated user while they check out
+ * POST /api/orders/reservations
+ * Requires: Authentication (JWT token)
+ *
+ * Held units count as sold for other shoppers until the hold expires (STOCK_RESERVATION_MINUTES)
+ * or the order is placed. Reserving the same product at the same store again replaces the hold.
+ *
+ * Request body:
+ * - productId: Product to hold (required)
+ * - storeId: Store to hold it at (required)
+ * - quantity: Units to hold (default 1)
+ *
+ * Returns: { reservation: { id, productId, storeId, quantity, expiresAt } }
+ */
+exports.createReservation = async (req, res) => {
+  try {
+    const { productId, storeId } = req.body;
+    const quantity = Number(req.body.quantity ?? 1);
+
+    if (!productId || !storeId) {
+      return res.status(400).json({ error: 'productId and storeId are required' });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a positive whole number' });
+    }
+
+    const reservation = await sequelize.transaction((transaction) => reserveStock({
+      userId: req.user.id,
+      productId: Number(productId),
+      storeId,
+      quantity
+    }, transaction));
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'This product is not sold at that store' });
+    }
+
+    res.status(201).json({
+      reservation: {
+        id: reservation.id,
+        productId: Number(productId),
+        storeId,
+        quantity: reservation.quantity,
+        expiresAt: reservation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Create reservation error:', error);
+
+    // Not enough stock left to hold
+    if (error.name === 'OutOfStockError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to reserve stock' });
+  }
+};
+
+/**
+ * Release a stock hold (e.g. the checkout modal was closed)
+ * DELETE /api/orders/reservations/:id
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Success message
+ */
+exports.deleteReservation = async (req, res) => {
+  try {
+    const reservation = await StockReservation.findOne({ where: { id: req.params.id, userId: req.user.id } });
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    await reservation.destroy();
+
+    res.status(200).json({ message: 'Reservation released' });
+  } catch (error) {
+    console.error('Delete reservation error:', error);
+    res.status(500).json({ error: 'Failed to release reservation' });
+  }
+};
+
+/**
+ * Get the authenticated user's orders, newest first
+ * GET /api/orders/mine
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Array of orders
+ */
+exports.getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.findAll({
+      where: { userId: req.user.id, hiddenAt: null },
+      include: ORDER_INCLUDE,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({ orders: orders.map(formatOrder) });
+  } catch (error) {
+    console.error('Get my orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+};
+
+/**
+ * Remove a finished order from the authenticated user's history
+ * DELETE /api/orders/:id
+ * Requires: Authentication (JWT token)
+ *
+ * Only delivered, returned, or cancelled orders without a return in progress can be removed by the customer.
+ * The order is only hidden from them; it stays for the admin, the revenue stats, and its invoice
+ *
+ * Returns: Success message
+ */
+exports.deleteMyOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ where: { id: req.params.id, userId: req.user.id, hiddenAt: null } });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!FINISHED_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ error: 'Only delivered or cancelled orders can be deleted' });
+    }
+
+    if (await ReturnRequest.count({ where: { orderId: order.id, status: OPEN_RETURN_STATUSES } })) {
+      return res.status(400).json({ error: 'This order has a return in progress' });
+    }
+
+    order.hiddenAt = new Date();
+    await order.save();
+
+    res.status(200).json({ message: 'Order removed from your history' });
+  } catch (error) {
+    console.error('Delete my order error:', error);
+    res.status(500).json({ error: 'Failed to delete order' });
+  }
+};
+
+/**
+ * Get all orders from every customer, newest first
+ * GET /api/admin/orders
+ * Requires: Admin authentication
+ *
+ * Query params (optional):
+ * - status: Only return orders with this status
+ *
+ * Returns: Array of orders
+ */
+exports.getAllOrders = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query?.status && ORDER_STATUSES.includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const orders = await Order.findAll({
+      where,
+      include: ORDER_INCLUDE,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({ orders: orders.map(formatOrder) });
+  } catch (error) {
+    console.error('Get all orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+};
+
+/**
+ * Get order counts per status and delivered revenue
+ * GET /api/admin/orders/stats
+ * Requires: Admin authentication
+ *
+ * Returns: { stats: { total, <count per status>, revenue, tax, refunds, openReturns, currency } }
+ * (revenue is what delivered orders charged, tax included, less refunded returns; tax is the sales tax within it
+ * and refunds what was given back. All are converted to the base currency at the rate each order recorded)
+ */
+exports.getOrderStats = async (req, res) => {
+  try {
+    const stats = { total: await Order.count() };
+    for (const status of ORDER_STATUSES) {
+      stats[status] = await Order.count({ where: { status } });
+    }
+    // Revenue only counts orders that have actually been delivered, less what was refunded on them
+    const sold = await Order.findAll({
+      where: { status: SOLD_ORDER_STATUSES },
+      attributes: ['total', 'tax', 'exchangeRate']
+    });
+    const refunded = await ReturnRequest.findAll({
+      where: { status: 'refunded' },
+      attributes: ['refundAmount', 'tax'],
+      include: [{ model: Order, as: 'order', attributes: ['exchangeRate'] }]
+    });
+    const inBase = (rows, key, rateOf) => rows.reduce((sum, row) => sum + Number(row[key]) / Number(rateOf(row) || 1), 0);
+    const refunds = inBase(refunded, 'refundAmount', (row) => row.order?.exchangeRate);
+    stats.revenue = roundMoney(inBase(sold, 'total', (row) => row.exchangeRate) - refunds);
+    stats.tax = roundMoney(inBase(sold, 'tax', (row) => row.exchangeRate) - inBase(refunded, 'tax', (row) => row.order?.exchangeRate));
+    stats.refunds = roundMoney(refunds);
+    stats.openReturns = await ReturnRequest.count({ where: { status: OPEN_RETURN_STATUSES } });
+    stats.currency = BASE_CURRENCY;
+
+    res.status(200).json({ stats });
+  } catch (error) {
+    console.error('Get order stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch order stats' });
+  }
+};
+
+/**
+ * Move an order to its next status and notify the customer
+ * PATCH /api/admin/orders/:id/status
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - status: New status; must be a legal next step (pending → processing → shipped → delivered,
+ *   or cancelled before shipping)
+ * - note: Shown on the order's tracking timeline (optional, up to 500 characters)
+ *
+ * Cancelling restores the order's stock and gives back its promo code use, and releases (or refunds) a card payment;
+ * shipping captures it. Each change is added to the order's history with the acting admin
+ *
+ * Returns: Updated order with its history
+ */
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid order status' });
+    }
+
+    const { error: noteError, note } = parseStatusNote(req.body.note);
+    if (noteError) {
+      return res.status(400).json({ error: noteError });
+    }
+
+    const order = await Order.findByPk(req.params.id, { include: ORDER_INCLUDE });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const problem = transitionProblem(order.status, status);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    // Claim the change with the order locked, so of two admins changing it at once only one goes on
+    // (and settles the payment)
+    const fromStatus = await sequelize.transaction(async (transaction) => {
+      const current = await Order.findByPk(order.id, { transaction, lock: true });
+      const previous = current.status;
+      const conflict = transitionProblem(previous, status);
+      if (conflict) {
+        throw new TransitionError(conflict);
+      }
+      current.status = status;
+      await current.save({ transaction });
+      return previous;
+    });
+
+    // Card payments are settled once the change is claimed; if the provider refuses, the order goes back
+    try {
+      if (order.payment && status === 'cancelled') {
+        await cancelPayment(order.payment);
+      } else if (order.payment && status === 'shipped') {
+        await capturePayment(order.payment);
+      }
+    } catch (paymentError) {
+      await Order.update({ status: fromStatus }, { where: { id: order.id, status } });
+      throw paymentError;
+    }
+
+    // Cancelling puts the units (and the code use) back
+    const restocked = await sequelize.transaction(async (transaction) => {
+      let back = [];
+      if (status === 'cancelled') {
+        back = await restoreStock(order.items || [], order.storeId, transaction);
+        await releaseCoupon(order.couponCode, order.storeId, transaction);
+      }
+      await OrderStatusChange.create({
+        orderId: order.id,
+        fromStatus,
+        toStatus: status,
+        changedBy: req.user?.id ?? null,
+        note
+      }, { transaction });
+      return back;
+    });
+
+    // Watchers of offers that came back in stock hear about it in the background
+    checkRestockAlerts(restocked).catch((error) => console.error('Price alert error:', error));
+
+    // Reload so the response includes the new history row
+    const updated = await Order.findByPk(order.id, { include: ORDER_INCLUDE });
+
+    // Let the customer know; a failed notification shouldn't undo the status change
+    try {
+      await notifyOrderStatusChange(formatOrder(updated), status);
+    } catch (notifyError) {
+      console.error('Order status notification error:', notifyError);
+    }
+
+    res.status(200).json({
+      message: 'Order status updated successfully',
+      order: formatOrder(updated)
+    });
+  } catch (error) {
+    // Another change got there first
+    if (error.name === 'TransitionError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update order status error:', error);
+
+    // The payment provider refused to release or capture the payment
+    if (error.name === 'PaymentError') {
+      return res.status(paymentErrorStatus(error)).json({ error: `Payment error: ${error.message}` });
+    }
+
+    res.status(500).json({ error: 'Failed to update order status' });
+  }
+};
+
+/**
+ * Permanently delete an order
+ * DELETE /api/admin/orders/:id
+ * Requires: Admin authentication
+ *
+ * Only finished orders can be deleted: active ones have to be cancelled first, which puts their stock and promo code
+ * use back and releases their payment. Orders with an invoice can't be deleted, so invoice numbers stay gapless
+ *
+ * Returns: Success message
+ */
+exports.deleteOrder = async (req, res) => {
+  try {
+    const order = await Order.findByPk(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!FINISHED_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ error: 'Cancel the order before deleting it' });
+    }
+
+    if (await Invoice.count({ where: { orderId: order.id } })) {
+      return res.status(400).json({ error: 'This order has an invoice, so it can\'t be deleted' });
+    }
+
+    await order.destroy();
+
+    res.status(200).json({ message: 'Order deleted successfully' });
+  } catch (error) {
+    console.error('Delete order error:', error);
+    res.status(500).json({ error: 'Failed to delete order' });
+  }
+};
@@ -1,58 +1,18 @@
 /**
  * Password Reset Controller
  * Handles forgot password and reset password functionality
- * Uses crypto for secure token generation and nodemailer for email delivery
+ * Reset links use hashed, expiring email tokens (see utils/emailTokens) and are sent with the shared mailer
+ * Both endpoints are throttled per IP address (and reset emails per address too, see utils/throttle)
  */
 
-const crypto = require('crypto');
 const User = require('../models/User');
-const nodemailer = require('nodemailer');
 const { Op } = require('sequelize');
-
-/**
- * Configure nodemailer transporter
- * Priority: ENV SMTP > Gmail > Ethereal (auto-created test account)
- */
-const getTransporter = async () => {
-  // Use environment variables if available
-  if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-    return nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: parseInt(process.env.EMAIL_PORT) || 587,
-      secure: process.env.EMAIL_SECURE === 'true',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-  }
-
-  // Gmail with app password
-  if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
-    return nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.GMAIL_USER,
-        pass: process.env.GMAIL_APP_PASSWORD
-      }
-    });
-  }
-
-  // Fallback: Ethereal test account (emails viewable at ethereal.email)
-  const testAccount = await nodemailer.createTestAccount();
-  console.log('📧 Created Ethereal test email account:');
-  console.log(`   User: ${testAccount.user}`);
-  console.log(`   Pass: ${testAccount.pass}`);
-  return nodemailer.createTransport({
-    host: 'smtp.ethereal.email',
-    port: 587,
-    secure: false,
-    auth: {
-      user: testAccount.user,
-      pass: testAccount.pass
-    }
-  });
-};
+const { sendMail } = require('../utils/mailer');
+const { escapeHtml } = require('../utils/html');
+const { createEmailToken, hashEmailToken } = require('../utils/emailTokens');
+const { revokeUserSessions } = require('../utils/sessions');
+const { checkThrottle, recordFailure } = require('../utils/throttle');
+const { unlockAccount } = require('../utils/accountLockout');
 
 /**
  * Forgot Password - Request password reset
@@ -62,6 +22,8 @@ const getTransporter = async () => {
  * and sends a reset link via email.
  * 
  * Security: Always returns success to prevent email enumeration.
+ * Every request counts against the IP address and the email address, so
+ * repeated requests get 429 with Retry-After.
  */
 exports.forgotPassword = async (req, res) => {
   try {
@@ -71,6 +33,11 @@ exports.forgotPassword = async (req, res) => {
       return res.status(400).json({ error: 'Please provide an email address' });
     }
 
+    // Each request sends an email, so each one counts (whether or not the account exists)
+    const attempt = { action: 'forgot-password', ip: req.ip, account: email };
+    await checkThrottle(attempt);
+    await recordFailure(attempt);
+
     // Generic success message (used regardless of whether email exists)
     const successMessage = 'If an account with that email exists, a password reset link has been sent.';
 
@@ -82,15 +49,10 @@ exports.forgotPassword = async (req, res) => {
       return res.status(200).json({ message: successMessage });
     }
 
-    // Generate secure random token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-
-    // Hash the token before storing (so even DB access won't reveal the token)
-    const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-
-    // Store hashed token and expiry (20 minutes from now)
-    user.resetPasswordToken = hashedToken;
-    user.resetPasswordExpires = new Date(Date.now() + 20 * 60 * 1000); // 20 minutes
+    // Generate a token that works for 20 minutes; only its hash is stored (so even DB access won't reveal the token)
+    const { token: resetToken, tokenHash, expiresAt } = createEmailToken(20);
+    user.resetPasswordToken = tokenHash;
+    user.resetPasswordExpires = expiresAt;
     await user.save({ hooks: false }); // Skip password hashing hook
 
     // Build reset URL (unhashed token goes in the URL)
@@ -99,7 +61,6 @@ exports.forgotPassword = async (req, res) => {
 
     // Email content
     const mailOptions = {
-      from: process.env.EMAIL_FROM || process.env.GMAIL_USER || '"CleanCart" <noreply@cleancart.com>',
       to: user.email,
       subject: 'CleanCart - Password Reset Request',
       html: `
@@ -110,7 +71,7 @@ exports.forgotPassword = async (req, res) => {
             </div>
             <h2 style="color: #1e1b4b; margin-bottom: 16px;">Password Reset Request</h2>
             <p style="color: #64748b; line-height: 1.6;">
-              Hello <strong>${user.name}</strong>,
+              Hello <strong>${escapeHtml(user.name)}</strong>,
             </p>
             <p style="color: #64748b; line-height: 1.6;">
               We received a request to reset your password. Click the button below to create a new password:
@@ -134,22 +95,16 @@ exports.forgotPassword = async (req, res) => {
     };
 
     // Send email
-    const transporter = await getTransporter();
-    const info = await transporter.sendMail(mailOptions);
+    await sendMail(mailOptions);
     console.log(`✅ Password reset email sent to ${user.email}`);
 
-    // If using Ethereal, log the preview URL so you can view the email
-    const previewURL = nodemailer.getTestMessageUrl(info);
-    if (previewURL) {
-      console.log('========================================');
-      console.log('📧 VIEW EMAIL AT ETHEREAL:');
-      console.log(`   ${previewURL}`);
-      console.log('========================================');
-    }
-
     res.status(200).json({ message: successMessage });
 
   } catch (error) {
+    if (error.name === 'ThrottleError') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
     console.error('Forgot password error:', error);
     res.status(500).json({ error: 'An error occurred. Please try again later.' });
   }
@@ -160,7 +115,9 @@ exports.forgotPassword = async (req, res) => {
  * POST /api/auth/reset-password
  * 
  * Validates the token, checks expiry, hashes new password, and saves.
- * Token is invalidated after use.
+ * Token is invalidated after use, and every session of the user is signed out.
+ * Resetting also unlocks an account locked by failed logins.
+ * Invalid tokens count against the IP address (429 with Retry-After after repeated failures).
  */
 exports.resetPassword = async (req, res) => {
   try {
@@ -180,8 +137,12 @@ exports.resetPassword = async (req, res) => {
       return res.status(400).json({ error: 'Passwords do not match' });
     }
 
+    // Slow down guessing tokens from one IP address
+    const attempt = { action: 'reset-password', ip: req.ip };
+    await checkThrottle(attempt);
+
     // Hash the provided token to compare with stored hash
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const hashedToken = hashEmailToken(token);
 
     // Find user with matching token that hasn't expired
     const user = await User.findOne({
@@ -194,6 +155,7 @@ exports.resetPassword = async (req, res) => {
     });
 
     if (!user) {
+      await recordFailure(attempt);
       return res.status(400).json({ error: 'Invalid or expired reset token. Please request a new password reset.' });
     }
 
@@ -204,13 +166,23 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordToken = null;
     user.resetPasswordExpires = null;
 
+    // Owning the email address is proof enough to lift a lockout
+    await unlockAccount(user, { save: false });
+
     await user.save();
 
+    // Whoever had the old password may still be signed in
+    await revokeUserSessions(user.id, 'password_reset');
+
     console.log(`✅ Password successfully reset for ${user.email}`);
 
     res.status(200).json({ message: 'Password has been reset successfully. You can now log in with your new password.' });
 
   } catch (error) {
+    if (error.name === 'ThrottleError') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
     console.error('Reset password error:', error);
     res.status(500).json({ error: 'An error occurred. Please try again later.' });
   }
@@ -0,0 +1,152 @@
+/**
+ * Payment Controller
+ * Handles card payments for orders: customers confirm a payment with their card and answer 3-D Secure challenges,
+ * and the payment provider reports changes through signed webhooks
+ * Card details are passed straight to the provider and never stored (see utils/payments)
+ */
+
+const { Order, Payment } = require('../models');
+const { PAYMENT_PROVIDER } = require('../config/constants');
+const {
+  paymentErrorStatus, formatPayment, confirmPayment, completeChallenge, verifyWebhook, handleWebhookEvent
+} = require('../utils/payments');
+
+/**
+ * Find one of the authenticated user's payments
+ * @param {Object} req - Express request (params.id, user)
+ * @returns {Promise<Object|null>} Payment instance or null
+ */
+const findMyPayment = (req) => Payment.findOne({
+  where: { id: req.params.id },
+  include: [{ model: Order, as: 'order', attributes: ['id', 'userId', 'status'], where: { userId: req.user.id } }]
+});
+
+/**
+ * Send a payment with its order's current status
+ * @param {Object} res - Express response
+ * @param {Object} payment - Payment instance
+ */
+const sendPayment = async (res, payment) => {
+  const order = await Order.findByPk(payment.orderId, { attributes: ['id', 'status'] });
+  res.status(200).json({ payment: formatPayment(payment), orderStatus: order?.status || null });
+};
+
+/**
+ * Get one of the authenticated user's payments
+ * GET /api/payments/:id
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: { payment, orderStatus }
+ */
+exports.getPayment = async (req, res) => {
+  try {
+    const payment = await findMyPayment(req);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    await sendPayment(res, payment);
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment' });
+  }
+};
+
+/**
+ * Pay for one of the authenticated user's orders with a card
+ * POST /api/payments/:id/confirm
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - card: { number, expMonth, expYear, cvc } (required)
+ *
+ * An authorized payment places the order (it becomes pending). A declined card releases the order. Cards that need
+ * 3-D Secure leave the payment requires_action until the challenge is answered (POST /api/payments/:id/challenge)
+ *
+ * Returns: { payment, orderStatus }
+ */
+exports.confirmPayment = async (req, res) => {
+  try {
+    if (!req.body.card || typeof req.body.card !== 'object') {
+      return res.status(400).json({ error: 'Card details are required' });
+    }
+
+    const payment = await findMyPayment(req);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (payment.status !== 'requires_confirmation') {
+      return res.status(400).json({ error: `This payment is already ${payment.status.replace(/_/g, ' ')}` });
+    }
+
+    await sendPayment(res, await confirmPayment(payment, req.body.card));
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+
+    // Invalid card details (the payment can be confirmed again) or the provider failed
+    if (error.name === 'PaymentError') {
+      return res.status(paymentErrorStatus(error)).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to confirm payment' });
+  }
+};
+
+/**
+ * Answer the 3-D Secure challenge of one of the authenticated user's payments
+ * POST /api/payments/:id/challenge
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - approve: true if the customer passed the challenge, false if they failed or abandoned it
+ *
+ * Returns: { payment, orderStatus } - authorized (the order is placed) or failed (the order is released)
+ */
+exports.completeChallenge = async (req, res) => {
+  try {
+    const payment = await findMyPayment(req);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (payment.status !== 'requires_action') {
+      return res.status(400).json({ error: 'This payment has no challenge to complete' });
+    }
+
+    await sendPayment(res, await completeChallenge(payment, req.body.approve === true));
+  } catch (error) {
+    console.error('Complete payment challenge error:', error);
+
+    if (error.name === 'PaymentError') {
+      return res.status(paymentErrorStatus(error)).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to complete the challenge' });
+  }
+};
+
+/**
+ * Receive an event from the payment provider
+ * POST /api/payments/webhook
+ * Public, but only events signed with PAYMENT_WEBHOOK_SECRET are accepted
+ *
+ * Request body: The provider's event, unparsed (the signature covers the exact bytes)
+ *
+ * Events about unknown payments are acknowledged and ignored, so the provider doesn't retry them
+ *
+ * Returns: { received: true }
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    const event = verifyWebhook(PAYMENT_PROVIDER, req.body, req.headers);
+    if (!event) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    await handleWebhookEvent(PAYMENT_PROVIDER, event);
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Failed to handle webhook' });
+  }
+};
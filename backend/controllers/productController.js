@@ -0,0 +1,462 @@
+/**
+ * Product Controller
+ * Handles the product catalog and per-store offers
+ * Listing and detail are public; create, update and delete require admin authentication
+ */
+
+const { sequelize, Product, Offer, Store, PriceHistory, DeliveryRule } = require('../models');
+const { scoreStores, weightsFor } = require('../utils/storeScoring');
+const { toPoints, pointsSince, summarizeHistory } = require('../utils/priceHistory');
+const { checkPriceAlerts } = require('../utils/priceAlerts');
+const { calculateDeliveryFee } = require('../utils/delivery');
+const { loadRates, rateFor, convert } = require('../utils/currency');
+const { PRICE_HISTORY_WINDOWS, BASE_CURRENCY } = require('../config/constants');
+
+// Offers are always loaded with their store (and its delivery rule) so inactive stores can be hidden
+const OFFER_INCLUDE = {
+  model: Offer,
+  as: 'offers',
+  include: [{
+    model: Store,
+    as: 'store',
+    attributes: ['id', 'name', 'currency', 'eta', 'rating', 'active'],
+    include: [{ model: DeliveryRule, as: 'deliveryRule' }]
+  }]
+};
+
+/**
+ * Delivery fee for buying one unit of an offer on its own
+ * @param {Object} offer - Offer instance with its store and delivery rule loaded
+ * @returns {number} Delivery fee from the store's delivery rule
+ */
+const singleUnitDelivery = (offer) => calculateDeliveryFee(offer.store?.deliveryRule, [
+  { price: Number(offer.price), quantity: 1, surcharge: offer.deliverySurcharge }
+]);
+
+/**
+ * Convert a product (with its offers) into the shape used by the frontend
+ * Offers are keyed by store ID: { stores: { techmart: { price, currency, stock, ... } } }
+ * Amounts are in the store's currency; deliveryCost is what delivery costs when buying one unit and
+ * deliverySurcharge is the offer's own override
+ * Offers at deactivated stores are hidden (but kept in the database)
+ * @param {Object} product - Product instance with offers loaded
+ * @returns {Object} Plain product object
+ */
+const formatProduct = (product) => {
+  const stores = {};
+  (product.offers || []).forEach((offer) => {
+    if (offer.store && !offer.store.active) return;
+    stores[offer.storeId] = {
+      available: offer.available,
+      price: Number(offer.price),
+      currency: offer.store?.currency || BASE_CURRENCY,
+      stock: offer.stock,
+      deliveryCost: singleUnitDelivery(offer),
+      deliverySurcharge: offer.deliverySurcharge != null ? Number(offer.deliverySurcharge) : null,
+      rating: offer.rating != null ? Number(offer.rating) : null
+    };
+  });
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description || '',
+    category: product.category || '',
+    imageUrl: product.imageUrl || '',
+    stores,
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt
+  };
+};
+
+/**
+ * Validate the per-store offer data sent by the Manage Products form
+ * Only stores marked as available need to pass validation
+ * @param {Object} stores - Map of storeId to { available, price, stock, deliverySurcharge, rating }
+ *   (a blank deliverySurcharge uses the store's delivery rule)
+ * @param {Array} knownStores - Every store in the database
+ * @returns {{ error: string|null, offers: Array }} Validation error or normalized offer list
+ */
+const parseStores = (stores, knownStores) => {
+  if (!stores || typeof stores !== 'object' || Array.isArray(stores)) {
+    return { error: 'Store pricing must be an object keyed by store ID', offers: [] };
+  }
+
+  const offers = [];
+  for (const [storeId, data] of Object.entries(stores)) {
+    const store = knownStores.find((known) => known.id === storeId);
+    if (!store) {
+      return { error: `Unknown store: ${storeId}`, offers: [] };
+    }
+    if (!data || !data.available) {
+      offers.push({ storeId, available: false });
+      continue;
+    }
+
+    const price = Number(data.price);
+    const stock = Number(data.stock);
+    const deliverySurcharge = data.deliverySurcharge === '' || data.deliverySurcharge == null
+      ? null
+      : Number(data.deliverySurcharge);
+    const rating = Number(data.rating);
+
+    if (data.price === '' || data.price == null || isNaN(price) || price < 0) {
+      return { error: `${store.name}: invalid price`, offers: [] };
+    }
+    if (data.stock === '' || data.stock == null || !Number.isInteger(stock) || stock < 0) {
+      return { error: `${store.name}: invalid stock`, offers: [] };
+    }
+    if (deliverySurcharge !== null && (isNaN(deliverySurcharge) || deliverySurcharge < 0)) {
+      return { error: `${store.name}: invalid delivery surcharge`, offers: [] };
+    }
+    if (data.rating === '' || data.rating == null || isNaN(rating) || rating < 0 || rating > 5) {
+      return { error: `${store.name}: rating must be 0-5`, offers: [] };
+    }
+
+    offers.push({ storeId, available: true, price, stock, deliverySurcharge, rating });
+  }
+
+  return { error: null, offers };
+};
+
+/**
+ * Load a product with its offers by primary key
+ * @param {number|string} id - Product ID
+ * @param {Object} [options] - Extra Sequelize query options (e.g. transaction)
+ * @returns {Promise<Object|null>} Product instance or null
+ */
+const findProductWithOffers = (id, options = {}) => Product.findByPk(id, {
+  ...options,
+  include: [OFFER_INCLUDE]
+});
+
+/**
+ * Get all products with their store offers
+ * GET /api/products
+ * Public
+ *
+ * Returns: Array of products
+ */
+exports.getProducts = async (req, res) => {
+  try {
+    const products = await Product.findAll({
+      include: [OFFER_INCLUDE],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({ products: products.map(formatProduct) });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+};
+
+/**
+ * Get a single product by ID
+ * GET /api/products/:id
+ * Public
+ *
+ * URL params:
+ * - id: Product ID to retrieve
+ *
+ * Returns: Product object with store offers
+ */
+exports.getProductById = async (req, res) => {
+  try {
+    const product = await findProductWithOffers(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.status(200).json({ product: formatProduct(product) });
+  } catch (error) {
+    console.error('Get product by ID error:', error);
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+};
+
+/**
+ * Rank the stores selling a product using the user's scoring weights
+ * GET /api/products/:id/scores
+ * Requires: Authentication (JWT token)
+ *
+ * Combines price, total with delivery (from the store's delivery rule), delivery ETA, and rating (saved in the user's profile,
+ * or the defaults) into a 0-100 score per store, with a breakdown explaining each score.
+ * Prices are converted to the user's display currency first; stores whose currency has no rate are left out
+ *
+ * Returns: { weights, currency, scores } - scores are sorted best first; the first is recommended
+ */
+exports.getProductScores = async (req, res) => {
+  try {
+    const product = await findProductWithOffers(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const rates = await loadRates();
+    const preferred = req.user?.currency || BASE_CURRENCY;
+    const currency = rateFor(rates, preferred) ? preferred : BASE_CURRENCY;
+
+    // Only offers a shopper could actually buy are ranked, all in the same currency
+    const options = (product.offers || [])
+      .filter((offer) => offer.available && offer.store?.active && rateFor(rates, offer.store.currency || BASE_CURRENCY))
+      .map((offer) => {
+        const from = offer.store.currency || BASE_CURRENCY;
+        return {
+          storeId: offer.storeId,
+          storeName: offer.store.name,
+          price: convert(Number(offer.price), from, currency, rates),
+          deliveryCost: convert(singleUnitDelivery(offer), from, currency, rates),
+          currency,
+          eta: offer.store.eta || '',
+          rating: offer.rating != null ? Number(offer.rating) : (offer.store.rating != null ? Number(offer.store.rating) : null)
+        };
+      });
+
+    const weights = weightsFor(req.user);
+
+    res.status(200).json({ weights, currency, scores: scoreStores(options, weights) });
+  } catch (error) {
+    console.error('Get product scores error:', error);
+    res.status(500).json({ error: 'Failed to score stores' });
+  }
+};
+
+/**
+ * Get the price history of a product at each store
+ * GET /api/products/:id/history
+ * Public
+ *
+ * URL params:
+ * - id: Product ID
+ *
+ * Returns: { productId, windows, stores } - one entry per active store that has listed the product,
+ * with chart points for the longest window and min/max/average for each window (30/90/365 days),
+ * in the store's currency
+ */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const product = await findProductWithOffers(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const rows = await PriceHistory.findAll({
+      where: { productId: product.id },
+      order: [['recordedAt', 'ASC']]
+    });
+
+    const now = new Date();
+    const since = new Date(now.getTime() - Math.max(...PRICE_HISTORY_WINDOWS) * 24 * 60 * 60 * 1000);
+
+    // History is shown for the stores the product page shows (offers at active stores)
+    const stores = (product.offers || [])
+      .filter((offer) => offer.store?.active)
+      .map((offer) => {
+        const points = toPoints(rows.filter((row) => row.storeId === offer.storeId));
+        return {
+          storeId: offer.storeId,
+          storeName: offer.store.name,
+          currency: offer.store.currency || BASE_CURRENCY,
+          current: { price: Number(offer.price), available: offer.available },
+          points: pointsSince(points, since),
+          stats: summarizeHistory(points, now)
+        };
+      })
+      .filter((store) => store.points.length);
+
+    res.status(200).json({ productId: product.id, windows: PRICE_HISTORY_WINDOWS, stores });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+};
+
+/**
+ * Create a new product with its store offers
+ * POST /api/products
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - name: Product name (required)
+ * - description, category, imageUrl: Optional product details
+ * - stores: Map of storeId to { available, price, stock, deliverySurcharge, rating }
+ *
+ * Returns: Created product
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    const { name, description, category, imageUrl, stores } = req.body;
+
+    // Input validation
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Product name is required' });
+    }
+
+    const { error, offers } = parseStores(stores, await Store.findAll());
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const availableOffers = offers.filter((offer) => offer.available);
+    if (!availableOffers.length) {
+      return res.status(400).json({ error: 'Select at least one store' });
+    }
+
+    // Create product and offers together so a failed offer leaves no orphan product
+    const productId = await sequelize.transaction(async (transaction) => {
+      const product = await Product.create({
+        name: name.trim(),
+        description: description ? description.trim() : '',
+        category: category ? category.trim() : '',
+        imageUrl: imageUrl || ''
+      }, { transaction });
+
+      await Offer.bulkCreate(
+        availableOffers.map((offer) => ({ ...offer, productId: product.id })),
+        { transaction }
+      );
+
+      return product.id;
+    });
+
+    const product = await findProductWithOffers(productId);
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: formatProduct(product)
+    });
+  } catch (error) {
+    console.error('Create product error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+};
+
+/**
+ * Update a product and its store offers
+ * PUT /api/products/:id
+ * Requires: Admin authentication
+ *
+ * URL params:
+ * - id: Product ID to update
+ *
+ * Request body (all optional):
+ * - name, description, category, imageUrl: Updated product details
+ * - stores: Map of storeId to offer data; stores marked unavailable are kept but hidden
+ *
+ * Price drops trigger the matching price alerts (see utils/priceAlerts)
+ *
+ * Returns: Updated product
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const { name, description, category, imageUrl, stores } = req.body;
+
+    const product = await findProductWithOffers(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Validate name if provided
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Product name cannot be empty' });
+    }
+
+    let offers = null;
+    if (stores !== undefined) {
+      const parsed = parseStores(stores, await Store.findAll());
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      offers = parsed.offers;
+    }
+
+    // Offer prices before the update, to find price drops for watchers
+    const before = (product.offers || []).map((offer) => ({
+      storeId: offer.storeId,
+      price: Number(offer.price),
+      available: offer.available
+    }));
+
+    await sequelize.transaction(async (transaction) => {
+      if (name !== undefined) product.name = String(name).trim();
+      if (description !== undefined) product.description = description ? String(description).trim() : '';
+      if (category !== undefined) product.category = category ? String(category).trim() : '';
+      if (imageUrl !== undefined) product.imageUrl = imageUrl || '';
+      await product.save({ transaction });
+
+      if (!offers) return;
+
+      // Update existing offers in place so their IDs stay stable
+      for (const data of offers) {
+        const existing = (product.offers || []).find((offer) => offer.storeId === data.storeId);
+        if (existing) {
+          Object.assign(existing, data);
+          await existing.save({ transaction });
+        } else if (data.available) {
+          await Offer.create({ ...data, productId: product.id }, { transaction });
+        }
+      }
+    });
+
+    const updated = await findProductWithOffers(product.id);
+
+    // Notify watchers in the background so slow email delivery doesn't hold up the admin
+    if (offers) {
+      checkPriceAlerts(updated, before).catch((error) => console.error('Price alert error:', error));
+    }
+
+    res.status(200).json({
+      message: 'Product updated successfully',
+      product: formatProduct(updated)
+    });
+  } catch (error) {
+    console.error('Update product error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+};
+
+/**
+ * Delete a product and its offers
+ * DELETE /api/products/:id
+ * Requires: Admin authentication
+ *
+ * URL params:
+ * - id: Product ID to delete
+ *
+ * Returns: Success message
+ */
+exports.deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Offers are removed by the ON DELETE CASCADE foreign key
+    await product.destroy();
+
+    res.status(200).json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+};
@@ -0,0 +1,491 @@
+/**
+ * Return Controller
+ * Handles return requests (RMA) for delivered orders: customers ask to send items back and ship them,
+ * admins approve or reject them, mark them received (the units go back in stock), and refund them
+ * Refunds are in the order's currency and worked out when the return is requested (see utils/returns)
+ */
+
+const {
+  sequelize, User, Product, Store, Order, OrderItem, OrderStatusChange, ReturnRequest, ReturnItem, Coupon, Payment
+} = require('../models');
+const { restoreStock } = require('../utils/stock');
+const { checkRestockAlerts } = require('../utils/priceAlerts');
+const { parseStatusNote, TransitionError } = require('../utils/orderStatus');
+const {
+  ReturnError, ACTIVE_RETURN_STATUSES, CUSTOMER_RETURN_STATUSES, nextReturnStatuses, returnTransitionProblem,
+  returnWindowProblem, returnedQuantities, parseReturnItems, parsePhotos, calculateRefund, orderStatusAfterRefund
+} = require('../utils/returns');
+const { notifyReturnStatusChange } = require('../utils/notifications');
+const { paymentErrorStatus, refundPayment } = require('../utils/payments');
+const { formatMoney } = require('../utils/money');
+const { RETURN_STATUSES, RETURN_REASONS, BASE_CURRENCY } = require('../config/constants');
+
+// Longest description a customer can give for a return
+const MAX_DETAILS_LENGTH = 1000;
+
+// Returns are loaded with their lines, order, customer, and reviewing admin
+const RETURN_INCLUDE = [
+  {
+    model: ReturnItem,
+    as: 'items',
+    include: [{
+      model: OrderItem,
+      as: 'orderItem',
+      include: [{ model: Product, as: 'product', attributes: ['id', 'imageUrl'] }]
+    }]
+  },
+  {
+    model: Order,
+    as: 'order',
+    attributes: ['id', 'storeId', 'status', 'total', 'currency', 'createdAt'],
+    include: [{ model: Store, as: 'store', attributes: ['id', 'name'] }]
+  },
+  { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+  { model: User, as: 'reviewer', attributes: ['id', 'name'] }
+];
+
+// Orders are loaded with what's needed to check a new return against them
+// (their earlier returns are read with the order locked)
+const ORDER_RETURN_INCLUDE = [
+  { model: OrderItem, as: 'items' },
+  { model: OrderStatusChange, as: 'history' }
+];
+
+/**
+ * Convert a return (with its lines, order, and users) into the shape used by the dashboards
+ * @param {Object} returnRequest - ReturnRequest instance with RETURN_INCLUDE loaded
+ * @returns {Object} Plain return object
+ */
+const formatReturn = (returnRequest) => ({
+  id: returnRequest.id,
+  orderId: returnRequest.orderId,
+  userId: returnRequest.userId,
+  userName: returnRequest.user?.name || null,
+  userEmail: returnRequest.user?.email || null,
+  storeId: returnRequest.order?.storeId || null,
+  storeName: returnRequest.order?.store?.name || returnRequest.order?.storeId || null,
+  orderStatus: returnRequest.order?.status || null,
+  orderTotal: Number(returnRequest.order?.total || 0),
+  currency: returnRequest.order?.currency || BASE_CURRENCY,
+  status: returnRequest.status,
+  // Statuses an admin can move the return to (the customer marks it shipped themselves)
+  nextStatuses: nextReturnStatuses(returnRequest.status).filter((status) => !CUSTOMER_RETURN_STATUSES.includes(status)),
+  reason: returnRequest.reason,
+  details: returnRequest.details || '',
+  photos: returnRequest.photos || [],
+  items: (returnRequest.items || []).map((item) => ({
+    id: item.id,
+    orderItemId: item.orderItemId,
+    productId: item.orderItem?.productId || null,
+    productName: item.orderItem?.productName || '',
+    imageUrl: item.orderItem?.product?.imageUrl || '',
+    price: Number(item.orderItem?.price || 0),
+    quantity: item.quantity
+  })),
+  subtotal: Number(returnRequest.subtotal),
+  discount: Number(returnRequest.discount),
+  deliveryFee: Number(returnRequest.deliveryFee),
+  tax: Number(returnRequest.tax),
+  refundAmount: Number(returnRequest.refundAmount),
+  carrier: returnRequest.carrier || '',
+  trackingNumber: returnRequest.trackingNumber || '',
+  adminNote: returnRequest.adminNote || '',
+  reviewedBy: returnRequest.reviewer ? { id: returnRequest.reviewer.id, name: returnRequest.reviewer.name } : null,
+  receivedAt: returnRequest.receivedAt,
+  refundedAt: returnRequest.refundedAt,
+  createdAt: returnRequest.createdAt,
+  updatedAt: returnRequest.updatedAt
+});
+
+/**
+ * Load a return with everything formatReturn needs
+ * @param {number|string} id - Return ID
+ * @returns {Promise<Object|null>} ReturnRequest instance or null
+ */
+const loadReturn = (id) => ReturnRequest.findByPk(id, { include: RETURN_INCLUDE });
+
+/**
+ * Get the authenticated user's return requests, newest first
+ * GET /api/returns
+ * Requires: Authentication (JWT token)
+ *
+ * Returns: Array of returns
+ */
+exports.getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.findAll({
+      where: { userId: req.user.id },
+      include: RETURN_INCLUDE,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({ returns: returns.map(formatReturn) });
+  } catch (error) {
+    console.error('Get my returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+};
+
+/**
+ * Ask to return items from one of the authenticated user's delivered orders
+ * POST /api/returns
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - orderId: Delivered order to return items from (required)
+ * - items: [{ orderItemId, quantity }] lines to send back (required)
+ * - reason: damaged, wrong_item, not_as_described, changed_mind, or other (required)
+ * - details: Description of the problem (required for "other", up to 1000 characters)
+ * - photos: Up to 3 images of the items (data URLs or links, optional)
+ *
+ * Returns must be requested within the return window after delivery. The refund is the returned lines less
+ * their share of the promo discount, plus their sales tax; the delivery fee is also refunded when the store was
+ * at fault and nothing is left on the order
+ *
+ * Returns: Created return with its refund amount
+ */
+exports.createReturn = async (req, res) => {
+  try {
+    const { orderId, items, reason } = req.body;
+
+    if (!Number.isInteger(Number(orderId)) || Number(orderId) <= 0) {
+      return res.status(400).json({ error: 'Choose the order to return items from' });
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+      return res.status(400).json({ error: 'Choose a reason for the return' });
+    }
+
+    const details = typeof req.body.details === 'string' ? req.body.details.trim() : '';
+    if (details.length > MAX_DETAILS_LENGTH) {
+      return res.status(400).json({ error: `Details must be ${MAX_DETAILS_LENGTH} characters or fewer` });
+    }
+    if (reason === 'other' && !details) {
+      return res.status(400).json({ error: 'Tell us why you are returning the items' });
+    }
+
+    const { error: photoError, photos } = parsePhotos(req.body.photos);
+    if (photoError) {
+      return res.status(400).json({ error: photoError });
+    }
+
+    const order = await Order.findOne({
+      where: { id: Number(orderId), userId: req.user.id },
+      include: ORDER_RETURN_INCLUDE
+    });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const windowProblem = returnWindowProblem(order);
+    if (windowProblem) {
+      return res.status(400).json({ error: windowProblem });
+    }
+
+    const coupon = order.couponCode
+      ? await Coupon.findOne({ where: { code: order.couponCode, storeId: order.storeId } })
+      : null;
+
+    const returnId = await sequelize.transaction(async (transaction) => {
+      // Lock the order and read its returns again, so two requests at once can't together return (and refund)
+      // more units than were ordered
+      await Order.findByPk(order.id, { transaction, lock: true });
+      const returns = await ReturnRequest.findAll({
+        where: { orderId: order.id },
+        include: [{ model: ReturnItem, as: 'items' }],
+        transaction
+      });
+
+      const alreadyReturned = returnedQuantities(returns);
+      const { error: itemError, lines } = parseReturnItems(items, order, alreadyReturned);
+      if (itemError) {
+        throw new ReturnError(itemError);
+      }
+
+      // The delivery fee can only come back with the last of the order's units
+      const completesOrder = (order.items || []).every((item) => {
+        const returning = lines.find((line) => line.orderItem.id === item.id)?.quantity || 0;
+        return (alreadyReturned.get(item.id) || 0) + returning >= item.quantity;
+      });
+      const alreadyRefunded = returns
+        .filter((request) => ACTIVE_RETURN_STATUSES.includes(request.status))
+        .reduce((sum, request) => sum + Number(request.refundAmount), 0);
+      const refund = calculateRefund({
+        order, lines, reason, couponType: coupon?.type || null, completesOrder, alreadyRefunded
+      });
+
+      const returnRequest = await ReturnRequest.create({
+        orderId: order.id,
+        userId: req.user.id,
+        status: 'requested',
+        reason,
+        details: details || null,
+        photos,
+        ...refund
+      }, { transaction });
+
+      await ReturnItem.bulkCreate(lines.map((line) => ({
+        returnRequestId: returnRequest.id,
+        orderItemId: line.orderItem.id,
+        quantity: line.quantity
+      })), { transaction });
+
+      return returnRequest.id;
+    });
+
+    const created = await loadReturn(returnId);
+    res.status(201).json({
+      message: 'Return requested successfully',
+      returnRequest: formatReturn(created)
+    });
+  } catch (error) {
+    if (error.name === 'ReturnError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Create return error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map((e) => e.message).join(', ') });
+    }
+
+    res.status(500).json({ error: 'Failed to request return' });
+  }
+};
+
+/**
+ * Tell the store an approved return has been sent back
+ * PATCH /api/returns/:id/shipping
+ * Requires: Authentication (JWT token)
+ *
+ * Request body:
+ * - trackingNumber: Tracking number of the return shipment (required)
+ * - carrier: Carrier used (optional)
+ *
+ * Returns: Updated return (now in_transit)
+ */
+exports.shipReturn = async (req, res) => {
+  try {
+    const trackingNumber = String(req.body.trackingNumber ?? '').trim();
+    const carrier = String(req.body.carrier ?? '').trim();
+
+    if (!trackingNumber) {
+      return res.status(400).json({ error: 'Tracking number is required' });
+    }
+    if (trackingNumber.length > 100 || carrier.length > 100) {
+      return res.status(400).json({ error: 'Carrier and tracking number must be 100 characters or fewer' });
+    }
+
+    const returnRequest = await ReturnRequest.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    const problem = returnTransitionProblem(returnRequest.status, 'in_transit');
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    returnRequest.status = 'in_transit';
+    returnRequest.trackingNumber = trackingNumber;
+    returnRequest.carrier = carrier || null;
+    await returnRequest.save();
+
+    const updated = await loadReturn(returnRequest.id);
+    res.status(200).json({
+      message: 'Return marked as sent',
+      returnRequest: formatReturn(updated)
+    });
+  } catch (error) {
+    console.error('Ship return error:', error);
+    res.status(500).json({ error: 'Failed to update return' });
+  }
+};
+
+/**
+ * Get every return request, newest first
+ * GET /api/admin/returns
+ * Requires: Admin authentication
+ *
+ * Query params (optional):
+ * - status: Only return requests with this status
+ *
+ * Returns: Array of returns
+ */
+exports.getAllReturns = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query?.status && RETURN_STATUSES.includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const returns = await ReturnRequest.findAll({
+      where,
+      include: RETURN_INCLUDE,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({ returns: returns.map(formatReturn) });
+  } catch (error) {
+    console.error('Get all returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+};
+
+/**
+ * Move a return on and notify the customer
+ * PATCH /api/admin/returns/:id/status
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - status: approved or rejected (requested returns), received (approved or in_transit returns),
+ *   or refunded (received returns)
+ * - note: Shown to the customer, e.g. return instructions or why it was rejected (optional, up to 500 characters)
+ *
+ * Receiving a return puts its units back in stock. Refunding it gives the amount back on the order's card payment
+ * (cash on delivery orders are refunded by the store), marks the order partially_returned, or returned once every
+ * unit has been refunded, and adds the change to the order's history
+ *
+ * Returns: Updated return
+ */
+exports.updateReturnStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid return status' });
+    }
+    if (CUSTOMER_RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Only the customer can mark a return as sent' });
+    }
+
+    const { error: noteError, note } = parseStatusNote(req.body.note);
+    if (noteError) {
+      return res.status(400).json({ error: noteError });
+    }
+
+    const returnRequest = await ReturnRequest.findByPk(req.params.id, {
+      include: [{ model: ReturnItem, as: 'items', include: [{ model: OrderItem, as: 'orderItem' }] }]
+    });
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    const problem = returnTransitionProblem(returnRequest.status, status);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    if (status === 'refunded') {
+      // Claim the refund first, so of two admins refunding at once only one gives the money back
+      const refundedAt = new Date();
+      const [claimed] = await ReturnRequest.update(
+        { status, refundedAt },
+        { where: { id: returnRequest.id, status: 'received' } }
+      );
+      if (!claimed) {
+        throw new TransitionError(returnTransitionProblem('refunded', status));
+      }
+      returnRequest.refundedAt = refundedAt;
+
+      // If the provider refuses the card refund, the return goes back to received
+      try {
+        const payment = await Payment.findOne({ where: { orderId: returnRequest.orderId } });
+        if (payment) await refundPayment(payment, Number(returnRequest.refundAmount));
+      } catch (paymentError) {
+        await ReturnRequest.update(
+          { status: 'received', refundedAt: null },
+          { where: { id: returnRequest.id, status } }
+        );
+        throw paymentError;
+      }
+    }
+
+    const restocked = await sequelize.transaction(async (transaction) => {
+      // Check again with the return locked, so two admins changing it at once can't both put its units back
+      // (a refund was claimed above)
+      const current = await ReturnRequest.findByPk(returnRequest.id, { transaction, lock: true });
+      if (status !== 'refunded') {
+        const conflict = returnTransitionProblem(current.status, status);
+        if (conflict) {
+          throw new TransitionError(conflict);
+        }
+      }
+
+      const order = await Order.findByPk(returnRequest.orderId, {
+        include: [
+          { model: OrderItem, as: 'items' },
+          { model: ReturnRequest, as: 'returns', include: [{ model: ReturnItem, as: 'items' }] }
+        ],
+        transaction
+      });
+
+      // The returned units can be sold again
+      let back = [];
+      if (status === 'received') {
+        const units = (returnRequest.items || []).map((item) => ({
+          productId: item.orderItem?.productId,
+          quantity: item.quantity
+        }));
+        back = await restoreStock(units, order.storeId, transaction);
+        current.receivedAt = new Date();
+      }
+
+      current.status = status;
+      current.reviewedBy = req.user?.id ?? null;
+      if (note) current.adminNote = note;
+      await current.save({ transaction });
+
+      // The order shows how much of it has come back
+      if (status === 'refunded') {
+        const returns = (order.returns || []).map((request) => ({
+          status: request.id === returnRequest.id ? status : request.status,
+          items: request.items
+        }));
+        const orderStatus = orderStatusAfterRefund(order, returns);
+        if (orderStatus !== order.status) {
+          await OrderStatusChange.create({
+            orderId: order.id,
+            fromStatus: order.status,
+            toStatus: orderStatus,
+            changedBy: req.user?.id ?? null,
+            note: `Return #${returnRequest.id} refunded (${formatMoney(returnRequest.refundAmount, order.currency || BASE_CURRENCY)})`
+          }, { transaction });
+          order.status = orderStatus;
+          await order.save({ transaction });
+        }
+      }
+      return back;
+    });
+
+    // Watchers of offers that came back in stock hear about it in the background
+    checkRestockAlerts(restocked).catch((error) => console.error('Price alert error:', error));
+
+    const updated = await loadReturn(returnRequest.id);
+
+    // Let the customer know; a failed notification shouldn't undo the change
+    try {
+      await notifyReturnStatusChange(formatReturn(updated), status, note);
+    } catch (notifyError) {
+      console.error('Return status notification error:', notifyError);
+    }
+
+    res.status(200).json({
+      message: 'Return updated successfully',
+      returnRequest: formatReturn(updated)
+    });
+  } catch (error) {
+    // Another change got there first
+    if (error.name === 'TransitionError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update return status error:', error);
+
+    // The payment provider refused the refund
+    if (error.name === 'PaymentError') {
+      return res.status(paymentErrorStatus(error)).json({ error: `Refund failed: ${error.message}` });
+    }
+
+    res.status(500).json({ error: 'Failed to update return' });
+  }
+};
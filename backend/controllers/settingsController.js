@@ -0,0 +1,56 @@
+/**
+ * Settings Controller
+ * Handles the app-wide security settings admins change at runtime (see utils/settings)
+ */
+
+const { getSettings, setSetting } = require('../utils/settings');
+const { isTwoFactorEnabled } = require('../utils/twoFactor');
+
+/**
+ * Get the security settings
+ * GET /api/admin/settings/security
+ * Requires: Admin
+ *
+ * Returns: { requireAdminTwoFactor }
+ */
+exports.getSecuritySettings = async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = await getSettings();
+    res.status(200).json({ requireAdminTwoFactor: Boolean(requireAdminTwoFactor) });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({ error: 'Failed to load security settings' });
+  }
+};
+
+/**
+ * Update the security settings
+ * PUT /api/admin/settings/security
+ * Requires: Admin
+ *
+ * Request body:
+ * - requireAdminTwoFactor: Whether admins must use two-factor authentication to reach the admin pages
+ *   (can only be turned on by an admin who uses it, so nobody locks themselves out)
+ *
+ * Returns: Success message and the saved settings
+ */
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({ error: 'requireAdminTwoFactor must be true or false' });
+    }
+
+    if (requireAdminTwoFactor && !isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({ error: 'Turn on two-factor authentication for your own account first' });
+    }
+
+    await setSetting('requireAdminTwoFactor', requireAdminTwoFactor);
+
+    res.status(200).json({ message: 'Security settings updated', settings: { requireAdminTwoFactor } });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({ error: 'Failed to update security settings' });
+  }
+};
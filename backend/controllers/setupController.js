@@ -0,0 +1,80 @@
+/**
+ * Setup Controller
+ * First-run setup: creating the first admin account on a new install from the browser
+ * Both endpoints are public, and creating an admin only works while no admin exists (see utils/adminSetup)
+ */
+
+const { BASE_CURRENCY } = require('../config/constants');
+const { adminExists, createAdmin } = require('../utils/adminSetup');
+const { startSession } = require('../utils/sessions');
+
+/**
+ * Check whether the install still needs its first admin
+ * GET /api/setup
+ * Public
+ *
+ * Returns: { needsAdmin }
+ */
+exports.getSetupStatus = async (req, res) => {
+  try {
+    res.status(200).json({ needsAdmin: !(await adminExists()) });
+  } catch (error) {
+    console.error('Get setup status error:', error);
+    res.status(500).json({ error: 'Failed to check setup status' });
+  }
+};
+
+/**
+ * Create the first admin account and sign them in
+ * POST /api/setup/admin
+ * Public, but only until an admin exists
+ *
+ * Request body:
+ * - name: Admin's full name
+ * - email: Admin's email address
+ * - password: Admin's password (min 6 characters)
+ * - confirmPassword: Password confirmation
+ *
+ * Returns: Access token (token), refresh token, and user object
+ */
+exports.createFirstAdmin = async (req, res) => {
+  try {
+    const { name, email, password, confirmPassword } = req.body;
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ error: 'Passwords do not match' });
+    }
+
+    const { user } = await createAdmin({ name, email, password });
+
+    // Start a session for the new admin
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(201).json({
+      message: 'Admin account created',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        profilePicture: user.profilePicture || null,
+        role: user.role,
+        currency: user.currency || BASE_CURRENCY,
+        emailVerified: Boolean(user.verifiedAt)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'SetupError') {
+      return res.status(error.code === 'setup_complete' ? 403 : 400).json({ error: error.message });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({ error: 'User with this email already exists' });
+    }
+    console.error('Create first admin error:', error);
+    res.status(500).json({ error: 'Failed to create the admin account' });
+  }
+};
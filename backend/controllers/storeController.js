@@ -0,0 +1,327 @@
+/**
+ * Store Controller
+ * Handles the partner store directory
+ * Shoppers see active stores only; admins manage every store
+ */
+
+const { sequelize, Store, Offer, Order, Coupon, DeliveryRule, ExchangeRate } = require('../models');
+const { formatRule, describeRule } = require('../utils/delivery');
+const { normalizeCurrency, isCurrencyCode } = require('../utils/currency');
+const { BASE_CURRENCY } = require('../config/constants');
+
+// Stores are always loaded with their delivery rule
+const RULE_INCLUDE = { model: DeliveryRule, as: 'deliveryRule' };
+
+/**
+ * Convert a store into the shape used by the frontend
+ * @param {Object} store - Store instance with its delivery rule loaded
+ * @returns {Object} Plain store object with numeric fees (in the store's currency) and ratings
+ */
+const formatStore = (store) => ({
+  id: store.id,
+  name: store.name,
+  logo: store.logo || '',
+  currency: store.currency || BASE_CURRENCY,
+  delivery: { ...formatRule(store.deliveryRule), description: describeRule(store.deliveryRule, store.currency) },
+  eta: store.eta || '',
+  rating: store.rating != null ? Number(store.rating) : null,
+  pricesIncludeTax: Boolean(store.pricesIncludeTax),
+  active: store.active
+});
+
+/**
+ * Validate store fields from the request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - When true, missing fields are allowed (updates)
+ * @returns {{ error: string|null, fields: Object }} Validation error or fields to save
+ */
+const parseStoreFields = (body, partial) => {
+  const fields = {};
+  const { name, logo, currency, eta, rating, pricesIncludeTax, active } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (!name || !String(name).trim()) {
+      return { error: 'Store name is required', fields };
+    }
+    fields.name = String(name).trim();
+  }
+  if (logo !== undefined) fields.logo = logo ? String(logo).trim() : '';
+  if (eta !== undefined) fields.eta = eta ? String(eta).trim() : '';
+
+  if (currency !== undefined) {
+    fields.currency = normalizeCurrency(currency) || BASE_CURRENCY;
+    if (!isCurrencyCode(fields.currency)) {
+      return { error: 'Currency must be a three-letter code such as USD or EUR', fields };
+    }
+  }
+
+  if (rating !== undefined && rating !== null && rating !== '') {
+    const value = Number(rating);
+    if (isNaN(value) || value < 0 || value > 5) {
+      return { error: 'Rating must be between 0 and 5', fields };
+    }
+    fields.rating = value;
+  }
+
+  if (pricesIncludeTax !== undefined) fields.pricesIncludeTax = Boolean(pricesIncludeTax);
+  if (active !== undefined) fields.active = Boolean(active);
+
+  return { error: null, fields };
+};
+
+/**
+ * Validate delivery rule fields from the request body
+ * @param {Object} delivery - { flatFee, perItemFee, freeOver } (missing fields are left unchanged)
+ * @returns {{ error: string|null, fields: Object }} Validation error or rule fields to save
+ */
+const parseDeliveryFields = (delivery) => {
+  const fields = {};
+  if (delivery === undefined) return { error: null, fields };
+  if (!delivery || typeof delivery !== 'object' || Array.isArray(delivery)) {
+    return { error: 'Delivery must be an object with flatFee, perItemFee, and freeOver', fields };
+  }
+
+  for (const [key, label] of [['flatFee', 'Delivery fee'], ['perItemFee', 'Per-item surcharge']]) {
+    const raw = delivery[key];
+    if (raw === undefined) continue;
+    const fee = Number(raw);
+    if (raw === '' || raw === null || isNaN(fee) || fee < 0) {
+      return { error: `${label} must be a non-negative number`, fields };
+    }
+    fields[key] = fee;
+  }
+
+  if (delivery.freeOver !== undefined) {
+    if (delivery.freeOver === null || delivery.freeOver === '') {
+      fields.freeOver = null;
+    } else {
+      const threshold = Number(delivery.freeOver);
+      if (isNaN(threshold) || threshold < 0) {
+        return { error: 'Free delivery threshold must be a non-negative number', fields };
+      }
+      fields.freeOver = threshold;
+    }
+  }
+
+  return { error: null, fields };
+};
+
+/**
+ * Check that a store currency can be converted for price comparisons
+ * @param {string|undefined} currency - Currency to save (undefined when unchanged)
+ * @returns {Promise<string|null>} Error message, or null if the currency is the base currency or has an exchange rate
+ */
+const currencyProblem = async (currency) => {
+  if (currency === undefined || currency === BASE_CURRENCY) return null;
+  if (await ExchangeRate.findByPk(currency)) return null;
+  return `Add an exchange rate for ${currency} before using it`;
+};
+
+/**
+ * Load a store with its delivery rule
+ * @param {string} id - Store ID
+ * @returns {Promise<Object|null>} Store instance or null
+ */
+const findStore = (id) => Store.findByPk(id, { include: [RULE_INCLUDE] });
+
+/**
+ * Get all active stores
+ * GET /api/stores
+ * Public
+ *
+ * Returns: Array of active stores
+ */
+exports.getStores = async (req, res) => {
+  try {
+    const stores = await Store.findAll({
+      where: { active: true },
+      include: [RULE_INCLUDE],
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({ stores: stores.map(formatStore) });
+  } catch (error) {
+    console.error('Get stores error:', error);
+    res.status(500).json({ error: 'Failed to fetch stores' });
+  }
+};
+
+/**
+ * Get every store, including inactive ones
+ * GET /api/admin/stores
+ * Requires: Admin authentication
+ *
+ * Returns: Array of stores
+ */
+exports.getAllStores = async (req, res) => {
+  try {
+    const stores = await Store.findAll({ include: [RULE_INCLUDE], order: [['name', 'ASC']] });
+
+    res.status(200).json({ stores: stores.map(formatStore) });
+  } catch (error) {
+    console.error('Get all stores error:', error);
+    res.status(500).json({ error: 'Failed to fetch stores' });
+  }
+};
+
+/**
+ * Create a new store
+ * POST /api/admin/stores
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - id: Store slug (required, lowercase letters, digits, and dashes)
+ * - name: Display name (required)
+ * - logo, eta, rating, active: Optional store details
+ * - currency: Currency the store prices in (default USD; other currencies need an exchange rate)
+ * - pricesIncludeTax: Whether prices already include sales tax (default false)
+ * - delivery: { flatFee, perItemFee, freeOver } (optional; missing fees are 0 and delivery is never free)
+ *
+ * Returns: Created store
+ */
+exports.createStore = async (req, res) => {
+  try {
+    const id = req.body?.id ? String(req.body.id).trim().toLowerCase() : '';
+
+    // Input validation
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      return res.status(400).json({ error: 'Store ID must use lowercase letters, digits, and dashes' });
+    }
+    const { error, fields } = parseStoreFields(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const delivery = parseDeliveryFields(req.body.delivery);
+    if (delivery.error) {
+      return res.status(400).json({ error: delivery.error });
+    }
+    const currencyError = await currencyProblem(fields.currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    // Store IDs are permanent, so refuse duplicates instead of overwriting
+    if (await Store.findByPk(id)) {
+      return res.status(400).json({ error: 'A store with this ID already exists' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await Store.create({ id, ...fields }, { transaction });
+      await DeliveryRule.create({ storeId: id, ...delivery.fields }, { transaction });
+    });
+    const store = await findStore(id);
+
+    res.status(201).json({
+      message: 'Store created successfully',
+      store: formatStore(store)
+    });
+  } catch (error) {
+    console.error('Create store error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to create store' });
+  }
+};
+
+/**
+ * Update a store's details or active flag
+ * PUT /api/admin/stores/:id
+ * Requires: Admin authentication
+ *
+ * Deactivating a store hides its offers from shoppers without deleting them; changing its currency
+ * reinterprets its existing prices in the new currency (placed orders keep theirs)
+ *
+ * Request body (all optional):
+ * - name, logo, currency, eta, rating, pricesIncludeTax, active
+ * - delivery: { flatFee, perItemFee, freeOver } (only the fields sent are changed)
+ *
+ * Returns: Updated store
+ */
+exports.updateStore = async (req, res) => {
+  try {
+    const store = await findStore(req.params.id);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const { error, fields } = parseStoreFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const delivery = parseDeliveryFields(req.body.delivery);
+    if (delivery.error) {
+      return res.status(400).json({ error: delivery.error });
+    }
+    const currencyError = await currencyProblem(fields.currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      Object.assign(store, fields);
+      await store.save({ transaction });
+
+      if (Object.keys(delivery.fields).length) {
+        const rule = store.deliveryRule || DeliveryRule.build({ storeId: store.id });
+        Object.assign(rule, delivery.fields);
+        await rule.save({ transaction });
+      }
+    });
+
+    res.status(200).json({
+      message: 'Store updated successfully',
+      store: formatStore(await findStore(store.id))
+    });
+  } catch (error) {
+    console.error('Update store error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to update store' });
+  }
+};
+
+/**
+ * Delete a store that was never used
+ * DELETE /api/admin/stores/:id
+ * Requires: Admin authentication
+ *
+ * Stores with offers or orders must be deactivated instead so history is preserved;
+ * the store's promo codes and delivery rule are deleted with it
+ *
+ * Returns: Success message
+ */
+exports.deleteStore = async (req, res) => {
+  try {
+    const store = await Store.findByPk(req.params.id);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const [offerCount, orderCount] = await Promise.all([
+      Offer.count({ where: { storeId: store.id } }),
+      Order.count({ where: { storeId: store.id } })
+    ]);
+    if (offerCount || orderCount) {
+      return res.status(400).json({ error: 'This store has offers or orders; deactivate it instead' });
+    }
+
+    await Coupon.destroy({ where: { storeId: store.id } });
+    await DeliveryRule.destroy({ where: { storeId: store.id } });
+    await store.destroy();
+
+    res.status(200).json({ message: 'Store deleted successfully' });
+  } catch (error) {
+    console.error('Delete store error:', error);
+    res.status(500).json({ error: 'Failed to delete store' });
+  }
+};
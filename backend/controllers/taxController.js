@@ -0,0 +1,218 @@
+/**
+ * Tax Controller
+ * Handles admin management of sales tax rates
+ * Shoppers see the rate for their address through the order quote (POST /api/orders/quote)
+ */
+
+const { TaxRate } = require('../models');
+const { normalizeRegion, normalizePostalCode, describeTaxRate } = require('../utils/tax');
+
+/**
+ * Convert a tax rate into the shape used by the admin page
+ * @param {Object} taxRate - TaxRate instance
+ * @returns {Object} Plain tax rate object with a numeric rate
+ */
+const formatTaxRate = (taxRate) => ({
+  id: taxRate.id,
+  name: taxRate.name,
+  region: taxRate.region || '',
+  postalPrefix: taxRate.postalPrefix || '',
+  rate: Number(taxRate.rate),
+  active: taxRate.active,
+  description: describeTaxRate(taxRate)
+});
+
+/**
+ * Validate tax rate fields from the request body
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Rate being updated (null when creating)
+ * @returns {{ error: string|null, fields: Object }} Validation error or fields to save
+ */
+const parseTaxRateFields = (body, existing) => {
+  const fields = {};
+  const { name, region, postalPrefix, rate, active } = body || {};
+
+  if (name !== undefined || !existing) {
+    if (!name || !String(name).trim()) {
+      return { error: 'Tax rate name is required', fields };
+    }
+    fields.name = String(name).trim();
+  }
+
+  if (region !== undefined) fields.region = normalizeRegion(region) || null;
+  if (postalPrefix !== undefined) {
+    fields.postalPrefix = normalizePostalCode(postalPrefix) || null;
+    if (fields.postalPrefix && !/^[A-Z0-9-]{1,20}$/.test(fields.postalPrefix)) {
+      return { error: 'Postal prefix must be up to 20 letters, digits, or dashes', fields };
+    }
+  }
+
+  // A rate with neither key would match every address
+  const finalRegion = fields.region !== undefined ? fields.region : existing?.region;
+  const finalPrefix = fields.postalPrefix !== undefined ? fields.postalPrefix : existing?.postalPrefix;
+  if (!finalRegion && !finalPrefix) {
+    return { error: 'Enter a region, a postal prefix, or both', fields };
+  }
+
+  if (rate !== undefined || !existing) {
+    const value = Number(rate);
+    if (rate === '' || rate === null || isNaN(value) || value < 0 || value > 100) {
+      return { error: 'Tax rate must be a percentage between 0 and 100', fields };
+    }
+    fields.rate = value;
+  }
+
+  if (active !== undefined) fields.active = Boolean(active);
+
+  return { error: null, fields };
+};
+
+/**
+ * Check that no other rate uses the same region and postal prefix
+ * @param {Object} keys - { region, postalPrefix } to save
+ * @param {number|null} id - Rate being updated (null when creating)
+ * @returns {Promise<boolean>} True if the combination is taken
+ */
+const keysTaken = async ({ region, postalPrefix }, id) => {
+  const existing = await TaxRate.findOne({ where: { region: region || null, postalPrefix: postalPrefix || null } });
+  return Boolean(existing && existing.id !== id);
+};
+
+/**
+ * Get every tax rate
+ * GET /api/admin/tax-rates
+ * Requires: Admin authentication
+ *
+ * Returns: Array of tax rates, by region then postal prefix
+ */
+exports.getTaxRates = async (req, res) => {
+  try {
+    const taxRates = await TaxRate.findAll({ order: [['region', 'ASC'], ['postalPrefix', 'ASC']] });
+
+    res.status(200).json({ taxRates: taxRates.map(formatTaxRate) });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({ error: 'Failed to fetch tax rates' });
+  }
+};
+
+/**
+ * Create a tax rate
+ * POST /api/admin/tax-rates
+ * Requires: Admin authentication
+ *
+ * Request body:
+ * - name: Label shown on tax lines (required)
+ * - region: State or region code (optional)
+ * - postalPrefix: Postal code prefix (optional; region, prefix, or both are required)
+ * - rate: Tax percentage (required, 0-100)
+ * - active: Whether the rate is charged (default true)
+ *
+ * Returns: Created tax rate
+ */
+exports.createTaxRate = async (req, res) => {
+  try {
+    const { error, fields } = parseTaxRateFields(req.body, null);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await keysTaken(fields, null)) {
+      return res.status(400).json({ error: 'A tax rate for this region and postal prefix already exists' });
+    }
+
+    const taxRate = await TaxRate.create(fields);
+
+    res.status(201).json({
+      message: 'Tax rate created successfully',
+      taxRate: formatTaxRate(taxRate)
+    });
+  } catch (error) {
+    console.error('Create tax rate error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to create tax rate' });
+  }
+};
+
+/**
+ * Update a tax rate
+ * PUT /api/admin/tax-rates/:id
+ * Requires: Admin authentication
+ *
+ * Orders already placed keep the tax they were charged
+ *
+ * Request body (all optional):
+ * - name, region, postalPrefix, rate, active
+ *
+ * Returns: Updated tax rate
+ */
+exports.updateTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByPk(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({ error: 'Tax rate not found' });
+    }
+
+    const { error, fields } = parseTaxRateFields(req.body, taxRate);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = {
+      region: fields.region !== undefined ? fields.region : taxRate.region,
+      postalPrefix: fields.postalPrefix !== undefined ? fields.postalPrefix : taxRate.postalPrefix
+    };
+    if (await keysTaken(target, taxRate.id)) {
+      return res.status(400).json({ error: 'A tax rate for this region and postal prefix already exists' });
+    }
+
+    Object.assign(taxRate, fields);
+    await taxRate.save();
+
+    res.status(200).json({
+      message: 'Tax rate updated successfully',
+      taxRate: formatTaxRate(taxRate)
+    });
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+
+    // Handle Sequelize validation errors
+    if (error.name === 'SequelizeValidationError') {
+      const messages = error.errors.map(e => e.message).join(', ');
+      return res.status(400).json({ error: messages });
+    }
+
+    res.status(500).json({ error: 'Failed to update tax rate' });
+  }
+};
+
+/**
+ * Delete a tax rate
+ * DELETE /api/admin/tax-rates/:id
+ * Requires: Admin authentication
+ *
+ * Orders already placed keep the tax they were charged
+ *
+ * Returns: Success message
+ */
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByPk(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({ error: 'Tax rate not found' });
+    }
+
+    await taxRate.destroy();
+
+    res.status(200).json({ message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({ error: 'Failed to delete tax rate' });
+  }
+};
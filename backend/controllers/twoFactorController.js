@@ -0,0 +1,177 @@
+/**
+ * Two-Factor Controller
+ * Lets users turn two-factor authentication (codes from an authenticator app) on and off from their profile
+ * and replace their recovery codes. The login side lives in authController (login, loginTwoFactor)
+ */
+
+const {
+  isTwoFactorEnabled, beginSetup, confirmSetup, replaceRecoveryCodes, disableTwoFactor, verifySecondFactor
+} = require('../utils/twoFactor');
+const { getSetting } = require('../utils/settings');
+const { revokeUserSessions } = require('../utils/sessions');
+
+/**
+ * Get the current user's two-factor status
+ * GET /api/auth/2fa
+ * Requires: Authentication
+ *
+ * Returns: { enabled, enabledAt, recoveryCodesLeft, required (admins must turn it on) }
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = req.user;
+    const enabled = isTwoFactorEnabled(user);
+
+    res.status(200).json({
+      enabled,
+      enabledAt: user.totpEnabledAt || null,
+      recoveryCodesLeft: enabled ? (user.totpRecoveryCodes || []).length : 0,
+      required: user.role === 'admin' && Boolean(await getSetting('requireAdminTwoFactor'))
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to load two-factor settings' });
+  }
+};
+
+/**
+ * Start turning on two-factor authentication
+ * POST /api/auth/2fa/setup
+ * Requires: Authentication
+ *
+ * Request body:
+ * - password: Current password
+ *
+ * Returns: { secret, otpauthUrl, qrCode } to add to an authenticator app; confirm with POST /api/auth/2fa/enable
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    res.status(200).json(await beginSetup(user));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+};
+
+/**
+ * Turn on two-factor authentication with a code from the authenticator app
+ * POST /api/auth/2fa/enable
+ * Requires: Authentication
+ * Signs out every other session of the user
+ *
+ * Request body:
+ * - code: Code from the authenticator app
+ *
+ * Returns: Success message and recoveryCodes (only shown this once)
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+    if (!user.totpSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const recoveryCodes = await confirmSetup(user, req.body.code);
+
+    // Other devices signed in with just the password
+    await revokeUserSessions(user.id, 'two_factor_enabled', req.sessionId);
+
+    res.status(200).json({ message: 'Two-factor authentication is on', recoveryCodes });
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * POST /api/auth/2fa/disable
+ * Requires: Authentication
+ * Not allowed for admins while admins are required to use it
+ *
+ * Request body:
+ * - password: Current password
+ * - code: Code from the authenticator app, or
+ * - recoveryCode: One of the user's recovery codes
+ *
+ * Returns: Success message
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (user.role === 'admin' && await getSetting('requireAdminTwoFactor')) {
+      return res.status(403).json({ error: 'Admins are required to use two-factor authentication' });
+    }
+
+    await verifySecondFactor(user, { code, recoveryCode });
+
+    await disableTwoFactor(user);
+
+    res.status(200).json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+  }
+};
+
+/**
+ * Replace the current user's recovery codes (the old ones stop working)
+ * POST /api/auth/2fa/recovery-codes
+ * Requires: Authentication
+ *
+ * Request body:
+ * - code: Code from the authenticator app
+ *
+ * Returns: Success message and recoveryCodes (only shown this once)
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    await verifySecondFactor(user, { code: req.body.code });
+
+    const recoveryCodes = await replaceRecoveryCodes(user);
+
+    res.status(200).json({ message: 'New recovery codes created', recoveryCodes });
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to create new recovery codes' });
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Email Verification Controller
+ * Handles opening the verification link and sending a new one
+ * Links use hashed, expiring email tokens like password resets (see utils/emailVerification)
+ */
+
+const User = require('../models/User');
+const { Op } = require('sequelize');
+const { hashEmailToken } = require('../utils/emailTokens');
+const { resendWaitSeconds, sendVerificationEmail } = require('../utils/emailVerification');
+
+/**
+ * Verify Email - Confirm the address with the token from the verification email
+ * POST /api/auth/verify-email
+ * Public (the link may be opened on a device where the user isn't signed in)
+ *
+ * Request body:
+ * - token: Token from the verification link
+ *
+ * Returns: Success message and verifiedAt
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    // Find the user whose current link this is, while it still works
+    const user = await User.findOne({
+      where: {
+        verificationToken: hashEmailToken(token),
+        verificationExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link. Please request a new one.' });
+    }
+
+    // Mark the address verified and invalidate the link
+    user.verifiedAt = user.verifiedAt || new Date();
+    user.verificationToken = null;
+    user.verificationExpires = null;
+    await user.save({ hooks: false }); // Skip password hashing hook
+
+    res.status(200).json({ message: 'Your email address has been verified.', verifiedAt: user.verifiedAt });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'An error occurred. Please try again later.' });
+  }
+};
+
+/**
+ * Resend Verification - Email the current user a new verification link
+ * POST /api/auth/resend-verification
+ * Requires: Authentication
+ *
+ * Limited to one email per EMAIL_VERIFICATION_RESEND_SECONDS; earlier links stop working
+ *
+ * Returns: Success message
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.verifiedAt) {
+      return res.status(400).json({ error: 'Your email address is already verified' });
+    }
+
+    const wait = resendWaitSeconds(user);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: `Please wait ${wait} seconds before requesting another email`, retryAfter: wait });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: `A new verification link has been sent to ${user.email}.` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send the verification email. Please try again later.' });
+  }
+};
@@ -4,9 +4,8 @@
  * Protects routes that require user authentication
  */
 
-const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/constants');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/sessions');
 
 /**
  * Middleware function to authenticate requests
@@ -30,8 +29,8 @@ const authenticate = async (req, res, next) => {
   const token = authHeader.split(' ')[1];
 
   try {
-    // Verify and decode JWT token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Verify and decode JWT token, and check its session hasn't been ended (logout, password change)
+    const decoded = await verifyAccessToken(token);
     
     // Find user in database using decoded userId
     const user = await User.findByPk(decoded.userId);
@@ -41,8 +40,9 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Attach user to request object for use in route handlers
+    // Attach user and session to request object for use in route handlers
     req.user = user;
+    req.sessionId = decoded.sid;
     
     // Continue to next middleware/route handler
     next();
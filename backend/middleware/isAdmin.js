@@ -4,14 +4,14 @@
  * Protects routes that require admin privileges
  */
 
-const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/constants');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/sessions');
+const { needsTwoFactorSetup } = require('../utils/twoFactor');
 
 /**
  * Middleware function to verify admin access
  * Authenticates user and verifies admin role
- * Returns 403 Forbidden if user is not an admin
+ * Returns 403 Forbidden if user is not an admin, or if admins must use two-factor authentication and this one doesn't
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -30,8 +30,8 @@ const isAdmin = async (req, res, next) => {
   const token = authHeader.split(' ')[1];
 
   try {
-    // Verify and decode JWT token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Verify and decode JWT token, and check its session hasn't been ended (logout, password change)
+    const decoded = await verifyAccessToken(token);
     
     // Find user in database using decoded userId
     const user = await User.findByPk(decoded.userId);
@@ -42,13 +42,21 @@ const isAdmin = async (req, res, next) => {
     }
 
     // Verify user has admin role
-    // Checks both email (for demo admin@cleancart.com) and role field
-    if (user.email !== 'admin@cleancart.com' && user.role !== 'admin') {
+    if (user.role !== 'admin') {
       return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
     }
 
-    // Attach user to request object for use in route handlers
+    // Admins may be required to turn on two-factor authentication (Profile page) first
+    if (await needsTwoFactorSetup(user)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for admins. Turn it on in your profile.',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    // Attach user and session to request object for use in route handlers
     req.user = user;
+    req.sessionId = decoded.sid;
     
     // Continue to next middleware/route handler
     next();
@@ -0,0 +1,22 @@
+/**
+ * Email verification middleware
+ * Blocks actions that need a proven email address (checkout, price alerts) until the user has verified theirs
+ * Runs after the auth middleware, which sets req.user
+ */
+
+/**
+ * Middleware function to require a verified email address
+ * Returns 403 Forbidden if the user hasn't verified their email
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireVerified = (req, res, next) => {
+  if (!req.user?.verifiedAt) {
+    return res.status(403).json({ error: 'Please verify your email address first. Check your inbox for the verification link.' });
+  }
+  next();
+};
+
+module.exports = requireVerified;
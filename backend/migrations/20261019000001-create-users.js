@@ -0,0 +1,27 @@
+/**
+ * Baseline: users table
+ * Skipped when the table already exists (databases created by the old sync on boot)
+ */
+
+const { DataTypes } = require('sequelize');
+const { createTableIfMissing, timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await createTableIfMissing(queryInterface, 'users', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      email: { type: DataTypes.STRING, allowNull: false, unique: true },
+      profilePicture: { type: DataTypes.TEXT, allowNull: true },
+      role: { type: DataTypes.STRING, allowNull: true, defaultValue: 'user' },
+      password: { type: DataTypes.STRING, allowNull: false },
+      resetPasswordToken: { type: DataTypes.STRING, allowNull: true },
+      resetPasswordExpires: { type: DataTypes.DATE, allowNull: true },
+      ...timestamps(DataTypes)
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('users');
+  }
+};
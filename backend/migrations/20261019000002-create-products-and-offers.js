@@ -0,0 +1,46 @@
+/**
+ * Baseline: product catalog (products and per-store offers)
+ * Skipped when the tables already exist
+ */
+
+const { DataTypes } = require('sequelize');
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await createTableIfMissing(queryInterface, 'products', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      category: { type: DataTypes.STRING, allowNull: true },
+      imageUrl: { type: DataTypes.TEXT, allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    await createTableIfMissing(queryInterface, 'offers', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'products', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      storeId: { type: DataTypes.STRING, allowNull: false },
+      available: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      stock: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      deliveryCost: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      rating: { type: DataTypes.DECIMAL(2, 1), allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    // A product can only be listed once per store
+    await addIndexIfMissing(queryInterface, 'offers', ['productId', 'storeId'], { unique: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('offers');
+    await queryInterface.dropTable('products');
+  }
+};
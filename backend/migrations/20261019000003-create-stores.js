@@ -0,0 +1,26 @@
+/**
+ * Baseline: partner store directory
+ * Skipped when the table already exists; default stores are added by the seeders
+ */
+
+const { DataTypes } = require('sequelize');
+const { createTableIfMissing, timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await createTableIfMissing(queryInterface, 'stores', {
+      id: { type: DataTypes.STRING, primaryKey: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      logo: { type: DataTypes.STRING, allowNull: true },
+      deliveryFee: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      eta: { type: DataTypes.STRING, allowNull: true },
+      rating: { type: DataTypes.DECIMAL(2, 1), allowNull: true },
+      active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(DataTypes)
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('stores');
+  }
+};
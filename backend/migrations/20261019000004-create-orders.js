@@ -0,0 +1,58 @@
+/**
+ * Baseline: orders and their line items
+ * Skipped when the tables already exist
+ */
+
+const { DataTypes } = require('sequelize');
+const { createTableIfMissing, timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await createTableIfMissing(queryInterface, 'orders', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      storeId: { type: DataTypes.STRING, allowNull: false },
+      status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' },
+      address: { type: DataTypes.TEXT, allowNull: false },
+      paymentMethod: { type: DataTypes.STRING, allowNull: false, defaultValue: 'cod' },
+      paymentNote: { type: DataTypes.TEXT, allowNull: true },
+      subtotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      deliveryFee: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      total: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      ...timestamps(DataTypes)
+    });
+
+    await createTableIfMissing(queryInterface, 'order_items', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'orders', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'products', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      productName: { type: DataTypes.STRING, allowNull: false },
+      price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      ...timestamps(DataTypes)
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('order_items');
+    await queryInterface.dropTable('orders');
+  }
+};
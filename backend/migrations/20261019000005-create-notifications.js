@@ -0,0 +1,55 @@
+/**
+ * Baseline: notifications and per-user read receipts
+ * Skipped when the tables already exist
+ */
+
+const { DataTypes } = require('sequelize');
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await createTableIfMissing(queryInterface, 'notifications', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      title: { type: DataTypes.STRING, allowNull: false },
+      message: { type: DataTypes.TEXT, allowNull: false },
+      type: { type: DataTypes.STRING, allowNull: false, defaultValue: 'info' },
+      ...timestamps(DataTypes)
+    });
+
+    await createTableIfMissing(queryInterface, 'notification_receipts', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      notificationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'notifications', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      readAt: { type: DataTypes.DATE, allowNull: true },
+      dismissed: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      ...timestamps(DataTypes)
+    });
+
+    // A user has at most one receipt per notification
+    await addIndexIfMissing(queryInterface, 'notification_receipts', ['notificationId', 'userId'], { unique: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('notification_receipts');
+    await queryInterface.dropTable('notifications');
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Baseline: server-side carts
+ * Skipped when the table already exists
+ */
+
+const { DataTypes } = require('sequelize');
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await createTableIfMissing(queryInterface, 'cart_items', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'products', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      ...timestamps(DataTypes)
+    });
+
+    // A product appears at most once per cart
+    await addIndexIfMissing(queryInterface, 'cart_items', ['userId', 'productId'], { unique: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('cart_items');
+  }
+};
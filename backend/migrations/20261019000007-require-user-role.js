@@ -0,0 +1,27 @@
+/**
+ * Backfill missing user roles and make the role column required
+ * Accounts created before roles existed have a NULL role and were treated as regular users
+ */
+
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.bulkUpdate('users', { role: 'user' }, { role: null });
+    // SQLite rebuilds the users table for this; foreign keys off keeps the rows that reference users
+    await withoutForeignKeys(queryInterface, () => queryInterface.changeColumn('users', 'role', {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'user'
+    }));
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, () => queryInterface.changeColumn('users', 'role', {
+      type: DataTypes.STRING,
+      allowNull: true,
+      defaultValue: 'user'
+    }));
+  }
+};
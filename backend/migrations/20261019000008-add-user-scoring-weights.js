@@ -0,0 +1,18 @@
+/**
+ * Add saved store recommendation weights to users
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('users', 'scoringWeights', {
+      type: DataTypes.JSON,
+      allowNull: true
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeColumn('users', 'scoringWeights');
+  }
+};
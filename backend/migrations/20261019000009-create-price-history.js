@@ -0,0 +1,36 @@
+/**
+ * Create the price history table
+ * Existing offers get a starting point at their last update so charts are not empty
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('price_history', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'products', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      storeId: { type: DataTypes.STRING, allowNull: false },
+      price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      available: { type: DataTypes.BOOLEAN, allowNull: false },
+      recordedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+
+    await queryInterface.addIndex('price_history', ['productId', 'storeId', 'recordedAt']);
+
+    await queryInterface.sequelize.query(
+      'INSERT INTO price_history ("productId", "storeId", price, available, "recordedAt") ' +
+      'SELECT "productId", "storeId", price, available, "updatedAt" FROM offers'
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('price_history');
+  }
+};
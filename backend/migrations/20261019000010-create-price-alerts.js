@@ -0,0 +1,41 @@
+/**
+ * Create the price alert (watchlist) table
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('price_alerts', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'products', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      targetPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+      storeIds: { type: DataTypes.JSON, allowNull: true },
+      active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      lastNotifiedAt: { type: DataTypes.DATE, allowNull: true },
+      lastNotifiedPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    // A user watches a product at most once
+    await queryInterface.addIndex('price_alerts', ['userId', 'productId'], { unique: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('price_alerts');
+  }
+};
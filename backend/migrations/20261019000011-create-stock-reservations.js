@@ -0,0 +1,41 @@
+/**
+ * Create the stock reservation table
+ * Offers that are already out of stock become unavailable
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('stock_reservations', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      offerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'offers', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: { type: DataTypes.INTEGER, allowNull: false },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      ...timestamps(DataTypes)
+    });
+
+    // One hold per shopper per offer (re-reserving replaces it)
+    await queryInterface.addIndex('stock_reservations', ['userId', 'offerId'], { unique: true });
+
+    await queryInterface.bulkUpdate('offers', { available: false }, { stock: 0 });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('stock_reservations');
+  }
+};
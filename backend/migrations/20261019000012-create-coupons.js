@@ -0,0 +1,42 @@
+/**
+ * Create the store coupon table and record the promo code used on each order
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('coupons', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: DataTypes.STRING(40), allowNull: false },
+      storeId: { type: DataTypes.STRING, allowNull: false },
+      type: { type: DataTypes.STRING, allowNull: false },
+      value: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      category: { type: DataTypes.STRING, allowNull: true },
+      minSpend: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+      startsAt: { type: DataTypes.DATE, allowNull: true },
+      endsAt: { type: DataTypes.DATE, allowNull: true },
+      usageLimit: { type: DataTypes.INTEGER, allowNull: true },
+      usedCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(DataTypes)
+    });
+
+    // Different stores may use the same code
+    await queryInterface.addIndex('coupons', ['storeId', 'code'], { unique: true });
+
+    await queryInterface.addColumn('orders', 'couponCode', { type: DataTypes.STRING(40), allowNull: true });
+    await queryInterface.addColumn('orders', 'discount', {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeColumn('orders', 'discount');
+    await queryInterface.removeColumn('orders', 'couponCode');
+    await queryInterface.dropTable('coupons');
+  }
+};
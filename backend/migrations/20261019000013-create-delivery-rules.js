@@ -0,0 +1,107 @@
+/**
+ * Move store delivery fees into per-store delivery rules
+ * Each store's fee becomes the flat fee of its rule. Offer delivery costs (only used for
+ * single-product orders) are replaced by an optional per-unit surcharge; they are not copied
+ * over, since adding them to the store's flat fee would charge delivery twice
+ */
+
+const { DataTypes } = require('sequelize');
+const { rebuildTable, timestamps } = require('./helpers/schema');
+
+/**
+ * Offer columns, with either the old deliveryCost or the new deliverySurcharge
+ * Used to rebuild the table on SQLite, where removeColumn would turn the (productId, storeId) unique index
+ * into separate unique columns and drop the cascade from products
+ * @param {Object} deliveryColumn - { deliveryCost } or { deliverySurcharge } definition
+ * @returns {Object} Column definitions
+ */
+const offerColumns = (deliveryColumn) => ({
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'products', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  storeId: { type: DataTypes.STRING, allowNull: false },
+  available: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  stock: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  ...deliveryColumn,
+  rating: { type: DataTypes.DECIMAL(2, 1), allowNull: true },
+  ...timestamps(DataTypes)
+});
+
+// A product can only be listed once per store
+const OFFER_INDEXES = [{ fields: ['productId', 'storeId'], unique: true }];
+
+const DELIVERY_SURCHARGE = { deliverySurcharge: { type: DataTypes.DECIMAL(10, 2), allowNull: true } };
+const DELIVERY_COST = { deliveryCost: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 } };
+
+/**
+ * Swap the offers table's delivery column
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Object} added - Column definition to add ({ name: definition })
+ * @param {string} removed - Column to remove
+ * @returns {Promise<void>}
+ */
+const swapOfferDeliveryColumn = async (queryInterface, added, removed) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await rebuildTable(queryInterface, 'offers', offerColumns(added), OFFER_INDEXES);
+    return;
+  }
+  const [name, definition] = Object.entries(added)[0];
+  await queryInterface.addColumn('offers', name, definition);
+  await queryInterface.removeColumn('offers', removed);
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('delivery_rules', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      storeId: { type: DataTypes.STRING, allowNull: false, unique: true },
+      flatFee: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      perItemFee: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      freeOver: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    const stores = await queryInterface.sequelize.query(
+      'SELECT id, "deliveryFee" FROM stores',
+      { type: queryInterface.sequelize.QueryTypes.SELECT }
+    );
+    const now = new Date();
+    if (stores.length) {
+      await queryInterface.bulkInsert('delivery_rules', stores.map((store) => ({
+        storeId: store.id,
+        flatFee: store.deliveryFee,
+        perItemFee: 0,
+        freeOver: null,
+        createdAt: now,
+        updatedAt: now
+      })));
+    }
+    await queryInterface.removeColumn('stores', 'deliveryFee');
+
+    await swapOfferDeliveryColumn(queryInterface, DELIVERY_SURCHARGE, 'deliveryCost');
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await swapOfferDeliveryColumn(queryInterface, DELIVERY_COST, 'deliverySurcharge');
+
+    await queryInterface.addColumn('stores', 'deliveryFee', {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    const rules = await queryInterface.sequelize.query(
+      'SELECT "storeId", "flatFee" FROM delivery_rules',
+      { type: queryInterface.sequelize.QueryTypes.SELECT }
+    );
+    for (const rule of rules) {
+      await queryInterface.bulkUpdate('stores', { deliveryFee: rule.flatFee }, { id: rule.storeId });
+    }
+    await queryInterface.dropTable('delivery_rules');
+  }
+};
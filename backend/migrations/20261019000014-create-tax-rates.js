@@ -0,0 +1,55 @@
+/**
+ * Create the sales tax rate table, let stores price tax-inclusive, and record the tax charged on each order
+ * Existing orders were placed without tax, so they keep a tax of 0
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('tax_rates', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      region: { type: DataTypes.STRING(40), allowNull: true },
+      postalPrefix: { type: DataTypes.STRING(20), allowNull: true },
+      rate: { type: DataTypes.DECIMAL(6, 3), allowNull: false },
+      active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(DataTypes)
+    });
+
+    await queryInterface.addColumn('stores', 'pricesIncludeTax', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('orders', 'region', { type: DataTypes.STRING(40), allowNull: true });
+    await queryInterface.addColumn('orders', 'postalCode', { type: DataTypes.STRING(20), allowNull: true });
+    await queryInterface.addColumn('orders', 'taxRate', {
+      type: DataTypes.DECIMAL(6, 3),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('orders', 'tax', {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('orders', 'taxIncluded', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeColumn('orders', 'taxIncluded');
+    await queryInterface.removeColumn('orders', 'tax');
+    await queryInterface.removeColumn('orders', 'taxRate');
+    await queryInterface.removeColumn('orders', 'postalCode');
+    await queryInterface.removeColumn('orders', 'region');
+    await queryInterface.removeColumn('stores', 'pricesIncludeTax');
+    await queryInterface.dropTable('tax_rates');
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Create the exchange rate table, give stores and users a currency, and record the currency and rate of each order
+ * Existing stores, users, and orders are in the base currency (USD) at a rate of 1
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('exchange_rates', {
+      currency: { type: DataTypes.STRING(3), primaryKey: true },
+      rate: { type: DataTypes.DECIMAL(16, 6), allowNull: false },
+      source: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'manual' },
+      ...timestamps(DataTypes)
+    });
+
+    await queryInterface.addColumn('stores', 'currency', {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    });
+    await queryInterface.addColumn('users', 'currency', { type: DataTypes.STRING(3), allowNull: true });
+
+    await queryInterface.addColumn('orders', 'currency', {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    });
+    await queryInterface.addColumn('orders', 'exchangeRate', {
+      type: DataTypes.DECIMAL(16, 6),
+      allowNull: false,
+      defaultValue: 1
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeColumn('orders', 'exchangeRate');
+    await queryInterface.removeColumn('orders', 'currency');
+    await queryInterface.removeColumn('users', 'currency');
+    await queryInterface.removeColumn('stores', 'currency');
+    await queryInterface.dropTable('exchange_rates');
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Create the order status history table
+ * Existing orders get a "placed" row at their creation time and, if they have moved on since,
+ * a row for their current status at their last update (by an unknown user)
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('order_status_changes', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'orders', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      fromStatus: { type: DataTypes.STRING(20), allowNull: true },
+      toStatus: { type: DataTypes.STRING(20), allowNull: false },
+      changedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      note: { type: DataTypes.TEXT, allowNull: true },
+      changedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+
+    await queryInterface.addIndex('order_status_changes', ['orderId', 'changedAt']);
+
+    await queryInterface.sequelize.query(
+      'INSERT INTO order_status_changes ("orderId", "fromStatus", "toStatus", "changedBy", "changedAt") ' +
+      'SELECT id, NULL, \'pending\', "userId", "createdAt" FROM orders'
+    );
+    await queryInterface.sequelize.query(
+      'INSERT INTO order_status_changes ("orderId", "fromStatus", "toStatus", "changedBy", "changedAt") ' +
+      'SELECT id, \'pending\', status, NULL, "updatedAt" FROM orders WHERE status <> \'pending\''
+    );
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('order_status_changes');
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Create the return request (RMA) tables
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('return_requests', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'orders', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'requested' },
+      reason: { type: DataTypes.STRING(30), allowNull: false },
+      details: { type: DataTypes.TEXT, allowNull: true },
+      photos: { type: DataTypes.JSON, allowNull: true },
+      subtotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      discount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      deliveryFee: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      tax: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      refundAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      carrier: { type: DataTypes.STRING, allowNull: true },
+      trackingNumber: { type: DataTypes.STRING, allowNull: true },
+      adminNote: { type: DataTypes.TEXT, allowNull: true },
+      reviewedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      receivedAt: { type: DataTypes.DATE, allowNull: true },
+      refundedAt: { type: DataTypes.DATE, allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    await queryInterface.addIndex('return_requests', ['orderId']);
+    await queryInterface.addIndex('return_requests', ['status']);
+
+    await queryInterface.createTable('return_items', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      returnRequestId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'return_requests', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      orderItemId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'order_items', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: { type: DataTypes.INTEGER, allowNull: false },
+      ...timestamps(DataTypes)
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('return_items');
+    await queryInterface.dropTable('return_requests');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Create the invoices table
+ * Invoices are issued on demand, so existing orders get theirs the first time they are downloaded
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('invoices', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'orders', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      billingName: { type: DataTypes.STRING, allowNull: true },
+      billingEmail: { type: DataTypes.STRING, allowNull: true },
+      issuedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('invoices');
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Create the payments table and tidy existing payment methods
+ * Orders placed before card payments existed were all cash on delivery, whatever text checkout saved
+ */
+
+const { DataTypes, Op } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('payments', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'orders', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      provider: { type: DataTypes.STRING(20), allowNull: false },
+      providerPaymentId: { type: DataTypes.STRING, allowNull: false, unique: true },
+      status: { type: DataTypes.STRING(30), allowNull: false, defaultValue: 'requires_confirmation' },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      currency: { type: DataTypes.STRING(3), allowNull: false },
+      refundedAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      cardBrand: { type: DataTypes.STRING(20), allowNull: true },
+      cardLast4: { type: DataTypes.STRING(4), allowNull: true },
+      nextAction: { type: DataTypes.JSON, allowNull: true },
+      failureReason: { type: DataTypes.STRING, allowNull: true },
+      authorizedAt: { type: DataTypes.DATE, allowNull: true },
+      capturedAt: { type: DataTypes.DATE, allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    await queryInterface.addIndex('payments', ['status']);
+
+    await queryInterface.bulkUpdate('orders', { paymentMethod: 'cod' }, { paymentMethod: { [Op.ne]: 'cod' } });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('payments');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Create the sessions table for refresh tokens
+ * Access tokens issued before sessions existed carry no session ID and stop working, so everyone signs in again
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('sessions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tokenHash: { type: DataTypes.STRING(64), allowNull: false },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      lastUsedAt: { type: DataTypes.DATE, allowNull: true },
+      revokedAt: { type: DataTypes.DATE, allowNull: true },
+      revokedReason: { type: DataTypes.STRING(30), allowNull: true },
+      userAgent: { type: DataTypes.STRING, allowNull: true },
+      ipAddress: { type: DataTypes.STRING(45), allowNull: true },
+      ...timestamps(DataTypes)
+    });
+
+    await queryInterface.addIndex('sessions', ['userId']);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('sessions');
+  }
+};
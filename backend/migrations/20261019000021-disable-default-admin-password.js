@@ -0,0 +1,32 @@
+/**
+ * Disable the password of the old demo admin account
+ * Logging in as admin / admin1234 used to create admin@cleancart.com with that password, which is public.
+ * If the account still has it, its password is replaced with a random one nobody knows and its sessions are ended.
+ * The account keeps its role; set a new password with `npm run create-admin -- --email admin@cleancart.com --force`
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const DEMO_ADMIN_EMAIL = 'admin@cleancart.com';
+const DEMO_ADMIN_PASSWORD = 'admin1234';
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    const [users] = await queryInterface.sequelize.query(
+      'SELECT id, password FROM users WHERE email = :email',
+      { replacements: { email: DEMO_ADMIN_EMAIL } }
+    );
+    for (const user of users) {
+      if (await bcrypt.compare(DEMO_ADMIN_PASSWORD, user.password)) {
+        const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        await queryInterface.bulkUpdate('users', { password }, { id: user.id });
+        // Sign out anyone who got in with it
+        await queryInterface.bulkUpdate('sessions', { revokedAt: new Date(), revokedReason: 'password_reset' }, { userId: user.id, revokedAt: null });
+      }
+    }
+  },
+
+  // The old password is not put back
+  down: async () => {}
+};
@@ -0,0 +1,25 @@
+/**
+ * Add email verification to users
+ * Accounts that existed before verification are treated as verified from when they were created, so they can keep
+ * checking out
+ */
+
+const { DataTypes, col } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('users', 'verifiedAt', { type: DataTypes.DATE, allowNull: true });
+    await queryInterface.addColumn('users', 'verificationToken', { type: DataTypes.STRING, allowNull: true });
+    await queryInterface.addColumn('users', 'verificationExpires', { type: DataTypes.DATE, allowNull: true });
+    await queryInterface.addColumn('users', 'verificationSentAt', { type: DataTypes.DATE, allowNull: true });
+
+    await queryInterface.bulkUpdate('users', { verifiedAt: col('createdAt') }, {});
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeColumn('users', 'verificationSentAt');
+    await queryInterface.removeColumn('users', 'verificationExpires');
+    await queryInterface.removeColumn('users', 'verificationToken');
+    await queryInterface.removeColumn('users', 'verifiedAt');
+  }
+};
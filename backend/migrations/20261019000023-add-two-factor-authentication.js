@@ -0,0 +1,29 @@
+/**
+ * Add two-factor authentication (TOTP) to users, and the settings table where admins can require it for admins
+ */
+
+const { DataTypes } = require('sequelize');
+const { timestamps } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('users', 'totpSecret', { type: DataTypes.STRING(64), allowNull: true });
+    await queryInterface.addColumn('users', 'totpEnabledAt', { type: DataTypes.DATE, allowNull: true });
+    await queryInterface.addColumn('users', 'totpLastStep', { type: DataTypes.INTEGER, allowNull: true });
+    await queryInterface.addColumn('users', 'totpRecoveryCodes', { type: DataTypes.JSON, allowNull: true });
+
+    await queryInterface.createTable('settings', {
+      key: { type: DataTypes.STRING(50), primaryKey: true },
+      value: { type: DataTypes.JSON, allowNull: true },
+      ...timestamps(DataTypes)
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('settings');
+    await queryInterface.removeColumn('users', 'totpRecoveryCodes');
+    await queryInterface.removeColumn('users', 'totpLastStep');
+    await queryInterface.removeColumn('users', 'totpEnabledAt');
+    await queryInterface.removeColumn('users', 'totpSecret');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Add account lockout to users
+ * Accounts are locked for a while after too many failed logins
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('users', 'lockedUntil', { type: DataTypes.DATE, allowNull: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.removeColumn('users', 'lockedUntil');
+  }
+};
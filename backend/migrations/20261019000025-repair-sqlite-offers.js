@@ -0,0 +1,43 @@
+/**
+ * Repair the offers table on SQLite databases migrated before the delivery rules migration rebuilt it properly
+ * Its removeColumn had made productId and storeId unique on their own (so a product could only be listed at one
+ * store) and dropped the cascade from products. Rebuilds the table when the (productId, storeId) index is missing;
+ * nothing to do on other dialects or on databases that are fine
+ */
+
+const { DataTypes, Utils } = require('sequelize');
+const { rebuildTable, timestamps } = require('./helpers/schema');
+
+const OFFER_COLUMNS = {
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'products', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  storeId: { type: DataTypes.STRING, allowNull: false },
+  available: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  stock: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  deliverySurcharge: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+  rating: { type: DataTypes.DECIMAL(2, 1), allowNull: true },
+  ...timestamps(DataTypes)
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    if (queryInterface.sequelize.getDialect() !== 'sqlite') return;
+
+    const fields = ['productId', 'storeId'];
+    const indexName = Utils.nameIndex({ fields }, 'offers').name;
+    const indexes = await queryInterface.showIndex('offers');
+    if (indexes.some((index) => index.name === indexName)) return;
+
+    await rebuildTable(queryInterface, 'offers', OFFER_COLUMNS, [{ fields, unique: true }]);
+  },
+
+  // The broken table isn't worth restoring
+  down: async () => {}
+};
@@ -0,0 +1,17 @@
+/**
+ * Let customers hide finished orders from their history
+ * Orders used to be deleted, taking their revenue, history, returns, payment and invoice with them
+ */
+
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/schema');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('orders', 'hiddenAt', { type: DataTypes.DATE, allowNull: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, () => queryInterface.removeColumn('orders', 'hiddenAt'));
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Stop invoices from being deleted with their order
+ * Invoice numbers must stay gapless, so an order with an invoice can no longer be deleted (ON DELETE RESTRICT)
+ */
+
+const { DataTypes } = require('sequelize');
+const { rebuildTable } = require('./helpers/schema');
+
+/**
+ * Invoice columns, with the given action when the order is deleted
+ * @param {string} onDelete - 'RESTRICT' or 'CASCADE'
+ * @returns {Object} Column definitions
+ */
+const invoiceColumns = (onDelete) => ({
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: { model: 'orders', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete
+  },
+  billingName: { type: DataTypes.STRING, allowNull: true },
+  billingEmail: { type: DataTypes.STRING, allowNull: true },
+  issuedAt: { type: DataTypes.DATE, allowNull: false }
+});
+
+/**
+ * Replace the invoices → orders foreign key with one using another delete action
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} onDelete - 'RESTRICT' or 'CASCADE'
+ * @returns {Promise<void>}
+ */
+const setOrderDeleteAction = async (queryInterface, onDelete) => {
+  // SQLite can't alter a foreign key, so the table is rebuilt with the new one
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await rebuildTable(queryInterface, 'invoices', invoiceColumns(onDelete));
+    return;
+  }
+
+  const foreignKeys = await queryInterface.getForeignKeyReferencesForTable('invoices');
+  for (const { constraintName, columnName } of foreignKeys) {
+    if (columnName === 'orderId') {
+      await queryInterface.removeConstraint('invoices', constraintName);
+    }
+  }
+  await queryInterface.addConstraint('invoices', {
+    fields: ['orderId'],
+    type: 'foreign key',
+    references: { table: 'orders', field: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete
+  });
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await setOrderDeleteAction(queryInterface, 'RESTRICT');
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await setOrderDeleteAction(queryInterface, 'CASCADE');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Record when an offer was turned off because it sold out
+ * Cancelled orders and received returns used to turn every offer with no stock back on, including ones an admin had
+ * turned off. Offers that are already off keep their state: they come back when an admin turns them on
+ */
+
+const { DataTypes } = require('sequelize');
+const { rebuildTable, timestamps } = require('./helpers/schema');
+
+// The offers table without the new column (SQLite has to rebuild it to drop one)
+const OFFER_COLUMNS = {
+  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: 'products', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  storeId: { type: DataTypes.STRING, allowNull: false },
+  available: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  stock: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  deliverySurcharge: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+  rating: { type: DataTypes.DECIMAL(2, 1), allowNull: true },
+  ...timestamps(DataTypes)
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('offers', 'soldOutAt', { type: DataTypes.DATE, allowNull: true });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    if (queryInterface.sequelize.getDialect() === 'sqlite') {
+      await rebuildTable(queryInterface, 'offers', OFFER_COLUMNS, [{ fields: ['productId', 'storeId'], unique: true }]);
+    } else {
+      await queryInterface.removeColumn('offers', 'soldOutAt');
+    }
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * Migration helpers
+ * Databases created before migrations existed already have their tables (built by sync),
+ * so the baseline migrations only create what is missing
+ *
+ * SQLite can't alter columns in place, so changing or removing one rebuilds the table. Sequelize's
+ * changeColumn/removeColumn do that by dropping the table with foreign keys on (which deletes the rows of
+ * every table referencing it) and recreate it from describeTable (which loses composite indexes and ON DELETE
+ * actions); withoutForeignKeys and rebuildTable avoid both
+ */
+
+const { Utils } = require('sequelize');
+
+/**
+ * Check whether a table exists
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} tableName - Table to look for
+ * @returns {Promise<boolean>} True if the table exists
+ */
+const tableExists = async (queryInterface, tableName) => {
+  try {
+    await queryInterface.describeTable(tableName);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Create a table unless it already exists
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} tableName - Table to create
+ * @param {Object} attributes - Column definitions
+ * @returns {Promise<boolean>} True if the table was created
+ */
+const createTableIfMissing = async (queryInterface, tableName, attributes) => {
+  if (await tableExists(queryInterface, tableName)) return false;
+  await queryInterface.createTable(tableName, attributes);
+  return true;
+};
+
+/**
+ * Add an index unless one with the same name already exists
+ * Uses the same default name as sync so indexes it created are recognised
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} tableName - Table to index
+ * @param {string[]} fields - Indexed columns
+ * @param {Object} [options] - Extra index options (e.g. unique)
+ * @returns {Promise<void>}
+ */
+const addIndexIfMissing = async (queryInterface, tableName, fields, options = {}) => {
+  const name = options.name || Utils.nameIndex({ fields }, tableName).name;
+  const indexes = await queryInterface.showIndex(tableName);
+  if (indexes.some((index) => index.name === name)) return;
+  await queryInterface.addIndex(tableName, fields, { ...options, name });
+};
+
+/**
+ * Run schema changes with foreign keys off on SQLite, so dropping a table to rebuild it leaves the rows that
+ * reference it alone (other dialects just run them)
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Function} change - Async function making the changes
+ * @returns {Promise<void>}
+ */
+const withoutForeignKeys = async (queryInterface, change) => {
+  if (queryInterface.sequelize.getDialect() !== 'sqlite') {
+    await change();
+    return;
+  }
+
+  await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await change();
+  } finally {
+    await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+/**
+ * Rebuild a SQLite table with the given columns and indexes, keeping its rows
+ * Columns missing from the new definition are dropped; new ones start with their default
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} tableName - Table to rebuild
+ * @param {Object} attributes - Full column definitions of the rebuilt table
+ * @param {Array<Object>} [indexes] - Indexes to recreate, as { fields, ...options }
+ * @returns {Promise<void>}
+ */
+const rebuildTable = async (queryInterface, tableName, attributes, indexes = []) => {
+  const { sequelize } = queryInterface;
+  const newTableName = `${tableName}_rebuild`;
+  const quotedTable = queryInterface.quoteIdentifier(tableName);
+  const quotedNewTable = queryInterface.quoteIdentifier(newTableName);
+  const existing = await queryInterface.describeTable(tableName);
+  const columns = Object.keys(attributes)
+    .filter((column) => existing[column])
+    .map((column) => queryInterface.quoteIdentifier(column))
+    .join(', ');
+
+  await withoutForeignKeys(queryInterface, async () => {
+    await queryInterface.createTable(newTableName, attributes);
+    await sequelize.query(`INSERT INTO ${quotedNewTable} (${columns}) SELECT ${columns} FROM ${quotedTable}`);
+    await queryInterface.dropTable(tableName);
+    await queryInterface.renameTable(newTableName, tableName);
+    for (const { fields, ...options } of indexes) {
+      await addIndexIfMissing(queryInterface, tableName, fields, options);
+    }
+  });
+};
+
+/**
+ * Standard createdAt/updatedAt columns added by Sequelize models
+ * @param {Object} DataTypes - Sequelize data types
+ * @returns {Object} Timestamp column definitions
+ */
+const timestamps = (DataTypes) => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+});
+
+module.exports = {
+  tableExists,
+  createTableIfMissing,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  rebuildTable,
+  timestamps
+};
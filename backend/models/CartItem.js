@@ -0,0 +1,50 @@
+/**
+ * CartItem Model
+ * One product line in a signed-in user's shopping cart
+ * Guest carts stay in the browser and are merged in on login
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * CartItem model definition with all fields and validation rules
+ */
+const CartItem = sequelize.define('CartItem', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Cart owner
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Product in the cart
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Number of units
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  }
+}, {
+  tableName: 'cart_items', // Database table name
+  indexes: [
+    // A product appears at most once per cart
+    { unique: true, fields: ['userId', 'productId'] }
+  ]
+});
+
+module.exports = CartItem;
@@ -0,0 +1,109 @@
+/**
+ * Coupon Model
+ * A store's promo code: percentage off, fixed amount off, or free delivery,
+ * optionally limited to a product category, a minimum spend, a validity window, and a number of uses
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { COUPON_TYPES } = require('../config/constants');
+
+/**
+ * Coupon model definition with all fields and validation rules
+ */
+const Coupon = sequelize.define('Coupon', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Code shoppers enter at checkout (stored uppercase)
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z0-9_-]+$/ // Uppercase letters, digits, dashes, and underscores only
+    }
+  },
+
+  // Store the code is valid at
+  storeId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Kind of discount (see COUPON_TYPES)
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [COUPON_TYPES]
+    }
+  },
+
+  // Percentage (percent) or amount (fixed) taken off; unused for free delivery
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Only counts items in this category (null = every item)
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Smallest spend on eligible items for the code to apply (null = no minimum)
+  minSpend: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Validity window (null = open-ended)
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Orders the code can be used on in total (null = unlimited) and how many have used it
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  usedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Switched-off codes are kept for order history but no longer apply
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'coupons', // Database table name
+  indexes: [
+    // Different stores may use the same code
+    { unique: true, fields: ['storeId', 'code'] }
+  ]
+});
+
+module.exports = Coupon;
@@ -0,0 +1,61 @@
+/**
+ * DeliveryRule Model
+ * How a store charges for delivery: a flat fee per order, a per-item surcharge,
+ * and an optional order subtotal above which delivery is free
+ * One row per store; offers can override the per-item surcharge (Offer.deliverySurcharge)
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * DeliveryRule model definition with all fields and validation rules
+ */
+const DeliveryRule = sequelize.define('DeliveryRule', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Store the rule belongs to
+  storeId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+
+  // Fee charged once per order
+  flatFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Fee added for every unit ordered (unless the offer sets its own surcharge)
+  perItemFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Order subtotal at or above which delivery is free (null = never free)
+  freeOver: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'delivery_rules' // Database table name
+});
+
+module.exports = DeliveryRule;
@@ -0,0 +1,45 @@
+/**
+ * ExchangeRate Model
+ * How many units of a currency one unit of the base currency (BASE_CURRENCY) buys
+ * Stores list prices in their own currency; rates convert them so stores can be compared (see utils/currency)
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * ExchangeRate model definition with all fields and validation rules
+ */
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  // Primary key - ISO 4217 currency code (e.g. 'EUR')
+  currency: {
+    type: DataTypes.STRING(3),
+    primaryKey: true,
+    validate: {
+      is: /^[A-Z]{3}$/ // Three uppercase letters
+    }
+  },
+
+  // Units of this currency per one unit of the base currency (e.g. 0.92 EUR per USD)
+  rate: {
+    type: DataTypes.DECIMAL(16, 6),
+    allowNull: false,
+    validate: {
+      min: 0.000001
+    }
+  },
+
+  // Where the rate came from: 'manual' (entered by an admin) or 'import' (rates file)
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'manual',
+    validate: {
+      isIn: [['manual', 'import']]
+    }
+  }
+}, {
+  tableName: 'exchange_rates' // Database table name
+});
+
+module.exports = ExchangeRate;
@@ -0,0 +1,47 @@
+/**
+ * Invoice Model
+ * The invoice issued for an order, numbered in the order invoices are issued
+ * An invoice is issued the first time it is downloaded or exported and is never edited afterwards;
+ * the customer's name and email are copied at issue so later account changes don't alter it
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Invoice model definition with all fields and validation rules
+ */
+const Invoice = sequelize.define('Invoice', {
+  // Primary key - auto-incrementing integer, also the sequential invoice number (see utils/invoices)
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Order the invoice is for (one invoice per order)
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+
+  // Customer name at the time of issue (null for orders from deleted accounts)
+  billingName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Customer email at the time of issue
+  billingEmail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'invoices', // Database table name
+  // The creation time is the issue date
+  createdAt: 'issuedAt',
+  updatedAt: false
+});
+
+module.exports = Invoice;
@@ -0,0 +1,60 @@
+/**
+ * Notification Model
+ * A message shown in the notification bell
+ * Targeted notifications have a userId; broadcasts (userId null) go to every user
+ * Per-user read/dismissed state lives in the NotificationReceipt model
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { NOTIFICATION_TYPES } = require('../config/constants');
+
+/**
+ * Notification model definition with all fields and validation rules
+ */
+const Notification = sequelize.define('Notification', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Recipient (null means the notification is broadcast to everyone)
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Short headline
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // Notification body
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // Notification type - decides the icon shown in the UI
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'info',
+    validate: {
+      isIn: [NOTIFICATION_TYPES]
+    }
+  }
+}, {
+  tableName: 'notifications' // Database table name
+});
+
+module.exports = Notification;
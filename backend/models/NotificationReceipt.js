@@ -0,0 +1,53 @@
+/**
+ * NotificationReceipt Model
+ * One user's read/dismissed state for one notification
+ * Rows are created lazily - no receipt means unread and not dismissed
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * NotificationReceipt model definition with all fields and validation rules
+ */
+const NotificationReceipt = sequelize.define('NotificationReceipt', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Notification this receipt belongs to
+  notificationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // User the receipt belongs to
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // When the user read the notification (null = unread)
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Whether the user removed the notification from their list
+  dismissed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'notification_receipts', // Database table name
+  indexes: [
+    // A user has at most one receipt per notification
+    { unique: true, fields: ['notificationId', 'userId'] }
+  ]
+});
+
+module.exports = NotificationReceipt;
@@ -0,0 +1,114 @@
+/**
+ * Offer Model
+ * Store-specific listing of a product (price, stock, delivery, rating)
+ * One row per product per store
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Offer model definition with all fields and validation rules
+ */
+const Offer = sequelize.define('Offer', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Product this offer belongs to
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Store this offer is listed at
+  storeId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Whether the store currently sells this product
+  available: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  // Unit price at this store
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Units in stock at this store (the offer becomes unavailable at zero)
+  stock: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Delivery surcharge per unit of this product, replacing the store rule's per-item fee
+  // (null = use the store rule; e.g. set for bulky items)
+  deliverySurcharge: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Store rating for this product (0-5)
+  rating: {
+    type: DataTypes.DECIMAL(2, 1),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 5
+    }
+  },
+
+  // When the offer was turned off because it sold out (null if it's on sale or an admin turned it off);
+  // only sold-out offers come back on when units are put back in stock
+  soldOutAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'offers', // Database table name
+  indexes: [
+    // A product can only be listed once per store
+    { unique: true, fields: ['productId', 'storeId'] }
+  ],
+
+  // An offer with nothing left in stock can't be sold
+  hooks: {
+    beforeSave: (offer) => {
+      // Turned off by an admin rather than by selling out
+      if (offer.changed('available') && !offer.available) offer.soldOutAt = null;
+      if (Number(offer.stock) === 0 && offer.available) {
+        offer.available = false;
+        offer.soldOutAt = new Date();
+      }
+      if (offer.available) offer.soldOutAt = null;
+    },
+    beforeBulkCreate: (offers) => {
+      offers.forEach((offer) => {
+        if (Number(offer.stock) === 0 && offer.available) {
+          offer.available = false;
+          offer.soldOutAt = new Date();
+        }
+      });
+    }
+  }
+});
+
+module.exports = Offer;
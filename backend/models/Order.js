@@ -0,0 +1,157 @@
+/**
+ * Order Model
+ * A customer's order placed at a single store
+ * Line items live in the OrderItem model
+ * Amounts are in the store's currency; exchangeRate records the rate used to convert them to the base currency
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { ORDER_STATUSES } = require('../config/constants');
+
+/**
+ * Order model definition with all fields and validation rules
+ */
+const Order = sequelize.define('Order', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Customer who placed the order (kept as null if the account is deleted)
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Store the order was placed at
+  storeId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Current lifecycle status
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [ORDER_STATUSES]
+    }
+  },
+
+  // Delivery address entered at checkout
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // State or region of the delivery address (used to pick the tax rate)
+  region: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+
+  // Postal code of the delivery address (used to pick the tax rate)
+  postalCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+
+  // Payment method (e.g. 'cod' for cash on delivery)
+  paymentMethod: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'cod'
+  },
+
+  // Optional note from the customer about payment
+  paymentNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Sum of line item prices before delivery
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Delivery fee charged for this order
+  deliveryFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Promo code applied to the order (null = none)
+  couponCode: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+
+  // Amount taken off by the promo code
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Sales tax percentage applied to the order (0 = no tax)
+  taxRate: {
+    type: DataTypes.DECIMAL(6, 3),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Sales tax on the order
+  tax: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Whether the tax was already included in the store's prices (and so not added to the total)
+  taxIncluded: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  // Amount charged to the customer (subtotal + delivery - discount, plus tax unless prices include it)
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // ISO 4217 code of the currency the order was charged in (the store's currency at checkout)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+
+  // Units of the order currency per one unit of the base currency at checkout (1 for base currency orders)
+  exchangeRate: {
+    type: DataTypes.DECIMAL(16, 6),
+    allowNull: false,
+    defaultValue: 1
+  },
+
+  // When the customer removed the order from their history (it stays for the admin and the revenue stats)
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'orders' // Database table name
+});
+
+module.exports = Order;
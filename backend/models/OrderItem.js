@@ -0,0 +1,61 @@
+/**
+ * OrderItem Model
+ * A single product line on an order
+ * Product name and price are copied at checkout so later catalog edits don't change past orders
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * OrderItem model definition with all fields and validation rules
+ */
+const OrderItem = sequelize.define('OrderItem', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Order this line belongs to
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Product ordered (kept as null if the product is deleted from the catalog)
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Product name at the time of ordering
+  productName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Unit price at the time of ordering
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Number of units ordered
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  }
+}, {
+  tableName: 'order_items' // Database table name
+});
+
+module.exports = OrderItem;
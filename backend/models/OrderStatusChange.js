@@ -0,0 +1,68 @@
+/**
+ * OrderStatusChange Model
+ * One step in an order's status history (the tracking timeline)
+ * A row is added when the order is placed and on every status change; rows are never edited
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { ORDER_STATUSES } = require('../config/constants');
+
+/**
+ * OrderStatusChange model definition with all fields and validation rules
+ */
+const OrderStatusChange = sequelize.define('OrderStatusChange', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Order whose status changed
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Status before the change (null for the row added when the order was placed)
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      isIn: [ORDER_STATUSES]
+    }
+  },
+
+  // Status after the change
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [ORDER_STATUSES]
+    }
+  },
+
+  // User who made the change: the customer when placing the order, then an admin (null if the account was deleted)
+  changedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Optional note shown on the timeline (e.g. a tracking number or cancellation reason)
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'order_status_changes', // Database table name
+  // The creation time is when the change happened
+  createdAt: 'changedAt',
+  updatedAt: false,
+  indexes: [
+    // History is always read per order, oldest first
+    { fields: ['orderId', 'changedAt'] }
+  ]
+});
+
+module.exports = OrderStatusChange;
@@ -0,0 +1,107 @@
+/**
+ * Payment Model
+ * The card payment for an order, mirrored from the payment provider's payment intent
+ * Cash on delivery orders have no payment. The status follows the provider (see utils/payments):
+ * the amount is authorized at checkout, captured when the order ships, and refunded for returns
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { PAYMENT_STATUSES } = require('../config/constants');
+
+/**
+ * Payment model definition with all fields and validation rules
+ */
+const Payment = sequelize.define('Payment', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Order being paid for (one payment per order)
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+
+  // Payment provider that holds the intent (e.g. 'mock')
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+
+  // The provider's ID for the payment intent
+  providerPaymentId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+
+  // Current status of the intent
+  status: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'requires_confirmation',
+    validate: {
+      isIn: [PAYMENT_STATUSES]
+    }
+  },
+
+  // Amount to charge (the order total)
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+
+  // ISO 4217 code of the currency charged (the order's currency)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+
+  // Amount given back so far
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Card brand and last four digits, once a card has been entered
+  cardBrand: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  cardLast4: {
+    type: DataTypes.STRING(4),
+    allowNull: true
+  },
+
+  // What the customer still has to do (e.g. { type: 'three_d_secure' }), null when nothing
+  nextAction: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // Why the payment failed (e.g. "Your card was declined")
+  failureReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // When the amount was authorized and captured
+  authorizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  capturedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payments' // Database table name
+});
+
+module.exports = Payment;
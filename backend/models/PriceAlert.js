@@ -0,0 +1,72 @@
+/**
+ * PriceAlert Model
+ * A product on a user's watchlist, with the condition that triggers an alert
+ * Fires on a drop to or below targetPrice, or on any price drop when targetPrice is null
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * PriceAlert model definition with all fields and validation rules
+ */
+const PriceAlert = sequelize.define('PriceAlert', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // User watching the product
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Watched product
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Alert when a price reaches this value (null = alert on any drop)
+  targetPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Only watch these store IDs (null = every store)
+  storeIds: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // Paused alerts stay on the watchlist but never fire
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  // When the alert last fired and at what price (used to debounce repeats)
+  lastNotifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastNotifiedPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  }
+}, {
+  tableName: 'price_alerts', // Database table name
+  indexes: [
+    // A user watches a product at most once
+    { unique: true, fields: ['userId', 'productId'] }
+  ]
+});
+
+module.exports = PriceAlert;
@@ -0,0 +1,58 @@
+/**
+ * PriceHistory Model
+ * One recorded price/availability of a product at a store
+ * A row is added whenever an offer is created or its price or availability changes
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * PriceHistory model definition with all fields and validation rules
+ */
+const PriceHistory = sequelize.define('PriceHistory', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Product the price was recorded for
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Store the price was recorded at
+  storeId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Unit price from this point on
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+
+  // Whether the store sold the product from this point on
+  available: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  }
+}, {
+  tableName: 'price_history', // Database table name
+  // Rows are never edited; the creation time is when the change happened
+  createdAt: 'recordedAt',
+  updatedAt: false,
+  indexes: [
+    // History is always read per product, oldest first
+    { fields: ['productId', 'storeId', 'recordedAt'] }
+  ]
+});
+
+module.exports = PriceHistory;
@@ -0,0 +1,51 @@
+/**
+ * Product Model
+ * Defines a catalog product shown on the Products page
+ * Store-specific pricing lives in the Offer model
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Product model definition with all fields and validation rules
+ */
+const Product = sequelize.define('Product', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Product display name
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true // Name cannot be empty string
+    }
+  },
+
+  // Short description shown on the product page
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Category used for the catalog tabs (e.g. Keyboards)
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Product image URL or base64 data
+  imageUrl: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'products' // Database table name
+});
+
+module.exports = Product;
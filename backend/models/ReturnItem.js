@@ -0,0 +1,44 @@
+/**
+ * ReturnItem Model
+ * An order line (or part of it) being sent back in a return request
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * ReturnItem model definition with all fields and validation rules
+ */
+const ReturnItem = sequelize.define('ReturnItem', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Return request this line belongs to
+  returnRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Order line being returned
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Number of units sent back (at most the units ordered on the line)
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  }
+}, {
+  tableName: 'return_items' // Database table name
+});
+
+module.exports = ReturnItem;
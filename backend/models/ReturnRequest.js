@@ -0,0 +1,145 @@
+/**
+ * ReturnRequest Model
+ * A customer's request to send back items from a delivered order (RMA)
+ * The refund is worked out from the order lines when the request is made (see utils/returns)
+ * and is in the order's currency
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { RETURN_STATUSES, RETURN_REASONS } = require('../config/constants');
+
+/**
+ * ReturnRequest model definition with all fields and validation rules
+ */
+const ReturnRequest = sequelize.define('ReturnRequest', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Order the items are returned from
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Customer who asked for the return (kept as null if the account is deleted)
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Where the return is: requested → approved/rejected → in_transit → received → refunded
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'requested',
+    validate: {
+      isIn: [RETURN_STATUSES]
+    }
+  },
+
+  // Why the items are coming back
+  reason: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [RETURN_REASONS]
+    }
+  },
+
+  // Customer's description of the problem
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Photos of the items as image URLs or data URLs (null = none)
+  photos: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // Value of the returned items at the prices paid
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Share of the order's promo discount that isn't refunded
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Delivery fee refunded (only when the store is at fault and nothing is left on the order)
+  deliveryFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Sales tax refunded
+  tax: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Amount given back to the customer (subtotal - discount + delivery, plus tax unless prices included it)
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Carrier the customer shipped the return with
+  carrier: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Tracking number of the return shipment
+  trackingNumber: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Admin's note to the customer (e.g. return instructions or why it was rejected)
+  adminNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // Admin who last moved the return on (null if the account was deleted)
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // When the store got the items back
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // When the refund was issued
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'return_requests', // Database table name
+  indexes: [
+    // Returns are looked up per order and listed by status in the admin page
+    { fields: ['orderId'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = ReturnRequest;
@@ -0,0 +1,72 @@
+/**
+ * Session Model
+ * A signed-in device: its refresh token (hashed) and whether it is still allowed to get new access tokens
+ * Access tokens carry the session ID, so ending a session signs the device out right away (see utils/sessions)
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { SESSION_REVOKE_REASONS } = require('../config/constants');
+
+/**
+ * Session model definition with all fields and validation rules
+ */
+const Session = sequelize.define('Session', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Signed-in user
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // SHA-256 hash of the current refresh token's secret (replaced on every refresh)
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+
+  // When the refresh token stops working if it isn't used
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  // Last sign-in or refresh
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // When and why the session was ended early (null while it is active)
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    validate: {
+      isIn: [SESSION_REVOKE_REASONS]
+    }
+  },
+
+  // Device the session was started from
+  userAgent: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions' // Database table name
+});
+
+module.exports = Session;
@@ -0,0 +1,33 @@
+/**
+ * Setting Model
+ * App-wide settings admins change at runtime (e.g. whether admins must use two-factor authentication)
+ * Read and written through utils/settings, which supplies the defaults for settings never saved
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+const { SETTING_DEFAULTS } = require('../config/constants');
+
+/**
+ * Setting model definition with all fields and validation rules
+ */
+const Setting = sequelize.define('Setting', {
+  // Primary key - setting name (one of the keys of SETTING_DEFAULTS)
+  key: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+    validate: {
+      isIn: [Object.keys(SETTING_DEFAULTS)]
+    }
+  },
+
+  // Setting value (any JSON value)
+  value: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'settings' // Database table name
+});
+
+module.exports = Setting;
@@ -0,0 +1,55 @@
+/**
+ * StockReservation Model
+ * Units of an offer held for a shopper while they complete checkout
+ * Reservations expire on their own; placing the order releases them
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * StockReservation model definition with all fields and validation rules
+ */
+const StockReservation = sequelize.define('StockReservation', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Shopper holding the stock
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Offer (product at a store) the stock is held from
+  offerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Units held
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+
+  // When the hold lapses
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'stock_reservations', // Database table name
+  indexes: [
+    // One hold per shopper per offer (re-reserving replaces it)
+    { unique: true, fields: ['userId', 'offerId'] }
+  ]
+});
+
+module.exports = StockReservation;
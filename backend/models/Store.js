@@ -0,0 +1,83 @@
+/**
+ * Store Model
+ * Partner store that products can be offered at
+ * Inactive stores are hidden from shoppers but keep their offers and order history
+ * Delivery charges are set by the store's DeliveryRule; sales tax comes from the shipping address (TaxRate)
+ * Offer prices, delivery fees, and promo code amounts are in the store's currency
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * Store model definition with all fields and validation rules
+ */
+const Store = sequelize.define('Store', {
+  // Primary key - short slug used in URLs and offer maps (e.g. 'techmart')
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    validate: {
+      is: /^[a-z0-9-]+$/ // Lowercase letters, digits, and dashes only
+    }
+  },
+
+  // Display name
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // Emoji or short text shown next to the name
+  logo: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Estimated delivery time shown to shoppers (e.g. '2-4 days')
+  eta: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Overall store rating (0-5)
+  rating: {
+    type: DataTypes.DECIMAL(2, 1),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 5
+    }
+  },
+
+  // ISO 4217 code of the currency the store lists prices in (needs an ExchangeRate unless it is the base currency)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD',
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+
+  // Whether offer prices and delivery fees already include sales tax
+  pricesIncludeTax: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  // Whether shoppers can see and order from this store
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'stores' // Database table name
+});
+
+module.exports = Store;
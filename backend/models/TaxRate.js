@@ -0,0 +1,62 @@
+/**
+ * TaxRate Model
+ * Sales tax charged on orders shipped to a region or postal code prefix
+ * The most specific active rate for the shipping address applies (see utils/tax)
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/db');
+
+/**
+ * TaxRate model definition with all fields and validation rules
+ */
+const TaxRate = sequelize.define('TaxRate', {
+  // Primary key - auto-incrementing integer
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Label shown on tax lines (e.g. "California")
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+
+  // State or region code the rate applies to, stored uppercase (null = any region)
+  region: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+
+  // Postal codes starting with this prefix, stored uppercase without spaces (null = any postal code)
+  postalPrefix: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+
+  // Tax percentage (e.g. 7.25)
+  rate: {
+    type: DataTypes.DECIMAL(6, 3),
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+
+  // Inactive rates are kept but no longer charged
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'tax_rates' // Database table name
+});
+
+module.exports = TaxRate;
@@ -48,10 +48,22 @@ const User = sequelize.define('User', {
   // User role for access control (user/admin)
   role: {
     type: DataTypes.STRING,
-    allowNull: true,
+    allowNull: false,
     defaultValue: 'user' // Default to regular user
   },
   
+  // Saved store recommendation weights { price, total, eta, rating } (null = defaults)
+  scoringWeights: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // Currency prices are shown in (null = the base currency)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+
   // Hashed password - never stored in plain text
   password: {
     type: DataTypes.STRING,
@@ -72,6 +84,58 @@ const User = sequelize.define('User', {
   resetPasswordExpires: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+
+  // When the user proved they own their email address (null = not verified: no checkout or price alerts)
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Token for the email verification link (hashed) and when it expires
+  verificationToken: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  verificationExpires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // When the last verification email was sent (limits resends)
+  verificationSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Two-factor authentication (TOTP): the authenticator app secret (base32), kept while setup is unconfirmed too
+  totpSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+
+  // When two-factor authentication was turned on (null = off, login needs only the password)
+  totpEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Time step of the last accepted code, so a code can't be used twice
+  totpLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // SHA-256 hashes of the unused one-time recovery codes
+  totpRecoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // Set when too many failed logins lock the account; logins are refused until then (see utils/accountLockout)
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users', // Database table name
@@ -0,0 +1,170 @@
+/**
+ * Model registry
+ * Loads every Sequelize model and wires up associations between them
+ * Require this module (instead of individual models) wherever associations are needed
+ */
+
+const sequelize = require('../config/db');
+const User = require('./User');
+const Product = require('./Product');
+const Offer = require('./Offer');
+const Store = require('./Store');
+const Order = require('./Order');
+const OrderItem = require('./OrderItem');
+const OrderStatusChange = require('./OrderStatusChange');
+const ReturnRequest = require('./ReturnRequest');
+const ReturnItem = require('./ReturnItem');
+const Invoice = require('./Invoice');
+const Payment = require('./Payment');
+const Notification = require('./Notification');
+const NotificationReceipt = require('./NotificationReceipt');
+const CartItem = require('./CartItem');
+const Session = require('./Session');
+const PriceHistory = require('./PriceHistory');
+const PriceAlert = require('./PriceAlert');
+const StockReservation = require('./StockReservation');
+const Coupon = require('./Coupon');
+const DeliveryRule = require('./DeliveryRule');
+const TaxRate = require('./TaxRate');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+
+// A product has one offer per store; offers are removed with their product
+Product.hasMany(Offer, { as: 'offers', foreignKey: 'productId', onDelete: 'CASCADE' });
+Offer.belongsTo(Product, { as: 'product', foreignKey: 'productId' });
+
+// Offers, orders, and coupons reference stores by slug; stores are deactivated rather than deleted,
+// so no foreign key constraint is created on those columns
+Store.hasMany(Offer, { as: 'offers', foreignKey: 'storeId', constraints: false });
+Offer.belongsTo(Store, { as: 'store', foreignKey: 'storeId', constraints: false });
+Store.hasMany(Order, { as: 'orders', foreignKey: 'storeId', constraints: false });
+Order.belongsTo(Store, { as: 'store', foreignKey: 'storeId', constraints: false });
+Store.hasMany(Coupon, { as: 'coupons', foreignKey: 'storeId', constraints: false });
+Coupon.belongsTo(Store, { as: 'store', foreignKey: 'storeId', constraints: false });
+
+// Each store has one delivery rule, removed with the store
+Store.hasOne(DeliveryRule, { as: 'deliveryRule', foreignKey: 'storeId', constraints: false });
+DeliveryRule.belongsTo(Store, { as: 'store', foreignKey: 'storeId', constraints: false });
+
+// Orders belong to the customer who placed them; history survives account deletion
+User.hasMany(Order, { as: 'orders', foreignKey: 'userId', onDelete: 'SET NULL' });
+Order.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+// Order lines are removed with their order; deleting a product keeps past lines
+Order.hasMany(OrderItem, { as: 'items', foreignKey: 'orderId', onDelete: 'CASCADE' });
+OrderItem.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+Product.hasMany(OrderItem, { as: 'orderItems', foreignKey: 'productId', onDelete: 'SET NULL' });
+OrderItem.belongsTo(Product, { as: 'product', foreignKey: 'productId' });
+
+// Status history is removed with its order; it keeps the change if the acting user is deleted
+Order.hasMany(OrderStatusChange, { as: 'history', foreignKey: 'orderId', onDelete: 'CASCADE' });
+OrderStatusChange.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+User.hasMany(OrderStatusChange, { as: 'orderStatusChanges', foreignKey: 'changedBy', onDelete: 'SET NULL' });
+OrderStatusChange.belongsTo(User, { as: 'changedByUser', foreignKey: 'changedBy' });
+
+// Returns: an order can have several return requests, each covering some of its lines
+Order.hasMany(ReturnRequest, { as: 'returns', foreignKey: 'orderId', onDelete: 'CASCADE' });
+ReturnRequest.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+User.hasMany(ReturnRequest, { as: 'returnRequests', foreignKey: 'userId', onDelete: 'SET NULL' });
+ReturnRequest.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+User.hasMany(ReturnRequest, { as: 'reviewedReturns', foreignKey: 'reviewedBy', onDelete: 'SET NULL' });
+ReturnRequest.belongsTo(User, { as: 'reviewer', foreignKey: 'reviewedBy' });
+ReturnRequest.hasMany(ReturnItem, { as: 'items', foreignKey: 'returnRequestId', onDelete: 'CASCADE' });
+ReturnItem.belongsTo(ReturnRequest, { as: 'returnRequest', foreignKey: 'returnRequestId' });
+OrderItem.hasMany(ReturnItem, { as: 'returnItems', foreignKey: 'orderItemId', onDelete: 'CASCADE' });
+ReturnItem.belongsTo(OrderItem, { as: 'orderItem', foreignKey: 'orderItemId' });
+
+// An order has at most one invoice; invoice numbers can't have gaps, so an order with one can't be deleted
+Order.hasOne(Invoice, { as: 'invoice', foreignKey: 'orderId', onDelete: 'RESTRICT' });
+Invoice.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+
+// Card orders have one payment, removed with the order
+Order.hasOne(Payment, { as: 'payment', foreignKey: 'orderId', onDelete: 'CASCADE' });
+Payment.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+
+// Targeted notifications are removed with their recipient; receipts go with either side
+User.hasMany(Notification, { as: 'notifications', foreignKey: 'userId', onDelete: 'CASCADE' });
+Notification.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+Notification.hasMany(NotificationReceipt, { as: 'receipts', foreignKey: 'notificationId', onDelete: 'CASCADE' });
+NotificationReceipt.belongsTo(Notification, { as: 'notification', foreignKey: 'notificationId' });
+User.hasMany(NotificationReceipt, { as: 'notificationReceipts', foreignKey: 'userId', onDelete: 'CASCADE' });
+NotificationReceipt.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+// Cart lines are removed with their owner or their product
+User.hasMany(CartItem, { as: 'cartItems', foreignKey: 'userId', onDelete: 'CASCADE' });
+CartItem.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+Product.hasMany(CartItem, { as: 'cartItems', foreignKey: 'productId', onDelete: 'CASCADE' });
+CartItem.belongsTo(Product, { as: 'product', foreignKey: 'productId' });
+
+// Sessions are removed with their user
+User.hasMany(Session, { as: 'sessions', foreignKey: 'userId', onDelete: 'CASCADE' });
+Session.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+// Price history is removed with its product; store IDs are slugs like on offers
+Product.hasMany(PriceHistory, { as: 'priceHistory', foreignKey: 'productId', onDelete: 'CASCADE' });
+PriceHistory.belongsTo(Product, { as: 'product', foreignKey: 'productId' });
+
+// Watchlist entries are removed with their owner or their product
+User.hasMany(PriceAlert, { as: 'priceAlerts', foreignKey: 'userId', onDelete: 'CASCADE' });
+PriceAlert.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+Product.hasMany(PriceAlert, { as: 'priceAlerts', foreignKey: 'productId', onDelete: 'CASCADE' });
+PriceAlert.belongsTo(Product, { as: 'product', foreignKey: 'productId' });
+
+// Stock holds are removed with their shopper or their offer
+User.hasMany(StockReservation, { as: 'stockReservations', foreignKey: 'userId', onDelete: 'CASCADE' });
+StockReservation.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+Offer.hasMany(StockReservation, { as: 'reservations', foreignKey: 'offerId', onDelete: 'CASCADE' });
+StockReservation.belongsTo(Offer, { as: 'offer', foreignKey: 'offerId' });
+
+/**
+ * Build the price history row for an offer's current state
+ * @param {Object} offer - Offer instance
+ * @returns {Object} PriceHistory attributes
+ */
+const historyPoint = (offer) => ({
+  productId: offer.productId,
+  storeId: offer.storeId,
+  price: offer.price,
+  available: offer.available
+});
+
+// Record offer prices whenever they are created or their price or availability changes,
+// inside the same transaction as the offer write
+Offer.afterCreate((offer, { transaction }) => PriceHistory.create(historyPoint(offer), { transaction }));
+Offer.afterBulkCreate((offers, { transaction }) => (
+  PriceHistory.bulkCreate(offers.map(historyPoint), { transaction })
+));
+Offer.afterUpdate(async (offer, { transaction }) => {
+  const priceChanged = Number(offer.previous('price')) !== Number(offer.price);
+  const availabilityChanged = Boolean(offer.previous('available')) !== Boolean(offer.available);
+  if (priceChanged || availabilityChanged) {
+    await PriceHistory.create(historyPoint(offer), { transaction });
+  }
+});
+
+module.exports = {
+  sequelize,
+  User,
+  Product,
+  Offer,
+  Store,
+  Order,
+  OrderItem,
+  OrderStatusChange,
+  ReturnRequest,
+  ReturnItem,
+  Invoice,
+  Payment,
+  Notification,
+  NotificationReceipt,
+  CartItem,
+  Session,
+  PriceHistory,
+  PriceAlert,
+  StockReservation,
+  Coupon,
+  DeliveryRule,
+  TaxRate,
+  ExchangeRate,
+  Setting
+};
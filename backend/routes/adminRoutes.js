@@ -1,13 +1,24 @@
 /**
  * Admin Routes
- * Handles user management operations (CRUD)
+ * Handles user management operations (CRUD), order management, invoices, returns, stores, coupons, tax rates, exchange rates, notifications, and security settings
  * All routes require admin authentication
  * Base path: /api/admin
  */
 
 const express = require('express');
 const router = express.Router();
-const { getAllUsers, getUserById, updateUser, deleteUser } = require('../controllers/adminController');
+const { getAllUsers, getUserById, updateUser, deleteUser, unlockUser } = require('../controllers/adminController');
+const { getAllOrders, getOrderStats, updateOrderStatus, deleteOrder } = require('../controllers/orderController');
+const { getOrderInvoice, exportInvoices } = require('../controllers/invoiceController');
+const { getAllReturns, updateReturnStatus } = require('../controllers/returnController');
+const { getAllStores, createStore, updateStore, deleteStore } = require('../controllers/storeController');
+const { getCoupons, createCoupon, updateCoupon, deleteCoupon } = require('../controllers/couponController');
+const { getTaxRates, createTaxRate, updateTaxRate, deleteTaxRate } = require('../controllers/taxController');
+const {
+  getExchangeRates, createExchangeRate, updateExchangeRate, deleteExchangeRate, importExchangeRates
+} = require('../controllers/currencyController');
+const { sendNotification } = require('../controllers/notificationController');
+const { getSecuritySettings, updateSecuritySettings } = require('../controllers/settingsController');
 const isAdmin = require('../middleware/isAdmin');
 
 // Apply admin authentication middleware to all routes
@@ -26,4 +37,91 @@ router.put('/users/:id', updateUser);
 // DELETE /api/admin/users/:id - Delete user from database
 router.delete('/users/:id', deleteUser);
 
+// POST /api/admin/users/:id/unlock - Unlock an account locked by failed logins
+router.post('/users/:id/unlock', unlockUser);
+
+// GET /api/admin/orders - Retrieve all orders (optional ?status= filter)
+router.get('/orders', getAllOrders);
+
+// GET /api/admin/orders/stats - Order counts per status and delivered revenue
+router.get('/orders/stats', getOrderStats);
+
+// PATCH /api/admin/orders/:id/status - Change an order's status
+router.patch('/orders/:id/status', updateOrderStatus);
+
+// GET /api/admin/orders/:id/invoice - Download an order's invoice as a PDF
+router.get('/orders/:id/invoice', getOrderInvoice);
+
+// DELETE /api/admin/orders/:id - Permanently delete an order
+router.delete('/orders/:id', deleteOrder);
+
+// GET /api/admin/invoices/export - Export the invoices of orders placed in a date range as one PDF
+router.get('/invoices/export', exportInvoices);
+
+// GET /api/admin/returns - Retrieve all return requests (optional ?status= filter)
+router.get('/returns', getAllReturns);
+
+// PATCH /api/admin/returns/:id/status - Approve, reject, receive, or refund a return
+router.patch('/returns/:id/status', updateReturnStatus);
+
+// GET /api/admin/stores - Retrieve all stores, including inactive ones
+router.get('/stores', getAllStores);
+
+// POST /api/admin/stores - Create a new store
+router.post('/stores', createStore);
+
+// PUT /api/admin/stores/:id - Update store details or activate/deactivate it
+router.put('/stores/:id', updateStore);
+
+// DELETE /api/admin/stores/:id - Delete a store that has no offers or orders
+router.delete('/stores/:id', deleteStore);
+
+// GET /api/admin/coupons - Retrieve every promo code with its usage and status
+router.get('/coupons', getCoupons);
+
+// POST /api/admin/coupons - Create a promo code for a store
+router.post('/coupons', createCoupon);
+
+// PUT /api/admin/coupons/:id - Update a promo code or switch it off
+router.put('/coupons/:id', updateCoupon);
+
+// DELETE /api/admin/coupons/:id - Delete a promo code
+router.delete('/coupons/:id', deleteCoupon);
+
+// GET /api/admin/tax-rates - Retrieve every sales tax rate
+router.get('/tax-rates', getTaxRates);
+
+// POST /api/admin/tax-rates - Create a tax rate for a region or postal prefix
+router.post('/tax-rates', createTaxRate);
+
+// PUT /api/admin/tax-rates/:id - Update a tax rate or switch it off
+router.put('/tax-rates/:id', updateTaxRate);
+
+// DELETE /api/admin/tax-rates/:id - Delete a tax rate
+router.delete('/tax-rates/:id', deleteTaxRate);
+
+// GET /api/admin/exchange-rates - Retrieve every exchange rate against the base currency
+router.get('/exchange-rates', getExchangeRates);
+
+// POST /api/admin/exchange-rates - Add an exchange rate by hand
+router.post('/exchange-rates', createExchangeRate);
+
+// POST /api/admin/exchange-rates/import - Add or replace rates from a JSON or CSV rates file
+router.post('/exchange-rates/import', importExchangeRates);
+
+// PUT /api/admin/exchange-rates/:currency - Update a currency's rate
+router.put('/exchange-rates/:currency', updateExchangeRate);
+
+// DELETE /api/admin/exchange-rates/:currency - Delete a rate no store uses
+router.delete('/exchange-rates/:currency', deleteExchangeRate);
+
+// POST /api/admin/notifications - Send a notification to one user or broadcast to all
+router.post('/notifications', sendNotification);
+
+// GET /api/admin/settings/security - Retrieve the security settings (e.g. whether admins must use two-factor authentication)
+router.get('/settings/security', getSecuritySettings);
+
+// PUT /api/admin/settings/security - Update the security settings
+router.put('/settings/security', updateSecuritySettings);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Price Alert Routes
+ * Handles the signed-in user's watchlist and price alert conditions
+ * All routes require authentication; creating and changing alerts also need a verified email
+ * Base path: /api/alerts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getAlerts, createAlert, updateAlert, deleteAlert } = require('../controllers/alertController');
+const authenticate = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// GET /api/alerts - List the current user's price alerts
+router.get('/', getAlerts);
+
+// POST /api/alerts - Watch a product (target price or any drop, optionally limited to stores)
+router.post('/', requireVerified, createAlert);
+
+// PUT /api/alerts/:id - Change an alert's condition or pause/resume it
+router.put('/:id', requireVerified, updateAlert);
+
+// DELETE /api/alerts/:id - Stop watching a product
+router.delete('/:id', deleteAlert);
+
+module.exports = router;
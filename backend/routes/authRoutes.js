@@ -1,27 +1,67 @@
 /**
  * Authentication Routes
- * Handles user registration, login, and profile management
+ * Handles user registration, login, sessions, email verification, two-factor authentication, and profile management
  * Base path: /api/auth
  */
 
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile, updateProfile } = require('../controllers/authController');
+const { register, login, loginTwoFactor, refresh, logout, getProfile, updateProfile } = require('../controllers/authController');
 const { forgotPassword, resetPassword } = require('../controllers/passwordController');
+const { verifyEmail, resendVerification } = require('../controllers/verificationController');
+const {
+  getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 const authenticate = require('../middleware/auth');
 
 // POST /api/auth/register - Create new user account
 router.post('/register', register);
 
-// POST /api/auth/login - Authenticate user and return JWT token
+// POST /api/auth/login - Authenticate user and return an access token and refresh token
 router.post('/login', login);
 
+// POST /api/auth/login/2fa - Finish a login with a code from the authenticator app or a recovery code
+router.post('/login/2fa', loginTwoFactor);
+
+// POST /api/auth/refresh - Swap a refresh token for a new access token and refresh token
+router.post('/refresh', refresh);
+
+// POST /api/auth/logout - End the session a refresh token belongs to
+router.post('/logout', logout);
+
 // POST /api/auth/forgot-password - Request password reset email
 router.post('/forgot-password', forgotPassword);
 
 // POST /api/auth/reset-password - Reset password with token
 router.post('/reset-password', resetPassword);
 
+// POST /api/auth/verify-email - Verify the email address with the token from the verification link
+router.post('/verify-email', verifyEmail);
+
+// POST /api/auth/resend-verification - Email a new verification link (once a minute at most)
+// Requires authentication via JWT token
+router.post('/resend-verification', authenticate, resendVerification);
+
+// GET /api/auth/2fa - Get the current user's two-factor status
+// Requires authentication via JWT token
+router.get('/2fa', authenticate, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Create a new secret and QR code (requires the password)
+// Requires authentication via JWT token
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Turn on two-factor authentication with a code from the app
+// Requires authentication via JWT token
+router.post('/2fa/enable', authenticate, enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication (requires the password and a code)
+// Requires authentication via JWT token
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (requires a code from the app)
+// Requires authentication via JWT token
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
+
 // GET /api/auth/profile - Get current authenticated user's profile
 // Requires authentication via JWT token
 router.get('/profile', authenticate, getProfile);
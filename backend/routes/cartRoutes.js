@@ -0,0 +1,28 @@
+/**
+ * Cart Routes
+ * Handles the signed-in user's server-side cart and the split-cart optimizer
+ * All routes require authentication
+ * Base path: /api/cart
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getCart, replaceCart, mergeCart, optimizeCart } = require('../controllers/cartController');
+const authenticate = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// GET /api/cart - Get the current user's cart
+router.get('/', getCart);
+
+// PUT /api/cart - Replace the current user's cart
+router.put('/', replaceCart);
+
+// PATCH /api/cart - Merge items (e.g. a guest cart) into the current user's cart
+router.patch('/', mergeCart);
+
+// POST /api/cart/optimize - Find the cheapest split of the cart across stores
+router.post('/optimize', optimizeCart);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * Currency Routes
+ * Currencies shoppers can pick as their display currency
+ * Exchange rate management lives under /api/admin/exchange-rates
+ * Base path: /api/currencies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getCurrencies } = require('../controllers/currencyController');
+
+// GET /api/currencies - List the base currency and every currency with an exchange rate (public)
+router.get('/', getCurrencies);
+
+module.exports = router;
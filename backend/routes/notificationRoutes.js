@@ -0,0 +1,37 @@
+/**
+ * Notification Routes
+ * Handles the signed-in user's notification bell
+ * All routes require authentication
+ * Base path: /api/notifications
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+const authenticate = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// GET /api/notifications - Get the current user's notifications and unread count
+router.get('/', getNotifications);
+
+// GET /api/notifications/unread-count - Get only the unread count (for polling)
+router.get('/unread-count', getUnreadCount);
+
+// PATCH /api/notifications/read-all - Mark every notification as read
+router.patch('/read-all', markAllAsRead);
+
+// PATCH /api/notifications/:id/read - Mark one notification as read
+router.patch('/:id/read', markAsRead);
+
+// DELETE /api/notifications/:id - Delete (or dismiss, for broadcasts) a notification
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * Order Routes
+ * Handles checkout, price quotes, stock holds, and the customer's own order history and invoices
+ * Every route except the quote requires authentication; placing orders and holding stock also need a verified email
+ * Base path: /api/orders
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createOrder,
+  checkoutCart,
+  quoteOrder,
+  createReservation,
+  deleteReservation,
+  getMyOrders,
+  deleteMyOrder
+} = require('../controllers/orderController');
+const { getMyInvoice } = require('../controllers/invoiceController');
+const authenticate = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+
+// POST /api/orders/quote - Price the cart at every store with its delivery rule and promo codes (public)
+router.post('/quote', quoteOrder);
+
+// Apply authentication middleware to all routes below
+router.use(authenticate);
+
+// POST /api/orders - Place an order for the current user
+router.post('/', requireVerified, createOrder);
+
+// POST /api/orders/checkout - Check out a cart split across the cheapest stores (one order per store)
+router.post('/checkout', requireVerified, checkoutCart);
+
+// POST /api/orders/reservations - Hold stock while the user checks out (expires automatically)
+router.post('/reservations', requireVerified, createReservation);
+
+// DELETE /api/orders/reservations/:id - Release a stock hold
+router.delete('/reservations/:id', deleteReservation);
+
+// GET /api/orders/mine - Get the current user's orders (newest first)
+router.get('/mine', getMyOrders);
+
+// GET /api/orders/:id/invoice - Download the invoice for one of the user's orders as a PDF
+router.get('/:id/invoice', getMyInvoice);
+
+// DELETE /api/orders/:id - Remove a delivered/cancelled order from the user's history
+router.delete('/:id', deleteMyOrder);
+
+module.exports = router;
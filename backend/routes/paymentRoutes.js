@@ -0,0 +1,28 @@
+/**
+ * Payment Routes
+ * Handles card payments for the signed-in user's orders and the payment provider's webhook
+ * Every route except the webhook requires authentication
+ * Base path: /api/payments
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getPayment, confirmPayment, completeChallenge, handleWebhook } = require('../controllers/paymentController');
+const authenticate = require('../middleware/auth');
+
+// POST /api/payments/webhook - Payment provider events (signed; server.js keeps the raw body for the signature check)
+router.post('/webhook', handleWebhook);
+
+// Apply authentication middleware to all routes below
+router.use(authenticate);
+
+// GET /api/payments/:id - Get one of the current user's payments
+router.get('/:id', getPayment);
+
+// POST /api/payments/:id/confirm - Pay with a card (may need a 3-D Secure challenge)
+router.post('/:id/confirm', confirmPayment);
+
+// POST /api/payments/:id/challenge - Answer the 3-D Secure challenge
+router.post('/:id/challenge', completeChallenge);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Product Routes
+ * Handles the product catalog and per-store offers
+ * Base path: /api/products
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getProducts,
+  getProductById,
+  getProductScores,
+  getPriceHistory,
+  createProduct,
+  updateProduct,
+  deleteProduct
+} = require('../controllers/productController');
+const authenticate = require('../middleware/auth');
+const isAdmin = require('../middleware/isAdmin');
+
+// GET /api/products - List all products with store offers (public)
+router.get('/', getProducts);
+
+// GET /api/products/:id - Get a single product with store offers (public)
+router.get('/:id', getProductById);
+
+// GET /api/products/:id/history - Price and availability history per store (public)
+router.get('/:id/history', getPriceHistory);
+
+// GET /api/products/:id/scores - Rank the product's stores with the user's scoring weights
+// Requires authentication
+router.get('/:id/scores', authenticate, getProductScores);
+
+// POST /api/products - Create a product with store offers
+// Requires admin authentication
+router.post('/', isAdmin, createProduct);
+
+// PUT /api/products/:id - Update product details and store offers
+// Requires admin authentication
+router.put('/:id', isAdmin, updateProduct);
+
+// DELETE /api/products/:id - Delete a product and its offers
+// Requires admin authentication
+router.delete('/:id', isAdmin, deleteProduct);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Return Routes
+ * Handles the signed-in user's return requests for delivered orders
+ * All routes require authentication
+ * Base path: /api/returns
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getMyReturns, createReturn, shipReturn } = require('../controllers/returnController');
+const authenticate = require('../middleware/auth');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// GET /api/returns - List the current user's return requests (newest first)
+router.get('/', getMyReturns);
+
+// POST /api/returns - Ask to return items from a delivered order
+router.post('/', createReturn);
+
+// PATCH /api/returns/:id/shipping - Add the tracking number once an approved return is sent back
+router.patch('/:id/shipping', shipReturn);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * Setup Routes
+ * First-run setup of a new install (creating the first admin)
+ * Base path: /api/setup
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSetupStatus, createFirstAdmin } = require('../controllers/setupController');
+
+// GET /api/setup - Whether the install still needs its first admin (public)
+router.get('/', getSetupStatus);
+
+// POST /api/setup/admin - Create the first admin account (public, only while no admin exists)
+router.post('/admin', createFirstAdmin);
+
+module.exports = router;
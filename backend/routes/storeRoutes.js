@@ -0,0 +1,15 @@
+/**
+ * Store Routes
+ * Public directory of active partner stores
+ * Store management lives under /api/admin/stores
+ * Base path: /api/stores
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStores } = require('../controllers/storeController');
+
+// GET /api/stores - List active stores (public)
+router.get('/', getStores);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * Admin setup CLI
+ * Creates the first admin account of a new install
+ *
+ * Usage:
+ *   node scripts/createAdmin.js --email <email> [--name <name>] [--force]
+ *
+ * The password is asked for (twice, without echoing it), or read from ADMIN_PASSWORD when set.
+ * If the email belongs to an existing account, that account is made an admin and given the new password.
+ * Refuses once an admin exists; --force skips that check, e.g. to get back into an install whose admins are
+ * all locked out
+ */
+
+const readline = require('readline');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+const sequelize = require('../config/db');
+const { createAdmin } = require('../utils/adminSetup');
+
+const USAGE = 'Usage: node scripts/createAdmin.js --email <email> [--name <name>] [--force]';
+
+/**
+ * Ask for the password twice without echoing what is typed
+ * @returns {Promise<string|null>} The password, or null if the two entries differ
+ */
+const askPassword = async () => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: new Writable({ write: (chunk, encoding, callback) => callback() }),
+    terminal: Boolean(process.stdin.isTTY)
+  });
+  // Lines are read through the iterator so a password piped in on two lines isn't lost between the questions
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    process.stdout.write(question);
+    const { value } = await lines.next();
+    process.stdout.write('\n');
+    return value ?? '';
+  };
+
+  try {
+    const password = await ask('Password: ');
+    const confirmation = await ask('Confirm password: ');
+    return password === confirmation ? password : null;
+  } finally {
+    rl.close();
+  }
+};
+
+const run = async () => {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      options: {
+        email: { type: 'string' },
+        name: { type: 'string', default: 'Admin' },
+        force: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    options = {};
+  }
+  if (!options.email) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const password = process.env.ADMIN_PASSWORD || await askPassword();
+    if (password === null) {
+      console.error('❌ Passwords do not match');
+      process.exitCode = 1;
+      return;
+    }
+
+    const { user, promoted } = await createAdmin(
+      { name: options.name, email: options.email, password },
+      { firstOnly: !options.force, promote: true }
+    );
+    console.log(promoted
+      ? `✅ ${user.email} is now an admin with the new password`
+      : `✅ Created admin account ${user.email}`);
+  } catch (error) {
+    if (error.name === 'SetupError') {
+      console.error(`❌ ${error.message}${error.code === 'setup_complete' ? ' (use --force to add another)' : ''}`);
+    } else {
+      console.error('❌ Could not create the admin account:', error);
+    }
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
@@ -0,0 +1,56 @@
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up        Apply all pending migrations
+ *   node scripts/migrate.js down      Roll back the most recent migration
+ *   node scripts/migrate.js status    List applied and pending migrations
+ *   node scripts/migrate.js seed      Run pending seeders (safe to repeat)
+ */
+
+const sequelize = require('../config/db');
+const { migrator, seeder } = require('../utils/migrator');
+
+/**
+ * Print the names of migrations that were run or reverted
+ * @param {string} label - Heading for the list
+ * @param {Array} migrations - Migration metadata returned by umzug
+ */
+const printNames = (label, migrations) => {
+  if (!migrations.length) {
+    console.log(`${label}: none`);
+    return;
+  }
+  console.log(`${label}:`);
+  migrations.forEach((migration) => console.log(`  - ${migration.name}`));
+};
+
+const commands = {
+  up: async () => printNames('✅ Applied migrations', await migrator.up()),
+  down: async () => printNames('↩️  Rolled back', await migrator.down()),
+  status: async () => {
+    printNames('Applied', await migrator.executed());
+    printNames('Pending', await migrator.pending());
+  },
+  seed: async () => printNames('🌱 Ran seeders', await seeder.up())
+};
+
+const run = async () => {
+  const command = commands[process.argv[2]];
+  if (!command) {
+    console.error('Usage: node scripts/migrate.js <up|down|status|seed>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await command();
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
@@ -0,0 +1,38 @@
+/**
+ * Seed the default partner stores and their delivery rules
+ * Only inserts stores whose ID is missing, so running it again never overwrites admin edits
+ */
+
+const { Op } = require('sequelize');
+const { DEFAULT_STORES } = require('../config/stores');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    const existing = await queryInterface.sequelize.query(
+      'SELECT id FROM stores',
+      { type: queryInterface.sequelize.QueryTypes.SELECT }
+    );
+    const existingIds = new Set(existing.map((row) => row.id));
+
+    const now = new Date();
+    const missing = DEFAULT_STORES.filter((store) => !existingIds.has(store.id));
+
+    if (missing.length) {
+      await queryInterface.bulkInsert('stores', missing.map(({ delivery, ...store }) => ({
+        ...store, active: true, createdAt: now, updatedAt: now
+      })));
+      await queryInterface.bulkInsert('delivery_rules', missing.map((store) => ({
+        storeId: store.id, ...store.delivery, createdAt: now, updatedAt: now
+      })));
+    }
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.bulkDelete('delivery_rules', {
+      storeId: { [Op.in]: DEFAULT_STORES.map((store) => store.id) }
+    });
+    await queryInterface.bulkDelete('stores', {
+      id: { [Op.in]: DEFAULT_STORES.map((store) => store.id) }
+    });
+  }
+};
@@ -7,19 +7,39 @@
 const express = require('express');
 const cors = require('cors');
 const sequelize = require('./config/db');
-const User = require('./models/User');
+require('./models'); // Register all models and their associations
+const { getPendingMigrations } = require('./utils/migrator');
+const { releaseExpiredPayments } = require('./utils/payments');
 
 // Initialize Express application
 const app = express();
 
+// Behind a reverse proxy, take the client IP (used by login throttling and sessions) from X-Forwarded-For
+// TRUST_PROXY is the number of proxies in front of the app, or "true" to trust any
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware setup
-app.use(cors()); // Enable Cross-Origin Resource Sharing for frontend communication
-app.use(express.json()); // Parse JSON request bodies
+app.use(cors({ exposedHeaders: ['Content-Disposition'] })); // Enable Cross-Origin Resource Sharing for frontend communication (with download file names)
+app.use('/api/payments/webhook', express.raw({ type: '*/*' })); // Keep payment webhook bodies unparsed so their signature can be checked
+app.use(express.json({ limit: '8mb' })); // Parse JSON request bodies (large enough for images sent as data URLs)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
 // API Routes
 app.use('/api/auth', require('./routes/authRoutes')); // Authentication routes (register, login, profile)
-app.use('/api/admin', require('./routes/adminRoutes')); // Admin management routes (user CRUD)
+app.use('/api/setup', require('./routes/setupRoutes')); // First-run setup (create the first admin while none exists)
+app.use('/api/admin', require('./routes/adminRoutes')); // Admin management routes (user CRUD, order management, invoices, returns, stores, coupons, tax and exchange rates, notifications)
+app.use('/api/products', require('./routes/productRoutes')); // Product catalog routes (public list/detail, admin CRUD)
+app.use('/api/stores', require('./routes/storeRoutes')); // Public store directory (active stores)
+app.use('/api/orders', require('./routes/orderRoutes')); // Customer order routes (checkout, order history)
+app.use('/api/returns', require('./routes/returnRoutes')); // Customer return routes (request a return, send it back)
+app.use('/api/payments', require('./routes/paymentRoutes')); // Card payment routes (confirm, 3-D Secure, provider webhook)
+app.use('/api/notifications', require('./routes/notificationRoutes')); // Notification bell routes (list, read, delete)
+app.use('/api/cart', require('./routes/cartRoutes')); // Shopping cart routes (get, replace, merge guest cart)
+app.use('/api/alerts', require('./routes/alertRoutes')); // Price alert routes (watchlist, target prices)
+app.use('/api/currencies', require('./routes/currencyRoutes')); // Display currencies (public list of exchange rates)
 
 // Test route to verify backend is running
 app.get('/api/test', (req, res) => {
@@ -29,21 +49,43 @@ app.get('/api/test', (req, res) => {
 // Server configuration
 const PORT = process.env.PORT || 5000;
 
+// How often card orders whose payment was never completed are released
+const PAYMENT_EXPIRY_CHECK_MS = 60 * 1000;
+
 /**
  * Initialize and start the server
- * - Syncs database schema with models
+ * - Verifies the database connection
+ * - Refuses to start while schema migrations are pending
  * - Starts Express server on specified port
+ * - Releases card orders left unpaid for too long, once a minute
  */
 const startServer = async () => {
   try {
-    // Sync database (create/update tables based on models)
-    await sequelize.sync({ alter: true });
-    console.log('✅ Database synced successfully.');
+    await sequelize.authenticate();
+    console.log(`✅ Database connection established (${sequelize.getDialect()}).`);
+
+    // The schema is managed by migrations (npm run migrate), never altered on boot
+    const pending = await getPendingMigrations();
+    if (pending.length) {
+      console.error(`❌ ${pending.length} pending database migration(s):`);
+      pending.forEach((name) => console.error(`   - ${name}`));
+      console.error('Run "npm run migrate" before starting the server.');
+      process.exit(1);
+    }
+    console.log('✅ Database schema is up to date.');
 
     // Start Express server
     app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
     });
+
+    setInterval(() => {
+      releaseExpiredPayments()
+        .then((released) => {
+          if (released) console.log(`💳 Released ${released} unpaid order(s).`);
+        })
+        .catch((error) => console.error('Release expired payments error:', error));
+    }, PAYMENT_EXPIRY_CHECK_MS);
   } catch (error) {
     console.error('❌ Error starting server:', error);
   }
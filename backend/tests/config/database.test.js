@@ -0,0 +1,89 @@
+/**
+ * Unit tests for database settings
+ * Verifies per-environment profiles and environment variable overrides
+ */
+
+const { getDatabaseConfig } = require('../../config/database');
+
+describe('getDatabaseConfig', () => {
+  test('should default to local PostgreSQL in development', () => {
+    const { url, options } = getDatabaseConfig({});
+
+    expect(url).toBeNull();
+    expect(options).toEqual(expect.objectContaining({
+      dialect: 'postgres',
+      database: 'cleancart',
+      username: 'postgres',
+      host: 'localhost',
+      port: 5432
+    }));
+  });
+
+  test('should read discrete DB_* variables', () => {
+    const { options } = getDatabaseConfig({
+      DB_NAME: 'shop',
+      DB_USER: 'app',
+      DB_PASS: 'secret',
+      DB_HOST: 'db.internal',
+      DB_PORT: '6543'
+    });
+
+    expect(options).toEqual(expect.objectContaining({
+      database: 'shop',
+      username: 'app',
+      password: 'secret',
+      host: 'db.internal',
+      port: 6543
+    }));
+  });
+
+  test('should prefer DATABASE_URL over discrete variables', () => {
+    const { url, options } = getDatabaseConfig({
+      DATABASE_URL: 'postgres://app:secret@db:5432/shop',
+      DB_NAME: 'ignored',
+      DB_SSL: 'true'
+    });
+
+    expect(url).toBe('postgres://app:secret@db:5432/shop');
+    expect(options.database).toBeUndefined();
+    expect(options.dialectOptions.ssl.require).toBe(true);
+  });
+
+  test('should support a SQLite file in development', () => {
+    const { options } = getDatabaseConfig({ DB_DIALECT: 'sqlite', DB_STORAGE: '/tmp/dev.sqlite' });
+
+    expect(options).toEqual(expect.objectContaining({ dialect: 'sqlite', storage: '/tmp/dev.sqlite' }));
+  });
+
+  test('should start SQLite transactions with the write lock', () => {
+    expect(getDatabaseConfig({ DB_DIALECT: 'sqlite' }).options.transactionType).toBe('IMMEDIATE');
+    expect(getDatabaseConfig({ DATABASE_URL: 'sqlite:./dev.sqlite' }).options.transactionType).toBe('IMMEDIATE');
+    expect(getDatabaseConfig({ DATABASE_URL: 'postgres://app@db/shop' }).options.transactionType).toBeUndefined();
+  });
+
+  test('should use in-memory SQLite for tests and ignore development settings', () => {
+    const { url, options } = getDatabaseConfig({
+      NODE_ENV: 'test',
+      DATABASE_URL: 'postgres://app:secret@db:5432/shop',
+      DB_DIALECT: 'postgres'
+    });
+
+    expect(url).toBeNull();
+    expect(options).toEqual(expect.objectContaining({ dialect: 'sqlite', storage: ':memory:' }));
+  });
+
+  test('should use TEST_DATABASE_URL for tests when set', () => {
+    const { url } = getDatabaseConfig({ NODE_ENV: 'test', TEST_DATABASE_URL: 'postgres://localhost/cleancart_test' });
+
+    expect(url).toBe('postgres://localhost/cleancart_test');
+  });
+
+  test('should require a database name in production', () => {
+    expect(() => getDatabaseConfig({ NODE_ENV: 'production' })).toThrow('DATABASE_URL or DB_NAME must be set');
+  });
+
+  test('should reject unknown environments and dialects', () => {
+    expect(() => getDatabaseConfig({ NODE_ENV: 'staging' })).toThrow('Unknown NODE_ENV');
+    expect(() => getDatabaseConfig({ DB_DIALECT: 'mysql' })).toThrow('Unsupported DB_DIALECT');
+  });
+});
@@ -4,8 +4,10 @@
  */
 
 const User = require('../../models/User');
+const Session = require('../../models/Session');
 
 jest.mock('../../models/User');
+jest.mock('../../models/Session');
 
 const adminController = require('../../controllers/adminController');
 
@@ -33,7 +35,7 @@ describe('Admin Controller - getAllUsers', () => {
     await adminController.getAllUsers(req, res);
 
     expect(User.findAll).toHaveBeenCalledWith({
-      attributes: ['id', 'name', 'email', 'profilePicture', 'createdAt', 'updatedAt'],
+      attributes: ['id', 'name', 'email', 'profilePicture', 'verifiedAt', 'lockedUntil', 'createdAt', 'updatedAt'],
     });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith({ users });
@@ -154,6 +156,30 @@ describe('Admin Controller - updateUser', () => {
     const responseBody = res.json.mock.calls[0][0];
     expect(responseBody.message).toBe('User updated successfully');
     expect(responseBody.user.name).toBe('Alice Updated');
+    expect(Session.update).not.toHaveBeenCalled();
+  });
+
+  test('should sign the user out everywhere and unlock them when their password changes', async () => {
+    const mockUser = {
+      id: 1, name: 'Alice', email: 'alice@test.com', profilePicture: null, role: 'user',
+      lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+      save: jest.fn().mockResolvedValue(true),
+    };
+    User.findByPk.mockResolvedValue(mockUser);
+    Session.update.mockResolvedValue([2]);
+
+    const req = { params: { id: '1' }, body: { password: 'newpassword' } };
+    const res = mockRes();
+
+    await adminController.updateUser(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUser.password).toBe('newpassword');
+    expect(mockUser.lockedUntil).toBeNull();
+    expect(Session.update).toHaveBeenCalledWith(
+      { revokedAt: expect.any(Date), revokedReason: 'password_reset' },
+      { where: { userId: 1, revokedAt: null } }
+    );
   });
 });
 
@@ -200,3 +226,44 @@ describe('Admin Controller - deleteUser', () => {
     expect(res.json).toHaveBeenCalledWith({ message: 'User deleted successfully' });
   });
 });
+
+describe('Admin Controller - unlockUser', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 when user to unlock is not found', async () => {
+    User.findByPk.mockResolvedValue(null);
+    const res = mockRes();
+
+    await adminController.unlockUser({ params: { id: '999' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should return 400 when the account is not locked', async () => {
+    const mockUser = { id: 2, email: 'bob@test.com', lockedUntil: null, save: jest.fn() };
+    User.findByPk.mockResolvedValue(mockUser);
+    const res = mockRes();
+
+    await adminController.unlockUser({ params: { id: '2' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockUser.save).not.toHaveBeenCalled();
+  });
+
+  test('should unlock a locked account', async () => {
+    const mockUser = {
+      id: 2,
+      email: 'bob@test.com',
+      lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+      save: jest.fn().mockResolvedValue(),
+    };
+    User.findByPk.mockResolvedValue(mockUser);
+    const res = mockRes();
+
+    await adminController.unlockUser({ params: { id: '2' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUser.lockedUntil).toBeNull();
+    expect(mockUser.save).toHaveBeenCalledWith({ hooks: false });
+  });
+});
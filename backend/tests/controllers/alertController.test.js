@@ -0,0 +1,231 @@
+/**
+ * Unit tests for Price Alert Controller
+ * Tests listing, creating, updating, and removing watchlist entries with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  PriceAlert: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Product: { findByPk: jest.fn() },
+  Offer: {},
+  Store: {
+    findAll: jest.fn().mockResolvedValue([
+      { id: 'techmart', name: 'TechMart' },
+      { id: 'gearhub', name: 'GearHub' },
+    ]),
+  },
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) },
+}));
+
+const { PriceAlert, Product, ExchangeRate } = require('../../models');
+const alertController = require('../../controllers/alertController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockAlert = (overrides = {}) => ({
+  id: 3,
+  userId: 1,
+  productId: 4,
+  targetPrice: '75.00',
+  storeIds: null,
+  active: true,
+  lastNotifiedAt: new Date('2026-10-18'),
+  lastNotifiedPrice: '79.00',
+  product: {
+    id: 4,
+    name: 'Keyboard',
+    imageUrl: '',
+    offers: [
+      { storeId: 'techmart', price: '80.00', available: true, store: { active: true } },
+      { storeId: 'gearhub', price: '70.00', available: true, store: { active: false } },
+    ],
+  },
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Alert Controller - getAlerts', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return the user alerts with the current best price at active stores', async () => {
+    PriceAlert.findAll.mockResolvedValue([mockAlert()]);
+
+    const req = { user: { id: 1 } };
+    const res = mockRes();
+
+    await alertController.getAlerts(req, res);
+
+    expect(PriceAlert.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].alerts[0]).toEqual(expect.objectContaining({
+      id: 3, productName: 'Keyboard', targetPrice: 75, currentPrice: 80, lastNotifiedPrice: 79,
+    }));
+  });
+
+  test('should convert the current price to the base currency', async () => {
+    ExchangeRate.findAll.mockResolvedValueOnce([{ currency: 'EUR', rate: '0.900000' }]);
+    PriceAlert.findAll.mockResolvedValue([mockAlert({
+      product: {
+        id: 4,
+        name: 'Keyboard',
+        offers: [
+          { storeId: 'techmart', price: '80.00', available: true, store: { active: true } },
+          { storeId: 'eurotech', price: '63.00', available: true, store: { currency: 'EUR', active: true } },
+        ],
+      },
+    })]);
+
+    const res = mockRes();
+
+    await alertController.getAlerts({ user: { id: 1 } }, res);
+
+    // 63 EUR is 70 USD
+    expect(res.json.mock.calls[0][0].alerts[0].currentPrice).toBe(70);
+  });
+});
+
+describe('Alert Controller - createAlert', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when productId is missing', async () => {
+    const req = { user: { id: 1 }, body: {} };
+    const res = mockRes();
+
+    await alertController.createAlert(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should return 404 when the product does not exist', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, body: { productId: 99 } };
+    const res = mockRes();
+
+    await alertController.createAlert(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should reject invalid targets and unknown stores', async () => {
+    Product.findByPk.mockResolvedValue({ id: 4 });
+
+    for (const body of [{ targetPrice: -5 }, { storeIds: ['nowhere'] }, { storeIds: 'techmart' }]) {
+      const res = mockRes();
+      await alertController.createAlert({ user: { id: 1 }, body: { productId: 4, ...body } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(PriceAlert.create).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 when the product is already watched', async () => {
+    Product.findByPk.mockResolvedValue({ id: 4 });
+    PriceAlert.findOne.mockResolvedValue(mockAlert());
+
+    const req = { user: { id: 1 }, body: { productId: 4 } };
+    const res = mockRes();
+
+    await alertController.createAlert(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This product is already on your watchlist' });
+  });
+
+  test('should create an alert for the current user', async () => {
+    Product.findByPk.mockResolvedValue({ id: 4 });
+    PriceAlert.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(mockAlert({ targetPrice: null, storeIds: ['techmart'] }));
+    PriceAlert.create.mockResolvedValue({ id: 3 });
+
+    const req = { user: { id: 1 }, body: { productId: '4', targetPrice: '', storeIds: ['techmart', 'techmart'] } };
+    const res = mockRes();
+
+    await alertController.createAlert(req, res);
+
+    expect(PriceAlert.create).toHaveBeenCalledWith({ userId: 1, productId: 4, targetPrice: null, storeIds: ['techmart'] });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].alert).toEqual(expect.objectContaining({ targetPrice: null, storeIds: ['techmart'] }));
+  });
+});
+
+describe('Alert Controller - updateAlert', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 for alerts of other users', async () => {
+    PriceAlert.findOne.mockResolvedValue(null);
+
+    const req = { user: { id: 2 }, params: { id: '3' }, body: { active: false } };
+    const res = mockRes();
+
+    await alertController.updateAlert(req, res);
+
+    expect(PriceAlert.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { id: '3', userId: 2 } }));
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should pause an alert without clearing its debounce', async () => {
+    const alert = mockAlert();
+    PriceAlert.findOne.mockResolvedValue(alert);
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { active: false } };
+    const res = mockRes();
+
+    await alertController.updateAlert(req, res);
+
+    expect(alert.active).toBe(false);
+    expect(alert.lastNotifiedAt).not.toBeNull();
+    expect(alert.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should clear the debounce when the condition changes', async () => {
+    const alert = mockAlert();
+    PriceAlert.findOne.mockResolvedValue(alert);
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { targetPrice: 60 } };
+    const res = mockRes();
+
+    await alertController.updateAlert(req, res);
+
+    expect(alert.targetPrice).toBe(60);
+    expect(alert.lastNotifiedAt).toBeNull();
+    expect(alert.lastNotifiedPrice).toBeNull();
+  });
+});
+
+describe('Alert Controller - deleteAlert', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should remove the alert', async () => {
+    const alert = mockAlert();
+    PriceAlert.findOne.mockResolvedValue(alert);
+
+    const req = { user: { id: 1 }, params: { id: '3' } };
+    const res = mockRes();
+
+    await alertController.deleteAlert(req, res);
+
+    expect(alert.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should return 404 when the alert does not exist', async () => {
+    PriceAlert.findOne.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, params: { id: '99' } };
+    const res = mockRes();
+
+    await alertController.deleteAlert(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -1,26 +1,45 @@
 /**
  * Unit tests for Auth Controller
- * Tests register and login validation, token generation, and error handling
+ * Tests register and login validation, token generation, two-factor login, login throttling and lockout, refresh and logout,
+ * and error handling
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../../config/constants');
+const { Op } = require('sequelize');
+const { JWT_SECRET, ACCOUNT_LOCKOUT_ATTEMPTS, THROTTLE_FREE_ATTEMPTS } = require('../../config/constants');
+const { codeForStep, generateSecret, timeStep } = require('../../utils/totp');
+const { hashRecoveryCode } = require('../../utils/twoFactor');
 const User = require('../../models/User');
+const ExchangeRate = require('../../models/ExchangeRate');
+const Session = require('../../models/Session');
 
-// Mock User model at module level
+// Mock User, ExchangeRate and Session models at module level
 jest.mock('../../models/User');
-
+jest.mock('../../models/ExchangeRate');
+jest.mock('../../models/Session');
+jest.mock('../../utils/emailVerification', () => ({ sendVerificationEmail: jest.fn().mockResolvedValue() }));
+jest.mock('../../utils/mailer', () => ({ sendMail: jest.fn().mockResolvedValue() }));
+
+const { sendVerificationEmail } = require('../../utils/emailVerification');
+const { sendMail } = require('../../utils/mailer');
+const { createMemoryStore, setThrottleStore } = require('../../utils/throttleStore');
 const authController = require('../../controllers/authController');
 
 const mockRes = () => {
   const res = {
     status: jest.fn().mockReturnThis(),
     json: jest.fn().mockReturnThis(),
+    set: jest.fn().mockReturnThis(),
   };
   return res;
 };
 
+// Sessions get ID 9 when created
+const mockSessions = () => Session.create.mockImplementation(async (values) => ({ id: 9, ...values }));
+
 describe('Auth Controller - register', () => {
+  beforeEach(mockSessions);
   afterEach(() => jest.clearAllMocks());
 
   test('should return 400 when required fields are missing', async () => {
@@ -89,13 +108,48 @@ describe('Auth Controller - register', () => {
     expect(responseBody.token).toBeDefined();
     expect(responseBody.user.email).toBe('alice@test.com');
 
-    // Verify the token is valid
+    // Verify the token is valid and belongs to the new session
     const decoded = jwt.verify(responseBody.token, JWT_SECRET);
     expect(decoded.userId).toBe(5);
+    expect(decoded.sid).toBe(9);
+    expect(responseBody.refreshToken).toMatch(/^9\.[a-f0-9]{64}$/);
+    expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 5, tokenHash: expect.any(String) }));
+  });
+
+  test('should email a verification link and report the address as unverified', async () => {
+    User.findOne.mockResolvedValue(null);
+    const createdUser = { id: 5, name: 'Alice', email: 'alice@test.com', role: 'user', verifiedAt: null };
+    User.create.mockResolvedValue(createdUser);
+
+    const req = {
+      body: { name: 'Alice', email: 'alice@test.com', password: 'password123', confirmPassword: 'password123' },
+    };
+    const res = mockRes();
+
+    await authController.register(req, res);
+
+    expect(sendVerificationEmail).toHaveBeenCalledWith(createdUser);
+    expect(res.json.mock.calls[0][0].user.emailVerified).toBe(false);
+  });
+
+  test('should still register when the verification email fails', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockResolvedValue({ id: 5, name: 'Alice', email: 'alice@test.com', role: 'user' });
+    sendVerificationEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const req = {
+      body: { name: 'Alice', email: 'alice@test.com', password: 'password123', confirmPassword: 'password123' },
+    };
+    const res = mockRes();
+
+    await authController.register(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
   });
 });
 
 describe('Auth Controller - login', () => {
+  beforeEach(mockSessions);
   afterEach(() => jest.clearAllMocks());
 
   test('should return 400 when email or password is missing', async () => {
@@ -120,6 +174,19 @@ describe('Auth Controller - login', () => {
     expect(res.json).toHaveBeenCalledWith({ error: 'Invalid email or password' });
   });
 
+  test('should not create or sign in an admin for the old demo credentials', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const req = { body: { email: 'admin', password: 'admin1234' } };
+    const res = mockRes();
+
+    await authController.login(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(User.create).not.toHaveBeenCalled();
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
   test('should return 401 when password is incorrect', async () => {
     const mockUser = {
       id: 1,
@@ -158,10 +225,285 @@ describe('Auth Controller - login', () => {
     const responseBody = res.json.mock.calls[0][0];
     expect(responseBody.message).toBe('Login successful');
     expect(responseBody.token).toBeDefined();
+    expect(responseBody.refreshToken).toBeDefined();
     expect(responseBody.user.name).toBe('Bob');
   });
 });
 
+describe('Auth Controller - two-factor login', () => {
+  const secret = generateSecret();
+  const twoFactorUser = (overrides = {}) => ({
+    id: 1,
+    name: 'Bob',
+    email: 'bob@test.com',
+    role: 'user',
+    totpSecret: secret,
+    totpEnabledAt: new Date('2026-01-01'),
+    totpLastStep: null,
+    totpRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb'), hashRecoveryCode('ccccc-ddddd')],
+    comparePassword: jest.fn().mockResolvedValue(true),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  });
+  const challengeFor = async (user) => {
+    User.findOne.mockResolvedValue(user);
+    const res = mockRes();
+    await authController.login({ body: { email: user.email, password: 'password123' } }, res);
+    return res.json.mock.calls[0][0].challengeToken;
+  };
+
+  beforeEach(mockSessions);
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return a challenge instead of a session after the password', async () => {
+    User.findOne.mockResolvedValue(twoFactorUser());
+    const res = mockRes();
+
+    await authController.login({ body: { email: 'bob@test.com', password: 'password123' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const responseBody = res.json.mock.calls[0][0];
+    expect(responseBody.twoFactorRequired).toBe(true);
+    expect(responseBody.challengeToken).toBeDefined();
+    expect(responseBody.token).toBeUndefined();
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  test('should sign in with the challenge and a code from the app', async () => {
+    const user = twoFactorUser();
+    const challengeToken = await challengeFor(user);
+    User.findByPk.mockResolvedValue(user);
+    User.update.mockResolvedValue([1]);
+    const res = mockRes();
+
+    await authController.loginTwoFactor({ body: { challengeToken, code: codeForStep(secret, timeStep()) } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const responseBody = res.json.mock.calls[0][0];
+    expect(responseBody.token).toBeDefined();
+    expect(responseBody.refreshToken).toBeDefined();
+    expect(Session.create).toHaveBeenCalled();
+  });
+
+  test('should return 401 for a wrong code', async () => {
+    const user = twoFactorUser();
+    const challengeToken = await challengeFor(user);
+    User.findByPk.mockResolvedValue(user);
+    const wrong = String((Number(codeForStep(secret, timeStep())) + 1) % 1000000).padStart(6, '0');
+    const res = mockRes();
+
+    await authController.loginTwoFactor({ body: { challengeToken, code: wrong } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  test('should use up a recovery code and report how many are left', async () => {
+    const user = twoFactorUser();
+    const challengeToken = await challengeFor(user);
+    User.findByPk.mockResolvedValue(user);
+    const res = mockRes();
+
+    await authController.loginTwoFactor({ body: { challengeToken, recoveryCode: 'AAAAA-BBBBB' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].recoveryCodesLeft).toBe(1);
+    expect(user.totpRecoveryCodes).toEqual([hashRecoveryCode('ccccc-ddddd')]);
+  });
+
+  test('should not accept an access token as a challenge', async () => {
+    const accessToken = jwt.sign({ userId: 1, sid: 9 }, JWT_SECRET, { expiresIn: '15m' });
+    const res = mockRes();
+
+    await authController.loginTwoFactor({ body: { challengeToken: accessToken, code: '123456' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(User.findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('Auth Controller - login throttling and lockout', () => {
+  const userWithPassword = (email, overrides = {}) => ({
+    id: 1,
+    name: 'Bob',
+    email,
+    role: 'user',
+    lockedUntil: null,
+    comparePassword: jest.fn(async (password) => password === 'password123'),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  });
+  const attemptLogin = async (email, password, ip = '10.0.0.1') => {
+    const res = mockRes();
+    await authController.login({ body: { email, password }, ip, headers: {} }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    mockSessions();
+    setThrottleStore(createMemoryStore());
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  test('should return 429 with Retry-After once the free attempts are used up', async () => {
+    User.findOne.mockResolvedValue(userWithPassword('bob@test.com'));
+
+    for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.account; i++) {
+      expect((await attemptLogin('bob@test.com', 'wrong')).status).toHaveBeenCalledWith(401);
+    }
+    const res = await attemptLogin('bob@test.com', 'password123');
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '2');
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  test('should throttle unknown accounts the same way', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.account; i++) {
+      await attemptLogin('nobody@test.com', 'wrong');
+    }
+
+    expect((await attemptLogin('nobody@test.com', 'wrong')).status).toHaveBeenCalledWith(429);
+  });
+
+  test('should lock the account and email the user after too many failures', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const user = userWithPassword('bob@test.com');
+    User.findOne.mockResolvedValue(user);
+
+    let res;
+    for (let i = 0; i < ACCOUNT_LOCKOUT_ATTEMPTS; i++) {
+      // Wait out the backoff between attempts
+      jest.setSystemTime(Date.now() + 20 * 60 * 1000);
+      res = await attemptLogin('bob@test.com', 'wrong');
+    }
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(user.lockedUntil).toBeInstanceOf(Date);
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'bob@test.com' }));
+
+    // Even the right password is refused while locked
+    const locked = await attemptLogin('bob@test.com', 'password123');
+    expect(locked.status).toHaveBeenCalledWith(401);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  test('should answer a locked account like an unknown email', async () => {
+    User.findOne.mockResolvedValue(userWithPassword('bob@test.com', { lockedUntil: new Date(Date.now() + 60000) }));
+    const locked = await attemptLogin('bob@test.com', 'password123');
+    User.findOne.mockResolvedValue(null);
+    const unknown = await attemptLogin('nobody@test.com', 'password123');
+
+    expect(locked.status.mock.calls).toEqual(unknown.status.mock.calls);
+    expect(locked.json.mock.calls).toEqual(unknown.json.mock.calls);
+  });
+
+  test('should keep counting wrong codes when the password is entered again', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const secret = generateSecret();
+    const user = userWithPassword('bob@test.com', {
+      totpSecret: secret, totpEnabledAt: new Date('2026-01-01'), totpLastStep: null, totpRecoveryCodes: []
+    });
+    User.findOne.mockResolvedValue(user);
+    User.findByPk.mockResolvedValue(user);
+
+    let res;
+    for (let i = 0; i < ACCOUNT_LOCKOUT_ATTEMPTS; i++) {
+      jest.setSystemTime(Date.now() + 20 * 60 * 1000);
+      // The right password each time, then a wrong code
+      const { challengeToken } = (await attemptLogin('bob@test.com', 'password123')).json.mock.calls[0][0];
+      const wrong = String((Number(codeForStep(secret, timeStep())) + 1) % 1000000).padStart(6, '0');
+      res = mockRes();
+      await authController.loginTwoFactor({ body: { challengeToken, code: wrong }, ip: '10.0.0.1', headers: {} }, res);
+    }
+
+    expect(res.status).toHaveBeenCalledWith(423);
+    expect(user.lockedUntil).toBeInstanceOf(Date);
+  });
+
+  test('should forget the failures after a successful login', async () => {
+    User.findOne.mockResolvedValue(userWithPassword('bob@test.com'));
+
+    for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.account - 1; i++) {
+      await attemptLogin('bob@test.com', 'wrong');
+    }
+    expect((await attemptLogin('bob@test.com', 'password123')).status).toHaveBeenCalledWith(200);
+    await attemptLogin('bob@test.com', 'wrong');
+
+    expect((await attemptLogin('bob@test.com', 'password123')).status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Auth Controller - refresh and logout', () => {
+  const secret = 'a'.repeat(64);
+  const session = (overrides = {}) => ({
+    id: 9, userId: 1, tokenHash: crypto.createHash('sha256').update(secret).digest('hex'),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000), revokedAt: null, ...overrides,
+  });
+
+  beforeEach(() => Session.update.mockResolvedValue([1]));
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when no refresh token is sent', async () => {
+    const res = mockRes();
+
+    await authController.refresh({ body: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Refresh token is required' });
+  });
+
+  test('should swap a refresh token for a new pair', async () => {
+    Session.findByPk.mockResolvedValue(session());
+    const res = mockRes();
+
+    await authController.refresh({ body: { refreshToken: `9.${secret}` } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { token, refreshToken } = res.json.mock.calls[0][0];
+    expect(jwt.verify(token, JWT_SECRET)).toEqual(expect.objectContaining({ userId: 1, sid: 9 }));
+    expect(refreshToken).toMatch(/^9\.[a-f0-9]{64}$/);
+    expect(refreshToken).not.toBe(`9.${secret}`);
+  });
+
+  test('should return 401 for a revoked session', async () => {
+    Session.findByPk.mockResolvedValue(session({ revokedAt: new Date() }));
+    const res = mockRes();
+
+    await authController.refresh({ body: { refreshToken: `9.${secret}` } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(Session.update).not.toHaveBeenCalled();
+  });
+
+  test('should end the session on logout', async () => {
+    Session.findByPk.mockResolvedValue(session());
+    const res = mockRes();
+
+    await authController.logout({ body: { refreshToken: `9.${secret}` } }, res);
+
+    expect(Session.update).toHaveBeenCalledWith(
+      { revokedAt: expect.any(Date), revokedReason: 'logout' },
+      { where: { id: 9, revokedAt: null } }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should ignore logouts with an unknown refresh token', async () => {
+    const res = mockRes();
+
+    await authController.logout({ body: { refreshToken: 'not-a-token' } }, res);
+
+    expect(Session.update).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
 describe('Auth Controller - getProfile', () => {
   test('should return 200 with user profile', async () => {
     const req = {
@@ -173,9 +515,25 @@ describe('Auth Controller - getProfile', () => {
 
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith({
-      user: { id: 1, name: 'Alice', email: 'alice@test.com', profilePicture: null, role: 'user' },
+      user: {
+        id: 1, name: 'Alice', email: 'alice@test.com', profilePicture: null, role: 'user',
+        scoringWeights: { price: 40, total: 30, eta: 15, rating: 15 },
+        currency: 'USD',
+        emailVerified: false,
+      },
     });
   });
+
+  test('should return the user saved scoring weights', async () => {
+    const req = {
+      user: { id: 1, name: 'Alice', email: 'alice@test.com', scoringWeights: { price: 10, total: 10, eta: 70, rating: 10 } },
+    };
+    const res = mockRes();
+
+    await authController.getProfile(req, res);
+
+    expect(res.json.mock.calls[0][0].user.scoringWeights).toEqual({ price: 10, total: 10, eta: 70, rating: 10 });
+  });
 });
 
 describe('Auth Controller - updateProfile', () => {
@@ -224,6 +582,26 @@ describe('Auth Controller - updateProfile', () => {
     expect(res.json).toHaveBeenCalledWith({ error: 'Current password is incorrect' });
   });
 
+  test('should sign out the other sessions when the password changes', async () => {
+    const mockUser = {
+      id: 1, name: 'Alice', email: 'a@test.com',
+      comparePassword: jest.fn().mockResolvedValue(true),
+      save: jest.fn().mockResolvedValue(true),
+    };
+    Session.update.mockResolvedValue([2]);
+    const req = { user: mockUser, sessionId: 9, body: { currentPassword: 'oldpass', newPassword: 'newpass123' } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(mockUser.password).toBe('newpass123');
+    expect(Session.update).toHaveBeenCalledWith(
+      { revokedAt: expect.any(Date), revokedReason: 'password_change' },
+      { where: { userId: 1, id: { [Op.ne]: 9 }, revokedAt: null } }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
   test('should return 200 and update name successfully', async () => {
     const mockUser = {
       id: 1, name: 'Alice', email: 'a@test.com', profilePicture: null, role: 'user',
@@ -242,4 +620,82 @@ describe('Auth Controller - updateProfile', () => {
     const responseBody = res.json.mock.calls[0][0];
     expect(responseBody.user.name).toBe('Alice Updated');
   });
+
+  test('should save scoring weights, filling in missing factors with defaults', async () => {
+    const mockUser = {
+      id: 1, name: 'Alice', email: 'a@test.com', role: 'user',
+      save: jest.fn().mockResolvedValue(true),
+    };
+    const req = { user: mockUser, body: { scoringWeights: { price: 0, eta: '80' } } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(mockUser.scoringWeights).toEqual({ price: 0, total: 30, eta: 80, rating: 15 });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should reset scoring weights to the defaults when null is sent', async () => {
+    const mockUser = {
+      id: 1, name: 'Alice', email: 'a@test.com', scoringWeights: { price: 100, total: 0, eta: 0, rating: 0 },
+      save: jest.fn().mockResolvedValue(true),
+    };
+    const req = { user: mockUser, body: { scoringWeights: null } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(mockUser.scoringWeights).toBeNull();
+    expect(res.json.mock.calls[0][0].user.scoringWeights).toEqual({ price: 40, total: 30, eta: 15, rating: 15 });
+  });
+
+  test('should return 400 for invalid scoring weights', async () => {
+    const mockUser = { id: 1, name: 'Alice', email: 'a@test.com', save: jest.fn() };
+    const req = { user: mockUser, body: { scoringWeights: { price: 150 } } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Weight for price must be between 0 and 100' });
+    expect(mockUser.save).not.toHaveBeenCalled();
+  });
+
+  test('should save a display currency that has an exchange rate', async () => {
+    ExchangeRate.findByPk.mockResolvedValue({ currency: 'EUR', rate: '0.9' });
+    const mockUser = { id: 1, name: 'Alice', email: 'a@test.com', save: jest.fn().mockResolvedValue(true) };
+    const req = { user: mockUser, body: { currency: ' eur' } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(ExchangeRate.findByPk).toHaveBeenCalledWith('EUR');
+    expect(mockUser.currency).toBe('EUR');
+    expect(res.json.mock.calls[0][0].user.currency).toBe('EUR');
+  });
+
+  test('should return 400 for a display currency without an exchange rate', async () => {
+    ExchangeRate.findByPk.mockResolvedValue(null);
+    const mockUser = { id: 1, name: 'Alice', email: 'a@test.com', save: jest.fn() };
+    const req = { user: mockUser, body: { currency: 'JPY' } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: "Prices can't be shown in JPY yet" });
+    expect(mockUser.save).not.toHaveBeenCalled();
+  });
+
+  test('should reset the display currency to the base currency', async () => {
+    const mockUser = { id: 1, name: 'Alice', email: 'a@test.com', currency: 'EUR', save: jest.fn().mockResolvedValue(true) };
+    const req = { user: mockUser, body: { currency: 'USD' } };
+    const res = mockRes();
+
+    await authController.updateProfile(req, res);
+
+    expect(ExchangeRate.findByPk).not.toHaveBeenCalled();
+    expect(mockUser.currency).toBeNull();
+    expect(res.json.mock.calls[0][0].user.currency).toBe('USD');
+  });
 });
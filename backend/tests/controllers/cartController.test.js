@@ -0,0 +1,202 @@
+/**
+ * Unit tests for Cart Controller
+ * Tests reading, replacing, merging, and optimizing the server-side cart
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((callback) => callback({})) },
+  User: { findByPk: jest.fn() },
+  Product: { findAll: jest.fn() },
+  CartItem: { findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() },
+}));
+jest.mock('../../utils/cartOptimizer', () => ({
+  ...jest.requireActual('../../utils/cartOptimizer'),
+  planCart: jest.fn(),
+}));
+
+const { sequelize, User, Product, CartItem } = require('../../models');
+const { planCart } = require('../../utils/cartOptimizer');
+const cartController = require('../../controllers/cartController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+describe('Cart Controller - getCart', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return the current user cart lines', async () => {
+    CartItem.findAll.mockResolvedValue([{ id: 1, userId: 1, productId: 4, quantity: 2 }]);
+
+    const req = { user: { id: 1 } };
+    const res = mockRes();
+
+    await cartController.getCart(req, res);
+
+    expect(CartItem.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ items: [{ productId: 4, quantity: 2 }] });
+  });
+});
+
+describe('Cart Controller - replaceCart', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when items is not an array', async () => {
+    const req = { user: { id: 1 }, body: { items: 'nope' } };
+    const res = mockRes();
+
+    await cartController.replaceCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Items must be an array' });
+  });
+
+  test('should return 400 for a non-positive quantity', async () => {
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1, quantity: -1 }] } };
+    const res = mockRes();
+
+    await cartController.replaceCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Quantity must be a positive whole number' });
+  });
+
+  test('should clear the cart when given no items', async () => {
+    const req = { user: { id: 1 }, body: { items: [] } };
+    const res = mockRes();
+
+    await cartController.replaceCart(req, res);
+
+    expect(CartItem.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+    expect(CartItem.bulkCreate).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ items: [], dropped: [] });
+  });
+
+  test('should store existing products and drop deleted ones', async () => {
+    Product.findAll.mockResolvedValue([{ id: 1 }]);
+
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1, quantity: 1 }, { productId: 9, quantity: 2 }, { productId: 1, quantity: 2 }] } };
+    const res = mockRes();
+
+    await cartController.replaceCart(req, res);
+
+    expect(CartItem.bulkCreate).toHaveBeenCalledWith([{ userId: 1, productId: 1, quantity: 3 }], expect.any(Object));
+    expect(res.json).toHaveBeenCalledWith({
+      items: [{ productId: 1, quantity: 3 }],
+      dropped: [{ productId: 9, quantity: 2 }],
+    });
+  });
+});
+
+describe('Cart Controller - mergeCart', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should sum quantities with the existing cart and drop deleted products', async () => {
+    Product.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    CartItem.findAll.mockResolvedValue([{ productId: 1, quantity: 2 }, { productId: 3, quantity: 1 }]);
+
+    const req = {
+      user: { id: 1 },
+      body: { items: [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 4 }, { productId: 7, quantity: 1 }] },
+    };
+    const res = mockRes();
+
+    await cartController.mergeCart(req, res);
+
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+    expect(User.findByPk).toHaveBeenCalledWith(1, { attributes: ['id'], transaction: {}, lock: true });
+    expect(CartItem.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 }, transaction: {} }));
+    expect(CartItem.bulkCreate).toHaveBeenCalledWith([
+      { userId: 1, productId: 1, quantity: 3 },
+      { userId: 1, productId: 3, quantity: 1 },
+      { userId: 1, productId: 2, quantity: 4 },
+    ], expect.any(Object));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      items: [{ productId: 1, quantity: 3 }, { productId: 3, quantity: 1 }, { productId: 2, quantity: 4 }],
+      dropped: [{ productId: 7, quantity: 1 }],
+    });
+  });
+});
+
+describe('Cart Controller - optimizeCart', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should optimize the posted items with the store limit, promo codes, and shipping address', async () => {
+    const plan = { stores: [], total: 10 };
+    planCart.mockResolvedValue(plan);
+
+    const req = {
+      user: { id: 1 },
+      body: {
+        items: [{ productId: 4, quantity: 2 }],
+        maxStores: 2,
+        couponCodes: ['save10'],
+        shipTo: { region: ' ca ', postalCode: '941 05' },
+      },
+    };
+    const res = mockRes();
+
+    await cartController.optimizeCart(req, res);
+
+    expect(planCart).toHaveBeenCalledWith([{ productId: 4, quantity: 2 }], {
+      maxStores: 2,
+      couponCodes: ['SAVE10'],
+      shipTo: { region: 'CA', postalCode: '94105' },
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ plan });
+  });
+
+  test('should fall back to the saved cart when no items are posted', async () => {
+    CartItem.findAll.mockResolvedValue([{ productId: 5, quantity: 1 }]);
+    planCart.mockResolvedValue({ stores: [] });
+
+    const req = { user: { id: 1 }, body: {} };
+    const res = mockRes();
+
+    await cartController.optimizeCart(req, res);
+
+    expect(planCart).toHaveBeenCalledWith([{ productId: 5, quantity: 1 }], {
+      maxStores: undefined,
+      couponCodes: [],
+      shipTo: { region: '', postalCode: '' },
+    });
+  });
+
+  test('should return 400 for an empty cart', async () => {
+    const req = { user: { id: 1 }, body: { items: [] } };
+    const res = mockRes();
+
+    await cartController.optimizeCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(planCart).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for an invalid store limit', async () => {
+    const req = { user: { id: 1 }, body: { items: [{ productId: 4 }], maxStores: 0 } };
+    const res = mockRes();
+
+    await cartController.optimizeCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should return 400 when the cart does not fit in the store limit', async () => {
+    planCart.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, body: { items: [{ productId: 4 }, { productId: 5 }], maxStores: 1 } };
+    const res = mockRes();
+
+    await cartController.optimizeCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.stringContaining('1 store;') });
+  });
+});
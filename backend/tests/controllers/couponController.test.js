@@ -0,0 +1,200 @@
+/**
+ * Unit tests for Coupon Controller
+ * Tests admin listing, creating, updating, and deleting promo codes with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  Coupon: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+  },
+  Store: {
+    findAll: jest.fn().mockResolvedValue([
+      { id: 'techmart', name: 'TechMart' },
+      { id: 'gearhub', name: 'GearHub' },
+    ]),
+  },
+}));
+
+const { Coupon } = require('../../models');
+const couponController = require('../../controllers/couponController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockCoupon = (overrides = {}) => ({
+  id: 5,
+  code: 'SAVE10',
+  storeId: 'techmart',
+  type: 'percent',
+  value: '10.00',
+  category: null,
+  minSpend: null,
+  startsAt: null,
+  endsAt: null,
+  usageLimit: 100,
+  usedCount: 12,
+  active: true,
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Coupon Controller - getCoupons', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return coupons with their store, description, and status', async () => {
+    Coupon.findAll.mockResolvedValue([mockCoupon(), mockCoupon({ id: 6, code: 'GONE', active: false, storeId: 'gearhub' })]);
+
+    const req = {};
+    const res = mockRes();
+
+    await couponController.getCoupons(req, res);
+
+    const { coupons } = res.json.mock.calls[0][0];
+    expect(coupons[0]).toEqual(expect.objectContaining({
+      code: 'SAVE10', storeName: 'TechMart', value: 10, description: '10% off', usedCount: 12, problem: null,
+    }));
+    expect(coupons[1]).toEqual(expect.objectContaining({ storeName: 'GearHub', problem: 'This code is no longer active' }));
+  });
+});
+
+describe('Coupon Controller - createCoupon', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should create a coupon with an uppercase code', async () => {
+    Coupon.findOne.mockResolvedValue(null);
+    Coupon.create.mockImplementation(async (fields) => mockCoupon(fields));
+
+    const req = {
+      body: {
+        code: ' audio15 ', storeId: 'techmart', type: 'percent', value: '15', category: 'Audio', minSpend: '50',
+        startsAt: '2026-11-01', endsAt: '2026-12-01', usageLimit: '200',
+      },
+    };
+    const res = mockRes();
+
+    await couponController.createCoupon(req, res);
+
+    expect(Coupon.create).toHaveBeenCalledWith({
+      code: 'AUDIO15',
+      storeId: 'techmart',
+      type: 'percent',
+      value: 15,
+      category: 'Audio',
+      minSpend: 50,
+      startsAt: new Date('2026-11-01'),
+      endsAt: new Date('2026-12-01'),
+      usageLimit: 200,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should not need a value for free delivery', async () => {
+    Coupon.findOne.mockResolvedValue(null);
+    Coupon.create.mockImplementation(async (fields) => mockCoupon(fields));
+
+    const req = { body: { code: 'SHIPFREE', storeId: 'gearhub', type: 'free_delivery' } };
+    const res = mockRes();
+
+    await couponController.createCoupon(req, res);
+
+    expect(Coupon.create).toHaveBeenCalledWith({ code: 'SHIPFREE', storeId: 'gearhub', type: 'free_delivery', value: 0 });
+  });
+
+  test.each([
+    [{ code: 'X', storeId: 'techmart', type: 'percent', value: 10 }, 'Code must be 3-40 letters, digits, dashes, or underscores'],
+    [{ code: 'SAVE10', storeId: 'nowhere', type: 'percent', value: 10 }, 'Unknown store: nowhere'],
+    [{ code: 'SAVE10', storeId: 'techmart', type: 'bogus', value: 10 }, 'Type must be one of: percent, fixed, free_delivery'],
+    [{ code: 'SAVE10', storeId: 'techmart', type: 'percent', value: 150 }, 'A percentage discount cannot be more than 100'],
+    [{ code: 'SAVE10', storeId: 'techmart', type: 'fixed', value: 0 }, 'Discount value must be a positive number'],
+    [{ code: 'SAVE10', storeId: 'techmart', type: 'fixed', value: 5, startsAt: '2026-12-01', endsAt: '2026-11-01' }, 'End date must be after the start date'],
+    [{ code: 'SAVE10', storeId: 'techmart', type: 'fixed', value: 5, usageLimit: 0 }, 'Usage limit must be a positive whole number'],
+  ])('should reject invalid fields (%#)', async (body, message) => {
+    const req = { body };
+    const res = mockRes();
+
+    await couponController.createCoupon(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: message });
+    expect(Coupon.create).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a code the store already uses', async () => {
+    Coupon.findOne.mockResolvedValue(mockCoupon());
+
+    const req = { body: { code: 'save10', storeId: 'techmart', type: 'fixed', value: 5 } };
+    const res = mockRes();
+
+    await couponController.createCoupon(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This store already has a coupon with that code' });
+  });
+});
+
+describe('Coupon Controller - updateCoupon', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should switch a coupon off', async () => {
+    const coupon = mockCoupon();
+    Coupon.findByPk.mockResolvedValue(coupon);
+    Coupon.findOne.mockResolvedValue(coupon);
+
+    const req = { params: { id: '5' }, body: { active: false } };
+    const res = mockRes();
+
+    await couponController.updateCoupon(req, res);
+
+    expect(coupon.active).toBe(false);
+    expect(coupon.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should check a new value against the existing type', async () => {
+    Coupon.findByPk.mockResolvedValue(mockCoupon());
+
+    const req = { params: { id: '5' }, body: { value: 120 } };
+    const res = mockRes();
+
+    await couponController.updateCoupon(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should return 404 for a missing coupon', async () => {
+    Coupon.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '99' }, body: {} };
+    const res = mockRes();
+
+    await couponController.updateCoupon(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Coupon Controller - deleteCoupon', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should delete an existing coupon', async () => {
+    const coupon = mockCoupon();
+    Coupon.findByPk.mockResolvedValue(coupon);
+
+    const req = { params: { id: '5' } };
+    const res = mockRes();
+
+    await couponController.deleteCoupon(req, res);
+
+    expect(coupon.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for Currency Controller
+ * Tests the public currency list and admin management and import of exchange rates with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((cb) => cb({})) },
+  ExchangeRate: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    upsert: jest.fn(),
+  },
+  Store: { count: jest.fn() },
+}));
+
+const { ExchangeRate, Store } = require('../../models');
+const currencyController = require('../../controllers/currencyController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockExchangeRate = (overrides = {}) => ({
+  currency: 'EUR',
+  rate: '0.920000',
+  source: 'manual',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Currency Controller - getCurrencies', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should list the base currency first, then every rate', async () => {
+    ExchangeRate.findAll.mockResolvedValue([mockExchangeRate()]);
+
+    const res = mockRes();
+    await currencyController.getCurrencies({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      base: 'USD',
+      currencies: [
+        { currency: 'USD', rate: 1, source: 'base', updatedAt: null },
+        { currency: 'EUR', rate: 0.92, source: 'manual', updatedAt: '2026-10-01T00:00:00.000Z' },
+      ],
+    });
+  });
+});
+
+describe('Currency Controller - createExchangeRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should create a manual rate for a new currency', async () => {
+    ExchangeRate.findByPk.mockResolvedValue(null);
+    ExchangeRate.create.mockImplementation(async (fields) => mockExchangeRate(fields));
+
+    const res = mockRes();
+    await currencyController.createExchangeRate({ body: { currency: ' gbp', rate: '0.79' } }, res);
+
+    expect(ExchangeRate.create).toHaveBeenCalledWith({ currency: 'GBP', rate: 0.79, source: 'manual' });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].exchangeRate).toEqual(expect.objectContaining({ currency: 'GBP', rate: 0.79 }));
+  });
+
+  test('should return 400 for the base currency, bad codes, and bad rates', async () => {
+    const cases = [
+      [{ currency: 'USD', rate: 1 }, 'USD is the base currency and always has a rate of 1'],
+      [{ currency: 'EURO', rate: 1 }, 'Currency must be a three-letter code such as USD or EUR'],
+      [{ currency: 'EUR', rate: 0 }, 'Rate must be a positive number of units per USD'],
+    ];
+
+    for (const [body, error] of cases) {
+      const res = mockRes();
+      await currencyController.createExchangeRate({ body }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error });
+    }
+    expect(ExchangeRate.create).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 when the currency already has a rate', async () => {
+    ExchangeRate.findByPk.mockResolvedValue(mockExchangeRate());
+
+    const res = mockRes();
+    await currencyController.createExchangeRate({ body: { currency: 'EUR', rate: 0.9 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'An exchange rate for EUR already exists' });
+  });
+});
+
+describe('Currency Controller - updateExchangeRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should update the rate and mark it as manual', async () => {
+    const exchangeRate = mockExchangeRate({ source: 'import' });
+    ExchangeRate.findByPk.mockResolvedValue(exchangeRate);
+
+    const res = mockRes();
+    await currencyController.updateExchangeRate({ params: { currency: 'eur' }, body: { rate: 0.95 } }, res);
+
+    expect(ExchangeRate.findByPk).toHaveBeenCalledWith('EUR');
+    expect(exchangeRate.save).toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].exchangeRate).toEqual(expect.objectContaining({ rate: 0.95, source: 'manual' }));
+  });
+
+  test('should return 404 when the rate does not exist', async () => {
+    ExchangeRate.findByPk.mockResolvedValue(null);
+
+    const res = mockRes();
+    await currencyController.updateExchangeRate({ params: { currency: 'JPY' }, body: { rate: 150 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Currency Controller - deleteExchangeRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should refuse to delete a currency a store uses', async () => {
+    const exchangeRate = mockExchangeRate();
+    ExchangeRate.findByPk.mockResolvedValue(exchangeRate);
+    Store.count.mockResolvedValue(2);
+
+    const res = mockRes();
+    await currencyController.deleteExchangeRate({ params: { currency: 'EUR' } }, res);
+
+    expect(Store.count).toHaveBeenCalledWith({ where: { currency: 'EUR' } });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: '2 stores list prices in EUR. Change their currency first.' });
+    expect(exchangeRate.destroy).not.toHaveBeenCalled();
+  });
+
+  test('should delete an unused rate', async () => {
+    const exchangeRate = mockExchangeRate();
+    ExchangeRate.findByPk.mockResolvedValue(exchangeRate);
+    Store.count.mockResolvedValue(0);
+
+    const res = mockRes();
+    await currencyController.deleteExchangeRate({ params: { currency: 'EUR' } }, res);
+
+    expect(exchangeRate.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Currency Controller - importExchangeRates', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should upsert every rate in the file as imported', async () => {
+    ExchangeRate.findAll.mockResolvedValue([mockExchangeRate({ source: 'import' })]);
+
+    const res = mockRes();
+    await currencyController.importExchangeRates({ body: { content: 'currency,rate\nEUR,0.92\nGBP,0.79' } }, res);
+
+    expect(ExchangeRate.upsert).toHaveBeenCalledTimes(2);
+    expect(ExchangeRate.upsert).toHaveBeenCalledWith({ currency: 'GBP', rate: 0.79, source: 'import' }, { transaction: {} });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toEqual(expect.objectContaining({ message: 'Imported 2 exchange rates', imported: 2 }));
+  });
+
+  test('should return 400 and import nothing when the file is invalid', async () => {
+    const res = mockRes();
+    await currencyController.importExchangeRates({ body: { content: 'EUR,0.92\nGBP' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Row 2: expected "currency,rate"' });
+    expect(ExchangeRate.upsert).not.toHaveBeenCalled();
+  });
+});
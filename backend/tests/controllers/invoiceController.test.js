@@ -0,0 +1,185 @@
+/**
+ * Unit tests for Invoice Controller
+ * Tests customer and admin invoice downloads and the date range export with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  User: {},
+  Store: {},
+  OrderItem: {},
+  ReturnRequest: {},
+  Order: { findOne: jest.fn(), findByPk: jest.fn(), count: jest.fn(), findAll: jest.fn() },
+  Invoice: { create: jest.fn(), findOne: jest.fn() },
+}));
+
+const { Op } = require('sequelize');
+const { Order, Invoice } = require('../../models');
+const invoiceController = require('../../controllers/invoiceController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    set: jest.fn().mockReturnThis(),
+    send: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockOrder = (overrides = {}) => ({
+  id: 42,
+  storeId: 'gearhub',
+  store: { name: 'GearHub' },
+  user: { id: 1, name: 'Ana', email: 'ana@example.com' },
+  status: 'delivered',
+  address: '12 Main St',
+  subtotal: '40.00',
+  discount: '0.00',
+  deliveryFee: '5.00',
+  taxRate: '0.000',
+  tax: '0.00',
+  taxIncluded: false,
+  total: '45.00',
+  currency: 'USD',
+  paymentMethod: 'cod',
+  createdAt: new Date('2026-10-01T12:00:00Z'),
+  items: [{ productName: 'Mouse', price: '20.00', quantity: 2 }],
+  invoice: null,
+  returns: [],
+  ...overrides,
+});
+
+const issued = (id) => ({ id, issuedAt: new Date('2026-10-02T00:00:00Z'), billingName: 'Ana', billingEmail: 'ana@example.com' });
+
+describe('Invoice Controller - getMyInvoice', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should issue and send the invoice for the user\'s order', async () => {
+    Order.findOne.mockResolvedValue(mockOrder());
+    Invoice.create.mockResolvedValue(issued(12));
+    const req = { params: { id: '42' }, user: { id: 1 } };
+    const res = mockRes();
+
+    await invoiceController.getMyInvoice(req, res);
+
+    expect(Order.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { id: '42', userId: 1 } }));
+    expect(Invoice.create).toHaveBeenCalledWith({ orderId: 42, billingName: 'Ana', billingEmail: 'ana@example.com' });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.set).toHaveBeenCalledWith({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename="INV-000012.pdf"',
+    });
+    expect(res.send.mock.calls[0][0].toString('latin1', 0, 8)).toBe('%PDF-1.4');
+  });
+
+  test('should reuse an invoice already issued', async () => {
+    Order.findOne.mockResolvedValue(mockOrder({ invoice: issued(3) }));
+    const res = mockRes();
+
+    await invoiceController.getMyInvoice({ params: { id: '42' }, user: { id: 1 } }, res);
+
+    expect(Invoice.create).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Disposition': 'attachment; filename="INV-000003.pdf"' }));
+  });
+
+  test('should return 404 for another user\'s order', async () => {
+    Order.findOne.mockResolvedValue(null);
+    const res = mockRes();
+
+    await invoiceController.getMyInvoice({ params: { id: '42' }, user: { id: 2 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Order not found' });
+  });
+
+  test('should refuse cancelled orders', async () => {
+    Order.findOne.mockResolvedValue(mockOrder({ status: 'cancelled' }));
+    const res = mockRes();
+
+    await invoiceController.getMyInvoice({ params: { id: '42' }, user: { id: 1 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Cancelled orders have no invoice' });
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Invoice Controller - getOrderInvoice', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should send any order\'s invoice to an admin', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ invoice: issued(5) }));
+    const res = mockRes();
+
+    await invoiceController.getOrderInvoice({ params: { id: '42' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalled();
+  });
+
+  test('should return 404 when the order does not exist', async () => {
+    Order.findByPk.mockResolvedValue(null);
+    const res = mockRes();
+
+    await invoiceController.getOrderInvoice({ params: { id: '999' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Invoice Controller - exportInvoices', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should issue missing invoices in order date order and send one PDF', async () => {
+    const first = mockOrder({ id: 1, invoice: issued(4) });
+    const second = mockOrder({ id: 2 });
+    const third = mockOrder({ id: 3 });
+    Order.count.mockResolvedValue(3);
+    Order.findAll.mockResolvedValue([first, second, third]);
+    Invoice.create.mockResolvedValueOnce(issued(10)).mockResolvedValueOnce(issued(11));
+    const res = mockRes();
+
+    await invoiceController.exportInvoices({ query: { from: '2026-10-01', to: '2026-10-31' } }, res);
+
+    const where = Order.count.mock.calls[0][0].where;
+    expect(where.createdAt[Op.between].map((d) => d.toISOString())).toEqual(['2026-10-01T00:00:00.000Z', '2026-10-31T23:59:59.999Z']);
+    expect(where.status[Op.notIn]).toEqual(['awaiting_payment', 'cancelled']);
+    expect(Order.findAll).toHaveBeenCalledWith(expect.objectContaining({ order: [['createdAt', 'ASC'], ['id', 'ASC']] }));
+    expect(Invoice.create.mock.calls.map(([attrs]) => attrs.orderId)).toEqual([2, 3]);
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+      'Content-Disposition': 'attachment; filename="invoices-2026-10-01-to-2026-10-31.pdf"',
+    }));
+    expect(res.send.mock.calls[0][0].toString('latin1')).toContain('/Count 3');
+  });
+
+  test('should reject an invalid date range', async () => {
+    const res = mockRes();
+
+    await invoiceController.exportInvoices({ query: { from: '2026-10-31', to: '2026-10-01' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'from must not be after to' });
+    expect(Order.count).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when no orders were placed in the range', async () => {
+    Order.count.mockResolvedValue(0);
+    const res = mockRes();
+
+    await invoiceController.exportInvoices({ query: { from: '2026-10-01', to: '2026-10-31' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'No orders to invoice in this date range' });
+  });
+
+  test('should refuse ranges with too many orders', async () => {
+    Order.count.mockResolvedValue(501);
+    const res = mockRes();
+
+    await invoiceController.exportInvoices({ query: { from: '2026-01-01', to: '2026-12-31' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This range has 501 orders; export at most 500 invoices at a time' });
+    expect(Order.findAll).not.toHaveBeenCalled();
+  });
+});
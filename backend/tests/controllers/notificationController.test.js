@@ -0,0 +1,203 @@
+/**
+ * Unit tests for Notification Controller
+ * Tests per-user read state, dismissal of broadcasts, and admin sending
+ */
+
+jest.mock('../../models', () => ({
+  User: { findByPk: jest.fn(), findOne: jest.fn() },
+  Notification: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  NotificationReceipt: { findOrCreate: jest.fn(), bulkCreate: jest.fn() },
+}));
+
+const { User, Notification, NotificationReceipt } = require('../../models');
+const notificationController = require('../../controllers/notificationController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const user = { id: 1, createdAt: new Date('2025-01-01') };
+
+const mockNotification = (overrides = {}) => ({
+  id: 5,
+  userId: null,
+  title: 'Sale',
+  message: '10% off everything',
+  type: 'admin',
+  receipts: [],
+  createdAt: new Date('2025-02-01'),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Notification Controller - getNotifications', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return read state from the current user receipt and hide dismissed ones', async () => {
+    Notification.findAll.mockResolvedValue([
+      mockNotification({ id: 1 }),
+      mockNotification({ id: 2, receipts: [{ readAt: new Date(), dismissed: false }] }),
+      mockNotification({ id: 3, receipts: [{ readAt: null, dismissed: true }] }),
+    ]);
+
+    const req = { user };
+    const res = mockRes();
+
+    await notificationController.getNotifications(req, res);
+
+    // Receipts are only joined for the requesting user
+    const { include } = Notification.findAll.mock.calls[0][0];
+    expect(include[0].where).toEqual({ userId: 1 });
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body.notifications.map((n) => [n.id, n.read])).toEqual([[1, false], [2, true]]);
+    expect(body.unreadCount).toBe(1);
+  });
+});
+
+describe('Notification Controller - markAsRead', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 when the notification is not visible to the user', async () => {
+    Notification.findOne.mockResolvedValue(null);
+
+    const req = { user, params: { id: '99' } };
+    const res = mockRes();
+
+    await notificationController.markAsRead(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(NotificationReceipt.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  test('should create a receipt for the current user only', async () => {
+    Notification.findOne.mockResolvedValue(mockNotification());
+    NotificationReceipt.findOrCreate.mockResolvedValue([{ readAt: new Date() }, true]);
+
+    const req = { user, params: { id: '5' } };
+    const res = mockRes();
+
+    await notificationController.markAsRead(req, res);
+
+    expect(NotificationReceipt.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { notificationId: 5, userId: 1 },
+    }));
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should set readAt on an existing unread receipt', async () => {
+    const receipt = { readAt: null, save: jest.fn().mockResolvedValue(true) };
+    Notification.findOne.mockResolvedValue(mockNotification());
+    NotificationReceipt.findOrCreate.mockResolvedValue([receipt, false]);
+
+    const req = { user, params: { id: '5' } };
+    const res = mockRes();
+
+    await notificationController.markAsRead(req, res);
+
+    expect(receipt.readAt).toBeInstanceOf(Date);
+    expect(receipt.save).toHaveBeenCalled();
+  });
+});
+
+describe('Notification Controller - markAllAsRead', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should write receipts only for unread notifications', async () => {
+    Notification.findAll.mockResolvedValue([
+      mockNotification({ id: 1 }),
+      mockNotification({ id: 2, receipts: [{ readAt: new Date(), dismissed: false }] }),
+    ]);
+
+    const req = { user };
+    const res = mockRes();
+
+    await notificationController.markAllAsRead(req, res);
+
+    expect(NotificationReceipt.bulkCreate).toHaveBeenCalledWith(
+      [expect.objectContaining({ notificationId: 1, userId: 1 })],
+      { updateOnDuplicate: ['readAt'] }
+    );
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ updated: 1 }));
+  });
+});
+
+describe('Notification Controller - deleteNotification', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should dismiss a broadcast instead of deleting it', async () => {
+    const notification = mockNotification();
+    Notification.findOne.mockResolvedValue(notification);
+    NotificationReceipt.findOrCreate.mockResolvedValue([{ dismissed: true }, true]);
+
+    const req = { user, params: { id: '5' } };
+    const res = mockRes();
+
+    await notificationController.deleteNotification(req, res);
+
+    expect(NotificationReceipt.findOrCreate).toHaveBeenCalledWith({
+      where: { notificationId: 5, userId: 1 },
+      defaults: { dismissed: true },
+    });
+    expect(notification.destroy).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should delete a notification targeted at the user', async () => {
+    const notification = mockNotification({ userId: 1 });
+    Notification.findOne.mockResolvedValue(notification);
+
+    const req = { user, params: { id: '5' } };
+    const res = mockRes();
+
+    await notificationController.deleteNotification(req, res);
+
+    expect(notification.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Notification Controller - sendNotification', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when title or message is missing', async () => {
+    const req = { body: { title: 'Hi', message: ' ' } };
+    const res = mockRes();
+
+    await notificationController.sendNotification(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Title and message are required' });
+  });
+
+  test('should broadcast when no recipient is given', async () => {
+    Notification.create.mockResolvedValue(mockNotification());
+
+    const req = { body: { title: 'Sale', message: '10% off everything' } };
+    const res = mockRes();
+
+    await notificationController.sendNotification(req, res);
+
+    expect(Notification.create).toHaveBeenCalledWith({
+      userId: null, title: 'Sale', message: '10% off everything', type: 'admin',
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should return 404 when the recipient email is unknown', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const req = { body: { title: 'Hi', message: 'Hello', userEmail: 'ghost@test.com' } };
+    const res = mockRes();
+
+    await notificationController.sendNotification(req, res);
+
+    expect(User.findOne).toHaveBeenCalledWith({ where: { email: 'ghost@test.com' } });
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,1175 @@
+/**
+ * Unit tests for Order Controller
+ * Tests checkout pricing, delivery rules, promo codes, sales tax, currencies, card payments, stock holds, customer
+ * order history, and admin order management with the status lifecycle
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((callback) => callback({})) },
+  User: {},
+  Product: {},
+  Offer: { findAll: jest.fn() },
+  Store: {
+    findAll: jest.fn().mockResolvedValue([
+      { id: 'techmart', name: 'TechMart', deliveryRule: { flatFee: '3.99', perItemFee: '0.00', freeOver: null } },
+      { id: 'gearhub', name: 'GearHub', deliveryRule: { flatFee: '2.49', perItemFee: '0.00', freeOver: null } },
+      { id: 'proshop', name: 'ProShop', deliveryRule: { flatFee: '4.50', perItemFee: '0.00', freeOver: null } },
+    ]),
+  },
+  DeliveryRule: {},
+  Order: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+  },
+  OrderItem: { bulkCreate: jest.fn() },
+  OrderStatusChange: { create: jest.fn() },
+  ReturnRequest: { findAll: jest.fn().mockResolvedValue([]), count: jest.fn().mockResolvedValue(0) },
+  CartItem: { destroy: jest.fn() },
+  StockReservation: { findOne: jest.fn() },
+  Coupon: { findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn() },
+  TaxRate: { findAll: jest.fn() },
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) },
+  Invoice: { count: jest.fn().mockResolvedValue(0) },
+}));
+jest.mock('../../utils/notifications', () => ({ notifyOrderStatusChange: jest.fn() }));
+jest.mock('../../utils/cartOptimizer', () => ({
+  ...jest.requireActual('../../utils/cartOptimizer'),
+  planCart: jest.fn(),
+}));
+jest.mock('../../utils/stock', () => ({
+  ...jest.requireActual('../../utils/stock'),
+  takeStock: jest.fn(),
+  restoreStock: jest.fn(),
+  reserveStock: jest.fn(),
+}));
+jest.mock('../../utils/priceAlerts', () => ({ checkRestockAlerts: jest.fn().mockResolvedValue(0) }));
+jest.mock('../../utils/payments', () => ({
+  ...jest.requireActual('../../utils/payments'),
+  startPayment: jest.fn(),
+  capturePayment: jest.fn(),
+  cancelPayment: jest.fn(),
+  releaseOrder: jest.fn(),
+}));
+
+const {
+  Offer, Store, Order, OrderItem, OrderStatusChange, ReturnRequest, CartItem, StockReservation, Coupon, TaxRate, ExchangeRate,
+  Invoice
+} = require('../../models');
+const { planCart } = require('../../utils/cartOptimizer');
+const { OutOfStockError, takeStock, restoreStock, reserveStock } = require('../../utils/stock');
+const { notifyOrderStatusChange } = require('../../utils/notifications');
+const { checkRestockAlerts } = require('../../utils/priceAlerts');
+const { PaymentError, startPayment, capturePayment, cancelPayment, releaseOrder } = require('../../utils/payments');
+const orderController = require('../../controllers/orderController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const offer = (productId, storeId, price, deliverySurcharge = null) => ({
+  productId, storeId, price: String(price), deliverySurcharge, stock: 10, product: { id: productId, name: `Product ${productId}` },
+});
+
+const coupon = (overrides = {}) => ({
+  id: 1,
+  code: 'SAVE10',
+  storeId: 'techmart',
+  type: 'percent',
+  value: '10.00',
+  category: null,
+  minSpend: null,
+  startsAt: null,
+  endsAt: null,
+  usageLimit: null,
+  usedCount: 0,
+  active: true,
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const mockOrder = (overrides = {}) => ({
+  id: 10,
+  userId: 1,
+  storeId: 'gearhub',
+  status: 'pending',
+  address: '1 Main St',
+  paymentMethod: 'cod',
+  subtotal: '40.00',
+  deliveryFee: '2.49',
+  total: '42.49',
+  items: [{ id: 1, productId: 1, productName: 'Mouse', price: '20.00', quantity: 2 }],
+  user: { id: 1, name: 'Alice', email: 'alice@test.com' },
+  store: { id: 'gearhub', name: 'GearHub' },
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Order Controller - createOrder', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when order has no items', async () => {
+    const req = { user: { id: 1 }, body: { items: [], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Order must contain at least one item' });
+  });
+
+  test('should return 400 when address is missing', async () => {
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1, quantity: 1 }], address: ' ' } };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Delivery address is required' });
+  });
+
+  test('should return 400 when quantity is not a positive integer', async () => {
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1, quantity: 0 }], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Quantity must be a positive whole number' });
+  });
+
+  test('should return 400 when an item is not sold at the chosen store', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 20)]);
+
+    const req = {
+      user: { id: 1 },
+      body: { storeId: 'gearhub', items: [{ productId: 1, quantity: 1 }], address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Some items are not available at GearHub' });
+  });
+
+  test('should return 400 when the chosen store is inactive or unknown', async () => {
+    const req = {
+      user: { id: 1 },
+      body: { storeId: 'closedshop', items: [{ productId: 1, quantity: 1 }], address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(Store.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { active: true } }));
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unknown store: closedshop' });
+    expect(Offer.findAll).not.toHaveBeenCalled();
+  });
+
+  test('should price a multi-item order at the cheapest complete store with one delivery fee', async () => {
+    Offer.findAll.mockResolvedValue([
+      offer(1, 'techmart', 20), offer(2, 'techmart', 30),
+      offer(1, 'gearhub', 19), offer(2, 'gearhub', 30),
+      offer(1, 'proshop', 10),
+    ]);
+    Order.create.mockResolvedValue({ id: 10 });
+    Order.findByPk.mockResolvedValue(mockOrder());
+
+    const req = {
+      user: { id: 1 },
+      body: { items: [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 1 }], address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    // GearHub: 19 + 30 + 2.49 store fee beats TechMart: 20 + 30 + 3.99; ProShop lacks product 2
+    expect(Order.create).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 1, storeId: 'gearhub', subtotal: 49, deliveryFee: 2.49, total: 51.49 }),
+      expect.any(Object)
+    );
+    expect(OrderItem.bulkCreate).toHaveBeenCalledWith([
+      { orderId: 10, productId: 1, productName: 'Product 1', price: 19, quantity: 1 },
+      { orderId: 10, productId: 2, productName: 'Product 2', price: 30, quantity: 1 },
+    ], expect.any(Object));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should waive delivery once the store free-delivery threshold is reached', async () => {
+    Store.findAll.mockResolvedValueOnce([
+      { id: 'techmart', name: 'TechMart', deliveryRule: { flatFee: '3.99', perItemFee: '1.00', freeOver: '50.00' } },
+    ]);
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 25)]);
+    Order.create.mockResolvedValue({ id: 11 });
+    Order.findByPk.mockResolvedValue(mockOrder({ id: 11 }));
+
+    const req = {
+      user: { id: 1 },
+      body: { storeId: 'techmart', items: [{ productId: 1, quantity: 2 }], address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(Order.create).toHaveBeenCalledWith(
+      expect.objectContaining({ subtotal: 50, deliveryFee: 0, total: 50 }),
+      expect.any(Object)
+    );
+  });
+
+  test('should add the offer delivery surcharge for each unit', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 20, '5.00')]);
+    Order.create.mockResolvedValue({ id: 11 });
+    Order.findByPk.mockResolvedValue(mockOrder({ id: 11 }));
+
+    const req = {
+      user: { id: 1 },
+      body: { storeId: 'techmart', items: [{ productId: 1, quantity: 2 }], address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(Order.create).toHaveBeenCalledWith(
+      expect.objectContaining({ subtotal: 40, deliveryFee: 13.99, total: 53.99 }),
+      expect.any(Object)
+    );
+    expect(takeStock).toHaveBeenCalledWith(
+      [expect.objectContaining({ productId: 1, quantity: 2 })], 'techmart', 1, expect.any(Object)
+    );
+    expect(OrderStatusChange.create).toHaveBeenCalledWith(
+      expect.objectContaining({ fromStatus: null, toStatus: 'pending', changedBy: 1 }), expect.any(Object)
+    );
+  });
+
+  test('should skip stores without enough stock when picking the cheapest store', async () => {
+    Offer.findAll.mockResolvedValue([
+      { ...offer(1, 'proshop', 10), stock: 1 },
+      { ...offer(1, 'gearhub', 19), stock: 5 },
+    ]);
+    Order.create.mockResolvedValue({ id: 12 });
+    Order.findByPk.mockResolvedValue(mockOrder({ id: 12 }));
+
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1, quantity: 2 }], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({ storeId: 'gearhub' }), expect.any(Object));
+  });
+
+  test('should return 400 when the store runs out of stock', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 20)]);
+    takeStock.mockRejectedValueOnce(new OutOfStockError('Only 1 left of Product 1 at TechMart'));
+
+    const req = {
+      user: { id: 1 },
+      body: { storeId: 'techmart', items: [{ productId: 1, quantity: 2 }], address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Only 1 left of Product 1 at TechMart' });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Order Controller - promo codes', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should pick the cheapest store after promo codes and count the code use', async () => {
+    const save10 = coupon({ value: '20.00' });
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 100), offer(1, 'gearhub', 90)]);
+    Coupon.findAll.mockResolvedValue([save10]);
+    Coupon.findByPk.mockResolvedValue(save10);
+    Order.create.mockResolvedValue({ id: 30 });
+    Order.findByPk.mockResolvedValue(mockOrder({ id: 30 }));
+
+    const req = {
+      user: { id: 1 },
+      body: { items: [{ productId: 1, quantity: 1 }], address: '1 Main St', couponCodes: [' save10 '] },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    // TechMart: 100 - 20% + 3.99 = 83.99 beats GearHub: 90 + 2.49
+    expect(Coupon.findAll).toHaveBeenCalledWith({ where: { code: ['SAVE10'] } });
+    expect(Order.create).toHaveBeenCalledWith(
+      expect.objectContaining({ storeId: 'techmart', subtotal: 100, couponCode: 'SAVE10', discount: 20, total: 83.99 }),
+      expect.any(Object)
+    );
+    expect(save10.usedCount).toBe(1);
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should return 400 when the last use of a code was taken', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 100)]);
+    Coupon.findAll.mockResolvedValue([coupon({ usageLimit: 5, usedCount: 4 })]);
+    Coupon.findByPk.mockResolvedValue(coupon({ usageLimit: 5, usedCount: 5 }));
+
+    const req = {
+      user: { id: 1 },
+      body: { storeId: 'techmart', items: [{ productId: 1 }], address: '1 Main St', couponCodes: ['SAVE10'] },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'SAVE10: This code has been fully redeemed' });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  test('should quote every store with its discount lines and report unknown codes', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 50), offer(2, 'techmart', 30), offer(1, 'gearhub', 45)]);
+    Coupon.findAll.mockResolvedValue([coupon({ type: 'free_delivery', value: '0.00', minSpend: '60.00' })]);
+
+    const req = {
+      user: { id: 1 },
+      body: { items: [{ productId: 1 }, { productId: 2 }], couponCodes: ['SAVE10', 'BOGUS'] },
+    };
+    const res = mockRes();
+
+    await orderController.quoteOrder(req, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.codes).toEqual([
+      {
+        code: 'SAVE10',
+        valid: true,
+        error: null,
+        coupons: [{ storeId: 'techmart', storeName: 'TechMart', description: 'Free delivery over $60.00' }],
+      },
+      { code: 'BOGUS', valid: false, error: 'Unknown promo code', coupons: [] },
+    ]);
+    expect(body.stores).toEqual([
+      {
+        storeId: 'techmart',
+        storeName: 'TechMart',
+        currency: 'USD',
+        exchangeRate: 1,
+        subtotal: 80,
+        deliveryFee: 3.99,
+        discounts: [{ code: 'SAVE10', description: 'Free delivery over $60.00', amount: 3.99 }],
+        discount: 3.99,
+        taxRate: 0,
+        tax: 0,
+        taxIncluded: false,
+        total: 80,
+        missingCount: 0,
+      },
+      {
+        storeId: 'gearhub',
+        storeName: 'GearHub',
+        currency: 'USD',
+        exchangeRate: 1,
+        subtotal: 45,
+        deliveryFee: 2.49,
+        discounts: [],
+        discount: 0,
+        taxRate: 0,
+        tax: 0,
+        taxIncluded: false,
+        total: 47.49,
+        missingCount: 1,
+      },
+    ]);
+    expect(body.tax).toBeNull();
+  });
+
+  test('should give back the code use when an order is cancelled', async () => {
+    const used = coupon({ usedCount: 3 });
+    Order.findByPk.mockResolvedValue(mockOrder({ couponCode: 'SAVE10' }));
+    Coupon.findOne.mockResolvedValue(used);
+
+    const req = { params: { id: '10' }, body: { status: 'cancelled' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(Coupon.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { code: 'SAVE10', storeId: 'gearhub' } }));
+    expect(used.usedCount).toBe(2);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Order Controller - sales tax', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const taxRate = (overrides = {}) => ({ name: 'California', region: 'CA', postalPrefix: null, rate: '10.000', ...overrides });
+
+  test('should add tax for the shipping address to the order total', async () => {
+    TaxRate.findAll.mockResolvedValue([taxRate()]);
+    Offer.findAll.mockResolvedValue([offer(1, 'gearhub', 40)]);
+    Order.create.mockResolvedValue({ id: 12 });
+    Order.findByPk.mockResolvedValue(mockOrder({ id: 12 }));
+
+    const req = {
+      user: { id: 1 },
+      body: {
+        storeId: 'gearhub',
+        items: [{ productId: 1, quantity: 1 }],
+        address: '1 Main St',
+        shipTo: { region: 'ca', postalCode: '94105' },
+      },
+    };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    // 10% of 40 + 2.49 delivery
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({
+      region: 'CA',
+      postalCode: '94105',
+      subtotal: 40,
+      deliveryFee: 2.49,
+      taxRate: 10,
+      tax: 4.25,
+      taxIncluded: false,
+      total: 46.74,
+    }), expect.any(Object));
+  });
+
+  test('should show tax included in a tax-inclusive store without adding it', async () => {
+    Store.findAll.mockResolvedValueOnce([
+      { id: 'techmart', name: 'TechMart', pricesIncludeTax: true, deliveryRule: { flatFee: '0', perItemFee: '0', freeOver: null } },
+      { id: 'gearhub', name: 'GearHub', deliveryRule: { flatFee: '0', perItemFee: '0', freeOver: null } },
+    ]);
+    TaxRate.findAll.mockResolvedValue([taxRate()]);
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 55), offer(1, 'gearhub', 52)]);
+
+    const req = { body: { items: [{ productId: 1 }], shipTo: { region: 'CA' } } };
+    const res = mockRes();
+
+    await orderController.quoteOrder(req, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.tax).toEqual({ name: 'California', rate: 10, description: 'California 10%' });
+    expect(body.stores).toEqual([
+      expect.objectContaining({ storeId: 'techmart', tax: 5, taxIncluded: true, total: 55 }),
+      expect.objectContaining({ storeId: 'gearhub', tax: 5.2, taxIncluded: false, total: 57.2 }),
+    ]);
+  });
+
+  test('should not charge tax without a shipping address', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'gearhub', 40)]);
+
+    const req = { body: { items: [{ productId: 1 }] } };
+    const res = mockRes();
+
+    await orderController.quoteOrder(req, res);
+
+    expect(TaxRate.findAll).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].stores[0]).toEqual(expect.objectContaining({ tax: 0, total: 42.49 }));
+  });
+});
+
+describe('Order Controller - currencies', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const FREE_DELIVERY = { flatFee: '0', perItemFee: '0', freeOver: null };
+  const stores = () => [
+    { id: 'techmart', name: 'TechMart', deliveryRule: FREE_DELIVERY },
+    { id: 'eurotech', name: 'EuroTech', currency: 'EUR', deliveryRule: FREE_DELIVERY },
+  ];
+
+  test('should pick the cheapest store in the base currency and record the rate used', async () => {
+    Store.findAll.mockResolvedValueOnce(stores());
+    ExchangeRate.findAll.mockResolvedValueOnce([{ currency: 'EUR', rate: '0.900000' }]);
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 50), offer(1, 'eurotech', 47)]);
+    Order.create.mockResolvedValue({ id: 13 });
+    Order.findByPk.mockResolvedValue(mockOrder({ id: 13 }));
+
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1 }], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    // 47 EUR is 52.22 USD, so TechMart's 50 USD wins even though 47 < 50
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({
+      storeId: 'techmart', total: 50, currency: 'USD', exchangeRate: 1,
+    }), expect.any(Object));
+
+    ExchangeRate.findAll.mockResolvedValueOnce([{ currency: 'EUR', rate: '0.950000' }]);
+    Store.findAll.mockResolvedValueOnce(stores());
+
+    await orderController.createOrder(req, mockRes());
+
+    // 47 EUR is 49.47 USD
+    expect(Order.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      storeId: 'eurotech', total: 47, currency: 'EUR', exchangeRate: 0.95,
+    }), expect.any(Object));
+  });
+
+  test('should quote each store in its own currency and leave out stores without a rate', async () => {
+    Store.findAll.mockResolvedValueOnce([
+      ...stores(),
+      { id: 'yenshop', name: 'YenShop', currency: 'JPY', deliveryRule: FREE_DELIVERY },
+    ]);
+    ExchangeRate.findAll.mockResolvedValueOnce([{ currency: 'EUR', rate: '0.900000' }]);
+    Offer.findAll.mockResolvedValue([offer(1, 'techmart', 50), offer(1, 'eurotech', 47), offer(1, 'yenshop', 7000)]);
+
+    const req = { body: { items: [{ productId: 1 }] } };
+    const res = mockRes();
+
+    await orderController.quoteOrder(req, res);
+
+    expect(res.json.mock.calls[0][0].stores).toEqual([
+      expect.objectContaining({ storeId: 'techmart', currency: 'USD', exchangeRate: 1, total: 50 }),
+      expect.objectContaining({ storeId: 'eurotech', currency: 'EUR', exchangeRate: 0.9, total: 47 }),
+    ]);
+  });
+
+  test('should refuse an order at a store whose currency has no rate', async () => {
+    Store.findAll.mockResolvedValueOnce(stores());
+    Offer.findAll.mockResolvedValue([offer(1, 'eurotech', 47)]);
+
+    const req = { user: { id: 1 }, body: { storeId: 'eurotech', items: [{ productId: 1 }], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Order Controller - card payments', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const cardOrder = (overrides = {}) => ({
+    storeId: 'gearhub', items: [{ productId: 1, quantity: 1 }], address: '1 Main St', paymentMethod: 'card', ...overrides,
+  });
+
+  test('should return 400 for an unknown payment method', async () => {
+    const req = { user: { id: 1 }, body: cardOrder({ paymentMethod: 'Cash on Delivery' }) };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Payment method must be one of: cod, card' });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  test('should hold a card order until its payment is confirmed', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'gearhub', 20)]);
+    Order.create.mockResolvedValue({ id: 10 });
+    Order.findAll.mockResolvedValueOnce([mockOrder({ status: 'awaiting_payment' })]);
+    Order.findByPk.mockResolvedValue(mockOrder({
+      status: 'awaiting_payment',
+      payment: { id: 3, orderId: 10, provider: 'mock', status: 'requires_confirmation', amount: '22.49', currency: 'USD', refundedAmount: '0.00' },
+    }));
+
+    const req = { user: { id: 1 }, body: cardOrder() };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'awaiting_payment', paymentMethod: 'card' }), expect.any(Object));
+    expect(OrderStatusChange.create).toHaveBeenCalledWith(expect.objectContaining({ fromStatus: null, toStatus: 'awaiting_payment' }), expect.any(Object));
+    expect(startPayment).toHaveBeenCalledWith(expect.objectContaining({ id: 10 }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].order.payment).toEqual(expect.objectContaining({ id: 3, status: 'requires_confirmation', amount: 22.49 }));
+  });
+
+  test('should release the order when its payment cannot be started', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'gearhub', 20)]);
+    Order.create.mockResolvedValue({ id: 10 });
+    Order.findAll.mockResolvedValueOnce([mockOrder({ status: 'awaiting_payment' })]);
+    startPayment.mockRejectedValueOnce(new PaymentError('Provider unavailable'));
+
+    const req = { user: { id: 1 }, body: cardOrder() };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(releaseOrder).toHaveBeenCalledWith(10, 'The card payment could not be started.');
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Card payment failed to start, so no order was placed: Provider unavailable' });
+  });
+
+  test('should place cash on delivery orders straight away', async () => {
+    Offer.findAll.mockResolvedValue([offer(1, 'gearhub', 20)]);
+    Order.create.mockResolvedValue({ id: 10 });
+    Order.findByPk.mockResolvedValue(mockOrder());
+
+    const req = { user: { id: 1 }, body: cardOrder({ paymentMethod: undefined }) };
+    const res = mockRes();
+
+    await orderController.createOrder(req, res);
+
+    expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', paymentMethod: 'cod' }), expect.any(Object));
+    expect(startPayment).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].order.payment).toBeNull();
+  });
+
+  test('should capture the payment when the order ships', async () => {
+    const payment = { id: 3, status: 'authorized' };
+    const order = mockOrder({ status: 'processing', paymentMethod: 'card', payment });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' }, body: { status: 'shipped' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(capturePayment).toHaveBeenCalledWith(payment);
+    expect(order.status).toBe('shipped');
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should not ship the order when the payment cannot be captured', async () => {
+    const order = mockOrder({ status: 'processing', paymentMethod: 'card', payment: { id: 3, status: 'authorized' } });
+    Order.findByPk.mockResolvedValue(order);
+    capturePayment.mockRejectedValueOnce(new PaymentError('Authorization expired'));
+
+    const req = { params: { id: '10' }, body: { status: 'shipped' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Payment error: Authorization expired' });
+    // The claimed change is given back
+    expect(Order.update).toHaveBeenCalledWith({ status: 'processing' }, { where: { id: 10, status: 'shipped' } });
+    expect(OrderStatusChange.create).not.toHaveBeenCalled();
+  });
+
+  test('should not settle the payment when another change got there first', async () => {
+    const payment = { id: 3, status: 'authorized' };
+    // Read as processing, but already cancelled by the time the order is locked
+    Order.findByPk
+      .mockResolvedValueOnce(mockOrder({ status: 'processing', paymentMethod: 'card', payment }))
+      .mockResolvedValueOnce(mockOrder({ status: 'cancelled', paymentMethod: 'card', payment }));
+
+    const req = { params: { id: '10' }, body: { status: 'shipped' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(capturePayment).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should release the payment when a card order is cancelled', async () => {
+    const payment = { id: 3, status: 'authorized' };
+    const order = mockOrder({ status: 'pending', paymentMethod: 'card', payment });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' }, body: { status: 'cancelled' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(cancelPayment).toHaveBeenCalledWith(payment);
+    expect(restoreStock).toHaveBeenCalledWith(order.items, 'gearhub', {});
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Order Controller - stock reservations', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should hold stock for the current user', async () => {
+    const expiresAt = new Date('2026-01-01T10:10:00Z');
+    reserveStock.mockResolvedValue({ id: 3, quantity: 2, expiresAt });
+
+    const req = { user: { id: 1 }, body: { productId: '1', storeId: 'techmart', quantity: 2 } };
+    const res = mockRes();
+
+    await orderController.createReservation(req, res);
+
+    expect(reserveStock).toHaveBeenCalledWith({ userId: 1, productId: 1, storeId: 'techmart', quantity: 2 }, {});
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({
+      reservation: { id: 3, productId: 1, storeId: 'techmart', quantity: 2, expiresAt },
+    });
+  });
+
+  test('should return 400 for an invalid quantity', async () => {
+    const req = { user: { id: 1 }, body: { productId: 1, storeId: 'techmart', quantity: 1.5 } };
+    const res = mockRes();
+
+    await orderController.createReservation(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(reserveStock).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when the store does not sell the product', async () => {
+    reserveStock.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, body: { productId: 1, storeId: 'proshop' } };
+    const res = mockRes();
+
+    await orderController.createReservation(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should return 400 when not enough stock is left', async () => {
+    reserveStock.mockRejectedValue(new OutOfStockError('Product 1 is out of stock at TechMart'));
+
+    const req = { user: { id: 1 }, body: { productId: 1, storeId: 'techmart' } };
+    const res = mockRes();
+
+    await orderController.createReservation(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Product 1 is out of stock at TechMart' });
+  });
+
+  test('should only release the current user holds', async () => {
+    StockReservation.findOne.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, params: { id: '3' } };
+    const res = mockRes();
+
+    await orderController.deleteReservation(req, res);
+
+    expect(StockReservation.findOne).toHaveBeenCalledWith({ where: { id: '3', userId: 1 } });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Order Controller - checkoutCart', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const group = (storeId, productId, price, deliveryFee) => ({
+    storeId,
+    storeName: storeId,
+    items: [{ productId, productName: `Product ${productId}`, price, quantity: 1, lineTotal: price }],
+    subtotal: price,
+    deliveryFee,
+    total: price + deliveryFee,
+  });
+
+  test('should place one order per store in the plan and clear the purchased items', async () => {
+    planCart.mockResolvedValue({
+      stores: [group('gearhub', 1, 80, 2.49), group('techmart', 2, 50, 3.99)],
+      unavailable: [],
+      total: 136.48,
+      savings: 17.51,
+    });
+    Order.create.mockResolvedValueOnce({ id: 20 }).mockResolvedValueOnce({ id: 21 });
+    Order.findAll.mockResolvedValue([mockOrder({ id: 20 }), mockOrder({ id: 21, storeId: 'techmart' })]);
+
+    const req = {
+      user: { id: 1 },
+      body: { items: [{ productId: 1 }, { productId: 2 }], maxStores: 2, address: '1 Main St' },
+    };
+    const res = mockRes();
+
+    await orderController.checkoutCart(req, res);
+
+    expect(planCart).toHaveBeenCalledWith(
+      [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 1 }],
+      { maxStores: 2, couponCodes: [], shipTo: { region: '', postalCode: '' } }
+    );
+    expect(Order.create).toHaveBeenCalledTimes(2);
+    expect(Order.create).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 1, storeId: 'techmart', subtotal: 50, deliveryFee: 3.99, total: 53.99 }),
+      expect.any(Object)
+    );
+    expect(OrderItem.bulkCreate).toHaveBeenCalledWith([
+      { orderId: 21, productId: 2, productName: 'Product 2', price: 50, quantity: 1 },
+    ], expect.any(Object));
+    expect(CartItem.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1, productId: [1, 2] } }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ total: 136.48, savings: 17.51 }));
+    expect(res.json.mock.calls[0][0].orders).toHaveLength(2);
+  });
+
+  test('should return 400 when an item is not sold by any store', async () => {
+    planCart.mockResolvedValue({
+      stores: [group('gearhub', 1, 80, 2.49)],
+      unavailable: [{ productId: 2, productName: 'Webcam' }],
+    });
+
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1 }, { productId: 2 }], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.checkoutCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Not in stock at any store: Webcam' });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  test('should explain a cart with no plan when no store limit was given', async () => {
+    planCart.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1 }, { productId: 2 }], address: '1 Main St' } };
+    const res = mockRes();
+
+    await orderController.checkoutCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Some items in your cart aren\'t available together; try buying them in separate orders',
+    });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 when the address is missing', async () => {
+    const req = { user: { id: 1 }, body: { items: [{ productId: 1 }] } };
+    const res = mockRes();
+
+    await orderController.checkoutCart(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(planCart).not.toHaveBeenCalled();
+  });
+});
+
+describe('Order Controller - getMyOrders', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return only the current user orders', async () => {
+    Order.findAll.mockResolvedValue([mockOrder()]);
+
+    const req = { user: { id: 1 } };
+    const res = mockRes();
+
+    await orderController.getMyOrders(req, res);
+
+    expect(Order.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1, hiddenAt: null } }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { orders } = res.json.mock.calls[0][0];
+    expect(orders[0]).toEqual(expect.objectContaining({
+      id: 10, productName: 'Mouse', storeName: 'GearHub', quantity: 2, total: 42.49, userEmail: 'alice@test.com',
+    }));
+  });
+});
+
+describe('Order Controller - deleteMyOrder', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 when the order belongs to someone else', async () => {
+    Order.findOne.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, params: { id: '99' } };
+    const res = mockRes();
+
+    await orderController.deleteMyOrder(req, res);
+
+    expect(Order.findOne).toHaveBeenCalledWith({ where: { id: '99', userId: 1, hiddenAt: null } });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should return 400 when the order is still active', async () => {
+    const order = mockOrder({ status: 'shipped' });
+    Order.findOne.mockResolvedValue(order);
+
+    const req = { user: { id: 1 }, params: { id: '10' } };
+    const res = mockRes();
+
+    await orderController.deleteMyOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(order.destroy).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 while a return on the order is in progress', async () => {
+    const order = mockOrder({ status: 'delivered' });
+    Order.findOne.mockResolvedValue(order);
+    ReturnRequest.count.mockResolvedValueOnce(1);
+
+    const req = { user: { id: 1 }, params: { id: '10' } };
+    const res = mockRes();
+
+    await orderController.deleteMyOrder(req, res);
+
+    expect(res.json).toHaveBeenCalledWith({ error: 'This order has a return in progress' });
+    expect(order.destroy).not.toHaveBeenCalled();
+  });
+
+  test('should hide a finished order from the customer instead of deleting it', async () => {
+    const order = mockOrder({ status: 'delivered', hiddenAt: null });
+    Order.findOne.mockResolvedValue(order);
+    ReturnRequest.count.mockResolvedValueOnce(0);
+
+    const req = { user: { id: 1 }, params: { id: '10' } };
+    const res = mockRes();
+
+    await orderController.deleteMyOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(order.hiddenAt).toBeInstanceOf(Date);
+    expect(order.save).toHaveBeenCalled();
+    expect(order.destroy).not.toHaveBeenCalled();
+  });
+});
+
+describe('Order Controller - admin order management', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return stats with delivered revenue in the base currency', async () => {
+    Order.count.mockResolvedValue(2);
+    Order.findAll.mockResolvedValue([
+      { total: '84.98', tax: '4.00', exchangeRate: '1.000000' },
+      { total: '46.00', tax: '0.00', exchangeRate: '0.920000' },
+    ]);
+
+    const req = {};
+    const res = mockRes();
+
+    await orderController.getOrderStats(req, res);
+
+    expect(Order.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: ['delivered', 'partially_returned', 'returned'] },
+    }));
+    // 46 EUR at 0.92 per USD is 50 USD
+    expect(res.json.mock.calls[0][0].stats).toEqual(expect.objectContaining({
+      total: 2, delivered: 2, revenue: 134.98, tax: 4, refunds: 0, currency: 'USD',
+    }));
+  });
+
+  test('should take refunded returns off revenue and tax', async () => {
+    Order.count.mockResolvedValue(1);
+    Order.findAll.mockResolvedValue([{ total: '110.00', tax: '10.00', exchangeRate: '1.000000' }]);
+    ReturnRequest.findAll.mockResolvedValueOnce([
+      { refundAmount: '46.00', tax: '4.60', order: { exchangeRate: '0.920000' } },
+    ]);
+    ReturnRequest.count.mockResolvedValueOnce(2);
+
+    const req = {};
+    const res = mockRes();
+
+    await orderController.getOrderStats(req, res);
+
+    expect(res.json.mock.calls[0][0].stats).toEqual(expect.objectContaining({
+      revenue: 60, tax: 5, refunds: 50, openReturns: 2,
+    }));
+  });
+
+  test('should return 400 for an invalid status', async () => {
+    const req = { params: { id: '10' }, body: { status: 'lost' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid order status' });
+  });
+
+  test('should update the status of an existing order', async () => {
+    const order = mockOrder({ status: 'processing' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' }, body: { status: 'shipped' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(order.status).toBe('shipped');
+    expect(order.save).toHaveBeenCalled();
+    expect(notifyOrderStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 1, productName: 'Mouse' }), 'shipped'
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should still update the status when the notification fails', async () => {
+    const order = mockOrder({ status: 'shipped' });
+    Order.findByPk.mockResolvedValue(order);
+    notifyOrderStatusChange.mockRejectedValueOnce(new Error('db down'));
+
+    const req = { params: { id: '10' }, body: { status: 'delivered' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(order.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should put the units back in stock when an order is cancelled', async () => {
+    const order = mockOrder({ status: 'processing' });
+    Order.findByPk.mockResolvedValue(order);
+    restoreStock.mockResolvedValueOnce([{ productId: 1, storeId: 'gearhub' }]);
+
+    const req = { params: { id: '10' }, body: { status: 'cancelled' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(restoreStock).toHaveBeenCalledWith(order.items, 'gearhub', {});
+    expect(takeStock).not.toHaveBeenCalled();
+    expect(checkRestockAlerts).toHaveBeenCalledWith([{ productId: 1, storeId: 'gearhub' }]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should not cancel twice when another cancel got there first', async () => {
+    // Read as processing, but already cancelled by the time the order is locked
+    Order.findByPk
+      .mockResolvedValueOnce(mockOrder({ status: 'processing' }))
+      .mockResolvedValueOnce(mockOrder({ status: 'cancelled' }));
+
+    const req = { params: { id: '10' }, body: { status: 'cancelled' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(Order.findByPk).toHaveBeenLastCalledWith(10, expect.objectContaining({ lock: true }));
+    expect(restoreStock).not.toHaveBeenCalled();
+    expect(OrderStatusChange.create).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Order is already cancelled' });
+  });
+
+  test('should return 400 for a transition the lifecycle does not allow', async () => {
+    const order = mockOrder({ status: 'pending' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' }, body: { status: 'delivered' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'A pending order can only be moved to processing or cancelled' });
+    expect(order.save).not.toHaveBeenCalled();
+    expect(OrderStatusChange.create).not.toHaveBeenCalled();
+  });
+
+  test('should not cancel an order that has shipped', async () => {
+    const order = mockOrder({ status: 'shipped' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' }, body: { status: 'cancelled' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(restoreStock).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 and not notify when the status is unchanged', async () => {
+    Order.findByPk.mockResolvedValue(mockOrder({ status: 'shipped' }));
+
+    const req = { params: { id: '10' }, body: { status: 'shipped' } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(notifyOrderStatusChange).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Order is already shipped' });
+  });
+
+  test('should record the change with the acting admin and note', async () => {
+    const order = mockOrder({ status: 'processing' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' }, body: { status: 'shipped', note: '  Tracking 1Z999  ' }, user: { id: 7 } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(OrderStatusChange.create).toHaveBeenCalledWith({
+      orderId: 10, fromStatus: 'processing', toStatus: 'shipped', changedBy: 7, note: 'Tracking 1Z999'
+    }, { transaction: {} });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should return 400 for a note that is too long', async () => {
+    const req = { params: { id: '10' }, body: { status: 'shipped', note: 'x'.repeat(501) } };
+    const res = mockRes();
+
+    await orderController.updateOrderStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+
+  test('should return the history oldest first with the legal next statuses', async () => {
+    const order = mockOrder({
+      status: 'processing',
+      history: [
+        { id: 2, fromStatus: 'pending', toStatus: 'processing', note: null, changedAt: '2026-10-02T00:00:00Z', changedByUser: { id: 7, name: 'Admin' } },
+        { id: 1, fromStatus: null, toStatus: 'pending', note: null, changedAt: '2026-10-01T00:00:00Z', changedByUser: null },
+      ],
+    });
+    Order.findAll.mockResolvedValue([order]);
+
+    const req = { user: { id: 1 } };
+    const res = mockRes();
+
+    await orderController.getMyOrders(req, res);
+
+    const [formatted] = res.json.mock.calls[0][0].orders;
+    expect(formatted.nextStatuses).toEqual(['shipped', 'cancelled']);
+    expect(formatted.history.map((h) => h.toStatus)).toEqual(['pending', 'processing']);
+    expect(formatted.history[1].changedBy).toEqual({ id: 7, name: 'Admin' });
+    expect(formatted.history[0].changedBy).toBeNull();
+  });
+
+  test('should return 404 when deleting a missing order', async () => {
+    Order.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '99' } };
+    const res = mockRes();
+
+    await orderController.deleteOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Order not found' });
+  });
+
+  test('should refuse to delete an active order, so its stock and promo code use are not lost', async () => {
+    const order = mockOrder({ status: 'processing', couponCode: 'SAVE10' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' } };
+    const res = mockRes();
+
+    await orderController.deleteOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Cancel the order before deleting it' });
+    expect(order.destroy).not.toHaveBeenCalled();
+  });
+
+  test('should delete a cancelled order without an invoice', async () => {
+    const order = mockOrder({ status: 'cancelled' });
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { params: { id: '10' } };
+    const res = mockRes();
+
+    await orderController.deleteOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(order.destroy).toHaveBeenCalled();
+  });
+
+  test('should refuse to delete an order with an invoice', async () => {
+    const order = mockOrder({ status: 'delivered' });
+    Order.findByPk.mockResolvedValue(order);
+    Invoice.count.mockResolvedValueOnce(1);
+
+    const req = { params: { id: '10' } };
+    const res = mockRes();
+
+    await orderController.deleteOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(order.destroy).not.toHaveBeenCalled();
+  });
+});
@@ -1,21 +1,26 @@
 /**
  * Unit tests for Password Controller
- * Tests forgot password and reset password flows
+ * Tests forgot password and reset password flows, and their throttling
  */
 
 const crypto = require('crypto');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
 const nodemailer = require('nodemailer');
 
 jest.mock('../../models/User');
+jest.mock('../../models/Session');
 jest.mock('nodemailer');
 
 const passwordController = require('../../controllers/passwordController');
+const { createMemoryStore, setThrottleStore } = require('../../utils/throttleStore');
+const { THROTTLE_FREE_ATTEMPTS } = require('../../config/constants');
 
 const mockRes = () => {
   const res = {
     status: jest.fn().mockReturnThis(),
     json: jest.fn().mockReturnThis(),
+    set: jest.fn().mockReturnThis(),
   };
   return res;
 };
@@ -162,6 +167,7 @@ describe('Password Controller - resetPassword', () => {
       save: jest.fn().mockResolvedValue(true),
     };
     User.findOne.mockResolvedValue(mockUser);
+    Session.update.mockResolvedValue([2]);
 
     const req = {
       body: { token: 'some-token', newPassword: 'newpass123', confirmPassword: 'newpass123' },
@@ -174,9 +180,76 @@ describe('Password Controller - resetPassword', () => {
     expect(mockUser.resetPasswordToken).toBeNull();
     expect(mockUser.resetPasswordExpires).toBeNull();
     expect(mockUser.save).toHaveBeenCalled();
+    // Every session of the user is signed out
+    expect(Session.update).toHaveBeenCalledWith(
+      { revokedAt: expect.any(Date), revokedReason: 'password_reset' },
+      { where: { userId: 1, revokedAt: null } }
+    );
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith({
       message: 'Password has been reset successfully. You can now log in with your new password.',
     });
   });
+
+  test('should unlock an account locked by failed logins', async () => {
+    const mockUser = {
+      id: 1,
+      email: 'alice@test.com',
+      lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+      save: jest.fn().mockResolvedValue(true),
+    };
+    User.findOne.mockResolvedValue(mockUser);
+    Session.update.mockResolvedValue([0]);
+
+    const req = { body: { token: 'some-token', newPassword: 'newpass123', confirmPassword: 'newpass123' } };
+    const res = mockRes();
+
+    await passwordController.resetPassword(req, res);
+
+    expect(mockUser.lockedUntil).toBeNull();
+    expect(mockUser.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Password Controller - throttling', () => {
+  beforeEach(() => {
+    setThrottleStore(createMemoryStore());
+    nodemailer.createTestAccount = jest.fn().mockResolvedValue({ user: 'test', pass: 'test' });
+    nodemailer.createTransport = jest.fn().mockReturnValue({ sendMail: jest.fn().mockResolvedValue({ messageId: 'test-id' }) });
+    nodemailer.getTestMessageUrl = jest.fn().mockReturnValue(null);
+  });
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 429 after too many reset emails for one address', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.account; i++) {
+      const res = mockRes();
+      await passwordController.forgotPassword({ body: { email: 'alice@test.com' }, ip: `10.0.0.${i}` }, res);
+      expect(res.status).toHaveBeenCalledWith(200);
+    }
+    const res = mockRes();
+    await passwordController.forgotPassword({ body: { email: 'alice@test.com' }, ip: '10.0.1.1' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ retryAfter: expect.any(Number) }));
+  });
+
+  test('should return 429 after too many invalid reset tokens from one IP address', async () => {
+    User.findOne.mockResolvedValue(null);
+    const req = { body: { token: 'guess', newPassword: 'password123', confirmPassword: 'password123' }, ip: '10.0.0.1' };
+
+    for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.ip; i++) {
+      const res = mockRes();
+      await passwordController.resetPassword(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    const res = mockRes();
+    await passwordController.resetPassword(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(User.findOne).toHaveBeenCalledTimes(THROTTLE_FREE_ATTEMPTS.ip);
+  });
 });
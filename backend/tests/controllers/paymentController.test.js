@@ -0,0 +1,175 @@
+/**
+ * Unit tests for Payment Controller
+ * Tests confirming card payments, 3-D Secure challenges, and provider webhooks with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  Order: { findByPk: jest.fn() },
+  Payment: { findOne: jest.fn() },
+}));
+jest.mock('../../utils/payments', () => ({
+  ...jest.requireActual('../../utils/payments'),
+  confirmPayment: jest.fn(),
+  completeChallenge: jest.fn(),
+  verifyWebhook: jest.fn(),
+  handleWebhookEvent: jest.fn(),
+}));
+
+const { Order, Payment } = require('../../models');
+const { PaymentError, confirmPayment, completeChallenge, verifyWebhook, handleWebhookEvent } = require('../../utils/payments');
+const paymentController = require('../../controllers/paymentController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockPayment = (overrides = {}) => ({
+  id: 3,
+  orderId: 10,
+  provider: 'mock',
+  providerPaymentId: 'pi_1',
+  status: 'requires_confirmation',
+  amount: '42.49',
+  currency: 'USD',
+  refundedAmount: '0.00',
+  ...overrides,
+});
+
+const card = { number: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+
+describe('Payment Controller - confirmPayment', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should only find payments for the current user orders', async () => {
+    Payment.findOne.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { card } };
+    const res = mockRes();
+
+    await paymentController.confirmPayment(req, res);
+
+    expect(Payment.findOne.mock.calls[0][0].include[0].where).toEqual({ userId: 1 });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should return 400 without card details', async () => {
+    const req = { user: { id: 1 }, params: { id: '3' }, body: {} };
+    const res = mockRes();
+
+    await paymentController.confirmPayment(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Card details are required' });
+  });
+
+  test('should return the authorized payment with the placed order status', async () => {
+    const payment = mockPayment();
+    Payment.findOne.mockResolvedValue(payment);
+    confirmPayment.mockResolvedValue(mockPayment({ status: 'authorized', cardBrand: 'visa', cardLast4: '4242' }));
+    Order.findByPk.mockResolvedValue({ id: 10, status: 'pending' });
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { card } };
+    const res = mockRes();
+
+    await paymentController.confirmPayment(req, res);
+
+    expect(confirmPayment).toHaveBeenCalledWith(payment, card);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      payment: expect.objectContaining({ id: 3, status: 'authorized', amount: 42.49, cardLast4: '4242' }),
+      orderStatus: 'pending',
+    });
+  });
+
+  test('should return 400 for invalid card details so the customer can try again', async () => {
+    Payment.findOne.mockResolvedValue(mockPayment());
+    confirmPayment.mockRejectedValue(new PaymentError('Your card has expired', 'invalid_card'));
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { card } };
+    const res = mockRes();
+
+    await paymentController.confirmPayment(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Your card has expired' });
+  });
+
+  test('should not confirm a payment twice', async () => {
+    Payment.findOne.mockResolvedValue(mockPayment({ status: 'requires_action' }));
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { card } };
+    const res = mockRes();
+
+    await paymentController.confirmPayment(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This payment is already requires action' });
+    expect(confirmPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('Payment Controller - completeChallenge', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should pass the customer answer to the provider', async () => {
+    const payment = mockPayment({ status: 'requires_action' });
+    Payment.findOne.mockResolvedValue(payment);
+    completeChallenge.mockResolvedValue(mockPayment({ status: 'failed', failureReason: 'Card authentication failed' }));
+    Order.findByPk.mockResolvedValue({ id: 10, status: 'cancelled' });
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { approve: false } };
+    const res = mockRes();
+
+    await paymentController.completeChallenge(req, res);
+
+    expect(completeChallenge).toHaveBeenCalledWith(payment, false);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ orderStatus: 'cancelled' }));
+  });
+
+  test('should return 400 when the payment has no challenge', async () => {
+    Payment.findOne.mockResolvedValue(mockPayment({ status: 'authorized' }));
+
+    const req = { user: { id: 1 }, params: { id: '3' }, body: { approve: true } };
+    const res = mockRes();
+
+    await paymentController.completeChallenge(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(completeChallenge).not.toHaveBeenCalled();
+  });
+});
+
+describe('Payment Controller - handleWebhook', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should refuse events without a valid signature', async () => {
+    verifyWebhook.mockReturnValue(null);
+
+    const req = { body: Buffer.from('{}'), headers: {} };
+    const res = mockRes();
+
+    await paymentController.handleWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(handleWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  test('should apply signed events', async () => {
+    const event = { id: 'evt_1', type: 'payment_intent.authorized', data: { id: 'pi_1', status: 'authorized' } };
+    verifyWebhook.mockReturnValue(event);
+
+    const req = { body: Buffer.from(JSON.stringify(event)), headers: { 'mock-signature': 't=1,v1=ab' } };
+    const res = mockRes();
+
+    await paymentController.handleWebhook(req, res);
+
+    expect(verifyWebhook).toHaveBeenCalledWith('mock', req.body, req.headers);
+    expect(handleWebhookEvent).toHaveBeenCalledWith('mock', event);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ received: true });
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * Unit tests for Product Controller
+ * Tests catalog listing, validation, and admin CRUD with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((callback) => callback({})) },
+  Product: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+  },
+  Offer: {
+    bulkCreate: jest.fn(),
+    create: jest.fn(),
+  },
+  PriceHistory: {
+    findAll: jest.fn(),
+  },
+  Store: {
+    findAll: jest.fn().mockResolvedValue([
+      { id: 'techmart', name: 'TechMart', active: true },
+      { id: 'gearhub', name: 'GearHub', active: false },
+    ]),
+  },
+  ExchangeRate: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+}));
+
+jest.mock('../../utils/priceAlerts', () => ({
+  checkPriceAlerts: jest.fn().mockResolvedValue(0),
+}));
+
+const { Product, Offer, PriceHistory, ExchangeRate } = require('../../models');
+const { checkPriceAlerts } = require('../../utils/priceAlerts');
+const productController = require('../../controllers/productController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockProduct = (overrides = {}) => ({
+  id: 1,
+  name: 'Mechanical Keyboard',
+  description: 'Hot-swappable switches',
+  category: 'Keyboards',
+  imageUrl: '',
+  offers: [
+    {
+      storeId: 'techmart', available: true, price: '89.99', stock: 5, deliverySurcharge: null, rating: '4.5',
+      store: { id: 'techmart', active: true, deliveryRule: { flatFee: '3.99', perItemFee: '0.00', freeOver: null } },
+    },
+  ],
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const validStores = {
+  techmart: { available: true, price: '89.99', stock: '5', deliverySurcharge: '', rating: '4.5' },
+};
+
+describe('Product Controller - getProducts', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 200 with products keyed by store', async () => {
+    Product.findAll.mockResolvedValue([mockProduct()]);
+
+    const req = {};
+    const res = mockRes();
+
+    await productController.getProducts(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { products } = res.json.mock.calls[0][0];
+    expect(products).toHaveLength(1);
+    expect(products[0].stores.techmart).toEqual({
+      available: true, price: 89.99, currency: 'USD', stock: 5, deliveryCost: 3.99, deliverySurcharge: null, rating: 4.5,
+    });
+  });
+
+  test('should price one unit of delivery with the store rule and the offer surcharge', async () => {
+    const rule = { flatFee: '3.99', perItemFee: '0.50', freeOver: '100.00' };
+    Product.findAll.mockResolvedValue([mockProduct({
+      offers: [
+        { storeId: 'techmart', available: true, price: '89.99', stock: 5, deliverySurcharge: '2.00', store: { id: 'techmart', active: true, deliveryRule: rule } },
+        { storeId: 'gearhub', available: true, price: '89.99', stock: 5, deliverySurcharge: null, store: { id: 'gearhub', active: true, deliveryRule: rule } },
+        { storeId: 'proshop', available: true, price: '120.00', stock: 5, deliverySurcharge: null, store: { id: 'proshop', active: true, deliveryRule: rule } },
+      ],
+    })]);
+
+    const res = mockRes();
+
+    await productController.getProducts({}, res);
+
+    const { stores } = res.json.mock.calls[0][0].products[0];
+    expect([stores.techmart.deliveryCost, stores.gearhub.deliveryCost, stores.proshop.deliveryCost]).toEqual([5.99, 4.49, 0]);
+    expect(stores.techmart.deliverySurcharge).toBe(2);
+  });
+
+  test('should hide offers at deactivated stores', async () => {
+    Product.findAll.mockResolvedValue([mockProduct({
+      offers: [
+        { storeId: 'techmart', available: true, price: '89.99', stock: 5, rating: '4.5', store: { id: 'techmart', active: true } },
+        { storeId: 'gearhub', available: true, price: '79.99', stock: 2, rating: '4.0', store: { id: 'gearhub', active: false } },
+      ],
+    })]);
+
+    const req = {};
+    const res = mockRes();
+
+    await productController.getProducts(req, res);
+
+    const { products } = res.json.mock.calls[0][0];
+    expect(Object.keys(products[0].stores)).toEqual(['techmart']);
+  });
+
+  test('should return 500 when database error occurs', async () => {
+    Product.findAll.mockRejectedValue(new Error('DB error'));
+
+    const req = {};
+    const res = mockRes();
+
+    await productController.getProducts(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Failed to fetch products' });
+  });
+});
+
+describe('Product Controller - getProductById', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 when product is not found', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '999' } };
+    const res = mockRes();
+
+    await productController.getProductById(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Product not found' });
+  });
+
+  test('should return 200 with product when found', async () => {
+    Product.findByPk.mockResolvedValue(mockProduct());
+
+    const req = { params: { id: '1' } };
+    const res = mockRes();
+
+    await productController.getProductById(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].product.name).toBe('Mechanical Keyboard');
+  });
+});
+
+describe('Product Controller - getProductScores', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const scoredProduct = () => mockProduct({
+    offers: [
+      { storeId: 'techmart', available: true, price: '90.00', rating: '4.0', store: { id: 'techmart', name: 'TechMart', eta: '3-5 days', active: true, deliveryRule: { flatFee: '5.00' } } },
+      { storeId: 'gearhub', available: true, price: '100.00', rating: null, store: { id: 'gearhub', name: 'GearHub', eta: 'Next day', rating: '4.8', active: true, deliveryRule: { flatFee: '4.00', freeOver: '50.00' } } },
+      { storeId: 'proshop', available: true, price: '10.00', rating: '5.0', store: { id: 'proshop', name: 'ProShop', eta: '1 day', active: false } },
+    ],
+  });
+
+  test('should rank active stores with the user saved weights', async () => {
+    Product.findByPk.mockResolvedValue(scoredProduct());
+
+    const req = { params: { id: '1' }, user: { id: 1, scoringWeights: { price: 0, total: 0, eta: 100, rating: 0 } } };
+    const res = mockRes();
+
+    await productController.getProductScores(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { weights, scores } = res.json.mock.calls[0][0];
+    expect(weights).toEqual({ price: 0, total: 0, eta: 100, rating: 0 });
+    // Inactive ProShop is excluded; GearHub wins on delivery time
+    expect(scores.map((s) => s.storeId)).toEqual(['gearhub', 'techmart']);
+    expect(scores[0]).toEqual(expect.objectContaining({ recommended: true, score: 100, rating: 4.8 }));
+    // Delivery comes from each store's rule: GearHub's is free over $50
+    expect(scores.map((s) => s.deliveryCost)).toEqual([0, 5]);
+  });
+
+  test('should use the default weights for users without saved weights', async () => {
+    Product.findByPk.mockResolvedValue(scoredProduct());
+
+    const req = { params: { id: '1' }, user: { id: 1 } };
+    const res = mockRes();
+
+    await productController.getProductScores(req, res);
+
+    expect(res.json.mock.calls[0][0].weights).toEqual({ price: 40, total: 30, eta: 15, rating: 15 });
+  });
+
+  test('should convert every store to the user display currency before ranking', async () => {
+    ExchangeRate.findAll.mockResolvedValueOnce([{ currency: 'EUR', rate: '0.500000' }]);
+    Product.findByPk.mockResolvedValue(mockProduct({
+      offers: [
+        { storeId: 'techmart', available: true, price: '90.00', store: { id: 'techmart', name: 'TechMart', active: true } },
+        { storeId: 'eurotech', available: true, price: '40.00', store: { id: 'eurotech', name: 'EuroTech', currency: 'EUR', active: true } },
+        { storeId: 'yenshop', available: true, price: '10.00', store: { id: 'yenshop', name: 'YenShop', currency: 'JPY', active: true } },
+      ],
+    }));
+
+    const req = { params: { id: '1' }, user: { id: 1, currency: 'EUR', scoringWeights: { price: 100, total: 0, eta: 0, rating: 0 } } };
+    const res = mockRes();
+
+    await productController.getProductScores(req, res);
+
+    const { currency, scores } = res.json.mock.calls[0][0];
+    expect(currency).toBe('EUR');
+    // TechMart's 90 USD is 45 EUR; YenShop has no exchange rate and is left out
+    expect(scores.map((s) => [s.storeId, s.price])).toEqual([['eurotech', 40], ['techmart', 45]]);
+    expect(scores[0].breakdown[0].value).toBe('Price €40.00');
+  });
+
+  test('should return 404 when product is not found', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '999' }, user: { id: 1 } };
+    const res = mockRes();
+
+    await productController.getProductScores(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Product Controller - getPriceHistory', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return chart points and window stats per active store', async () => {
+    Product.findByPk.mockResolvedValue(mockProduct({
+      offers: [
+        { storeId: 'techmart', available: true, price: '80.00', store: { id: 'techmart', name: 'TechMart', active: true } },
+        { storeId: 'gearhub', available: true, price: '70.00', store: { id: 'gearhub', name: 'GearHub', active: false } },
+        { storeId: 'proshop', available: true, price: '95.00', store: { id: 'proshop', name: 'ProShop', active: true } },
+      ],
+    }));
+    const recent = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000);
+    PriceHistory.findAll.mockResolvedValue([
+      { storeId: 'techmart', price: '100.00', available: true, recordedAt: new Date('2020-01-01') },
+      { storeId: 'techmart', price: '80.00', available: true, recordedAt: recent },
+      { storeId: 'gearhub', price: '70.00', available: true, recordedAt: recent },
+    ]);
+
+    const req = { params: { id: '1' } };
+    const res = mockRes();
+
+    await productController.getPriceHistory(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body.windows).toEqual([30, 90, 365]);
+    // Inactive GearHub and ProShop (no history) are left out
+    expect(body.stores.map((s) => s.storeId)).toEqual(['techmart']);
+    const [techmart] = body.stores;
+    expect(techmart.currency).toBe('USD');
+    expect(techmart.current).toEqual({ price: 80, available: true });
+    // The 2020 price is carried into the start of the one-year chart
+    expect(techmart.points.map((p) => p.price)).toEqual([100, 80]);
+    expect(techmart.stats[0]).toEqual(expect.objectContaining({ days: 30, min: 80, max: 100, changes: 1 }));
+  });
+
+  test('should return 404 when product is not found', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '999' } };
+    const res = mockRes();
+
+    await productController.getPriceHistory(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(PriceHistory.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('Product Controller - createProduct', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when name is missing', async () => {
+    const req = { body: { name: '  ', stores: validStores } };
+    const res = mockRes();
+
+    await productController.createProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Product name is required' });
+  });
+
+  test('should return 400 when no store is available', async () => {
+    const req = { body: { name: 'Mouse', stores: { techmart: { available: false } } } };
+    const res = mockRes();
+
+    await productController.createProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Select at least one store' });
+  });
+
+  test('should return 400 for an unknown store', async () => {
+    const req = { body: { name: 'Mouse', stores: { nowhere: validStores.techmart } } };
+    const res = mockRes();
+
+    await productController.createProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unknown store: nowhere' });
+  });
+
+  test('should return 400 when a rating is out of range', async () => {
+    const req = {
+      body: { name: 'Mouse', stores: { techmart: { ...validStores.techmart, rating: '7' } } },
+    };
+    const res = mockRes();
+
+    await productController.createProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'TechMart: rating must be 0-5' });
+  });
+
+  test('should return 400 for a negative delivery surcharge', async () => {
+    const req = {
+      body: { name: 'Mouse', stores: { techmart: { ...validStores.techmart, deliverySurcharge: '-1' } } },
+    };
+    const res = mockRes();
+
+    await productController.createProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'TechMart: invalid delivery surcharge' });
+  });
+
+  test('should return 201 and create product with offers', async () => {
+    Product.create.mockResolvedValue({ id: 7 });
+    Offer.bulkCreate.mockResolvedValue([]);
+    Product.findByPk.mockResolvedValue(mockProduct({ id: 7, name: 'Mouse' }));
+
+    const req = { body: { name: ' Mouse ', stores: validStores } };
+    const res = mockRes();
+
+    await productController.createProduct(req, res);
+
+    expect(Product.create).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Mouse' }),
+      expect.any(Object)
+    );
+    expect(Offer.bulkCreate).toHaveBeenCalledWith(
+      [{ storeId: 'techmart', available: true, price: 89.99, stock: 5, deliverySurcharge: null, rating: 4.5, productId: 7 }],
+      expect.any(Object)
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].product.id).toBe(7);
+  });
+});
+
+describe('Product Controller - updateProduct', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 when product is not found', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '999' }, body: { name: 'New' } };
+    const res = mockRes();
+
+    await productController.updateProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Product not found' });
+  });
+
+  test('should update an existing offer in place and create new ones', async () => {
+    const existingOffer = { storeId: 'techmart', available: true, price: '89.99', save: jest.fn() };
+    const product = mockProduct({ offers: [existingOffer] });
+    Product.findByPk.mockResolvedValue(product);
+
+    const req = {
+      params: { id: '1' },
+      body: {
+        stores: {
+          techmart: { ...validStores.techmart, price: '79.99' },
+          gearhub: { available: true, price: '84', stock: '2', deliverySurcharge: '1.50', rating: '4' },
+        },
+      },
+    };
+    const res = mockRes();
+
+    await productController.updateProduct(req, res);
+
+    expect(existingOffer.price).toBe(79.99);
+    expect(existingOffer.save).toHaveBeenCalled();
+    expect(Offer.create).toHaveBeenCalledWith(
+      expect.objectContaining({ storeId: 'gearhub', productId: 1, deliverySurcharge: 1.5 }),
+      expect.any(Object)
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    // Watchers are checked against the prices from before the update
+    expect(checkPriceAlerts).toHaveBeenCalledWith(product, [{ storeId: 'techmart', price: 89.99, available: true }]);
+  });
+
+  test('should not check price alerts when only product details change', async () => {
+    Product.findByPk.mockResolvedValue(mockProduct());
+
+    const req = { params: { id: '1' }, body: { name: 'Renamed' } };
+    const res = mockRes();
+
+    await productController.updateProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(checkPriceAlerts).not.toHaveBeenCalled();
+  });
+});
+
+describe('Product Controller - deleteProduct', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 404 when product is not found', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '999' } };
+    const res = mockRes();
+
+    await productController.deleteProduct(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should return 200 when product is deleted', async () => {
+    const product = mockProduct();
+    Product.findByPk.mockResolvedValue(product);
+
+    const req = { params: { id: '1' } };
+    const res = mockRes();
+
+    await productController.deleteProduct(req, res);
+
+    expect(product.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Product deleted successfully' });
+  });
+});
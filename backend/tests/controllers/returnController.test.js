@@ -0,0 +1,418 @@
+/**
+ * Unit tests for Return Controller
+ * Tests requesting returns, sending them back, and the admin review, receive, and refund steps with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((callback) => callback({})) },
+  User: {},
+  Product: {},
+  Store: {},
+  Order: { findOne: jest.fn(), findByPk: jest.fn() },
+  OrderItem: {},
+  OrderStatusChange: { create: jest.fn() },
+  ReturnRequest: {
+    findAll: jest.fn().mockResolvedValue([]),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn().mockResolvedValue([1]),
+  },
+  ReturnItem: { bulkCreate: jest.fn() },
+  Coupon: { findOne: jest.fn() },
+  Payment: { findOne: jest.fn() },
+}));
+jest.mock('../../utils/notifications', () => ({ notifyReturnStatusChange: jest.fn() }));
+jest.mock('../../utils/stock', () => ({ restoreStock: jest.fn() }));
+jest.mock('../../utils/priceAlerts', () => ({ checkRestockAlerts: jest.fn().mockResolvedValue(0) }));
+jest.mock('../../utils/payments', () => ({ refundPayment: jest.fn(), paymentErrorStatus: jest.fn(() => 502) }));
+
+const { Order, OrderStatusChange, ReturnRequest, ReturnItem, Payment } = require('../../models');
+const { notifyReturnStatusChange } = require('../../utils/notifications');
+const { restoreStock } = require('../../utils/stock');
+const { checkRestockAlerts } = require('../../utils/priceAlerts');
+const { refundPayment } = require('../../utils/payments');
+const returnController = require('../../controllers/returnController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+// Delivered yesterday, so inside the return window
+const mockOrder = (overrides = {}) => ({
+  id: 10,
+  userId: 1,
+  storeId: 'gearhub',
+  status: 'delivered',
+  subtotal: '60.00',
+  deliveryFee: '5.00',
+  discount: '0.00',
+  tax: '0.00',
+  taxIncluded: false,
+  total: '65.00',
+  currency: 'USD',
+  couponCode: null,
+  items: [
+    { id: 1, productId: 7, productName: 'Mouse', price: '20.00', quantity: 2 },
+    { id: 2, productId: 8, productName: 'Pad', price: '20.00', quantity: 1 },
+  ],
+  history: [{ toStatus: 'delivered', changedAt: new Date(Date.now() - 24 * 60 * 60 * 1000) }],
+  returns: [],
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const mockReturn = (overrides = {}) => ({
+  id: 5,
+  orderId: 10,
+  userId: 1,
+  status: 'requested',
+  reason: 'damaged',
+  refundAmount: '40.00',
+  tax: '0.00',
+  items: [{ orderItemId: 1, quantity: 2, orderItem: { productId: 7, productName: 'Mouse', price: '20.00' } }],
+  order: { id: 10, storeId: 'gearhub', status: 'delivered', currency: 'USD' },
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Return Controller - createReturn', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const body = (overrides = {}) => ({ orderId: 10, reason: 'changed_mind', items: [{ orderItemId: 1, quantity: 2 }], ...overrides });
+
+  test('should return 400 without a valid reason', async () => {
+    const req = { user: { id: 1 }, body: body({ reason: 'bored' }) };
+    const res = mockRes();
+
+    await returnController.createReturn(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Choose a reason for the return' });
+  });
+
+  test('should return 404 for an order of another customer', async () => {
+    Order.findOne.mockResolvedValue(null);
+
+    const req = { user: { id: 1 }, body: body() };
+    const res = mockRes();
+
+    await returnController.createReturn(req, res);
+
+    expect(Order.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 10, userId: 1 } }));
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('should return 400 for an order that has not been delivered', async () => {
+    Order.findOne.mockResolvedValue(mockOrder({ status: 'shipped' }));
+
+    const req = { user: { id: 1 }, body: body() };
+    const res = mockRes();
+
+    await returnController.createReturn(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Only delivered orders can be returned' });
+  });
+
+  test('should return 400 for more units than are left to return', async () => {
+    Order.findOne.mockResolvedValue(mockOrder());
+    // Read with the order locked, so a return made at the same moment is counted
+    ReturnRequest.findAll.mockResolvedValueOnce([
+      { status: 'approved', refundAmount: '20.00', items: [{ orderItemId: 1, quantity: 1 }] },
+    ]);
+
+    const req = { user: { id: 1 }, body: body() };
+    const res = mockRes();
+
+    await returnController.createReturn(req, res);
+
+    expect(Order.findByPk).toHaveBeenCalledWith(10, { transaction: {}, lock: true });
+    expect(ReturnRequest.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { orderId: 10 }, transaction: {} }));
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Only 1 of Mouse can still be returned' });
+    expect(ReturnRequest.create).not.toHaveBeenCalled();
+  });
+
+  test('should create the return with its refund', async () => {
+    Order.findOne.mockResolvedValue(mockOrder());
+    ReturnRequest.create.mockResolvedValue({ id: 5 });
+    ReturnRequest.findByPk.mockResolvedValue(mockReturn());
+
+    const req = { user: { id: 1 }, body: body({ details: '  Too small  ', photos: ['data:image/png;base64,iVBORw0KGgo='] }) };
+    const res = mockRes();
+
+    await returnController.createReturn(req, res);
+
+    expect(ReturnRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 10,
+      userId: 1,
+      status: 'requested',
+      reason: 'changed_mind',
+      details: 'Too small',
+      photos: ['data:image/png;base64,iVBORw0KGgo='],
+      subtotal: 40,
+      deliveryFee: 0,
+      refundAmount: 40,
+    }), { transaction: {} });
+    expect(ReturnItem.bulkCreate).toHaveBeenCalledWith([{ returnRequestId: 5, orderItemId: 1, quantity: 2 }], { transaction: {} });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test('should refund delivery when a damaged return sends everything back', async () => {
+    Order.findOne.mockResolvedValue(mockOrder());
+    ReturnRequest.create.mockResolvedValue({ id: 5 });
+    ReturnRequest.findByPk.mockResolvedValue(mockReturn());
+
+    const items = [{ orderItemId: 1, quantity: 2 }, { orderItemId: 2, quantity: 1 }];
+    const req = { user: { id: 1 }, body: body({ reason: 'damaged', items }) };
+    const res = mockRes();
+
+    await returnController.createReturn(req, res);
+
+    expect(ReturnRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+      subtotal: 60, deliveryFee: 5, refundAmount: 65,
+    }), expect.any(Object));
+  });
+});
+
+describe('Return Controller - shipReturn', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 without a tracking number', async () => {
+    const req = { user: { id: 1 }, params: { id: '5' }, body: { carrier: 'UPS' } };
+    const res = mockRes();
+
+    await returnController.shipReturn(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Tracking number is required' });
+  });
+
+  test('should return 400 before the return is approved', async () => {
+    ReturnRequest.findOne.mockResolvedValue(mockReturn({ status: 'requested' }));
+
+    const req = { user: { id: 1 }, params: { id: '5' }, body: { trackingNumber: '1Z999' } };
+    const res = mockRes();
+
+    await returnController.shipReturn(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should mark an approved return as in transit', async () => {
+    const returnRequest = mockReturn({ status: 'approved' });
+    ReturnRequest.findOne.mockResolvedValue(returnRequest);
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+
+    const req = { user: { id: 1 }, params: { id: '5' }, body: { trackingNumber: ' 1Z999 ', carrier: 'UPS' } };
+    const res = mockRes();
+
+    await returnController.shipReturn(req, res);
+
+    expect(ReturnRequest.findOne).toHaveBeenCalledWith({ where: { id: '5', userId: 1 } });
+    expect(returnRequest.status).toBe('in_transit');
+    expect(returnRequest.trackingNumber).toBe('1Z999');
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Return Controller - updateReturnStatus', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should not let an admin mark a return as sent', async () => {
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'in_transit' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(ReturnRequest.findByPk).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for a change the return lifecycle does not allow', async () => {
+    ReturnRequest.findByPk.mockResolvedValue(mockReturn({ status: 'requested' }));
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'refunded' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: "A requested return can't be marked refunded" });
+  });
+
+  test('should reject a return and pass the note to the customer', async () => {
+    const returnRequest = mockReturn();
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+    Order.findByPk.mockResolvedValue(mockOrder());
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'rejected', note: 'No damage in the photos' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(returnRequest.status).toBe('rejected');
+    expect(returnRequest.reviewedBy).toBe(9);
+    expect(returnRequest.adminNote).toBe('No damage in the photos');
+    expect(notifyReturnStatusChange).toHaveBeenCalledWith(expect.objectContaining({ id: 5 }), 'rejected', 'No damage in the photos');
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should put the units back in stock when a return is received', async () => {
+    const returnRequest = mockReturn({ status: 'in_transit' });
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+    Order.findByPk.mockResolvedValue(mockOrder());
+    restoreStock.mockResolvedValueOnce([{ productId: 7, storeId: 'gearhub' }]);
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'received' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(restoreStock).toHaveBeenCalledWith([{ productId: 7, quantity: 2 }], 'gearhub', {});
+    expect(returnRequest.receivedAt).toBeInstanceOf(Date);
+    expect(checkRestockAlerts).toHaveBeenCalledWith([{ productId: 7, storeId: 'gearhub' }]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should mark the order partially returned when a refund leaves units on it', async () => {
+    const returnRequest = mockReturn({ status: 'received' });
+    const order = mockOrder({ returns: [{ id: 5, status: 'received', items: [{ orderItemId: 1, quantity: 2 }] }] });
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'refunded' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(returnRequest.refundedAt).toBeInstanceOf(Date);
+    expect(order.status).toBe('partially_returned');
+    expect(OrderStatusChange.create).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 10, fromStatus: 'delivered', toStatus: 'partially_returned', changedBy: 9, note: 'Return #5 refunded ($40.00)',
+    }), { transaction: {} });
+    expect(notifyReturnStatusChange).toHaveBeenCalledWith(expect.any(Object), 'refunded', null);
+  });
+
+  test('should mark the order returned once every unit is refunded', async () => {
+    const returnRequest = mockReturn({ status: 'received' });
+    const order = mockOrder({
+      status: 'partially_returned',
+      returns: [
+        { id: 4, status: 'refunded', items: [{ orderItemId: 2, quantity: 1 }] },
+        { id: 5, status: 'received', items: [{ orderItemId: 1, quantity: 2 }] },
+      ],
+    });
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+    Order.findByPk.mockResolvedValue(order);
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'refunded' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(order.status).toBe('returned');
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  test('should give the refund back on the order\'s card payment', async () => {
+    const payment = { id: 3, orderId: 10, status: 'captured' };
+    ReturnRequest.findByPk.mockResolvedValue(mockReturn({ status: 'received' }));
+    Order.findByPk.mockResolvedValue(mockOrder({ returns: [{ id: 5, status: 'received', items: [{ orderItemId: 1, quantity: 2 }] }] }));
+    Payment.findOne.mockResolvedValueOnce(payment);
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'refunded' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(refundPayment).toHaveBeenCalledWith(payment, 40);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should leave the return as it was when the card refund fails', async () => {
+    const returnRequest = mockReturn({ status: 'received' });
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+    Payment.findOne.mockResolvedValueOnce({ id: 3, orderId: 10, status: 'captured' });
+    refundPayment.mockRejectedValueOnce(Object.assign(new Error('Gateway timeout'), { name: 'PaymentError' }));
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'refunded' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Refund failed: Gateway timeout' });
+    expect(returnRequest.status).toBe('received');
+    expect(returnRequest.save).not.toHaveBeenCalled();
+    // The claimed refund is given back
+    expect(ReturnRequest.update).toHaveBeenLastCalledWith(
+      { status: 'received', refundedAt: null },
+      { where: { id: 5, status: 'refunded' } }
+    );
+  });
+
+  test('should refund the card once when two admins refund a return at once', async () => {
+    const returnRequest = mockReturn({ status: 'received' });
+    ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+    Order.findByPk.mockResolvedValue(mockOrder({ returns: [{ id: 5, status: 'received', items: [{ orderItemId: 1, quantity: 2 }] }] }));
+    // Only the admin whose claim goes through looks up the payment
+    Payment.findOne.mockResolvedValueOnce({ id: 3, orderId: 10, status: 'captured' });
+    // The claim only changes a return that is still received
+    let stored = 'received';
+    const claim = async (changes, { where }) => {
+      if (where.status !== stored) return [0];
+      stored = changes.status;
+      return [1];
+    };
+    ReturnRequest.update.mockImplementationOnce(claim).mockImplementationOnce(claim);
+
+    const first = mockRes();
+    const second = mockRes();
+    const req = () => ({ user: { id: 9 }, params: { id: '5' }, body: { status: 'refunded' } });
+
+    await Promise.all([
+      returnController.updateReturnStatus(req(), first),
+      returnController.updateReturnStatus(req(), second),
+    ]);
+
+    expect(refundPayment).toHaveBeenCalledTimes(1);
+    expect(first.status).toHaveBeenCalledWith(200);
+    expect(second.status).toHaveBeenCalledWith(400);
+    expect(second.json).toHaveBeenCalledWith({ error: 'Return is already refunded' });
+  });
+
+  test('should not put the units back twice when another change got there first', async () => {
+    // Read as in transit, but already received by the time the return is locked
+    ReturnRequest.findByPk
+      .mockResolvedValueOnce(mockReturn({ status: 'in_transit' }))
+      .mockResolvedValueOnce(mockReturn({ status: 'received' }));
+
+    const req = { user: { id: 9 }, params: { id: '5' }, body: { status: 'received' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(ReturnRequest.findByPk).toHaveBeenLastCalledWith(5, expect.objectContaining({ lock: true }));
+    expect(restoreStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Return is already received' });
+  });
+
+  test('should return 404 for a missing return', async () => {
+    ReturnRequest.findByPk.mockResolvedValue(null);
+
+    const req = { user: { id: 9 }, params: { id: '99' }, body: { status: 'approved' } };
+    const res = mockRes();
+
+    await returnController.updateReturnStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Return not found' });
+  });
+});
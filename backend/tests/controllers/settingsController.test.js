@@ -0,0 +1,65 @@
+/**
+ * Unit tests for Settings Controller
+ * Tests reading and updating the security settings
+ */
+
+const Setting = require('../../models/Setting');
+
+jest.mock('../../models/Setting');
+
+const settingsController = require('../../controllers/settingsController');
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+describe('Settings Controller', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return the defaults for settings never saved', async () => {
+    Setting.findAll.mockResolvedValue([]);
+    const res = mockRes();
+
+    await settingsController.getSecuritySettings({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ requireAdminTwoFactor: false });
+  });
+
+  test('should return the saved settings', async () => {
+    Setting.findAll.mockResolvedValue([{ key: 'requireAdminTwoFactor', value: true }]);
+    const res = mockRes();
+
+    await settingsController.getSecuritySettings({}, res);
+
+    expect(res.json).toHaveBeenCalledWith({ requireAdminTwoFactor: true });
+  });
+
+  test('should return 400 for a value that is not true or false', async () => {
+    const res = mockRes();
+
+    await settingsController.updateSecuritySettings({ user: {}, body: { requireAdminTwoFactor: 'yes' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Setting.upsert).not.toHaveBeenCalled();
+  });
+
+  test('should not let an admin without two-factor require it', async () => {
+    const res = mockRes();
+
+    await settingsController.updateSecuritySettings({ user: { totpEnabledAt: null }, body: { requireAdminTwoFactor: true } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Setting.upsert).not.toHaveBeenCalled();
+  });
+
+  test('should save the setting', async () => {
+    const res = mockRes();
+
+    await settingsController.updateSecuritySettings({ user: { totpEnabledAt: new Date() }, body: { requireAdminTwoFactor: true } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Setting.upsert).toHaveBeenCalledWith({ key: 'requireAdminTwoFactor', value: true });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for Setup Controller
+ * Tests the setup status and creating the first admin through the public endpoint
+ */
+
+jest.mock('../../utils/adminSetup', () => {
+  const actual = jest.requireActual('../../utils/adminSetup');
+  return { ...actual, adminExists: jest.fn(), createAdmin: jest.fn() };
+});
+jest.mock('../../utils/sessions', () => ({
+  startSession: jest.fn().mockResolvedValue({ token: 'access', refreshToken: '9.refresh' })
+}));
+
+const { SetupError, adminExists, createAdmin } = require('../../utils/adminSetup');
+const { startSession } = require('../../utils/sessions');
+const setupController = require('../../controllers/setupController');
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const body = { name: 'Ada', email: 'ada@example.com', password: 'secret123', confirmPassword: 'secret123' };
+
+describe('Setup Controller', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should say whether the first admin is still needed', async () => {
+    adminExists.mockResolvedValue(false);
+    const res = mockRes();
+
+    await setupController.getSetupStatus({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ needsAdmin: true });
+  });
+
+  test('should create the first admin and sign them in', async () => {
+    const user = { id: 1, name: 'Ada', email: 'ada@example.com', role: 'admin' };
+    createAdmin.mockResolvedValue({ user, promoted: false });
+    const req = { body };
+    const res = mockRes();
+
+    await setupController.createFirstAdmin(req, res);
+
+    expect(createAdmin).toHaveBeenCalledWith({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+    expect(startSession).toHaveBeenCalledWith(user, req);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      token: 'access',
+      refreshToken: '9.refresh',
+      user: expect.objectContaining({ id: 1, role: 'admin' })
+    }));
+  });
+
+  test('should return 403 once an admin exists', async () => {
+    createAdmin.mockRejectedValue(new SetupError('An admin account already exists', 'setup_complete'));
+    const res = mockRes();
+
+    await setupController.createFirstAdmin({ body }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'An admin account already exists' });
+    expect(startSession).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for mismatched passwords and invalid details', async () => {
+    const res = mockRes();
+    await setupController.createFirstAdmin({ body: { ...body, confirmPassword: 'other' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(createAdmin).not.toHaveBeenCalled();
+
+    createAdmin.mockRejectedValue(new SetupError('Password must be at least 6 characters long'));
+    await setupController.createFirstAdmin({ body }, res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+    expect(res.json).toHaveBeenLastCalledWith({ error: 'Password must be at least 6 characters long' });
+  });
+});
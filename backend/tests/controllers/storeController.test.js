@@ -0,0 +1,246 @@
+/**
+ * Unit tests for Store Controller
+ * Tests the public store list and admin store management
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((cb) => cb({})) },
+  Store: { findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  Offer: { count: jest.fn() },
+  Order: { count: jest.fn() },
+  Coupon: { destroy: jest.fn() },
+  DeliveryRule: { create: jest.fn(), build: jest.fn(), destroy: jest.fn() },
+  ExchangeRate: { findByPk: jest.fn() },
+}));
+
+const { Store, Offer, Order, Coupon, DeliveryRule, ExchangeRate } = require('../../models');
+const storeController = require('../../controllers/storeController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockStore = (overrides = {}) => ({
+  id: 'techmart',
+  name: 'TechMart',
+  logo: '🛍️',
+  deliveryRule: { flatFee: '3.99', perItemFee: '0.00', freeOver: '50.00', save: jest.fn().mockResolvedValue(true) },
+  eta: '2-4 days',
+  rating: '4.6',
+  active: true,
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Store Controller - getStores', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return only active stores with their delivery rules', async () => {
+    Store.findAll.mockResolvedValue([mockStore()]);
+
+    const req = {};
+    const res = mockRes();
+
+    await storeController.getStores(req, res);
+
+    expect(Store.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { active: true } }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].stores[0]).toEqual(expect.objectContaining({
+      id: 'techmart', rating: 4.6, active: true,
+      delivery: { flatFee: 3.99, perItemFee: 0, freeOver: 50, description: '$3.99 delivery, free over $50.00' },
+    }));
+  });
+});
+
+describe('Store Controller - createStore', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 for an invalid store ID', async () => {
+    const req = { body: { id: 'Tech Mart!', name: 'TechMart' } };
+    const res = mockRes();
+
+    await storeController.createStore(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Store ID must use lowercase letters, digits, and dashes' });
+  });
+
+  test('should return 400 when the store ID is taken', async () => {
+    Store.findByPk.mockResolvedValue(mockStore());
+
+    const req = { body: { id: 'techmart', name: 'TechMart' } };
+    const res = mockRes();
+
+    await storeController.createStore(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Store.create).not.toHaveBeenCalled();
+  });
+
+  test('should create a store and its delivery rule with validated fields', async () => {
+    Store.findByPk
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(mockStore({ id: 'pcworld', name: 'PC World' }));
+
+    const req = {
+      body: { id: 'pcworld', name: ' PC World ', rating: '4', delivery: { flatFee: '1.50', freeOver: '' } },
+    };
+    const res = mockRes();
+
+    await storeController.createStore(req, res);
+
+    expect(Store.create).toHaveBeenCalledWith({ id: 'pcworld', name: 'PC World', rating: 4 }, { transaction: {} });
+    expect(DeliveryRule.create).toHaveBeenCalledWith(
+      { storeId: 'pcworld', flatFee: 1.5, freeOver: null },
+      { transaction: {} }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+});
+
+describe('Store Controller - updateStore', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should deactivate a store', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+
+    const req = { params: { id: 'techmart' }, body: { active: false } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(store.active).toBe(false);
+    expect(store.save).toHaveBeenCalled();
+    expect(store.deliveryRule.save).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should switch a store to tax-inclusive pricing', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+
+    const req = { params: { id: 'techmart' }, body: { pricesIncludeTax: true } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(store.pricesIncludeTax).toBe(true);
+    expect(res.json.mock.calls[0][0].store).toEqual(expect.objectContaining({ pricesIncludeTax: true }));
+  });
+
+  test('should switch a store to a currency that has an exchange rate', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+    ExchangeRate.findByPk.mockResolvedValue({ currency: 'EUR', rate: '0.920000' });
+
+    const req = { params: { id: 'techmart' }, body: { currency: ' eur ' } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(ExchangeRate.findByPk).toHaveBeenCalledWith('EUR');
+    expect(res.json.mock.calls[0][0].store).toEqual(expect.objectContaining({
+      currency: 'EUR',
+      delivery: expect.objectContaining({ description: '€3.99 delivery, free over €50.00' }),
+    }));
+  });
+
+  test('should return 400 for a currency without an exchange rate', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+    ExchangeRate.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: 'techmart' }, body: { currency: 'GBP' } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Add an exchange rate for GBP before using it' });
+    expect(store.save).not.toHaveBeenCalled();
+  });
+
+  test('should change only the delivery rule fields that were sent', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+
+    const req = { params: { id: 'techmart' }, body: { delivery: { perItemFee: '0.75', freeOver: null } } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(store.deliveryRule).toEqual(expect.objectContaining({ flatFee: '3.99', perItemFee: 0.75, freeOver: null }));
+    expect(store.deliveryRule.save).toHaveBeenCalledWith({ transaction: {} });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should create the delivery rule if the store has none', async () => {
+    const store = mockStore({ deliveryRule: null });
+    const rule = { save: jest.fn().mockResolvedValue(true) };
+    Store.findByPk.mockResolvedValue(store);
+    DeliveryRule.build.mockReturnValue(rule);
+
+    const req = { params: { id: 'techmart' }, body: { delivery: { flatFee: 2 } } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(DeliveryRule.build).toHaveBeenCalledWith({ storeId: 'techmart' });
+    expect(rule).toEqual(expect.objectContaining({ flatFee: 2 }));
+    expect(rule.save).toHaveBeenCalled();
+  });
+
+  test('should return 400 for a negative delivery fee', async () => {
+    Store.findByPk.mockResolvedValue(mockStore());
+
+    const req = { params: { id: 'techmart' }, body: { delivery: { flatFee: -1 } } };
+    const res = mockRes();
+
+    await storeController.updateStore(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Delivery fee must be a non-negative number' });
+  });
+});
+
+describe('Store Controller - deleteStore', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should refuse to delete a store that has offers', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+    Offer.count.mockResolvedValue(3);
+    Order.count.mockResolvedValue(0);
+
+    const req = { params: { id: 'techmart' } };
+    const res = mockRes();
+
+    await storeController.deleteStore(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(store.destroy).not.toHaveBeenCalled();
+  });
+
+  test('should delete an unused store', async () => {
+    const store = mockStore();
+    Store.findByPk.mockResolvedValue(store);
+    Offer.count.mockResolvedValue(0);
+    Order.count.mockResolvedValue(0);
+
+    const req = { params: { id: 'techmart' } };
+    const res = mockRes();
+
+    await storeController.deleteStore(req, res);
+
+    expect(Coupon.destroy).toHaveBeenCalledWith({ where: { storeId: 'techmart' } });
+    expect(DeliveryRule.destroy).toHaveBeenCalledWith({ where: { storeId: 'techmart' } });
+    expect(store.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
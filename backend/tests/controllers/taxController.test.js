@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Tax Controller
+ * Tests admin listing, creating, updating, and deleting sales tax rates with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  TaxRate: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+const { TaxRate } = require('../../models');
+const taxController = require('../../controllers/taxController');
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  return res;
+};
+
+const mockTaxRate = (overrides = {}) => ({
+  id: 3,
+  name: 'California',
+  region: 'CA',
+  postalPrefix: null,
+  rate: '7.250',
+  active: true,
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe('Tax Controller - getTaxRates', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return tax rates with numeric rates and descriptions', async () => {
+    TaxRate.findAll.mockResolvedValue([mockTaxRate(), mockTaxRate({ id: 4, name: 'SF', region: null, postalPrefix: '941', rate: '8.625' })]);
+
+    const req = {};
+    const res = mockRes();
+
+    await taxController.getTaxRates(req, res);
+
+    const { taxRates } = res.json.mock.calls[0][0];
+    expect(taxRates[0]).toEqual({
+      id: 3, name: 'California', region: 'CA', postalPrefix: '', rate: 7.25, active: true, description: 'California 7.25%',
+    });
+    expect(taxRates[1]).toEqual(expect.objectContaining({ region: '', postalPrefix: '941', rate: 8.625 }));
+  });
+});
+
+describe('Tax Controller - createTaxRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should create a rate with a normalized region and postal prefix', async () => {
+    TaxRate.findOne.mockResolvedValue(null);
+    TaxRate.create.mockImplementation(async (fields) => mockTaxRate(fields));
+
+    const req = { body: { name: ' Downtown SF ', region: 'ca', postalPrefix: ' 941 0 ', rate: '9' } };
+    const res = mockRes();
+
+    await taxController.createTaxRate(req, res);
+
+    expect(TaxRate.findOne).toHaveBeenCalledWith({ where: { region: 'CA', postalPrefix: '9410' } });
+    expect(TaxRate.create).toHaveBeenCalledWith({ name: 'Downtown SF', region: 'CA', postalPrefix: '9410', rate: 9 });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  test.each([
+    [{ region: 'CA', rate: 5 }, 'Tax rate name is required'],
+    [{ name: 'Anywhere', rate: 5 }, 'Enter a region, a postal prefix, or both'],
+    [{ name: 'Bad', postalPrefix: '94*', rate: 5 }, 'Postal prefix must be up to 20 letters, digits, or dashes'],
+    [{ name: 'Texas', region: 'TX', rate: 120 }, 'Tax rate must be a percentage between 0 and 100'],
+    [{ name: 'Texas', region: 'TX', rate: '' }, 'Tax rate must be a percentage between 0 and 100'],
+  ])('should reject invalid fields (%#)', async (body, message) => {
+    const req = { body };
+    const res = mockRes();
+
+    await taxController.createTaxRate(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: message });
+    expect(TaxRate.create).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a second rate for the same region and prefix', async () => {
+    TaxRate.findOne.mockResolvedValue(mockTaxRate());
+
+    const req = { body: { name: 'Cali', region: 'CA', rate: 6 } };
+    const res = mockRes();
+
+    await taxController.createTaxRate(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'A tax rate for this region and postal prefix already exists' });
+  });
+});
+
+describe('Tax Controller - updateTaxRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should change the rate and switch it off', async () => {
+    const taxRate = mockTaxRate();
+    TaxRate.findByPk.mockResolvedValue(taxRate);
+    TaxRate.findOne.mockResolvedValue(taxRate);
+
+    const req = { params: { id: '3' }, body: { rate: '7.5', active: false } };
+    const res = mockRes();
+
+    await taxController.updateTaxRate(req, res);
+
+    expect(taxRate.rate).toBe(7.5);
+    expect(taxRate.active).toBe(false);
+    expect(taxRate.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should not let a rate lose both its region and postal prefix', async () => {
+    TaxRate.findByPk.mockResolvedValue(mockTaxRate());
+
+    const req = { params: { id: '3' }, body: { region: '' } };
+    const res = mockRes();
+
+    await taxController.updateTaxRate(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Enter a region, a postal prefix, or both' });
+  });
+
+  test('should return 404 for a missing rate', async () => {
+    TaxRate.findByPk.mockResolvedValue(null);
+
+    const req = { params: { id: '99' }, body: {} };
+    const res = mockRes();
+
+    await taxController.updateTaxRate(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Tax Controller - deleteTaxRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should delete an existing rate', async () => {
+    const taxRate = mockTaxRate();
+    TaxRate.findByPk.mockResolvedValue(taxRate);
+
+    const req = { params: { id: '3' } };
+    const res = mockRes();
+
+    await taxController.deleteTaxRate(req, res);
+
+    expect(taxRate.destroy).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for Two-Factor Controller
+ * Tests turning two-factor authentication on and off, recovery codes, and the admin requirement
+ */
+
+const { Op } = require('sequelize');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Setting = require('../../models/Setting');
+const { generateSecret, codeForStep, timeStep } = require('../../utils/totp');
+const { hashRecoveryCode } = require('../../utils/twoFactor');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Session');
+jest.mock('../../models/Setting');
+
+const twoFactorController = require('../../controllers/twoFactorController');
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const SECRET = generateSecret();
+const currentCode = () => codeForStep(SECRET, timeStep());
+
+const mockUser = (overrides = {}) => ({
+  id: 1,
+  email: 'bob@test.com',
+  role: 'user',
+  totpSecret: null,
+  totpEnabledAt: null,
+  totpLastStep: null,
+  totpRecoveryCodes: null,
+  comparePassword: jest.fn(async (password) => password === 'password123'),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+const enabledUser = (overrides = {}) => mockUser({
+  totpSecret: SECRET,
+  totpEnabledAt: new Date('2026-01-01'),
+  totpRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb')],
+  ...overrides,
+});
+
+const requireAdminTwoFactor = () => Setting.findByPk.mockResolvedValue({ key: 'requireAdminTwoFactor', value: true });
+
+describe('Two-Factor Controller - status', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should report the status and whether it is required', async () => {
+    requireAdminTwoFactor();
+    const res = mockRes();
+
+    await twoFactorController.getTwoFactorStatus({ user: enabledUser({ role: 'admin' }) }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      enabled: true,
+      enabledAt: new Date('2026-01-01'),
+      recoveryCodesLeft: 1,
+      required: true
+    });
+  });
+});
+
+describe('Two-Factor Controller - setup and enable', () => {
+  beforeEach(() => Session.update.mockResolvedValue([2]));
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 401 for a wrong password', async () => {
+    const user = mockUser();
+    const res = mockRes();
+
+    await twoFactorController.setupTwoFactor({ user, body: { password: 'wrong' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('should return a QR code for a new secret', async () => {
+    const user = mockUser();
+    const res = mockRes();
+
+    await twoFactorController.setupTwoFactor({ user, body: { password: 'password123' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body.secret).toBe(user.totpSecret);
+    expect(body.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(user.totpEnabledAt).toBeNull();
+  });
+
+  test('should return 400 when already on', async () => {
+    const res = mockRes();
+
+    await twoFactorController.setupTwoFactor({ user: enabledUser(), body: { password: 'password123' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should return 400 for a code that does not match', async () => {
+    const user = mockUser({ totpSecret: SECRET });
+    const res = mockRes();
+
+    await twoFactorController.enableTwoFactor({ user, body: { code: codeForStep(SECRET, timeStep() + 5) } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.totpEnabledAt).toBeNull();
+  });
+
+  test('should turn on with a code, return recovery codes, and sign out other sessions', async () => {
+    const user = mockUser({ totpSecret: SECRET });
+    const res = mockRes();
+
+    await twoFactorController.enableTwoFactor({ user, sessionId: 3, body: { code: currentCode() } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].recoveryCodes).toHaveLength(10);
+    expect(user.totpEnabledAt).toBeInstanceOf(Date);
+    expect(Session.update).toHaveBeenCalledWith(
+      expect.objectContaining({ revokedReason: 'two_factor_enabled' }),
+      { where: expect.objectContaining({ userId: 1, id: { [Op.ne]: 3 } }) }
+    );
+  });
+});
+
+describe('Two-Factor Controller - disable and recovery codes', () => {
+  beforeEach(() => User.update.mockResolvedValue([1]));
+  afterEach(() => jest.clearAllMocks());
+
+  test('should turn off with the password and a recovery code', async () => {
+    const user = enabledUser();
+    const res = mockRes();
+
+    await twoFactorController.disableTwoFactor({ user, body: { password: 'password123', recoveryCode: 'aaaaa-bbbbb' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.totpEnabledAt).toBeNull();
+    expect(user.totpSecret).toBeNull();
+  });
+
+  test('should return 401 without a valid code', async () => {
+    const user = enabledUser();
+    const res = mockRes();
+
+    await twoFactorController.disableTwoFactor({ user, body: { password: 'password123' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(user.totpEnabledAt).not.toBeNull();
+  });
+
+  test('should not let an admin turn it off while admins must use it', async () => {
+    requireAdminTwoFactor();
+    const user = enabledUser({ role: 'admin' });
+    const res = mockRes();
+
+    await twoFactorController.disableTwoFactor({ user, body: { password: 'password123', recoveryCode: 'aaaaa-bbbbb' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(user.totpEnabledAt).not.toBeNull();
+    // The recovery code is still usable
+    expect(user.totpRecoveryCodes).toHaveLength(1);
+  });
+
+  test('should replace recovery codes with a code from the app', async () => {
+    const user = enabledUser();
+    const res = mockRes();
+
+    await twoFactorController.regenerateRecoveryCodes({ user, body: { code: currentCode() } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { recoveryCodes } = res.json.mock.calls[0][0];
+    expect(user.totpRecoveryCodes).toEqual(recoveryCodes.map(hashRecoveryCode));
+  });
+});
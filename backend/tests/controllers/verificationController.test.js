@@ -0,0 +1,98 @@
+/**
+ * Unit tests for Email Verification Controller
+ * Tests opening the verification link and resending it with throttling
+ */
+
+const { Op } = require('sequelize');
+const User = require('../../models/User');
+const { hashEmailToken } = require('../../utils/emailTokens');
+
+jest.mock('../../models/User');
+jest.mock('../../utils/emailVerification', () => ({
+  ...jest.requireActual('../../utils/emailVerification'),
+  sendVerificationEmail: jest.fn().mockResolvedValue()
+}));
+
+const { sendVerificationEmail } = require('../../utils/emailVerification');
+const verificationController = require('../../controllers/verificationController');
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  set: jest.fn().mockReturnThis(),
+});
+
+describe('Verification Controller - verifyEmail', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when the token is missing', async () => {
+    const res = mockRes();
+
+    await verificationController.verifyEmail({ body: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for an unknown or expired token', async () => {
+    User.findOne.mockResolvedValue(null);
+    const res = mockRes();
+
+    await verificationController.verifyEmail({ body: { token: 'a'.repeat(64) } }, res);
+
+    expect(User.findOne).toHaveBeenCalledWith({
+      where: {
+        verificationToken: hashEmailToken('a'.repeat(64)),
+        verificationExpires: { [Op.gt]: expect.any(Date) }
+      }
+    });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('should mark the address verified and invalidate the link', async () => {
+    const user = { id: 1, verifiedAt: null, verificationToken: 'hash', verificationExpires: new Date(), save: jest.fn() };
+    User.findOne.mockResolvedValue(user);
+    const res = mockRes();
+
+    await verificationController.verifyEmail({ body: { token: 'a'.repeat(64) } }, res);
+
+    expect(user.verifiedAt).toBeInstanceOf(Date);
+    expect(user.verificationToken).toBeNull();
+    expect(user.verificationExpires).toBeNull();
+    expect(user.save).toHaveBeenCalledWith({ hooks: false });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('Verification Controller - resendVerification', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return 400 when the address is already verified', async () => {
+    const res = mockRes();
+
+    await verificationController.resendVerification({ user: { verifiedAt: new Date() } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test('should return 429 while the last email is too recent', async () => {
+    const res = mockRes();
+
+    await verificationController.resendVerification({ user: { verifiedAt: null, verificationSentAt: new Date(Date.now() - 20 * 1000) } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '40');
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test('should send a new link once the wait is over', async () => {
+    const user = { email: 'alice@test.com', verifiedAt: null, verificationSentAt: new Date(Date.now() - 2 * 60 * 1000) };
+    const res = mockRes();
+
+    await verificationController.resendVerification({ user }, res);
+
+    expect(sendVerificationEmail).toHaveBeenCalledWith(user);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
@@ -7,9 +7,11 @@ const jwt = require('jsonwebtoken');
 const authenticate = require('../../middleware/auth');
 const { JWT_SECRET } = require('../../config/constants');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
 
 // Mock the User model
 jest.mock('../../models/User');
+jest.mock('../../models/Session');
 
 // Helper to create mock Express req/res/next
 const mockReqResNext = (overrides = {}) => {
@@ -22,6 +24,12 @@ const mockReqResNext = (overrides = {}) => {
   return { req, res, next };
 };
 
+// Access token for an active session of the user
+const accessToken = (userId, session = {}) => {
+  Session.findByPk.mockResolvedValue({ id: 7, userId, revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000), ...session });
+  return jwt.sign({ userId, sid: 7 }, JWT_SECRET, { expiresIn: '1h' });
+};
+
 describe('Authentication Middleware', () => {
   afterEach(() => {
     jest.clearAllMocks();
@@ -107,9 +115,37 @@ describe('Authentication Middleware', () => {
     expect(next).not.toHaveBeenCalled();
   });
 
+  // --- Ended session ---
+  test('should return 401 when the session behind the token has been revoked', async () => {
+    const token = accessToken(1, { revokedAt: new Date() });
+    const { req, res, next } = mockReqResNext({
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    await authenticate(req, res, next);
+
+    expect(Session.findByPk).toHaveBeenCalledWith(7);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should return 401 for tokens issued without a session', async () => {
+    const token = jwt.sign({ userId: 1 }, JWT_SECRET, { expiresIn: '7d' });
+    const { req, res, next } = mockReqResNext({
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    await authenticate(req, res, next);
+
+    expect(User.findByPk).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
   // --- Valid token but user not found ---
   test('should return 401 when token is valid but user does not exist in DB', async () => {
-    const token = jwt.sign({ userId: 999 }, JWT_SECRET, { expiresIn: '1h' });
+    const token = accessToken(999);
     User.findByPk.mockResolvedValue(null);
 
     const { req, res, next } = mockReqResNext({
@@ -127,7 +163,7 @@ describe('Authentication Middleware', () => {
   // --- Valid token and user exists ---
   test('should call next() and attach user to req when token is valid', async () => {
     const mockUser = { id: 1, name: 'Alice', email: 'alice@test.com', role: 'user' };
-    const token = jwt.sign({ userId: 1 }, JWT_SECRET, { expiresIn: '1h' });
+    const token = accessToken(1);
     User.findByPk.mockResolvedValue(mockUser);
 
     const { req, res, next } = mockReqResNext({
@@ -138,6 +174,7 @@ describe('Authentication Middleware', () => {
 
     expect(User.findByPk).toHaveBeenCalledWith(1);
     expect(req.user).toEqual(mockUser);
+    expect(req.sessionId).toBe(7);
     expect(next).toHaveBeenCalled();
     expect(res.status).not.toHaveBeenCalled();
   });
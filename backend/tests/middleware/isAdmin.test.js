@@ -7,8 +7,12 @@ const jwt = require('jsonwebtoken');
 const isAdmin = require('../../middleware/isAdmin');
 const { JWT_SECRET } = require('../../config/constants');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Setting = require('../../models/Setting');
 
 jest.mock('../../models/User');
+jest.mock('../../models/Session');
+jest.mock('../../models/Setting');
 
 const mockReqResNext = (overrides = {}) => {
   const req = { headers: {}, ...overrides };
@@ -20,6 +24,12 @@ const mockReqResNext = (overrides = {}) => {
   return { req, res, next };
 };
 
+// Access token for an active session of the user
+const accessToken = (userId, session = {}) => {
+  Session.findByPk.mockResolvedValue({ id: 7, userId, revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000), ...session });
+  return jwt.sign({ userId, sid: 7 }, JWT_SECRET, { expiresIn: '1h' });
+};
+
 describe('isAdmin Middleware', () => {
   afterEach(() => {
     jest.clearAllMocks();
@@ -48,7 +58,7 @@ describe('isAdmin Middleware', () => {
   });
 
   test('should return 401 when valid token but user not found', async () => {
-    const token = jwt.sign({ userId: 999 }, JWT_SECRET, { expiresIn: '1h' });
+    const token = accessToken(999);
     User.findByPk.mockResolvedValue(null);
 
     const { req, res, next } = mockReqResNext({
@@ -64,7 +74,7 @@ describe('isAdmin Middleware', () => {
 
   test('should return 403 when user is not an admin', async () => {
     const regularUser = { id: 2, name: 'Bob', email: 'bob@test.com', role: 'user' };
-    const token = jwt.sign({ userId: 2 }, JWT_SECRET, { expiresIn: '1h' });
+    const token = accessToken(2);
     User.findByPk.mockResolvedValue(regularUser);
 
     const { req, res, next } = mockReqResNext({
@@ -80,7 +90,7 @@ describe('isAdmin Middleware', () => {
 
   test('should call next() when user has admin role', async () => {
     const adminUser = { id: 1, name: 'Admin', email: 'someone@test.com', role: 'admin' };
-    const token = jwt.sign({ userId: 1 }, JWT_SECRET, { expiresIn: '1h' });
+    const token = accessToken(1);
     User.findByPk.mockResolvedValue(adminUser);
 
     const { req, res, next } = mockReqResNext({
@@ -94,9 +104,9 @@ describe('isAdmin Middleware', () => {
     expect(res.status).not.toHaveBeenCalled();
   });
 
-  test('should call next() when user has admin@cleancart.com email (demo admin)', async () => {
+  test('should return 403 for the old demo admin email without the admin role', async () => {
     const demoAdmin = { id: 3, name: 'Demo Admin', email: 'admin@cleancart.com', role: 'user' };
-    const token = jwt.sign({ userId: 3 }, JWT_SECRET, { expiresIn: '1h' });
+    const token = accessToken(3);
     User.findByPk.mockResolvedValue(demoAdmin);
 
     const { req, res, next } = mockReqResNext({
@@ -105,7 +115,40 @@ describe('isAdmin Middleware', () => {
 
     await isAdmin(req, res, next);
 
-    expect(req.user).toEqual(demoAdmin);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 for an admin without two-factor authentication when admins must use it', async () => {
+    const adminUser = { id: 1, name: 'Admin', email: 'someone@test.com', role: 'admin', totpEnabledAt: null };
+    const token = accessToken(1);
+    User.findByPk.mockResolvedValue(adminUser);
+    Setting.findByPk.mockResolvedValue({ key: 'requireAdminTwoFactor', value: true });
+
+    const { req, res, next } = mockReqResNext({
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    await isAdmin(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ twoFactorSetupRequired: true }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should call next() for an admin with two-factor authentication when admins must use it', async () => {
+    const adminUser = { id: 1, name: 'Admin', email: 'someone@test.com', role: 'admin', totpEnabledAt: new Date() };
+    const token = accessToken(1);
+    User.findByPk.mockResolvedValue(adminUser);
+    Setting.findByPk.mockResolvedValue({ key: 'requireAdminTwoFactor', value: true });
+
+    const { req, res, next } = mockReqResNext({
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    await isAdmin(req, res, next);
+
     expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
   });
 });
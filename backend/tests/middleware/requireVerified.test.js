@@ -0,0 +1,36 @@
+/**
+ * Unit tests for Email Verification Middleware
+ * Tests that unverified users are stopped and verified users pass through
+ */
+
+const requireVerified = require('../../middleware/requireVerified');
+
+const mockReqResNext = (user) => {
+  const req = { user };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  const next = jest.fn();
+  return { req, res, next };
+};
+
+describe('Email Verification Middleware', () => {
+  test('should return 403 when the email is not verified', () => {
+    const { req, res, next } = mockReqResNext({ id: 1, verifiedAt: null });
+
+    requireVerified(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should call next() when the email is verified', () => {
+    const { req, res, next } = mockReqResNext({ id: 1, verifiedAt: new Date('2026-10-01T00:00:00Z') });
+
+    requireVerified(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for account lockout
+ * Verifies locking, the lockout email, and unlocking
+ */
+
+const { sendMail } = require('../../utils/mailer');
+const { createMemoryStore, setThrottleStore } = require('../../utils/throttleStore');
+const { checkThrottle, recordFailure } = require('../../utils/throttle');
+const { isLocked, lockAccount, unlockAccount } = require('../../utils/accountLockout');
+const { THROTTLE_FREE_ATTEMPTS } = require('../../config/constants');
+
+jest.mock('../../utils/mailer', () => ({ sendMail: jest.fn().mockResolvedValue() }));
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const user = (overrides = {}) => ({
+  id: 1,
+  name: 'Bob',
+  email: 'bob@test.com',
+  lockedUntil: null,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+/**
+ * Run out the free login attempts of an account
+ * @param {string} email - Account
+ */
+const throttleAccount = async (email) => {
+  for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.account; i++) {
+    await recordFailure({ action: 'login', account: email });
+  }
+};
+
+describe('Account lockout', () => {
+  beforeEach(() => setThrottleStore(createMemoryStore()));
+  afterEach(() => jest.clearAllMocks());
+
+  test('should only count a lock that has not ended', () => {
+    expect(isLocked(user(), NOW)).toBe(false);
+    expect(isLocked(user({ lockedUntil: new Date('2026-10-19T12:30:00Z') }), NOW)).toBe(true);
+    expect(isLocked(user({ lockedUntil: new Date('2026-10-19T11:59:00Z') }), NOW)).toBe(false);
+  });
+
+  test('should lock for 30 minutes, email the user, and start the failures over', async () => {
+    const locked = user();
+    await throttleAccount('bob@test.com');
+
+    await lockAccount(locked, NOW);
+
+    expect(locked.lockedUntil).toEqual(new Date('2026-10-19T12:30:00Z'));
+    expect(locked.save).toHaveBeenCalledWith({ hooks: false });
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'bob@test.com',
+      subject: 'CleanCart - Your account has been locked'
+    }));
+    await expect(checkThrottle({ action: 'login', account: 'bob@test.com' })).resolves.toBeUndefined();
+  });
+
+  test('should escape the name in the email HTML', async () => {
+    await lockAccount(user({ name: '<a href="https://evil.test">Bob</a>' }), NOW);
+
+    const { html } = sendMail.mock.calls[0][0];
+    expect(html).toContain('&lt;a href=&quot;https://evil.test&quot;&gt;Bob&lt;/a&gt;');
+    expect(html).not.toContain('evil.test">');
+  });
+
+  test('should keep the lock when the email fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendMail.mockRejectedValueOnce(new Error('SMTP down'));
+    const locked = user();
+
+    await lockAccount(locked, NOW);
+    await new Promise(setImmediate);
+
+    expect(locked.lockedUntil).not.toBeNull();
+    expect(consoleError).toHaveBeenCalledWith('Lockout email error:', expect.any(Error));
+    consoleError.mockRestore();
+  });
+
+  test('should unlock and forget the failed logins', async () => {
+    const locked = user({ lockedUntil: new Date('2026-10-19T12:30:00Z') });
+    await throttleAccount('bob@test.com');
+
+    await unlockAccount(locked);
+
+    expect(locked.lockedUntil).toBeNull();
+    expect(locked.save).toHaveBeenCalledWith({ hooks: false });
+    await expect(checkThrottle({ action: 'login', account: 'bob@test.com' })).resolves.toBeUndefined();
+  });
+
+  test('should leave saving to the caller when asked', async () => {
+    const locked = user({ lockedUntil: new Date('2026-10-19T12:30:00Z') });
+
+    await unlockAccount(locked, { save: false });
+
+    expect(locked.lockedUntil).toBeNull();
+    expect(locked.save).not.toHaveBeenCalled();
+  });
+});
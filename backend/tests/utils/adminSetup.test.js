@@ -0,0 +1,83 @@
+/**
+ * Unit tests for admin setup
+ * Verifies the first admin can only be created once, and that the CLI options can promote an existing account
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((options, callback) => callback({})) },
+  User: { count: jest.fn(), findOne: jest.fn(), create: jest.fn() }
+}));
+jest.mock('../../utils/sessions', () => ({ revokeUserSessions: jest.fn() }));
+
+const { User } = require('../../models');
+const { revokeUserSessions } = require('../../utils/sessions');
+const { SetupError, adminExists, validateAdminDetails, createAdmin } = require('../../utils/adminSetup');
+
+const DETAILS = { name: ' Ada ', email: 'ada@example.com ', password: 'secret123' };
+
+describe('Admin setup', () => {
+  beforeEach(() => {
+    User.count.mockResolvedValue(0);
+    User.findOne.mockResolvedValue(null);
+    User.create.mockImplementation(async (values) => ({ id: 1, ...values }));
+  });
+  afterEach(() => jest.clearAllMocks());
+
+  test('should report whether an admin exists', async () => {
+    await expect(adminExists()).resolves.toBe(false);
+    User.count.mockResolvedValueOnce(2);
+    await expect(adminExists()).resolves.toBe(true);
+    expect(User.count).toHaveBeenCalledWith({ where: { role: 'admin' } });
+  });
+
+  test('should require a name, email, and a long enough password', () => {
+    expect(validateAdminDetails(DETAILS)).toBeNull();
+    expect(validateAdminDetails({ ...DETAILS, name: '  ' })).toBe('Please provide a name, email, and password');
+    expect(validateAdminDetails({ ...DETAILS, password: '' })).toBe('Please provide a name, email, and password');
+    expect(validateAdminDetails({ ...DETAILS, password: '12345' })).toBe('Password must be at least 6 characters long');
+  });
+
+  test('should create the first admin with the admin role', async () => {
+    const { user, promoted } = await createAdmin(DETAILS);
+
+    expect(promoted).toBe(false);
+    expect(User.create).toHaveBeenCalledWith(
+      { name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin', verifiedAt: expect.any(Date) },
+      { transaction: {} }
+    );
+    expect(user.role).toBe('admin');
+  });
+
+  test('should refuse once an admin exists', async () => {
+    User.count.mockResolvedValue(1);
+
+    const error = await createAdmin(DETAILS).catch((e) => e);
+
+    expect(error).toBeInstanceOf(SetupError);
+    expect(error.code).toBe('setup_complete');
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('should refuse an email that belongs to an account unless promoting', async () => {
+    User.findOne.mockResolvedValue({ id: 5, email: 'ada@example.com', role: 'user' });
+
+    const error = await createAdmin(DETAILS).catch((e) => e);
+
+    expect(error).toBeInstanceOf(SetupError);
+    expect(error.code).toBe('invalid');
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('should promote an existing account, set its password, and end its sessions', async () => {
+    User.count.mockResolvedValue(1);
+    const existing = { id: 5, email: 'ada@example.com', role: 'user', update: jest.fn() };
+    User.findOne.mockResolvedValue(existing);
+
+    const { user, promoted } = await createAdmin(DETAILS, { firstOnly: false, promote: true });
+
+    expect(promoted).toBe(true);
+    expect(user).toBe(existing);
+    expect(existing.update).toHaveBeenCalledWith({ role: 'admin', password: 'secret123', verifiedAt: expect.any(Date) }, { transaction: {} });
+    expect(revokeUserSessions).toHaveBeenCalledWith(5, 'password_reset');
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Unit tests for the split-cart optimizer
+ * Verifies store assignment, delivery rules, sales tax, currency conversion, the store limit, and savings
+ */
+
+jest.mock('../../models', () => ({
+  Product: { findAll: jest.fn() },
+  Offer: { findAll: jest.fn() },
+  Store: { findAll: jest.fn() },
+  DeliveryRule: {},
+  TaxRate: { findAll: jest.fn() },
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) },
+}));
+
+const { Product, Offer, Store, DeliveryRule, TaxRate, ExchangeRate } = require('../../models');
+const { optimizeCart, planCart, parseMaxStores } = require('../../utils/cartOptimizer');
+
+const rule = (flatFee, extra = {}) => ({ flatFee: String(flatFee), perItemFee: '0.00', freeOver: null, ...extra });
+
+const STORES = [
+  { id: 'techmart', name: 'TechMart', deliveryRule: rule(3.99) },
+  { id: 'gearhub', name: 'GearHub', deliveryRule: rule(2.49) },
+  { id: 'proshop', name: 'ProShop', deliveryRule: rule(4.5) },
+];
+
+const line = (productId, quantity = 1) => ({ productId, productName: `Product ${productId}`, quantity });
+const offer = (productId, storeId, price, deliverySurcharge = null) => ({
+  productId, storeId, price: String(price), deliverySurcharge,
+});
+
+describe('optimizeCart', () => {
+  test('should split the cart when the savings outweigh the extra delivery fee', () => {
+    const offers = [
+      offer(1, 'techmart', 100), offer(2, 'techmart', 50),
+      offer(1, 'gearhub', 80), offer(2, 'gearhub', 70),
+    ];
+
+    const plan = optimizeCart([line(1), line(2)], STORES, offers);
+
+    // GearHub for product 1 (80) + TechMart for product 2 (50) + both fees = 136.48
+    expect(plan.storeCount).toBe(2);
+    expect(plan.total).toBe(136.48);
+    expect(plan.stores.map((s) => [s.storeId, s.items.map((i) => i.productId)])).toEqual([
+      ['gearhub', [1]],
+      ['techmart', [2]],
+    ]);
+    // Best single store: GearHub 150 + 2.49 (TechMart 150 + 3.99)
+    expect(plan.bestSingleStore).toEqual({ storeId: 'gearhub', storeName: 'GearHub', total: 152.49 });
+    expect(plan.savings).toBe(16.01);
+  });
+
+  test('should keep the cart at one store when splitting costs more in delivery', () => {
+    const offers = [
+      offer(1, 'techmart', 20), offer(2, 'techmart', 30),
+      offer(1, 'gearhub', 19), offer(2, 'gearhub', 31),
+    ];
+
+    const plan = optimizeCart([line(1), line(2)], STORES, offers);
+
+    expect(plan.storeCount).toBe(1);
+    expect(plan.stores[0].storeId).toBe('gearhub');
+    expect(plan.total).toBe(52.49);
+    expect(plan.savings).toBe(0);
+  });
+
+  test('should multiply prices by quantity and charge each store fee once', () => {
+    const plan = optimizeCart([line(1, 3)], STORES, [offer(1, 'proshop', 10)]);
+
+    expect(plan.stores[0]).toEqual(expect.objectContaining({
+      storeId: 'proshop', subtotal: 30, deliveryFee: 4.5, total: 34.5,
+    }));
+    expect(plan.stores[0].items[0].lineTotal).toBe(30);
+  });
+
+  test('should respect the store limit', () => {
+    const offers = [
+      offer(1, 'techmart', 100), offer(2, 'techmart', 50),
+      offer(1, 'gearhub', 80), offer(2, 'gearhub', 70),
+    ];
+
+    const plan = optimizeCart([line(1), line(2)], STORES, offers, { maxStores: 1 });
+
+    expect(plan.storeCount).toBe(1);
+    expect(plan.stores[0].storeId).toBe('gearhub');
+    expect(plan.savings).toBe(0);
+  });
+
+  test('should return null when the cart cannot be covered within the store limit', () => {
+    const offers = [offer(1, 'techmart', 10), offer(2, 'gearhub', 10)];
+
+    expect(optimizeCart([line(1), line(2)], STORES, offers, { maxStores: 1 })).toBeNull();
+  });
+
+  test('should report items no store sells and have no single-store option when none covers the cart', () => {
+    const offers = [offer(1, 'techmart', 10), offer(2, 'gearhub', 10)];
+
+    const plan = optimizeCart([line(1), line(2), line(3)], STORES, offers);
+
+    expect(plan.unavailable).toEqual([{ productId: 3, productName: 'Product 3' }]);
+    expect(plan.storeCount).toBe(2);
+    expect(plan.bestSingleStore).toBeNull();
+    expect(plan.savings).toBeNull();
+  });
+
+  test('should ignore offers from stores that are not active', () => {
+    const plan = optimizeCart([line(1)], STORES, [offer(1, 'closed', 1), offer(1, 'gearhub', 5)]);
+
+    expect(plan.stores[0].storeId).toBe('gearhub');
+  });
+
+  test('should skip stores without enough units in stock', () => {
+    const offers = [{ ...offer(1, 'techmart', 5), stock: 2 }, { ...offer(1, 'gearhub', 8), stock: 10 }];
+
+    expect(optimizeCart([line(1, 3)], STORES, offers).stores[0].storeId).toBe('gearhub');
+    expect(optimizeCart([line(1, 11)], STORES, offers).unavailable).toEqual([{ productId: 1, productName: 'Product 1' }]);
+  });
+});
+
+describe('optimizeCart with delivery rules', () => {
+  test('should keep the cart together when that reaches a free-delivery threshold', () => {
+    const stores = [
+      { id: 'techmart', name: 'TechMart', deliveryRule: rule(5, { freeOver: '50.00' }) },
+      { id: 'gearhub', name: 'GearHub', deliveryRule: rule(2.49) },
+    ];
+    const offers = [
+      offer(1, 'techmart', 30), offer(2, 'techmart', 30),
+      offer(1, 'gearhub', 25), offer(2, 'gearhub', 35),
+    ];
+
+    const plan = optimizeCart([line(1), line(2)], stores, offers);
+
+    // Split: GearHub 25 + 2.49 and TechMart 30 + 5 = 62.49; TechMart alone: 60 with free delivery
+    expect(plan.storeCount).toBe(1);
+    expect(plan.stores[0]).toEqual(expect.objectContaining({ storeId: 'techmart', deliveryFee: 0, total: 60 }));
+  });
+
+  test('should move a line to another store when that reaches its free-delivery threshold', () => {
+    const stores = [
+      { id: 'techmart', name: 'TechMart', deliveryRule: rule(5, { freeOver: '50.00' }) },
+      { id: 'gearhub', name: 'GearHub', deliveryRule: rule(2.49) },
+    ];
+    const offers = [
+      offer(1, 'techmart', 45),
+      offer(2, 'techmart', 8), offer(2, 'gearhub', 6),
+      offer(3, 'gearhub', 20),
+    ];
+
+    const plan = optimizeCart([line(1), line(2), line(3)], stores, offers);
+
+    // Product 2 is 2 cheaper at GearHub, but at TechMart it lifts the share to 53 and saves the 5 fee:
+    // TechMart 53 + GearHub 20 + 2.49 = 75.49 (78.49 with product 2 at GearHub)
+    expect(plan.total).toBe(75.49);
+    expect(plan.stores.find((s) => s.storeId === 'techmart')).toEqual(expect.objectContaining({ subtotal: 53, deliveryFee: 0 }));
+  });
+
+  test('should still find the free-delivery threshold for carts too large to search exhaustively', () => {
+    const stores = [
+      { id: 'techmart', name: 'TechMart', deliveryRule: rule(5, { freeOver: '50.00' }) },
+      { id: 'gearhub', name: 'GearHub', deliveryRule: rule(2.49) },
+    ];
+    // Twelve more lines sold at both stores make 2^13 ways to send the cart
+    const fillers = Array.from({ length: 12 }, (_, i) => 10 + i);
+    const offers = [
+      offer(1, 'techmart', 45),
+      offer(2, 'techmart', 8), offer(2, 'gearhub', 6),
+      offer(3, 'gearhub', 20),
+      ...fillers.flatMap((id) => [offer(id, 'techmart', 100), offer(id, 'gearhub', 1)]),
+    ];
+
+    const plan = optimizeCart([line(1), line(2), line(3), ...fillers.map((id) => line(id))], stores, offers);
+
+    // TechMart 53 + GearHub 20 + 12 + 2.49
+    expect(plan.total).toBe(87.49);
+  });
+
+  test('should add per-item fees and let offer surcharges override them', () => {
+    const stores = [{ id: 'gearhub', name: 'GearHub', deliveryRule: rule(2, { perItemFee: '0.50' }) }];
+    const offers = [offer(1, 'gearhub', 10), offer(2, 'gearhub', 40, '5.00')];
+
+    const plan = optimizeCart([line(1, 2), line(2)], stores, offers);
+
+    // 2 + 2 × 0.50 + 1 × 5.00
+    expect(plan.stores[0].deliveryFee).toBe(8);
+    expect(plan.total).toBe(68);
+  });
+
+  test('should send a line where its price plus surcharge is lowest', () => {
+    const offers = [
+      offer(1, 'techmart', 20), offer(2, 'techmart', 100, '30.00'),
+      offer(1, 'gearhub', 25), offer(2, 'gearhub', 110),
+    ];
+
+    const plan = optimizeCart([line(1), line(2)], STORES, offers, { maxStores: 2 });
+
+    // Product 2 is 10 cheaper at TechMart but carries a 30 surcharge there
+    expect(plan.stores.find((s) => s.storeId === 'gearhub').items.map((i) => i.productId)).toContain(2);
+  });
+});
+
+describe('optimizeCart with promo codes', () => {
+  const coupon = (overrides) => ({
+    id: 1, code: 'PROMO', type: 'fixed', value: '0', category: null, minSpend: null,
+    startsAt: null, endsAt: null, usageLimit: null, usedCount: 0, active: true, ...overrides,
+  });
+
+  test('should compare stores after each store applicable promotion', () => {
+    const offers = [offer(1, 'techmart', 100), offer(1, 'gearhub', 90)];
+    const coupons = [coupon({ storeId: 'techmart', value: '15' })];
+
+    const plan = optimizeCart([line(1)], STORES, offers, { coupons });
+
+    // TechMart: 100 - 15 + 3.99 = 88.99 beats GearHub: 90 + 2.49
+    expect(plan.stores[0]).toEqual(expect.objectContaining({
+      storeId: 'techmart',
+      discounts: [{ couponId: 1, code: 'PROMO', description: '$15.00 off', amount: 15 }],
+      discount: 15,
+      total: 88.99,
+    }));
+    expect(plan.discount).toBe(15);
+    expect(plan.total).toBe(88.99);
+  });
+
+  test('should only apply category codes to items in that category', () => {
+    const lines = [{ ...line(1), category: 'Audio' }, { ...line(2), category: 'Cameras' }];
+    const offers = [offer(1, 'gearhub', 50), offer(2, 'gearhub', 50)];
+    const coupons = [coupon({ storeId: 'gearhub', type: 'percent', value: '10', category: 'Audio' })];
+
+    const plan = optimizeCart(lines, STORES, offers, { coupons });
+
+    expect(plan.stores[0].discount).toBe(5);
+    expect(plan.total).toBe(97.49);
+  });
+});
+
+describe('optimizeCart with sales tax', () => {
+  const taxRate = { name: 'California', rate: '10.000' };
+
+  test('should add tax to each store share and the plan total', () => {
+    const plan = optimizeCart([line(1)], STORES, [offer(1, 'gearhub', 40)], { taxRate });
+
+    // 10% of 40 + 2.49 delivery
+    expect(plan.stores[0]).toEqual(expect.objectContaining({ taxRate: 10, tax: 4.25, taxIncluded: false, total: 46.74 }));
+    expect(plan.tax).toBe(4.25);
+    expect(plan.total).toBe(46.74);
+  });
+
+  test('should compare tax-inclusive stores on what the shopper pays', () => {
+    const stores = [{ ...STORES[0], pricesIncludeTax: true }, STORES[1]];
+    const offers = [offer(1, 'techmart', 104), offer(1, 'gearhub', 100)];
+
+    const plan = optimizeCart([line(1)], stores, offers, { taxRate });
+
+    // TechMart: 104 + 3.99 with tax included beats GearHub: (100 + 2.49) + 10% tax = 112.74
+    expect(plan.stores[0]).toEqual(expect.objectContaining({ storeId: 'techmart', tax: 9.82, taxIncluded: true, total: 107.99 }));
+    expect(plan.bestSingleStore.total).toBe(107.99);
+  });
+});
+
+describe('optimizeCart with store currencies', () => {
+  const EURO_STORES = [
+    { id: 'techmart', name: 'TechMart', deliveryRule: rule(3.99) },
+    { id: 'eurotech', name: 'EuroTech', currency: 'EUR', deliveryRule: rule(2) },
+  ];
+
+  test('should convert store prices to the base currency before comparing', () => {
+    const offers = [offer(1, 'techmart', 100), offer(1, 'eurotech', 90)];
+
+    // EuroTech: (90 + 2) EUR / 0.8 = 115 USD, more than TechMart's 103.99 USD
+    const plan = optimizeCart([line(1)], EURO_STORES, offers, { rates: { EUR: 0.8 } });
+    expect(plan.stores[0].storeId).toBe('techmart');
+
+    // At 0.95 EUR per USD, EuroTech costs 96.84 USD
+    const cheaper = optimizeCart([line(1)], EURO_STORES, offers, { rates: { EUR: 0.95 } });
+    expect(cheaper.stores[0]).toMatchObject({ storeId: 'eurotech', currency: 'EUR', exchangeRate: 0.95, total: 92 });
+    expect(cheaper.currency).toBe('USD');
+    expect(cheaper.total).toBe(96.84);
+  });
+
+  test('should total a plan split across currencies in the base currency', () => {
+    const offers = [offer(1, 'techmart', 100), offer(1, 'eurotech', 150), offer(2, 'techmart', 80), offer(2, 'eurotech', 30)];
+
+    const plan = optimizeCart([line(1), line(2)], EURO_STORES, offers, { rates: { EUR: 0.5 } });
+
+    // TechMart 100 + 3.99 USD, EuroTech (30 + 2) EUR = 64 USD
+    expect(plan.stores.map((s) => [s.storeId, s.total])).toEqual([['techmart', 103.99], ['eurotech', 32]]);
+    expect(plan.total).toBe(167.99);
+    expect(plan.deliveryFee).toBe(7.99);
+  });
+
+  test('should skip stores whose currency has no exchange rate', () => {
+    const plan = optimizeCart([line(1)], EURO_STORES, [offer(1, 'techmart', 100), offer(1, 'eurotech', 1)]);
+
+    expect(plan.stores[0].storeId).toBe('techmart');
+  });
+});
+
+describe('planCart', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should load active stores, available offers, and product names', async () => {
+    Store.findAll.mockResolvedValue(STORES);
+    Offer.findAll.mockResolvedValue([offer(7, 'gearhub', 5)]);
+    Product.findAll.mockResolvedValue([{ id: 7, name: 'Keyboard' }]);
+
+    const plan = await planCart([{ productId: 7, quantity: 1 }]);
+
+    expect(Store.findAll).toHaveBeenCalledWith({
+      where: { active: true },
+      include: [{ model: DeliveryRule, as: 'deliveryRule' }],
+    });
+    expect(Offer.findAll).toHaveBeenCalledWith({ where: { productId: [7], available: true } });
+    expect(plan.stores[0].items[0].productName).toBe('Keyboard');
+    expect(TaxRate.findAll).not.toHaveBeenCalled();
+    expect(ExchangeRate.findAll).toHaveBeenCalled();
+  });
+
+  test('should charge the tax rate for the shipping address', async () => {
+    Store.findAll.mockResolvedValue(STORES);
+    Offer.findAll.mockResolvedValue([offer(7, 'gearhub', 5)]);
+    Product.findAll.mockResolvedValue([{ id: 7, name: 'Keyboard' }]);
+    TaxRate.findAll.mockResolvedValue([{ name: 'Oregon', region: 'OR', postalPrefix: null, rate: '0.000' }, { name: 'Texas', region: 'TX', postalPrefix: null, rate: '8.000' }]);
+
+    const plan = await planCart([{ productId: 7, quantity: 1 }], { shipTo: { region: 'TX', postalCode: '' } });
+
+    expect(TaxRate.findAll).toHaveBeenCalledWith({ where: { active: true } });
+    expect(plan.stores[0].taxRate).toBe(8);
+    expect(plan.tax).toBe(0.6);
+  });
+});
+
+describe('parseMaxStores', () => {
+  test('should allow a missing limit', () => {
+    expect(parseMaxStores(undefined)).toEqual({ error: null, maxStores: undefined });
+  });
+
+  test('should reject a limit that is not a positive whole number', () => {
+    expect(parseMaxStores(0).error).toBeTruthy();
+    expect(parseMaxStores('1.5').error).toBeTruthy();
+  });
+
+  test('should parse a numeric limit', () => {
+    expect(parseMaxStores('2')).toEqual({ error: null, maxStores: 2 });
+  });
+});
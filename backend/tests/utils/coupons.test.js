@@ -0,0 +1,156 @@
+/**
+ * Unit tests for coupon helpers
+ * Verifies validity windows, usage limits, discount math, and picking the best code
+ */
+
+jest.mock('../../models', () => ({
+  Coupon: { findByPk: jest.fn(), findOne: jest.fn() },
+}));
+
+const { Coupon } = require('../../models');
+const {
+  parseCodes, couponProblem, describeCoupon, couponDiscount, applyCoupons, redeemCoupons, releaseCoupon
+} = require('../../utils/coupons');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const coupon = (overrides = {}) => ({
+  id: 1,
+  code: 'SAVE10',
+  storeId: 'techmart',
+  type: 'percent',
+  value: '10.00',
+  category: null,
+  minSpend: null,
+  startsAt: null,
+  endsAt: null,
+  usageLimit: null,
+  usedCount: 0,
+  active: true,
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const priced = {
+  items: [
+    { productId: 1, price: 40, quantity: 2, category: 'Audio' },
+    { productId: 2, price: 20, quantity: 1, category: 'Accessories' },
+  ],
+  subtotal: 100,
+  deliveryFee: 4.5,
+  total: 104.5,
+};
+
+describe('parseCodes', () => {
+  test('should normalize, de-duplicate, and drop empty codes', () => {
+    expect(parseCodes([' save10', 'SAVE10', '', null, 'free-ship'])).toEqual(['SAVE10', 'FREE-SHIP']);
+    expect(parseCodes('welcome')).toEqual(['WELCOME']);
+    expect(parseCodes(undefined)).toEqual([]);
+  });
+});
+
+describe('couponProblem', () => {
+  test('should accept a coupon inside its window with uses left', () => {
+    expect(couponProblem(coupon({
+      startsAt: '2026-10-01', endsAt: '2026-11-01', usageLimit: 5, usedCount: 4,
+    }), NOW)).toBeNull();
+  });
+
+  test('should reject inactive, early, expired, and used-up coupons', () => {
+    expect(couponProblem(coupon({ active: false }), NOW)).toBe('This code is no longer active');
+    expect(couponProblem(coupon({ startsAt: '2026-12-01T00:00:00Z' }), NOW)).toBe('This code starts on 2026-12-01');
+    expect(couponProblem(coupon({ endsAt: '2026-10-19T12:00:00Z' }), NOW)).toBe('This code has expired');
+    expect(couponProblem(coupon({ usageLimit: 3, usedCount: 3 }), NOW)).toBe('This code has been fully redeemed');
+  });
+});
+
+describe('describeCoupon', () => {
+  test('should describe each kind of discount with its restrictions', () => {
+    expect(describeCoupon(coupon())).toBe('10% off');
+    expect(describeCoupon(coupon({ type: 'fixed', value: '5', category: 'Audio', minSpend: '50' }))).toBe('$5.00 off Audio over $50.00');
+    expect(describeCoupon(coupon({ type: 'free_delivery', value: '0', category: 'Audio' }))).toBe('Free delivery with Audio');
+  });
+});
+
+describe('couponDiscount', () => {
+  test('should take a percentage off the eligible items only', () => {
+    expect(couponDiscount(coupon({ category: 'audio' }), priced)).toBe(8);
+  });
+
+  test('should cap a fixed discount at the eligible spend', () => {
+    expect(couponDiscount(coupon({ type: 'fixed', value: '50', category: 'Accessories' }), priced)).toBe(20);
+  });
+
+  test('should waive the delivery fee', () => {
+    expect(couponDiscount(coupon({ type: 'free_delivery', value: '0' }), priced)).toBe(4.5);
+  });
+
+  test('should not apply below the minimum spend or without eligible items', () => {
+    expect(couponDiscount(coupon({ category: 'Audio', minSpend: '90' }), priced)).toBe(0);
+    expect(couponDiscount(coupon({ category: 'Cameras' }), priced)).toBe(0);
+  });
+});
+
+describe('applyCoupons', () => {
+  test('should apply the code that takes the most off at the store', () => {
+    const result = applyCoupons(priced, 'techmart', [
+      coupon({ id: 1, code: 'SAVE10' }),
+      coupon({ id: 2, code: 'FREESHIP', type: 'free_delivery', value: '0' }),
+      coupon({ id: 3, code: 'BIG', type: 'fixed', value: '30', storeId: 'gearhub' }),
+      coupon({ id: 4, code: 'OLD', type: 'fixed', value: '25', endsAt: '2026-01-01' }),
+    ], NOW);
+
+    expect(result.discounts).toEqual([{ couponId: 1, code: 'SAVE10', description: '10% off', amount: 10 }]);
+    expect(result.discount).toBe(10);
+    expect(result.total).toBe(94.5);
+  });
+
+  test('should leave the total alone when no code applies', () => {
+    const result = applyCoupons(priced, 'proshop', [coupon()], NOW);
+
+    expect(result).toEqual({ ...priced, discounts: [], discount: 0 });
+  });
+});
+
+describe('redeemCoupons', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should lock the coupon and count the use', async () => {
+    const limited = coupon({ usageLimit: 2, usedCount: 1 });
+    Coupon.findByPk.mockResolvedValue(limited);
+
+    await redeemCoupons([{ couponId: 1, code: 'SAVE10' }], {});
+
+    expect(Coupon.findByPk).toHaveBeenCalledWith(1, { transaction: {}, lock: true });
+    expect(limited.usedCount).toBe(2);
+    expect(limited.save).toHaveBeenCalledWith({ transaction: {} });
+  });
+
+  test('should refuse a code that ran out since it was quoted', async () => {
+    Coupon.findByPk.mockResolvedValue(coupon({ usageLimit: 2, usedCount: 2 }));
+
+    await expect(redeemCoupons([{ couponId: 1, code: 'SAVE10' }], {})).rejects.toMatchObject({
+      name: 'CouponError',
+      message: 'SAVE10: This code has been fully redeemed',
+    });
+  });
+});
+
+describe('releaseCoupon', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should give back one use of the order code', async () => {
+    const used = coupon({ usedCount: 2 });
+    Coupon.findOne.mockResolvedValue(used);
+
+    await releaseCoupon('SAVE10', 'techmart', {});
+
+    expect(used.usedCount).toBe(1);
+  });
+
+  test('should do nothing for orders without a code', async () => {
+    await releaseCoupon(null, 'techmart', {});
+
+    expect(Coupon.findOne).not.toHaveBeenCalled();
+  });
+});
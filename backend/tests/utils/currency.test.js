@@ -0,0 +1,84 @@
+/**
+ * Unit tests for currency conversion
+ * Verifies rate lookup, conversion, formatting, and reading JSON and CSV rates files
+ */
+
+jest.mock('../../models', () => ({
+  ExchangeRate: { findAll: jest.fn() },
+}));
+
+const { ExchangeRate } = require('../../models');
+const { loadRates, rateFor, convert, parseRatesFile } = require('../../utils/currency');
+const { formatMoney } = require('../../utils/money');
+
+const rates = { USD: 1, EUR: 0.9, GBP: 0.8 };
+
+describe('loadRates', () => {
+  test('should map every currency to its numeric rate, including the base currency', async () => {
+    ExchangeRate.findAll.mockResolvedValue([{ currency: 'EUR', rate: '0.900000' }]);
+
+    expect(await loadRates()).toEqual({ USD: 1, EUR: 0.9 });
+  });
+});
+
+describe('rateFor', () => {
+  test('should return 1 for the base currency and null for unknown currencies', () => {
+    expect(rateFor({}, 'USD')).toBe(1);
+    expect(rateFor(rates, 'EUR')).toBe(0.9);
+    expect(rateFor(rates, 'JPY')).toBeNull();
+  });
+});
+
+describe('convert', () => {
+  test('should convert through the base currency and round to cents', () => {
+    expect(convert(45, 'EUR', 'USD', rates)).toBe(50);
+    expect(convert(10, 'USD', 'GBP', rates)).toBe(8);
+    expect(convert(45, 'EUR', 'GBP', rates)).toBe(40);
+    expect(convert(12.345, 'EUR', 'EUR', rates)).toBe(12.345);
+  });
+
+  test('should return null when either currency has no rate', () => {
+    expect(convert(10, 'JPY', 'USD', rates)).toBeNull();
+    expect(convert(10, 'USD', 'JPY', rates)).toBeNull();
+  });
+});
+
+describe('formatMoney', () => {
+  test('should format amounts with the currency symbol', () => {
+    expect(formatMoney(3.5)).toBe('$3.50');
+    expect(formatMoney(3.5, 'EUR')).toBe('€3.50');
+  });
+});
+
+describe('parseRatesFile', () => {
+  test('should read a JSON rates file', () => {
+    expect(parseRatesFile('{ "base": "USD", "rates": { "eur": 0.92, "GBP": "0.79" } }')).toEqual({
+      error: null,
+      rates: [{ currency: 'EUR', rate: 0.92 }, { currency: 'GBP', rate: 0.79 }],
+    });
+  });
+
+  test('should rebase JSON rates quoted against another currency', () => {
+    const { error, rates: parsed } = parseRatesFile('{ "base": "EUR", "rates": { "USD": 1.25, "GBP": 0.9 } }');
+
+    expect(error).toBeNull();
+    expect(parsed).toEqual([{ currency: 'GBP', rate: 0.72 }, { currency: 'EUR', rate: 0.8 }]);
+  });
+
+  test('should read CSV with a header and comments', () => {
+    expect(parseRatesFile('# daily rates\ncurrency,rate\nEUR, 0.92\r\nGBP;0.79\n')).toEqual({
+      error: null,
+      rates: [{ currency: 'EUR', rate: 0.92 }, { currency: 'GBP', rate: 0.79 }],
+    });
+  });
+
+  test('should report problems in the file', () => {
+    expect(parseRatesFile('').error).toBe('The rates file is empty');
+    expect(parseRatesFile('{ "rates": ').error).toBe('The rates file is not valid JSON');
+    expect(parseRatesFile('{ "base": "EUR", "rates": { "GBP": 0.9 } }').error).toBe('Rates quoted against EUR must include a USD rate');
+    expect(parseRatesFile('EUR,0.92\nGBP,abc').error).toBe('Rate for GBP must be a positive number');
+    expect(parseRatesFile('EUR,0.92,extra').error).toBe('Row 1: expected "currency,rate"');
+    expect(parseRatesFile('EURO,0.92').error).toBe('Unknown currency code: EURO');
+    expect(parseRatesFile('USD,1').error).toBe('The rates file does not contain any rates');
+  });
+});
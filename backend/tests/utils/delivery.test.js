@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the delivery fee calculator
+ * Verifies flat fees, per-item surcharges, offer overrides, and free-delivery thresholds
+ */
+
+const { formatRule, calculateDeliveryFee, describeRule } = require('../../utils/delivery');
+
+const rule = (overrides = {}) => ({ flatFee: '3.99', perItemFee: '0.00', freeOver: null, ...overrides });
+const item = (price, quantity = 1, surcharge = null) => ({ price, quantity, surcharge });
+
+describe('calculateDeliveryFee', () => {
+  test('should charge the flat fee once per order', () => {
+    expect(calculateDeliveryFee(rule(), [item(10, 3), item(5)])).toBe(3.99);
+  });
+
+  test('should add the per-item fee for every unit', () => {
+    expect(calculateDeliveryFee(rule({ perItemFee: '0.50' }), [item(10, 3), item(5)])).toBe(5.99);
+  });
+
+  test('should let an offer surcharge replace the per-item fee', () => {
+    const fee = calculateDeliveryFee(rule({ perItemFee: '0.50' }), [item(10, 2, '4.00'), item(5)]);
+
+    // 3.99 + 2 × 4.00 + 1 × 0.50
+    expect(fee).toBe(12.49);
+  });
+
+  test('should waive delivery once the subtotal reaches the threshold', () => {
+    const free = rule({ perItemFee: '1.00', freeOver: '50.00' });
+
+    expect(calculateDeliveryFee(free, [item(24.99, 2)])).toBe(5.99);
+    expect(calculateDeliveryFee(free, [item(25, 2)])).toBe(0);
+  });
+
+  test('should charge nothing for an empty order or a store without a rule', () => {
+    expect(calculateDeliveryFee(rule(), [])).toBe(0);
+    expect(calculateDeliveryFee(null, [item(10)])).toBe(0);
+  });
+});
+
+describe('formatRule', () => {
+  test('should convert the rule to numbers', () => {
+    expect(formatRule(rule({ freeOver: '50.00' }))).toEqual({ flatFee: 3.99, perItemFee: 0, freeOver: 50 });
+    expect(formatRule(null)).toEqual({ flatFee: 0, perItemFee: 0, freeOver: null });
+  });
+});
+
+describe('describeRule', () => {
+  test('should describe each part of the rule', () => {
+    expect(describeRule(rule())).toBe('$3.99 delivery');
+    expect(describeRule(rule({ perItemFee: '0.50', freeOver: '50' }))).toBe('$3.99 delivery + $0.50 per item, free over $50.00');
+    expect(describeRule(rule({ flatFee: '0', perItemFee: '1' }))).toBe('Delivery + $1.00 per item');
+    expect(describeRule(rule({ flatFee: '0', freeOver: '20' }))).toBe('Free delivery');
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for email tokens and verification emails
+ * Verifies tokens are stored hashed with an expiry and that resends are throttled
+ */
+
+jest.mock('../../utils/mailer', () => ({ sendMail: jest.fn().mockResolvedValue({}) }));
+
+const { sendMail } = require('../../utils/mailer');
+const { createEmailToken, hashEmailToken } = require('../../utils/emailTokens');
+const { resendWaitSeconds, sendVerificationEmail } = require('../../utils/emailVerification');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('Email tokens', () => {
+  test('should keep only a hash of the token, with an expiry', () => {
+    const { token, tokenHash, expiresAt } = createEmailToken(20, NOW);
+
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(tokenHash).toBe(hashEmailToken(token));
+    expect(tokenHash).not.toBe(token);
+    expect(expiresAt).toEqual(new Date('2026-10-19T12:20:00Z'));
+  });
+});
+
+describe('Email verification', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should store the new link and email it to the user', async () => {
+    const user = { name: 'Alice', email: 'alice@test.com', save: jest.fn() };
+
+    await sendVerificationEmail(user, NOW);
+
+    expect(user.verificationExpires).toEqual(new Date('2026-10-20T12:00:00Z'));
+    expect(user.verificationSentAt).toBe(NOW);
+    expect(user.save).toHaveBeenCalledWith({ hooks: false });
+
+    const { to, html } = sendMail.mock.calls[0][0];
+    const token = /\/verify-email\/([a-f0-9]{64})/.exec(html)[1];
+    expect(to).toBe('alice@test.com');
+    expect(user.verificationToken).toBe(hashEmailToken(token));
+  });
+
+  test('should escape the name in the email HTML', async () => {
+    await sendVerificationEmail({ name: '<script>alert(1)</script>', email: 'alice@test.com', save: jest.fn() }, NOW);
+
+    const { html } = sendMail.mock.calls[0][0];
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('should make users wait between verification emails', () => {
+    expect(resendWaitSeconds({ verificationSentAt: null }, NOW)).toBe(0);
+    expect(resendWaitSeconds({ verificationSentAt: new Date('2026-10-19T11:59:45Z') }, NOW)).toBe(45);
+    expect(resendWaitSeconds({ verificationSentAt: new Date('2026-10-19T11:58:00Z') }, NOW)).toBe(0);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for invoices
+ * Verifies invoice numbers, which orders get invoices, issuing, export date ranges, and the invoice layout
+ */
+
+jest.mock('../../models', () => ({
+  Invoice: { create: jest.fn(), findOne: jest.fn() },
+}));
+
+const { Invoice } = require('../../models');
+const {
+  invoiceNumber, invoiceProblem, issueInvoice, parseDateRange, drawInvoice, renderInvoices
+} = require('../../utils/invoices');
+
+// Stand-in document that records what was drawn on each page
+const recorder = () => {
+  const pages = [];
+  const doc = {
+    pages,
+    addPage: jest.fn(() => { pages.push([]); return doc; }),
+    text: jest.fn((text) => { pages[pages.length - 1].push(text); return doc; }),
+    line: jest.fn(() => doc),
+    rect: jest.fn(() => doc),
+  };
+  return doc;
+};
+
+const order = (overrides = {}) => ({
+  id: 42,
+  storeId: 'gearhub',
+  store: { name: 'GearHub' },
+  status: 'delivered',
+  address: '12 Main St',
+  region: 'CA',
+  postalCode: '90210',
+  subtotal: '60.00',
+  discount: '6.00',
+  couponCode: 'SAVE10',
+  deliveryFee: '5.00',
+  taxRate: '8.250',
+  tax: '4.87',
+  taxIncluded: false,
+  total: '63.87',
+  currency: 'USD',
+  paymentMethod: 'cod',
+  createdAt: new Date('2026-10-01T12:00:00Z'),
+  items: [
+    { productName: 'Mouse', price: '20.00', quantity: 2 },
+    { productName: 'Pad', price: '20.00', quantity: 1 },
+  ],
+  returns: [],
+  ...overrides,
+});
+
+const invoice = { id: 7, issuedAt: new Date('2026-10-02T09:00:00Z'), billingName: 'Ana', billingEmail: 'ana@example.com' };
+
+describe('invoiceNumber', () => {
+  test('should pad the sequence number', () => {
+    expect(invoiceNumber({ id: 7 })).toBe('INV-000007');
+    expect(invoiceNumber({ id: 1234567 })).toBe('INV-1234567');
+  });
+});
+
+describe('invoiceProblem', () => {
+  test('should refuse cancelled and unpaid orders only', () => {
+    expect(invoiceProblem({ status: 'cancelled' })).toBe('Cancelled orders have no invoice');
+    expect(invoiceProblem({ status: 'awaiting_payment' })).toBe('Orders waiting for payment have no invoice yet');
+    expect(invoiceProblem({ status: 'pending' })).toBeNull();
+    expect(invoiceProblem({ status: 'returned' })).toBeNull();
+  });
+});
+
+describe('issueInvoice', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should return the invoice an order already has', async () => {
+    const existing = { id: 3 };
+    expect(await issueInvoice({ id: 1, invoice: existing })).toBe(existing);
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+
+  test('should issue a new invoice with the customer details copied', async () => {
+    Invoice.create.mockResolvedValue({ id: 8 });
+
+    const result = await issueInvoice({ id: 1, invoice: null, user: { name: 'Ana', email: 'ana@example.com' } });
+
+    expect(result).toEqual({ id: 8 });
+    expect(Invoice.create).toHaveBeenCalledWith({ orderId: 1, billingName: 'Ana', billingEmail: 'ana@example.com' });
+  });
+
+  test('should use the invoice a concurrent request issued', async () => {
+    Invoice.create.mockRejectedValue(Object.assign(new Error('duplicate'), { name: 'SequelizeUniqueConstraintError' }));
+    Invoice.findOne.mockResolvedValue({ id: 9 });
+
+    expect(await issueInvoice({ id: 1, user: null })).toEqual({ id: 9 });
+    expect(Invoice.findOne).toHaveBeenCalledWith({ where: { orderId: 1 } });
+  });
+});
+
+describe('parseDateRange', () => {
+  test('should cover both days in full', () => {
+    const range = parseDateRange({ from: '2026-10-01', to: '2026-10-31' });
+
+    expect(range.from.toISOString()).toBe('2026-10-01T00:00:00.000Z');
+    expect(range.to.toISOString()).toBe('2026-10-31T23:59:59.999Z');
+    expect(range.label).toBe('2026-10-01-to-2026-10-31');
+  });
+
+  test('should reject missing, malformed, impossible, and reversed dates', () => {
+    expect(parseDateRange({}).error).toBe('from and to must be dates in YYYY-MM-DD format');
+    expect(parseDateRange({ from: '10/01/2026', to: '2026-10-31' }).error).toBe('from and to must be dates in YYYY-MM-DD format');
+    expect(parseDateRange({ from: '2026-02-30', to: '2026-03-01' }).error).toBe('from and to must be valid dates');
+    expect(parseDateRange({ from: '2026-10-31', to: '2026-10-01' }).error).toBe('from must not be after to');
+  });
+});
+
+describe('drawInvoice', () => {
+  test('should print the invoice details, lines, and totals', () => {
+    const pdf = recorder();
+    drawInvoice(pdf, { invoice, order: order() });
+    const text = pdf.pages.flat();
+
+    expect(pdf.pages).toHaveLength(1);
+    expect(text).toEqual(expect.arrayContaining([
+      'INV-000007', 'Oct 2, 2026', '#42', 'Oct 1, 2026', 'GearHub', 'Ana', 'ana@example.com', '12 Main St', 'CA 90210',
+      'Mouse', '$40.00', 'Discount (SAVE10)', '-$6.00', 'Sales tax (8.25%)', '$4.87', 'Total', '$63.87',
+      'Payment: Cash on delivery', 'All amounts are in USD.',
+    ]));
+    expect(text).not.toContain('Net paid');
+  });
+
+  test('should list refunded returns and the net amount paid', () => {
+    const pdf = recorder();
+    const returns = [
+      { id: 5, status: 'refunded', refundAmount: '21.65', refundedAt: new Date('2026-10-09T00:00:00Z') },
+      { id: 6, status: 'requested', refundAmount: '20.00' },
+    ];
+    drawInvoice(pdf, { invoice, order: order({ returns }) });
+    const text = pdf.pages.flat();
+
+    expect(text).toEqual(expect.arrayContaining(['Refund, return #5 (Oct 9, 2026)', '-$21.65', 'Net paid', '$42.22']));
+    expect(text.some((line) => line.includes('return #6'))).toBe(false);
+  });
+
+  test('should name the card a card order was paid with', () => {
+    const pdf = recorder();
+    drawInvoice(pdf, { invoice, order: order({ paymentMethod: 'card', payment: { cardBrand: 'visa', cardLast4: '4242' } }) });
+
+    expect(pdf.pages.flat()).toContain('Payment: Card (visa ending 4242)');
+  });
+
+  test('should show included tax without a discount line', () => {
+    const pdf = recorder();
+    drawInvoice(pdf, { invoice, order: order({ discount: '0.00', couponCode: null, taxIncluded: true }) });
+    const text = pdf.pages.flat();
+
+    expect(text).toContain('Tax included (8.25%)');
+    expect(text.some((line) => line.startsWith('Discount'))).toBe(false);
+  });
+
+  test('should continue long orders on more pages with the column headings repeated', () => {
+    const pdf = recorder();
+    const items = Array.from({ length: 60 }, (_, i) => ({ productName: `Item ${i}`, price: '1.00', quantity: 1 }));
+    drawInvoice(pdf, { invoice, order: order({ items }) });
+
+    expect(pdf.pages.length).toBeGreaterThan(1);
+    expect(pdf.pages[1]).toEqual(expect.arrayContaining(['INVOICE INV-000007 (continued)', 'ITEM']));
+    expect(pdf.pages.flat().filter((line) => /^Item \d+$/.test(line))).toHaveLength(60);
+  });
+});
+
+describe('renderInvoices', () => {
+  test('should write one PDF with each invoice on its own page', () => {
+    const pdf = renderInvoices([{ invoice, order: order() }, { invoice: { ...invoice, id: 8 }, order: order({ id: 43 }) }], 'Invoices');
+
+    expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    expect(pdf.toString('latin1')).toContain('/Count 2');
+  });
+});
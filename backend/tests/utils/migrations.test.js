@@ -0,0 +1,126 @@
+/**
+ * Unit tests for schema migrations and seeders
+ * Verifies migration files are well formed and the baseline helpers skip existing tables
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTableIfMissing, addIndexIfMissing } = require('../../migrations/helpers/schema');
+const defaultStores = require('../../seeders/20261019000001-default-stores');
+const { DEFAULT_STORES } = require('../../config/stores');
+
+/**
+ * List the migration files in a directory (helpers are not migrations)
+ * @param {string} directory - Directory relative to the backend root
+ * @returns {string[]} File names in run order
+ */
+const listFiles = (directory) => fs.readdirSync(path.join(__dirname, '../..', directory))
+  .filter((file) => file.endsWith('.js'))
+  .sort();
+
+describe('Migration files', () => {
+  test.each(['migrations', 'seeders'])('every file in %s exports up and down', (directory) => {
+    const files = listFiles(directory);
+    expect(files.length).toBeGreaterThan(0);
+
+    for (const file of files) {
+      expect(file).toMatch(/^\d{14}-[a-z0-9-]+\.js$/);
+      const migration = require(path.join(__dirname, '../..', directory, file));
+      expect(typeof migration.up).toBe('function');
+      expect(typeof migration.down).toBe('function');
+    }
+  });
+});
+
+describe('Schema helpers', () => {
+  test('createTableIfMissing should create a table that does not exist', async () => {
+    const queryInterface = {
+      describeTable: jest.fn().mockRejectedValue(new Error('No description found')),
+      createTable: jest.fn()
+    };
+
+    const created = await createTableIfMissing(queryInterface, 'stores', { id: {} });
+
+    expect(created).toBe(true);
+    expect(queryInterface.createTable).toHaveBeenCalledWith('stores', { id: {} });
+  });
+
+  test('createTableIfMissing should leave an existing table alone', async () => {
+    const queryInterface = {
+      describeTable: jest.fn().mockResolvedValue({ id: {} }),
+      createTable: jest.fn()
+    };
+
+    const created = await createTableIfMissing(queryInterface, 'stores', { id: {} });
+
+    expect(created).toBe(false);
+    expect(queryInterface.createTable).not.toHaveBeenCalled();
+  });
+
+  test('addIndexIfMissing should reuse the index name created by sync', async () => {
+    const queryInterface = {
+      showIndex: jest.fn().mockResolvedValue([{ name: 'offers_product_id_store_id' }]),
+      addIndex: jest.fn()
+    };
+
+    await addIndexIfMissing(queryInterface, 'offers', ['productId', 'storeId'], { unique: true });
+
+    expect(queryInterface.addIndex).not.toHaveBeenCalled();
+  });
+
+  test('addIndexIfMissing should add a missing index', async () => {
+    const queryInterface = {
+      showIndex: jest.fn().mockResolvedValue([]),
+      addIndex: jest.fn()
+    };
+
+    await addIndexIfMissing(queryInterface, 'cart_items', ['userId', 'productId'], { unique: true });
+
+    expect(queryInterface.addIndex).toHaveBeenCalledWith('cart_items', ['userId', 'productId'], {
+      unique: true,
+      name: 'cart_items_user_id_product_id'
+    });
+  });
+});
+
+describe('Default stores seeder', () => {
+  const mockQueryInterface = (existingIds) => ({
+    sequelize: {
+      query: jest.fn().mockResolvedValue(existingIds.map((id) => ({ id }))),
+      QueryTypes: { SELECT: 'SELECT' }
+    },
+    bulkInsert: jest.fn()
+  });
+
+  test('should only insert stores that are missing', async () => {
+    const queryInterface = mockQueryInterface([DEFAULT_STORES[0].id]);
+
+    await defaultStores.up({ context: queryInterface });
+
+    const inserted = queryInterface.bulkInsert.mock.calls[0][1].map((store) => store.id);
+    expect(inserted).toEqual(DEFAULT_STORES.slice(1).map((store) => store.id));
+    expect(queryInterface.bulkInsert.mock.calls[0][1][0]).not.toHaveProperty('delivery');
+  });
+
+  test('should add a delivery rule for each inserted store', async () => {
+    const queryInterface = mockQueryInterface([DEFAULT_STORES[0].id]);
+
+    await defaultStores.up({ context: queryInterface });
+
+    const [table, rules] = queryInterface.bulkInsert.mock.calls[1];
+    expect(table).toBe('delivery_rules');
+    expect(rules).toEqual(DEFAULT_STORES.slice(1).map((store) => expect.objectContaining({
+      storeId: store.id,
+      flatFee: store.delivery.flatFee,
+      freeOver: store.delivery.freeOver
+    })));
+  });
+
+  test('should do nothing when every default store exists', async () => {
+    const queryInterface = mockQueryInterface(DEFAULT_STORES.map((store) => store.id));
+
+    await defaultStores.up({ context: queryInterface });
+
+    expect(queryInterface.bulkInsert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Integration tests for the migration runner
+ * Runs every migration and seeder against the in-memory SQLite test database
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../../config/db');
+const models = require('../../models');
+const { migrator, seeder, getPendingMigrations } = require('../../utils/migrator');
+const defaultStores = require('../../seeders/20261019000001-default-stores');
+
+describe('Migration runner', () => {
+  afterAll(() => sequelize.close());
+
+  test('should apply every migration', async () => {
+    // Rows from before a migration that rebuilds a table (SQLite can't alter columns in place)
+    await migrator.up({ to: '20261019000006-create-cart-items.js' });
+    const user = await models.User.create({ name: 'Early Bird', email: 'early@test.com', password: 'secret123' });
+    const product = await models.Product.create({ name: 'Keyboard' });
+    await sequelize.getQueryInterface().bulkInsert('cart_items', [{
+      userId: user.id, productId: product.id, quantity: 2, createdAt: new Date(), updatedAt: new Date()
+    }]);
+    await sequelize.getQueryInterface().bulkInsert('offers', [{
+      productId: product.id, storeId: 'techmart', available: true, price: 40, stock: 5, deliveryCost: 3,
+      createdAt: new Date(), updatedAt: new Date()
+    }]);
+
+    await migrator.up();
+
+    expect(await getPendingMigrations()).toEqual([]);
+    // Rebuilding users must not delete the cart items that reference it
+    expect(await models.CartItem.count({ where: { userId: user.id } })).toBe(1);
+    // Rebuilding offers keeps its rows
+    const offers = await models.Offer.findAll({ where: { productId: product.id } });
+    expect(offers.map((offer) => [offer.storeId, Number(offer.price), offer.deliverySurcharge]))
+      .toEqual([['techmart', 40, null]]);
+  });
+
+  test('migrated tables should have a column for every model attribute', async () => {
+    const queryInterface = sequelize.getQueryInterface();
+
+    for (const model of Object.values(sequelize.models)) {
+      const columns = await queryInterface.describeTable(model.getTableName());
+      const fields = Object.values(model.rawAttributes).map((attribute) => attribute.field);
+      expect({ table: model.getTableName(), missing: fields.filter((field) => !columns[field]) })
+        .toEqual({ table: model.getTableName(), missing: [] });
+    }
+  });
+
+  test('seeders should add the default stores once', async () => {
+    await seeder.up();
+    // Running the seed again (e.g. after it was cleared from SequelizeData) must not duplicate stores
+    await defaultStores.up({ context: sequelize.getQueryInterface() });
+
+    expect(await models.Store.count()).toBe(3);
+  });
+
+  test('a product should be listable at several stores, once per store', async () => {
+    const product = await models.Product.create({ name: 'Desk Lamp' });
+    await models.Offer.bulkCreate([
+      { productId: product.id, storeId: 'techmart', price: 30, stock: 4 },
+      { productId: product.id, storeId: 'gearhub', price: 28, stock: 2 }
+    ]);
+
+    await expect(models.Offer.create({ productId: product.id, storeId: 'gearhub', price: 27, stock: 1 }))
+      .rejects.toThrow(expect.objectContaining({ name: 'SequelizeUniqueConstraintError' }));
+
+    // Deleting the product takes its offers with it
+    await product.destroy();
+    expect(await models.Offer.count({ where: { productId: product.id } })).toBe(0);
+  });
+
+  test('offer changes should be recorded in the price history', async () => {
+    const product = await models.Product.create({ name: 'Monitor' });
+    const offer = await models.Offer.create({ productId: product.id, storeId: 'techmart', price: 200, stock: 3 });
+
+    offer.stock = 2; // Stock changes alone are not price history
+    await offer.save();
+    offer.price = 180;
+    await offer.save();
+    offer.available = false;
+    await offer.save();
+
+    const history = await models.PriceHistory.findAll({ where: { productId: product.id }, order: [['id', 'ASC']] });
+    expect(history.map((row) => [Number(row.price), row.available])).toEqual([[200, true], [180, true], [180, false]]);
+  });
+
+  test('selling the last unit should make the offer unavailable', async () => {
+    const { takeStock } = require('../../utils/stock');
+    const user = await models.User.create({ name: 'Stock Tester', email: 'stock@test.com', password: 'secret123' });
+    const product = await models.Product.create({ name: 'Webcam' });
+    const offer = await models.Offer.create({ productId: product.id, storeId: 'gearhub', price: 50, stock: 1 });
+
+    await sequelize.transaction((transaction) => takeStock(
+      [{ productId: product.id, productName: 'Webcam', quantity: 1 }], 'gearhub', user.id, transaction
+    ));
+
+    await offer.reload();
+    expect([offer.stock, offer.available]).toEqual([0, false]);
+  });
+
+  test('an order with an invoice should not be deletable', async () => {
+    const order = await models.Order.create({ storeId: 'techmart', address: '1 Main St', total: 10 });
+    await models.Invoice.create({ orderId: order.id, issuedAt: new Date() });
+
+    await expect(order.destroy()).rejects.toThrow(expect.objectContaining({ name: 'SequelizeForeignKeyConstraintError' }));
+    expect(await models.Invoice.count({ where: { orderId: order.id } })).toBe(1);
+  });
+
+  test('should roll every migration back', async () => {
+    await migrator.down({ to: 0 });
+
+    const tables = await sequelize.getQueryInterface().showAllTables();
+    expect(tables.filter((table) => !/^Sequelize/.test(table))).toEqual([]);
+  });
+
+  test('should repair an offers table SQLite rebuilt without its (productId, storeId) index', async () => {
+    const queryInterface = sequelize.getQueryInterface();
+    await migrator.up({ to: '20261019000024-add-user-lockout.js' });
+    // What removeColumn used to leave behind: productId and storeId each unique
+    await queryInterface.changeColumn('offers', 'rating', { type: DataTypes.DECIMAL(2, 1), allowNull: true });
+    await seeder.up();
+
+    await migrator.up();
+
+    const product = await models.Product.create({ name: 'Headphones' });
+    await models.Offer.bulkCreate([
+      { productId: product.id, storeId: 'techmart', price: 90, stock: 4 },
+      { productId: product.id, storeId: 'gearhub', price: 85, stock: 2 }
+    ]);
+    expect(await models.Offer.count({ where: { productId: product.id } })).toBe(2);
+  });
+});
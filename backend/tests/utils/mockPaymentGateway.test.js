@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the mock payment gateway
+ * Verifies the test card outcomes, 3-D Secure challenges, capture and refunds, and signed webhook events
+ */
+
+process.env.PAYMENT_WEBHOOK_URL = 'http://localhost/api/payments/webhook';
+
+const gateway = require('../../utils/mockPaymentGateway');
+
+const card = (number, overrides = {}) => ({ number, expMonth: 12, expYear: 2099, cvc: '123', ...overrides });
+
+// Payload and signature header of the last webhook sent
+const lastEvent = () => {
+  const [, options] = global.fetch.mock.calls.at(-1);
+  return { body: options.body, headers: { 'mock-signature': options.headers['mock-signature'] } };
+};
+
+describe('Mock payment gateway', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  test('should check card numbers with the Luhn checksum', () => {
+    expect(gateway.luhnValid('4242424242424242')).toBe(true);
+    expect(gateway.luhnValid('4242424242424241')).toBe(false);
+    expect(gateway.cardBrand('5555555555554444')).toBe('mastercard');
+    expect(gateway.cardBrand('378282246310005')).toBe('amex');
+  });
+
+  test('should refuse invalid card details without failing the payment', async () => {
+    const intent = await gateway.createIntent({ amount: 42.49, currency: 'USD' });
+
+    await expect(gateway.confirmIntent(intent.id, { card: card('4242 4242 4242 4241') }))
+      .rejects.toMatchObject({ code: 'invalid_card', message: 'Your card number is invalid' });
+    await expect(gateway.confirmIntent(intent.id, { card: card('4242424242424242', { expYear: 2020 }) }))
+      .rejects.toMatchObject({ code: 'invalid_card', message: 'Your card has expired' });
+    await expect(gateway.confirmIntent(intent.id, { card: card('4242424242424242', { cvc: '1' }) }))
+      .rejects.toMatchObject({ code: 'invalid_card' });
+
+    const confirmed = await gateway.confirmIntent(intent.id, { card: card('4242 4242 4242 4242') });
+    expect(confirmed).toEqual(expect.objectContaining({ status: 'authorized', card: { brand: 'visa', last4: '4242' } }));
+  });
+
+  test('should decline the declining test cards', async () => {
+    const declined = await gateway.createIntent({ amount: 10, currency: 'USD' });
+    const broke = await gateway.createIntent({ amount: 10, currency: 'USD' });
+
+    expect(await gateway.confirmIntent(declined.id, { card: card('4000000000000002') }))
+      .toEqual(expect.objectContaining({ status: 'failed', failureReason: 'Your card was declined' }));
+    expect(await gateway.confirmIntent(broke.id, { card: card('4000000000009995') }))
+      .toEqual(expect.objectContaining({ status: 'failed', failureReason: 'Your card has insufficient funds' }));
+  });
+
+  test('should ask for a 3-D Secure challenge and act on the answer', async () => {
+    const passed = await gateway.createIntent({ amount: 10, currency: 'EUR' });
+    const failed = await gateway.createIntent({ amount: 10, currency: 'EUR' });
+
+    const challenged = await gateway.confirmIntent(passed.id, { card: card('4000000000003220') });
+    expect(challenged).toEqual(expect.objectContaining({ status: 'requires_action', nextAction: { type: 'three_d_secure' } }));
+    expect(await gateway.completeChallenge(passed.id, true)).toEqual(expect.objectContaining({ status: 'authorized', nextAction: null }));
+
+    await gateway.confirmIntent(failed.id, { card: card('4000000000003220') });
+    expect(await gateway.completeChallenge(failed.id, false))
+      .toEqual(expect.objectContaining({ status: 'failed', failureReason: 'Card authentication failed' }));
+    await expect(gateway.completeChallenge(failed.id, true)).rejects.toMatchObject({ code: 'invalid_state' });
+  });
+
+  test('should capture and refund up to the captured amount', async () => {
+    const intent = await gateway.createIntent({ amount: 65, currency: 'USD' });
+    await expect(gateway.capture(intent.id)).rejects.toMatchObject({ code: 'invalid_state' });
+
+    await gateway.confirmIntent(intent.id, { card: card('4242424242424242') });
+    expect((await gateway.capture(intent.id)).status).toBe('captured');
+    expect(await gateway.refund(intent.id, 40)).toEqual(expect.objectContaining({ status: 'partially_refunded', refundedAmount: 40 }));
+    await expect(gateway.refund(intent.id, 30)).rejects.toMatchObject({ code: 'invalid_state' });
+    expect(await gateway.refund(intent.id, 25)).toEqual(expect.objectContaining({ status: 'refunded', refundedAmount: 65 }));
+  });
+
+  test('should cancel payments that have not been captured', async () => {
+    const intent = await gateway.createIntent({ amount: 10, currency: 'USD' });
+
+    expect((await gateway.cancel(intent.id)).status).toBe('cancelled');
+    await expect(gateway.cancel(intent.id)).rejects.toMatchObject({ code: 'invalid_state' });
+    await expect(gateway.cancel('pi_missing')).rejects.toMatchObject({ code: 'not_found' });
+  });
+
+  test('should send a signed webhook event for every change', async () => {
+    const intent = await gateway.createIntent({ amount: 10, currency: 'USD' });
+    await gateway.confirmIntent(intent.id, { card: card('4242424242424242') });
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost/api/payments/webhook', expect.objectContaining({ method: 'POST' }));
+    const { body, headers } = lastEvent();
+    expect(gateway.verifyWebhook(body, headers)).toEqual(expect.objectContaining({
+      type: 'payment_intent.authorized',
+      data: expect.objectContaining({ id: intent.id, status: 'authorized' }),
+    }));
+  });
+
+  test('should refuse webhooks that were changed, unsigned, or signed too long ago', async () => {
+    const intent = await gateway.createIntent({ amount: 10, currency: 'USD' });
+    await gateway.cancel(intent.id);
+    const { body, headers } = lastEvent();
+
+    expect(gateway.verifyWebhook(body.replace('cancelled', 'authorized'), headers)).toBeNull();
+    expect(gateway.verifyWebhook(body, {})).toBeNull();
+    expect(gateway.verifyWebhook(body, headers, new Date(Date.now() + 10 * 60 * 1000))).toBeNull();
+    expect(gateway.verifyWebhook(body, headers)).not.toBeNull();
+  });
+});
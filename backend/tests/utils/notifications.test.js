@@ -0,0 +1,69 @@
+/**
+ * Unit tests for notification helpers
+ * Verifies which order and return status changes notify the customer
+ */
+
+jest.mock('../../models', () => ({
+  Notification: { create: jest.fn() },
+}));
+
+const { Notification } = require('../../models');
+const { notifyOrderStatusChange, notifyReturnStatusChange } = require('../../utils/notifications');
+
+describe('notifyOrderStatusChange', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should notify the customer when an order ships', async () => {
+    await notifyOrderStatusChange({ userId: 3, productName: 'Mouse' }, 'shipped');
+
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 3,
+      type: 'shipped',
+      message: expect.stringContaining('"Mouse"'),
+    }));
+  });
+
+  test('should add the reason for the change to the message', async () => {
+    await notifyOrderStatusChange({ userId: 3, productName: 'Mouse' }, 'cancelled', 'Payment failed: Your card was declined.');
+
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'cancelled',
+      message: 'Your order "Mouse" has been cancelled. Payment failed: Your card was declined.',
+    }));
+  });
+
+  test('should not notify for statuses without a message', async () => {
+    const result = await notifyOrderStatusChange({ userId: 3, productName: 'Mouse' }, 'awaiting_payment');
+
+    expect(result).toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  test('should not notify when the customer account no longer exists', async () => {
+    await notifyOrderStatusChange({ userId: null, productName: 'Mouse' }, 'delivered');
+
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('notifyReturnStatusChange', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should tell the customer the refund amount with the admin note', async () => {
+    await notifyReturnStatusChange({ id: 5, userId: 3, refundAmount: 39.6, currency: 'EUR' }, 'refunded', 'Back on your card in 3 days.');
+
+    expect(Notification.create).toHaveBeenCalledWith({
+      userId: 3,
+      type: 'return',
+      title: 'Refund Issued 💸',
+      message: 'Your refund of €39.60 for return #5 has been issued. Back on your card in 3 days.',
+    });
+  });
+
+  test('should not notify when the customer sends the return back', async () => {
+    const result = await notifyReturnStatusChange({ id: 5, userId: 3 }, 'in_transit');
+
+    expect(result).toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
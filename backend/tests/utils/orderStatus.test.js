@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the order lifecycle
+ * Verifies the legal next statuses, the reasons illegal changes are refused, and status note validation
+ */
+
+const { nextStatuses, transitionProblem, parseStatusNote } = require('../../utils/orderStatus');
+
+describe('nextStatuses', () => {
+  test('should only allow cancellation before shipping', () => {
+    expect(nextStatuses('pending')).toEqual(['processing', 'cancelled']);
+    expect(nextStatuses('processing')).toEqual(['shipped', 'cancelled']);
+    expect(nextStatuses('shipped')).toEqual(['delivered']);
+  });
+
+  test('should only let an admin cancel an order awaiting payment', () => {
+    expect(nextStatuses('awaiting_payment')).toEqual(['cancelled']);
+    expect(transitionProblem('awaiting_payment', 'processing')).toBe('An awaiting_payment order can only be moved to cancelled');
+  });
+
+  test('should have no next status for finished orders', () => {
+    expect(nextStatuses('delivered')).toEqual([]);
+    expect(nextStatuses('cancelled')).toEqual([]);
+    expect(nextStatuses('lost')).toEqual([]);
+  });
+});
+
+describe('transitionProblem', () => {
+  test('should allow each step of the lifecycle', () => {
+    expect(transitionProblem('pending', 'processing')).toBeNull();
+    expect(transitionProblem('processing', 'shipped')).toBeNull();
+    expect(transitionProblem('shipped', 'delivered')).toBeNull();
+    expect(transitionProblem('pending', 'cancelled')).toBeNull();
+  });
+
+  test('should explain why a change is refused', () => {
+    expect(transitionProblem('shipped', 'shipped')).toBe('Order is already shipped');
+    expect(transitionProblem('pending', 'shipped')).toBe('A pending order can only be moved to processing or cancelled');
+    expect(transitionProblem('shipped', 'cancelled')).toBe('A shipped order can only be moved to delivered');
+    expect(transitionProblem('cancelled', 'pending')).toBe("A cancelled order can't be changed");
+    expect(transitionProblem('pending', 'lost')).toBe('Invalid order status');
+  });
+});
+
+describe('parseStatusNote', () => {
+  test('should trim the note and treat blanks as no note', () => {
+    expect(parseStatusNote('  Left with neighbour ')).toEqual({ error: null, note: 'Left with neighbour' });
+    expect(parseStatusNote('   ')).toEqual({ error: null, note: null });
+    expect(parseStatusNote(undefined)).toEqual({ error: null, note: null });
+  });
+
+  test('should reject notes that are not text or too long', () => {
+    expect(parseStatusNote(42).error).toBe('Note must be text');
+    expect(parseStatusNote('x'.repeat(501)).error).toBe('Note must be 500 characters or fewer');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for payment helpers
+ * Verifies starting payments, applying provider changes once, placing and releasing orders, and expired payments
+ */
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn((callback) => callback({})) },
+  Order: { update: jest.fn(), findByPk: jest.fn(), findAll: jest.fn() },
+  OrderItem: {},
+  OrderStatusChange: { create: jest.fn() },
+  Payment: { create: jest.fn(), update: jest.fn(), findOne: jest.fn() },
+}));
+jest.mock('../../utils/mockPaymentGateway', () => ({
+  createIntent: jest.fn(),
+  confirmIntent: jest.fn(),
+  completeChallenge: jest.fn(),
+  capture: jest.fn(),
+  cancel: jest.fn(),
+  refund: jest.fn(),
+  verifyWebhook: jest.fn(),
+}));
+jest.mock('../../utils/stock', () => ({ restoreStock: jest.fn().mockResolvedValue([]) }));
+jest.mock('../../utils/coupons', () => ({ releaseCoupon: jest.fn() }));
+jest.mock('../../utils/notifications', () => ({ notifyOrderStatusChange: jest.fn() }));
+jest.mock('../../utils/priceAlerts', () => ({ checkRestockAlerts: jest.fn().mockResolvedValue(0) }));
+
+const { Order, OrderStatusChange, Payment } = require('../../models');
+const gateway = require('../../utils/mockPaymentGateway');
+const { restoreStock } = require('../../utils/stock');
+const { releaseCoupon } = require('../../utils/coupons');
+const { notifyOrderStatusChange } = require('../../utils/notifications');
+const { checkRestockAlerts } = require('../../utils/priceAlerts');
+const {
+  PaymentError, paymentErrorStatus, startPayment, confirmPayment, capturePayment, cancelPayment, handleWebhookEvent,
+  releaseExpiredPayments
+} = require('../../utils/payments');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const payment = (overrides = {}) => ({
+  id: 3,
+  orderId: 10,
+  provider: 'mock',
+  providerPaymentId: 'pi_1',
+  status: 'requires_confirmation',
+  amount: '42.49',
+  currency: 'USD',
+  refundedAmount: '0.00',
+  reload: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const intent = (overrides = {}) => ({
+  id: 'pi_1', status: 'authorized', amount: 42.49, currency: 'USD', refundedAmount: 0,
+  card: { brand: 'visa', last4: '4242' }, nextAction: null, failureReason: null, ...overrides,
+});
+
+const order = (overrides = {}) => ({
+  id: 10,
+  userId: 1,
+  storeId: 'gearhub',
+  status: 'awaiting_payment',
+  couponCode: 'SAVE10',
+  items: [{ productId: 7, productName: 'Mouse', quantity: 2 }],
+  ...overrides,
+});
+
+describe('Payments', () => {
+  beforeEach(() => {
+    Order.update.mockResolvedValue([1]);
+    Payment.update.mockResolvedValue([1]);
+    Order.findByPk.mockResolvedValue(order());
+  });
+  afterEach(() => jest.clearAllMocks());
+
+  test('should start a payment for the order total', async () => {
+    gateway.createIntent.mockResolvedValue(intent({ status: 'requires_confirmation', card: null }));
+
+    await startPayment({ id: 10, total: '42.49', currency: 'USD' });
+
+    expect(gateway.createIntent).toHaveBeenCalledWith({ amount: 42.49, currency: 'USD', metadata: { orderId: 10 } });
+    expect(Payment.create).toHaveBeenCalledWith({
+      orderId: 10, provider: 'mock', providerPaymentId: 'pi_1', status: 'requires_confirmation', amount: '42.49', currency: 'USD',
+    });
+  });
+
+  test('should place the order once the payment is authorized', async () => {
+    gateway.confirmIntent.mockResolvedValue(intent());
+    const card = { number: '4242424242424242' };
+
+    await confirmPayment(payment(), card);
+
+    expect(gateway.confirmIntent).toHaveBeenCalledWith('pi_1', { card });
+    expect(Payment.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'authorized', cardBrand: 'visa', cardLast4: '4242', authorizedAt: expect.any(Date) }),
+      { where: { id: 3, status: 'requires_confirmation', refundedAmount: '0.00' } }
+    );
+    expect(Order.update).toHaveBeenCalledWith({ status: 'pending' }, expect.objectContaining({ where: { id: 10, status: 'awaiting_payment' } }));
+    expect(OrderStatusChange.create).toHaveBeenCalledWith(expect.objectContaining({ fromStatus: 'awaiting_payment', toStatus: 'pending' }), { transaction: {} });
+    expect(notifyOrderStatusChange).toHaveBeenCalledWith({ userId: 1, productName: 'Mouse' }, 'pending', null);
+  });
+
+  test('should release the order when the payment fails', async () => {
+    gateway.confirmIntent.mockResolvedValue(intent({ status: 'failed', failureReason: 'Your card was declined' }));
+    restoreStock.mockResolvedValueOnce([{ productId: 7, storeId: 'gearhub' }]);
+
+    await confirmPayment(payment(), {});
+
+    expect(Order.update).toHaveBeenCalledWith({ status: 'cancelled' }, expect.objectContaining({ where: { id: 10, status: 'awaiting_payment' } }));
+    expect(restoreStock).toHaveBeenCalledWith(order().items, 'gearhub', {});
+    expect(releaseCoupon).toHaveBeenCalledWith('SAVE10', 'gearhub', {});
+    expect(OrderStatusChange.create).toHaveBeenCalledWith(expect.objectContaining({
+      toStatus: 'cancelled', note: 'Payment failed: Your card was declined.',
+    }), { transaction: {} });
+    expect(notifyOrderStatusChange).toHaveBeenCalledWith(expect.any(Object), 'cancelled', 'Payment failed: Your card was declined.');
+    expect(checkRestockAlerts).toHaveBeenCalledWith([{ productId: 7, storeId: 'gearhub' }]);
+  });
+
+  test('should apply a change only once when the webhook and the confirmation both report it', async () => {
+    Payment.findOne.mockResolvedValue(payment());
+    Payment.update.mockResolvedValue([0]);
+
+    await handleWebhookEvent('mock', { id: 'evt_1', type: 'payment_intent.authorized', data: intent() });
+
+    expect(Payment.findOne).toHaveBeenCalledWith({ where: { provider: 'mock', providerPaymentId: 'pi_1' } });
+    expect(Order.update).not.toHaveBeenCalled();
+  });
+
+  test('should ignore late events and events about unknown payments', async () => {
+    Payment.findOne.mockResolvedValueOnce(payment({ status: 'captured' }));
+    await handleWebhookEvent('mock', { id: 'evt_2', data: intent({ status: 'authorized' }) });
+
+    Payment.findOne.mockResolvedValueOnce(null);
+    expect(await handleWebhookEvent('mock', { id: 'evt_3', data: intent({ id: 'pi_other' }) })).toBeNull();
+
+    expect(Payment.update).not.toHaveBeenCalled();
+  });
+
+  test('should capture authorized payments only once', async () => {
+    gateway.capture.mockResolvedValue(intent({ status: 'captured' }));
+
+    await capturePayment(payment({ status: 'authorized' }));
+    await capturePayment(payment({ status: 'captured' }));
+
+    expect(gateway.capture).toHaveBeenCalledTimes(1);
+    expect(Payment.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'captured', capturedAt: expect.any(Date) }), expect.any(Object));
+  });
+
+  test('should cancel uncaptured payments and refund what is left of captured ones', async () => {
+    gateway.cancel.mockResolvedValue(intent({ status: 'cancelled' }));
+    gateway.refund.mockResolvedValue(intent({ status: 'refunded', refundedAmount: 42.49 }));
+
+    await cancelPayment(payment({ status: 'authorized' }));
+    await cancelPayment(payment({ status: 'partially_refunded', refundedAmount: '10.00' }));
+
+    expect(gateway.cancel).toHaveBeenCalledWith('pi_1');
+    expect(gateway.refund).toHaveBeenCalledWith('pi_1', 32.49);
+    // Cancelling the payment is left to whoever cancels the order
+    expect(Order.update).not.toHaveBeenCalled();
+  });
+
+  test('should report provider failures as payment errors', async () => {
+    gateway.confirmIntent.mockRejectedValue(Object.assign(new Error('Your card number is invalid'), { code: 'invalid_card' }));
+    gateway.capture.mockRejectedValue(new Error('socket hang up'));
+
+    const invalid = await confirmPayment(payment(), {}).catch((error) => error);
+    const down = await capturePayment(payment({ status: 'authorized' })).catch((error) => error);
+
+    expect(invalid).toBeInstanceOf(PaymentError);
+    expect(paymentErrorStatus(invalid)).toBe(400);
+    expect(paymentErrorStatus(down)).toBe(502);
+  });
+
+  test('should release orders left unpaid past the timeout', async () => {
+    gateway.cancel.mockResolvedValue(intent({ status: 'cancelled' }));
+    Order.findAll.mockResolvedValue([
+      order({ id: 10, payment: payment() }),
+      order({ id: 11, payment: null }),
+      order({ id: 12, payment: payment({ id: 4, orderId: 12, status: 'authorized' }) }),
+    ]);
+
+    const released = await releaseExpiredPayments(NOW);
+
+    expect(Order.findAll.mock.calls[0][0].where.createdAt).toBeDefined();
+    expect(gateway.cancel).toHaveBeenCalledTimes(1);
+    expect(OrderStatusChange.create).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 11, toStatus: 'cancelled', note: 'Payment was not completed in time.',
+    }), { transaction: {} });
+    // The authorized one is placed instead
+    expect(Order.update).toHaveBeenCalledWith({ status: 'pending' }, expect.objectContaining({ where: { id: 12, status: 'awaiting_payment' } }));
+    expect(released).toBe(2);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the PDF writer
+ * Verifies text encoding and measuring, word wrapping, and that written files have a valid structure
+ */
+
+const zlib = require('zlib');
+const { encodeText, textWidth, wrapText, createPdf } = require('../../utils/pdf');
+
+// Inflate every content stream of a PDF and collect the text drawn on each page
+const pageTexts = (buffer) => {
+  const raw = buffer.toString('latin1');
+  const pattern = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  const pages = [];
+  let match;
+  while ((match = pattern.exec(raw))) {
+    const start = match.index + match[0].length;
+    const content = zlib.inflateSync(buffer.subarray(start, start + Number(match[1]))).toString('latin1');
+    pages.push([...content.matchAll(/<([0-9a-f]*)> Tj/g)].map((m) => Buffer.from(m[1], 'hex').toString('latin1')));
+  }
+  return pages;
+};
+
+describe('encodeText', () => {
+  test('should keep ASCII and Latin-1 characters', () => {
+    expect([...encodeText('Aé 1')]).toEqual([0x41, 0xe9, 0x20, 0x31]);
+  });
+
+  test('should map WinAnsi extras and replace characters the fonts lack', () => {
+    expect([...encodeText('€—✓')]).toEqual([0x80, 0x97, 0x3f]);
+  });
+});
+
+describe('textWidth', () => {
+  test('should measure with the Helvetica widths', () => {
+    // 1, ., 0, 0 → 556 + 278 + 556 + 556 units
+    expect(textWidth('1.00', 10)).toBeCloseTo(19.46);
+    expect(textWidth('', 10)).toBe(0);
+  });
+
+  test('should scale with the font size', () => {
+    expect(textWidth('Total', 20)).toBeCloseTo(textWidth('Total', 10) * 2);
+  });
+});
+
+describe('wrapText', () => {
+  test('should break between words to fit the width', () => {
+    const lines = wrapText('one two three four five six', textWidth('one two three', 10), 10);
+    expect(lines).toEqual(['one two three', 'four five six']);
+  });
+
+  test('should keep long words whole and start new lines at newlines', () => {
+    expect(wrapText('Supercalifragilistic', 20, 10)).toEqual(['Supercalifragilistic']);
+    expect(wrapText('12 Main St\nSpringfield', 500, 10)).toEqual(['12 Main St', 'Springfield']);
+  });
+
+  test('should give one empty line for empty text', () => {
+    expect(wrapText(null, 100, 10)).toEqual(['']);
+  });
+});
+
+describe('createPdf', () => {
+  test('should write a PDF with a header, trailer, and one blank page when nothing is drawn', () => {
+    const buffer = createPdf().toBuffer();
+    const raw = buffer.toString('latin1');
+
+    expect(raw.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(raw.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(raw).toContain('/Count 1');
+  });
+
+  test('should record the byte offset of every object in the cross-reference table', () => {
+    const pdf = createPdf({ title: 'Test' });
+    pdf.text('Page one', 50, 50).addPage().text('Page two', 50, 50);
+    const buffer = pdf.toBuffer();
+    const raw = buffer.toString('latin1');
+
+    const xrefStart = raw.lastIndexOf('\nxref\n') + 1;
+    const xref = raw.slice(xrefStart);
+    const offsets = [...xref.matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+    expect(offsets).toHaveLength(9);
+    offsets.forEach((offset, i) => expect(raw.startsWith(`${i + 1} 0 obj\n`, offset)).toBe(true));
+    expect(Number(raw.match(/startxref\n(\d+)/)[1])).toBe(xrefStart);
+  });
+
+  test('should put drawn text on the page it was drawn on', () => {
+    const pdf = createPdf();
+    pdf.text('Hello €5', 50, 50, { bold: true }).line(50, 60, 200, 60).addPage().text('Second', 50, 50, { align: 'right' });
+
+    expect(pdf.pageCount()).toBe(2);
+    expect(pageTexts(pdf.toBuffer())).toEqual([['Hello \x805'], ['Second']]);
+  });
+});
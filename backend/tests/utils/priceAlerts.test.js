@@ -0,0 +1,224 @@
+/**
+ * Unit tests for price alerts
+ * Verifies offer diffing, alert conditions, currency conversion, debouncing, delivery, and restock checks
+ */
+
+jest.mock('../../models', () => ({
+  Product: { findByPk: jest.fn() },
+  Offer: {},
+  Store: {},
+  PriceAlert: { findAll: jest.fn() },
+  User: {},
+  Notification: { create: jest.fn() },
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) },
+}));
+jest.mock('../../utils/mailer', () => ({
+  sendMail: jest.fn().mockResolvedValue({ messageId: 'test-id' }),
+}));
+
+const { Product, PriceAlert, Notification } = require('../../models');
+const { sendMail } = require('../../utils/mailer');
+const {
+  diffOffers, findTrigger, describeTrigger, checkPriceAlerts, checkRestockAlerts
+} = require('../../utils/priceAlerts');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+
+const change = (overrides = {}) => ({
+  storeId: 'techmart',
+  storeName: 'TechMart',
+  price: 80,
+  currency: 'USD',
+  basePrice: overrides.price ?? 80,
+  available: true,
+  previousPrice: 100,
+  previousAvailable: true,
+  ...overrides,
+});
+
+describe('diffOffers', () => {
+  test('should keep only offers whose price or availability changed at active stores', () => {
+    const before = [
+      { storeId: 'techmart', price: 100, available: true },
+      { storeId: 'gearhub', price: 50, available: true },
+      { storeId: 'proshop', price: 70, available: false },
+    ];
+    const after = [
+      { storeId: 'techmart', price: '90.00', available: true, store: { name: 'TechMart', active: true } },
+      { storeId: 'gearhub', price: '50.00', available: true, store: { name: 'GearHub', active: true } },
+      { storeId: 'proshop', price: '70.00', available: true, store: { name: 'ProShop', active: true } },
+      { storeId: 'oldshop', price: '10.00', available: true, store: { name: 'OldShop', active: false } },
+    ];
+
+    expect(diffOffers(before, after)).toEqual([
+      change({ price: 90 }),
+      change({ storeId: 'proshop', storeName: 'ProShop', price: 70, previousPrice: 70, previousAvailable: false }),
+    ]);
+  });
+
+  test('should convert prices to the base currency and skip currencies without a rate', () => {
+    const after = [
+      { storeId: 'eurotech', price: '45.00', available: true, store: { name: 'EuroTech', currency: 'EUR', active: true } },
+      { storeId: 'yenshop', price: '9000', available: true, store: { name: 'YenShop', currency: 'JPY', active: true } },
+    ];
+
+    expect(diffOffers([], after, { EUR: 0.9 })).toEqual([expect.objectContaining({
+      storeId: 'eurotech', price: 45, currency: 'EUR', basePrice: 50,
+    })]);
+  });
+});
+
+describe('findTrigger', () => {
+  test('should fire on any drop when there is no target price', () => {
+    expect(findTrigger({ targetPrice: null }, [change()], NOW)).toEqual(change());
+    expect(findTrigger({ targetPrice: null }, [change({ price: 110 })], NOW)).toBeNull();
+  });
+
+  test('should only fire at or below the target price', () => {
+    expect(findTrigger({ targetPrice: '85.00' }, [change()], NOW)).toEqual(change());
+    expect(findTrigger({ targetPrice: '75.00' }, [change()], NOW)).toBeNull();
+  });
+
+  test('should fire when a product comes back in stock below the target', () => {
+    const restocked = change({ previousPrice: 80, previousAvailable: false });
+
+    expect(findTrigger({ targetPrice: '85.00' }, [restocked], NOW)).toEqual(restocked);
+    expect(findTrigger({ targetPrice: null }, [restocked], NOW)).toBeNull();
+  });
+
+  test('should ignore stores that are not watched and unavailable offers', () => {
+    expect(findTrigger({ targetPrice: null, storeIds: ['gearhub'] }, [change()], NOW)).toBeNull();
+    expect(findTrigger({ targetPrice: null }, [change({ available: false })], NOW)).toBeNull();
+  });
+
+  test('should pick the cheapest triggering store', () => {
+    const cheaper = change({ storeId: 'gearhub', storeName: 'GearHub', price: 70 });
+
+    expect(findTrigger({ targetPrice: null }, [change(), cheaper], NOW)).toEqual(cheaper);
+  });
+
+  test('should compare target prices in the base currency', () => {
+    const euro = change({ price: 72, currency: 'EUR', basePrice: 90, previousPrice: 80 });
+
+    expect(findTrigger({ targetPrice: '85.00' }, [euro], NOW)).toBeNull();
+    expect(findTrigger({ targetPrice: '90.00' }, [euro], NOW)).toEqual(euro);
+  });
+
+  test('should debounce repeats within the cooldown unless the price beats the last alert', () => {
+    const recent = { targetPrice: null, lastNotifiedAt: hoursAgo(2), lastNotifiedPrice: '80.00' };
+
+    expect(findTrigger(recent, [change({ price: 80, previousPrice: 85 })], NOW)).toBeNull();
+    expect(findTrigger(recent, [change({ price: 75, previousPrice: 80 })], NOW)).not.toBeNull();
+    expect(findTrigger({ ...recent, lastNotifiedAt: hoursAgo(25) }, [change({ price: 80, previousPrice: 85 })], NOW)).not.toBeNull();
+  });
+});
+
+describe('describeTrigger', () => {
+  test('should mention the target price when one is set', () => {
+    expect(describeTrigger({ targetPrice: '85.00' }, 'Keyboard', change()))
+      .toBe('"Keyboard" is now $80.00 at TechMart (was $100.00), at or below your target of $85.00.');
+    expect(describeTrigger({ targetPrice: null }, 'Keyboard', change()))
+      .toBe('"Keyboard" dropped to $80.00 at TechMart (was $100.00).');
+    expect(describeTrigger({ targetPrice: '90.00' }, 'Keyboard', change({ price: 72, currency: 'EUR', previousPrice: 80 })))
+      .toBe('"Keyboard" is now €72.00 at TechMart (was €80.00), at or below your target of $90.00.');
+  });
+});
+
+describe('checkPriceAlerts', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const product = {
+    id: 4,
+    name: 'Keyboard',
+    offers: [{ storeId: 'techmart', price: '80.00', available: true, store: { name: 'TechMart', active: true } }],
+  };
+  const before = [{ storeId: 'techmart', price: 100, available: true }];
+
+  test('should notify, email, and stamp each alert that fires', async () => {
+    const alert = {
+      id: 1,
+      userId: 7,
+      targetPrice: null,
+      user: { id: 7, name: 'Ada', email: 'ada@test.com' },
+      save: jest.fn(),
+    };
+    const paused = { id: 2, userId: 8, targetPrice: '50.00', user: { id: 8 }, save: jest.fn() };
+    PriceAlert.findAll.mockResolvedValue([alert, paused]);
+
+    const fired = await checkPriceAlerts(product, before);
+
+    expect(fired).toBe(1);
+    expect(PriceAlert.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { productId: 4, active: true } }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 7, type: 'price' }));
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@test.com' }));
+    expect(alert.lastNotifiedPrice).toBe(80);
+    expect(alert.save).toHaveBeenCalled();
+    expect(paused.save).not.toHaveBeenCalled();
+  });
+
+  test('should escape names in the email HTML', async () => {
+    const alert = {
+      id: 1,
+      userId: 7,
+      targetPrice: null,
+      user: { id: 7, name: '<b>Ada</b>', email: 'ada@test.com' },
+      save: jest.fn(),
+    };
+    PriceAlert.findAll.mockResolvedValue([alert]);
+
+    await checkPriceAlerts({ ...product, name: 'Mouse <img src=x onerror=alert(1)>' }, before);
+
+    const { html } = sendMail.mock.calls[0][0];
+    expect(html).toContain('&lt;b&gt;Ada&lt;/b&gt;');
+    expect(html).toContain('Mouse &lt;img src=x onerror=alert(1)&gt;');
+    expect(html).not.toContain('<img');
+  });
+
+  test('should keep the alert fired when the email fails', async () => {
+    const alert = { id: 1, userId: 7, targetPrice: null, user: { email: 'ada@test.com' }, save: jest.fn() };
+    PriceAlert.findAll.mockResolvedValue([alert]);
+    sendMail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    await expect(checkPriceAlerts(product, before)).resolves.toBe(1);
+    expect(alert.save).toHaveBeenCalled();
+  });
+
+  test('should skip loading alerts when no offer changed', async () => {
+    await checkPriceAlerts(product, [{ storeId: 'techmart', price: 80, available: true }]);
+
+    expect(PriceAlert.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('checkRestockAlerts', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const product = {
+    id: 4,
+    name: 'Keyboard',
+    offers: [
+      { storeId: 'techmart', price: '80.00', available: true, store: { name: 'TechMart', active: true } },
+      { storeId: 'gearhub', price: '70.00', available: true, store: { name: 'GearHub', active: true } },
+    ],
+  };
+
+  test('should fire target alerts on offers that came back in stock', async () => {
+    const alert = { id: 1, userId: 7, targetPrice: '75.00', user: { id: 7, name: 'Ada', email: 'ada@test.com' }, save: jest.fn() };
+    Product.findByPk.mockResolvedValue(product);
+    PriceAlert.findAll.mockResolvedValue([alert]);
+
+    const fired = await checkRestockAlerts([{ productId: 4, storeId: 'gearhub' }, { productId: 4, storeId: 'gearhub' }]);
+
+    expect(fired).toBe(1);
+    expect(Product.findByPk).toHaveBeenCalledTimes(1);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('GearHub') }));
+    expect(alert.lastNotifiedPrice).toBe(70);
+  });
+
+  test('should do nothing when no offer came back', async () => {
+    await expect(checkRestockAlerts([])).resolves.toBe(0);
+
+    expect(Product.findByPk).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for price history helpers
+ * Verifies chart points and time-weighted window summaries
+ */
+
+const { toPoints, pointsSince, summarizeWindow, summarizeHistory } = require('../../utils/priceHistory');
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+// 100 for 200 days, 80 for 50 days, unavailable for 10 days, then 90 for the last 20 days
+const rows = [
+  { price: '90.00', available: true, recordedAt: daysAgo(20) },
+  { price: '100.00', available: true, recordedAt: daysAgo(280) },
+  { price: '80.00', available: true, recordedAt: daysAgo(80) },
+  { price: '80.00', available: false, recordedAt: daysAgo(30) },
+];
+
+describe('toPoints', () => {
+  test('should convert prices to numbers and sort oldest first', () => {
+    const points = toPoints(rows);
+
+    expect(points.map((p) => p.price)).toEqual([100, 80, 80, 90]);
+    expect(points[0].recordedAt).toEqual(daysAgo(280));
+  });
+});
+
+describe('pointsSince', () => {
+  test('should start the series with the point in effect at the start', () => {
+    const points = pointsSince(toPoints(rows), daysAgo(90));
+
+    expect(points.map((p) => p.price)).toEqual([100, 80, 80, 90]);
+    expect(points[0].recordedAt).toEqual(daysAgo(90));
+  });
+
+  test('should return every point when they all come after the start', () => {
+    expect(pointsSince(toPoints(rows), daysAgo(365))).toHaveLength(4);
+  });
+});
+
+describe('summarizeWindow', () => {
+  test('should weight the average by how long each price lasted and skip unavailable time', () => {
+    // Available: 100 for 10 days, 80 for 50 days, 90 for 20 days
+    expect(summarizeWindow(toPoints(rows), 90, NOW)).toEqual({
+      days: 90, min: 80, max: 100, average: 85, changes: 3
+    });
+  });
+
+  test('should only count prices in effect during the window', () => {
+    // Unavailable for the first 10 days, then 90
+    expect(summarizeWindow(toPoints(rows), 30, NOW)).toEqual({
+      days: 30, min: 90, max: 90, average: 90, changes: 2
+    });
+  });
+
+  test('should return empty stats when the product was never available in the window', () => {
+    const points = toPoints([{ price: '50.00', available: false, recordedAt: daysAgo(100) }]);
+
+    expect(summarizeWindow(points, 30, NOW)).toEqual({ days: 30, min: null, max: null, average: null, changes: 0 });
+  });
+
+  test('should fall back to a plain average for prices recorded just now', () => {
+    const points = toPoints([{ price: '50.00', available: true, recordedAt: NOW }]);
+
+    expect(summarizeWindow(points, 30, NOW)).toEqual({ days: 30, min: 50, max: 50, average: 50, changes: 1 });
+  });
+});
+
+describe('summarizeHistory', () => {
+  test('should summarize the 30, 90, and 365 day windows', () => {
+    expect(summarizeHistory(toPoints(rows), NOW).map((s) => s.days)).toEqual([30, 90, 365]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for returns
+ * Verifies the return window, item and photo validation, the return lifecycle, refund amounts,
+ * and the order status after a refund
+ */
+
+const {
+  returnTransitionProblem, returnDeadline, returnWindowProblem, returnedQuantities, parseReturnItems, parsePhotos,
+  calculateRefund, orderStatusAfterRefund
+} = require('../../utils/returns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const orderItem = (id, price, quantity, productName = `Item ${id}`) => ({ id, price: String(price), quantity, productName });
+
+const order = (overrides = {}) => ({
+  status: 'delivered',
+  subtotal: '100.00',
+  deliveryFee: '10.00',
+  discount: '0.00',
+  tax: '0.00',
+  taxIncluded: false,
+  total: '110.00',
+  items: [orderItem(1, 20, 3), orderItem(2, 40, 1)],
+  history: [{ toStatus: 'delivered', changedAt: '2026-10-01T00:00:00Z' }],
+  updatedAt: '2026-10-05T00:00:00Z',
+  ...overrides,
+});
+
+describe('returnTransitionProblem', () => {
+  test('should follow the return lifecycle', () => {
+    expect(returnTransitionProblem('requested', 'approved')).toBeNull();
+    expect(returnTransitionProblem('approved', 'in_transit')).toBeNull();
+    expect(returnTransitionProblem('approved', 'received')).toBeNull();
+    expect(returnTransitionProblem('received', 'refunded')).toBeNull();
+  });
+
+  test('should explain why a change is refused', () => {
+    expect(returnTransitionProblem('requested', 'refunded')).toBe("A requested return can't be marked refunded");
+    expect(returnTransitionProblem('in_transit', 'in_transit')).toBe('Return is already in transit');
+    expect(returnTransitionProblem('requested', 'lost')).toBe('Invalid return status');
+  });
+});
+
+describe('return window', () => {
+  test('should count from the latest delivery in the history', () => {
+    expect(returnDeadline(order())).toEqual(new Date(new Date('2026-10-01T00:00:00Z').getTime() + 30 * DAY_MS));
+    expect(returnDeadline(order({ history: [] }))).toEqual(new Date(new Date('2026-10-05T00:00:00Z').getTime() + 30 * DAY_MS));
+  });
+
+  test('should only allow returns from delivered orders inside the window', () => {
+    expect(returnWindowProblem(order(), new Date('2026-10-20T00:00:00Z'))).toBeNull();
+    expect(returnWindowProblem(order(), new Date('2026-11-15T00:00:00Z'))).toBe('Returns must be requested within 30 days of delivery');
+    expect(returnWindowProblem(order({ status: 'shipped' }))).toBe('Only delivered orders can be returned');
+    expect(returnDeadline(order({ status: 'returned' }))).toBeNull();
+  });
+});
+
+describe('parseReturnItems', () => {
+  const returns = [
+    { status: 'requested', items: [{ orderItemId: 1, quantity: 1 }] },
+    { status: 'rejected', items: [{ orderItemId: 1, quantity: 2 }] },
+  ];
+
+  test('should skip rejected returns when counting returned units', () => {
+    expect(returnedQuantities(returns)).toEqual(new Map([[1, 1]]));
+  });
+
+  test('should combine duplicate lines', () => {
+    const { error, lines } = parseReturnItems([{ orderItemId: 1, quantity: 1 }, { orderItemId: 1, quantity: 1 }], order(), new Map());
+
+    expect(error).toBeNull();
+    expect(lines).toEqual([{ orderItem: order().items[0], quantity: 2 }]);
+  });
+
+  test('should refuse more units than are left to return', () => {
+    const already = returnedQuantities(returns);
+
+    expect(parseReturnItems([{ orderItemId: 1, quantity: 3 }], order(), already).error).toBe('Only 2 of Item 1 can still be returned');
+    expect(parseReturnItems([{ orderItemId: 2, quantity: 1 }], order(), new Map([[2, 1]])).error).toBe('Item 2 has already been returned');
+  });
+
+  test('should refuse lines from other orders and empty requests', () => {
+    expect(parseReturnItems([{ orderItemId: 9, quantity: 1 }], order(), new Map()).error).toBe('That item is not on this order');
+    expect(parseReturnItems([], order(), new Map()).error).toBe('Choose at least one item to return');
+  });
+});
+
+describe('parsePhotos', () => {
+  test('should accept image data URLs and links', () => {
+    const photos = ['data:image/png;base64,iVBORw0KGgo=', 'https://example.com/box.jpg'];
+
+    expect(parsePhotos(photos)).toEqual({ error: null, photos });
+    expect(parsePhotos([])).toEqual({ error: null, photos: null });
+  });
+
+  test('should refuse other content and too many photos', () => {
+    expect(parsePhotos(['data:text/html;base64,PGI+']).error).toBe('Photos must be images');
+    expect(parsePhotos(['a', 'b', 'c', 'd']).error).toBe('Attach at most 3 photos');
+  });
+});
+
+describe('calculateRefund', () => {
+  const lines = [{ orderItem: orderItem(1, 20, 3), quantity: 2 }];
+
+  test('should refund the returned lines without delivery for a change of mind', () => {
+    expect(calculateRefund({ order: order(), lines, reason: 'changed_mind' })).toEqual({
+      subtotal: 40, discount: 0, deliveryFee: 0, tax: 0, refundAmount: 40,
+    });
+  });
+
+  test('should take off the share of the promo discount and add the share of the tax', () => {
+    const discounted = order({ discount: '10.00', tax: '10.00', total: '110.00' });
+
+    // 40 of 100 in items: 4 off, then 36 of the 100 taxed gets 3.60 tax back
+    expect(calculateRefund({ order: discounted, lines, reason: 'changed_mind' })).toEqual({
+      subtotal: 40, discount: 4, deliveryFee: 0, tax: 3.6, refundAmount: 39.6,
+    });
+  });
+
+  test('should not add tax the prices already included', () => {
+    const included = order({ tax: '10.00', taxIncluded: true });
+
+    expect(calculateRefund({ order: included, lines, reason: 'changed_mind' }).refundAmount).toBe(40);
+  });
+
+  test('should refund delivery when the store is at fault and the return completes the order', () => {
+    const refund = calculateRefund({ order: order(), lines, reason: 'damaged', completesOrder: true });
+
+    expect(refund.deliveryFee).toBe(10);
+    expect(refund.refundAmount).toBe(50);
+    expect(calculateRefund({ order: order(), lines, reason: 'changed_mind', completesOrder: true }).deliveryFee).toBe(0);
+  });
+
+  test('should treat free delivery discounts as coming off the delivery fee', () => {
+    const freeDelivery = order({ discount: '10.00', total: '100.00' });
+
+    expect(calculateRefund({ order: freeDelivery, lines, reason: 'damaged', couponType: 'free_delivery', completesOrder: true }))
+      .toEqual({ subtotal: 40, discount: 0, deliveryFee: 0, tax: 0, refundAmount: 40 });
+  });
+
+  test('should never refund more than the order total across returns', () => {
+    expect(calculateRefund({ order: order(), lines, reason: 'changed_mind', alreadyRefunded: 90 }).refundAmount).toBe(20);
+  });
+});
+
+describe('orderStatusAfterRefund', () => {
+  test('should mark the order returned once every unit is refunded', () => {
+    const partly = [{ status: 'refunded', items: [{ orderItemId: 1, quantity: 3 }] }];
+    const fully = [...partly, { status: 'refunded', items: [{ orderItemId: 2, quantity: 1 }] }];
+
+    expect(orderStatusAfterRefund(order(), partly)).toBe('partially_returned');
+    expect(orderStatusAfterRefund(order(), fully)).toBe('returned');
+  });
+});
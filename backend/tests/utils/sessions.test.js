@@ -0,0 +1,115 @@
+/**
+ * Unit tests for session helpers
+ * Verifies refresh token rotation, reuse detection, revocation, and access token checks
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../../config/constants');
+const Session = require('../../models/Session');
+
+jest.mock('../../models/Session');
+
+const { SessionError, startSession, refreshSession, revokeUserSessions, verifyAccessToken } = require('../../utils/sessions');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const SECRET = 'b'.repeat(64);
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const session = (overrides = {}) => ({
+  id: 4,
+  userId: 1,
+  tokenHash: hash(SECRET),
+  expiresAt: new Date('2026-11-01T00:00:00Z'),
+  revokedAt: null,
+  ...overrides,
+});
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    Session.update.mockResolvedValue([1]);
+    Session.findByPk.mockResolvedValue(session());
+  });
+  afterEach(() => jest.clearAllMocks());
+
+  test('should store only a hash of the refresh token and record the device', async () => {
+    Session.create.mockImplementation(async (values) => ({ id: 4, ...values }));
+
+    const { token, refreshToken } = await startSession({ id: 1 }, { headers: { 'user-agent': 'Firefox' }, ip: '10.0.0.1' }, NOW);
+
+    const [, secret] = refreshToken.split('.');
+    expect(Session.create).toHaveBeenCalledWith({
+      userId: 1,
+      tokenHash: hash(secret),
+      expiresAt: new Date('2026-11-18T12:00:00Z'),
+      lastUsedAt: NOW,
+      userAgent: 'Firefox',
+      ipAddress: '10.0.0.1',
+    });
+    expect(jwt.verify(token, JWT_SECRET)).toEqual(expect.objectContaining({ userId: 1, sid: 4 }));
+  });
+
+  test('should rotate the refresh token and push the expiry back', async () => {
+    const { refreshToken } = await refreshSession(`4.${SECRET}`, NOW);
+
+    const [, secret] = refreshToken.split('.');
+    expect(secret).not.toBe(SECRET);
+    expect(Session.update).toHaveBeenCalledWith(
+      { tokenHash: hash(secret), expiresAt: new Date('2026-11-18T12:00:00Z'), lastUsedAt: NOW },
+      { where: { id: 4, tokenHash: hash(SECRET), revokedAt: null } }
+    );
+  });
+
+  test('should revoke the session when an already used refresh token comes back', async () => {
+    const used = 'c'.repeat(64);
+
+    await expect(refreshSession(`4.${used}`, NOW)).rejects.toThrow(SessionError);
+
+    expect(Session.update).toHaveBeenCalledTimes(1);
+    expect(Session.update).toHaveBeenCalledWith(
+      { revokedAt: NOW, revokedReason: 'token_reuse' },
+      { where: { id: 4, revokedAt: null } }
+    );
+  });
+
+  test('should refuse expired, revoked, unknown, and malformed refresh tokens', async () => {
+    Session.findByPk.mockResolvedValueOnce(session({ expiresAt: new Date('2026-10-01T00:00:00Z') }));
+    await expect(refreshSession(`4.${SECRET}`, NOW)).rejects.toThrow(SessionError);
+
+    Session.findByPk.mockResolvedValueOnce(session({ revokedAt: new Date('2026-10-18T00:00:00Z') }));
+    await expect(refreshSession(`4.${SECRET}`, NOW)).rejects.toThrow(SessionError);
+
+    Session.findByPk.mockResolvedValueOnce(null);
+    await expect(refreshSession(`5.${SECRET}`, NOW)).rejects.toThrow(SessionError);
+
+    await expect(refreshSession('garbage', NOW)).rejects.toThrow(SessionError);
+    expect(Session.update).not.toHaveBeenCalled();
+  });
+
+  test('should give only one of two simultaneous refreshes a new pair', async () => {
+    Session.update.mockResolvedValue([0]);
+
+    await expect(refreshSession(`4.${SECRET}`, NOW)).rejects.toThrow(SessionError);
+  });
+
+  test('should revoke every session of a user except the current one', async () => {
+    await revokeUserSessions(1, 'password_change', 4);
+    await revokeUserSessions(1, 'password_reset');
+
+    expect(Session.update.mock.calls[0][1].where).toEqual(expect.objectContaining({ userId: 1, revokedAt: null }));
+    expect(Session.update.mock.calls[0][1].where.id).toBeDefined();
+    expect(Session.update.mock.calls[1][1]).toEqual({ where: { userId: 1, revokedAt: null } });
+  });
+
+  test('should accept access tokens only while their session is active', async () => {
+    const token = jwt.sign({ userId: 1, sid: 4 }, JWT_SECRET, { expiresIn: '15m' });
+    await expect(verifyAccessToken(token)).resolves.toEqual(expect.objectContaining({ userId: 1, sid: 4 }));
+
+    Session.findByPk.mockResolvedValueOnce(session({ revokedAt: new Date() }));
+    await expect(verifyAccessToken(token)).rejects.toThrow(SessionError);
+
+    // A session of someone else
+    Session.findByPk.mockResolvedValueOnce(session({ userId: 2 }));
+    await expect(verifyAccessToken(token)).rejects.toThrow(SessionError);
+  });
+});
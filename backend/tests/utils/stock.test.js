@@ -0,0 +1,145 @@
+/**
+ * Unit tests for stock helpers
+ * Verifies stock checks, decrements, restores, and checkout holds with mocked models
+ */
+
+jest.mock('../../models', () => ({
+  Product: {},
+  Offer: { findOne: jest.fn() },
+  Store: {},
+  StockReservation: {
+    sum: jest.fn(),
+    destroy: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+const { Offer, StockReservation } = require('../../models');
+const { takeStock, restoreStock, reserveStock } = require('../../utils/stock');
+
+const mockOffer = (overrides = {}) => ({
+  id: 5,
+  productId: 1,
+  storeId: 'techmart',
+  available: true,
+  stock: 3,
+  store: { id: 'techmart', name: 'TechMart', active: true },
+  product: { id: 1, name: 'Keyboard' },
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+const items = (quantity) => [{ productId: 1, productName: 'Keyboard', quantity }];
+
+describe('takeStock', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should decrement stock and release the shopper holds', async () => {
+    const offer = mockOffer();
+    Offer.findOne.mockResolvedValue(offer);
+    StockReservation.sum.mockResolvedValue(null);
+
+    await takeStock(items(2), 'techmart', 7, {});
+
+    expect(offer.stock).toBe(1);
+    expect(offer.save).toHaveBeenCalledWith({ transaction: {} });
+    expect(StockReservation.destroy).toHaveBeenCalledWith({ where: { userId: 7, offerId: 5 }, transaction: {} });
+  });
+
+  test('should count units held by other shoppers as sold', async () => {
+    Offer.findOne.mockResolvedValue(mockOffer());
+    StockReservation.sum.mockResolvedValue(2);
+
+    await expect(takeStock(items(2), 'techmart', 7, {})).rejects.toMatchObject({
+      name: 'OutOfStockError',
+      message: 'Only 1 left of Keyboard at TechMart',
+    });
+  });
+
+  test('should reject unavailable offers', async () => {
+    Offer.findOne.mockResolvedValue(mockOffer({ available: false, stock: 0 }));
+
+    await expect(takeStock(items(1), 'techmart', 7, {})).rejects.toThrow('Keyboard is out of stock at TechMart');
+  });
+});
+
+describe('restoreStock', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should add units back and re-enable a sold-out offer', async () => {
+    const offer = mockOffer({ available: false, stock: 0, soldOutAt: new Date() });
+    Offer.findOne.mockResolvedValue(offer);
+
+    const restocked = await restoreStock([{ productId: 1, quantity: 2 }, { productId: null, quantity: 1 }], 'techmart', {});
+
+    expect(offer.stock).toBe(2);
+    expect(offer.available).toBe(true);
+    expect(Offer.findOne).toHaveBeenCalledTimes(1);
+    expect(restocked).toEqual([{ productId: 1, storeId: 'techmart' }]);
+  });
+
+  test('should keep an offer the admin turned off unavailable', async () => {
+    const offer = mockOffer({ available: false, stock: 4 });
+    Offer.findOne.mockResolvedValue(offer);
+
+    const restocked = await restoreStock([{ productId: 1, quantity: 1 }], 'techmart', {});
+
+    expect(offer.stock).toBe(5);
+    expect(offer.available).toBe(false);
+    expect(restocked).toEqual([]);
+  });
+
+  test('should keep an offer the admin turned off at zero stock unavailable', async () => {
+    const offer = mockOffer({ available: false, stock: 0, soldOutAt: null });
+    Offer.findOne.mockResolvedValue(offer);
+
+    await restoreStock([{ productId: 1, quantity: 1 }], 'techmart', {});
+
+    expect(offer.stock).toBe(1);
+    expect(offer.available).toBe(false);
+  });
+});
+
+describe('reserveStock', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should create a hold that expires in the future', async () => {
+    Offer.findOne.mockResolvedValue(mockOffer());
+    StockReservation.sum.mockResolvedValue(0);
+    StockReservation.findOne.mockResolvedValue(null);
+    StockReservation.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+
+    const reservation = await reserveStock({ userId: 7, productId: 1, storeId: 'techmart', quantity: 2 }, {});
+
+    expect(reservation).toEqual(expect.objectContaining({ id: 9, userId: 7, offerId: 5, quantity: 2 }));
+    expect(reservation.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should replace the shopper previous hold on the same offer', async () => {
+    const existing = { id: 9, quantity: 1, save: jest.fn() };
+    Offer.findOne.mockResolvedValue(mockOffer());
+    StockReservation.sum.mockResolvedValue(0);
+    StockReservation.findOne.mockResolvedValue(existing);
+
+    await reserveStock({ userId: 7, productId: 1, storeId: 'techmart', quantity: 3 }, {});
+
+    expect(existing.quantity).toBe(3);
+    expect(existing.save).toHaveBeenCalled();
+    expect(StockReservation.create).not.toHaveBeenCalled();
+  });
+
+  test('should reject holds beyond the units left', async () => {
+    Offer.findOne.mockResolvedValue(mockOffer());
+    StockReservation.sum.mockResolvedValue(3);
+
+    await expect(reserveStock({ userId: 7, productId: 1, storeId: 'techmart', quantity: 1 }, {}))
+      .rejects.toThrow('Keyboard is out of stock at TechMart');
+  });
+
+  test('should return null at inactive stores', async () => {
+    Offer.findOne.mockResolvedValue(mockOffer({ store: { name: 'TechMart', active: false } }));
+
+    expect(await reserveStock({ userId: 7, productId: 1, storeId: 'techmart', quantity: 1 }, {})).toBeNull();
+  });
+});
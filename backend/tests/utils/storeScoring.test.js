@@ -0,0 +1,101 @@
+/**
+ * Unit tests for store scoring
+ * Verifies ETA parsing, weight validation, and weighted store ranking
+ */
+
+const { parseEta, parseWeights, weightsFor, scoreStores } = require('../../utils/storeScoring');
+
+describe('parseEta', () => {
+  test.each([
+    ['Next day', { min: 1, max: 1 }],
+    ['Same day', { min: 0, max: 0 }],
+    ['2-4 days', { min: 2, max: 4 }],
+    ['3–5 business days', { min: 3, max: 5 }],
+    ['1 day', { min: 1, max: 1 }],
+    ['1-2 weeks', { min: 7, max: 14 }],
+    ['5 to 3 days', { min: 3, max: 5 }],
+  ])('should parse "%s"', (eta, expected) => {
+    expect(parseEta(eta)).toEqual(expected);
+  });
+
+  test('should return null for text it does not understand', () => {
+    expect(parseEta('')).toBeNull();
+    expect(parseEta('soon')).toBeNull();
+  });
+});
+
+describe('parseWeights', () => {
+  test('should fill in missing factors with the defaults', () => {
+    expect(parseWeights({ eta: 50 })).toEqual({ error: null, weights: { price: 40, total: 30, eta: 50, rating: 15 } });
+  });
+
+  test('should reject unknown factors, out-of-range values, and all-zero weights', () => {
+    expect(parseWeights({ speed: 10 }).error).toMatch('Unknown scoring factor');
+    expect(parseWeights({ price: -1 }).error).toMatch('between 0 and 100');
+    expect(parseWeights({ price: 0, total: 0, eta: 0, rating: 0 }).error).toMatch('above zero');
+    expect(parseWeights([]).error).toMatch('must be an object');
+  });
+});
+
+describe('weightsFor', () => {
+  test('should fall back to the defaults for missing or invalid saved weights', () => {
+    expect(weightsFor(null)).toEqual({ price: 40, total: 30, eta: 15, rating: 15 });
+    expect(weightsFor({ scoringWeights: { price: 'abc' } })).toEqual({ price: 40, total: 30, eta: 15, rating: 15 });
+  });
+});
+
+describe('scoreStores', () => {
+  const options = [
+    { storeId: 'cheap', storeName: 'Cheap', price: 80, deliveryCost: 10, eta: '3-5 days', rating: 3.5 },
+    { storeId: 'fast', storeName: 'Fast', price: 100, deliveryCost: 0, eta: 'Next day', rating: 4.5 },
+  ];
+
+  test('should rank the cheapest store first when price dominates', () => {
+    const scores = scoreStores(options, { price: 100, total: 0, eta: 0, rating: 0 });
+
+    expect(scores.map((s) => s.storeId)).toEqual(['cheap', 'fast']);
+    expect(scores[0]).toEqual(expect.objectContaining({ score: 100, recommended: true }));
+    expect(scores[1]).toEqual(expect.objectContaining({ score: 0, recommended: false }));
+  });
+
+  test('should rank the fastest store first when delivery time dominates', () => {
+    const scores = scoreStores(options, { price: 10, total: 10, eta: 80, rating: 0 });
+
+    expect(scores[0].storeId).toBe('fast');
+    expect(scores[0].etaDays).toEqual({ min: 1, max: 1 });
+  });
+
+  test('should explain each factor with its points out of the weight share', () => {
+    const [best] = scoreStores(options, { price: 50, total: 0, eta: 0, rating: 50 });
+
+    const price = best.breakdown.find((part) => part.factor === 'price');
+    const rating = best.breakdown.find((part) => part.factor === 'rating');
+    expect(price).toEqual({ factor: 'price', value: expect.stringContaining('$'), weight: 50, points: expect.any(Number), maxPoints: 50 });
+    expect(rating.value).toMatch('/5');
+    expect(best.score).toBe(50);
+  });
+
+  test('should give stores with an unknown ETA or no rating zero points for that factor', () => {
+    const scores = scoreStores([
+      { storeId: 'a', price: 10, deliveryCost: 0, eta: 'soon', rating: null },
+      { storeId: 'b', price: 10, deliveryCost: 0, eta: '2 days', rating: 4 },
+    ], { price: 0, total: 0, eta: 50, rating: 50 });
+
+    expect(scores[0].storeId).toBe('b');
+    expect(scores[1].score).toBe(0);
+    expect(scores[1].breakdown.find((part) => part.factor === 'eta').value).toBe('Delivery time unknown');
+  });
+
+  test('should give every store full points on a factor where they are equal', () => {
+    const scores = scoreStores([
+      { storeId: 'a', price: 10, deliveryCost: 1, eta: '2 days', rating: 4 },
+      { storeId: 'b', price: 10, deliveryCost: 1, eta: '2 days', rating: 4 },
+    ]);
+
+    expect(scores.map((s) => s.score)).toEqual([100, 100]);
+  });
+
+  test('should return an empty list when no store sells the product', () => {
+    expect(scoreStores([])).toEqual([]);
+  });
+});
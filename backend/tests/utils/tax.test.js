@@ -0,0 +1,97 @@
+/**
+ * Unit tests for sales tax
+ * Verifies rate matching by region and postal prefix, and tax-exclusive vs tax-inclusive amounts
+ */
+
+jest.mock('../../models', () => ({
+  TaxRate: { findAll: jest.fn() },
+}));
+
+const { TaxRate } = require('../../models');
+const { parseShipTo, findTaxRate, loadTaxRate, calculateTax, applyTax } = require('../../utils/tax');
+
+const rate = (region, postalPrefix, value, name = 'Rate') => ({ name, region, postalPrefix, rate: String(value) });
+
+describe('parseShipTo', () => {
+  test('should normalize the region and postal code', () => {
+    expect(parseShipTo({ region: ' ca ', postalCode: 'sw1a 1aa' })).toEqual({ region: 'CA', postalCode: 'SW1A1AA' });
+    expect(parseShipTo(undefined)).toEqual({ region: '', postalCode: '' });
+  });
+});
+
+describe('findTaxRate', () => {
+  const rates = [
+    rate('CA', null, 7.25, 'California'),
+    rate(null, '941', 8.625, 'San Francisco'),
+    rate('CA', '9410', 9, 'Downtown SF'),
+    rate('NY', null, 4, 'New York'),
+  ];
+
+  test('should prefer the longest matching postal prefix', () => {
+    expect(findTaxRate(rates, { region: 'CA', postalCode: '94105' }).name).toBe('Downtown SF');
+    expect(findTaxRate(rates, { region: 'CA', postalCode: '94117' }).name).toBe('San Francisco');
+  });
+
+  test('should fall back to the region rate', () => {
+    expect(findTaxRate(rates, { region: 'CA', postalCode: '90001' }).name).toBe('California');
+    expect(findTaxRate(rates, { region: 'NY', postalCode: '' }).name).toBe('New York');
+  });
+
+  test('should not match a rate whose region differs', () => {
+    expect(findTaxRate(rates, { region: 'OR', postalCode: '94105' }).name).toBe('San Francisco');
+    expect(findTaxRate(rates, { region: 'OR', postalCode: '97201' })).toBeNull();
+  });
+});
+
+describe('loadTaxRate', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should not look up rates without an address', async () => {
+    expect(await loadTaxRate({ region: '', postalCode: '' })).toBeNull();
+    expect(TaxRate.findAll).not.toHaveBeenCalled();
+  });
+
+  test('should pick from the active rates', async () => {
+    TaxRate.findAll.mockResolvedValue([rate('TX', null, 8)]);
+
+    const taxRate = await loadTaxRate({ region: 'TX', postalCode: '73301' });
+
+    expect(TaxRate.findAll).toHaveBeenCalledWith({ where: { active: true } });
+    expect(Number(taxRate.rate)).toBe(8);
+  });
+});
+
+describe('calculateTax', () => {
+  test('should add tax on top of tax-exclusive amounts', () => {
+    expect(calculateTax(100, 7.25, false)).toBe(7.25);
+  });
+
+  test('should take the tax out of tax-inclusive amounts', () => {
+    expect(calculateTax(110, 10, true)).toBe(10);
+  });
+
+  test('should charge nothing without a rate or an amount', () => {
+    expect(calculateTax(100, 0, false)).toBe(0);
+    expect(calculateTax(0, 10, false)).toBe(0);
+  });
+});
+
+describe('applyTax', () => {
+  const priced = { subtotal: 50, deliveryFee: 5, discount: 5, total: 50 };
+
+  test('should tax items and delivery after the discount', () => {
+    expect(applyTax(priced, rate('CA', null, 10), false)).toEqual(expect.objectContaining({
+      taxRate: 10, tax: 5, taxIncluded: false, total: 55,
+    }));
+  });
+
+  test('should leave the total alone when prices include tax', () => {
+    expect(applyTax(priced, rate('CA', null, 25), true)).toEqual(expect.objectContaining({
+      taxRate: 25, tax: 10, taxIncluded: true, total: 50,
+    }));
+  });
+
+  test('should add a zero tax line without a rate', () => {
+    expect(applyTax(priced, null, false)).toEqual(expect.objectContaining({ taxRate: 0, tax: 0, total: 50 }));
+  });
+});
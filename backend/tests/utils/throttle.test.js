@@ -0,0 +1,102 @@
+/**
+ * Unit tests for brute-force throttling
+ * Verifies the exponential backoff, per-IP and per-account counters, and the in-memory store
+ */
+
+const { createMemoryStore, setThrottleStore } = require('../../utils/throttleStore');
+const { backoffSeconds, checkThrottle, recordFailure, clearFailures } = require('../../utils/throttle');
+const { THROTTLE_FREE_ATTEMPTS, THROTTLE_MAX_DELAY_SECONDS, THROTTLE_WINDOW_MINUTES } = require('../../config/constants');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const later = (seconds) => new Date(NOW.getTime() + seconds * 1000);
+
+/**
+ * Record a number of failures at NOW
+ * @param {Object} target - Throttle target
+ * @param {number} count - Failures to record
+ */
+const fail = async (target, count) => {
+  for (let i = 0; i < count; i++) await recordFailure(target, NOW);
+};
+
+describe('Backoff', () => {
+  test('should allow the free attempts, then double the wait up to the maximum', () => {
+    expect(backoffSeconds(4, 5)).toBe(0);
+    expect(backoffSeconds(5, 5)).toBe(2);
+    expect(backoffSeconds(6, 5)).toBe(4);
+    expect(backoffSeconds(8, 5)).toBe(16);
+    expect(backoffSeconds(50, 5)).toBe(THROTTLE_MAX_DELAY_SECONDS);
+  });
+});
+
+describe('Throttle', () => {
+  beforeEach(() => setThrottleStore(createMemoryStore()));
+
+  test('should let attempts through until the account runs out of free attempts', async () => {
+    const target = { action: 'login', account: 'bob@test.com' };
+
+    await fail(target, THROTTLE_FREE_ATTEMPTS.account - 1);
+    await expect(checkThrottle(target, NOW)).resolves.toBeUndefined();
+
+    await fail(target, 1);
+    await expect(checkThrottle(target, NOW)).rejects.toMatchObject({ name: 'ThrottleError', retryAfter: 2 });
+    await expect(checkThrottle(target, later(2))).resolves.toBeUndefined();
+  });
+
+  test('should count accounts without regard to case or spaces', async () => {
+    await fail({ action: 'login', account: ' Bob@Test.com' }, THROTTLE_FREE_ATTEMPTS.account);
+
+    await expect(checkThrottle({ action: 'login', account: 'bob@test.com' }, NOW)).rejects.toMatchObject({ name: 'ThrottleError' });
+  });
+
+  test('should throttle an IP address trying many accounts', async () => {
+    for (let i = 0; i < THROTTLE_FREE_ATTEMPTS.ip; i++) {
+      await recordFailure({ action: 'login', ip: '10.0.0.1', account: `user${i}@test.com` }, NOW);
+    }
+
+    await expect(checkThrottle({ action: 'login', ip: '10.0.0.1', account: 'new@test.com' }, NOW))
+      .rejects.toMatchObject({ name: 'ThrottleError' });
+    await expect(checkThrottle({ action: 'login', ip: '10.0.0.2', account: 'new@test.com' }, NOW)).resolves.toBeUndefined();
+  });
+
+  test('should keep actions apart', async () => {
+    await fail({ action: 'forgot-password', account: 'bob@test.com' }, 10);
+
+    await expect(checkThrottle({ action: 'login', account: 'bob@test.com' }, NOW)).resolves.toBeUndefined();
+  });
+
+  test('should return the failures counted for the account', async () => {
+    const target = { action: 'login', ip: '10.0.0.1', account: 'bob@test.com' };
+
+    expect(await recordFailure(target, NOW)).toBe(1);
+    expect(await recordFailure(target, NOW)).toBe(2);
+    expect(await recordFailure({ action: 'login', ip: '10.0.0.1' }, NOW)).toBe(0);
+  });
+
+  test('should clear only the counters passed', async () => {
+    const target = { action: 'login', ip: '10.0.0.1', account: 'bob@test.com' };
+    await fail({ action: 'login', ip: '10.0.0.1' }, THROTTLE_FREE_ATTEMPTS.ip);
+    await fail(target, THROTTLE_FREE_ATTEMPTS.account);
+
+    await clearFailures({ action: 'login', account: 'bob@test.com' });
+
+    await expect(checkThrottle({ action: 'login', account: 'bob@test.com' }, NOW)).resolves.toBeUndefined();
+    await expect(checkThrottle(target, NOW)).rejects.toMatchObject({ name: 'ThrottleError' });
+  });
+});
+
+describe('Memory store', () => {
+  test('should count up and forget counters after their time to live', async () => {
+    const store = createMemoryStore();
+    const ttl = THROTTLE_WINDOW_MINUTES * 60 * 1000;
+
+    expect(await store.increment('key', ttl, NOW.getTime())).toEqual({ count: 1, lastAt: NOW.getTime() });
+    expect(await store.increment('key', ttl, later(10).getTime())).toEqual({ count: 2, lastAt: later(10).getTime() });
+    expect(await store.get('key', later(10).getTime() + ttl - 1)).toEqual({ count: 2, lastAt: later(10).getTime() });
+    expect(await store.get('key', later(10).getTime() + ttl)).toBeNull();
+
+    await store.increment('other', ttl, NOW.getTime());
+    await store.delete('other');
+    expect(await store.get('other', NOW.getTime())).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for TOTP helpers
+ * Verifies codes against the RFC 6238 test vectors, the clock-drift window, replay protection, and otpauth URLs
+ */
+
+const { base32Encode, base32Decode, generateSecret, timeStep, codeForStep, verifyCode, otpauthUrl } = require('../../utils/totp');
+
+// The RFC 6238 SHA-1 test secret ("12345678901234567890") in base32
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('TOTP', () => {
+  test('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  test('should create 160-bit secrets', () => {
+    const secret = generateSecret();
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('should match the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(codeForStep(RFC_SECRET, timeStep(new Date(seconds * 1000)))).toBe(code);
+  });
+
+  test('should accept codes from one step either side and nothing further', () => {
+    const current = timeStep(NOW);
+
+    expect(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, current), { now: NOW })).toBe(current);
+    expect(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, current - 1), { now: NOW })).toBe(current - 1);
+    expect(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, current + 1), { now: NOW })).toBe(current + 1);
+    expect(verifyCode(RFC_SECRET, codeForStep(RFC_SECRET, current - 2), { now: NOW })).toBeNull();
+  });
+
+  test('should ignore spaces and reject codes that are not 6 digits', () => {
+    const code = codeForStep(RFC_SECRET, timeStep(NOW));
+
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { now: NOW })).toBe(timeStep(NOW));
+    expect(verifyCode(RFC_SECRET, code.slice(1), { now: NOW })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { now: NOW })).toBeNull();
+    expect(verifyCode(null, code, { now: NOW })).toBeNull();
+  });
+
+  test('should not accept a code from a step already used', () => {
+    const current = timeStep(NOW);
+    const code = codeForStep(RFC_SECRET, current);
+
+    expect(verifyCode(RFC_SECRET, code, { now: NOW, afterStep: current })).toBeNull();
+    expect(verifyCode(RFC_SECRET, code, { now: NOW, afterStep: current - 1 })).toBe(current);
+  });
+
+  test('should build an otpauth URL for authenticator apps', () => {
+    const url = new URL(otpauthUrl(RFC_SECRET, 'bob@test.com'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/CleanCart:bob@test.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('CleanCart');
+    expect(url.searchParams.get('digits')).toBe('6');
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});
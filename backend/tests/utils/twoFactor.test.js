@@ -0,0 +1,164 @@
+/**
+ * Unit tests for two-factor authentication helpers
+ * Verifies setup, recovery codes, second-factor checks with replay protection, and challenge tokens
+ */
+
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, TWO_FACTOR_RECOVERY_CODES } = require('../../config/constants');
+const User = require('../../models/User');
+const Setting = require('../../models/Setting');
+const { generateSecret, codeForStep, timeStep } = require('../../utils/totp');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Setting');
+
+const {
+  needsTwoFactorSetup, hashRecoveryCode, beginSetup, confirmSetup, replaceRecoveryCodes, disableTwoFactor,
+  verifySecondFactor, createChallenge, readChallenge
+} = require('../../utils/twoFactor');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const SECRET = generateSecret();
+const codeAt = (offsetSteps = 0) => codeForStep(SECRET, timeStep(NOW) + offsetSteps);
+
+const user = (overrides = {}) => ({
+  id: 1,
+  email: 'bob@test.com',
+  role: 'user',
+  totpSecret: SECRET,
+  totpEnabledAt: NOW,
+  totpLastStep: null,
+  totpRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb')],
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+describe('Two-factor setup', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('should save a new secret and return a QR code for it', async () => {
+    const pending = user({ totpSecret: null, totpEnabledAt: null });
+
+    const setup = await beginSetup(pending);
+
+    expect(pending.totpSecret).toBe(setup.secret);
+    expect(pending.totpEnabledAt).toBeNull();
+    expect(pending.save).toHaveBeenCalledWith({ hooks: false });
+    expect(setup.otpauthUrl).toContain(`secret=${setup.secret}`);
+    expect(setup.qrCode).toMatch(/^data:image\/png;base64,/);
+  });
+
+  test('should turn on two-factor with a matching code and hand out recovery codes once', async () => {
+    const pending = user({ totpEnabledAt: null, totpRecoveryCodes: null });
+
+    const codes = await confirmSetup(pending, codeAt(), NOW);
+
+    expect(codes).toHaveLength(TWO_FACTOR_RECOVERY_CODES);
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(pending.totpEnabledAt).toBe(NOW);
+    expect(pending.totpLastStep).toBe(timeStep(NOW));
+    expect(pending.totpRecoveryCodes).toEqual(codes.map(hashRecoveryCode));
+  });
+
+  test('should not turn on two-factor with a wrong code', async () => {
+    const pending = user({ totpEnabledAt: null });
+
+    await expect(confirmSetup(pending, codeAt(5), NOW)).rejects.toMatchObject({ name: 'TwoFactorError' });
+    expect(pending.totpEnabledAt).toBeNull();
+    expect(pending.save).not.toHaveBeenCalled();
+  });
+
+  test('should replace recovery codes and clear everything when turned off', async () => {
+    const enabled = user();
+
+    const codes = await replaceRecoveryCodes(enabled);
+    expect(enabled.totpRecoveryCodes).toEqual(codes.map(hashRecoveryCode));
+    expect(enabled.totpRecoveryCodes).not.toContain(hashRecoveryCode('aaaaa-bbbbb'));
+
+    await disableTwoFactor(enabled);
+    expect(enabled).toEqual(expect.objectContaining({
+      totpSecret: null, totpEnabledAt: null, totpLastStep: null, totpRecoveryCodes: null
+    }));
+  });
+
+  test('should only require setup for admins while the setting is on', async () => {
+    Setting.findByPk.mockResolvedValue(null);
+    expect(await needsTwoFactorSetup(user({ role: 'admin', totpEnabledAt: null }))).toBe(false);
+
+    Setting.findByPk.mockResolvedValue({ key: 'requireAdminTwoFactor', value: true });
+    expect(await needsTwoFactorSetup(user({ role: 'admin', totpEnabledAt: null }))).toBe(true);
+    expect(await needsTwoFactorSetup(user({ role: 'admin' }))).toBe(false);
+    expect(await needsTwoFactorSetup(user({ totpEnabledAt: null }))).toBe(false);
+  });
+});
+
+describe('Second factor', () => {
+  beforeEach(() => User.update.mockResolvedValue([1]));
+  afterEach(() => jest.clearAllMocks());
+
+  test('should accept a code from the app and remember its step', async () => {
+    const enabled = user();
+
+    expect(await verifySecondFactor(enabled, { code: codeAt() }, NOW)).toBe('totp');
+    expect(enabled.totpLastStep).toBe(timeStep(NOW));
+    expect(User.update).toHaveBeenCalledWith(
+      { totpLastStep: timeStep(NOW) },
+      expect.objectContaining({ hooks: false })
+    );
+  });
+
+  test('should not accept the same code twice', async () => {
+    const enabled = user({ totpLastStep: timeStep(NOW) });
+
+    await expect(verifySecondFactor(enabled, { code: codeAt() }, NOW)).rejects.toMatchObject({ name: 'TwoFactorError' });
+    expect(User.update).not.toHaveBeenCalled();
+  });
+
+  test('should reject a code another login used at the same moment', async () => {
+    User.update.mockResolvedValue([0]);
+
+    await expect(verifySecondFactor(user(), { code: codeAt() }, NOW)).rejects.toMatchObject({ name: 'TwoFactorError' });
+  });
+
+  test('should accept a recovery code once, ignoring case and dashes', async () => {
+    const enabled = user();
+
+    expect(await verifySecondFactor(enabled, { recoveryCode: 'AAAAABBBBB' }, NOW)).toBe('recovery');
+    expect(enabled.totpRecoveryCodes).toEqual([]);
+    expect(User.update).toHaveBeenCalledWith(
+      { totpRecoveryCodes: [] },
+      expect.objectContaining({ hooks: false })
+    );
+
+    await expect(verifySecondFactor(enabled, { recoveryCode: 'aaaaa-bbbbb' }, NOW))
+      .rejects.toThrow('Invalid recovery code');
+  });
+
+  test('should reject a recovery code another login used at the same moment', async () => {
+    User.update.mockResolvedValue([0]);
+    const enabled = user();
+
+    await expect(verifySecondFactor(enabled, { recoveryCode: 'aaaaa-bbbbb' }, NOW))
+      .rejects.toThrow('Invalid recovery code');
+    expect(enabled.totpRecoveryCodes).toHaveLength(1);
+  });
+
+  test('should require a code or recovery code', async () => {
+    await expect(verifySecondFactor(user(), {}, NOW)).rejects.toMatchObject({ name: 'TwoFactorError' });
+  });
+});
+
+describe('Challenge tokens', () => {
+  test('should read back the user ID of a challenge', () => {
+    expect(readChallenge(createChallenge({ id: 5 }))).toBe(5);
+  });
+
+  test('should reject access tokens, bad tokens, and expired challenges', () => {
+    const accessToken = jwt.sign({ userId: 5, sid: 2 }, JWT_SECRET, { expiresIn: '15m' });
+    const expired = jwt.sign({ userId: 5, purpose: 'two_factor' }, JWT_SECRET, { expiresIn: -10 });
+
+    for (const token of [accessToken, expired, 'garbage', undefined]) {
+      expect(() => readChallenge(token)).toThrow('Your login attempt expired. Please log in again.');
+    }
+  });
+});
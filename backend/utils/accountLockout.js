@@ -0,0 +1,101 @@
+/**
+ * Account lockout
+ * After ACCOUNT_LOCKOUT_ATTEMPTS failed logins (counted by utils/throttle) an account is locked for
+ * ACCOUNT_LOCKOUT_MINUTES, even for the right password, and its owner gets an email. Admins can unlock it sooner,
+ * and resetting the password unlocks it too
+ */
+
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+const { clearFailures } = require('./throttle');
+const { ACCOUNT_LOCKOUT_MINUTES } = require('../config/constants');
+
+/**
+ * Check whether an account is locked
+ * @param {Object} user - User instance
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isLocked = (user, now = new Date()) => Boolean(user.lockedUntil) && new Date(user.lockedUntil) > now;
+
+/**
+ * Email a user that their account was locked
+ * @param {Object} user - User instance with lockedUntil set
+ * @returns {Promise<void>}
+ */
+const sendLockoutEmail = async (user) => {
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const resetURL = `${frontendURL}/forgot-password`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'CleanCart - Your account has been locked',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Arial, sans-serif; background: #f8f9fc; padding: 40px 20px;">
+        <div style="background: white; border-radius: 12px; padding: 40px; box-shadow: 0 2px 8px rgba(0,0,0,0.06);">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #4f46e5; margin: 0; font-size: 28px;">CleanCart</h1>
+          </div>
+          <h2 style="color: #1e1b4b; margin-bottom: 16px;">Your account has been locked</h2>
+          <p style="color: #64748b; line-height: 1.6;">
+            Hello <strong>${escapeHtml(user.name)}</strong>,
+          </p>
+          <p style="color: #64748b; line-height: 1.6;">
+            There were too many failed attempts to log in to your account, so we've locked it for
+            <strong>${ACCOUNT_LOCKOUT_MINUTES} minutes</strong>. If this was you, wait and try again, or reset your
+            password to unlock it right away:
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${resetURL}"
+               style="background: linear-gradient(135deg, #4f46e5, #6366f1); color: white; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; display: inline-block;">
+              Reset Password
+            </a>
+          </div>
+          <p style="color: #64748b; line-height: 1.6; font-size: 14px;">
+            If this wasn't you, someone may be trying to guess your password. Resetting it to one you don't use anywhere
+            else keeps your account safe.
+          </p>
+        </div>
+      </div>
+    `
+  });
+  console.log(`✅ Account lockout email sent to ${user.email}`);
+};
+
+/**
+ * Lock an account after too many failed logins and tell its owner
+ * The email is sent in the background; a mail failure doesn't undo the lock
+ * @param {Object} user - User instance
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const lockAccount = async (user, now = new Date()) => {
+  user.lockedUntil = new Date(now.getTime() + ACCOUNT_LOCKOUT_MINUTES * 60 * 1000);
+  await user.save({ hooks: false }); // Skip password hashing hook
+
+  // Failures start over once the lock ends
+  await clearFailures({ action: 'login', account: user.email });
+
+  sendLockoutEmail(user).catch((error) => console.error('Lockout email error:', error));
+};
+
+/**
+ * Unlock an account and forget its failed logins
+ * @param {Object} user - User instance
+ * @param {Object} [options]
+ * @param {boolean} [options.save=true] - Save the user (pass false when the caller saves it)
+ * @returns {Promise<void>}
+ */
+const unlockAccount = async (user, { save = true } = {}) => {
+  user.lockedUntil = null;
+  if (save) {
+    await user.save({ hooks: false }); // Skip password hashing hook
+  }
+  await clearFailures({ action: 'login', account: user.email });
+};
+
+module.exports = {
+  isLocked,
+  lockAccount,
+  unlockAccount
+};
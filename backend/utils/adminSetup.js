@@ -0,0 +1,99 @@
+/**
+ * Admin setup
+ * A new install has no admin account. The first one is created with `npm run create-admin` on the server, or from
+ * the first-run setup page, which only works while no admin exists. From then on admin access comes from the role
+ * alone: admins are the accounts whose role is 'admin'
+ */
+
+const { Transaction } = require('sequelize');
+const { sequelize, User } = require('../models');
+const { revokeUserSessions } = require('./sessions');
+
+// Same rule as registration
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Raised when an admin account can't be set up
+ * code is 'setup_complete' when an admin already exists, 'invalid' for bad details
+ */
+class SetupError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'SetupError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether any account has the admin role
+ * @returns {Promise<boolean>}
+ */
+const adminExists = async () => (await User.count({ where: { role: 'admin' } })) > 0;
+
+/**
+ * Check the details for an admin account
+ * @param {Object} details - { name, email, password }
+ * @returns {string|null} What is wrong with them, or null
+ */
+const validateAdminDetails = ({ name, email, password }) => {
+  if (!String(name ?? '').trim() || !String(email ?? '').trim() || !password) {
+    return 'Please provide a name, email, and password';
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+/**
+ * Create an admin account
+ * The check that no admin exists and the insert run in one serializable transaction, so two people racing through
+ * first-run setup can't both end up as admins
+ * @param {Object} details - { name, email, password }
+ * @param {Object} [options]
+ * @param {boolean} [options.firstOnly=true] - Refuse if an admin already exists
+ * @param {boolean} [options.promote=false] - If the email belongs to an account, make that account an admin and give
+ *   it the password (its sessions are ended) instead of refusing
+ * @returns {Promise<Object>} { user, promoted }
+ * @throws {SetupError} If an admin already exists or the details aren't valid
+ */
+const createAdmin = async (details, { firstOnly = true, promote = false } = {}) => {
+  const problem = validateAdminDetails(details);
+  if (problem) {
+    throw new SetupError(problem);
+  }
+  const name = String(details.name).trim();
+  const email = String(details.email).trim();
+
+  const result = await sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE }, async (transaction) => {
+    if (firstOnly && await User.count({ where: { role: 'admin' }, transaction })) {
+      throw new SetupError('An admin account already exists', 'setup_complete');
+    }
+
+    const existing = await User.findOne({ where: { email }, transaction });
+    if (existing && !promote) {
+      throw new SetupError('User with this email already exists');
+    }
+    if (existing) {
+      // The password is hashed by the model hook
+      await existing.update({ role: 'admin', password: details.password, verifiedAt: existing.verifiedAt || new Date() }, { transaction });
+      return { user: existing, promoted: true };
+    }
+
+    // Whoever sets up the install vouches for the address, so it needs no verification email
+    const user = await User.create({ name, email, password: details.password, role: 'admin', verifiedAt: new Date() }, { transaction });
+    return { user, promoted: false };
+  });
+
+  if (result.promoted) {
+    await revokeUserSessions(result.user.id, 'password_reset');
+  }
+  return result;
+};
+
+module.exports = {
+  SetupError,
+  adminExists,
+  validateAdminDetails,
+  createAdmin
+};
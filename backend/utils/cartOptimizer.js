@@ -0,0 +1,398 @@
+/**
+ * Split-cart optimizer
+ * Finds the cheapest way to buy a cart across one or more stores
+ * Each store used charges delivery by its own rule (flat fee once per order, per-item surcharges,
+ * free over a threshold), so splitting only pays off when the item savings outweigh the extra delivery
+ * Promo codes the shopper entered come off each store's share before plans are compared, and sales tax for
+ * the shipping address is added to stores that don't already include it in their prices.
+ * Stores price in their own currency; plans are compared (and totalled) in the base currency
+ *
+ * Small carts are searched exhaustively: every way of sending the lines to stores is priced in full, so a line
+ * moved to reach a free-delivery threshold or a promo code's minimum spend is found. Larger carts send every line
+ * to its cheapest store in each store combination, then move single lines of the best plan while that saves
+ */
+
+const { Product, Offer, Store, DeliveryRule } = require('../models');
+const { roundMoney } = require('./money');
+const { applyCoupons, loadCoupons } = require('./coupons');
+const { formatRule, unitSurcharge, calculateDeliveryFee } = require('./delivery');
+const { loadTaxRate, applyTax } = require('./tax');
+const { loadRates, rateFor } = require('./currency');
+const { BASE_CURRENCY } = require('../config/constants');
+
+// Largest number of stores searched exhaustively (2^12 store combinations)
+const MAX_CANDIDATE_STORES = 12;
+
+// Carts with at most this many ways to send their lines to stores have every way priced
+const MAX_ASSIGNMENTS = 2000;
+
+/**
+ * Count the set bits in a store combination mask
+ * @param {number} mask - Bit mask of selected candidate stores
+ * @returns {number} Number of stores in the combination
+ */
+const countStores = (mask) => {
+  let count = 0;
+  for (let bits = mask; bits; bits &= bits - 1) count++;
+  return count;
+};
+
+/**
+ * Collect the lines assigned to one store, priced at that store
+ * @param {Array} lines - Cart lines with prices and surcharges Maps
+ * @param {Array} picks - Store picked for each line
+ * @param {Object} store - Store to collect
+ * @returns {Array} [{ productId, productName, category, price, quantity, surcharge }]
+ */
+const storeItems = (lines, picks, store) => lines
+  .filter((_, i) => picks[i] === store)
+  .map((line) => ({
+    productId: line.productId,
+    productName: line.productName,
+    category: line.category,
+    price: line.prices.get(store.id),
+    quantity: line.quantity,
+    surcharge: line.surcharges.get(store.id)
+  }));
+
+/**
+ * Cost of one unit of a line at a store in the base currency: its price plus its per-unit delivery surcharge,
+ * plus sales tax if the store doesn't include it in its prices
+ * @param {Object} line - Cart line with prices and surcharges Maps
+ * @param {Object} store - Store selling the line
+ * @param {Object|null} taxRate - Rate for the shipping address
+ * @returns {number} Unit cost
+ */
+const unitCost = (line, store, taxRate) => {
+  const cost = line.prices.get(store.id) + unitSurcharge(store.rule, line.surcharges.get(store.id));
+  const taxed = store.taxIncluded || !taxRate ? cost : cost * (1 + Number(taxRate.rate) / 100);
+  return taxed / store.exchangeRate;
+};
+
+/**
+ * Price one store's share of a plan: delivery by its rule, its best promo code, and sales tax
+ * Amounts are in the store's currency
+ * @param {Object} store - Store from the optimizer's store list
+ * @param {Array} items - Items assigned to the store
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {Object|null} taxRate - Rate for the shipping address
+ * @returns {Object} { items, subtotal, deliveryFee, discounts, discount, taxRate, tax, taxIncluded, total, currency, exchangeRate }
+ */
+const priceStore = (store, items, coupons, taxRate) => {
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const deliveryFee = calculateDeliveryFee(store.rule, items);
+  const { currency, exchangeRate } = store;
+  const priced = applyCoupons({ items, subtotal, deliveryFee, total: roundMoney(subtotal + deliveryFee), currency }, store.id, coupons);
+  return { ...applyTax(priced, taxRate, store.taxIncluded), exchangeRate };
+};
+
+/**
+ * Price an assignment of lines to stores: each store's share is priced by priceStore, with its delivery, best promo
+ * code, and sales tax, then converted to the base currency
+ * @param {Array} lines - Cart lines with prices and surcharges Maps
+ * @param {Array} picks - Store picked for each line
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {Object|null} taxRate - Rate for the shipping address
+ * @returns {number} Total in the base currency
+ */
+const pricePicks = (lines, picks, coupons, taxRate) => {
+  let total = 0;
+  for (const store of new Set(picks)) {
+    total += priceStore(store, storeItems(lines, picks, store), coupons, taxRate).total / store.exchangeRate;
+  }
+  return roundMoney(total);
+};
+
+/**
+ * Price every line at the store in a combination where a unit costs least (price plus surcharge and tax)
+ * Stores that end up with no lines aren't charged, so the plan may use fewer stores than the combination
+ * @param {Array} lines - Cart lines with prices (storeId -> unit price) and surcharges (storeId -> offer surcharge) Maps
+ * @param {Array} combination - Stores that may be used
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {Object|null} taxRate - Rate for the shipping address
+ * @returns {Object|null} { total, picks } where total is in the base currency and picks[i] is the store for lines[i],
+ *   or null if a line can't be bought
+ */
+const priceCombination = (lines, combination, coupons, taxRate) => {
+  const picks = [];
+
+  for (const line of lines) {
+    let pick = null;
+    for (const store of combination) {
+      if (line.prices.has(store.id) && (!pick || unitCost(line, store, taxRate) < unitCost(line, pick, taxRate))) pick = store;
+    }
+    if (!pick) return null;
+    picks.push(pick);
+  }
+  if (!picks.length) return null;
+
+  return { total: pricePicks(lines, picks, coupons, taxRate), picks };
+};
+
+/**
+ * Move single lines to other stores while that lowers the total (e.g. to reach a store's free-delivery threshold)
+ * @param {Array} lines - Cart lines with prices and surcharges Maps
+ * @param {Object} plan - { total, picks } to start from
+ * @param {Array} candidates - Stores lines may move to
+ * @param {number} limit - Most stores the plan may use
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {Object|null} taxRate - Rate for the shipping address
+ * @returns {Object} { total, picks, size }
+ */
+const improvePicks = (lines, { total, picks }, candidates, limit, coupons, taxRate) => {
+  let best = { total, picks };
+  // Every move lowers the total, so this ends
+  let improved = true;
+  while (improved) {
+    improved = false;
+    lines.forEach((line, i) => {
+      for (const store of candidates) {
+        if (store === best.picks[i] || !line.prices.has(store.id)) continue;
+        const moved = best.picks.map((pick, j) => (j === i ? store : pick));
+        if (new Set(moved).size > limit) continue;
+        const movedTotal = pricePicks(lines, moved, coupons, taxRate);
+        if (movedTotal < best.total) {
+          best = { total: movedTotal, picks: moved };
+          improved = true;
+        }
+      }
+    });
+  }
+  return { ...best, size: new Set(best.picks).size };
+};
+
+/**
+ * Price every way of sending the lines to the candidate stores and keep the cheapest
+ * Ties go to the plan with fewer stores
+ * @param {Array} lines - Cart lines with prices and surcharges Maps
+ * @param {Array} candidates - Stores that may be used
+ * @param {number} limit - Most stores a plan may use
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {Object|null} taxRate - Rate for the shipping address
+ * @returns {Object|null} { total, picks, size }, or null if the lines can't be covered within the limit
+ */
+const searchAssignments = (lines, candidates, limit, coupons, taxRate) => {
+  const options = lines.map((line) => candidates.filter((store) => line.prices.has(store.id)));
+  const picks = [];
+  let best = null;
+
+  const visit = (i) => {
+    if (i === lines.length) {
+      const size = new Set(picks).size;
+      const total = pricePicks(lines, picks, coupons, taxRate);
+      if (!best || total < best.total || (total === best.total && size < best.size)) {
+        best = { total, picks: [...picks], size };
+      }
+      return;
+    }
+    for (const store of options[i]) {
+      picks[i] = store;
+      if (new Set(picks.slice(0, i + 1)).size <= limit) visit(i + 1);
+    }
+  };
+
+  if (lines.length) visit(0);
+  return best;
+};
+
+/**
+ * Find the cheapest assignment of cart lines to stores
+ * Pure function: callers load stores and offers (see planCart)
+ *
+ * @param {Array} lines - [{ productId, productName, category, quantity }]
+ * @param {Array} stores - Active stores [{ id, name, currency, deliveryRule, pricesIncludeTax }]
+ * @param {Array} offers - Available offers [{ productId, storeId, price, stock, deliverySurcharge }]
+ * @param {Object} [options]
+ * @param {number} [options.maxStores] - Most stores the cart may be split across (default: no limit)
+ * @param {Array} [options.coupons] - Coupons for the codes the shopper entered
+ * @param {Object} [options.taxRate] - Sales tax rate for the shipping address (default: no tax)
+ * @param {Object} [options.rates] - Exchange rates from loadRates; stores in a currency without a rate are skipped
+ * @returns {Object|null} Plan with a per-store breakdown in each store's currency and totals in the base currency,
+ *   or null if the cart can't be covered within maxStores
+ */
+const optimizeCart = (lines, stores, offers, { maxStores, coupons = [], taxRate = null, rates = {} } = {}) => {
+  const storeList = stores
+    .map((store) => ({
+      id: store.id,
+      name: store.name,
+      rule: store.deliveryRule || null,
+      taxIncluded: Boolean(store.pricesIncludeTax),
+      currency: store.currency || BASE_CURRENCY,
+      exchangeRate: rateFor(rates, store.currency || BASE_CURRENCY)
+    }))
+    .filter((store) => store.exchangeRate);
+  const activeIds = new Set(storeList.map((store) => store.id));
+
+  // Unit price and delivery surcharge of every line at every store that sells it with enough units in stock
+  const priced = lines.map((line) => {
+    const prices = new Map();
+    const surcharges = new Map();
+    for (const offer of offers) {
+      const inStock = offer.stock == null || Number(offer.stock) >= line.quantity;
+      if (offer.productId === line.productId && activeIds.has(offer.storeId) && inStock) {
+        prices.set(offer.storeId, Number(offer.price));
+        surcharges.set(offer.storeId, offer.deliverySurcharge ?? null);
+      }
+    }
+    return { ...line, prices, surcharges };
+  });
+  const buyable = priced.filter((line) => line.prices.size);
+  const unavailable = priced
+    .filter((line) => !line.prices.size)
+    .map(({ productId, productName }) => ({ productId, productName }));
+
+  // Cheapest single store that stocks every buyable line, for the savings comparison
+  let bestSingleStore = null;
+  for (const store of storeList) {
+    const single = priceCombination(buyable, [store], coupons, taxRate);
+    if (single && (!bestSingleStore || single.total < bestSingleStore.total)) {
+      bestSingleStore = { storeId: store.id, storeName: store.name, total: single.total };
+    }
+  }
+
+  // Only stores that sell something in the cart are worth considering;
+  // the ones covering the most lines (then the lowest flat delivery fee) are searched first
+  const candidates = storeList
+    .map((store) => ({ store, coverage: buyable.filter((line) => line.prices.has(store.id)).length }))
+    .filter((candidate) => candidate.coverage > 0)
+    .sort((a, b) => b.coverage - a.coverage || formatRule(a.store.rule).flatFee - formatRule(b.store.rule).flatFee)
+    .slice(0, MAX_CANDIDATE_STORES)
+    .map((candidate) => candidate.store);
+  const limit = Math.min(maxStores || candidates.length, candidates.length);
+  const assignments = buyable.reduce(
+    (count, line) => count * candidates.filter((store) => line.prices.has(store.id)).length,
+    1
+  );
+
+  let best = null;
+  if (assignments <= MAX_ASSIGNMENTS) {
+    best = searchAssignments(buyable, candidates, limit, coupons, taxRate);
+  } else {
+    // Try every combination of up to `limit` stores; ties go to the plan with fewer stores
+    for (let mask = 1; mask < (1 << candidates.length); mask++) {
+      if (countStores(mask) > limit) continue;
+      const combination = candidates.filter((_, i) => mask & (1 << i));
+      const result = priceCombination(buyable, combination, coupons, taxRate);
+      if (!result) continue;
+      const size = new Set(result.picks).size;
+      if (!best || result.total < best.total || (result.total === best.total && size < best.size)) {
+        best = { ...result, size };
+      }
+    }
+    if (best) best = improvePicks(buyable, best, candidates, limit, coupons, taxRate);
+  }
+
+  if (buyable.length && !best) return null;
+
+  // Group the lines by the store they were assigned to, in the order stores were first picked
+  const used = best ? [...new Set(best.picks)] : [];
+  const breakdown = used.map((store) => {
+    const picked = storeItems(buyable, best.picks, store);
+    const priced = priceStore(store, picked, coupons, taxRate);
+    return {
+      storeId: store.id,
+      storeName: store.name,
+      currency: priced.currency,
+      exchangeRate: priced.exchangeRate,
+      items: picked.map((item) => ({
+        productId: item.productId,
+        productName: item.productName,
+        price: item.price,
+        quantity: item.quantity,
+        lineTotal: roundMoney(item.price * item.quantity)
+      })),
+      subtotal: priced.subtotal,
+      deliveryFee: priced.deliveryFee,
+      discounts: priced.discounts,
+      discount: priced.discount,
+      taxRate: priced.taxRate,
+      tax: priced.tax,
+      taxIncluded: priced.taxIncluded,
+      total: priced.total
+    };
+  });
+
+  // Plan totals add up every store's share in the base currency
+  const sum = (key) => roundMoney(breakdown.reduce((acc, group) => acc + group[key] / group.exchangeRate, 0));
+  const subtotal = sum('subtotal');
+  const deliveryFee = sum('deliveryFee');
+  const discount = sum('discount');
+  const tax = sum('tax');
+  const total = sum('total');
+
+  return {
+    stores: breakdown,
+    storeCount: breakdown.length,
+    currency: BASE_CURRENCY,
+    subtotal,
+    deliveryFee,
+    discount,
+    tax,
+    total,
+    unavailable,
+    bestSingleStore,
+    savings: bestSingleStore ? roundMoney(bestSingleStore.total - total) : null
+  };
+};
+
+/**
+ * Load the active stores, offers, promo codes, tax rate, and exchange rates for a cart and optimize it
+ * @param {Array} lines - Normalized cart lines [{ productId, quantity }]
+ * @param {Object} [options]
+ * @param {number} [options.maxStores] - Most stores to split the cart across
+ * @param {Array<string>} [options.couponCodes] - Normalized promo codes the shopper entered
+ * @param {Object} [options.shipTo] - Normalized { region, postalCode } for sales tax
+ * @returns {Promise<Object|null>} Plan from optimizeCart
+ */
+const planCart = async (lines, { maxStores, couponCodes = [], shipTo = { region: '', postalCode: '' } } = {}) => {
+  const productIds = lines.map((line) => line.productId);
+  const [stores, offers, products, coupons, taxRate, rates] = await Promise.all([
+    Store.findAll({ where: { active: true }, include: [{ model: DeliveryRule, as: 'deliveryRule' }] }),
+    Offer.findAll({ where: { productId: productIds, available: true } }),
+    Product.findAll({ where: { id: productIds }, attributes: ['id', 'name', 'category'] }),
+    loadCoupons(couponCodes),
+    loadTaxRate(shipTo),
+    loadRates()
+  ]);
+
+  const named = lines.map((line) => {
+    const product = products.find((p) => p.id === line.productId);
+    return {
+      ...line,
+      productName: product?.name || `Product ${line.productId}`,
+      category: product?.category || null
+    };
+  });
+
+  return optimizeCart(named, stores, offers, { maxStores, coupons, taxRate, rates });
+};
+
+/**
+ * Validate the optional store limit from a request body
+ * @param {*} value - Requested maximum number of stores
+ * @returns {{ error: string|null, maxStores: number|undefined }} Validation error or limit
+ */
+const parseMaxStores = (value) => {
+  if (value === undefined || value === null || value === '') return { error: null, maxStores: undefined };
+  const maxStores = Number(value);
+  if (!Number.isInteger(maxStores) || maxStores < 1) {
+    return { error: 'maxStores must be a positive whole number', maxStores: undefined };
+  }
+  return { error: null, maxStores };
+};
+
+/**
+ * Explain why a cart has no plan (planCart returned null)
+ * @param {number|undefined} maxStores - Store limit the cart was planned with
+ * @returns {string} Error message
+ */
+const noPlanMessage = (maxStores) => (maxStores
+  ? `Your cart can't be bought from ${maxStores} store${maxStores === 1 ? '' : 's'}; allow more stores`
+  : 'Some items in your cart aren\'t available together; try buying them in separate orders');
+
+module.exports = {
+  optimizeCart,
+  planCart,
+  parseMaxStores,
+  noPlanMessage
+};
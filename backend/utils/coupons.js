@@ -0,0 +1,186 @@
+/**
+ * Coupons
+ * Validity checks and discounts for store promo codes
+ * A store order uses at most one code: the applicable one that takes the most off
+ */
+
+const { Coupon } = require('../models');
+const { roundMoney, formatMoney } = require('./money');
+
+/**
+ * Raised when a code stops being usable between the quote and the order
+ * (e.g. its last use was taken by another shopper); controllers turn it into a 400 response
+ */
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+/**
+ * Normalize a code as typed by a shopper or admin
+ * @param {*} code - Raw code
+ * @returns {string} Trimmed, uppercase code
+ */
+const normalizeCode = (code) => String(code ?? '').trim().toUpperCase();
+
+/**
+ * Read the promo codes from a request body
+ * @param {string|Array} value - One code or a list of codes
+ * @returns {Array<string>} Unique normalized codes
+ */
+const parseCodes = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  return [...new Set(list.map(normalizeCode).filter(Boolean))];
+};
+
+/**
+ * Explain why a coupon can't be used right now
+ * @param {Object} coupon - Coupon ({ active, startsAt, endsAt, usageLimit, usedCount })
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Problem, or null if the coupon is usable
+ */
+const couponProblem = (coupon, now = new Date()) => {
+  if (!coupon.active) return 'This code is no longer active';
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return `This code starts on ${new Date(coupon.startsAt).toISOString().slice(0, 10)}`;
+  }
+  if (coupon.endsAt && new Date(coupon.endsAt) <= now) return 'This code has expired';
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) return 'This code has been fully redeemed';
+  return null;
+};
+
+/**
+ * Describe what a coupon gives, for discount lines and the admin list
+ * @param {Object} coupon - Coupon ({ type, value, category, minSpend })
+ * @param {string} [currency] - Currency of the coupon's store (default: base currency)
+ * @returns {string} e.g. "10% off Audio over $50.00"
+ */
+const describeCoupon = (coupon, currency) => {
+  const value = Number(coupon.value);
+  let text = coupon.type === 'percent' ? `${value}% off` : coupon.type === 'fixed' ? `${formatMoney(value, currency)} off` : 'Free delivery';
+  if (coupon.category) text += coupon.type === 'free_delivery' ? ` with ${coupon.category}` : ` ${coupon.category}`;
+  if (coupon.minSpend != null && Number(coupon.minSpend) > 0) text += ` over ${formatMoney(Number(coupon.minSpend), currency)}`;
+  return text;
+};
+
+/**
+ * Work out how much a coupon takes off a store order
+ * The category and minimum spend are checked against the eligible items only
+ * @param {Object} coupon - Coupon
+ * @param {Object} priced - { items: [{ price, quantity, category }], deliveryFee }
+ * @returns {number} Discount (0 if the coupon doesn't apply)
+ */
+const couponDiscount = (coupon, priced) => {
+  const category = coupon.category ? coupon.category.toLowerCase() : null;
+  const eligible = priced.items.filter((item) => !category || (item.category || '').toLowerCase() === category);
+  if (!eligible.length) return 0;
+
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  if (coupon.minSpend != null && eligibleSubtotal < Number(coupon.minSpend)) return 0;
+
+  if (coupon.type === 'percent') return roundMoney(eligibleSubtotal * Math.min(Number(coupon.value), 100) / 100);
+  if (coupon.type === 'fixed') return roundMoney(Math.min(Number(coupon.value), eligibleSubtotal));
+  return roundMoney(Number(priced.deliveryFee) || 0);
+};
+
+/**
+ * Pick the usable coupon that takes the most off a store order
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {string} storeId - Store the order is placed at
+ * @param {Object} priced - { items, deliveryFee }
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { coupon, amount }, or null if no code applies
+ */
+const bestCoupon = (coupons, storeId, priced, now = new Date()) => {
+  let best = null;
+  for (const coupon of coupons) {
+    if (coupon.storeId !== storeId || couponProblem(coupon, now)) continue;
+    const amount = couponDiscount(coupon, priced);
+    if (amount > 0 && (!best || amount > best.amount)) best = { coupon, amount };
+  }
+  return best;
+};
+
+/**
+ * Apply the best coupon to a priced store order
+ * @param {Object} priced - { items, subtotal, deliveryFee, total, currency } (amounts in the store's currency)
+ * @param {string} storeId - Store the order is placed at
+ * @param {Array} coupons - Coupons for the codes the shopper entered
+ * @param {Date} [now] - Current time
+ * @returns {Object} priced plus discounts ([{ couponId, code, description, amount }]) and discount,
+ *   with the discount taken off the total
+ */
+const applyCoupons = (priced, storeId, coupons, now = new Date()) => {
+  const best = bestCoupon(coupons, storeId, priced, now);
+  if (!best) return { ...priced, discounts: [], discount: 0 };
+
+  return {
+    ...priced,
+    discounts: [{
+      couponId: best.coupon.id,
+      code: best.coupon.code,
+      description: describeCoupon(best.coupon, priced.currency),
+      amount: best.amount
+    }],
+    discount: best.amount,
+    total: roundMoney(priced.total - best.amount)
+  };
+};
+
+/**
+ * Load the coupons (at any store) for a list of codes
+ * @param {Array<string>} codes - Normalized codes
+ * @returns {Promise<Array>} Coupon instances
+ */
+const loadCoupons = async (codes) => (codes.length ? Coupon.findAll({ where: { code: codes } }) : []);
+
+/**
+ * Count a use of each coupon applied to an order
+ * Locks the coupon row and re-checks it so a limited code can't be used more times than allowed
+ * @param {Array} discounts - Discount lines from applyCoupons
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ * @throws {CouponError} If a code can no longer be used
+ */
+const redeemCoupons = async (discounts, transaction) => {
+  for (const line of discounts) {
+    const coupon = await Coupon.findByPk(line.couponId, { transaction, lock: true });
+    const problem = coupon ? couponProblem(coupon) : 'This code is no longer active';
+    if (problem) throw new CouponError(`${line.code}: ${problem}`);
+
+    coupon.usedCount += 1;
+    await coupon.save({ transaction });
+  }
+};
+
+/**
+ * Give back the use of a coupon when its order is cancelled
+ * @param {string|null} code - Order's coupon code
+ * @param {string} storeId - Order's store
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const releaseCoupon = async (code, storeId, transaction) => {
+  if (!code) return;
+  const coupon = await Coupon.findOne({ where: { code, storeId }, transaction, lock: true });
+  if (coupon && coupon.usedCount > 0) {
+    coupon.usedCount -= 1;
+    await coupon.save({ transaction });
+  }
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  parseCodes,
+  couponProblem,
+  describeCoupon,
+  couponDiscount,
+  bestCoupon,
+  applyCoupons,
+  loadCoupons,
+  redeemCoupons,
+  releaseCoupon
+};
@@ -0,0 +1,152 @@
+/**
+ * Currencies
+ * Converts between store currencies with the admin-managed exchange rates, and reads rates files
+ * Every rate is quoted against BASE_CURRENCY; stores are always converted to one currency before they are compared
+ */
+
+const { ExchangeRate } = require('../models');
+const { BASE_CURRENCY } = require('../config/constants');
+const { roundMoney } = require('./money');
+
+/**
+ * Normalize a currency code as typed by a shopper or admin
+ * @param {*} currency - Raw code (e.g. " eur")
+ * @returns {string} Trimmed, uppercase code
+ */
+const normalizeCurrency = (currency) => String(currency ?? '').trim().toUpperCase();
+
+/**
+ * Check that a value looks like an ISO 4217 currency code
+ * @param {string} currency - Normalized code
+ * @returns {boolean} True for three uppercase letters
+ */
+const isCurrencyCode = (currency) => /^[A-Z]{3}$/.test(currency);
+
+/**
+ * Load every exchange rate
+ * @returns {Promise<Object>} Map of currency code to units per base currency unit, including the base currency itself
+ */
+const loadRates = async () => {
+  const rows = await ExchangeRate.findAll();
+  const rates = { [BASE_CURRENCY]: 1 };
+  rows.forEach((row) => { rates[row.currency] = Number(row.rate); });
+  return rates;
+};
+
+/**
+ * Look up the rate for a currency
+ * @param {Object} rates - Map from loadRates
+ * @param {string} [currency] - Currency code (default: base currency)
+ * @returns {number|null} Units per base currency unit, or null if the currency has no rate
+ */
+const rateFor = (rates, currency = BASE_CURRENCY) => {
+  if (currency === BASE_CURRENCY) return 1;
+  const rate = Number(rates[currency]);
+  return rate > 0 ? rate : null;
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} rates - Map from loadRates
+ * @returns {number|null} Amount rounded to cents, or null if either currency has no rate
+ */
+const convert = (amount, from, to, rates) => {
+  const fromRate = rateFor(rates, from);
+  const toRate = rateFor(rates, to);
+  if (!fromRate || !toRate) return null;
+  return from === to ? amount : roundMoney((amount / fromRate) * toRate);
+};
+
+/**
+ * Rebase rates quoted against another currency onto the base currency
+ * @param {Object} rates - Map of currency code to rate against `base`
+ * @param {string} base - Currency the rates are quoted against
+ * @returns {{ error: string|null, rates: Array }} Validation error or [{ currency, rate }]
+ */
+const rebaseRates = (rates, base) => {
+  const entries = Object.entries(rates).map(([currency, rate]) => [normalizeCurrency(currency), rate]);
+  for (const [currency, rate] of entries) {
+    if (!isCurrencyCode(currency)) {
+      return { error: `Unknown currency code: ${currency || '(blank)'}`, rates: [] };
+    }
+    if (rate === '' || rate === null || isNaN(Number(rate)) || Number(rate) <= 0) {
+      return { error: `Rate for ${currency} must be a positive number`, rates: [] };
+    }
+  }
+
+  // A file quoted against another currency must include the base currency so it can be converted
+  let divisor = 1;
+  if (base !== BASE_CURRENCY) {
+    const baseEntry = entries.find(([currency]) => currency === BASE_CURRENCY);
+    if (!baseEntry) {
+      return { error: `Rates quoted against ${base} must include a ${BASE_CURRENCY} rate`, rates: [] };
+    }
+    divisor = Number(baseEntry[1]);
+    entries.push([base, 1]);
+  }
+
+  const rebased = new Map();
+  for (const [currency, rate] of entries) {
+    if (currency !== BASE_CURRENCY) rebased.set(currency, Math.round((Number(rate) / divisor) * 1e6) / 1e6);
+  }
+  if (!rebased.size) {
+    return { error: 'The rates file does not contain any rates', rates: [] };
+  }
+
+  return { error: null, rates: [...rebased].map(([currency, rate]) => ({ currency, rate })) };
+};
+
+/**
+ * Read an exchange rates file
+ * Accepts JSON ({ "base": "USD", "rates": { "EUR": 0.92 } }) or CSV with one "currency,rate" per line
+ * (an optional header line and "#" comments are skipped); rates against another base are converted
+ * @param {string} content - File contents
+ * @returns {{ error: string|null, rates: Array }} Validation error or [{ currency, rate }] against the base currency
+ */
+const parseRatesFile = (content) => {
+  const text = String(content ?? '').trim();
+  if (!text) {
+    return { error: 'The rates file is empty', rates: [] };
+  }
+
+  if (text.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return { error: 'The rates file is not valid JSON', rates: [] };
+    }
+    if (!data.rates || typeof data.rates !== 'object' || Array.isArray(data.rates)) {
+      return { error: 'The rates file must have a "rates" object', rates: [] };
+    }
+    const base = data.base ? normalizeCurrency(data.base) : BASE_CURRENCY;
+    if (!isCurrencyCode(base)) {
+      return { error: `Unknown currency code: ${base}`, rates: [] };
+    }
+    return rebaseRates(data.rates, base);
+  }
+
+  const rates = {};
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+  for (const [i, line] of lines.entries()) {
+    const [currency, rate, ...rest] = line.split(/[,;\t]/).map((cell) => cell.trim());
+    if (i === 0 && isNaN(Number(rate))) continue; // Header line
+    if (rate === undefined || rest.some(Boolean)) {
+      return { error: `Row ${i + 1}: expected "currency,rate"`, rates: [] };
+    }
+    rates[currency] = rate;
+  }
+  return rebaseRates(rates, BASE_CURRENCY);
+};
+
+module.exports = {
+  normalizeCurrency,
+  isCurrencyCode,
+  loadRates,
+  rateFor,
+  convert,
+  parseRatesFile
+};
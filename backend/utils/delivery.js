@@ -0,0 +1,66 @@
+/**
+ * Delivery fees
+ * The one calculator behind every delivery fee the app charges or shows: order totals,
+ * the split-cart optimizer, promo code quotes, product offers, and store scores
+ */
+
+const { roundMoney, formatMoney } = require('./money');
+
+/**
+ * Convert a store's delivery rule into plain numbers
+ * @param {Object|null} rule - DeliveryRule instance (null = free delivery)
+ * @returns {Object} { flatFee, perItemFee, freeOver }
+ */
+const formatRule = (rule) => ({
+  flatFee: Number(rule?.flatFee || 0),
+  perItemFee: Number(rule?.perItemFee || 0),
+  freeOver: rule?.freeOver != null ? Number(rule.freeOver) : null
+});
+
+/**
+ * Per-unit surcharge for an item: the offer's own surcharge, or the store's per-item fee
+ * @param {Object|null} rule - Store's delivery rule
+ * @param {*} surcharge - Offer.deliverySurcharge (null = use the rule)
+ * @returns {number} Surcharge per unit
+ */
+const unitSurcharge = (rule, surcharge) => (surcharge != null ? Number(surcharge) : formatRule(rule).perItemFee);
+
+/**
+ * Work out the delivery fee for one store order
+ * The flat fee is charged once, plus a surcharge per unit; orders whose item subtotal
+ * reaches the free-delivery threshold pay nothing
+ * @param {Object|null} rule - Store's delivery rule
+ * @param {Array} items - [{ price, quantity, surcharge }] ordered at the store
+ * @returns {number} Delivery fee (0 for an empty order)
+ */
+const calculateDeliveryFee = (rule, items) => {
+  if (!items.length) return 0;
+  const { flatFee, freeOver } = formatRule(rule);
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  if (freeOver != null && subtotal >= freeOver) return 0;
+
+  const surcharges = items.reduce((sum, item) => sum + unitSurcharge(rule, item.surcharge) * item.quantity, 0);
+  return roundMoney(flatFee + surcharges);
+};
+
+/**
+ * Describe a delivery rule for shoppers and the admin store list
+ * @param {Object|null} rule - Store's delivery rule
+ * @param {string} [currency] - Store's currency (default: base currency)
+ * @returns {string} e.g. "$3.99 delivery + $0.50 per item, free over $50.00"
+ */
+const describeRule = (rule, currency) => {
+  const { flatFee, perItemFee, freeOver } = formatRule(rule);
+  let text = flatFee || !perItemFee ? (flatFee ? `${formatMoney(flatFee, currency)} delivery` : 'Free delivery') : 'Delivery';
+  if (perItemFee) text += ` + ${formatMoney(perItemFee, currency)} per item`;
+  if (freeOver != null && (flatFee || perItemFee)) text += `, free over ${formatMoney(freeOver, currency)}`;
+  return text;
+};
+
+module.exports = {
+  formatRule,
+  unitSurcharge,
+  calculateDeliveryFee,
+  describeRule
+};
@@ -0,0 +1,34 @@
+/**
+ * Email tokens
+ * Single-use links sent by email (password resets, email verification) carry a random token; only its SHA-256 hash
+ * is stored with an expiry, so someone reading the database can't use the links
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a token from a link for lookup
+ * @param {string} token - Token from the link
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashEmailToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for an email link
+ * @param {number} ttlMinutes - How long the link works
+ * @param {Date} now - Current time
+ * @returns {Object} { token (goes in the link), tokenHash (stored), expiresAt }
+ */
+const createEmailToken = (ttlMinutes, now = new Date()) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashEmailToken(token),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000)
+  };
+};
+
+module.exports = {
+  hashEmailToken,
+  createEmailToken
+};
@@ -0,0 +1,80 @@
+/**
+ * Email verification
+ * New accounts get an email with a link proving they own the address. Until it is opened the account can browse
+ * but not check out or set price alerts (see middleware/requireVerified)
+ */
+
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./html');
+const { createEmailToken } = require('./emailTokens');
+const { EMAIL_VERIFICATION_TTL_HOURS, EMAIL_VERIFICATION_RESEND_SECONDS } = require('../config/constants');
+
+/**
+ * Seconds before another verification email may be sent to a user
+ * @param {Object} user - User instance
+ * @param {Date} now - Current time
+ * @returns {number} 0 if one can be sent now
+ */
+const resendWaitSeconds = (user, now = new Date()) => {
+  if (!user.verificationSentAt) return 0;
+  const readyAt = new Date(user.verificationSentAt).getTime() + EMAIL_VERIFICATION_RESEND_SECONDS * 1000;
+  return Math.max(0, Math.ceil((readyAt - now.getTime()) / 1000));
+};
+
+/**
+ * Send a user a new verification link
+ * Replaces any earlier link, which stops working
+ * @param {Object} user - User instance
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user, now = new Date()) => {
+  const { token, tokenHash, expiresAt } = createEmailToken(EMAIL_VERIFICATION_TTL_HOURS * 60, now);
+  user.verificationToken = tokenHash;
+  user.verificationExpires = expiresAt;
+  user.verificationSentAt = now;
+  await user.save({ hooks: false }); // Skip password hashing hook
+
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const verifyURL = `${frontendURL}/verify-email/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'CleanCart - Verify your email address',
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Arial, sans-serif; background: #f8f9fc; padding: 40px 20px;">
+        <div style="background: white; border-radius: 12px; padding: 40px; box-shadow: 0 2px 8px rgba(0,0,0,0.06);">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #4f46e5; margin: 0; font-size: 28px;">CleanCart</h1>
+          </div>
+          <h2 style="color: #1e1b4b; margin-bottom: 16px;">Verify your email address</h2>
+          <p style="color: #64748b; line-height: 1.6;">
+            Hello <strong>${escapeHtml(user.name)}</strong>,
+          </p>
+          <p style="color: #64748b; line-height: 1.6;">
+            Please confirm this is your email address. You can place orders and set price alerts once it is verified:
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${verifyURL}"
+               style="background: linear-gradient(135deg, #4f46e5, #6366f1); color: white; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; display: inline-block;">
+              Verify Email
+            </a>
+          </div>
+          <p style="color: #64748b; line-height: 1.6; font-size: 14px;">
+            This link will expire in <strong>${EMAIL_VERIFICATION_TTL_HOURS} hours</strong>. If you didn't create a CleanCart account, you can safely ignore this email.
+          </p>
+          <p style="color: #94a3b8; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+            If the button doesn't work, paste this link in your browser:<br/>
+            <a href="${verifyURL}" style="color: #4f46e5; word-break: break-all;">${verifyURL}</a>
+          </p>
+        </div>
+      </div>
+    `
+  });
+  console.log(`✅ Verification email sent to ${user.email}`);
+};
+
+module.exports = {
+  resendWaitSeconds,
+  sendVerificationEmail
+};
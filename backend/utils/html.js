@@ -0,0 +1,23 @@
+/**
+ * HTML helpers
+ * Escaping for values interpolated into email HTML (names and other text users choose themselves)
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text so it shows as-is inside HTML
+ * @param {*} value - Text to escape (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,249 @@
+/**
+ * Invoices
+ * Invoice numbering, issuing, date ranges for exports, and the printable invoice layout
+ * Invoices are issued the first time an order's invoice is downloaded or exported, so numbers follow the order
+ * invoices are issued in. Amounts are printed in the order's currency exactly as they were charged
+ */
+
+const { Invoice } = require('../models');
+const { roundMoney, formatMoney } = require('./money');
+const { createPdf, wrapText, PAGE_WIDTH, PAGE_HEIGHT } = require('./pdf');
+
+// Orders in these statuses get no invoice (card orders get one once their payment goes through)
+const UNINVOICED_ORDER_STATUSES = ['awaiting_payment', 'cancelled'];
+
+// Most invoices one export can contain
+const MAX_EXPORT_INVOICES = 500;
+
+// Readable payment method names ('cod' is the checkout default)
+const PAYMENT_METHOD_LABELS = { cod: 'Cash on delivery', card: 'Card' };
+
+// Page layout in points
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const BOTTOM = PAGE_HEIGHT - 80;
+const ACCENT = '#2f855a';
+const MUTED = '#718096';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format an invoice's number
+ * @param {Object} invoice - Invoice instance
+ * @returns {string} e.g. "INV-000042"
+ */
+const invoiceNumber = (invoice) => `INV-${String(invoice.id).padStart(6, '0')}`;
+
+/**
+ * Format a date for printing (in UTC so every reader sees the same date)
+ * @param {Date|string} date - Date to format
+ * @returns {string} e.g. "Oct 19, 2026"
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+});
+
+/**
+ * Check whether an order can have an invoice
+ * @param {Object} order - Order instance
+ * @returns {string|null} Reason it can't, or null if it can
+ */
+const invoiceProblem = (order) => {
+  if (order.status === 'awaiting_payment') return 'Orders waiting for payment have no invoice yet';
+  return UNINVOICED_ORDER_STATUSES.includes(order.status) ? 'Cancelled orders have no invoice' : null;
+};
+
+/**
+ * Get an order's invoice, issuing it with the next number if it has none yet
+ * @param {Object} order - Order instance with its user and invoice loaded
+ * @returns {Promise<Object>} Invoice instance
+ */
+const issueInvoice = async (order) => {
+  if (order.invoice) return order.invoice;
+  try {
+    return await Invoice.create({
+      orderId: order.id,
+      billingName: order.user?.name || null,
+      billingEmail: order.user?.email || null
+    });
+  } catch (error) {
+    // Issued by a concurrent request in the meantime
+    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    return Invoice.findOne({ where: { orderId: order.id } });
+  }
+};
+
+/**
+ * Validate the date range of an invoice export
+ * Both days are included and are read as UTC days
+ * @param {Object} query - { from, to } as YYYY-MM-DD
+ * @returns {Object} { error } or { from, to, label } with from/to as Dates bounding the range
+ */
+const parseDateRange = ({ from, to } = {}) => {
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+
+  const start = new Date(`${from}T00:00:00.000Z`);
+  const end = new Date(`${to}T23:59:59.999Z`);
+  if (isNaN(start) || isNaN(end) || start.toISOString().slice(0, 10) !== from || end.toISOString().slice(0, 10) !== to) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'from must not be after to' };
+  }
+
+  return { from: start, to: end, label: `${from}-to-${to}` };
+};
+
+/**
+ * Describe how an order was paid
+ * @param {Object} order - Order instance with its payment loaded
+ * @returns {string} e.g. "Card (visa ending 4242)"
+ */
+const describePayment = (order) => {
+  const label = PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod;
+  const card = order.payment?.cardLast4;
+  return card ? `${label} (${order.payment.cardBrand} ending ${card})` : label;
+};
+
+/**
+ * Draw the page heading and return where the body starts
+ * @param {Object} pdf - Document from createPdf
+ * @param {string} number - Invoice number
+ * @param {boolean} continued - Whether this page continues an invoice
+ * @returns {number} y of the first body line
+ */
+const drawHeading = (pdf, number, continued) => {
+  pdf.addPage();
+  pdf.rect(0, 0, PAGE_WIDTH, 8, { color: ACCENT });
+  pdf.text('CleanCart', MARGIN, 60, { size: 22, bold: true, color: ACCENT });
+  pdf.text(continued ? `INVOICE ${number} (continued)` : 'INVOICE', RIGHT, 60, { size: continued ? 12 : 22, bold: true, align: 'right' });
+  return continued ? 100 : 90;
+};
+
+/**
+ * Draw a labelled block of lines (e.g. "Bill to")
+ * @param {Object} pdf - Document from createPdf
+ * @param {string} label - Block heading
+ * @param {Array<string>} lines - Block lines
+ * @param {number} x - Left edge
+ * @param {number} y - Baseline of the heading
+ * @returns {number} y below the block
+ */
+const drawBlock = (pdf, label, lines, x, y) => {
+  pdf.text(label.toUpperCase(), x, y, { size: 8, bold: true, color: MUTED });
+  lines.forEach((line, i) => pdf.text(line, x, y + 14 + i * 13, { size: 10 }));
+  return y + 14 + lines.length * 13;
+};
+
+/**
+ * Draw one invoice, starting on a new page and continuing on more pages for long orders
+ * @param {Object} pdf - Document from createPdf
+ * @param {Object} entry - { invoice, order } with the order's items, store, returns, and payment loaded
+ */
+const drawInvoice = (pdf, { invoice, order }) => {
+  const number = invoiceNumber(invoice);
+  const currency = order.currency;
+  const money = (amount) => formatMoney(Number(amount), currency);
+  let y = drawHeading(pdf, number, false);
+
+  // Invoice details on the right, seller on the left
+  [
+    ['Invoice no.', number],
+    ['Issued', formatDate(invoice.issuedAt)],
+    ['Order', `#${order.id}`],
+    ['Order date', formatDate(order.createdAt)]
+  ].forEach(([label, value], i) => {
+    pdf.text(label, RIGHT - 110, y + i * 14, { size: 9, color: MUTED, align: 'right' });
+    pdf.text(value, RIGHT, y + i * 14, { size: 9, bold: true, align: 'right' });
+  });
+  drawBlock(pdf, 'Sold by', [order.store?.name || order.storeId, 'through the CleanCart marketplace'], MARGIN, y);
+  y += 70;
+
+  const billTo = [invoice.billingName || 'Deleted account', invoice.billingEmail].filter(Boolean);
+  const shipTo = [
+    ...wrapText(order.address, 230, 10),
+    [order.region, order.postalCode].filter(Boolean).join(' ')
+  ].filter(Boolean);
+  y = Math.max(drawBlock(pdf, 'Bill to', billTo, MARGIN, y), drawBlock(pdf, 'Ship to', shipTo, 310, y)) + 20;
+
+  // Line items, repeating the column headings on every page
+  const columns = () => {
+    pdf.text('ITEM', MARGIN, y, { size: 8, bold: true, color: MUTED });
+    pdf.text('QTY', 360, y, { size: 8, bold: true, color: MUTED, align: 'right' });
+    pdf.text('UNIT PRICE', 450, y, { size: 8, bold: true, color: MUTED, align: 'right' });
+    pdf.text('AMOUNT', RIGHT, y, { size: 8, bold: true, color: MUTED, align: 'right' });
+    pdf.line(MARGIN, y + 6, RIGHT, y + 6, { color: '#cbd5e0' });
+    y += 22;
+  };
+  columns();
+  for (const item of order.items || []) {
+    const nameLines = wrapText(item.productName, 260, 10);
+    if (y + nameLines.length * 13 > BOTTOM) {
+      y = drawHeading(pdf, number, true);
+      columns();
+    }
+    nameLines.forEach((line, i) => pdf.text(line, MARGIN, y + i * 13, { size: 10 }));
+    pdf.text(String(item.quantity), 360, y, { size: 10, align: 'right' });
+    pdf.text(money(item.price), 450, y, { size: 10, align: 'right' });
+    pdf.text(money(Number(item.price) * item.quantity), RIGHT, y, { size: 10, align: 'right' });
+    y += nameLines.length * 13 + 6;
+  }
+
+  // Totals
+  const refunds = (order.returns || []).filter((ret) => ret.status === 'refunded');
+  const taxRate = Number(order.taxRate);
+  const totals = [
+    ['Subtotal', money(order.subtotal)],
+    ...(Number(order.discount) > 0 ? [[`Discount${order.couponCode ? ` (${order.couponCode})` : ''}`, `-${money(order.discount)}`]] : []),
+    ['Delivery', money(order.deliveryFee)],
+    ...(Number(order.tax) > 0 || taxRate > 0
+      ? [[`${order.taxIncluded ? 'Tax included' : 'Sales tax'} (${taxRate}%)`, money(order.tax)]]
+      : []),
+    ['Total', money(order.total), true],
+    ...refunds.map((ret) => [`Refund, return #${ret.id} (${formatDate(ret.refundedAt || ret.updatedAt)})`, `-${money(ret.refundAmount)}`]),
+    ...(refunds.length > 0
+      ? [['Net paid', money(roundMoney(Number(order.total) - refunds.reduce((sum, ret) => sum + Number(ret.refundAmount), 0))), true]]
+      : [])
+  ];
+  if (y + 12 + totals.length * 16 + 60 > BOTTOM) {
+    y = drawHeading(pdf, number, true);
+  }
+  pdf.line(300, y, RIGHT, y, { color: '#cbd5e0' });
+  y += 16;
+  totals.forEach(([label, value, bold]) => {
+    pdf.text(label, 450, y, { size: 10, bold, align: 'right' });
+    pdf.text(value, RIGHT, y, { size: 10, bold, align: 'right' });
+    y += 16;
+  });
+
+  // Payment and currency notes
+  y += 14;
+  pdf.text(`Payment: ${describePayment(order)}`, MARGIN, y, { size: 9, color: MUTED });
+  pdf.text(`All amounts are in ${currency}.`, MARGIN, y + 13, { size: 9, color: MUTED });
+  pdf.text('Thank you for shopping with CleanCart.', MARGIN, PAGE_HEIGHT - 40, { size: 9, color: MUTED });
+};
+
+/**
+ * Render invoices into one PDF, each starting on a new page
+ * @param {Array} entries - [{ invoice, order }] in print order
+ * @param {string} title - Document title
+ * @returns {Buffer} PDF file contents
+ */
+const renderInvoices = (entries, title) => {
+  const pdf = createPdf({ title });
+  entries.forEach((entry) => drawInvoice(pdf, entry));
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  UNINVOICED_ORDER_STATUSES,
+  MAX_EXPORT_INVOICES,
+  invoiceNumber,
+  invoiceProblem,
+  issueInvoice,
+  parseDateRange,
+  drawInvoice,
+  renderInvoices
+};
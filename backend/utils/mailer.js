@@ -0,0 +1,84 @@
+/**
+ * Mailer
+ * Shared nodemailer transport for every email the app sends (password resets, email verification, price alerts)
+ */
+
+const nodemailer = require('nodemailer');
+
+// Sender used when EMAIL_FROM is not set
+const DEFAULT_FROM = '"CleanCart" <noreply@cleancart.com>';
+
+/**
+ * Configure nodemailer transporter
+ * Priority: ENV SMTP > Gmail > Ethereal (auto-created test account)
+ */
+const getTransporter = async () => {
+  // Use environment variables if available
+  if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  // Gmail with app password
+  if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
+    return nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_USER,
+        pass: process.env.GMAIL_APP_PASSWORD
+      }
+    });
+  }
+
+  // Fallback: Ethereal test account (emails viewable at ethereal.email)
+  const testAccount = await nodemailer.createTestAccount();
+  console.log('📧 Created Ethereal test email account:');
+  console.log(`   User: ${testAccount.user}`);
+  console.log(`   Pass: ${testAccount.pass}`);
+  return nodemailer.createTransport({
+    host: 'smtp.ethereal.email',
+    port: 587,
+    secure: false,
+    auth: {
+      user: testAccount.user,
+      pass: testAccount.pass
+    }
+  });
+};
+
+/**
+ * Send an email
+ * Logs the Ethereal preview URL when the test account is in use
+ * @param {Object} mailOptions - nodemailer message ({ to, subject, html }); `from` defaults to EMAIL_FROM
+ * @returns {Promise<Object>} nodemailer send info
+ */
+const sendMail = async (mailOptions) => {
+  const transporter = await getTransporter();
+  const info = await transporter.sendMail({
+    from: process.env.EMAIL_FROM || process.env.GMAIL_USER || DEFAULT_FROM,
+    ...mailOptions
+  });
+
+  // If using Ethereal, log the preview URL so you can view the email
+  const previewURL = nodemailer.getTestMessageUrl(info);
+  if (previewURL) {
+    console.log('========================================');
+    console.log('📧 VIEW EMAIL AT ETHEREAL:');
+    console.log(`   ${previewURL}`);
+    console.log('========================================');
+  }
+
+  return info;
+};
+
+module.exports = {
+  getTransporter,
+  sendMail
+};
@@ -0,0 +1,41 @@
+/**
+ * Migration runner
+ * Versioned schema migrations (migrations/) and data seeders (seeders/) powered by umzug
+ * Executed migration names are recorded in the SequelizeMeta table, seeders in SequelizeData
+ */
+
+const path = require('path');
+const { Umzug, SequelizeStorage } = require('umzug');
+const sequelize = require('../config/db');
+
+/**
+ * Create an umzug instance for a directory of migration files
+ * Each file exports async up/down functions that receive the query interface as `context`
+ * @param {string} directory - Directory containing the migration files
+ * @param {string} tableName - Table that records which files have run
+ * @returns {Umzug} Configured umzug instance
+ */
+const createRunner = (directory, tableName) => new Umzug({
+  migrations: { glob: ['*.js', { cwd: path.join(__dirname, '..', directory) }] },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize, tableName }),
+  logger: undefined
+});
+
+// Schema migrations, applied in file name order
+const migrator = createRunner('migrations', 'SequelizeMeta');
+
+// Seed data (default stores etc.), applied after migrations
+const seeder = createRunner('seeders', 'SequelizeData');
+
+/**
+ * List migrations that have not been applied yet
+ * @returns {Promise<string[]>} Pending migration names
+ */
+const getPendingMigrations = async () => (await migrator.pending()).map((migration) => migration.name);
+
+module.exports = {
+  migrator,
+  seeder,
+  getPendingMigrations
+};
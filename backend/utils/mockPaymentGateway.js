@@ -0,0 +1,312 @@
+/**
+ * Mock payment gateway
+ * A local card payment provider for development and tests: nothing is charged and no card data leaves the server.
+ * Payment intents are kept in memory, so they are lost when the server restarts.
+ * The card number picks the outcome:
+ * - 4242 4242 4242 4242: authorized
+ * - 4000 0000 0000 0002: declined
+ * - 4000 0000 0000 9995: declined for insufficient funds
+ * - 4000 0000 0000 3220: 3-D Secure challenge, authorized or failed by the customer's answer
+ * - any other number that passes the Luhn check: authorized
+ * Like a real provider it sends a signed webhook event for every change (see verifyWebhook)
+ */
+
+const crypto = require('crypto');
+const { PAYMENT_WEBHOOK_SECRET } = require('../config/constants');
+const { roundMoney } = require('./money');
+
+// Where webhook events are sent; empty to send none
+const WEBHOOK_URL = process.env.PAYMENT_WEBHOOK_URL ?? `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+// Header carrying the webhook signature
+const SIGNATURE_HEADER = 'mock-signature';
+
+// Webhook events older than this (in seconds) are refused, so captured events can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Test cards with a fixed outcome
+const TEST_CARDS = {
+  '4000000000000002': { decline: 'Your card was declined' },
+  '4000000000009995': { decline: 'Your card has insufficient funds' },
+  '4000000000003220': { challenge: true }
+};
+
+// Payment intents by ID
+const intents = new Map();
+
+/**
+ * Create an error the payment service reports to the caller
+ * @param {string} message - Error message
+ * @param {string} code - 'invalid_card', 'invalid_state', or 'not_found'
+ * @returns {Error} Error with its code
+ */
+const gatewayError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Copy an intent so callers can't change the stored one
+ * @param {Object} intent - Stored intent
+ * @returns {Object} Intent
+ */
+const snapshot = (intent) => ({ ...intent, card: intent.card && { ...intent.card }, nextAction: intent.nextAction && { ...intent.nextAction } });
+
+/**
+ * Find an intent
+ * @param {string} id - Intent ID
+ * @returns {Object} Stored intent
+ * @throws {Error} If there is no such intent
+ */
+const findIntent = (id) => {
+  const intent = intents.get(id);
+  if (!intent) throw gatewayError(`No such payment intent: ${id}`, 'not_found');
+  return intent;
+};
+
+/**
+ * Sign a webhook payload
+ * @param {string} payload - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature header value, "t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<payload>">"
+ */
+const signPayload = (payload, timestamp) => {
+  const digest = crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Send a signed event about an intent to the webhook URL
+ * Delivery failures are logged and not retried
+ * @param {string} type - Event type, e.g. 'payment_intent.authorized'
+ * @param {Object} intent - Intent the event is about
+ * @returns {Promise<void>}
+ */
+const sendEvent = async (type, intent) => {
+  if (!WEBHOOK_URL) return;
+  const payload = JSON.stringify({ id: `evt_${crypto.randomUUID()}`, type, data: snapshot(intent) });
+  try {
+    await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(payload, Math.floor(Date.now() / 1000)) },
+      body: payload
+    });
+  } catch (error) {
+    console.error('Mock payment webhook error:', error.message);
+  }
+};
+
+/**
+ * Update an intent and announce the change
+ * @param {Object} intent - Stored intent
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Copy of the updated intent
+ */
+const update = (intent, changes) => {
+  Object.assign(intent, changes);
+  sendEvent(`payment_intent.${intent.status}`, intent);
+  return snapshot(intent);
+};
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} number - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+const luhnValid = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((char, i) => {
+    let digit = Number(char);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+/**
+ * Work out a card's brand from its number
+ * @param {string} number - Digits only
+ * @returns {string} 'visa', 'mastercard', 'amex', or 'card'
+ */
+const cardBrand = (number) => {
+  if (/^4/.test(number)) return 'visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'card';
+};
+
+/**
+ * Validate the card details entered by the customer
+ * @param {Object} card - { number, expMonth, expYear, cvc }
+ * @param {Date} [now] - Current time
+ * @returns {string} Card number (digits only)
+ * @throws {Error} invalid_card if a detail is missing or invalid
+ */
+const parseCard = (card, now = new Date()) => {
+  const number = String(card?.number ?? '').replace(/[\s-]/g, '');
+  if (!/^\d{12,19}$/.test(number) || !luhnValid(number)) {
+    throw gatewayError('Your card number is invalid', 'invalid_card');
+  }
+
+  const month = Number(card.expMonth);
+  let year = Number(card.expYear);
+  if (year < 100) year += 2000;
+  if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+    throw gatewayError("Your card's expiry date is invalid", 'invalid_card');
+  }
+  if (year < now.getUTCFullYear() || (year === now.getUTCFullYear() && month < now.getUTCMonth() + 1)) {
+    throw gatewayError('Your card has expired', 'invalid_card');
+  }
+
+  if (!/^\d{3,4}$/.test(String(card.cvc ?? ''))) {
+    throw gatewayError("Your card's security code is invalid", 'invalid_card');
+  }
+  return number;
+};
+
+/**
+ * Create a payment intent waiting for the customer's card
+ * @param {Object} details - { amount, currency, metadata }
+ * @returns {Promise<Object>} Intent
+ */
+const createIntent = async ({ amount, currency, metadata = {} }) => {
+  const intent = {
+    id: `pi_mock_${crypto.randomUUID().replace(/-/g, '')}`,
+    status: 'requires_confirmation',
+    amount: roundMoney(amount),
+    currency,
+    refundedAmount: 0,
+    card: null,
+    nextAction: null,
+    failureReason: null,
+    metadata
+  };
+  intents.set(intent.id, intent);
+  return snapshot(intent);
+};
+
+/**
+ * Authorize an intent with the customer's card
+ * @param {string} id - Intent ID
+ * @param {Object} details - { card: { number, expMonth, expYear, cvc } }
+ * @returns {Promise<Object>} Intent: authorized, requires_action (3-D Secure), or failed (declined)
+ * @throws {Error} invalid_card for bad card details (the intent can be confirmed again), invalid_state if it was
+ *   already confirmed
+ */
+const confirmIntent = async (id, { card } = {}) => {
+  const intent = findIntent(id);
+  if (intent.status !== 'requires_confirmation') {
+    throw gatewayError(`Payment is already ${intent.status}`, 'invalid_state');
+  }
+
+  const number = parseCard(card);
+  const outcome = TEST_CARDS[number] || {};
+  const details = { card: { brand: cardBrand(number), last4: number.slice(-4) } };
+  if (outcome.decline) {
+    return update(intent, { ...details, status: 'failed', failureReason: outcome.decline });
+  }
+  if (outcome.challenge) {
+    return update(intent, { ...details, status: 'requires_action', nextAction: { type: 'three_d_secure' } });
+  }
+  return update(intent, { ...details, status: 'authorized' });
+};
+
+/**
+ * Finish a 3-D Secure challenge
+ * @param {string} id - Intent ID
+ * @param {boolean} approved - Whether the customer passed the challenge
+ * @returns {Promise<Object>} Intent: authorized or failed
+ */
+const completeChallenge = async (id, approved) => {
+  const intent = findIntent(id);
+  if (intent.status !== 'requires_action') {
+    throw gatewayError('Payment has no challenge to complete', 'invalid_state');
+  }
+  return approved
+    ? update(intent, { status: 'authorized', nextAction: null })
+    : update(intent, { status: 'failed', nextAction: null, failureReason: 'Card authentication failed' });
+};
+
+/**
+ * Capture an authorized intent
+ * @param {string} id - Intent ID
+ * @returns {Promise<Object>} Captured intent
+ */
+const capture = async (id) => {
+  const intent = findIntent(id);
+  if (intent.status !== 'authorized') {
+    throw gatewayError(`A ${intent.status} payment can't be captured`, 'invalid_state');
+  }
+  return update(intent, { status: 'captured' });
+};
+
+/**
+ * Cancel an intent that hasn't been captured, releasing any authorization
+ * @param {string} id - Intent ID
+ * @returns {Promise<Object>} Cancelled intent
+ */
+const cancel = async (id) => {
+  const intent = findIntent(id);
+  if (!['requires_confirmation', 'requires_action', 'authorized'].includes(intent.status)) {
+    throw gatewayError(`A ${intent.status} payment can't be cancelled`, 'invalid_state');
+  }
+  return update(intent, { status: 'cancelled', nextAction: null });
+};
+
+/**
+ * Give back some or all of a captured intent
+ * @param {string} id - Intent ID
+ * @param {number} amount - Amount to refund
+ * @returns {Promise<Object>} Intent: partially_refunded, or refunded once the whole amount is back
+ */
+const refund = async (id, amount) => {
+  const intent = findIntent(id);
+  if (!['captured', 'partially_refunded'].includes(intent.status)) {
+    throw gatewayError(`A ${intent.status} payment can't be refunded`, 'invalid_state');
+  }
+  const refundedAmount = roundMoney(intent.refundedAmount + Number(amount));
+  if (!(Number(amount) > 0) || refundedAmount > intent.amount) {
+    throw gatewayError('Refund is more than what is left of the payment', 'invalid_state');
+  }
+  return update(intent, { refundedAmount, status: refundedAmount === intent.amount ? 'refunded' : 'partially_refunded' });
+};
+
+/**
+ * Check a webhook's signature and read its event
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} Event ({ id, type, data: intent }), or null if the signature is missing, wrong, or too old
+ */
+const verifyWebhook = (rawBody, headers, now = new Date()) => {
+  const parts = Object.fromEntries(String(headers?.[SIGNATURE_HEADER] || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!parts.t || !parts.v1 || !Number.isInteger(timestamp)) return null;
+  if (Math.abs(now.getTime() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return null;
+
+  const expected = Buffer.from(signPayload(String(rawBody), timestamp).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    return JSON.parse(String(rawBody));
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TEST_CARDS,
+  signPayload,
+  luhnValid,
+  cardBrand,
+  parseCard,
+  createIntent,
+  confirmIntent,
+  completeChallenge,
+  capture,
+  cancel,
+  refund,
+  verifyWebhook
+};
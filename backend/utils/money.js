@@ -0,0 +1,28 @@
+/**
+ * Money helpers
+ * Shared rounding and formatting for prices, fees, and totals
+ */
+
+const { BASE_CURRENCY } = require('../config/constants');
+
+/**
+ * Round a currency amount to cents
+ * @param {number} value - Amount to round
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Format an amount for messages and descriptions
+ * @param {number} amount - Amount to format
+ * @param {string} [currency] - Currency code (default: base currency)
+ * @returns {string} e.g. "$3.99" or "€3.99"
+ */
+const formatMoney = (amount, currency = BASE_CURRENCY) => (
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount)
+);
+
+module.exports = {
+  roundMoney,
+  formatMoney
+};
@@ -0,0 +1,72 @@
+/**
+ * Notification helpers
+ * Server-side creation of notifications triggered by other actions (e.g. order and return updates)
+ */
+
+const { Notification } = require('../models');
+const { formatMoney } = require('./money');
+
+// Title, message, and type sent to the customer for each order status
+// (pending is only sent when a card payment goes through, since orders paid on delivery start out pending)
+const ORDER_STATUS_MESSAGES = {
+  pending: { type: 'order', title: 'Payment Confirmed', message: (name) => `Your payment for "${name}" went through and your order has been placed.` },
+  processing: { type: 'order', title: 'Order Processing', message: (name) => `Your order "${name}" is now being processed.` },
+  shipped: { type: 'shipped', title: 'Order Shipped! 🚚', message: (name) => `Great news! Your order "${name}" has been shipped and is on its way.` },
+  delivered: { type: 'delivered', title: 'Order Delivered! ✅', message: (name) => `Your order "${name}" has been delivered. Enjoy your purchase!` },
+  cancelled: { type: 'cancelled', title: 'Order Cancelled', message: (name) => `Your order "${name}" has been cancelled.` }
+};
+
+/**
+ * Notify the customer that their order moved to a new status
+ * Does nothing for statuses without a message or orders without a customer
+ * @param {Object} order - Formatted order ({ userId, productName })
+ * @param {string} status - New order status
+ * @param {string|null} [note] - Reason for the change (e.g. why a payment failed), added to the message
+ * @returns {Promise<Object|null>} Created notification or null
+ */
+const notifyOrderStatusChange = async (order, status, note = null) => {
+  const info = ORDER_STATUS_MESSAGES[status];
+  if (!info || !order.userId) return null;
+
+  const message = info.message(order.productName);
+  return Notification.create({
+    userId: order.userId,
+    type: info.type,
+    title: info.title,
+    message: note ? `${message} ${note}` : message
+  });
+};
+
+// Title and message sent to the customer as their return moves on (in_transit is set by the customer)
+const RETURN_STATUS_MESSAGES = {
+  approved: { title: 'Return Approved', message: (id) => `Your return #${id} has been approved. Please send the items back.` },
+  rejected: { title: 'Return Rejected', message: (id) => `Your return #${id} has been rejected.` },
+  received: { title: 'Return Received', message: (id) => `We've received the items from your return #${id}.` },
+  refunded: { title: 'Refund Issued 💸', message: (id, amount) => `Your refund of ${amount} for return #${id} has been issued.` }
+};
+
+/**
+ * Notify the customer that their return moved to a new status
+ * The admin's note for the change, if any, is added to the message
+ * @param {Object} returnRequest - Formatted return ({ id, userId, refundAmount, currency })
+ * @param {string} status - New return status
+ * @param {string|null} [note] - Admin's note for the change
+ * @returns {Promise<Object|null>} Created notification or null
+ */
+const notifyReturnStatusChange = async (returnRequest, status, note = null) => {
+  const info = RETURN_STATUS_MESSAGES[status];
+  if (!info || !returnRequest.userId) return null;
+
+  const message = info.message(returnRequest.id, formatMoney(returnRequest.refundAmount, returnRequest.currency));
+  return Notification.create({
+    userId: returnRequest.userId,
+    type: 'return',
+    title: info.title,
+    message: note ? `${message} ${note}` : message
+  });
+};
+
+module.exports = {
+  notifyOrderStatusChange,
+  notifyReturnStatusChange
+};
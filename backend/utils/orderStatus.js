@@ -0,0 +1,68 @@
+/**
+ * Order lifecycle
+ * Decides which status changes are allowed (pending → processing → shipped → delivered,
+ * cancellation only before shipping) and reads the note admins can attach to a change
+ */
+
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = require('../config/constants');
+
+// Longest note that can be attached to a status change
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Raised when a status change isn't allowed from the order's (or return's) current status
+ * (e.g. another admin changed it first)
+ */
+class TransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransitionError';
+  }
+}
+
+/**
+ * List the statuses an order can move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>} Legal next statuses (empty for delivered and cancelled orders)
+ */
+const nextStatuses = (status) => ORDER_TRANSITIONS[status] || [];
+
+/**
+ * Check a status change against the lifecycle
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} Reason the change isn't allowed, or null if it is
+ */
+const transitionProblem = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) return 'Invalid order status';
+  if (from === to) return `Order is already ${to}`;
+  if (nextStatuses(from).includes(to)) return null;
+
+  const allowed = nextStatuses(from);
+  const article = /^[aeiou]/.test(from) ? 'An' : 'A';
+  return allowed.length
+    ? `${article} ${from} order can only be moved to ${allowed.join(' or ')}`
+    : `${article} ${from} order can't be changed`;
+};
+
+/**
+ * Validate the optional note for a status change
+ * @param {*} note - Raw note from the request body
+ * @returns {{ error: string|null, note: string|null }} Validation error or the trimmed note (null when blank)
+ */
+const parseStatusNote = (note) => {
+  if (note === undefined || note === null) return { error: null, note: null };
+  if (typeof note !== 'string') return { error: 'Note must be text', note: null };
+  const trimmed = note.trim();
+  if (trimmed.length > MAX_NOTE_LENGTH) {
+    return { error: `Note must be ${MAX_NOTE_LENGTH} characters or fewer`, note: null };
+  }
+  return { error: null, note: trimmed || null };
+};
+
+module.exports = {
+  TransitionError,
+  nextStatuses,
+  transitionProblem,
+  parseStatusNote
+};
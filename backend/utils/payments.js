@@ -0,0 +1,395 @@
+/**
+ * Payments
+ * Card payments through the configured payment provider (PAYMENT_PROVIDER)
+ * A card order is placed as awaiting_payment with a payment intent for its total. Once the customer's card is
+ * authorized the order becomes pending; a failed or abandoned payment releases the order (its stock and promo code
+ * use go back and it is cancelled). The authorized amount is captured when the order ships and refunded for returns.
+ * The provider reports every change through signed webhooks as well, and applying a change twice does nothing
+ *
+ * A provider is a module with createIntent, confirmIntent, completeChallenge, capture, cancel, refund, and
+ * verifyWebhook (see utils/mockPaymentGateway). Intents are plain objects:
+ * { id, status, amount, currency, refundedAmount, card: { brand, last4 } | null, nextAction, failureReason }
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderItem, OrderStatusChange, Payment } = require('../models');
+const { PAYMENT_PROVIDER, PAYMENT_TIMEOUT_MINUTES } = require('../config/constants');
+const { restoreStock } = require('./stock');
+const { checkRestockAlerts } = require('./priceAlerts');
+const { releaseCoupon } = require('./coupons');
+const { notifyOrderStatusChange } = require('./notifications');
+const { roundMoney } = require('./money');
+
+// Payment providers by name
+const PROVIDERS = {
+  mock: require('./mockPaymentGateway')
+};
+
+// Provider error codes caused by the request (bad card details, or a payment in the wrong state)
+// rather than by the provider itself
+const CLIENT_ERROR_CODES = ['invalid_card', 'invalid_state'];
+
+// How far each status is along the payment's life; a change is only applied if it moves the payment on
+const STATUS_ORDER = {
+  requires_confirmation: 0,
+  requires_action: 1,
+  authorized: 2,
+  captured: 3,
+  partially_refunded: 4,
+  refunded: 5,
+  failed: 6,
+  cancelled: 6
+};
+
+// Payments that can still be cancelled without a refund
+const UNCAPTURED_STATUSES = ['requires_confirmation', 'requires_action', 'authorized'];
+
+// Payments with money that can be refunded
+const REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+// Payments whose money has been taken
+const CAPTURED_STATUSES = [...REFUNDABLE_STATUSES, 'refunded'];
+
+// Payments still waiting for the customer
+const INCOMPLETE_STATUSES = ['requires_confirmation', 'requires_action'];
+
+/**
+ * Raised when the payment provider refuses a request or can't be reached
+ * code is the provider's error code (e.g. 'invalid_card'); controllers turn it into a response with paymentErrorStatus
+ */
+class PaymentError extends Error {
+  constructor(message, code = 'provider_error') {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * Get a payment provider
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Provider module
+ * @throws {Error} If there is no such provider
+ */
+const getProvider = (name = PAYMENT_PROVIDER) => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+/**
+ * Call a provider, reporting its failures as PaymentErrors
+ * @param {string} name - Provider name
+ * @param {string} action - Provider function to call
+ * @param {...*} args - Arguments for it
+ * @returns {Promise<Object>} The provider's result
+ * @throws {PaymentError} If the provider refuses or fails
+ */
+const callProvider = async (name, action, ...args) => {
+  const provider = getProvider(name);
+  try {
+    return await provider[action](...args);
+  } catch (error) {
+    throw new PaymentError(error.message, error.code);
+  }
+};
+
+/**
+ * Work out the HTTP status for a payment error
+ * @param {PaymentError} error - Error from a payment function
+ * @returns {number} 400 for errors in the request, 502 when the provider failed
+ */
+const paymentErrorStatus = (error) => (CLIENT_ERROR_CODES.includes(error.code) ? 400 : 502);
+
+/**
+ * Convert a payment into the shape sent to clients
+ * @param {Object|null} payment - Payment instance
+ * @returns {Object|null} Plain payment object, or null for orders without one
+ */
+const formatPayment = (payment) => (payment
+  ? {
+    id: payment.id,
+    orderId: payment.orderId,
+    provider: payment.provider,
+    status: payment.status,
+    amount: Number(payment.amount),
+    currency: payment.currency,
+    refundedAmount: Number(payment.refundedAmount || 0),
+    cardBrand: payment.cardBrand || null,
+    cardLast4: payment.cardLast4 || null,
+    nextAction: payment.nextAction || null,
+    failureReason: payment.failureReason || null,
+    authorizedAt: payment.authorizedAt || null,
+    capturedAt: payment.capturedAt || null
+  }
+  : null);
+
+/**
+ * Notify an order's customer of its new status
+ * A failed notification shouldn't undo the change, so errors are only logged
+ * @param {number} orderId - Order ID
+ * @param {string} status - New order status
+ * @param {string|null} note - Added to the message
+ */
+const notifyCustomer = async (orderId, status, note) => {
+  try {
+    const order = await Order.findByPk(orderId, { include: [{ model: OrderItem, as: 'items' }] });
+    if (!order) return;
+    const items = order.items || [];
+    await notifyOrderStatusChange({
+      userId: order.userId,
+      productName: items.length === 1 ? items[0].productName : `${items.length} items`
+    }, status, note);
+  } catch (error) {
+    console.error('Payment notification error:', error);
+  }
+};
+
+/**
+ * Place an awaiting_payment order once its payment is authorized
+ * @param {number} orderId - Order ID
+ * @returns {Promise<boolean>} True if the order was waiting and is now pending
+ */
+const confirmOrder = async (orderId) => {
+  const confirmed = await sequelize.transaction(async (transaction) => {
+    const [changed] = await Order.update(
+      { status: 'pending' },
+      { where: { id: orderId, status: 'awaiting_payment' }, transaction }
+    );
+    if (!changed) return false;
+    await OrderStatusChange.create({
+      orderId, fromStatus: 'awaiting_payment', toStatus: 'pending', changedBy: null, note: 'Card payment authorized'
+    }, { transaction });
+    return true;
+  });
+
+  if (confirmed) await notifyCustomer(orderId, 'pending', null);
+  return confirmed;
+};
+
+/**
+ * Release an order whose payment didn't go through: its stock and promo code use go back and it is cancelled
+ * Orders no longer awaiting payment are left alone
+ * @param {number} orderId - Order ID
+ * @param {string} note - Why, shown on the tracking timeline and to the customer
+ * @returns {Promise<boolean>} True if the order was released
+ */
+const releaseOrder = async (orderId, note) => {
+  const restocked = await sequelize.transaction(async (transaction) => {
+    const [changed] = await Order.update(
+      { status: 'cancelled' },
+      { where: { id: orderId, status: 'awaiting_payment' }, transaction }
+    );
+    if (!changed) return null;
+
+    const order = await Order.findByPk(orderId, { include: [{ model: OrderItem, as: 'items' }], transaction });
+    const back = await restoreStock(order.items || [], order.storeId, transaction);
+    await releaseCoupon(order.couponCode, order.storeId, transaction);
+    await OrderStatusChange.create({
+      orderId, fromStatus: 'awaiting_payment', toStatus: 'cancelled', changedBy: null, note
+    }, { transaction });
+    return back;
+  });
+  if (!restocked) return false;
+
+  await notifyCustomer(orderId, 'cancelled', note);
+  checkRestockAlerts(restocked).catch((error) => console.error('Price alert error:', error));
+  return true;
+};
+
+/**
+ * Record a provider's intent on its payment and move the order on
+ * Changes that don't move the payment on (repeats and late webhooks) are ignored. An authorized payment places
+ * its order; a failed one releases it
+ * @param {Object} payment - Payment instance
+ * @param {Object} intent - Intent from the provider
+ * @returns {Promise<Object>} The payment, up to date
+ */
+const applyIntent = async (payment, intent) => {
+  const refundedAmount = Number(intent.refundedAmount || 0);
+  const movesOn = STATUS_ORDER[intent.status] > STATUS_ORDER[payment.status] ||
+    (intent.status === payment.status && refundedAmount > Number(payment.refundedAmount));
+  if (!movesOn) return payment;
+
+  const now = new Date();
+  const changes = {
+    status: intent.status,
+    refundedAmount,
+    nextAction: intent.nextAction || null,
+    failureReason: intent.failureReason || null,
+    ...(intent.card && { cardBrand: intent.card.brand, cardLast4: intent.card.last4 }),
+    ...(intent.status === 'authorized' && { authorizedAt: now }),
+    ...(intent.status === 'captured' && { capturedAt: now })
+  };
+  // Only the first of two concurrent updates (e.g. a confirmation and its webhook) applies
+  const [changed] = await Payment.update(changes, {
+    where: { id: payment.id, status: payment.status, refundedAmount: payment.refundedAmount }
+  });
+  await payment.reload();
+  if (!changed) return payment;
+
+  if (intent.status === 'authorized') {
+    await confirmOrder(payment.orderId);
+  } else if (intent.status === 'failed') {
+    await releaseOrder(payment.orderId, `Payment failed: ${intent.failureReason || 'the card was not charged'}.`);
+  }
+  return payment;
+};
+
+/**
+ * Start the payment for a card order
+ * @param {Object} order - Order instance awaiting payment
+ * @returns {Promise<Object>} Created payment, waiting for the customer's card
+ * @throws {PaymentError} If the provider fails
+ */
+const startPayment = async (order) => {
+  const intent = await callProvider(PAYMENT_PROVIDER, 'createIntent', {
+    amount: Number(order.total),
+    currency: order.currency,
+    metadata: { orderId: order.id }
+  });
+  return Payment.create({
+    orderId: order.id,
+    provider: PAYMENT_PROVIDER,
+    providerPaymentId: intent.id,
+    status: intent.status,
+    amount: order.total,
+    currency: order.currency
+  });
+};
+
+/**
+ * Authorize a payment with the customer's card
+ * @param {Object} payment - Payment instance
+ * @param {Object} card - { number, expMonth, expYear, cvc }
+ * @returns {Promise<Object>} The payment: authorized, requires_action (3-D Secure), or failed
+ * @throws {PaymentError} If the card details are invalid or the provider fails
+ */
+const confirmPayment = async (payment, card) => (
+  applyIntent(payment, await callProvider(payment.provider, 'confirmIntent', payment.providerPaymentId, { card }))
+);
+
+/**
+ * Finish a payment's 3-D Secure challenge
+ * @param {Object} payment - Payment instance
+ * @param {boolean} approved - Whether the customer passed the challenge
+ * @returns {Promise<Object>} The payment: authorized or failed
+ * @throws {PaymentError} If there is no challenge or the provider fails
+ */
+const completeChallenge = async (payment, approved) => (
+  applyIntent(payment, await callProvider(payment.provider, 'completeChallenge', payment.providerPaymentId, Boolean(approved)))
+);
+
+/**
+ * Capture an authorized payment (when its order ships)
+ * Payments already captured are left as they are
+ * @param {Object} payment - Payment instance
+ * @returns {Promise<Object>} The payment
+ * @throws {PaymentError} If the payment isn't authorized or the provider fails
+ */
+const capturePayment = async (payment) => {
+  if (CAPTURED_STATUSES.includes(payment.status)) return payment;
+  return applyIntent(payment, await callProvider(payment.provider, 'capture', payment.providerPaymentId));
+};
+
+/**
+ * Give back what's left of a payment when its order is cancelled
+ * Uncaptured payments are cancelled (releasing the authorization), captured ones refunded, and finished ones left alone
+ * @param {Object} payment - Payment instance
+ * @returns {Promise<Object>} The payment
+ * @throws {PaymentError} If the provider fails
+ */
+const cancelPayment = async (payment) => {
+  if (UNCAPTURED_STATUSES.includes(payment.status)) {
+    return applyIntent(payment, await callProvider(payment.provider, 'cancel', payment.providerPaymentId));
+  }
+  if (REFUNDABLE_STATUSES.includes(payment.status)) {
+    return refundPayment(payment, roundMoney(Number(payment.amount) - Number(payment.refundedAmount)));
+  }
+  return payment;
+};
+
+/**
+ * Refund part of a captured payment (e.g. a return)
+ * @param {Object} payment - Payment instance
+ * @param {number} amount - Amount to give back
+ * @returns {Promise<Object>} The payment: partially_refunded or refunded
+ * @throws {PaymentError} If the payment hasn't been captured, the amount is more than is left, or the provider fails
+ */
+const refundPayment = async (payment, amount) => (
+  applyIntent(payment, await callProvider(payment.provider, 'refund', payment.providerPaymentId, amount))
+);
+
+/**
+ * Check a webhook request and read its event
+ * @param {string} providerName - Provider that sent it
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Object|null} Event, or null if the signature doesn't check out
+ */
+const verifyWebhook = (providerName, rawBody, headers) => getProvider(providerName).verifyWebhook(rawBody, headers);
+
+/**
+ * Apply a provider's webhook event to its payment
+ * @param {string} providerName - Provider that sent it
+ * @param {Object} event - Verified event ({ id, type, data: intent })
+ * @returns {Promise<Object|null>} Updated payment, or null if the event isn't about one of ours
+ */
+const handleWebhookEvent = async (providerName, event) => {
+  if (!event?.data?.id) return null;
+  const payment = await Payment.findOne({ where: { provider: providerName, providerPaymentId: event.data.id } });
+  if (!payment) return null;
+  return applyIntent(payment, event.data);
+};
+
+/**
+ * Release card orders whose payment wasn't completed within PAYMENT_TIMEOUT_MINUTES
+ * Their payment is cancelled first; an order whose payment was authorized in the meantime is placed instead
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Orders released
+ */
+const releaseExpiredPayments = async (now = new Date()) => {
+  const orders = await Order.findAll({
+    where: {
+      status: 'awaiting_payment',
+      createdAt: { [Op.lt]: new Date(now.getTime() - PAYMENT_TIMEOUT_MINUTES * 60 * 1000) }
+    },
+    include: [{ model: Payment, as: 'payment' }]
+  });
+
+  let released = 0;
+  for (const order of orders) {
+    try {
+      if (order.payment?.status === 'authorized') {
+        await confirmOrder(order.id);
+        continue;
+      }
+      if (order.payment && INCOMPLETE_STATUSES.includes(order.payment.status)) {
+        await cancelPayment(order.payment);
+      }
+      if (await releaseOrder(order.id, 'Payment was not completed in time.')) released += 1;
+    } catch (error) {
+      // Most likely authorized just now; the next run looks at it again
+      console.error(`Release expired payment error (order ${order.id}):`, error.message);
+    }
+  }
+  return released;
+};
+
+module.exports = {
+  PaymentError,
+  getProvider,
+  paymentErrorStatus,
+  formatPayment,
+  releaseOrder,
+  applyIntent,
+  startPayment,
+  confirmPayment,
+  completeChallenge,
+  capturePayment,
+  cancelPayment,
+  refundPayment,
+  verifyWebhook,
+  handleWebhookEvent,
+  releaseExpiredPayments
+};
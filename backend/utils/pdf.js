@@ -0,0 +1,253 @@
+/**
+ * PDF helpers
+ * A small PDF writer for printable documents such as invoices, with no dependencies
+ * Pages are US Letter and text uses the standard Helvetica fonts every PDF reader has, so nothing is embedded.
+ * Coordinates are in points measured from the top-left corner of the page
+ */
+
+const zlib = require('zlib');
+
+// US Letter page size in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Resource names of the two fonts used
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Helvetica widths (per 1000 units of font size) of the printable ASCII characters, from space (32) to ~ (126)
+// Bold text is measured with the same widths; digits and currency punctuation match in both faces,
+// so right-aligned amounts line up
+const CHAR_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  278, 278, 584, 584, 584, 556, 1015,
+  667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  278, 278, 278, 469, 556, 333,
+  556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+  334, 260, 334, 584
+];
+const DEFAULT_CHAR_WIDTH = 556;
+
+// Characters outside Latin-1 that the fonts' WinAnsi encoding still has
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Encode text in the fonts' WinAnsi encoding
+ * Characters the fonts don't have become "?"
+ * @param {string} text - Text to encode
+ * @returns {Buffer} Encoded bytes
+ */
+const encodeText = (text) => Buffer.from(Array.from(String(text), (char) => {
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+  const code = char.codePointAt(0);
+  if (code === 0x09) return 0x20;
+  return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+}));
+
+/**
+ * Measure the width of a line of text
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+const textWidth = (text, size) => {
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    units += code >= 32 && code <= 126 ? CHAR_WIDTHS[code - 32] : DEFAULT_CHAR_WIDTH;
+  }
+  return (units * size) / 1000;
+};
+
+/**
+ * Split text into lines that fit a width, breaking between words
+ * Words longer than the width are kept whole on their own line
+ * @param {string} text - Text to wrap (newlines always start a new line)
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size in points
+ * @returns {Array<string>} Lines
+ */
+const wrapText = (text, maxWidth, size) => {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * Convert a "#rrggbb" color into PDF RGB operands
+ * @param {string} hex - Color such as "#2f855a"
+ * @returns {string} e.g. "0.184 0.522 0.353"
+ */
+const rgb = (hex) => [1, 3, 5]
+  .map((i) => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3))
+  .join(' ');
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Coordinate or size
+ * @returns {string} Number with at most 2 decimals
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "D:20261019143000Z"
+ */
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Start a new PDF document
+ * Draw with text(), line(), and rect() on the current page; addPage() starts the next one
+ * @param {Object} [info] - Document properties
+ * @param {string} [info.title] - Title shown by PDF readers
+ * @returns {Object} Document with addPage, text, line, rect, pageCount, and toBuffer
+ */
+const createPdf = ({ title = '' } = {}) => {
+  const pages = [];
+  let current = null;
+
+  const doc = {
+    /**
+     * Start a new page; later drawing goes on it
+     * @returns {Object} The document
+     */
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    /**
+     * Draw a line of text
+     * @param {string} text - Text to draw
+     * @param {number} x - Left edge (or right edge when align is 'right')
+     * @param {number} y - Baseline, from the top of the page
+     * @param {Object} [options] - { size = 10, bold = false, align = 'left', color = '#000000' }
+     * @returns {Object} The document
+     */
+    text(text, x, y, { size = 10, bold = false, align = 'left', color = '#000000' } = {}) {
+      if (!current) doc.addPage();
+      const left = align === 'right' ? x - textWidth(text, size) : x;
+      current.push(
+        `BT /${bold ? FONTS.bold : FONTS.regular} ${num(size)} Tf ${rgb(color)} rg ` +
+        `${num(left)} ${num(PAGE_HEIGHT - y)} Td <${encodeText(text).toString('hex')}> Tj ET`
+      );
+      return doc;
+    },
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y, from the top of the page
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y, from the top of the page
+     * @param {Object} [options] - { width = 0.5, color = '#000000' }
+     * @returns {Object} The document
+     */
+    line(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+      if (!current) doc.addPage();
+      current.push(
+        `${num(width)} w ${rgb(color)} RG ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+      );
+      return doc;
+    },
+
+    /**
+     * Draw a filled rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Object} [options] - { color = '#000000' }
+     * @returns {Object} The document
+     */
+    rect(x, y, width, height, { color = '#000000' } = {}) {
+      if (!current) doc.addPage();
+      current.push(`${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+      return doc;
+    },
+
+    /**
+     * Number of pages so far
+     * @returns {number} Page count
+     */
+    pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Write the document
+     * A document with nothing drawn still gets one blank page
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+      if (pages.length === 0) doc.addPage();
+
+      // Objects 1-5 are fixed; each page then takes two (the page and its content stream)
+      const objects = [
+        Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+        Buffer.from(`<< /Type /Pages /Kids [${pages.map((_, i) => `${6 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`),
+        Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+        Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+        Buffer.from(
+          `<< /Title <${encodeText(title).toString('hex')}> /Producer (CleanCart) /CreationDate (${pdfDate(new Date())}) >>`
+        )
+      ];
+      pages.forEach((operations, i) => {
+        const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+        objects.push(Buffer.from(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`
+        ));
+        objects.push(Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+          content,
+          Buffer.from('\nendstream')
+        ]));
+      });
+
+      // Header marks the file as binary; the cross-reference table records where each object starts
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+        chunks.push(chunk);
+        const start = offset;
+        offset += chunk.length;
+        return start;
+      });
+      chunks.push(Buffer.from(
+        `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`
+      ));
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return doc;
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  encodeText,
+  textWidth,
+  wrapText,
+  createPdf
+};
@@ -0,0 +1,206 @@
+/**
+ * Price alerts
+ * Checks watchlist conditions when a product's offers change (admin edits, and sold-out offers restocked by
+ * cancellations and returns) and notifies watchers in the app and by email. Target prices are in the base
+ * currency, so offers are converted before comparing
+ */
+
+const { Product, Offer, Store, PriceAlert, User, Notification } = require('../models');
+const { PRICE_ALERT_COOLDOWN_HOURS, BASE_CURRENCY } = require('../config/constants');
+const { sendMail } = require('./mailer');
+const { loadRates, convert } = require('./currency');
+const { formatMoney } = require('./money');
+const { escapeHtml } = require('./html');
+
+/**
+ * List the offers whose price or availability changed in an update
+ * Offers at deactivated stores, or in a currency without an exchange rate, are ignored
+ * @param {Array} before - Offers before the update [{ storeId, price, available }]
+ * @param {Array} after - Offers after the update, with their store loaded
+ * @param {Object} [rates] - Exchange rates from loadRates
+ * @returns {Array} [{ storeId, storeName, price, currency, basePrice, available, previousPrice, previousAvailable }]
+ *   where price and previousPrice are in the store's currency and basePrice in the base currency
+ */
+const diffOffers = (before, after, rates = {}) => after
+  .filter((offer) => offer.store?.active !== false)
+  .map((offer) => {
+    const previous = before.find((old) => old.storeId === offer.storeId);
+    const currency = offer.store?.currency || BASE_CURRENCY;
+    return {
+      storeId: offer.storeId,
+      storeName: offer.store?.name || offer.storeId,
+      price: Number(offer.price),
+      currency,
+      basePrice: convert(Number(offer.price), currency, BASE_CURRENCY, rates),
+      available: Boolean(offer.available),
+      previousPrice: previous ? Number(previous.price) : null,
+      previousAvailable: previous ? Boolean(previous.available) : false
+    };
+  })
+  .filter((change) => change.basePrice !== null)
+  .filter((change) => change.price !== change.previousPrice || change.available !== change.previousAvailable);
+
+/**
+ * Decide whether an alert fires for a set of offer changes
+ * A change counts when the offer is available at a watched store and got cheaper (or came back in stock);
+ * with a target price it must also be at or below the target (compared in the base currency).
+ * Repeats are debounced: within the cooldown only a price below the last alerted price fires again
+ * @param {Object} alert - PriceAlert ({ targetPrice, storeIds, lastNotifiedAt, lastNotifiedPrice }, in the base currency)
+ * @param {Array} changes - Changes from diffOffers
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} The cheapest triggering change, or null
+ */
+const findTrigger = (alert, changes, now = new Date()) => {
+  const target = alert.targetPrice != null ? Number(alert.targetPrice) : null;
+  const watched = alert.storeIds?.length ? alert.storeIds : null;
+
+  const candidates = changes.filter((change) => {
+    if (!change.available || (watched && !watched.includes(change.storeId))) return false;
+    const cheaper = change.previousPrice != null && change.price < change.previousPrice;
+    const restocked = !change.previousAvailable && change.previousPrice != null;
+    if (target === null) return cheaper;
+    return change.basePrice <= target && (cheaper || restocked || change.previousPrice === null);
+  });
+  if (!candidates.length) return null;
+
+  const best = candidates.reduce((low, change) => (change.basePrice < low.basePrice ? change : low));
+
+  if (alert.lastNotifiedAt) {
+    const quietUntil = new Date(alert.lastNotifiedAt).getTime() + PRICE_ALERT_COOLDOWN_HOURS * 60 * 60 * 1000;
+    const lowerThanLast = alert.lastNotifiedPrice != null && best.basePrice < Number(alert.lastNotifiedPrice);
+    if (now.getTime() < quietUntil && !lowerThanLast) return null;
+  }
+
+  return best;
+};
+
+/**
+ * Describe a triggered alert for the notification and email
+ * @param {Object} alert - PriceAlert (with targetPrice)
+ * @param {string} productName - Watched product's name
+ * @param {Object} change - Triggering change
+ * @returns {string} Human-readable message
+ */
+const describeTrigger = (alert, productName, change) => {
+  const price = formatMoney(change.price, change.currency);
+  const was = change.previousPrice != null && change.previousPrice > change.price
+    ? ` (was ${formatMoney(change.previousPrice, change.currency)})`
+    : '';
+  if (alert.targetPrice != null) {
+    return `"${productName}" is now ${price} at ${change.storeName}${was}, at or below your target of ${formatMoney(Number(alert.targetPrice))}.`;
+  }
+  return `"${productName}" dropped to ${price} at ${change.storeName}${was}.`;
+};
+
+/**
+ * Email a watcher about a price drop
+ * @param {Object} user - Recipient ({ name, email })
+ * @param {Object} product - Product ({ id, name })
+ * @param {string} message - Alert message from describeTrigger
+ * @returns {Promise<Object>} nodemailer send info
+ */
+const sendAlertEmail = (user, product, message) => {
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const productURL = `${frontendURL}/products/${product.id}`;
+
+  return sendMail({
+    to: user.email,
+    subject: `CleanCart - Price drop on ${product.name}`,
+    html: `
+      <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Arial, sans-serif; background: #f8f9fc; padding: 40px 20px;">
+        <div style="background: white; border-radius: 12px; padding: 40px; box-shadow: 0 2px 8px rgba(0,0,0,0.06);">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #4f46e5; margin: 0; font-size: 28px;">CleanCart</h1>
+          </div>
+          <h2 style="color: #1e1b4b; margin-bottom: 16px;">Price Drop Alert</h2>
+          <p style="color: #64748b; line-height: 1.6;">
+            Hello <strong>${escapeHtml(user.name)}</strong>,
+          </p>
+          <p style="color: #64748b; line-height: 1.6;">${escapeHtml(message)}</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${productURL}"
+               style="background: linear-gradient(135deg, #4f46e5, #6366f1); color: white; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; display: inline-block;">
+              View Product
+            </a>
+          </div>
+          <p style="color: #94a3b8; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
+            You are receiving this because the product is on your CleanCart watchlist. Manage your alerts from your profile.
+          </p>
+        </div>
+      </div>
+    `
+  });
+};
+
+/**
+ * Check every active alert on a product after its offers changed
+ * Fired alerts get an in-app notification and an email; a failed email does not undo the alert
+ * @param {Object} product - Updated product with offers (and their stores) loaded
+ * @param {Array} before - Offers before the update [{ storeId, price, available }]
+ * @returns {Promise<number>} Number of alerts that fired
+ */
+const checkPriceAlerts = async (product, before) => {
+  const changes = diffOffers(before, product.offers || [], await loadRates());
+  if (!changes.length) return 0;
+
+  const alerts = await PriceAlert.findAll({
+    where: { productId: product.id, active: true },
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }]
+  });
+
+  const now = new Date();
+  let fired = 0;
+  for (const alert of alerts) {
+    const change = findTrigger(alert, changes, now);
+    if (!change || !alert.user) continue;
+
+    const message = describeTrigger(alert, product.name, change);
+    await Notification.create({ userId: alert.userId, type: 'price', title: 'Price Drop! 📉', message });
+
+    alert.lastNotifiedAt = now;
+    alert.lastNotifiedPrice = change.basePrice;
+    await alert.save();
+    fired++;
+
+    try {
+      await sendAlertEmail(alert.user, product, message);
+    } catch (error) {
+      console.error(`Price alert email error (alert ${alert.id}):`, error);
+    }
+  }
+
+  return fired;
+};
+
+/**
+ * Check alerts on products whose sold-out offers came back in stock
+ * Selling out can't fire an alert, so orders taking stock don't need checking
+ * @param {Array} restocked - Offers from restoreStock [{ productId, storeId }]
+ * @returns {Promise<number>} Number of alerts that fired
+ */
+const checkRestockAlerts = async (restocked = []) => {
+  let fired = 0;
+  for (const productId of new Set(restocked.map((offer) => offer.productId))) {
+    const product = await Product.findByPk(productId, {
+      include: [{ model: Offer, as: 'offers', include: [{ model: Store, as: 'store' }] }]
+    });
+    if (!product) continue;
+
+    // The restocked offers were sold out before; the rest are as they are now
+    const before = (product.offers || []).map((offer) => ({
+      storeId: offer.storeId,
+      price: Number(offer.price),
+      available: offer.available && !restocked.some((back) => back.productId === productId && back.storeId === offer.storeId)
+    }));
+    fired += await checkPriceAlerts(product, before);
+  }
+  return fired;
+};
+
+module.exports = {
+  diffOffers,
+  findTrigger,
+  describeTrigger,
+  checkPriceAlerts,
+  checkRestockAlerts
+};
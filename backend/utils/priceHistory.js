@@ -0,0 +1,98 @@
+/**
+ * Price history helpers
+ * Turns recorded offer changes into chart series and min/max/average summaries
+ * Each history point holds from the time it was recorded until the next one
+ */
+
+const { PRICE_HISTORY_WINDOWS } = require('../config/constants');
+const { roundMoney } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize history rows and sort them oldest first
+ * @param {Array} rows - PriceHistory rows ({ price, available, recordedAt })
+ * @returns {Array} [{ price, available, recordedAt: Date }]
+ */
+const toPoints = (rows) => rows
+  .map((row) => ({
+    price: Number(row.price),
+    available: Boolean(row.available),
+    recordedAt: new Date(row.recordedAt)
+  }))
+  .sort((a, b) => a.recordedAt - b.recordedAt);
+
+/**
+ * Get the points to chart from a start time on
+ * The point in effect at the start is moved to the start so the line begins there
+ * @param {Array} points - Points from toPoints (oldest first)
+ * @param {Date} since - Start of the chart
+ * @returns {Array} Points from `since` on
+ */
+const pointsSince = (points, since) => {
+  const before = points.filter((point) => point.recordedAt < since);
+  const after = points.filter((point) => point.recordedAt >= since);
+  const opening = before[before.length - 1];
+  return opening ? [{ ...opening, recordedAt: since }, ...after] : after;
+};
+
+/**
+ * Summarize prices over the last `days` days
+ * Only time the product was available counts; the average is weighted by how long each price lasted
+ * @param {Array} points - Points from toPoints (oldest first)
+ * @param {number} days - Window length
+ * @param {Date} [now] - End of the window
+ * @returns {{ days: number, min: number|null, max: number|null, average: number|null, changes: number }}
+ */
+const summarizeWindow = (points, days, now = new Date()) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const window = pointsSince(points, since);
+
+  // Price and duration of every available stretch in the window; a price replaced at the
+  // same instant never applied, but the latest one counts even if it was recorded just now
+  const stretches = window
+    .map((point, i) => ({
+      price: point.price,
+      available: point.available,
+      latest: i === window.length - 1,
+      duration: (window[i + 1] ? window[i + 1].recordedAt : now) - point.recordedAt
+    }))
+    .filter((stretch) => stretch.available && (stretch.duration > 0 || stretch.latest));
+
+  const changes = points.filter((point) => point.recordedAt >= since).length;
+  if (!stretches.length) {
+    return { days, min: null, max: null, average: null, changes };
+  }
+
+  const prices = stretches.map((stretch) => stretch.price);
+  const duration = stretches.reduce((sum, stretch) => sum + stretch.duration, 0);
+  // A price recorded just now has no duration yet, so fall back to a plain average
+  const average = duration > 0
+    ? stretches.reduce((sum, stretch) => sum + stretch.price * stretch.duration, 0) / duration
+    : prices.reduce((sum, price) => sum + price, 0) / prices.length;
+
+  return {
+    days,
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    average: roundMoney(average),
+    changes
+  };
+};
+
+/**
+ * Summarize every standard window (30/90/365 days)
+ * @param {Array} points - Points from toPoints (oldest first)
+ * @param {Date} [now] - End of the windows
+ * @returns {Array} One summary per window, shortest first
+ */
+const summarizeHistory = (points, now = new Date()) => (
+  PRICE_HISTORY_WINDOWS.map((days) => summarizeWindow(points, days, now))
+);
+
+module.exports = {
+  toPoints,
+  pointsSince,
+  summarizeWindow,
+  summarizeHistory
+};
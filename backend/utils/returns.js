@@ -0,0 +1,242 @@
+/**
+ * Returns (RMA)
+ * Return eligibility, item and photo validation, the return lifecycle, and refund amounts
+ * Refunds are worked out in the order's currency from the prices paid: the returned lines, less their share of
+ * the promo discount, plus their share of the sales tax. The delivery fee is only refunded when the store was at
+ * fault and the return sends back everything left on the order
+ */
+
+const {
+  RETURN_STATUSES, RETURN_TRANSITIONS, STORE_FAULT_RETURN_REASONS, RETURN_WINDOW_DAYS
+} = require('../config/constants');
+const { roundMoney } = require('./money');
+
+// Order statuses items can be returned from
+const RETURNABLE_ORDER_STATUSES = ['delivered', 'partially_returned'];
+
+// Return statuses whose items still count against the order (rejected returns give the units back)
+const ACTIVE_RETURN_STATUSES = RETURN_STATUSES.filter((status) => status !== 'rejected');
+
+// Returns still being worked on
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'in_transit', 'received'];
+
+// Set by the customer when they send the items back; every other change is made by an admin
+const CUSTOMER_RETURN_STATUSES = ['in_transit'];
+
+// At most this many photos per return, each at most this many characters (data URLs are ~4/3 of the file size)
+const MAX_PHOTOS = 3;
+const MAX_PHOTO_LENGTH = 2 * 1024 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when the items asked for can't be returned (e.g. another return took the last units first)
+ * Controllers answer it with 400
+ */
+class ReturnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReturnError';
+  }
+}
+
+/**
+ * List the statuses a return can move to next
+ * @param {string} status - Current return status
+ * @returns {Array<string>} Legal next statuses (empty for rejected and refunded returns)
+ */
+const nextReturnStatuses = (status) => RETURN_TRANSITIONS[status] || [];
+
+/**
+ * Check a return status change against the return lifecycle
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} Reason the change isn't allowed, or null if it is
+ */
+const returnTransitionProblem = (from, to) => {
+  if (!RETURN_STATUSES.includes(to)) return 'Invalid return status';
+  if (from === to) return `Return is already ${to.replace('_', ' ')}`;
+  if (nextReturnStatuses(from).includes(to)) return null;
+  return `A ${from.replace('_', ' ')} return can't be marked ${to.replace('_', ' ')}`;
+};
+
+/**
+ * Find when an order was delivered
+ * @param {Object} order - Order with its status history loaded
+ * @returns {Date} Time of the latest change to delivered (the last update for orders without history)
+ */
+const deliveredAt = (order) => {
+  const delivered = (order.history || [])
+    .filter((change) => change.toStatus === 'delivered')
+    .map((change) => new Date(change.changedAt));
+  return delivered.length ? new Date(Math.max(...delivered)) : new Date(order.updatedAt);
+};
+
+/**
+ * Find the last day items on an order can be returned
+ * @param {Object} order - Order with its status history loaded
+ * @returns {Date|null} End of the return window, or null if the order can't be returned from
+ */
+const returnDeadline = (order) => {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) return null;
+  return new Date(deliveredAt(order).getTime() + RETURN_WINDOW_DAYS * DAY_MS);
+};
+
+/**
+ * Check whether items on an order can still be returned
+ * @param {Object} order - Order with its status history loaded
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Reason a return can't be requested, or null if it can
+ */
+const returnWindowProblem = (order, now = new Date()) => {
+  const deadline = returnDeadline(order);
+  if (!deadline) return 'Only delivered orders can be returned';
+  if (now > deadline) return `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`;
+  return null;
+};
+
+/**
+ * Count the units of each order line already covered by returns that weren't rejected
+ * @param {Array} returns - The order's return requests with their items loaded
+ * @returns {Map<number, number>} orderItemId → units
+ */
+const returnedQuantities = (returns) => {
+  const counts = new Map();
+  for (const request of returns || []) {
+    if (!ACTIVE_RETURN_STATUSES.includes(request.status)) continue;
+    for (const item of request.items || []) {
+      counts.set(item.orderItemId, (counts.get(item.orderItemId) || 0) + item.quantity);
+    }
+  }
+  return counts;
+};
+
+/**
+ * Validate the items a customer wants to return
+ * Duplicate lines are combined
+ * @param {Array} items - [{ orderItemId, quantity }] from the request body
+ * @param {Object} order - Order with its items loaded
+ * @param {Map<number, number>} alreadyReturned - Units already covered by other returns (from returnedQuantities)
+ * @returns {{ error: string|null, lines: Array }} Validation error or [{ orderItem, quantity }]
+ */
+const parseReturnItems = (items, order, alreadyReturned) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Choose at least one item to return', lines: [] };
+  }
+
+  const merged = new Map();
+  for (const item of items) {
+    const orderItemId = Number(item?.orderItemId);
+    const quantity = Number(item?.quantity ?? 1);
+    const orderItem = (order.items || []).find((line) => line.id === orderItemId);
+    if (!orderItem) {
+      return { error: 'That item is not on this order', lines: [] };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Quantity must be a positive whole number', lines: [] };
+    }
+    merged.set(orderItemId, { orderItem, quantity: (merged.get(orderItemId)?.quantity || 0) + quantity });
+  }
+
+  for (const { orderItem, quantity } of merged.values()) {
+    const left = orderItem.quantity - (alreadyReturned.get(orderItem.id) || 0);
+    if (quantity > left) {
+      return {
+        error: left > 0
+          ? `Only ${left} of ${orderItem.productName} can still be returned`
+          : `${orderItem.productName} has already been returned`,
+        lines: []
+      };
+    }
+  }
+
+  return { error: null, lines: [...merged.values()] };
+};
+
+/**
+ * Validate the photos attached to a return
+ * @param {*} photos - Raw photos from the request body (image data URLs or http(s) URLs)
+ * @returns {{ error: string|null, photos: Array|null }} Validation error or the photos (null when none)
+ */
+const parsePhotos = (photos) => {
+  if (photos === undefined || photos === null) return { error: null, photos: null };
+  if (!Array.isArray(photos)) return { error: 'Photos must be a list of images', photos: null };
+  if (photos.length > MAX_PHOTOS) return { error: `Attach at most ${MAX_PHOTOS} photos`, photos: null };
+
+  for (const photo of photos) {
+    if (typeof photo !== 'string' || !/^(data:image\/[a-z+.-]+;base64,|https?:\/\/)/i.test(photo)) {
+      return { error: 'Photos must be images', photos: null };
+    }
+    if (photo.length > MAX_PHOTO_LENGTH) {
+      return { error: 'Each photo must be smaller than 1.5 MB', photos: null };
+    }
+  }
+  return { error: null, photos: photos.length ? photos : null };
+};
+
+/**
+ * Work out the refund for a return
+ * @param {Object} details
+ * @param {Object} details.order - Order (subtotal, deliveryFee, discount, tax, taxIncluded, total)
+ * @param {Array} details.lines - Returned lines [{ orderItem: { price }, quantity }]
+ * @param {string} details.reason - Return reason
+ * @param {string|null} details.couponType - Type of the order's promo code (free_delivery discounts come off
+ *   the delivery fee rather than the items)
+ * @param {boolean} details.completesOrder - Whether this return sends back everything left on the order
+ * @param {number} details.alreadyRefunded - Refunds already owed on the order by other returns
+ * @returns {Object} { subtotal, discount, deliveryFee, tax, refundAmount } in the order's currency
+ */
+const calculateRefund = ({ order, lines, reason, couponType = null, completesOrder = false, alreadyRefunded = 0 }) => {
+  const orderSubtotal = Number(order.subtotal);
+  const orderDelivery = Number(order.deliveryFee);
+  const orderDiscount = Number(order.discount || 0);
+  const deliveryDiscount = couponType === 'free_delivery' ? Math.min(orderDiscount, orderDelivery) : 0;
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + Number(line.orderItem.price) * line.quantity, 0));
+  const discount = orderSubtotal > 0 ? roundMoney((orderDiscount - deliveryDiscount) * subtotal / orderSubtotal) : 0;
+  const deliveryFee = completesOrder && STORE_FAULT_RETURN_REASONS.includes(reason)
+    ? roundMoney(orderDelivery - deliveryDiscount)
+    : 0;
+
+  // Tax is refunded in proportion to the taxed amount being given back
+  const taxable = orderSubtotal + orderDelivery - orderDiscount;
+  const refunded = subtotal - discount + deliveryFee;
+  const tax = taxable > 0 ? roundMoney(Number(order.tax || 0) * refunded / taxable) : 0;
+
+  // Never give back more than the customer paid, across all of the order's returns
+  const owed = roundMoney(refunded + (order.taxIncluded ? 0 : tax));
+  const refundAmount = roundMoney(Math.max(0, Math.min(owed, Number(order.total) - alreadyRefunded)));
+
+  return { subtotal, discount, deliveryFee, tax, refundAmount };
+};
+
+/**
+ * Decide an order's status once a return on it has been refunded
+ * @param {Object} order - Order with its items loaded
+ * @param {Array} returns - The order's return requests with their items (including the one just refunded)
+ * @returns {string} 'returned' when every unit has been refunded, otherwise 'partially_returned'
+ */
+const orderStatusAfterRefund = (order, returns) => {
+  const ordered = (order.items || []).reduce((sum, item) => sum + item.quantity, 0);
+  const refunded = (returns || [])
+    .filter((request) => request.status === 'refunded')
+    .reduce((sum, request) => sum + (request.items || []).reduce((count, item) => count + item.quantity, 0), 0);
+  return refunded >= ordered ? 'returned' : 'partially_returned';
+};
+
+module.exports = {
+  ReturnError,
+  ACTIVE_RETURN_STATUSES,
+  OPEN_RETURN_STATUSES,
+  CUSTOMER_RETURN_STATUSES,
+  nextReturnStatuses,
+  returnTransitionProblem,
+  deliveredAt,
+  returnDeadline,
+  returnWindowProblem,
+  returnedQuantities,
+  parseReturnItems,
+  parsePhotos,
+  calculateRefund,
+  orderStatusAfterRefund
+};
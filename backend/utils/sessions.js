@@ -0,0 +1,184 @@
+/**
+ * Sessions
+ * Every sign-in starts a session with two tokens: a short-lived access token (a JWT carrying the user and session
+ * IDs, sent with every API call) and a refresh token that is swapped for a new pair once the access token runs out
+ *
+ * Refresh tokens are "<session ID>.<secret>" and only a SHA-256 hash of the secret is stored. Each refresh replaces
+ * the secret, so a secret that was already swapped coming back means someone else has a copy of the token: the
+ * session is revoked for both of them. Revoked sessions stop their access tokens straight away too, since the
+ * auth middleware checks the session on every request
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require('../config/constants');
+
+/**
+ * Raised when a refresh token or the session behind an access token can no longer be used
+ * Controllers answer it with 401 so the client signs in again
+ */
+class SessionError extends Error {
+  constructor(message = 'Your session has ended. Please log in again.') {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * When a session used now stops working if it isn't used again
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const refreshExpiry = (now) => new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Check whether a session can still be used
+ * @param {Object|null} session - Session instance
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isActive = (session, now = new Date()) => Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+
+/**
+ * Issue the tokens for a session
+ * @param {Object} session - Session instance
+ * @param {string} secret - The session's current refresh token secret
+ * @returns {Object} { token, refreshToken }
+ */
+const tokenPair = (session, secret) => ({
+  token: jwt.sign({ userId: session.userId, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+  refreshToken: `${session.id}.${secret}`
+});
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {*} refreshToken - Token sent by the client
+ * @returns {Object|null} { sessionId, secret } or null if it isn't a refresh token
+ */
+const parseRefreshToken = (refreshToken) => {
+  const match = /^(\d+)\.([a-f0-9]{64})$/.exec(String(refreshToken ?? ''));
+  return match ? { sessionId: Number(match[1]), secret: match[2] } : null;
+};
+
+/**
+ * Start a session for a user who just signed in or registered
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request (the session records its user agent and IP)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const startSession = async (user, req, now = new Date()) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    userId: user.id,
+    tokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(now),
+    lastUsedAt: now,
+    userAgent: String(req.headers?.['user-agent'] || '').slice(0, 255) || null,
+    ipAddress: req.ip || null
+  });
+  return tokenPair(session, secret);
+};
+
+/**
+ * End sessions early
+ * @param {Object} where - Which sessions (active ones only are changed)
+ * @param {string} reason - One of SESSION_REVOKE_REASONS
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revoke = async (where, reason, now = new Date()) => {
+  const [count] = await Session.update({ revokedAt: now, revokedReason: reason }, { where: { ...where, revokedAt: null } });
+  return count;
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { token, refreshToken }
+ * @throws {SessionError} If the token is unknown, expired, revoked, or was already used (the session is revoked)
+ */
+const refreshSession = async (refreshToken, now = new Date()) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && await Session.findByPk(parsed.sessionId);
+  if (!isActive(session, now)) {
+    throw new SessionError();
+  }
+
+  const tokenHash = hashSecret(parsed.secret);
+  if (tokenHash !== session.tokenHash) {
+    await revoke({ id: session.id }, 'token_reuse', now);
+    throw new SessionError('This session was signed out because its token was used twice. Please log in again.');
+  }
+
+  // Conditional on the old hash, so of two refreshes racing with the same token only one gets a new pair
+  const secret = crypto.randomBytes(32).toString('hex');
+  const [updated] = await Session.update(
+    { tokenHash: hashSecret(secret), expiresAt: refreshExpiry(now), lastUsedAt: now },
+    { where: { id: session.id, tokenHash, revokedAt: null } }
+  );
+  if (!updated) {
+    throw new SessionError();
+  }
+  return tokenPair(session, secret);
+};
+
+/**
+ * End the session a refresh token belongs to (logging out)
+ * @param {string} refreshToken - The session's current refresh token
+ * @returns {Promise<boolean>} false if the token doesn't match an active session
+ */
+const endSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && await Session.findByPk(parsed.sessionId);
+  if (!session || session.tokenHash !== hashSecret(parsed.secret)) {
+    return false;
+  }
+  return (await revoke({ id: session.id }, 'logout')) > 0;
+};
+
+/**
+ * End all of a user's sessions, e.g. after their password changes
+ * @param {number} userId - User ID
+ * @param {string} reason - One of SESSION_REVOKE_REASONS
+ * @param {number} [exceptSessionId] - Session to keep (the one that made the change)
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => revoke(
+  exceptSessionId ? { userId, id: { [Op.ne]: exceptSessionId } } : { userId },
+  reason
+);
+
+/**
+ * Check an access token and that its session is still active
+ * @param {string} token - Access token from the Authorization header
+ * @returns {Promise<Object>} Decoded token { userId, sid }
+ * @throws {Error} jsonwebtoken errors for bad or expired tokens, SessionError for ended sessions
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+  if (!isActive(session) || session.userId !== decoded.userId) {
+    throw new SessionError();
+  }
+  return decoded;
+};
+
+module.exports = {
+  SessionError,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeUserSessions,
+  verifyAccessToken
+};
@@ -0,0 +1,43 @@
+/**
+ * Settings
+ * App-wide settings admins change at runtime, stored one row per setting
+ * Settings that were never saved read as their default from SETTING_DEFAULTS
+ */
+
+const Setting = require('../models/Setting');
+const { SETTING_DEFAULTS } = require('../config/constants');
+
+/**
+ * Read a setting
+ * @param {string} key - Setting name
+ * @returns {Promise<*>} Saved value, or the default
+ */
+const getSetting = async (key) => {
+  const setting = await Setting.findByPk(key);
+  return setting ? setting.value : SETTING_DEFAULTS[key];
+};
+
+/**
+ * Read every setting
+ * @returns {Promise<Object>} { [key]: value } with defaults for settings never saved
+ */
+const getSettings = async () => {
+  const settings = await Setting.findAll();
+  return settings.reduce((all, setting) => ({ ...all, [setting.key]: setting.value }), { ...SETTING_DEFAULTS });
+};
+
+/**
+ * Save a setting
+ * @param {string} key - Setting name (one of the keys of SETTING_DEFAULTS)
+ * @param {*} value - New value
+ * @returns {Promise<void>}
+ */
+const setSetting = async (key, value) => {
+  await Setting.upsert({ key, value });
+};
+
+module.exports = {
+  getSetting,
+  getSettings,
+  setSetting
+};
@@ -0,0 +1,156 @@
+/**
+ * Stock helpers
+ * Checks and updates offer stock when orders are placed or cancelled, and holds stock
+ * for shoppers during checkout. Stock held by other shoppers counts as sold until it expires.
+ */
+
+const { Op, Transaction } = require('sequelize');
+const { Product, Offer, Store, StockReservation } = require('../models');
+const { STOCK_RESERVATION_MINUTES } = require('../config/constants');
+
+// Row lock on the offer only (PostgreSQL can't lock the outer-joined store row)
+const OFFER_LOCK = { level: Transaction.LOCK.UPDATE, of: Offer };
+
+/**
+ * Raised when an order or reservation asks for more units than are left
+ * Controllers turn it into a 400 response
+ */
+class OutOfStockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutOfStockError';
+  }
+}
+
+/**
+ * Count the units of an offer held by other shoppers
+ * @param {number} offerId - Offer ID
+ * @param {number} userId - Shopper whose own holds are ignored
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<number>} Units held by unexpired reservations of other users
+ */
+const reservedByOthers = async (offerId, userId, transaction) => {
+  const held = await StockReservation.sum('quantity', {
+    where: { offerId, userId: { [Op.ne]: userId }, expiresAt: { [Op.gt]: new Date() } },
+    transaction
+  });
+  return Number(held) || 0;
+};
+
+/**
+ * Describe the units left for an out-of-stock message
+ * @param {number} left - Units the shopper could still buy
+ * @param {string} productName - Product name
+ * @param {string} storeName - Store name
+ * @returns {string} Error message
+ */
+const stockMessage = (left, productName, storeName) => (left > 0
+  ? `Only ${left} left of ${productName} at ${storeName}`
+  : `${productName} is out of stock at ${storeName}`);
+
+/**
+ * Take ordered units out of stock
+ * Locks each offer row, checks the units left (minus other shoppers' holds), decrements the stock,
+ * and releases the shopper's own holds on those offers
+ * @param {Array} items - [{ productId, productName, quantity }]
+ * @param {string} storeId - Store the order is placed at
+ * @param {number} userId - Shopper placing the order
+ * @param {Object} transaction - Sequelize transaction (rolled back if any item is short)
+ * @returns {Promise<void>}
+ * @throws {OutOfStockError} If an item doesn't have enough units left
+ */
+const takeStock = async (items, storeId, userId, transaction) => {
+  for (const item of items) {
+    const offer = await Offer.findOne({
+      where: { productId: item.productId, storeId },
+      include: [{ model: Store, as: 'store', attributes: ['id', 'name'] }],
+      transaction,
+      lock: OFFER_LOCK
+    });
+    const storeName = offer?.store?.name || storeId;
+    if (!offer || !offer.available) {
+      throw new OutOfStockError(stockMessage(0, item.productName, storeName));
+    }
+
+    const left = offer.stock - await reservedByOthers(offer.id, userId, transaction);
+    if (item.quantity > left) {
+      throw new OutOfStockError(stockMessage(left, item.productName, storeName));
+    }
+
+    offer.stock -= item.quantity;
+    await offer.save({ transaction });
+    await StockReservation.destroy({ where: { userId, offerId: offer.id }, transaction });
+  }
+};
+
+/**
+ * Put the units of a cancelled order back in stock
+ * Offers that sold out are made available again; offers an admin turned off stay off
+ * @param {Array} items - Order items [{ productId, quantity }] (deleted products are skipped)
+ * @param {string} storeId - Store the order was placed at
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Offers that came back in stock [{ productId, storeId }], for checkRestockAlerts
+ */
+const restoreStock = async (items, storeId, transaction) => {
+  const restocked = [];
+  for (const item of items) {
+    if (!item.productId) continue;
+    const offer = await Offer.findOne({ where: { productId: item.productId, storeId }, transaction, lock: OFFER_LOCK });
+    if (!offer) continue;
+
+    if (!offer.available && offer.soldOutAt) {
+      offer.available = true;
+      restocked.push({ productId: offer.productId, storeId: offer.storeId });
+    }
+    offer.stock += item.quantity;
+    await offer.save({ transaction });
+  }
+  return restocked;
+};
+
+/**
+ * Hold units of an offer for a shopper during checkout
+ * Replaces the shopper's previous hold on the same offer and clears expired holds
+ * @param {Object} request - { userId, productId, storeId, quantity }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} The reservation, or null if the product isn't sold at an active store
+ * @throws {OutOfStockError} If not enough units are left
+ */
+const reserveStock = async ({ userId, productId, storeId, quantity }, transaction) => {
+  await StockReservation.destroy({ where: { expiresAt: { [Op.lte]: new Date() } }, transaction });
+
+  const offer = await Offer.findOne({
+    where: { productId, storeId },
+    include: [
+      { model: Store, as: 'store', attributes: ['id', 'name', 'active'] },
+      { model: Product, as: 'product', attributes: ['id', 'name'] }
+    ],
+    transaction,
+    lock: OFFER_LOCK
+  });
+  if (!offer || !offer.store?.active) return null;
+
+  const productName = offer.product?.name || `Product ${productId}`;
+  const left = offer.available ? offer.stock - await reservedByOthers(offer.id, userId, transaction) : 0;
+  if (quantity > left) {
+    throw new OutOfStockError(stockMessage(left, productName, offer.store.name));
+  }
+
+  const expiresAt = new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+  const existing = await StockReservation.findOne({ where: { userId, offerId: offer.id }, transaction });
+  if (existing) {
+    existing.quantity = quantity;
+    existing.expiresAt = expiresAt;
+    await existing.save({ transaction });
+    return existing;
+  }
+  return StockReservation.create({ userId, offerId: offer.id, quantity, expiresAt }, { transaction });
+};
+
+module.exports = {
+  OutOfStockError,
+  reservedByOthers,
+  takeStock,
+  restoreStock,
+  reserveStock
+};
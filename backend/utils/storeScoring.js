@@ -0,0 +1,177 @@
+/**
+ * Store scoring
+ * Ranks the stores selling a product by a weighted mix of price, total with delivery,
+ * delivery time (ETA), and rating, and explains how each score was reached
+ */
+
+const { DEFAULT_SCORING_WEIGHTS } = require('../config/constants');
+const { formatMoney } = require('./money');
+
+// Factors in display order
+const FACTORS = Object.keys(DEFAULT_SCORING_WEIGHTS);
+
+// Words used for one-day deliveries in store ETAs
+const ETA_WORDS = { 'same day': 0, today: 0, 'next day': 1, tomorrow: 1, overnight: 1 };
+
+/**
+ * Parse a store's delivery estimate into a day range
+ * Understands "Next day", "Same day", "2 days", "2-4 days", "3–5 business days" and "1-2 weeks"
+ * @param {string} eta - Delivery estimate text
+ * @returns {{ min: number, max: number }|null} Day range, or null if the text is not understood
+ */
+const parseEta = (eta) => {
+  const text = String(eta || '').trim().toLowerCase();
+  if (!text) return null;
+
+  for (const [word, days] of Object.entries(ETA_WORDS)) {
+    if (text.includes(word)) return { min: days, max: days };
+  }
+
+  const match = text.match(/^(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(?:business\s+|working\s+)?(day|week)s?$/);
+  if (!match) return null;
+
+  const unit = match[3] === 'week' ? 7 : 1;
+  const min = Number(match[1]) * unit;
+  const max = (match[2] ? Number(match[2]) : Number(match[1])) * unit;
+  return min <= max ? { min, max } : { min: max, max: min };
+};
+
+/**
+ * Validate user-supplied weights
+ * Each factor must be a number from 0 to 100 and at least one must be above zero;
+ * missing factors keep their default weight
+ * @param {Object} weights - { price, total, eta, rating }
+ * @returns {{ error: string|null, weights: Object|null }} Validation error or complete weights
+ */
+const parseWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { error: 'Scoring weights must be an object', weights: null };
+  }
+
+  const unknown = Object.keys(weights).filter((key) => !FACTORS.includes(key));
+  if (unknown.length) {
+    return { error: `Unknown scoring factor: ${unknown.join(', ')}`, weights: null };
+  }
+
+  const parsed = {};
+  for (const factor of FACTORS) {
+    const value = weights[factor] === undefined ? DEFAULT_SCORING_WEIGHTS[factor] : Number(weights[factor]);
+    if (weights[factor] === null || weights[factor] === '' || isNaN(value) || value < 0 || value > 100) {
+      return { error: `Weight for ${factor} must be between 0 and 100`, weights: null };
+    }
+    parsed[factor] = value;
+  }
+
+  if (FACTORS.every((factor) => parsed[factor] === 0)) {
+    return { error: 'At least one scoring weight must be above zero', weights: null };
+  }
+
+  return { error: null, weights: parsed };
+};
+
+/**
+ * Get the weights to use for a user
+ * @param {Object} user - User instance (may be null)
+ * @returns {Object} The user's saved weights, or the defaults
+ */
+const weightsFor = (user) => {
+  if (!user?.scoringWeights) return { ...DEFAULT_SCORING_WEIGHTS };
+  const { weights } = parseWeights(user.scoringWeights);
+  return weights || { ...DEFAULT_SCORING_WEIGHTS };
+};
+
+/**
+ * Scale values to 0..1 where 1 is best
+ * Missing values score 0; if every known value is equal they all score 1
+ * @param {Array<number|null>} values - Raw values
+ * @param {boolean} higherIsBetter - True for ratings, false for prices and days
+ * @returns {Array<number>} Normalized values
+ */
+const normalize = (values, higherIsBetter) => {
+  const known = values.filter((value) => value != null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+
+  return values.map((value) => {
+    if (value == null) return 0;
+    if (max === min) return 1;
+    return higherIsBetter ? (value - min) / (max - min) : (max - value) / (max - min);
+  });
+};
+
+/**
+ * Describe a factor's raw value for the score explanation
+ * @param {string} factor - Factor name
+ * @param {Object} option - Store option being described
+ * @returns {string} Human-readable value
+ */
+const describeValue = (factor, option) => {
+  switch (factor) {
+    case 'price': return `Price ${formatMoney(option.price, option.currency)}`;
+    case 'total': return `Total with delivery ${formatMoney(option.price + option.deliveryCost, option.currency)}`;
+    case 'eta': return option.etaRange ? `Delivery ${option.eta}` : 'Delivery time unknown';
+    default: return option.rating != null ? `Rated ${option.rating.toFixed(1)}/5` : 'Not rated';
+  }
+};
+
+/**
+ * Score and rank the stores selling a product
+ * Each factor is normalized across the stores (best = 1, worst = 0) and weighted;
+ * scores run from 0 to 100
+ * @param {Array} options - [{ storeId, storeName, price, deliveryCost, currency, eta, rating }]
+ *   (prices must all be in the same currency)
+ * @param {Object} [weights] - { price, total, eta, rating } (defaults if omitted)
+ * @returns {Array} Options sorted best first, each with score, recommended, and breakdown
+ */
+const scoreStores = (options, weights = DEFAULT_SCORING_WEIGHTS) => {
+  if (!options.length) return [];
+
+  const prepared = options.map((option) => ({
+    ...option,
+    price: Number(option.price),
+    deliveryCost: Number(option.deliveryCost || 0),
+    rating: option.rating != null ? Number(option.rating) : null,
+    etaRange: parseEta(option.eta)
+  }));
+
+  const totalWeight = FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+  const normalized = {
+    price: normalize(prepared.map((o) => o.price), false),
+    total: normalize(prepared.map((o) => o.price + o.deliveryCost), false),
+    eta: normalize(prepared.map((o) => (o.etaRange ? (o.etaRange.min + o.etaRange.max) / 2 : null)), false),
+    rating: normalize(prepared.map((o) => o.rating), true)
+  };
+
+  const scored = prepared.map((option, i) => {
+    const breakdown = FACTORS.map((factor) => {
+      const maxPoints = totalWeight ? (weights[factor] / totalWeight) * 100 : 0;
+      return {
+        factor,
+        value: describeValue(factor, option),
+        weight: weights[factor],
+        points: Math.round(normalized[factor][i] * maxPoints * 10) / 10,
+        maxPoints: Math.round(maxPoints * 10) / 10
+      };
+    });
+
+    const { etaRange, ...rest } = option;
+    return {
+      ...rest,
+      etaDays: etaRange,
+      score: Math.round(breakdown.reduce((sum, part) => sum + part.points, 0) * 10) / 10,
+      breakdown
+    };
+  });
+
+  // Best score first; ties go to the lower total with delivery
+  scored.sort((a, b) => b.score - a.score || (a.price + a.deliveryCost) - (b.price + b.deliveryCost));
+  return scored.map((option, i) => ({ ...option, recommended: i === 0 }));
+};
+
+module.exports = {
+  FACTORS,
+  parseEta,
+  parseWeights,
+  weightsFor,
+  scoreStores
+};
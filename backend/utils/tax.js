@@ -0,0 +1,123 @@
+/**
+ * Sales tax
+ * Picks the tax rate for a shipping address and works out the tax on each store order
+ * Tax is charged on what the shopper pays the store (items and delivery, after promo discounts).
+ * Stores that price tax-inclusive already have it in their prices, so it is shown but not added
+ */
+
+const { TaxRate } = require('../models');
+const { roundMoney } = require('./money');
+
+/**
+ * Normalize a region as typed by a shopper or admin
+ * @param {*} region - Raw region (e.g. "ca")
+ * @returns {string} Trimmed, uppercase region
+ */
+const normalizeRegion = (region) => String(region ?? '').trim().toUpperCase();
+
+/**
+ * Normalize a postal code or prefix as typed by a shopper or admin
+ * @param {*} postalCode - Raw postal code (e.g. "sw1a 1aa")
+ * @returns {string} Uppercase postal code without spaces
+ */
+const normalizePostalCode = (postalCode) => String(postalCode ?? '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Read the shipping destination from a request body
+ * @param {Object} [shipTo] - { region, postalCode }
+ * @returns {Object} { region, postalCode } normalized ('' when not given)
+ */
+const parseShipTo = (shipTo) => ({
+  region: normalizeRegion(shipTo?.region),
+  postalCode: normalizePostalCode(shipTo?.postalCode)
+});
+
+/**
+ * Pick the tax rate for a destination
+ * A rate matches when its region (if set) equals the destination's and the postal code starts with
+ * its prefix (if set); the longest matching prefix wins, then rates that also name the region
+ * @param {Array} rates - Active TaxRate instances
+ * @param {Object} shipTo - Normalized { region, postalCode }
+ * @returns {Object|null} Matching rate, or null if no tax applies
+ */
+const findTaxRate = (rates, { region, postalCode }) => {
+  let best = null;
+  let bestRank = -1;
+  for (const rate of rates) {
+    if (!rate.region && !rate.postalPrefix) continue;
+    if (rate.region && rate.region !== region) continue;
+    if (rate.postalPrefix && !postalCode.startsWith(rate.postalPrefix)) continue;
+
+    const rank = (rate.postalPrefix ? rate.postalPrefix.length * 2 : 0) + (rate.region ? 1 : 0);
+    if (rank > bestRank) {
+      best = rate;
+      bestRank = rank;
+    }
+  }
+  return best;
+};
+
+/**
+ * Load the active tax rate for a destination
+ * @param {Object} shipTo - Normalized { region, postalCode }
+ * @returns {Promise<Object|null>} TaxRate instance, or null without an address or matching rate
+ */
+const loadTaxRate = async (shipTo) => {
+  if (!shipTo.region && !shipTo.postalCode) return null;
+  const rates = await TaxRate.findAll({ where: { active: true } });
+  return findTaxRate(rates, shipTo);
+};
+
+/**
+ * Work out the tax on an amount
+ * @param {number} amount - Taxable amount
+ * @param {number} rate - Tax percentage
+ * @param {boolean} included - Whether the amount already includes the tax
+ * @returns {number} Tax (the part of the amount that is tax, when included)
+ */
+const calculateTax = (amount, rate, included) => {
+  if (!rate || amount <= 0) return 0;
+  return included
+    ? roundMoney(amount - amount / (1 + rate / 100))
+    : roundMoney(amount * rate / 100);
+};
+
+/**
+ * Add the tax line to a priced store order
+ * @param {Object} priced - { subtotal, deliveryFee, discount, total }
+ * @param {Object|null} taxRate - Rate for the destination (null = no tax)
+ * @param {boolean} included - Whether the store's prices include tax
+ * @returns {Object} priced plus taxRate (percentage), taxIncluded, and tax, with the tax added to the total
+ *   unless it was already included
+ */
+const applyTax = (priced, taxRate, included) => {
+  const rate = taxRate ? Number(taxRate.rate) : 0;
+  const taxable = roundMoney(priced.subtotal + priced.deliveryFee - (priced.discount || 0));
+  const tax = calculateTax(taxable, rate, Boolean(included));
+
+  return {
+    ...priced,
+    taxRate: rate,
+    taxIncluded: Boolean(included),
+    tax,
+    total: included ? priced.total : roundMoney(priced.total + tax)
+  };
+};
+
+/**
+ * Describe a tax rate for quotes and the admin list
+ * @param {Object} taxRate - TaxRate ({ name, rate })
+ * @returns {string} e.g. "California 7.25%"
+ */
+const describeTaxRate = (taxRate) => `${taxRate.name} ${Number(taxRate.rate)}%`;
+
+module.exports = {
+  normalizeRegion,
+  normalizePostalCode,
+  parseShipTo,
+  findTaxRate,
+  loadTaxRate,
+  calculateTax,
+  applyTax,
+  describeTaxRate
+};
@@ -0,0 +1,106 @@
+/**
+ * Throttle
+ * Brute-force protection for logins and password resets. Failed attempts are counted per IP address and per account
+ * (email address) for each action; once a counter passes its free attempts, every further attempt has to wait,
+ * twice as long after each failure. Counters live in the throttle store (in memory unless another is set) and are
+ * forgotten THROTTLE_WINDOW_MINUTES after the last failure
+ */
+
+const {
+  THROTTLE_FREE_ATTEMPTS, THROTTLE_BASE_DELAY_SECONDS, THROTTLE_MAX_DELAY_SECONDS, THROTTLE_WINDOW_MINUTES
+} = require('../config/constants');
+const { getThrottleStore } = require('./throttleStore');
+
+/**
+ * Raised when an attempt comes too soon after earlier failures
+ * Controllers answer it with 429 and a Retry-After header
+ */
+class ThrottleError extends Error {
+  constructor(retryAfter) {
+    super(`Too many attempts. Please try again in ${retryAfter} second${retryAfter !== 1 ? 's' : ''}.`);
+    this.name = 'ThrottleError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Counters an attempt is checked against
+ * @param {Object} target - { action (e.g. 'login'), ip, account (email address) }; ip and account are optional
+ * @returns {Array<Object>} [{ key, freeAttempts }]
+ */
+const countersFor = ({ action, ip, account }) => {
+  const counters = [];
+  if (ip) {
+    counters.push({ key: `${action}:ip:${ip}`, freeAttempts: THROTTLE_FREE_ATTEMPTS.ip });
+  }
+  if (account) {
+    counters.push({ key: `${action}:account:${String(account).toLowerCase().trim()}`, freeAttempts: THROTTLE_FREE_ATTEMPTS.account });
+  }
+  return counters;
+};
+
+/**
+ * Seconds an attempt has to wait after a number of failures
+ * @param {number} failures - Failures counted so far
+ * @param {number} freeAttempts - Failures allowed without waiting
+ * @returns {number}
+ */
+const backoffSeconds = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(THROTTLE_BASE_DELAY_SECONDS * 2 ** (failures - freeAttempts), THROTTLE_MAX_DELAY_SECONDS);
+};
+
+/**
+ * Check an attempt may be made now
+ * @param {Object} target - { action, ip, account }
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ * @throws {ThrottleError} With the seconds to wait, if any counter says to wait
+ */
+const checkThrottle = async (target, now = new Date()) => {
+  let wait = 0;
+  for (const { key, freeAttempts } of countersFor(target)) {
+    const counter = await getThrottleStore().get(key, now.getTime());
+    if (!counter) continue;
+    const readyAt = counter.lastAt + backoffSeconds(counter.count, freeAttempts) * 1000;
+    wait = Math.max(wait, Math.ceil((readyAt - now.getTime()) / 1000));
+  }
+  if (wait > 0) {
+    throw new ThrottleError(wait);
+  }
+};
+
+/**
+ * Count a failed attempt (for actions limited outright, like sending reset emails, count every attempt)
+ * @param {Object} target - { action, ip, account }
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Failures now counted for the account (0 without an account)
+ */
+const recordFailure = async (target, now = new Date()) => {
+  let accountFailures = 0;
+  for (const { key } of countersFor(target)) {
+    const { count } = await getThrottleStore().increment(key, THROTTLE_WINDOW_MINUTES * 60 * 1000, now.getTime());
+    if (key.includes(':account:')) accountFailures = count;
+  }
+  return accountFailures;
+};
+
+/**
+ * Forget the failures counted for a target (e.g. an account after a successful login)
+ * Pass only the account to leave the IP address counter alone
+ * @param {Object} target - { action, ip, account }
+ * @returns {Promise<void>}
+ */
+const clearFailures = async (target) => {
+  for (const { key } of countersFor(target)) {
+    await getThrottleStore().delete(key);
+  }
+};
+
+module.exports = {
+  ThrottleError,
+  backoffSeconds,
+  checkThrottle,
+  recordFailure,
+  clearFailures
+};
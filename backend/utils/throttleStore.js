@@ -0,0 +1,74 @@
+/**
+ * Throttle store
+ * Where utils/throttle keeps its attempt counters. The default keeps them in this process's memory, so nothing else
+ * has to run; counters start over when the server restarts and aren't shared between processes. A shared store
+ * (e.g. Redis) can be swapped in with setThrottleStore as long as it has the same three async methods
+ *
+ * A counter is { count, lastAt (ms) }
+ */
+
+// Expired entries are swept out once the store holds this many keys
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Create a store that keeps counters in memory until they expire
+ * @returns {Object} { get(key, now), increment(key, ttlMs, now), delete(key) }, all returning promises
+ */
+const createMemoryStore = () => {
+  // key -> { counter, expiresAt (ms) }
+  const entries = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key, now = Date.now()) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.counter;
+    },
+
+    // Count one more, and keep the counter for ttlMs from now
+    async increment(key, ttlMs, now = Date.now()) {
+      if (entries.size >= SWEEP_THRESHOLD) sweep(now);
+      const entry = entries.get(key);
+      const count = entry && entry.expiresAt > now ? entry.counter.count + 1 : 1;
+      const counter = { count, lastAt: now };
+      entries.set(key, { counter, expiresAt: now + ttlMs });
+      return counter;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * The store counters are kept in
+ * @returns {Object}
+ */
+const getThrottleStore = () => store;
+
+/**
+ * Keep counters in another store (e.g. one shared by several server processes)
+ * @param {Object} next - Store with async get(key, now), increment(key, ttlMs, now), and delete(key)
+ */
+const setThrottleStore = (next) => {
+  store = next;
+};
+
+module.exports = {
+  createMemoryStore,
+  getThrottleStore,
+  setThrottleStore
+};
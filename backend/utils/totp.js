@@ -0,0 +1,121 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1 over the number of 30-second
+ * steps since the epoch, truncated to 6 digits (RFC 4226). Secrets are shared with the app as base32 in an
+ * otpauth:// URL, usually scanned from a QR code
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clocks that are slightly off
+const WINDOW = 1;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces, and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer}
+ * @throws {Error} If the text has characters outside the base32 alphabet
+ */
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/**
+ * Create a new random secret (160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Number of 30-second steps since the epoch
+ * @param {Date} now - Time
+ * @returns {number}
+ */
+const timeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+/**
+ * The code for one time step (HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} 6-digit code
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code from an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {*} code - Code typed by the user (spaces are ignored)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.afterStep] - Only accept codes from later steps (stops a code being used twice)
+ * @returns {number|null} The step the code belongs to, or null if it doesn't match
+ */
+const verifyCode = (secret, code, { now = new Date(), afterStep = -1 } = {}) => {
+  const digits = String(code ?? '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    if (step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL authenticator apps scan
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app under the issuer (the user's email)
+ * @param {string} issuer - App name
+ * @returns {string}
+ */
+const otpauthUrl = (secret, accountName, issuer = 'CleanCart') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  codeForStep,
+  verifyCode,
+  otpauthUrl
+};
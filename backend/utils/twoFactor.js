@@ -0,0 +1,229 @@
+/**
+ * Two-factor authentication
+ * An optional second login step with a code from an authenticator app (TOTP, see utils/totp) or a one-time
+ * recovery code. Turning it on takes two steps: a new secret is shown as a QR code, and it is switched on once the
+ * user types a code from their app, which proves the app has it.
+ *
+ * When the password checks out for an account with two-factor on, login returns a short-lived challenge token
+ * instead of a session, and the code is sent with that token to finish signing in
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { Op, where, cast, col } = require('sequelize');
+const User = require('../models/User');
+const { JWT_SECRET, TWO_FACTOR_CHALLENGE_TTL, TWO_FACTOR_RECOVERY_CODES } = require('../config/constants');
+const { generateSecret, verifyCode, otpauthUrl } = require('./totp');
+const { getSetting } = require('./settings');
+
+// Marks challenge tokens so they can't be mistaken for access tokens (which carry a session ID instead)
+const CHALLENGE_PURPOSE = 'two_factor';
+
+/**
+ * Raised when a code, recovery code, or challenge token is wrong or expired
+ * Controllers answer it with 401 (or 400 while setting up)
+ */
+class TwoFactorError extends Error {
+  constructor(message = 'Invalid authentication code') {
+    super(message);
+    this.name = 'TwoFactorError';
+  }
+}
+
+/**
+ * Check whether a user has two-factor authentication turned on
+ * @param {Object} user - User instance
+ * @returns {boolean}
+ */
+const isTwoFactorEnabled = (user) => Boolean(user?.totpEnabledAt);
+
+/**
+ * Check whether a user must turn on two-factor authentication before using the admin pages
+ * @param {Object} user - User instance
+ * @returns {Promise<boolean>}
+ */
+const needsTwoFactorSetup = async (user) => (
+  user.role === 'admin' && !isTwoFactorEnabled(user) && Boolean(await getSetting('requireAdminTwoFactor'))
+);
+
+/**
+ * Hash a recovery code for storage, ignoring case and dashes
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Create a fresh set of recovery codes
+ * @returns {Object} { codes (shown to the user once, like "3f9a2-c41d7"), hashes (stored) }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start turning on two-factor authentication with a new secret
+ * Replaces any unconfirmed secret; two-factor stays off until confirmSetup
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (PNG data URL of the otpauth URL) }
+ */
+const beginSetup = async (user) => {
+  const secret = generateSecret();
+  user.totpSecret = secret;
+  user.totpLastStep = null;
+  await user.save({ hooks: false }); // Skip password hashing hook
+
+  const url = otpauthUrl(secret, user.email);
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+/**
+ * Turn on two-factor authentication once the user types a code from their app
+ * @param {Object} user - User instance with an unconfirmed secret
+ * @param {string} code - Code from the authenticator app
+ * @param {Date} now - Current time
+ * @returns {Promise<string[]>} Recovery codes to show the user (only their hashes are kept)
+ * @throws {TwoFactorError} If the code doesn't match
+ */
+const confirmSetup = async (user, code, now = new Date()) => {
+  const step = verifyCode(user.totpSecret, code, { now });
+  if (step === null) {
+    throw new TwoFactorError('That code doesn\'t match. Check the time on your phone and try the newest code.');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.totpEnabledAt = now;
+  user.totpLastStep = step;
+  user.totpRecoveryCodes = hashes;
+  await user.save({ hooks: false }); // Skip password hashing hook
+  return codes;
+};
+
+/**
+ * Replace a user's recovery codes (the old ones stop working)
+ * @param {Object} user - User instance
+ * @returns {Promise<string[]>} New recovery codes to show the user
+ */
+const replaceRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  user.totpRecoveryCodes = hashes;
+  await user.save({ hooks: false }); // Skip password hashing hook
+  return codes;
+};
+
+/**
+ * Turn off two-factor authentication and forget the secret and recovery codes
+ * @param {Object} user - User instance
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (user) => {
+  user.totpSecret = null;
+  user.totpEnabledAt = null;
+  user.totpLastStep = null;
+  user.totpRecoveryCodes = null;
+  await user.save({ hooks: false }); // Skip password hashing hook
+};
+
+/**
+ * Check a user's second factor: a code from their app, or one of their recovery codes (used up once accepted)
+ * @param {Object} user - User instance with two-factor on
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} Which was used: 'totp' or 'recovery'
+ * @throws {TwoFactorError} If it doesn't match, or the code was already used
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}, now = new Date()) => {
+  if (code) {
+    const lastStep = user.totpLastStep ?? -1;
+    const step = verifyCode(user.totpSecret, code, { now, afterStep: lastStep });
+    if (step === null) {
+      throw new TwoFactorError();
+    }
+    // Conditional on the last step, so of two logins racing with the same code only one gets in
+    const [updated] = await User.update(
+      { totpLastStep: step },
+      { where: { id: user.id, [Op.or]: [{ totpLastStep: null }, { totpLastStep: { [Op.lt]: step } }] }, hooks: false }
+    );
+    if (!updated) {
+      throw new TwoFactorError();
+    }
+    user.totpLastStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.totpRecoveryCodes || [];
+    if (!remaining.includes(hash)) {
+      throw new TwoFactorError('Invalid recovery code');
+    }
+    // Conditional on the codes being unchanged, so of two logins racing with the same code only one gets in
+    const left = remaining.filter((stored) => stored !== hash);
+    const [updated] = await User.update(
+      { totpRecoveryCodes: left },
+      {
+        where: {
+          id: user.id,
+          [Op.and]: [where(cast(col('totpRecoveryCodes'), 'TEXT'), JSON.stringify(remaining))]
+        },
+        hooks: false
+      }
+    );
+    if (!updated) {
+      throw new TwoFactorError('Invalid recovery code');
+    }
+    user.totpRecoveryCodes = left;
+    return 'recovery';
+  }
+
+  throw new TwoFactorError('Enter the code from your authenticator app or a recovery code');
+};
+
+/**
+ * Create the token that stands for a login whose password checked out but still needs the second factor
+ * @param {Object} user - User instance
+ * @returns {string} Challenge token (expires after TWO_FACTOR_CHALLENGE_TTL)
+ */
+const createChallenge = (user) => jwt.sign({ userId: user.id, purpose: CHALLENGE_PURPOSE }, JWT_SECRET, {
+  expiresIn: TWO_FACTOR_CHALLENGE_TTL
+});
+
+/**
+ * Read a challenge token
+ * @param {string} token - Challenge token from login
+ * @returns {number} ID of the user signing in
+ * @throws {TwoFactorError} If the token is invalid, expired, or isn't a challenge token
+ */
+const readChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token ?? ''), JWT_SECRET);
+    if (decoded.purpose === CHALLENGE_PURPOSE && decoded.userId) {
+      return decoded.userId;
+    }
+  } catch {
+    // Handled below
+  }
+  throw new TwoFactorError('Your login attempt expired. Please log in again.');
+};
+
+module.exports = {
+  TwoFactorError,
+  isTwoFactorEnabled,
+  needsTwoFactorSetup,
+  hashRecoveryCode,
+  beginSetup,
+  confirmSetup,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+  verifySecondFactor,
+  createChallenge,
+  readChallenge
+};
@@ -7,11 +7,13 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { CartProvider } from './context/CartContext';
+import { CurrencyProvider } from './context/CurrencyContext';
 import { ThemeProvider } from './context/ThemeContext';
 import { NotificationProvider } from './context/NotificationContext';
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
 import ProtectedRoute from './components/ProtectedRoute';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
 import Homepage from './pages/Homepage';
 import Login from './pages/Login';
 import Register from './pages/Register';
@@ -23,48 +25,69 @@ import Profile from './pages/Profile';
 import AdminDashboard from './pages/AdminDashboard';
 import ManageUsers from './pages/ManageUsers';
 import ManageProducts from './pages/ManageProducts';
+import ManageStores from './pages/ManageStores';
+import ManageCoupons from './pages/ManageCoupons';
+import ManageTaxRates from './pages/ManageTaxRates';
+import ManageExchangeRates from './pages/ManageExchangeRates';
+import ManageReturns from './pages/ManageReturns';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import Setup from './pages/Setup';
+import VerifyEmail from './pages/VerifyEmail';
+import Cart from './pages/Cart';
 import './App.css';
 
 /**
  * App Component
  * Establishes application structure with:
  * - AuthProvider: Manages user authentication state
+ * - CurrencyProvider: Shows prices in the user's display currency
  * - CartProvider: Manages shopping cart and orders
  * - Router: Handles client-side routing
  * - Navbar: Persistent navigation component
+ * - VerifyEmailBanner: Reminder for users who haven't verified their email
  * - Routes: All application pages
  */
 function App() {
   return (
     <ThemeProvider>
       <AuthProvider>
+        <CurrencyProvider>
         <CartProvider>
           <NotificationProvider>
             <Router>
             <div className="App">
               <Navbar />
+              <VerifyEmailBanner />
               <Routes>
                 <Route path="/" element={<Homepage />} />
                 <Route path="/products" element={<Products />} />
                 <Route path="/products/:id" element={<ProductDetail />} />
                 <Route path="/about" element={<About />} />
+                <Route path="/cart" element={<Cart />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
                 <Route path="/forgot-password" element={<ForgotPassword />} />
                 <Route path="/reset-password/:token" element={<ResetPassword />} />
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                <Route path="/setup" element={<Setup />} />
                 <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
                 <Route path="/profile" element={<ProtectedRoute><Profile /></ProtectedRoute>} />
                 <Route path="/admin" element={<ProtectedRoute adminOnly><AdminDashboard /></ProtectedRoute>} />
                 <Route path="/admin/users" element={<ProtectedRoute adminOnly><ManageUsers /></ProtectedRoute>} />
                 <Route path="/admin/products" element={<ProtectedRoute adminOnly><ManageProducts /></ProtectedRoute>} />
+                <Route path="/admin/stores" element={<ProtectedRoute adminOnly><ManageStores /></ProtectedRoute>} />
+                <Route path="/admin/coupons" element={<ProtectedRoute adminOnly><ManageCoupons /></ProtectedRoute>} />
+                <Route path="/admin/tax-rates" element={<ProtectedRoute adminOnly><ManageTaxRates /></ProtectedRoute>} />
+                <Route path="/admin/exchange-rates" element={<ProtectedRoute adminOnly><ManageExchangeRates /></ProtectedRoute>} />
+                <Route path="/admin/returns" element={<ProtectedRoute adminOnly><ManageReturns /></ProtectedRoute>} />
               </Routes>
               <Footer />
             </div>
             </Router>
           </NotificationProvider>
         </CartProvider>
+        </CurrencyProvider>
       </AuthProvider>
     </ThemeProvider>
   );
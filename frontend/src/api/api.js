@@ -2,7 +2,7 @@
  * API Configuration
  * Axios instance for making HTTP requests to backend
  * Automatically includes JWT token in request headers
- * Handles token expiry and 401 responses
+ * Renews expired access tokens with the refresh token, and signs out when the session has ended
  */
 
 import axios from 'axios';
@@ -35,28 +35,104 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Auth endpoints whose 401s are about the credentials sent, not the session
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Refresh in progress, shared by every request that hit a 401 meanwhile (each refresh token works only once)
+let refreshing = null;
+
+/**
+ * Swap the stored refresh token for a new access token and refresh token (POST /api/auth/refresh)
+ * Uses plain axios so a failed refresh doesn't go through the interceptor again
+ * @returns {Promise<string>} New access token
+ */
+const refreshTokens = () => {
+  refreshing ??= axios.post(`${API_URL}/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+    .then((response) => {
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      return response.data.token;
+    })
+    .finally(() => { refreshing = null; });
+  return refreshing;
+};
+
+/**
+ * Clear auth data and go to the login page (unless already on login/register)
+ */
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  if (
+    window.location.pathname !== '/login' &&
+    window.location.pathname !== '/register'
+  ) {
+    window.location.href = '/login';
+  }
+};
+
 /**
  * Response interceptor
- * Handles 401 (Unauthorized) responses by clearing auth data
- * and redirecting to login page
+ * On a 401, renews the access token once and retries the request
+ * If there is no refresh token or the session has ended, clears auth data and redirects to the login page
  */
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid — clear auth state
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      // Only redirect if not already on login/register page
-      if (
-        window.location.pathname !== '/login' &&
-        window.location.pathname !== '/register'
-      ) {
-        window.location.href = '/login';
-      }
+  async (error) => {
+    const config = error.config;
+    if (error.response?.status !== 401 || !config || config.retried || NO_REFRESH_PATHS.includes(config.url)) {
+      return Promise.reject(error);
+    }
+    if (!localStorage.getItem('refreshToken')) {
+      endSession();
+      return Promise.reject(error);
+    }
+
+    config.retried = true;
+    try {
+      // Another tab may have refreshed already; its new access token is in localStorage
+      const sent = config.headers.Authorization;
+      const current = localStorage.getItem('token');
+      const token = current && sent !== `Bearer ${current}` ? current : await refreshTokens();
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      if (refreshError.response?.status === 401) endSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
+/**
+ * Download a file from the API (e.g. a PDF invoice) and save it under the name the server gives it
+ * Error responses arrive as a Blob too, so their JSON is read back into err.response.data
+ * @param {string} url - API path
+ * @param {Object} [params] - Query params
+ * @returns {Promise<void>}
+ */
+export async function downloadFile(url, params) {
+  try {
+    const response = await api.get(url, { params, responseType: 'blob' });
+    const filename = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || 'download';
+    const href = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(href);
+  } catch (err) {
+    if (err.response?.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // Not a JSON error body; leave it as is
+      }
+    }
+    throw err;
+  }
+}
+
 export default api;
@@ -0,0 +1,200 @@
+/**
+ * Card Payment Components
+ *
+ * Paying for orders placed with a card
+ * Features:
+ * - PaymentChoice: cash on delivery or card, with the card fields
+ * - CardFields: card number, expiry (MM/YY), and security code
+ * - CardPayment: pays each order in turn (POST /api/payments/:id/confirm), shows the bank's 3-D Secure check when
+ *   the card asks for one (POST /api/payments/:id/challenge), then sums up which orders were paid
+ * Card details go straight to the server for the payment provider and are never saved in the browser
+ */
+
+import { useEffect, useRef, useState } from "react";
+import api from "../api/api";
+import { useCart } from "../context/CartContext";
+import { useCurrency } from "../context/currency";
+import "../styles/CardPayment.css";
+
+// How long an unpaid order is held (matches the backend's PAYMENT_TIMEOUT_MINUTES)
+const PAYMENT_TIMEOUT_MINUTES = 30;
+
+/**
+ * Turn the card form into the card details the payment API expects
+ * @param {Object} card - { number, expiry: "MM/YY", cvc }
+ * @returns {Object} { number, expMonth, expYear, cvc }
+ */
+function cardDetails(card) {
+  const [expMonth, expYear] = card.expiry.split("/").map((part) => part.trim());
+  return { number: card.number, expMonth, expYear, cvc: card.cvc };
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.card - { number, expiry, cvc }
+ * @param {Function} props.onChange - Called with the updated card
+ */
+export function CardFields({ card, onChange }) {
+  const set = (k, v) => onChange({ ...card, [k]: v });
+
+  return (
+    <div className="cp-fields">
+      <label className="cp-number">
+        <span>Card number</span>
+        <input
+          inputMode="numeric"
+          autoComplete="cc-number"
+          placeholder="4242 4242 4242 4242"
+          value={card.number}
+          onChange={(e) => set("number", e.target.value)}
+        />
+      </label>
+      <label>
+        <span>Expiry</span>
+        <input autoComplete="cc-exp" placeholder="MM/YY" maxLength={7} value={card.expiry} onChange={(e) => set("expiry", e.target.value)} />
+      </label>
+      <label>
+        <span>Security code</span>
+        <input inputMode="numeric" autoComplete="cc-csc" placeholder="CVC" maxLength={4} value={card.cvc} onChange={(e) => set("cvc", e.target.value)} />
+      </label>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.method - "cod" or "card"
+ * @param {Function} props.onMethodChange - Called with the chosen method
+ * @param {Object} props.card - Card form
+ * @param {Function} props.onCardChange - Called with the updated card form
+ */
+export function PaymentChoice({ method, onMethodChange, card, onCardChange }) {
+  const options = [
+    { value: "cod", icon: "💵", label: "Cash on Delivery", hint: "Pay when your order arrives" },
+    { value: "card", icon: "💳", label: "Card", hint: "Charged when the store ships your order" },
+  ];
+
+  return (
+    <div className="cp-choice">
+      {options.map((option) => (
+        <label key={option.value} className={`cp-option card${method === option.value ? " active" : ""}`}>
+          <input type="radio" name="paymentMethod" checked={method === option.value} onChange={() => onMethodChange(option.value)} />
+          <span className="cp-option-icon">{option.icon}</span>
+          <div>
+            <strong>{option.label}</strong>
+            <p className="muted">{option.hint}</p>
+          </div>
+          {method === option.value && <span className="cp-option-check">✓</span>}
+        </label>
+      ))}
+      {method === "card" && <CardFields card={card} onChange={onCardChange} />}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.orders - Orders to pay, each with its payment
+ * @param {Object} [props.card] - Card form ({ number, expiry, cvc }); not needed for payments already waiting on 3-D Secure
+ * @param {Function} props.onClose - Called with the results ({ [orderId]: { status, error } }) once the customer is done
+ */
+export default function CardPayment({ orders, card, onClose }) {
+  const { refreshOrders } = useCart();
+  const { formatMoney } = useCurrency();
+  // Outcome of each payment so far ({ [orderId]: { status, error } })
+  const [results, setResults] = useState({});
+  // Order whose 3-D Secure check is showing, and the function that passes on the customer's answer
+  const [challenge, setChallenge] = useState(null);
+  const [done, setDone] = useState(false);
+  // Payments are only sent once, even if the effect runs twice (StrictMode)
+  const started = useRef(false);
+
+  // Pay for the orders one at a time, then reload the order list with their new statuses
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    /**
+     * Pay for one order, waiting on the customer if their bank asks for a 3-D Secure check
+     * @param {Object} order - Order with its payment
+     * @returns {Promise<Object>} { status, error } - "authorized", "failed", or "error" (nothing was charged)
+     */
+    async function payOrder(order) {
+      try {
+        let payment = order.payment;
+        if (payment.status === "requires_confirmation") {
+          const response = await api.post(`/payments/${payment.id}/confirm`, { card: cardDetails(card) });
+          payment = response.data.payment;
+        }
+        if (payment.status === "requires_action") {
+          const approve = await new Promise((resolve) => setChallenge({ order, resolve }));
+          setChallenge(null);
+          const response = await api.post(`/payments/${payment.id}/challenge`, { approve });
+          payment = response.data.payment;
+        }
+        return { status: payment.status, error: payment.failureReason };
+      } catch (err) {
+        return { status: "error", error: err.response?.data?.error || "The payment could not be sent" };
+      }
+    }
+
+    orders
+      .reduce((previous, order) => previous.then(async () => {
+        const result = await payOrder(order);
+        setResults((prev) => ({ ...prev, [order.id]: result }));
+      }), Promise.resolve())
+      .then(() => refreshOrders())
+      .then(() => setDone(true));
+  }, [orders, card, refreshOrders]);
+
+  const paidCount = orders.filter((order) => results[order.id]?.status === "authorized").length;
+
+  return (
+    <div className="cp-backdrop">
+      <div className="cp-modal card">
+        {challenge ? (
+          <>
+            <div className="cp-bank">🔒 Your bank</div>
+            <h3>Confirm this payment</h3>
+            <p className="muted">
+              Your card issuer wants to make sure it's you paying{" "}
+              <strong>{formatMoney(challenge.order.payment.amount, challenge.order.payment.currency)}</strong>{" "}
+              to {challenge.order.storeName}.
+            </p>
+            <div className="cp-actions">
+              <button className="btn btn-outline" onClick={() => challenge.resolve(false)}>Fail check</button>
+              <button className="btn btn-primary" onClick={() => challenge.resolve(true)}>Approve</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <h3>{done ? `${paidCount} of ${orders.length} order${orders.length !== 1 ? "s" : ""} paid` : "Paying…"}</h3>
+            <ul className="cp-results">
+              {orders.map((order) => {
+                const result = results[order.id];
+                return (
+                  <li key={order.id} className={result ? `cp-${result.status}` : ""}>
+                    <span>
+                      Order #{order.id} · {order.storeName} · {formatMoney(order.payment.amount, order.payment.currency)}
+                    </span>
+                    <span className="cp-result">
+                      {!result && "Waiting…"}
+                      {result?.status === "authorized" && "✓ Paid"}
+                      {result?.status === "failed" && `✗ ${result.error || "Declined"} — the order was cancelled`}
+                      {result?.status === "error" && `✗ ${result.error} — you can pay from your orders within ${PAYMENT_TIMEOUT_MINUTES} minutes`}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+            {done && (
+              <div className="cp-actions">
+                <button className="btn btn-primary" onClick={() => onClose(results)}>Continue</button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
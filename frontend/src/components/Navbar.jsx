@@ -6,6 +6,7 @@
  * - Brand logo linking to homepage
  * - Navigation links (Home, Products, About, Dashboard/Admin)
  * - Theme toggle (light/dark mode)
+ * - Cart button with item count badge
  * - Notification bell with dropdown (unread badge)
  * - User profile button with avatar
  * - Login/Register buttons for unauthenticated users
@@ -17,6 +18,7 @@ import { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { useNotifications } from '../context/NotificationContext';
+import { useCart } from '../context/CartContext';
 import '../styles/Navbar.css';
 
 function Navbar() {
@@ -25,7 +27,9 @@ function Navbar() {
   // Theme toggle for dark/light mode
   const { theme, toggleTheme } = useTheme();
   // Notification state and methods
-  const { getNotificationsForUser, getUnreadCount, markAsRead, markAllAsRead } = useNotifications();
+  const { notifications: userNotifs, unreadCount, refreshNotifications, markAsRead, markAllAsRead, deleteNotification } = useNotifications();
+  // Cart item count for the cart badge
+  const { cartCount } = useCart();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -34,10 +38,6 @@ function Navbar() {
   // Ref for click-outside detection on notification dropdown
   const notifRef = useRef(null);
 
-  // Get notifications and unread count for the current user
-  const userNotifs = isAuthenticated ? getNotificationsForUser(user?.id, user?.email) : [];
-  const unreadCount = isAuthenticated ? getUnreadCount(user?.id, user?.email) : 0;
-
   // Close notification dropdown when clicking outside of it
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -122,13 +122,27 @@ function Navbar() {
               )}
             </button>
 
+            {/* Cart (guests keep a local cart too) */}
+            <Link to="/cart" className="notif-bell-btn" title="Cart" aria-label="Cart">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <circle cx="9" cy="21" r="1"/>
+                <circle cx="20" cy="21" r="1"/>
+                <path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/>
+              </svg>
+              {cartCount > 0 && <span className="notif-badge">{cartCount > 9 ? '9+' : cartCount}</span>}
+            </Link>
+
             {isAuthenticated ? (
               <>
                 {/* Notification Bell */}
                 <div className="notif-wrapper" ref={notifRef}>
                   <button
                     className="notif-bell-btn"
-                    onClick={() => setShowNotifDropdown((v) => !v)}
+                    onClick={() => {
+                      // Fetch the latest notifications whenever the dropdown opens
+                      if (!showNotifDropdown) refreshNotifications();
+                      setShowNotifDropdown((v) => !v);
+                    }}
                     title="Notifications"
                     aria-label="Notifications"
                   >
@@ -144,7 +158,7 @@ function Navbar() {
                       <div className="notif-dropdown-header">
                         <span className="notif-dropdown-title">Notifications</span>
                         {unreadCount > 0 && (
-                          <button className="notif-mark-all" onClick={() => markAllAsRead(user?.id, user?.email)}>
+                          <button className="notif-mark-all" onClick={markAllAsRead}>
                             Mark all read
                           </button>
                         )}
@@ -167,6 +181,14 @@ function Navbar() {
                                   {new Date(notif.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
                                 </span>
                               </div>
+                              <button
+                                className="notif-item-delete"
+                                onClick={(e) => { e.stopPropagation(); deleteNotification(notif.id); }}
+                                title="Remove notification"
+                                aria-label="Remove notification"
+                              >
+                                ×
+                              </button>
                             </div>
                           ))
                         )}
@@ -0,0 +1,268 @@
+/**
+ * Order Returns Component
+ *
+ * Returns section in the details of a delivered order on the user dashboard
+ * Features:
+ * - Each return on the order with its status, items, refund, and the store's note
+ * - Tracking number form once a return is approved (PATCH /api/returns/:id/shipping)
+ * - Request a return while the return window is open (POST /api/returns): reason, items and quantities,
+ *   description, and up to 3 photos
+ */
+
+import { useState } from "react";
+import api from "../api/api";
+import { useCurrency } from "../context/currency";
+import "../styles/OrderReturns.css";
+
+// Reasons a customer can give (matches the backend's RETURN_REASONS)
+const REASON_LABELS = {
+  damaged: "Arrived damaged",
+  wrong_item: "Wrong item sent",
+  not_as_described: "Not as described",
+  changed_mind: "Changed my mind",
+  other: "Other",
+};
+// Display labels and colors for return statuses
+const RETURN_STATUS_LABELS = {
+  requested: "Requested",
+  approved: "Approved — please send it back",
+  rejected: "Rejected",
+  in_transit: "On its way back",
+  received: "Received by the store",
+  refunded: "Refunded",
+};
+const RETURN_STATUS_COLORS = { requested: "#f6ad55", approved: "#63b3ed", rejected: "#fc8181", in_transit: "#63b3ed", received: "#68d391", refunded: "#48bb78" };
+
+// Photo limits (match the backend's)
+const MAX_PHOTOS = 3;
+const MAX_PHOTO_BYTES = 1.5 * 1024 * 1024;
+
+/**
+ * Count the units of each order line not yet covered by a return (rejected returns don't count)
+ * @param {Object} order - Order with items
+ * @param {Array} returns - The order's returns
+ * @returns {Object} orderItemId → units left
+ */
+function unitsLeft(order, returns) {
+  const left = Object.fromEntries((order.items || []).map((item) => [item.id, item.quantity]));
+  returns
+    .filter((r) => r.status !== "rejected")
+    .forEach((r) => r.items.forEach((item) => { left[item.orderItemId] = (left[item.orderItemId] || 0) - item.quantity; }));
+  return left;
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.order - Order with items and returnableUntil
+ * @param {Array} props.returns - The order's returns, newest first
+ * @param {Function} props.onChange - Called after a return is requested or sent back
+ */
+export default function OrderReturns({ order, returns, onChange }) {
+  const { formatMoney } = useCurrency();
+  const [showForm, setShowForm] = useState(false);
+  // Tracking form per approved return ({ [returnId]: { carrier, trackingNumber } }) and its error
+  const [shipping, setShipping] = useState({});
+  const [shipError, setShipError] = useState("");
+
+  const left = unitsLeft(order, returns);
+  const canRequest = order.returnableUntil && new Date(order.returnableUntil) > new Date()
+    && Object.values(left).some((units) => units > 0);
+
+  /** Update the tracking form of a return */
+  function setShipField(id, key, value) {
+    setShipping((s) => ({ ...s, [id]: { ...s[id], [key]: value } }));
+    setShipError("");
+  }
+
+  /**
+   * Tell the store an approved return is on its way back
+   * @param {Object} ret - Approved return
+   */
+  async function markSent(ret) {
+    const form = shipping[ret.id] || {};
+    if (!form.trackingNumber?.trim()) { setShipError("Enter the tracking number of your parcel"); return; }
+    try {
+      await api.patch(`/returns/${ret.id}/shipping`, { carrier: form.carrier || "", trackingNumber: form.trackingNumber });
+      await onChange();
+    } catch (err) {
+      setShipError(err.response?.data?.error || "Failed to update the return");
+    }
+  }
+
+  if (returns.length === 0 && !canRequest) return null;
+
+  return (
+    <div className="order-returns" onClick={(e) => e.stopPropagation()}>
+      <div className="or-header">
+        <h4>Returns</h4>
+        {canRequest && (
+          <button className="or-request-btn" onClick={() => setShowForm(true)}>↩ Request a return</button>
+        )}
+      </div>
+      {canRequest && (
+        <p className="muted or-window">You can return items until {new Date(order.returnableUntil).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}.</p>
+      )}
+
+      {returns.map((ret) => {
+        const color = RETURN_STATUS_COLORS[ret.status] || "#a0aec0";
+        return (
+          <div key={ret.id} className="or-return">
+            <div className="or-return-top">
+              <strong>Return #{ret.id}</strong>
+              <span className="status-badge" style={{ background: `${color}22`, color, borderColor: `${color}55` }}>
+                {RETURN_STATUS_LABELS[ret.status] || ret.status}
+              </span>
+            </div>
+            <p className="muted or-line">
+              {REASON_LABELS[ret.reason] || ret.reason} · {ret.items.map((item) => `${item.productName} × ${item.quantity}`).join(", ")}
+            </p>
+            <p className="or-line">
+              {ret.status === "refunded" ? "Refunded" : "Refund"}: <strong>{formatMoney(ret.refundAmount, ret.currency)}</strong>
+              {ret.deliveryFee > 0 && <span className="muted"> (includes {formatMoney(ret.deliveryFee, ret.currency)} delivery)</span>}
+            </p>
+            {ret.adminNote && <p className="or-note">💬 {ret.adminNote}</p>}
+            {ret.trackingNumber && <p className="muted or-line">📦 {ret.carrier ? `${ret.carrier} ` : ""}{ret.trackingNumber}</p>}
+
+            {ret.status === "approved" && (
+              <div className="or-ship-form">
+                <input type="text" placeholder="Carrier (optional)" maxLength={100} value={shipping[ret.id]?.carrier || ""} onChange={(e) => setShipField(ret.id, "carrier", e.target.value)} />
+                <input type="text" placeholder="Tracking number" maxLength={100} value={shipping[ret.id]?.trackingNumber || ""} onChange={(e) => setShipField(ret.id, "trackingNumber", e.target.value)} />
+                <button className="or-request-btn" onClick={() => markSent(ret)}>Mark as sent</button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {shipError && <p className="or-error">{shipError}</p>}
+
+      {showForm && (
+        <ReturnRequestModal
+          order={order}
+          left={left}
+          onClose={() => setShowForm(false)}
+          onCreated={async () => { setShowForm(false); await onChange(); }}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Modal form for a new return request
+ * @param {Object} props
+ * @param {Object} props.order - Order the items are returned from
+ * @param {Object} props.left - Units left to return per order line
+ * @param {Function} props.onClose - Close without requesting
+ * @param {Function} props.onCreated - Called after the return is requested
+ */
+function ReturnRequestModal({ order, left, onClose, onCreated }) {
+  const { formatMoney } = useCurrency();
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  // Units chosen per order line ({ [orderItemId]: quantity })
+  const [quantities, setQuantities] = useState({});
+  const [photos, setPhotos] = useState([]);
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const returnable = (order.items || []).filter((item) => left[item.id] > 0);
+  const itemsValue = returnable.reduce((sum, item) => sum + item.price * (quantities[item.id] || 0), 0);
+
+  /** Set how many units of a line to return */
+  function setQuantity(id, value) {
+    setQuantities((q) => ({ ...q, [id]: Math.max(0, Math.min(left[id], Number(value) || 0)) }));
+    setError("");
+  }
+
+  /**
+   * Read the chosen photos as data URLs
+   */
+  function handlePhotos(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (photos.length + files.length > MAX_PHOTOS) { setError(`Attach at most ${MAX_PHOTOS} photos`); return; }
+    if (files.some((file) => file.size > MAX_PHOTO_BYTES)) { setError("Each photo must be smaller than 1.5 MB"); return; }
+    files.forEach((file) => {
+      const reader = new FileReader();
+      reader.onload = () => setPhotos((p) => [...p, String(reader.result)]);
+      reader.onerror = () => setError("Could not read the photo");
+      reader.readAsDataURL(file);
+    });
+    setError("");
+  }
+
+  /**
+   * Send the return request
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId: Number(orderItemId), quantity }));
+    if (!reason) { setError("Choose a reason for the return"); return; }
+    if (items.length === 0) { setError("Choose at least one item to return"); return; }
+    if (reason === "other" && !details.trim()) { setError("Tell us why you are returning the items"); return; }
+
+    setSubmitting(true);
+    try {
+      await api.post("/returns", { orderId: order.id, reason, details: details.trim(), items, photos });
+      await onCreated();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to request the return");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <form className="confirm-modal card or-modal" onSubmit={handleSubmit} noValidate>
+        <h3>Return items from order #{order.id}</h3>
+
+        <label className="or-label">Reason</label>
+        <select value={reason} onChange={(e) => { setReason(e.target.value); setError(""); }}>
+          <option value="">Choose a reason…</option>
+          {Object.entries(REASON_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+
+        <label className="or-label">Items</label>
+        <div className="or-items">
+          {returnable.map((item) => (
+            <div key={item.id} className="or-item">
+              <span>{item.productName} <span className="muted">({formatMoney(item.price, order.currency)} each)</span></span>
+              <input type="number" min="0" max={left[item.id]} value={quantities[item.id] || 0} onChange={(e) => setQuantity(item.id, e.target.value)} />
+              <span className="muted">of {left[item.id]}</span>
+            </div>
+          ))}
+        </div>
+
+        <label className="or-label">What's wrong? {reason !== "other" && <span className="muted">(optional)</span>}</label>
+        <textarea rows={3} maxLength={1000} value={details} onChange={(e) => { setDetails(e.target.value); setError(""); }} placeholder="Describe the problem" />
+
+        <label className="or-label">Photos <span className="muted">(optional, up to {MAX_PHOTOS})</span></label>
+        <input type="file" accept="image/*" multiple onChange={handlePhotos} disabled={photos.length >= MAX_PHOTOS} />
+        {photos.length > 0 && (
+          <div className="or-photos">
+            {photos.map((photo, i) => (
+              <button type="button" key={i} className="or-photo" onClick={() => setPhotos((p) => p.filter((_, j) => j !== i))} title="Remove photo">
+                <img src={photo} alt={`Return photo ${i + 1}`} />
+              </button>
+            ))}
+          </div>
+        )}
+
+        {itemsValue > 0 && (
+          <p className="muted or-line">
+            Items worth {formatMoney(itemsValue, order.currency)}. Your refund takes off any promo discount on them and adds their tax;
+            delivery is refunded when the store is at fault and you return everything left.
+          </p>
+        )}
+        {error && <p className="or-error">{error}</p>}
+        <div className="confirm-actions">
+          <button type="button" className="btn btn-outline" onClick={onClose}>Cancel</button>
+          <button type="submit" className="btn btn-primary" disabled={submitting}>{submitting ? "Sending…" : "Request Return"}</button>
+        </div>
+      </form>
+    </div>
+  );
+}
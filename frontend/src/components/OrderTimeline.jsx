@@ -0,0 +1,59 @@
+/**
+ * Order Timeline Component
+ *
+ * Tracking timeline for an order, built from its status history (order.history)
+ * Features:
+ * - One step per recorded status change, oldest first, with its date and note
+ * - Steps still ahead (e.g. Shipped, Delivered) shown greyed out until the order gets there
+ * - Optionally shows who made each change (admin view)
+ */
+
+import "../styles/OrderTimeline.css";
+
+// Display labels for order statuses
+const STATUS_LABELS = {
+  awaiting_payment: "Awaiting payment", pending: "Order placed", processing: "Processing", shipped: "Shipped", delivered: "Delivered", cancelled: "Cancelled",
+  partially_returned: "Partly returned", returned: "Returned",
+};
+// Happy path of the order lifecycle, used for the steps still ahead
+const LIFECYCLE = ["awaiting_payment", "pending", "processing", "shipped", "delivered"];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.order - Order with status and history [{ id, toStatus, note, changedAt, changedBy }]
+ * @param {boolean} [props.showActor] - Show who made each change
+ */
+export default function OrderTimeline({ order, showActor = false }) {
+  const history = order.history || [];
+  const status = (order.status || "pending").toLowerCase();
+  // Orders still on the happy path have the rest of it ahead; cancelled and returned orders stop here
+  const upcoming = LIFECYCLE.includes(status) ? LIFECYCLE.slice(LIFECYCLE.indexOf(status) + 1) : [];
+
+  if (history.length === 0 && upcoming.length === 0) return null;
+
+  return (
+    <ol className="order-timeline">
+      {history.map((step, i) => (
+        <li key={step.id} className={`ot-step ot-${step.toStatus}${i === history.length - 1 ? " ot-current" : ""}`}>
+          <span className="ot-dot" />
+          <div className="ot-body">
+            <span className="ot-label">{STATUS_LABELS[step.toStatus] || step.toStatus}</span>
+            <span className="ot-date muted">
+              {new Date(step.changedAt).toLocaleString("en-US", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}
+              {showActor && step.changedBy && ` · ${step.changedBy.name}`}
+            </span>
+            {step.note && <p className="ot-note">{step.note}</p>}
+          </div>
+        </li>
+      ))}
+      {upcoming.map((s) => (
+        <li key={s} className="ot-step ot-upcoming">
+          <span className="ot-dot" />
+          <div className="ot-body">
+            <span className="ot-label">{STATUS_LABELS[s]}</span>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,150 @@
+/**
+ * Price Alert Card Component
+ *
+ * Lets the signed-in user watch a product from its detail page
+ * Features:
+ * - Target price in the display currency (saved in the base currency), or blank to be alerted on any price drop
+ * - Optional store selection (none selected = every store)
+ * - Create, update, and stop watching (POST/PUT/DELETE /api/alerts)
+ * - Alerts arrive in the notification bell and by email
+ */
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import api from "../api/api";
+import { useCurrency } from "../context/currency";
+import "../styles/PriceAlertCard.css";
+
+/**
+ * @param {Object} props
+ * @param {number} props.productId - Product to watch
+ * @param {Array} props.stores - Stores selling the product [{ id, meta: { name } }]
+ */
+export default function PriceAlertCard({ productId, stores }) {
+  const { convert, toBase, currency } = useCurrency();
+  // Existing alert for this product (null = not watched)
+  const [alert, setAlert] = useState(null);
+  const [targetPrice, setTargetPrice] = useState("");
+  const [storeIds, setStoreIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  /**
+   * Show an alert's settings in the form
+   * @param {Object|null} next - Alert from the API
+   */
+  const applyAlert = (next) => {
+    setAlert(next);
+    setTargetPrice(next?.targetPrice != null ? String(convert(next.targetPrice)) : "");
+    setStoreIds(next?.storeIds || []);
+  };
+
+  // Load this product's alert from the user's watchlist
+  useEffect(() => {
+    let cancelled = false;
+    api.get("/alerts")
+      .then((response) => {
+        if (cancelled) return;
+        const found = response.data.alerts.find((a) => a.productId === productId) || null;
+        setAlert(found);
+        setTargetPrice(found?.targetPrice != null ? String(convert(found.targetPrice)) : "");
+        setStoreIds(found?.storeIds || []);
+      })
+      .catch(() => { if (!cancelled) setAlert(null); });
+    return () => { cancelled = true; };
+  }, [productId, convert]);
+
+  /**
+   * Toggle a store in the watched list
+   * @param {string} storeId - Store to add or remove
+   */
+  const toggleStore = (storeId) => {
+    setStoreIds((ids) => (ids.includes(storeId) ? ids.filter((id) => id !== storeId) : [...ids, storeId]));
+  };
+
+  /**
+   * Create or update the alert
+   */
+  async function save(e) {
+    e.preventDefault();
+    setSaving(true); setMessage(""); setError("");
+    const payload = {
+      targetPrice: targetPrice === "" ? null : toBase(Number(targetPrice)),
+      storeIds: storeIds.length ? storeIds : null,
+    };
+    try {
+      const response = alert
+        ? await api.put(`/alerts/${alert.id}`, { ...payload, active: true })
+        : await api.post("/alerts", { ...payload, productId });
+      applyAlert(response.data.alert);
+      setMessage(alert ? "Alert updated" : "You're watching this product");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save price alert");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  /**
+   * Stop watching the product
+   */
+  async function remove() {
+    setSaving(true); setMessage(""); setError("");
+    try {
+      await api.delete(`/alerts/${alert.id}`);
+      applyAlert(null);
+      setMessage("Alert removed");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to remove price alert");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="price-alert card" onSubmit={save}>
+      <div className="pa-header">
+        <span className="pcb-title">🔔 Price Alert</span>
+        {alert && (
+          <span className={`pa-status ${alert.active ? "" : "pa-paused"}`}>
+            {alert.active ? "Watching" : "Paused"}
+          </span>
+        )}
+      </div>
+      <label className="pa-target">
+        <span>Alert me when the price is at or below ({currency})</span>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={targetPrice}
+          onChange={(e) => setTargetPrice(e.target.value)}
+          placeholder="Any drop"
+        />
+      </label>
+      {stores.length > 1 && (
+        <div className="pa-stores">
+          <span className="muted">At {storeIds.length ? "these stores" : "any store"}:</span>
+          {stores.map((store) => (
+            <label key={store.id} className="pa-store">
+              <input type="checkbox" checked={storeIds.includes(store.id)} onChange={() => toggleStore(store.id)} />
+              {store.meta.name}
+            </label>
+          ))}
+        </div>
+      )}
+      {error && <p className="err-msg">{error}</p>}
+      {message && <p className="pa-message">{message}</p>}
+      <div className="pa-actions">
+        <button type="submit" className="btn btn-outline" disabled={saving}>
+          {alert ? (alert.active ? "Update Alert" : "Resume Alert") : "Watch Price"}
+        </button>
+        {alert && (
+          <button type="button" className="pa-remove" onClick={remove} disabled={saving}>Stop watching</button>
+        )}
+        <Link to="/profile" className="pa-manage">Manage alerts</Link>
+      </div>
+    </form>
+  );
+}
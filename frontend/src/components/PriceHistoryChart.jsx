@@ -0,0 +1,142 @@
+/**
+ * Price History Chart Component
+ *
+ * Line chart of a product's price at each store over time (from GET /api/products/:id/history)
+ * Features:
+ * - One step line per store (a price holds until the next change)
+ * - Gaps while a store had the product unavailable
+ * - 30 / 90 / 365 day window toggle
+ * - Low / high / average for the selected window, per store
+ * - Prices converted to the display currency at today's rates so stores share one axis
+ */
+
+import { useState } from "react";
+import { useCurrency } from "../context/currency";
+import "../styles/PriceHistoryChart.css";
+
+// Line colors, assigned to stores in order
+const COLORS = ["#16a34a", "#2563eb", "#f59e0b", "#dc2626", "#7c3aed", "#0891b2"];
+
+// SVG drawing area and padding (viewBox units)
+const WIDTH = 560;
+const HEIGHT = 180;
+const PAD = { top: 12, right: 12, bottom: 22, left: 48 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the points shown in the window
+ * The point in effect at the start is moved to the start so the line begins there
+ * @param {Array} points - [{ price, available, recordedAt }] oldest first
+ * @param {number} start - Window start (ms)
+ * @returns {Array} [{ price, available, time }]
+ */
+function visiblePoints(points, start) {
+  const timed = points.map((p) => ({ ...p, time: new Date(p.recordedAt).getTime() }));
+  const before = timed.filter((p) => p.time < start);
+  const after = timed.filter((p) => p.time >= start);
+  const opening = before[before.length - 1];
+  return opening ? [{ ...opening, time: start }, ...after] : after;
+}
+
+/**
+ * Build an SVG step path for one store
+ * @param {Array} points - Visible points
+ * @param {number} end - Window end (ms)
+ * @param {Function} x - Time to x coordinate
+ * @param {Function} y - Price to y coordinate
+ * @returns {string} Path data
+ */
+function stepPath(points, end, x, y) {
+  return points.map((p, i) => {
+    if (!p.available) return "";
+    const next = points[i + 1];
+    const start = i > 0 && points[i - 1].available ? `V${y(p.price)}` : `M${x(p.time)},${y(p.price)}`;
+    return `${start} H${x(next ? next.time : end)}`;
+  }).join(" ");
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.history - { windows, stores: [{ storeId, storeName, currency, points, stats }], fetchedAt }
+ */
+export default function PriceHistoryChart({ history }) {
+  const [days, setDays] = useState(history.windows[0]);
+  const { convert, formatMoney, currency } = useCurrency();
+
+  const end = history.fetchedAt;
+  const start = end - days * DAY_MS;
+  const series = history.stores.map((store, i) => {
+    // Store prices are in the store's currency
+    const toDisplay = (price) => (price == null ? price : convert(price, store.currency) ?? price);
+    const window = store.stats.find((s) => s.days === days);
+    return {
+      ...store,
+      color: COLORS[i % COLORS.length],
+      visible: visiblePoints(store.points, start).map((p) => ({ ...p, price: toDisplay(p.price) })),
+      window: window && { ...window, min: toDisplay(window.min), max: toDisplay(window.max), average: toDisplay(window.average) },
+    };
+  });
+
+  // Price axis spans every available price in the window
+  const prices = series.flatMap((s) => s.visible.filter((p) => p.available).map((p) => p.price));
+  const low = prices.length ? Math.min(...prices) : 0;
+  const high = prices.length ? Math.max(...prices) : 1;
+  const margin = high === low ? Math.max(1, high * 0.05) : (high - low) * 0.1;
+  const yMin = Math.max(0, low - margin);
+  const yMax = high + margin;
+
+  const x = (time) => (PAD.left + ((time - start) / (end - start)) * (WIDTH - PAD.left - PAD.right)).toFixed(1);
+  const y = (price) => (PAD.top + ((yMax - price) / (yMax - yMin)) * (HEIGHT - PAD.top - PAD.bottom)).toFixed(1);
+
+  return (
+    <div className="price-history card">
+      <div className="ph-header">
+        <span className="pcb-title">📈 Price History</span>
+        <div className="ph-windows">
+          {history.windows.map((w) => (
+            <button key={w} className={w === days ? "active" : ""} onClick={() => setDays(w)}>{w}d</button>
+          ))}
+        </div>
+      </div>
+
+      <svg className="ph-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`Price history for the last ${days} days`}>
+        {[yMax, (yMax + yMin) / 2, yMin].map((price) => (
+          <g key={price}>
+            <line className="ph-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(price)} y2={y(price)} />
+            <text className="ph-axis" x={PAD.left - 6} y={y(price)} textAnchor="end" dominantBaseline="middle">
+              {new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: price >= 100 ? 0 : 2 }).format(price)}
+            </text>
+          </g>
+        ))}
+        <text className="ph-axis" x={PAD.left} y={HEIGHT - 6}>{new Date(start).toLocaleDateString()}</text>
+        <text className="ph-axis" x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end">Today</text>
+        {series.map((s) => (
+          <g key={s.storeId}>
+            <path d={stepPath(s.visible, end, x, y)} fill="none" stroke={s.color} strokeWidth="2" />
+            {s.visible.filter((p) => p.available && p.time > start).map((p) => (
+              <circle key={p.time} cx={x(p.time)} cy={y(p.price)} r="3" fill={s.color}>
+                <title>{`${s.storeName}: ${formatMoney(p.price, currency)} on ${new Date(p.time).toLocaleDateString()}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <div className="ph-stats">
+        {series.map((s) => (
+          <div key={s.storeId} className="ph-stat-row">
+            <span className="ph-store"><span className="ph-swatch" style={{ background: s.color }} />{s.storeName}</span>
+            {s.window?.average != null ? (
+              <span className="muted">
+                Low <strong>{formatMoney(s.window.min, currency)}</strong> · High <strong>{formatMoney(s.window.max, currency)}</strong> · Avg <strong>{formatMoney(s.window.average, currency)}</strong>
+              </span>
+            ) : (
+              <span className="muted">Not available in this period</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+/**
+ * Two-Factor Settings Component
+ *
+ * Two-factor authentication card on the profile page
+ * Features:
+ * - Status: on/off, since when, and recovery codes left (GET /api/auth/2fa)
+ * - Turning it on: password, then a QR code (and the secret to type in by hand) for an authenticator app,
+ *   then a code from the app to confirm (POST /api/auth/2fa/setup, /enable)
+ * - Recovery codes shown once after turning it on or replacing them (POST /api/auth/2fa/recovery-codes)
+ * - Turning it off with the password and a code or recovery code (POST /api/auth/2fa/disable)
+ * - Notes when admins are required to use it
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/api';
+
+function TwoFactorSettings() {
+  // Status from the server, null while loading
+  const [status, setStatus] = useState(null);
+  // Open form: null, 'password' (start setup), 'confirm' (scan and confirm), 'disable', or 'regenerate'
+  const [step, setStep] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  // Whether the disable form takes a recovery code instead of a code from the app
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // { secret, qrCode } while setting up
+  const [setup, setSetup] = useState(null);
+  // Recovery codes to show once, after turning on or replacing them
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadStatus = async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load two-factor settings');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  /** Open a form with empty fields */
+  const openStep = (next) => {
+    setStep(next);
+    setPassword('');
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+    setMessage('');
+  };
+
+  /** Close the open form and forget any unconfirmed secret */
+  const cancel = () => {
+    openStep(null);
+    setSetup(null);
+  };
+
+  /** Run a request for one of the forms, showing its error */
+  const submit = async (e, request) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await request();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = (e) => submit(e, async () => {
+    const response = await api.post('/auth/2fa/setup', { password });
+    setSetup(response.data);
+    openStep('confirm');
+  });
+
+  const confirmSetup = (e) => submit(e, async () => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    setRecoveryCodes(response.data.recoveryCodes);
+    setSetup(null);
+    openStep(null);
+    setMessage('Two-factor authentication is on. Other devices have been signed out.');
+    await loadStatus();
+  });
+
+  const disable = (e) => submit(e, async () => {
+    await api.post('/auth/2fa/disable', { password, ...(useRecoveryCode ? { recoveryCode: code } : { code }) });
+    setRecoveryCodes(null);
+    openStep(null);
+    setMessage('Two-factor authentication is off.');
+    await loadStatus();
+  });
+
+  const regenerate = (e) => submit(e, async () => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    setRecoveryCodes(response.data.recoveryCodes);
+    openStep(null);
+    setMessage('New recovery codes created. The old ones no longer work.');
+    await loadStatus();
+  });
+
+  const codeInput = (placeholder) => (
+    <input
+      id="twoFactorCode"
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      required
+      autoComplete="one-time-code"
+      inputMode={useRecoveryCode ? 'text' : 'numeric'}
+      placeholder={placeholder}
+    />
+  );
+
+  return (
+    <div className="profile-card">
+      <div className="card-header">
+        <div>
+          <h3>Two-factor authentication</h3>
+          <p className="muted small">
+            Sign in with a code from an authenticator app (Google Authenticator, Authy, 1Password…) as well as your password.
+          </p>
+        </div>
+        {status && !step && (status.enabled ? (
+          <button type="button" className="btn btn-outline" onClick={() => openStep('disable')} disabled={status.required}>
+            Turn off
+          </button>
+        ) : (
+          <button type="button" className="btn btn-primary" onClick={() => openStep('password')}>
+            Turn on
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      {status && (
+        <p className="muted small">
+          {status.enabled
+            ? `On since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft !== 1 ? 's' : ''} left`
+            : 'Off'}
+          {status.required && (status.enabled
+            ? ' · Required for admins'
+            : ' · Admins are required to turn this on before using the admin pages')}
+        </p>
+      )}
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <p className="small">
+            <strong>Save these recovery codes somewhere safe.</strong> Each one signs you in once if you lose your phone.
+            They won't be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+          </ul>
+          <button type="button" className="link-btn" onClick={() => setRecoveryCodes(null)}>I've saved them</button>
+        </div>
+      )}
+
+      {step === 'password' && (
+        <form className="two-factor-form" onSubmit={startSetup}>
+          <div className="field-group">
+            <label className="label" htmlFor="twoFactorPassword">Confirm your password</label>
+            <input
+              id="twoFactorPassword"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              placeholder="Enter your password"
+            />
+          </div>
+          <div className="two-factor-actions">
+            <button type="submit" className="btn btn-primary" disabled={busy}>{busy ? 'Checking...' : 'Continue'}</button>
+            <button type="button" className="link-btn" onClick={cancel}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {step === 'confirm' && setup && (
+        <form className="two-factor-form" onSubmit={confirmSetup}>
+          <p className="small">Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+          <img src={setup.qrCode} alt="QR code for your authenticator app" className="two-factor-qr" />
+          <p className="muted small">
+            Can't scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+          </p>
+          <div className="field-group">
+            <label className="label" htmlFor="twoFactorCode">Code from the app</label>
+            {codeInput('123456')}
+          </div>
+          <div className="two-factor-actions">
+            <button type="submit" className="btn btn-primary" disabled={busy}>{busy ? 'Checking...' : 'Turn on'}</button>
+            <button type="button" className="link-btn" onClick={cancel}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {step === 'disable' && (
+        <form className="two-factor-form" onSubmit={disable}>
+          <div className="field-group">
+            <label className="label" htmlFor="twoFactorPassword">Password</label>
+            <input
+              id="twoFactorPassword"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              placeholder="Enter your password"
+            />
+          </div>
+          <div className="field-group">
+            <label className="label" htmlFor="twoFactorCode">{useRecoveryCode ? 'Recovery code' : 'Code from the app'}</label>
+            {codeInput(useRecoveryCode ? 'e.g. 3f9a2-c41d7' : '123456')}
+          </div>
+          <button type="button" className="link-btn" onClick={() => { setUseRecoveryCode((v) => !v); setCode(''); }}>
+            {useRecoveryCode ? 'Use a code from the app' : 'Use a recovery code'}
+          </button>
+          <div className="two-factor-actions">
+            <button type="submit" className="btn btn-outline" disabled={busy}>{busy ? 'Turning off...' : 'Turn off'}</button>
+            <button type="button" className="link-btn" onClick={cancel}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {step === 'regenerate' && (
+        <form className="two-factor-form" onSubmit={regenerate}>
+          <div className="field-group">
+            <label className="label" htmlFor="twoFactorCode">Code from the app</label>
+            {codeInput('123456')}
+          </div>
+          <div className="two-factor-actions">
+            <button type="submit" className="btn btn-primary" disabled={busy}>{busy ? 'Creating...' : 'Create new codes'}</button>
+            <button type="button" className="link-btn" onClick={cancel}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && !step && (
+        <button type="button" className="link-btn" onClick={() => openStep('regenerate')}>
+          Create new recovery codes
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
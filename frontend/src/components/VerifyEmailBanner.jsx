@@ -0,0 +1,66 @@
+/**
+ * Verify Email Banner Component
+ *
+ * Reminds signed-in users who haven't verified their email address yet
+ * Features:
+ * - Shown under the navbar on every page until the address is verified
+ * - Explains that checkout and price alerts wait for verification
+ * - Resend button (POST /api/auth/resend-verification); the server allows one email a minute
+ * - Re-checks the profile on load, in case the link was opened on another device
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/api';
+import { useAuth } from '../context/AuthContext';
+import '../styles/VerifyEmailBanner.css';
+
+export default function VerifyEmailBanner() {
+  const { user, updateUser } = useAuth();
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const userId = user?.id;
+  const unverified = Boolean(user) && !user.emailVerified;
+
+  // The saved user can be out of date (verified elsewhere, or signed in before verification existed)
+  useEffect(() => {
+    if (!userId || !unverified) return;
+    const checkStatus = async () => {
+      try {
+        const response = await api.get('/auth/profile');
+        updateUser({ emailVerified: response.data.user.emailVerified });
+      } catch (error) {
+        console.error('Failed to check email verification:', error);
+      }
+    };
+    checkStatus();
+  }, [userId, unverified, updateUser]);
+
+  /** Ask the server for a new verification email */
+  const resend = async () => {
+    setSending(true);
+    setMessage('');
+    try {
+      const response = await api.post('/auth/resend-verification');
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Failed to send the email. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Unknown (undefined) until the profile check answers
+  if (user?.emailVerified !== false) return null;
+
+  return (
+    <div className="verify-banner">
+      <span>
+        📧 Please verify <strong>{user.email}</strong> to place orders and set price alerts. Check your inbox for the link.
+      </span>
+      <button type="button" className="btn btn-outline" onClick={resend} disabled={sending}>
+        {sending ? 'Sending…' : 'Resend email'}
+      </button>
+      {message && <span className="verify-banner-msg">{message}</span>}
+    </div>
+  );
+}
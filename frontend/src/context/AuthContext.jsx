@@ -2,9 +2,11 @@
  * Authentication Context
  * Manages user authentication state across the application
  * Provides login, logout, and user update functionality
+ * Merges the guest cart into the account's server cart on login
  */
 
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import api from '../api/api';
 
 // Create authentication context
 const AuthContext = createContext();
@@ -32,6 +34,27 @@ const isTokenExpired = (token) => {
   return Date.now() >= payload.exp * 1000;
 };
 
+/**
+ * Merge the guest cart saved in this browser into the signed-in user's server cart
+ * Quantities are summed server-side; the guest cart is cleared once merged
+ * @returns {Promise<Array>} Guest cart lines dropped because the product no longer exists
+ */
+const mergeGuestCart = async () => {
+  let guestCart = [];
+  try {
+    guestCart = JSON.parse(localStorage.getItem('cc_cart')) || [];
+  } catch {
+    guestCart = [];
+  }
+  if (!Array.isArray(guestCart) || !guestCart.length) return [];
+
+  const response = await api.patch('/cart', {
+    items: guestCart.map(({ productId, quantity }) => ({ productId, quantity })),
+  });
+  localStorage.removeItem('cc_cart');
+  return response.data.dropped || [];
+};
+
 /**
  * Custom hook to access authentication context
  * Must be used within AuthProvider
@@ -57,22 +80,26 @@ export const useAuth = () => {
  * - updateUser: Function to update user data
  * - loading: Boolean indicating initial auth check
  * - isAuthenticated: Boolean indicating if user is logged in
+ * - cartNotice: Message about guest cart items dropped during the last login, or null
+ * - dismissCartNotice: Function to hide the cart notice
  */
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [cartNotice, setCartNotice] = useState(null);
 
   /**
    * On component mount, check if user is already logged in
-   * Restores user session from localStorage if token is still valid
+   * Restores user session from localStorage if the token is still valid or can be refreshed
+   * (the API client renews an expired token on the first request)
    */
   useEffect(() => {
     const token = localStorage.getItem('token');
     const userData = localStorage.getItem('user');
     
     if (token && userData) {
-      // Check if token is expired
-      if (isTokenExpired(token)) {
+      // Without a refresh token, an expired access token ends the session
+      if (isTokenExpired(token) && !localStorage.getItem('refreshToken')) {
         console.warn('JWT token expired, logging out');
         localStorage.removeItem('token');
         localStorage.removeItem('user');
@@ -93,37 +120,63 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Log in user
-   * Stores user data and token in state and localStorage
+   * Stores user data and token in state and localStorage,
+   * then merges the guest cart before the user is marked as signed in
+   * so the cart loaded afterwards already contains the guest items
    * @param {Object} userData - User information from backend
-   * @param {string} token - JWT authentication token
+   * @param {string} token - JWT access token
+   * @param {string} refreshToken - Refresh token for renewing the access token
+   * @returns {Promise<void>}
    */
-  const login = (userData, token) => {
-    setUser(userData);
+  const login = async (userData, token, refreshToken) => {
     localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
     localStorage.setItem('user', JSON.stringify(userData));
+
+    try {
+      const dropped = await mergeGuestCart();
+      setCartNotice(dropped.length
+        ? `Removed ${dropped.length} item${dropped.length !== 1 ? 's' : ''} from your guest cart that ${dropped.length !== 1 ? 'are' : 'is'} no longer sold.`
+        : null);
+    } catch (error) {
+      // Keep the guest cart in localStorage so the merge can be retried on the next login
+      console.error('Failed to merge guest cart:', error);
+    }
+
+    setUser(userData);
   };
 
+  /** Hide the guest cart merge notice */
+  const dismissCartNotice = () => setCartNotice(null);
+
   /**
    * Update user information
    * Merges updates with existing user data
    * Updates both state and localStorage
    * @param {Object} updates - Fields to update
    */
-  const updateUser = (updates) => {
+  const updateUser = useCallback((updates) => {
     setUser((prevUser) => {
       const nextUser = { ...prevUser, ...updates };
       localStorage.setItem('user', JSON.stringify(nextUser));
       return nextUser;
     });
-  };
+  }, []);
 
   /**
    * Log out user
-   * Clears user data from state and localStorage
+   * Ends the session on the server (POST /api/auth/logout) so its tokens stop working,
+   * and clears user data from state and localStorage without waiting for the server
    */
   const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch((error) => console.error('Failed to end session:', error));
+    }
     setUser(null);
+    setCartNotice(null);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   };
 
@@ -134,7 +187,9 @@ export const AuthProvider = ({ children }) => {
     updateUser,
     logout,
     loading,
-    isAuthenticated: !!user // True if user exists
+    isAuthenticated: !!user, // True if user exists
+    cartNotice,
+    dismissCartNotice
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -1,12 +1,15 @@
 ﻿/**
  * Cart Context
  * Manages shopping cart, orders, products, and price comparison logic
- * Persists data to localStorage for session continuity
- * Provides cart operations, checkout flow, and admin product management
+ * Products, stores, and orders are loaded from the backend API
+ * Signed-in users' carts are stored on the server (/api/cart);
+ * guest carts are persisted to localStorage and merged in on login
+ * Provides cart operations, promo codes, the ship-to address for sales tax, checkout flow, and admin product management
  */
 
 import { createContext, useContext, useEffect, useMemo, useState, useCallback } from 'react';
-import { stores } from '../data/catalog';
+import api from '../api/api';
+import { useAuth } from './AuthContext';
 
 // Create cart context for global state management
 const CartContext = createContext();
@@ -45,28 +48,147 @@ const persist = (key, value) => {
  * - Shopping cart items (add, remove, update quantity)
  * - Order history and checkout
  * - Product catalog (admin CRUD)
- * - Price comparison matrix across stores
+ * - Price comparison matrix across stores and the split-cart optimizer
+ * - Store totals (delivery rules, promo codes, and sales tax) priced by the server (POST /api/orders/quote)
+ * - Ship-to region and postal code, which pick the sales tax rate
  */
 export const CartProvider = ({ children }) => {
-  // Cart items array: [{ productId, quantity }]
-  const [cart, setCart] = useState(() => load('cc_cart', []));
-  // Order history array sorted newest first
-  const [orders, setOrders] = useState(() => load('cc_orders', []));
-  // Dynamic products managed by admin, stored in localStorage
-  const [products, setProducts] = useState(() => load('cc_products', []));
-
-  // Persist state changes to localStorage automatically
-  useEffect(() => { persist('cc_cart', cart); }, [cart]);
-  useEffect(() => { persist('cc_orders', orders); }, [orders]);
-  useEffect(() => { persist('cc_products', products); }, [products]);
+  const { user } = useAuth();
+  const userId = user?.id;
+  // Cart items [{ productId, quantity }], tagged with the user they belong to (null = guest)
+  const [cartState, setCartState] = useState(() => ({ userId: null, items: load('cc_cart', []) }));
+  // Current user's orders (newest first), tagged with the user they were fetched for
+  const [orderState, setOrderState] = useState({ userId: null, list: [] });
+  // Product catalog loaded from the backend (GET /api/products)
+  const [products, setProducts] = useState([]);
+  // True until the first catalog fetch finishes
+  const [productsLoading, setProductsLoading] = useState(true);
+  // Active partner stores loaded from the backend (GET /api/stores)
+  const [stores, setStores] = useState([]);
+  // Promo codes the shopper entered (uppercase), kept across visits
+  const [couponCodes, setCouponCodes] = useState(() => load('cc_coupons', []));
+  // Region and postal code the cart ships to (picks the sales tax rate), kept across visits
+  const [shipTo, setShipTo] = useState(() => load('cc_ship_to', { region: '', postalCode: '' }));
+  // Latest store price quote, tagged with the cart, codes, and address it was computed for
+  const [quoteState, setQuoteState] = useState({ key: null, quote: null });
+
+  // Persist the guest cart to localStorage; signed-in carts live on the server
+  useEffect(() => {
+    if (cartState.userId == null) persist('cc_cart', cartState.items);
+  }, [cartState]);
+
+  // Only expose the cart that belongs to whoever is signed in (or the guest cart)
+  const cart = useMemo(
+    () => (cartState.userId === (userId ?? null) ? cartState.items : []),
+    [cartState, userId]
+  );
+
+  // Remember the entered promo codes
+  useEffect(() => { persist('cc_coupons', couponCodes); }, [couponCodes]);
+
+  // Remember the ship-to address
+  useEffect(() => { persist('cc_ship_to', shipTo); }, [shipTo]);
+
+  // Total number of units in the cart (navbar badge)
+  const cartCount = useMemo(() => cart.reduce((sum, item) => sum + item.quantity, 0), [cart]);
+
+  // Only expose orders that belong to the signed-in user
+  const orders = useMemo(
+    () => (userId != null && orderState.userId === userId ? orderState.list : []),
+    [orderState, userId]
+  );
+
+  /**
+   * Fetch the product catalog from the backend
+   * Keeps the previous list if the request fails
+   */
+  const refreshProducts = useCallback(async () => {
+    try {
+      const response = await api.get('/products');
+      setProducts(response.data.products || []);
+    } catch (error) {
+      console.error('Failed to load products:', error);
+    } finally {
+      setProductsLoading(false);
+    }
+  }, []);
+
+  // Load the catalog once on mount
+  useEffect(() => { refreshProducts(); }, [refreshProducts]);
+
+  /**
+   * Fetch the active stores from the backend
+   * Keeps the previous list if the request fails
+   */
+  const refreshStores = useCallback(() => (
+    api.get('/stores')
+      .then((response) => setStores(response.data.stores || []))
+      .catch((error) => console.error('Failed to load stores:', error))
+  ), []);
+
+  // Load the store list once on mount
+  useEffect(() => { refreshStores(); }, [refreshStores]);
+
+  /**
+   * Fetch the signed-in user's orders from the backend (GET /api/orders/mine)
+   */
+  const refreshOrders = useCallback(async () => {
+    if (userId == null) return;
+    try {
+      const response = await api.get('/orders/mine');
+      setOrderState({ userId, list: response.data.orders || [] });
+    } catch (error) {
+      console.error('Failed to load orders:', error);
+    }
+  }, [userId]);
+
+  // Reload orders whenever a different user signs in
+  useEffect(() => { refreshOrders(); }, [refreshOrders]);
+
+  /**
+   * Fetch the signed-in user's cart from the backend (GET /api/cart)
+   */
+  const refreshCart = useCallback(() => {
+    if (userId == null) return Promise.resolve();
+    return api.get('/cart')
+      .then((response) => setCartState({ userId, items: response.data.items || [] }))
+      .catch((error) => console.error('Failed to load cart:', error));
+  }, [userId]);
+
+  // Load the server cart whenever a different user signs in
+  useEffect(() => { refreshCart(); }, [refreshCart]);
+
+  /**
+   * Apply a change to the current cart
+   * Signed-in carts are saved to the server (PUT /api/cart); on failure the server copy is reloaded
+   * @param {Function} update - Receives the current cart and returns the new one
+   */
+  const updateCart = (update) => {
+    const next = update(cart);
+    setCartState({ userId: userId ?? null, items: next });
+    if (userId != null) {
+      api.put('/cart', { items: next }).catch((error) => {
+        console.error('Failed to save cart:', error);
+        refreshCart();
+      });
+    }
+  };
+
+  /**
+   * Add a newly placed order to the top of the local order list
+   * @param {Object} order - Order returned by the API
+   */
+  const prependOrder = (order) => {
+    setOrderState((prev) => ({ userId, list: [order, ...(prev.userId === userId ? prev.list : [])] }));
+  };
 
   /**
    * Add a product to the cart
    * Increments quantity if product already exists, otherwise adds new entry
-   * @param {string} productId - Product ID to add
+   * @param {number} productId - Product ID to add
    */
   const addToCart = (productId) => {
-    setCart((prev) => {
+    updateCart((prev) => {
       const existing = prev.find((item) => item.productId === productId);
       if (existing) {
         // Product already in cart — increment quantity
@@ -81,75 +203,119 @@ export const CartProvider = ({ children }) => {
 
   /**
    * Remove a product entirely from the cart
-   * @param {string} productId - Product ID to remove
+   * @param {number} productId - Product ID to remove
    */
   const removeFromCart = (productId) => {
-    setCart((prev) => prev.filter((item) => item.productId !== productId));
+    updateCart((prev) => prev.filter((item) => item.productId !== productId));
   };
 
   /**
    * Update the quantity of a product in the cart
    * Removes product if quantity drops to zero or below
-   * @param {string} productId - Product ID to update
+   * @param {number} productId - Product ID to update
    * @param {number} quantity - New quantity value
    */
   const updateQuantity = (productId, quantity) => {
     if (quantity <= 0) { removeFromCart(productId); return; }
-    setCart((prev) =>
+    updateCart((prev) =>
       prev.map((item) => item.productId === productId ? { ...item, quantity } : item)
     );
   };
 
   /** Clear all items from the cart */
-  const clearCart = () => setCart([]);
+  const clearCart = () => updateCart(() => []);
 
   /**
    * Add a new product to the catalog (admin function)
-   * Generates a unique ID using timestamp
+   * Saves the product through the API so every user sees it
    * @param {Object} product - Product data (name, description, category, imageUrl, stores)
-   * @returns {Object} Created product with generated ID
+   * @returns {Promise<Object>} Created product with its server-assigned ID
    */
-  const addProduct = (product) => {
-    const newProduct = { ...product, id: `prod-${Date.now()}` };
+  const addProduct = async (product) => {
+    const response = await api.post('/products', product);
+    const newProduct = response.data.product;
     setProducts((prev) => [...prev, newProduct]);
     return newProduct;
   };
 
   /**
    * Delete a product from the catalog (admin function)
-   * Also removes the product from any user's cart
-   * @param {string} productId - Product ID to delete
+   * Also removes the product from the local cart
+   * @param {number} productId - Product ID to delete
    */
-  const deleteProduct = (productId) => {
+  const deleteProduct = async (productId) => {
+    await api.delete(`/products/${productId}`);
     setProducts((prev) => prev.filter((p) => p.id !== productId));
-    // Also remove from cart if present
-    setCart((prev) => prev.filter((item) => item.productId !== productId));
+    // Also remove from cart if present (server carts drop it automatically)
+    setCartState((prev) => ({ ...prev, items: prev.items.filter((item) => item.productId !== productId) }));
   };
 
+  // Re-price the cart at every store whenever the cart, the promo codes, or the ship-to address change
+  const quoteKey = JSON.stringify({ cart, couponCodes, shipTo });
+  useEffect(() => {
+    if (!cart.length) return undefined;
+    let cancelled = false;
+    api.post('/orders/quote', {
+      items: cart.map(({ productId, quantity }) => ({ productId, quantity })),
+      couponCodes,
+      shipTo,
+    })
+      .then((response) => { if (!cancelled) setQuoteState({ key: quoteKey, quote: response.data }); })
+      .catch((error) => console.error('Failed to price the cart:', error));
+    return () => { cancelled = true; };
+  }, [cart, couponCodes, shipTo, quoteKey]);
+  const quote = quoteState.key === quoteKey ? quoteState.quote : null;
+
   /**
-   * Price comparison matrix — computes total cost per store for all cart items
-   * Includes delivery fees, availability tracking, and missing item counts
-   * Recalculates whenever cart or products change
+   * Check a promo code and add it to the entered codes
+   * @param {string} code - Code as typed
+   * @param {Array} [items] - Items to check it against (default: the cart)
+   * @returns {Promise<Object>} { code, coupons: [{ storeId, storeName, description }] }
+   * @throws {Error} If the code is unknown or can't be used right now
+   */
+  const applyCouponCode = async (code, items = cart) => {
+    const normalized = String(code).trim().toUpperCase();
+    if (!normalized) throw new Error('Enter a promo code');
+    const response = await api.post('/orders/quote', {
+      items: items.map(({ productId, quantity }) => ({ productId, quantity })),
+      couponCodes: [normalized],
+    });
+    const result = response.data.codes[0];
+    if (!result.valid) throw new Error(result.error);
+    setCouponCodes((prev) => (prev.includes(normalized) ? prev : [...prev, normalized]));
+    return result;
+  };
+
+  /**
+   * Remove an entered promo code
+   * @param {string} code - Code to remove
+   */
+  const removeCouponCode = (code) => setCouponCodes((prev) => prev.filter((c) => c !== code));
+
+  /**
+   * Price comparison matrix — availability of the cart at every store, with each store's total
+   * Subtotals, delivery fees (from the store's delivery rule), promo code discount lines, and sales tax
+   * come from the server quote, so they match what an order placed there would cost; until the quote
+   * arrives they are null. Amounts are in the store's currency; baseTotal converts the total with the
+   * quoted exchange rate so stores in different currencies can be ranked
+   * Only active stores are compared
+   * Recalculates whenever cart, products, stores, or the quote change
    */
   const priceMatrix = useMemo(() => {
-    // Initialize each store with its delivery fee as the base total
     const totals = stores.map((store) => ({
       ...store,
-      total: store.deliveryFee,
       unavailable: [],
       items: [],
     }));
 
-    // Calculate totals for each cart item across all stores
+    // Track which cart items each store sells
     cart.forEach((entry) => {
       const product = products.find((p) => p.id === entry.productId);
       if (!product) return;
       totals.forEach((storeTotal) => {
         const storeData = product.stores?.[storeTotal.id];
         if (storeData?.available) {
-          // Product available at this store — add to total
           storeTotal.items.push({ ...product, quantity: entry.quantity, price: storeData.price });
-          storeTotal.total += storeData.price * entry.quantity;
         } else {
           // Product not available — track as missing
           storeTotal.unavailable.push(product.name);
@@ -157,169 +323,139 @@ export const CartProvider = ({ children }) => {
       });
     });
 
-    // Return enriched store data with rounded totals and counts
-    return totals.map((store) => ({
-      ...store,
-      total: Number(store.total.toFixed(2)),
-      availableCount: store.items.length,
-      missingCount: store.unavailable.length,
-    }));
-  }, [cart, products]);
+    // Return enriched store data with the quoted amounts and counts
+    return totals.map((store) => {
+      const quoted = quote?.stores.find((q) => q.storeId === store.id);
+      return {
+        ...store,
+        subtotal: quoted ? quoted.subtotal : null,
+        deliveryFee: quoted ? quoted.deliveryFee : null,
+        discounts: quoted?.discounts || [],
+        discount: quoted?.discount || 0,
+        tax: quoted?.tax || 0,
+        taxIncluded: Boolean(quoted?.taxIncluded),
+        total: quoted ? quoted.total : null,
+        currency: quoted?.currency || store.currency,
+        baseTotal: quoted?.exchangeRate ? Math.round((quoted.total / quoted.exchangeRate) * 100) / 100 : null,
+        availableCount: store.items.length,
+        missingCount: store.unavailable.length,
+      };
+    });
+  }, [cart, products, stores, quote]);
+
+  /**
+   * Find the cheapest way to buy the cart across one or more stores (POST /api/cart/optimize)
+   * Each store used adds delivery by its own rule, takes off its best promo code, and charges sales tax
+   * for the ship-to address
+   * @param {number} [maxStores] - Most stores to split the cart across (omit for no limit)
+   * @returns {Promise<Object>} Plan with per-store breakdown, total, unavailable items, and savings
+   * @throws {Error} If the request fails (e.g. the cart doesn't fit in maxStores)
+   */
+  const optimizeCart = useCallback(async (maxStores) => {
+    const response = await api.post('/cart/optimize', {
+      items: cart.map(({ productId, quantity }) => ({ productId, quantity })),
+      maxStores,
+      couponCodes,
+      shipTo,
+    });
+    return response.data.plan;
+  }, [cart, couponCodes, shipTo]);
 
   /**
-   * Checkout entire cart — creates an order from all cart items
-   * Selects the best store (cheapest with all items) or uses the provided storeId
+   * Checkout entire cart — the server splits it across the cheapest stores
+   * and places one order per store (POST /api/orders/checkout)
+   * Purchased items are removed from the cart (the server clears its copy)
    * @param {Object} options - Checkout options
-   * @param {Object} options.user - Current user info
-   * @param {string} options.storeId - Preferred store ID
+   * @param {number} options.maxStores - Most stores to split the cart across (optional)
    * @param {string} options.address - Delivery address
-   * @param {string} options.paymentMethod - Payment method (e.g., 'cod')
+   * @param {string} options.paymentMethod - 'cod' (default) or 'card'; card orders await payment until each one's
+   *   payment (order.payment) is confirmed
    * @param {string} options.paymentNote - Optional payment note
-   * @returns {Object|null} Created order or null if cart is empty
+   * @returns {Promise<Object|null>} { orders, total, savings } or null if cart is empty
    */
-  const checkoutCart = ({ user = {}, storeId, address, paymentMethod, paymentNote }) => {
+  const checkoutCart = async ({ maxStores, address, paymentMethod, paymentNote }) => {
     if (!cart.length) return null;
 
-    const bestStore = priceMatrix
-      .filter((s) => s.missingCount === 0)
-      .sort((a, b) => a.total - b.total)[0];
-
-    const chosenStore = priceMatrix.find((s) => s.id === storeId) || bestStore;
-
-    const enrichedItems = cart.map((entry) => {
-      const product = products.find((p) => p.id === entry.productId);
-      return { ...product, quantity: entry.quantity };
-    });
-
-    const totalQty = enrichedItems.reduce((s, i) => s + (i.quantity || 1), 0);
-    const displayName = enrichedItems.length === 1
-      ? enrichedItems[0]?.name
-      : `${enrichedItems.length} items`;
-
-    const order = {
-      id: `ORD-${Date.now()}`,
-      createdAt: new Date().toISOString(),
-      userId: user?.id,
-      userEmail: user?.email,
-      userName: user?.name,
-      productId: enrichedItems[0]?.id || null,
-      productName: displayName,
-      storeId: chosenStore?.id || null,
-      quantity: totalQty,
-      price: chosenStore?.total ? (chosenStore.total - (chosenStore.deliveryFee || 0)) / Math.max(totalQty, 1) : 0,
-      total: chosenStore?.total || 0,
+    const response = await api.post('/orders/checkout', {
+      items: cart.map(({ productId, quantity }) => ({ productId, quantity })),
+      maxStores,
       address,
       paymentMethod: paymentMethod || 'cod',
       paymentNote: paymentNote || '',
-      status: 'pending',
-      // Legacy / expanded fields
-      customer: user?.name || 'Guest',
-      customerEmail: user?.email || '-',
-      items: enrichedItems,
-      storeComparisons: priceMatrix,
-      bestStoreId: bestStore?.id || null,
-      bestStoreName: bestStore?.name || null,
-      selectedStoreId: chosenStore?.id || null,
-      selectedStoreName: chosenStore?.name || null,
-      selectedStoreTotal: chosenStore?.total || null,
-      selectedStoreDelivery: chosenStore?.deliveryFee || null,
-    };
-
-    setOrders((prev) => [order, ...prev]);
-    clearCart();
-    return order;
+      couponCodes,
+      shipTo,
+    });
+
+    const { orders: placed, total, savings } = response.data;
+    setOrderState((prev) => ({ userId, list: [...placed, ...(prev.userId === userId ? prev.list : [])] }));
+    const purchased = new Set(cart.map((item) => item.productId));
+    setCartState((prev) => ({ ...prev, items: prev.items.filter((item) => !purchased.has(item.productId)) }));
+    return { orders: placed, total, savings };
   };
 
   /**
-   * Single-product checkout — creates order for one product from product detail page
-   * Calculates total including delivery cost for the selected store
+   * Single-product checkout — places an order for one product from the product detail page
+   * Totals (including delivery, the best entered promo code, and sales tax) are calculated by the server
    * @param {Object} options - Checkout options
-   * @param {Object} options.user - Current user info
-   * @param {string} options.productId - Product to purchase
+   * @param {number} options.productId - Product to purchase
    * @param {string} options.storeId - Selected store
    * @param {number} options.quantity - Quantity to order (default: 1)
    * @param {string} options.address - Delivery address
-   * @param {string} options.paymentMethod - Payment method
-   * @returns {Object|null} Created order or null if product/store not found
+   * @param {Object} options.shipTo - { region, postalCode } of the address (default: the saved ship-to address)
+   * @param {string} options.paymentMethod - 'cod' (default) or 'card'; a card order awaits payment until its
+   *   payment (order.payment) is confirmed
+   * @returns {Promise<Object>} Created order
    */
-  const checkoutSingleProduct = ({ user = {}, productId, storeId, quantity = 1, address, paymentMethod }) => {
-    const product = products.find((p) => p.id === productId);
-    if (!product) return null;
-    const store = stores.find((s) => s.id === storeId);
-    const storeData = product.stores?.[storeId];
-    if (!storeData || !store) return null;
-
-    const itemTotal = storeData.price * quantity;
-    const deliveryCost = storeData.deliveryCost ?? store.deliveryFee;
-    const orderTotal = itemTotal + deliveryCost;
-
-    const order = {
-      id: `ORD-${Date.now()}`,
-      createdAt: new Date().toISOString(),
-      userId: user?.id,
-      userEmail: user?.email,
-      userName: user?.name,
-      productId: product.id,
-      productName: product.name,
+  const checkoutSingleProduct = async ({ productId, storeId, quantity = 1, address, shipTo: destination = shipTo, paymentMethod }) => {
+    const response = await api.post('/orders', {
       storeId,
-      quantity,
-      price: storeData.price,
-      total: orderTotal,
+      items: [{ productId, quantity }],
       address,
+      shipTo: destination,
       paymentMethod: paymentMethod || 'cod',
-      status: 'pending',
-      // Legacy / expanded fields
-      customer: user?.name || 'Guest',
-      customerEmail: user?.email || '-',
-      items: [{ ...product, quantity, price: storeData.price }],
-      selectedStoreId: storeId,
-      selectedStoreName: store.name,
-      selectedStoreTotal: orderTotal,
-      selectedStoreDelivery: deliveryCost,
-      paymentNote: '',
-    };
-
-    setOrders((prev) => [order, ...prev]);
-    return order;
-  };
+      couponCodes,
+    });
 
-  /**
-   * Update the status of an order (admin function)
-   * @param {string} orderId - Order ID to update
-   * @param {string} nextStatus - New status (pending/processing/shipped/delivered/cancelled)
-   * @returns {Object} The order before status change (for notification triggers)
-   */
-  const updateOrderStatus = (orderId, nextStatus) => {
-    const order = orders.find((o) => o.id === orderId);
-    setOrders((prev) =>
-      prev.map((o) => o.id === orderId ? { ...o, status: nextStatus } : o)
-    );
-    // Return the order so callers can trigger notifications
+    const order = response.data.order;
+    prependOrder(order);
     return order;
   };
 
   /**
-   * Delete an order from history
-   * @param {string} orderId - Order ID to remove
+   * Remove a delivered or cancelled order from the user's history
+   * @param {number} orderId - Order ID to remove
    */
-  const deleteOrder = (orderId) => {
-    setOrders((prev) => prev.filter((o) => o.id !== orderId));
+  const deleteOrder = async (orderId) => {
+    await api.delete(`/orders/${orderId}`);
+    setOrderState((prev) => ({ ...prev, list: prev.list.filter((o) => o.id !== orderId) }));
   };
 
   // Context value providing all cart operations to consumers
   const value = {
     cart,
+    cartCount,
     products,
+    productsLoading,
+    refreshProducts,
     stores,
+    refreshStores,
     priceMatrix,
+    optimizeCart,
+    couponCodes,
+    applyCouponCode,
+    removeCouponCode,
+    shipTo,
+    setShipTo,
+    taxRate: quote?.tax || null,
     orders,
+    refreshOrders,
+    refreshCart,
     addToCart,
     removeFromCart,
     updateQuantity,
     clearCart,
     checkoutCart,
     checkoutSingleProduct,
-    updateOrderStatus,
     deleteOrder,
     addProduct,
     deleteProduct,
@@ -0,0 +1,107 @@
+/**
+ * Currency Context
+ * Shows prices in the signed-in user's display currency
+ * Exchange rates are managed by admins and loaded from the backend (/api/currencies);
+ * each rate is the number of units of a currency one unit of the base currency buys
+ * The context, useCurrency, and formatMoney live in ./currency
+ */
+
+import { useEffect, useMemo, useState, useCallback } from 'react';
+import api from '../api/api';
+import { useAuth } from './AuthContext';
+import { CurrencyContext, DEFAULT_BASE, formatMoney } from './currency';
+
+/**
+ * Currency Provider Component
+ *
+ * Provides:
+ * - currency: Display currency (the user's choice if it still has a rate, otherwise the base currency)
+ * - base: Base currency every rate is quoted against
+ * - currencies: Currencies with a rate [{ currency, rate, source, updatedAt }], base first
+ * - convert / toBase: Convert amounts between currencies (null when a rate is missing)
+ * - formatPrice: Convert an amount to the display currency and format it
+ * - formatMoney: Format an amount in its own currency
+ * - refreshCurrencies: Reload the rates (after an admin edits them)
+ */
+export const CurrencyProvider = ({ children }) => {
+  const { user } = useAuth();
+  // Base currency and every currency with a rate (GET /api/currencies)
+  const [state, setState] = useState({ base: DEFAULT_BASE, currencies: [] });
+
+  /**
+   * Fetch the base currency and exchange rates
+   * Keeps the previous rates if the request fails
+   */
+  const refreshCurrencies = useCallback(() => (
+    api.get('/currencies')
+      .then((response) => setState({ base: response.data.base || DEFAULT_BASE, currencies: response.data.currencies || [] }))
+      .catch((error) => console.error('Failed to load currencies:', error))
+  ), []);
+
+  // Load rates on mount
+  useEffect(() => { refreshCurrencies(); }, [refreshCurrencies]);
+
+  const { base, currencies } = state;
+  const rates = useMemo(() => {
+    const map = { [base]: 1 };
+    currencies.forEach((c) => { map[c.currency] = Number(c.rate); });
+    return map;
+  }, [base, currencies]);
+
+  // Fall back to the base currency if the user's choice lost its rate
+  const currency = user?.currency && rates[user.currency] ? user.currency : base;
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in the source currency
+   * @param {string} [from] - Source currency (default: base)
+   * @param {string} [to] - Target currency (default: display currency)
+   * @returns {number|null} Converted amount, or null if either currency has no rate
+   */
+  const convert = useCallback((amount, from = base, to = currency) => {
+    if (amount == null) return null;
+    if (from === to) return Number(amount);
+    const fromRate = rates[from];
+    const toRate = rates[to];
+    if (!fromRate || !toRate) return null;
+    return Math.round((Number(amount) / fromRate) * toRate * 100) / 100;
+  }, [rates, base, currency]);
+
+  /**
+   * Convert an amount in the display currency (or another currency) to the base currency
+   * @param {number} amount - Amount to convert
+   * @param {string} [from] - Source currency (default: display currency)
+   * @returns {number|null} Amount in the base currency
+   */
+  const toBase = useCallback((amount, from = currency) => convert(amount, from, base), [convert, currency, base]);
+
+  /**
+   * Show an amount in the display currency
+   * Amounts that can't be converted are shown in their own currency
+   * @param {number} amount - Amount in the source currency
+   * @param {string} [from] - Source currency (default: base)
+   * @returns {string} Formatted price
+   */
+  const formatPrice = useCallback((amount, from = base) => {
+    const converted = convert(amount, from, currency);
+    return converted == null ? formatMoney(amount, from) : formatMoney(converted, currency);
+  }, [convert, base, currency]);
+
+  const value = {
+    currency,
+    base,
+    currencies,
+    rates,
+    convert,
+    toBase,
+    formatPrice,
+    formatMoney,
+    refreshCurrencies,
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
@@ -1,173 +1,146 @@
 /**
  * Notification Context
- * Manages notifications for users and admin
- * Stores notifications in localStorage
- * Supports auto-notifications on order status changes and admin-sent notifications
+ * Manages the signed-in user's notifications
+ * Notifications and per-user read state are stored on the backend (/api/notifications)
+ * Order status notifications are created by the server; admins can send broadcasts
  */
 
-import { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { createContext, useContext, useEffect, useMemo, useState, useCallback } from 'react';
+import api from '../api/api';
+import { useAuth } from './AuthContext';
 
 const NotificationContext = createContext();
 
-const load = (key, fallback) => {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-};
-
-const persist = (key, value) => {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch {}
-};
+// How often to check for new notifications while signed in (ms)
+const POLL_INTERVAL = 60000;
 
 const NOTIFICATION_ICONS = {
   order: '📦',
   shipped: '🚚',
   delivered: '✅',
   cancelled: '❌',
+  return: '↩️',
   discount: '🏷️',
+  price: '📉',
   info: 'ℹ️',
   admin: '🛡️',
   welcome: '👋',
 };
 
-export const NotificationProvider = ({ children }) => {
-  const [notifications, setNotifications] = useState(() => load('cc_notifications', []));
-
-  useEffect(() => {
-    persist('cc_notifications', notifications);
-  }, [notifications]);
+/**
+ * Attach the display icon for a notification's type
+ * @param {Object} notification - Notification returned by the API
+ * @returns {Object} Notification with an icon field
+ */
+const withIcon = (notification) => ({
+  ...notification,
+  icon: NOTIFICATION_ICONS[notification.type] || NOTIFICATION_ICONS.info,
+});
 
-  /**
-   * Add a new notification
-   * @param {Object} options
-   * @param {string} options.title - Notification title
-   * @param {string} options.message - Notification body
-   * @param {string} options.type - Type: order|shipped|delivered|cancelled|discount|info|admin|welcome
-   * @param {string|number} options.userId - Target user ID (null for broadcast)
-   * @param {string} options.userEmail - Target user email (null for broadcast)
-   */
-  const addNotification = useCallback(({ title, message, type = 'info', userId = null, userEmail = null }) => {
-    const notification = {
-      id: `notif-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
-      title,
-      message,
-      type,
-      icon: NOTIFICATION_ICONS[type] || NOTIFICATION_ICONS.info,
-      userId,
-      userEmail,
-      read: false,
-      createdAt: new Date().toISOString(),
-    };
-    setNotifications((prev) => [notification, ...prev]);
-    return notification;
-  }, []);
+export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  // Current user's notifications, tagged with the user they were fetched for
+  const [state, setState] = useState({ userId: null, list: [] });
+
+  // Only expose notifications that belong to the signed-in user
+  const notifications = useMemo(
+    () => (userId != null && state.userId === userId ? state.list : []),
+    [state, userId]
+  );
+  const unreadCount = useMemo(() => notifications.filter((n) => !n.read).length, [notifications]);
 
   /**
-   * Auto-notify on order status change
+   * Fetch the signed-in user's notifications (GET /api/notifications)
+   * Keeps the previous list if the request fails
    */
-  const notifyOrderStatusChange = useCallback((order, newStatus) => {
-    const statusMessages = {
-      processing: { title: 'Order Processing', message: `Your order "${order.productName}" is now being processed.` },
-      shipped: { title: 'Order Shipped! 🚚', message: `Great news! Your order "${order.productName}" has been shipped and is on its way.` },
-      delivered: { title: 'Order Delivered! ✅', message: `Your order "${order.productName}" has been delivered. Enjoy your purchase!` },
-      cancelled: { title: 'Order Cancelled', message: `Your order "${order.productName}" has been cancelled.` },
-    };
-
-    const info = statusMessages[newStatus];
-    if (info) {
-      addNotification({
-        title: info.title,
-        message: info.message,
-        type: newStatus === 'shipped' ? 'shipped' : newStatus === 'delivered' ? 'delivered' : newStatus === 'cancelled' ? 'cancelled' : 'order',
-        userId: order.userId,
-        userEmail: order.userEmail || order.customerEmail,
-      });
-    }
-  }, [addNotification]);
+  const refreshNotifications = useCallback(() => {
+    if (userId == null) return Promise.resolve();
+    return api.get('/notifications')
+      .then((response) => setState({ userId, list: (response.data.notifications || []).map(withIcon) }))
+      .catch((error) => console.error('Failed to load notifications:', error));
+  }, [userId]);
+
+  // Load on sign-in and poll so notifications sent from other devices show up
+  useEffect(() => {
+    if (userId == null) return undefined;
+    refreshNotifications();
+    const timer = setInterval(refreshNotifications, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [userId, refreshNotifications]);
 
   /**
-   * Admin sends a broadcast or targeted notification
+   * Update notifications in local state for the current user
+   * @param {Function} update - Receives the current list and returns the new one
    */
-  const sendAdminNotification = useCallback(({ title, message, userId = null, userEmail = null, type = 'admin' }) => {
-    addNotification({ title, message, type, userId, userEmail });
-  }, [addNotification]);
+  const updateLocal = useCallback((update) => {
+    setState((prev) => (prev.userId === userId ? { ...prev, list: update(prev.list) } : prev));
+  }, [userId]);
 
   /**
    * Mark a single notification as read
+   * @param {number} notifId - Notification ID
    */
-  const markAsRead = useCallback((notifId) => {
-    setNotifications((prev) =>
-      prev.map((n) => (n.id === notifId ? { ...n, read: true } : n))
-    );
-  }, []);
-
-  /**
-   * Mark all notifications as read for a specific user
-   */
-  const markAllAsRead = useCallback((userId, userEmail) => {
-    setNotifications((prev) =>
-      prev.map((n) => {
-        const isBroadcast = !n.userId && !n.userEmail;
-        const matchesUserId = n.userId != null && userId != null && String(n.userId) === String(userId);
-        const matchesEmail = n.userEmail && userEmail && n.userEmail === userEmail;
-        const isForUser = isBroadcast || matchesUserId || matchesEmail;
-        return isForUser ? { ...n, read: true } : n;
-      })
-    );
-  }, []);
-
-  /**
-   * Delete a notification
-   */
-  const deleteNotification = useCallback((notifId) => {
-    setNotifications((prev) => prev.filter((n) => n.id !== notifId));
-  }, []);
+  const markAsRead = useCallback(async (notifId) => {
+    const target = notifications.find((n) => n.id === notifId);
+    if (!target || target.read) return;
+    updateLocal((list) => list.map((n) => (n.id === notifId ? { ...n, read: true } : n)));
+    try {
+      await api.patch(`/notifications/${notifId}/read`);
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+      refreshNotifications();
+    }
+  }, [notifications, updateLocal, refreshNotifications]);
 
   /**
-   * Clear all notifications
+   * Mark all of the current user's notifications as read
    */
-  const clearAllNotifications = useCallback(() => {
-    setNotifications([]);
-  }, []);
+  const markAllAsRead = useCallback(async () => {
+    updateLocal((list) => list.map((n) => ({ ...n, read: true })));
+    try {
+      await api.patch('/notifications/read-all');
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+      refreshNotifications();
+    }
+  }, [updateLocal, refreshNotifications]);
 
   /**
-   * Get notifications for a specific user (includes broadcasts)
+   * Delete a notification (broadcasts are only hidden for the current user)
+   * @param {number} notifId - Notification ID
    */
-  const getNotificationsForUser = useCallback((userId, userEmail) => {
-    return notifications.filter((n) => {
-      // Broadcast notifications (no specific target) go to everyone
-      const isBroadcast = !n.userId && !n.userEmail;
-      // Targeted by userId (loose comparison to handle string/number mismatch)
-      const matchesUserId = n.userId != null && userId != null && String(n.userId) === String(userId);
-      // Targeted by email
-      const matchesEmail = n.userEmail && userEmail && n.userEmail === userEmail;
-      return isBroadcast || matchesUserId || matchesEmail;
-    });
-  }, [notifications]);
+  const deleteNotification = useCallback(async (notifId) => {
+    updateLocal((list) => list.filter((n) => n.id !== notifId));
+    try {
+      await api.delete(`/notifications/${notifId}`);
+    } catch (error) {
+      console.error('Failed to delete notification:', error);
+      refreshNotifications();
+    }
+  }, [updateLocal, refreshNotifications]);
 
   /**
-   * Get unread count for a specific user
+   * Admin sends a broadcast or targeted notification (POST /api/admin/notifications)
+   * Omit userId and userEmail to broadcast to every user
+   * @returns {Promise<Object>} Created notification
+   * @throws {Error} If the request fails
    */
-  const getUnreadCount = useCallback((userId, userEmail) => {
-    return getNotificationsForUser(userId, userEmail).filter((n) => !n.read).length;
-  }, [getNotificationsForUser]);
+  const sendAdminNotification = useCallback(async ({ title, message, userId: targetId = null, userEmail = null, type = 'admin' }) => {
+    const response = await api.post('/admin/notifications', { title, message, type, userId: targetId, userEmail });
+    // Broadcasts also reach the sending admin
+    refreshNotifications();
+    return response.data.notification;
+  }, [refreshNotifications]);
 
   const value = {
     notifications,
-    addNotification,
-    notifyOrderStatusChange,
+    unreadCount,
+    refreshNotifications,
     sendAdminNotification,
     markAsRead,
     markAllAsRead,
     deleteNotification,
-    clearAllNotifications,
-    getNotificationsForUser,
-    getUnreadCount,
   };
 
   return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
@@ -0,0 +1,32 @@
+/**
+ * Currency helpers
+ * The currency context, its hook, and money formatting, kept apart from CurrencyProvider
+ * so the provider's file only exports components
+ */
+
+import { createContext, useContext } from 'react';
+
+export const CurrencyContext = createContext();
+
+// Base currency used until the rates load (matches the backend's BASE_CURRENCY)
+export const DEFAULT_BASE = 'USD';
+
+/**
+ * Format an amount in a currency without converting it
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "$3.99" or "€3.99"
+ */
+export const formatMoney = (amount, currency = DEFAULT_BASE) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount) || 0);
+  } catch {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+};
+
+export const useCurrency = () => {
+  const ctx = useContext(CurrencyContext);
+  if (!ctx) throw new Error('useCurrency must be used within CurrencyProvider');
+  return ctx;
+};
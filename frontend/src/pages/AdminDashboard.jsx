@@ -2,45 +2,79 @@
  * Admin Dashboard Component
  *
  * Protected admin-only page for managing all orders
+ * Orders and stats are loaded from the admin order API
  * Features:
- * - Order stats cards (Total / Pending / Processing / Delivered / Revenue)
- * - Quick links to manage Users and Products
+ * - Order stats cards (Total / Pending / Processing / Delivered / Open returns / Revenue net of refunds / Tax collected,
+ *   in the base currency)
+ * - Quick links to manage Users, Products, Stores, Coupons, Tax Rates, Exchange Rates, and Returns
  * - Broadcast notification form for sending to all users
+ * - Invoice export form: one PDF with the invoices of every order placed in a date range
  * - Searchable and filterable order list
- * - Order status update dropdown with notification triggers
- * - Expandable order detail view
+ * - Order status dropdown offering only the legal next statuses, with an optional note and notification triggers
+ * - Expandable order detail view with the status history
+ * - Card payment status in the order details; shipping a card order charges the card, cancelling it
+ *   releases or refunds the payment
+ * - Download any order's PDF invoice (cancelled orders and orders awaiting payment have none)
  * - Delete order with confirmation modal
+ * - Link to the profile page when admins must turn on two-factor authentication first
  * - Customer info display (name, email, address)
  */
 
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect, useCallback } from "react";
 import { Link } from "react-router-dom";
+import api, { downloadFile } from "../api/api";
 import { useAuth } from "../context/AuthContext";
 import { useCart } from "../context/CartContext";
 import { useNotifications } from "../context/NotificationContext";
-import { stores as STORES } from "../data/catalog";
+import { useCurrency } from "../context/currency";
+import OrderTimeline from "../components/OrderTimeline";
 import "../styles/AdminDashboard.css";
 
 // Color map for order status badges
-const STATUS_COLORS = { pending: "#f6ad55", processing: "#63b3ed", shipped: "#68d391", delivered: "#48bb78", cancelled: "#fc8181" };
+const STATUS_COLORS = { awaiting_payment: "#ed8936", pending: "#f6ad55", processing: "#63b3ed", shipped: "#68d391", delivered: "#48bb78", cancelled: "#fc8181", partially_returned: "#b794f4", returned: "#a0aec0" };
 // Display labels for order statuses
-const STATUS_LABELS = { pending: "Pending", processing: "Processing", shipped: "Shipped", delivered: "Delivered", cancelled: "Cancelled" };
-// All possible order statuses for filter and dropdown
-const ALL_STATUSES = ["pending", "processing", "shipped", "delivered", "cancelled"];
+const STATUS_LABELS = { awaiting_payment: "Awaiting payment", pending: "Pending", processing: "Processing", shipped: "Shipped", delivered: "Delivered", cancelled: "Cancelled", partially_returned: "Partly returned", returned: "Returned" };
+// All possible order statuses for the filter tabs
+const ALL_STATUSES = ["awaiting_payment", "pending", "processing", "shipped", "delivered", "cancelled", "partially_returned", "returned"];
+// Statuses an order can be deleted in (active orders are cancelled first)
+const FINISHED_STATUSES = ["delivered", "cancelled", "partially_returned", "returned"];
 
 export default function AdminDashboard() {
   const { user } = useAuth();
-  const { orders, products, updateOrderStatus, deleteOrder } = useCart();
-  const { notifyOrderStatusChange, sendAdminNotification } = useNotifications();
+  const { products, stores } = useCart();
+  const { sendAdminNotification } = useNotifications();
+  const { formatMoney } = useCurrency();
+
+  // All customer orders and aggregate stats from the API
+  const [orders, setOrders] = useState([]);
+  const [stats, setStats] = useState({ total: 0, pending: 0, processing: 0, delivered: 0, revenue: 0, tax: 0, refunds: 0, openReturns: 0 });
+  const [loadError, setLoadError] = useState("");
+  // Set when admins must use two-factor authentication and this one hasn't turned it on
+  const [needsTwoFactor, setNeedsTwoFactor] = useState(false);
 
   // UI state for order expansion, filtering, and search
   const [expandedId, setExpandedId] = useState(null);      // Expanded order detail ID
   const [filterStatus, setFilterStatus] = useState("all"); // Status filter tab
   const [search, setSearch] = useState("");                 // Search query
   const [deleteTarget, setDeleteTarget] = useState(null);   // Order pending deletion
+  // Status change pending confirmation ({ order, status }), its optional note, and the error from the last attempt
+  const [statusChange, setStatusChange] = useState(null);
+  const [statusNote, setStatusNote] = useState("");
+  const [statusError, setStatusError] = useState("");
   // Broadcast notification form state
   const [showNotifForm, setShowNotifForm] = useState(false);
   const [notifForm, setNotifForm] = useState({ title: '', message: '', type: 'info' });
+  const [notifError, setNotifError] = useState("");
+  // Invoice export form state (dates as YYYY-MM-DD, from the 1st of this month to today by default)
+  const [showExportForm, setShowExportForm] = useState(false);
+  const [exportRange, setExportRange] = useState(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    return { from: `${today.slice(0, 8)}01`, to: today };
+  });
+  const [exportError, setExportError] = useState("");
+  const [exporting, setExporting] = useState(false);
+  // Error from the last single invoice download ({ orderId, message })
+  const [invoiceError, setInvoiceError] = useState(null);
 
   // Filter and sort orders by status, search query, and date (newest first)
   const filtered = useMemo(() => {
@@ -48,28 +82,104 @@ export default function AdminDashboard() {
     if (filterStatus !== "all") list = list.filter((o) => o.status === filterStatus);
     if (search.trim()) {
       const q = search.toLowerCase();
-      list = list.filter((o) => o.productName?.toLowerCase().includes(q) || o.address?.toLowerCase().includes(q) || o.id?.toLowerCase().includes(q));
+      list = list.filter((o) => o.productName?.toLowerCase().includes(q) || o.address?.toLowerCase().includes(q) || String(o.id).includes(q) || o.userEmail?.toLowerCase().includes(q));
     }
     return list;
   }, [orders, filterStatus, search]);
 
-  // Aggregate statistics for admin stat cards
-  const stats = useMemo(() => ({
-    total: orders.length,
-    pending: orders.filter((o) => o.status === "pending").length,
-    processing: orders.filter((o) => o.status === "processing").length,
-    delivered: orders.filter((o) => o.status === "delivered").length,
-    revenue: orders.filter((o) => ["delivered","completed"].includes(o.status)).reduce((s, o) => s + Number(o.total || o.price || 0), 0),
-  }), [orders]);
+  /**
+   * Fetch all orders and aggregate stats from the admin API
+   */
+  const loadOrders = useCallback(() => (
+    Promise.all([api.get("/admin/orders"), api.get("/admin/orders/stats")])
+      .then(([ordersRes, statsRes]) => {
+        setOrders(ordersRes.data.orders || []);
+        setStats(statsRes.data.stats);
+        setLoadError("");
+      })
+      .catch((err) => {
+        setNeedsTwoFactor(Boolean(err.response?.data?.twoFactorSetupRequired));
+        setLoadError(err.response?.data?.error || "Failed to load orders");
+      })
+  ), []);
+
+  // Load orders on mount
+  useEffect(() => { loadOrders(); }, [loadOrders]);
+
+  /**
+   * Ask for confirmation (and an optional note) before changing an order's status
+   * @param {Object} order - Order being updated
+   * @param {string} newStatus - Status selected in the dropdown
+   */
+  function startStatusChange(order, newStatus) {
+    if (newStatus === order.status) return;
+    setStatusChange({ order, status: newStatus });
+    setStatusNote("");
+    setStatusError("");
+  }
+
+  /**
+   * Change the order's status via the API and notify the customer
+   * The server refuses changes the order lifecycle doesn't allow
+   */
+  async function confirmStatusChange() {
+    const { order, status } = statusChange;
+    try {
+      // The server records the change in the order's history and notifies the customer
+      await api.patch(`/admin/orders/${order.id}/status`, { status, note: statusNote.trim() || undefined });
+      setStatusChange(null);
+      await loadOrders();
+    } catch (err) {
+      setStatusError(err.response?.data?.error || "Failed to update order status");
+    }
+  }
+
+  /**
+   * Download one order's PDF invoice (issued on first download)
+   * @param {Object} order - Order that wasn't cancelled
+   */
+  async function downloadInvoice(order) {
+    setInvoiceError(null);
+    try {
+      await downloadFile(`/admin/orders/${order.id}/invoice`);
+    } catch (err) {
+      setInvoiceError({ orderId: order.id, message: err.response?.data?.error || "Failed to download the invoice" });
+    }
+  }
+
+  /**
+   * Download the invoices of every order placed in the chosen date range as one PDF
+   */
+  async function exportInvoices() {
+    if (!exportRange.from || !exportRange.to) { setExportError("Choose both dates"); return; }
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadFile("/admin/invoices/export", exportRange);
+    } catch (err) {
+      setExportError(err.response?.data?.error || "Failed to export invoices");
+    } finally {
+      setExporting(false);
+    }
+  }
 
   /** Look up a product by ID */
   function getProduct(id) { return products.find((p) => p.id === id); }
   /** Look up a store name by ID */
-  function getStoreName(id) { return STORES.find((s) => s.id === id)?.name || id; }
+  function getStoreName(id) { return stores.find((s) => s.id === id)?.name || id; }
   /** Show delete confirmation modal for an order */
   function confirmDelete(order) { setDeleteTarget(order); }
   /** Execute order deletion after confirmation */
-  function doDelete() { if (deleteTarget) { deleteOrder(deleteTarget.id); setDeleteTarget(null); } }
+  async function doDelete() {
+    if (!deleteTarget) return;
+    try {
+      await api.delete(`/admin/orders/${deleteTarget.id}`);
+      setDeleteTarget(null);
+      await loadOrders();
+    } catch (err) {
+      setLoadError(err.response?.data?.error || "Failed to delete order");
+    }
+  }
 
   return (
     <div className="adash-shell">
@@ -83,6 +193,12 @@ export default function AdminDashboard() {
         <div className="admin-quick-links">
           <Link to="/admin/users" className="ql-btn">👥 Users</Link>
           <Link to="/admin/products" className="ql-btn ql-primary">📦 Products</Link>
+          <Link to="/admin/stores" className="ql-btn">🏬 Stores</Link>
+          <Link to="/admin/coupons" className="ql-btn">🏷️ Coupons</Link>
+          <Link to="/admin/tax-rates" className="ql-btn">🧾 Tax Rates</Link>
+          <Link to="/admin/exchange-rates" className="ql-btn">💱 Exchange Rates</Link>
+          <Link to="/admin/returns" className="ql-btn">↩️ Returns{stats.openReturns > 0 ? ` (${stats.openReturns})` : ""}</Link>
+          <button className="ql-btn" onClick={() => setShowExportForm((v) => !v)}>📑 Export Invoices</button>
           <button className="ql-btn ql-notif" onClick={() => setShowNotifForm((v) => !v)}>🔔 Send Notification</button>
         </div>
       </div>
@@ -94,7 +210,9 @@ export default function AdminDashboard() {
           { label: "Pending", value: stats.pending, icon: "⏳", color: "#f6ad55" },
           { label: "Processing", value: stats.processing, icon: "⚙️", color: "#63b3ed" },
           { label: "Delivered", value: stats.delivered, icon: "✅", color: "#48bb78" },
-          { label: "Revenue", value: `$${stats.revenue.toFixed(2)}`, icon: "💰", color: "#9f7aea", wide: true },
+          { label: "Open returns", value: stats.openReturns || 0, icon: "↩️", color: "#b794f4" },
+          { label: stats.refunds > 0 ? `Revenue (after ${formatMoney(stats.refunds, stats.currency)} refunds)` : "Revenue", value: formatMoney(stats.revenue, stats.currency), icon: "💰", color: "#9f7aea", wide: true },
+          { label: "Tax collected", value: formatMoney(stats.tax || 0, stats.currency), icon: "🧾", color: "#ed8936" },
         ].map(({ label, value, icon, color, wide }) => (
           <div key={label} className={`astat-card card ${wide ? "wide" : ""}`}>
             <div className="astat-icon" style={{ background: `${color}22`, color }}>{icon}</div>
@@ -126,6 +244,7 @@ export default function AdminDashboard() {
               value={notifForm.message}
               onChange={(e) => setNotifForm((f) => ({ ...f, message: e.target.value }))}
             />
+            {notifError && <p className="muted" style={{ margin: 0 }}>{notifError}</p>}
             <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
               <select
                 className="status-select"
@@ -140,11 +259,16 @@ export default function AdminDashboard() {
               <button
                 className="ql-btn ql-primary"
                 style={{ border: 'none', cursor: 'pointer' }}
-                onClick={() => {
+                onClick={async () => {
                   if (notifForm.title.trim() && notifForm.message.trim()) {
-                    sendAdminNotification({ title: notifForm.title, message: notifForm.message, type: notifForm.type });
-                    setNotifForm({ title: '', message: '', type: 'info' });
-                    setShowNotifForm(false);
+                    try {
+                      await sendAdminNotification({ title: notifForm.title, message: notifForm.message, type: notifForm.type });
+                      setNotifForm({ title: '', message: '', type: 'info' });
+                      setNotifError("");
+                      setShowNotifForm(false);
+                    } catch (err) {
+                      setNotifError(err.response?.data?.error || "Failed to send notification");
+                    }
                   }
                 }}
               >
@@ -156,8 +280,47 @@ export default function AdminDashboard() {
         </div>
       )}
 
+      {/* ── Export Invoices Form ── */}
+      {showExportForm && (
+        <div className="admin-notif-form card" style={{ padding: '1.5rem', marginBottom: '2rem' }}>
+          <h3 style={{ margin: '0 0 0.35rem', fontSize: '1.1rem' }}>📑 Export Invoices</h3>
+          <p className="muted" style={{ margin: '0 0 1rem' }}>One PDF with the invoice of every order placed in the range (UTC days, both included). Cancelled orders are skipped.</p>
+          <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
+            <label className="muted">From</label>
+            <input
+              type="date"
+              className="aorders-search"
+              style={{ maxWidth: '180px' }}
+              value={exportRange.from}
+              max={exportRange.to || undefined}
+              onChange={(e) => { setExportRange((r) => ({ ...r, from: e.target.value })); setExportError(""); }}
+            />
+            <label className="muted">To</label>
+            <input
+              type="date"
+              className="aorders-search"
+              style={{ maxWidth: '180px' }}
+              value={exportRange.to}
+              min={exportRange.from || undefined}
+              onChange={(e) => { setExportRange((r) => ({ ...r, to: e.target.value })); setExportError(""); }}
+            />
+            <button className="ql-btn ql-primary" style={{ border: 'none', cursor: 'pointer' }} onClick={exportInvoices} disabled={exporting}>
+              {exporting ? "Exporting…" : "Download PDF"}
+            </button>
+            <button className="ql-btn" onClick={() => setShowExportForm(false)}>Cancel</button>
+          </div>
+          {exportError && <p className="muted" style={{ margin: '0.75rem 0 0', color: "#fc8181" }}>{exportError}</p>}
+        </div>
+      )}
+
       {/* ── Orders ── */}
       <div className="aorders-section">
+        {loadError && (
+          <div className="aorders-empty card">
+            <p className="muted">{loadError}</p>
+            {needsTwoFactor && <Link to="/profile" className="ql-btn ql-primary">Set up two-factor authentication</Link>}
+          </div>
+        )}
         <div className="aorders-top">
           <h2>All Orders <span className="order-total-pill">{orders.length}</span></h2>
           <div className="aorders-controls">
@@ -190,11 +353,11 @@ export default function AdminDashboard() {
         <div className="aorders-list">
           {filtered.map((order) => {
             const product = getProduct(order.productId);
-            const storeName = getStoreName(order.storeId || order.selectedStoreId);
+            const storeName = order.storeName || getStoreName(order.storeId);
             const isExp = expandedId === order.id;
             const statusKey = (order.status || "pending").toLowerCase();
             const statusColor = STATUS_COLORS[statusKey] || "#a0aec0";
-            const displayDate = order.createdAt || order.placedAt;
+            const displayDate = order.createdAt;
 
             return (
               <div key={order.id} className="aorder-card card">
@@ -214,7 +377,7 @@ export default function AdminDashboard() {
                     <div className="aorder-meta-row">
                       <span className="aorder-store">{storeName}</span>
                       <span className="aorder-dot">·</span>
-                      <span className="aorder-price">${Number(order.total || order.selectedStoreTotal || order.price || 0).toFixed(2)}</span>
+                      <span className="aorder-price">{formatMoney(order.total || order.selectedStoreTotal || order.price || 0, order.currency)}</span>
                       <span className="aorder-dot">·</span>
                       <span className="aorder-qty">Qty: {order.quantity || 1}</span>
                     </div>
@@ -231,34 +394,48 @@ export default function AdminDashboard() {
                     <select
                       className="status-select"
                       value={statusKey}
-                      onChange={(e) => {
-                        const newStatus = e.target.value;
-                        const ord = updateOrderStatus(order.id, newStatus);
-                        if (ord) notifyOrderStatusChange(ord, newStatus);
-                      }}
+                      disabled={!order.nextStatuses?.length}
+                      onChange={(e) => startStatusChange(order, e.target.value)}
                     >
-                      {ALL_STATUSES.map((s) => (
-                        <option key={s} value={s}>{STATUS_LABELS[s]}</option>
+                      {[statusKey, ...(order.nextStatuses || [])].map((s) => (
+                        <option key={s} value={s}>{STATUS_LABELS[s] || s}</option>
                       ))}
                     </select>
                     <button className="expand-btn" onClick={() => setExpandedId(isExp ? null : order.id)}>
                       {isExp ? "▲ Hide" : "▼ Details"}
                     </button>
-                    <button className="aorder-delete-btn" onClick={() => confirmDelete(order)}>🗑</button>
+                    <button
+                      className="aorder-invoice-btn"
+                      title={statusKey === "cancelled" ? "Cancelled orders have no invoice" : "Download invoice"}
+                      disabled={statusKey === "cancelled" || statusKey === "awaiting_payment"}
+                      onClick={() => downloadInvoice(order)}
+                    >🧾</button>
+                    <button
+                      className="aorder-delete-btn"
+                      title={FINISHED_STATUSES.includes(statusKey) ? "Delete order" : "Cancel the order before deleting it"}
+                      disabled={!FINISHED_STATUSES.includes(statusKey)}
+                      onClick={() => confirmDelete(order)}
+                    >🗑</button>
                   </div>
                 </div>
 
+                {invoiceError?.orderId === order.id && <p className="muted aorder-invoice-error">{invoiceError.message}</p>}
                 {isExp && (
                   <div className="aorder-detail">
                     <div className="adetail-grid">
                       <div><span className="dl">Order ID</span><span className="dv">{order.id}</span></div>
-                      <div><span className="dl">Payment</span><span className="dv">{order.paymentMethod === "cod" ? "Cash on Delivery" : order.paymentMethod || "Cash on Delivery"}</span></div>
+                      <div><span className="dl">Payment</span><span className="dv">{order.paymentMethod === "card" ? `Card${order.payment?.cardLast4 ? ` (${order.payment.cardBrand} •••• ${order.payment.cardLast4})` : ""}` : "Cash on Delivery"}</span></div>
+                      {order.payment && (
+                        <div><span className="dl">Payment status</span><span className="dv">{order.payment.status.replace(/_/g, " ")}{order.payment.refundedAmount > 0 ? ` (${formatMoney(order.payment.refundedAmount, order.payment.currency)} refunded)` : ""}</span></div>
+                      )}
                       <div><span className="dl">Customer</span><span className="dv">{order.userName || order.customer || "—"}</span></div>
                       <div><span className="dl">Email</span><span className="dv">{order.userEmail || order.customerEmail || "—"}</span></div>
                       <div><span className="dl">Delivery address</span><span className="dv">{order.address}</span></div>
-                      <div><span className="dl">Item price</span><span className="dv">${Number(order.price || 0).toFixed(2)} × {order.quantity || 1}</span></div>
-                      <div><span className="dl">Total</span><span className="dv adetail-total">${Number(order.total || order.selectedStoreTotal || 0).toFixed(2)}</span></div>
+                      <div><span className="dl">Item price</span><span className="dv">{formatMoney(order.price || 0, order.currency)} × {order.quantity || 1}</span></div>
+                      {order.tax > 0 && <div><span className="dl">Tax ({order.taxRate}%{order.taxIncluded ? ", included" : ""})</span><span className="dv">{formatMoney(order.tax, order.currency)}</span></div>}
+                      <div><span className="dl">Total</span><span className="dv adetail-total">{formatMoney(order.total || order.selectedStoreTotal || 0, order.currency)}</span></div>
                     </div>
+                    <OrderTimeline order={order} showActor />
                   </div>
                 )}
               </div>
@@ -267,6 +444,35 @@ export default function AdminDashboard() {
         </div>
       </div>
 
+      {/* ── Status change confirm modal ── */}
+      {statusChange && (
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setStatusChange(null); }}>
+          <div className="confirm-modal card">
+            <h3>Mark order as {STATUS_LABELS[statusChange.status]}?</h3>
+            <p>
+              Order #{statusChange.order.id} for <strong>{statusChange.order.userName || "Guest"}</strong> moves from {STATUS_LABELS[statusChange.order.status]} to {STATUS_LABELS[statusChange.status]}.
+              {statusChange.status === "cancelled" && " Its stock and promo code use are given back."}
+              {statusChange.order.payment && statusChange.status === "shipped" && " The customer's card is charged."}
+              {statusChange.order.payment && statusChange.status === "cancelled" && " The card payment is released, or refunded if it was already charged."}
+              {" "}The customer is notified.
+            </p>
+            <textarea
+              placeholder="Note for the tracking timeline (optional), e.g. a tracking number"
+              className="aorders-search"
+              style={{ maxWidth: '100%', minHeight: '70px', resize: 'vertical' }}
+              maxLength={500}
+              value={statusNote}
+              onChange={(e) => { setStatusNote(e.target.value); setStatusError(""); }}
+            />
+            {statusError && <p className="muted" style={{ color: "#fc8181" }}>{statusError}</p>}
+            <div className="confirm-actions">
+              <button className="btn btn-outline" onClick={() => setStatusChange(null)}>Cancel</button>
+              <button className={`btn ${statusChange.status === "cancelled" ? "btn-danger" : "btn-primary"}`} onClick={confirmStatusChange}>Confirm</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* ── Delete confirm modal ── */}
       {deleteTarget && (
         <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setDeleteTarget(null); }}>
@@ -0,0 +1,353 @@
+/**
+ * Cart Page Component
+ *
+ * Shows the shopping cart and checks it out across the cheapest stores
+ * Features:
+ * - Cart lines with quantity controls and remove buttons
+ * - Split-cart optimizer: cheapest assignment of items to one or more stores,
+ *   with an optional limit on how many stores to use
+ * - Per-store breakdown (items, subtotal, delivery fee from the store's delivery rule,
+ *   promo discount, sales tax) and savings compared with the best single store
+ * - Ship-to region and ZIP: pick the sales tax rate for every total on the page
+ * - Promo codes: checked when applied, each store takes off its best code
+ * - Single-store price comparison (priceMatrix) for guests and as a reference
+ * - Store amounts in the store's own currency; totals and savings in the display currency
+ * - Shipping form and checkout that places one order per store
+ * - Cash on delivery or card; card orders are paid right after checkout (with 3-D Secure when the bank asks)
+ * - Login prompt for guests (optimizer and checkout need an account)
+ * - Checkout waits until the email address is verified
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useCart } from "../context/CartContext";
+import { useCurrency } from "../context/currency";
+import CardPayment, { PaymentChoice } from "../components/CardPayment";
+import "../styles/ProductDetail.css";
+import "../styles/Cart.css";
+
+// Empty shipping form (region and ZIP live in the cart context's ship-to address)
+const EMPTY_ADDRESS = { phone: "", address: "", city: "" };
+const EMPTY_CARD = { number: "", expiry: "", cvc: "" };
+
+export default function Cart() {
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuth();
+  const {
+    cart, products, stores, priceMatrix, optimizeCart, updateQuantity, removeFromCart, checkoutCart,
+    couponCodes, applyCouponCode, removeCouponCode, shipTo, setShipTo, taxRate,
+  } = useCart();
+  const { formatPrice, formatMoney } = useCurrency();
+
+  // Most stores to split the cart across ("" = no limit)
+  const [maxStores, setMaxStores] = useState("");
+  // Latest optimizer result, tagged with the cart/limit it was computed for
+  const [planState, setPlanState] = useState({ key: null, plan: null, error: "" });
+  // Shipping form and checkout state
+  const [addr, setAddr] = useState(EMPTY_ADDRESS);
+  const [placing, setPlacing] = useState(false);
+  const [checkoutError, setCheckoutError] = useState("");
+  // Payment method, card form, and the card orders being paid after checkout
+  const [paymentMethod, setPaymentMethod] = useState("cod");
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [paying, setPaying] = useState(null);
+  // Promo code form
+  const [codeInput, setCodeInput] = useState("");
+  const [applyingCode, setApplyingCode] = useState(false);
+  const [codeError, setCodeError] = useState("");
+
+  const limit = maxStores ? Number(maxStores) : undefined;
+  const planKey = JSON.stringify({ cart, limit, couponCodes, shipTo });
+  const planLoading = isAuthenticated && cart.length > 0 && planState.key !== planKey;
+  const plan = planState.key === planKey ? planState.plan : null;
+  const planError = planState.key === planKey ? planState.error : "";
+
+  // Re-run the optimizer whenever the cart, the store limit, the codes, or the ship-to address change
+  useEffect(() => {
+    if (!isAuthenticated || !cart.length) return undefined;
+    let cancelled = false;
+    optimizeCart(limit)
+      .then((result) => { if (!cancelled) setPlanState({ key: planKey, plan: result, error: "" }); })
+      .catch((err) => {
+        if (!cancelled) setPlanState({ key: planKey, plan: null, error: err.response?.data?.error || "Failed to compare stores" });
+      });
+    return () => { cancelled = true; };
+  }, [isAuthenticated, cart.length, optimizeCart, limit, planKey]);
+
+  // Cart lines joined with their catalog entries
+  const lines = cart
+    .map((item) => ({ ...item, product: products.find((p) => p.id === item.productId) }))
+    .filter((line) => line.product);
+
+  // Single stores that stock the whole cart, cheapest first in the base currency (unpriced stores last while the quote loads)
+  const completeStores = priceMatrix
+    .filter((store) => store.missingCount === 0 && store.availableCount > 0)
+    .sort((a, b) => (a.baseTotal ?? Infinity) - (b.baseTotal ?? Infinity));
+
+  const addrFilled = addr.phone && addr.address && addr.city && shipTo.region && shipTo.postalCode;
+  const paymentFilled = paymentMethod === "cod" || (card.number && card.expiry && card.cvc);
+
+  /** Update the ship-to region or ZIP (re-prices every store) */
+  function setShipToField(k, v) { setShipTo((prev) => ({ ...prev, [k]: v })); }
+
+  /**
+   * Check the typed promo code and add it to the cart's codes
+   */
+  async function applyCode(e) {
+    e.preventDefault();
+    if (!codeInput.trim()) return;
+    setApplyingCode(true); setCodeError("");
+    try {
+      await applyCouponCode(codeInput);
+      setCodeInput("");
+    } catch (err) {
+      setCodeError(err.response?.data?.error || err.message || "Failed to check promo code");
+    } finally {
+      setApplyingCode(false);
+    }
+  }
+
+  /**
+   * Place one order per store in the current plan, then go to the dashboard
+   * Card orders are paid first; they stay unplaced until their payment goes through
+   */
+  async function placeOrder() {
+    if (!plan || !addrFilled || !paymentFilled) return;
+    setPlacing(true); setCheckoutError("");
+    try {
+      const result = await checkoutCart({
+        maxStores: limit,
+        address: `${addr.address}, ${addr.city}, ${shipTo.region} ${shipTo.postalCode} — ${addr.phone} (${user?.name || ""})`,
+        paymentMethod,
+      });
+      if (paymentMethod === "card") {
+        setPaying(result.orders);
+        return;
+      }
+      navigate("/dashboard");
+    } catch (err) {
+      setCheckoutError(err.response?.data?.error || "Checkout failed");
+    } finally {
+      setPlacing(false);
+    }
+  }
+
+  // Paying for the card orders just placed (the cart is already empty by then)
+  const cardPayment = paying && <CardPayment orders={paying} card={card} onClose={() => navigate("/dashboard")} />;
+
+  if (!lines.length) {
+    return (
+      <div className="pd-shell">
+        <div className="pd-wall card">
+          <div className="empty-icon">🛒</div>
+          <h2>Your cart is empty</h2>
+          <Link to="/products" className="btn btn-primary">Browse Products</Link>
+        </div>
+        {cardPayment}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pd-shell">
+      <Link to="/products" className="pd-back">← Continue shopping</Link>
+      <h1 className="pd-title">Your Cart</h1>
+
+      <div className="cart-layout">
+        {/* ── Left: cart lines ── */}
+        <div className="cart-lines">
+          {lines.map(({ productId, quantity, product }) => (
+            <div key={productId} className="cart-line card">
+              {product.imageUrl
+                ? <img src={product.imageUrl} alt={product.name} className="cart-line-img" />
+                : <div className="cart-line-img cart-line-placeholder">📦</div>}
+              <div className="cart-line-info">
+                <Link to={`/products/${productId}`} className="cart-line-name">{product.name}</Link>
+                {product.category && <span className="muted">{product.category}</span>}
+              </div>
+              <div className="cart-qty">
+                <button onClick={() => updateQuantity(productId, quantity - 1)} aria-label="Decrease quantity">−</button>
+                <span>{quantity}</span>
+                <button onClick={() => updateQuantity(productId, quantity + 1)} aria-label="Increase quantity">＋</button>
+              </div>
+              <button className="cart-remove" onClick={() => removeFromCart(productId)}>Remove</button>
+            </div>
+          ))}
+
+          {/* Single-store comparison */}
+          <div className="cart-compare card">
+            <h3>Whole cart at one store</h3>
+            <div className="cart-ship-to">
+              <span className="muted">Ship to</span>
+              <input type="text" value={shipTo.region} onChange={(e) => setShipToField("region", e.target.value)} placeholder="State" aria-label="State / Region" />
+              <input type="text" value={shipTo.postalCode} onChange={(e) => setShipToField("postalCode", e.target.value)} placeholder="ZIP" aria-label="ZIP / Postal code" />
+            </div>
+            <p className="muted cart-tax-note">
+              {taxRate ? `Sales tax: ${taxRate.description}` : shipTo.region || shipTo.postalCode ? "No sales tax for this address" : "Enter your state or ZIP to include sales tax"}
+            </p>
+            {completeStores.length === 0 && <p className="muted">No single store stocks every item in your cart.</p>}
+            {completeStores.map((store) => (
+              <div key={store.id} className="cart-compare-row">
+                <span>
+                  {store.logo} {store.name}
+                  {store.deliveryFee != null && (
+                    <span className="muted cart-compare-delivery">
+                      {store.deliveryFee > 0 ? `incl. ${formatMoney(store.deliveryFee, store.currency)} delivery` : "free delivery"}
+                      {store.tax > 0 && `, ${formatMoney(store.tax, store.currency)} tax${store.taxIncluded ? " (in prices)" : ""}`}
+                    </span>
+                  )}
+                </span>
+                <span>
+                  {store.discount > 0 && <span className="cart-discount">−{formatMoney(store.discount, store.currency)} promo </span>}
+                  <strong title={store.total != null ? formatMoney(store.total, store.currency) : undefined}>
+                    {store.total != null ? formatPrice(store.total, store.currency) : "…"}
+                  </strong>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* ── Right: optimizer + checkout ── */}
+        <div className="cart-summary card">
+          {!isAuthenticated ? (
+            <div className="cart-login">
+              <div className="lock-icon">🔒</div>
+              <p>Log in to find the cheapest combination of stores and check out.</p>
+              <Link to="/login" className="btn btn-primary">Go to Login</Link>
+            </div>
+          ) : (
+            <>
+              <div className="cart-summary-head">
+                <h2>Best price</h2>
+                <label className="cart-limit">
+                  <span>Stores</span>
+                  <select value={maxStores} onChange={(e) => setMaxStores(e.target.value)}>
+                    <option value="">Any number</option>
+                    {stores.map((_, i) => (
+                      <option key={i + 1} value={i + 1}>Up to {i + 1}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              {/* Promo codes */}
+              <form className="cart-promo" onSubmit={applyCode}>
+                <input
+                  type="text"
+                  value={codeInput}
+                  onChange={(e) => setCodeInput(e.target.value)}
+                  placeholder="Promo code"
+                  aria-label="Promo code"
+                />
+                <button type="submit" className="btn btn-outline" disabled={applyingCode || !codeInput.trim()}>
+                  {applyingCode ? "Checking…" : "Apply"}
+                </button>
+              </form>
+              {codeError && <p className="err-msg">{codeError}</p>}
+              {couponCodes.length > 0 && (
+                <div className="cart-codes">
+                  {couponCodes.map((code) => (
+                    <span key={code} className="cart-code">
+                      {code}
+                      <button onClick={() => removeCouponCode(code)} aria-label={`Remove ${code}`}>×</button>
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {planLoading && <p className="muted">Comparing stores…</p>}
+              {planError && <p className="err-msg">{planError}</p>}
+
+              {plan && (
+                <>
+                  {plan.stores.map((group) => (
+                    <div key={group.storeId} className="cart-store">
+                      <div className="cart-store-head">
+                        <strong>{group.storeName}</strong>
+                        <span>{formatMoney(group.total, group.currency)}</span>
+                      </div>
+                      {group.items.map((item) => (
+                        <div key={item.productId} className="cart-store-item">
+                          <span>{item.quantity} × {item.productName}</span>
+                          <span>{formatMoney(item.lineTotal, group.currency)}</span>
+                        </div>
+                      ))}
+                      <div className="cart-store-item muted">
+                        <span>Delivery</span>
+                        <span>{group.deliveryFee > 0 ? formatMoney(group.deliveryFee, group.currency) : "Free"}</span>
+                      </div>
+                      {group.discounts.map((line) => (
+                        <div key={line.code} className="cart-store-item cart-discount">
+                          <span>{line.code} · {line.description}</span>
+                          <span>−{formatMoney(line.amount, group.currency)}</span>
+                        </div>
+                      ))}
+                      {group.tax > 0 && (
+                        <div className="cart-store-item muted">
+                          <span>Tax {group.taxRate}%{group.taxIncluded ? " (included)" : ""}</span>
+                          <span>{group.taxIncluded ? "" : "+"}{formatMoney(group.tax, group.currency)}</span>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+
+                  {plan.unavailable.length > 0 && (
+                    <p className="err-msg">Not in stock at any store: {plan.unavailable.map((item) => item.productName).join(", ")}</p>
+                  )}
+
+                  <div className="cart-total">
+                    <span>Total ({plan.storeCount} store{plan.storeCount !== 1 ? "s" : ""})</span>
+                    <strong>{formatPrice(plan.total, plan.currency)}</strong>
+                  </div>
+                  {plan.savings > 0 && plan.bestSingleStore && (
+                    <p className="cart-savings">
+                      You save {formatPrice(plan.savings, plan.currency)} compared with buying everything at {plan.bestSingleStore.storeName}
+                    </p>
+                  )}
+
+                  {/* Shipping + checkout */}
+                  <h3 className="cart-section-title">Shipping details</h3>
+                  <div className="addr-grid">
+                    {[
+                      { k: "address", label: "Street address", type: "text" },
+                      { k: "city", label: "City", type: "text" },
+                      { k: "region", label: "State / Region", type: "text", ship: true },
+                      { k: "postalCode", label: "ZIP / Postal code", type: "text", ship: true },
+                      { k: "phone", label: "Phone", type: "tel" },
+                    ].map(({ k, label, type, ship }) => (
+                      <label key={k} className={k === "address" ? "full-span" : ""}>
+                        <span>{label}</span>
+                        <input
+                          type={type}
+                          value={ship ? shipTo[k] : addr[k]}
+                          onChange={(e) => (ship ? setShipToField(k, e.target.value) : setAddr((a) => ({ ...a, [k]: e.target.value })))}
+                          placeholder={label}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <h3 className="cart-section-title">Payment</h3>
+                  <PaymentChoice method={paymentMethod} onMethodChange={setPaymentMethod} card={card} onCardChange={setCard} />
+                  <p className="muted cart-payment">One order per store{paymentMethod === "card" ? ", each paid separately" : ""}</p>
+                  {user?.emailVerified === false && <p className="err-msg">Verify your email address to place orders.</p>}
+                  {checkoutError && <p className="err-msg">{checkoutError}</p>}
+                  <button
+                    className="btn btn-primary pd-cta"
+                    disabled={placing || !addrFilled || !paymentFilled || plan.unavailable.length > 0 || user?.emailVerified === false}
+                    onClick={placeOrder}
+                  >
+                    {placing ? "Placing…" : `Place ${plan.storeCount > 1 ? `${plan.storeCount} Orders` : "Order"}`}
+                  </button>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {cardPayment}
+    </div>
+  );
+}
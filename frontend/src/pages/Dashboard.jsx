@@ -6,29 +6,53 @@
  * - Greeting header with shop link
  * - Stat cards (Total / Pending / In Transit / Delivered)
  * - Cart summary with product count
- * - Filterable active orders list with expandable details
- * - Completed (delivered) orders section (collapsible)
- * - Delete order with confirmation modal
+ * - Filterable active orders list with expandable details and a tracking timeline
+ * - Completed (delivered or returned) orders section (collapsible) with return requests for delivered orders
+ * - Pay for card orders still awaiting payment (card form, with 3-D Secure when the bank asks)
+ * - Download a PDF invoice for any order that was paid for or placed cash on delivery and wasn't cancelled
+ * - Delete delivered/returned/cancelled orders with confirmation modal
  * - Status badges with color coding
  */
 
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect, useCallback } from "react";
 import { Link } from "react-router-dom";
+import api, { downloadFile } from "../api/api";
 import { useAuth } from "../context/AuthContext";
 import { useCart } from "../context/CartContext";
-import { stores as STORES } from "../data/catalog";
+import { useCurrency } from "../context/currency";
+import OrderTimeline from "../components/OrderTimeline";
+import OrderReturns from "../components/OrderReturns";
+import CardPayment, { CardFields } from "../components/CardPayment";
 import "../styles/Dashboard.css";
 
 // Color map for order status badges
-const STATUS_COLORS = { pending: "#f6ad55", processing: "#63b3ed", shipped: "#68d391", delivered: "#48bb78", cancelled: "#fc8181" };
+const STATUS_COLORS = { awaiting_payment: "#ed8936", pending: "#f6ad55", processing: "#63b3ed", shipped: "#68d391", delivered: "#48bb78", cancelled: "#fc8181", partially_returned: "#b794f4", returned: "#a0aec0" };
 // Display labels for order statuses
-const STATUS_LABELS = { pending: "Pending", processing: "Processing", shipped: "Shipped", delivered: "Delivered", cancelled: "Cancelled" };
-// All possible order statuses
-const ALL_STATUSES = ["pending", "processing", "shipped", "delivered", "cancelled"];
+const STATUS_LABELS = { awaiting_payment: "Awaiting payment", pending: "Pending", processing: "Processing", shipped: "Shipped", delivered: "Delivered", cancelled: "Cancelled", partially_returned: "Partly returned", returned: "Returned" };
+// Statuses of orders that have reached the customer (shown in the completed section)
+const COMPLETED_STATUSES = ["delivered", "partially_returned", "returned"];
+// Statuses of orders without an invoice
+const UNINVOICED_STATUSES = ["awaiting_payment", "cancelled"];
+// Display labels for card payment statuses worth pointing out
+const PAYMENT_STATUS_LABELS = { failed: "failed", cancelled: "cancelled", partially_refunded: "partly refunded", refunded: "refunded" };
+
+/**
+ * Describe how an order is paid for, e.g. "Card (visa •••• 4242)"
+ * @param {Object} order - Order with paymentMethod and payment
+ * @returns {string}
+ */
+function describePayment(order) {
+  if (order.paymentMethod !== "card") return "Cash on Delivery";
+  const payment = order.payment;
+  const card = payment?.cardLast4 ? ` (${payment.cardBrand} •••• ${payment.cardLast4})` : "";
+  const status = PAYMENT_STATUS_LABELS[payment?.status];
+  return `Card${card}${status ? ` — ${status}` : ""}`;
+}
 
 export default function Dashboard() {
-  const { user } = useAuth();
-  const { orders, cart, products, deleteOrder } = useCart();
+  const { user, cartNotice, dismissCartNotice } = useAuth();
+  const { orders, cart, products, stores, deleteOrder, refreshOrders } = useCart();
+  const { formatMoney } = useCurrency();
 
   // Expanded order detail view state
   const [expandedId, setExpandedId] = useState(null);
@@ -36,27 +60,47 @@ export default function Dashboard() {
   const [filterStatus, setFilterStatus] = useState("all");
   // Delete confirmation target
   const [deleteTarget, setDeleteTarget] = useState(null);
+  // Error from the last delete attempt
+  const [deleteError, setDeleteError] = useState("");
   // Toggle completed orders section visibility
   const [showCompleted, setShowCompleted] = useState(false);
+  // Current user's return requests (GET /api/returns), newest first
+  const [returns, setReturns] = useState([]);
+  // Error from the last invoice download ({ orderId, message })
+  const [invoiceError, setInvoiceError] = useState(null);
+  // Card form for paying an order awaiting payment, and the payment in progress ({ order, card })
+  const [payCard, setPayCard] = useState({ number: "", expiry: "", cvc: "" });
+  const [paying, setPaying] = useState(null);
+
+  /**
+   * Fetch the user's return requests
+   */
+  const loadReturns = useCallback(() => (
+    api.get("/returns")
+      .then((response) => setReturns(response.data.returns || []))
+      .catch((err) => console.error("Failed to load returns:", err))
+  ), []);
+
+  // Load returns on mount
+  useEffect(() => { loadReturns(); }, [loadReturns]);
 
-  // Filter orders belonging to the current user, sorted newest first
+  /** Reload returns and orders after a return is requested or sent back (refunds change the order status) */
+  async function refreshReturns() {
+    await Promise.all([loadReturns(), refreshOrders()]);
+  }
+
+  // Current user's orders from the API, sorted newest first
   const userOrders = useMemo(
-    () => orders
-      .filter((o) =>
-        o.userId === user?.id ||
-        o.userEmail === user?.email ||
-        o.customerEmail === user?.email
-      )
-      .sort((a, b) => new Date(b.createdAt || b.placedAt) - new Date(a.createdAt || a.placedAt)),
-    [orders, user]
+    () => [...orders].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    [orders]
   );
 
-  // Active (non-delivered) and completed (delivered) order separation
-  const activeOrders = useMemo(() => userOrders.filter((o) => (o.status || '').toLowerCase() !== 'delivered'), [userOrders]);
-  const completedOrders = useMemo(() => userOrders.filter((o) => (o.status || '').toLowerCase() === 'delivered'), [userOrders]);
+  // Active and completed (delivered or returned) order separation
+  const activeOrders = useMemo(() => userOrders.filter((o) => !COMPLETED_STATUSES.includes((o.status || '').toLowerCase())), [userOrders]);
+  const completedOrders = useMemo(() => userOrders.filter((o) => COMPLETED_STATUSES.includes((o.status || '').toLowerCase())), [userOrders]);
 
   // Filter tabs for active orders (excluding 'delivered' since it has its own section)
-  const ACTIVE_STATUSES = ["pending", "processing", "shipped", "cancelled"];
+  const ACTIVE_STATUSES = ["awaiting_payment", "pending", "processing", "shipped", "cancelled"];
   const filtered = filterStatus === "all" ? activeOrders : activeOrders.filter((o) => (o.status || "").toLowerCase() === filterStatus);
 
   // Aggregate stats for stat cards
@@ -64,17 +108,42 @@ export default function Dashboard() {
     total: userOrders.length,
     pending: userOrders.filter((o) => ["pending","Pending"].includes(o.status)).length,
     shipped: userOrders.filter((o) => ["shipped","processing"].includes((o.status||"").toLowerCase())).length,
-    delivered: userOrders.filter((o) => (o.status||"").toLowerCase() === "delivered").length,
+    delivered: userOrders.filter((o) => COMPLETED_STATUSES.includes((o.status||"").toLowerCase())).length,
   }), [userOrders]);
 
   /** Look up a product by ID from the products catalog */
   function getProduct(id) { return products.find((p) => p.id === id); }
   /** Look up a store name by ID from the stores list */
-  function getStoreName(id) { return STORES.find((s) => s.id === id)?.name || id; }
+  function getStoreName(id) { return stores.find((s) => s.id === id)?.name || id; }
+  /** Only finished orders without a return in progress can be removed from the history */
+  function canDelete(order) {
+    return [...COMPLETED_STATUSES, "cancelled"].includes(order.status)
+      && !returns.some((r) => r.orderId === order.id && !["rejected", "refunded"].includes(r.status));
+  }
+  /**
+   * Download an order's PDF invoice (issued on first download)
+   * @param {Object} order - Order that wasn't cancelled
+   */
+  async function downloadInvoice(order) {
+    setInvoiceError(null);
+    try {
+      await downloadFile(`/orders/${order.id}/invoice`);
+    } catch (err) {
+      setInvoiceError({ orderId: order.id, message: err.response?.data?.error || "Failed to download the invoice" });
+    }
+  }
   /** Show delete confirmation modal for an order */
-  function confirmDelete(order) { setDeleteTarget(order); }
+  function confirmDelete(order) { setDeleteError(""); setDeleteTarget(order); }
   /** Execute order deletion after confirmation */
-  function doDelete() { if (deleteTarget) { deleteOrder(deleteTarget.id); setDeleteTarget(null); } }
+  async function doDelete() {
+    if (!deleteTarget) return;
+    try {
+      await deleteOrder(deleteTarget.id);
+      setDeleteTarget(null);
+    } catch (err) {
+      setDeleteError(err.response?.data?.error || "Failed to delete order");
+    }
+  }
 
   return (
     <div className="dash-shell">
@@ -108,6 +177,17 @@ export default function Dashboard() {
         ))}
       </div>
 
+      {/* ── Guest cart merge notice ── */}
+      {cartNotice && (
+        <div className="cart-summary card">
+          <div className="cart-sum-left">
+            <span className="cart-sum-icon">ℹ️</span>
+            <span>{cartNotice}</span>
+          </div>
+          <button type="button" className="cart-sum-cta" style={{ border: "none", cursor: "pointer" }} onClick={dismissCartNotice}>Dismiss</button>
+        </div>
+      )}
+
       {/* ── Cart summary ── */}
       {cart.length > 0 && (
         <div className="cart-summary card">
@@ -145,11 +225,11 @@ export default function Dashboard() {
         <div className="orders-list">
           {filtered.map((order) => {
             const product = getProduct(order.productId);
-            const storeName = getStoreName(order.storeId || order.selectedStoreId);
+            const storeName = order.storeName || getStoreName(order.storeId);
             const isExp = expandedId === order.id;
             const statusKey = (order.status || "pending").toLowerCase();
             const statusColor = STATUS_COLORS[statusKey] || "#a0aec0";
-            const displayDate = order.createdAt || order.placedAt;
+            const displayDate = order.createdAt;
 
             return (
               <div key={order.id} className="order-card card">
@@ -169,7 +249,7 @@ export default function Dashboard() {
                     <div className="order-meta-row">
                       <span className="order-store">{storeName}</span>
                       <span className="order-dot">·</span>
-                      <span className="order-price">${Number(order.total || order.price || 0).toFixed(2)}</span>
+                      <span className="order-price">{formatMoney(order.total || order.price || 0, order.currency)}</span>
                       <span className="order-dot">·</span>
                       <span className="order-qty">Qty: {order.quantity || 1}</span>
                     </div>
@@ -191,13 +271,38 @@ export default function Dashboard() {
                   <div className="order-detail">
                     <div className="detail-grid">
                       <div><span className="dl">Order ID</span><span className="dv">{order.id}</span></div>
-                      <div><span className="dl">Payment</span><span className="dv">{order.paymentMethod === "cod" ? "Cash on Delivery" : order.paymentMethod || "Cash on Delivery"}</span></div>
+                      <div><span className="dl">Payment</span><span className="dv">{describePayment(order)}</span></div>
                       <div><span className="dl">Store</span><span className="dv">{storeName}</span></div>
                       <div><span className="dl">Delivery address</span><span className="dv">{order.address}</span></div>
-                      <div><span className="dl">Item total</span><span className="dv">${Number(order.price || 0).toFixed(2)} × {order.quantity || 1}</span></div>
-                      <div><span className="dl">Order total</span><span className="dv order-total-highlight">${Number(order.total || 0).toFixed(2)}</span></div>
+                      <div><span className="dl">Item total</span><span className="dv">{formatMoney(order.price || 0, order.currency)} × {order.quantity || 1}</span></div>
+                      {order.discount > 0 && <div><span className="dl">Promo {order.couponCode}</span><span className="dv">−{formatMoney(order.discount, order.currency)}</span></div>}
+                      {order.tax > 0 && <div><span className="dl">Tax ({order.taxRate}%{order.taxIncluded ? ", included" : ""})</span><span className="dv">{formatMoney(order.tax, order.currency)}</span></div>}
+                      <div><span className="dl">Order total</span><span className="dv order-total-highlight">{formatMoney(order.total || 0, order.currency)}</span></div>
                     </div>
-                    <button className="order-delete-btn" onClick={(e) => { e.stopPropagation(); confirmDelete(order); }}>🗑 Delete Order</button>
+                    <OrderTimeline order={order} />
+                    {order.status === "awaiting_payment" && order.payment?.status === "requires_confirmation" && (
+                      <div className="order-pay" onClick={(e) => e.stopPropagation()}>
+                        <p className="muted">Pay within 30 minutes of ordering, or the order is cancelled.</p>
+                        <CardFields card={payCard} onChange={setPayCard} />
+                        <button
+                          className="btn btn-primary"
+                          disabled={!payCard.number || !payCard.expiry || !payCard.cvc}
+                          onClick={() => setPaying({ order, card: payCard })}
+                        >
+                          Pay {formatMoney(order.payment.amount, order.payment.currency)}
+                        </button>
+                      </div>
+                    )}
+                    {order.status === "awaiting_payment" && order.payment?.status === "requires_action" && (
+                      <button className="order-invoice-btn" onClick={(e) => { e.stopPropagation(); setPaying({ order, card: null }); }}>🔒 Confirm with your bank</button>
+                    )}
+                    {!UNINVOICED_STATUSES.includes(order.status) && (
+                      <button className="order-invoice-btn" onClick={(e) => { e.stopPropagation(); downloadInvoice(order); }}>🧾 Download Invoice</button>
+                    )}
+                    {invoiceError?.orderId === order.id && <p className="muted order-invoice-error">{invoiceError.message}</p>}
+                    {canDelete(order) && (
+                      <button className="order-delete-btn" onClick={(e) => { e.stopPropagation(); confirmDelete(order); }}>🗑 Delete Order</button>
+                    )}
                   </div>
                 )}
               </div>
@@ -222,9 +327,9 @@ export default function Dashboard() {
             <div className="orders-list">
               {completedOrders.map((order) => {
                 const product = getProduct(order.productId);
-                const storeName = getStoreName(order.storeId || order.selectedStoreId);
+                const storeName = order.storeName || getStoreName(order.storeId);
                 const isExp = expandedId === order.id;
-                const displayDate = order.createdAt || order.placedAt;
+                const displayDate = order.createdAt;
 
                 return (
                   <div key={order.id} className="order-card card completed-card">
@@ -241,14 +346,14 @@ export default function Dashboard() {
                         <div className="order-meta-row">
                           <span className="order-store">{storeName}</span>
                           <span className="order-dot">·</span>
-                          <span className="order-price">${Number(order.total || order.price || 0).toFixed(2)}</span>
+                          <span className="order-price">{formatMoney(order.total || order.price || 0, order.currency)}</span>
                           <span className="order-dot">·</span>
                           <span className="order-qty">Qty: {order.quantity || 1}</span>
                         </div>
                         {displayDate && <div className="order-date muted">{new Date(displayDate).toLocaleDateString("en-US", { year:"numeric", month:"short", day:"numeric" })}</div>}
                       </div>
                       <div className="order-right">
-                        <span className="status-badge completed-badge">✅ Delivered</span>
+                        <span className="status-badge completed-badge">{order.status === "delivered" ? "✅ Delivered" : `↩ ${STATUS_LABELS[order.status]}`}</span>
                         <span className="expand-chevron">{isExp ? "▲" : "▼"} Details</span>
                       </div>
                     </div>
@@ -256,13 +361,21 @@ export default function Dashboard() {
                       <div className="order-detail">
                         <div className="detail-grid">
                           <div><span className="dl">Order ID</span><span className="dv">{order.id}</span></div>
-                          <div><span className="dl">Payment</span><span className="dv">{order.paymentMethod === "cod" ? "Cash on Delivery" : order.paymentMethod || "Cash on Delivery"}</span></div>
+                          <div><span className="dl">Payment</span><span className="dv">{describePayment(order)}</span></div>
                           <div><span className="dl">Store</span><span className="dv">{storeName}</span></div>
                           <div><span className="dl">Delivery address</span><span className="dv">{order.address}</span></div>
-                          <div><span className="dl">Item total</span><span className="dv">${Number(order.price || 0).toFixed(2)} × {order.quantity || 1}</span></div>
-                          <div><span className="dl">Order total</span><span className="dv order-total-highlight">${Number(order.total || 0).toFixed(2)}</span></div>
+                          <div><span className="dl">Item total</span><span className="dv">{formatMoney(order.price || 0, order.currency)} × {order.quantity || 1}</span></div>
+                          {order.discount > 0 && <div><span className="dl">Promo {order.couponCode}</span><span className="dv">−{formatMoney(order.discount, order.currency)}</span></div>}
+                          {order.tax > 0 && <div><span className="dl">Tax ({order.taxRate}%{order.taxIncluded ? ", included" : ""})</span><span className="dv">{formatMoney(order.tax, order.currency)}</span></div>}
+                          <div><span className="dl">Order total</span><span className="dv order-total-highlight">{formatMoney(order.total || 0, order.currency)}</span></div>
                         </div>
-                        <button className="order-delete-btn" onClick={(e) => { e.stopPropagation(); confirmDelete(order); }}>🗑 Delete Order</button>
+                        <OrderTimeline order={order} />
+                        <OrderReturns order={order} returns={returns.filter((r) => r.orderId === order.id)} onChange={refreshReturns} />
+                        <button className="order-invoice-btn" onClick={(e) => { e.stopPropagation(); downloadInvoice(order); }}>🧾 Download Invoice</button>
+                        {invoiceError?.orderId === order.id && <p className="muted order-invoice-error">{invoiceError.message}</p>}
+                        {canDelete(order) && (
+                          <button className="order-delete-btn" onClick={(e) => { e.stopPropagation(); confirmDelete(order); }}>🗑 Delete Order</button>
+                        )}
                       </div>
                     )}
                   </div>
@@ -273,12 +386,16 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* ── Card payment ── */}
+      {paying && <CardPayment orders={[paying.order]} card={paying.card} onClose={() => setPaying(null)} />}
+
       {/* ── Delete confirm modal ── */}
       {deleteTarget && (
         <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setDeleteTarget(null); }}>
           <div className="confirm-modal card">
             <h3>Delete this order?</h3>
-            <p>Are you sure you want to remove <strong>"{deleteTarget.productName}"</strong>? This cannot be undone.</p>
+            <p>Are you sure you want to remove <strong>"{deleteTarget.productName}"</strong> from your order history? This cannot be undone.</p>
+            {deleteError && <p className="muted" style={{ color: "#fc8181" }}>{deleteError}</p>}
             <div className="confirm-actions">
               <button className="btn btn-outline" onClick={() => setDeleteTarget(null)}>Cancel</button>
               <button className="btn btn-danger" onClick={doDelete}>Delete</button>
@@ -5,9 +5,11 @@
  * - Split layout (image panel + form panel)
  * - Email and password form with validation
  * - Show/hide password toggle
+ * - Second step for accounts with two-factor authentication (authenticator app code or recovery code)
  * - Welcome animation overlay on successful login
  * - Auto-redirect if already authenticated
  * - Forgot password link
+ * - Link to first-run setup while the install has no admin account
  * - Server connection error handling
  * - Redirects admin users to /admin, regular users to /dashboard
  */
@@ -31,6 +33,16 @@ function Login() {
   const [showWelcome, setShowWelcome] = useState(false);
   // User's name for welcome message
   const [welcomeName, setWelcomeName] = useState('');
+  // Extra line for the welcome overlay (e.g. recovery codes left)
+  const [welcomeNote, setWelcomeNote] = useState('');
+  // Whether the install still needs its first admin (offers the setup page)
+  const [needsAdmin, setNeedsAdmin] = useState(false);
+  // Challenge token from a password check on an account with two-factor on (shows the code step)
+  const [challengeToken, setChallengeToken] = useState('');
+  // Code from the authenticator app, or a recovery code
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  // Whether the code step takes a recovery code instead
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   // Auth context for login function and redirect check
   const { login, isAuthenticated, user } = useAuth();
   const navigate = useNavigate();
@@ -42,6 +54,19 @@ function Login() {
     }
   }, [isAuthenticated, navigate, user]);
 
+  // Check whether first-run setup is still open
+  useEffect(() => {
+    const checkSetup = async () => {
+      try {
+        const response = await api.get('/setup');
+        setNeedsAdmin(response.data.needsAdmin);
+      } catch {
+        // Not worth an error here; logging in reports connection problems
+      }
+    };
+    checkSetup();
+  }, []);
+
   /** Handle form input changes and clear errors */
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -49,26 +74,62 @@ function Login() {
   };
 
   /**
-   * Handle login form submission
-   * Sends credentials to backend, stores JWT token on success
+   * Store the tokens from a successful login
    * Shows welcome overlay animation before redirecting
    */
+  const finishLogin = async ({ token, refreshToken, user }) => {
+    const userData = { ...user, role: user?.role || 'user' };
+    await login(userData, token, refreshToken);
+    setWelcomeName(user?.name || 'there');
+    setShowWelcome(true);
+    const dest = userData.role === 'admin' ? '/admin' : '/dashboard';
+    setTimeout(() => {
+      setShowWelcome(false);
+      navigate(dest);
+    }, 2600);
+  };
+
+  /**
+   * Handle login form submission
+   * Sends credentials to backend; accounts with two-factor on continue to the code step
+   */
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
     try {
       const response = await api.post('/auth/login', formData);
-      const { token, user } = response.data;
-      const userData = { ...user, role: user?.role || 'user' };
-      login(userData, token);
-      setWelcomeName(user?.name || 'there');
-      setShowWelcome(true);
-      const dest = userData.role === 'admin' ? '/admin' : '/dashboard';
-      setTimeout(() => {
-        setShowWelcome(false);
-        navigate(dest);
-      }, 2600);
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        setTwoFactorCode('');
+        return;
+      }
+      await finishLogin(response.data);
+    } catch (err) {
+      if (!err.response) {
+        setError('Cannot connect to server. Please make sure the backend is running.');
+      } else {
+        setError(err.response?.data?.error || 'Login failed. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /** Finish a two-factor login with the code (or recovery code) */
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const response = await api.post('/auth/login/2fa', {
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode })
+      });
+      if (response.data.recoveryCodesLeft !== undefined) {
+        setWelcomeNote(`Recovery code used: ${response.data.recoveryCodesLeft} left. You can make new ones in your profile.`);
+      }
+      await finishLogin(response.data);
     } catch (err) {
       if (!err.response) {
         setError('Cannot connect to server. Please make sure the backend is running.');
@@ -80,6 +141,14 @@ function Login() {
     }
   };
 
+  /** Go back to the password step (e.g. after the challenge expired) */
+  const cancelTwoFactor = () => {
+    setChallengeToken('');
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <>
       {showWelcome && (
@@ -87,7 +156,7 @@ function Login() {
           <div className="welcome-content">
             <div className="welcome-check">✓</div>
             <h2 className="welcome-title">Welcome back, {welcomeName}!</h2>
-            <p className="welcome-sub">Redirecting you to your dashboard…</p>
+            <p className="welcome-sub">{welcomeNote || 'Redirecting you to your dashboard…'}</p>
             <div className="welcome-bar"><div className="welcome-bar-fill" /></div>
           </div>
         </div>
@@ -114,57 +183,99 @@ function Login() {
               </div>
               <h1>Welcome back</h1>
               <p className="login-sub">Sign in to compare prices and manage your orders.</p>
-              {error && <div className="error-message">{error}</div>}
-              <form onSubmit={handleSubmit} className="login-form">
-                <div className="form-group">
-                  <label htmlFor="email">Email</label>
-                  <input
-                    type="email"
-                    id="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleChange}
-                    required
-                    placeholder="Enter your email"
-                  />
+              {needsAdmin && (
+                <div className="setup-notice">
+                  This install has no admin account yet. <Link to="/setup">Set one up</Link>
                 </div>
-                <div className="form-group">
-                  <label htmlFor="password">Password</label>
-                  <div className="password-wrap">
+              )}
+              {error && <div className="error-message">{error}</div>}
+              {challengeToken ? (
+                <form onSubmit={handleTwoFactorSubmit} className="login-form">
+                  <div className="form-group">
+                    <label htmlFor="twoFactorCode">
+                      {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                    </label>
                     <input
-                      type={showPassword ? 'text' : 'password'}
-                      id="password"
-                      name="password"
-                      value={formData.password}
-                      onChange={handleChange}
+                      type="text"
+                      id="twoFactorCode"
+                      name="twoFactorCode"
+                      value={twoFactorCode}
+                      onChange={(e) => { setTwoFactorCode(e.target.value); setError(''); }}
                       required
-                      placeholder="Enter your password"
+                      autoFocus
+                      autoComplete="one-time-code"
+                      inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                      placeholder={useRecoveryCode ? 'e.g. 3f9a2-c41d7' : '6-digit code from your app'}
                     />
+                  </div>
+                  <div className="forgot-password-row">
                     <button
                       type="button"
-                      className="eye-btn"
-                      onClick={() => setShowPassword((v) => !v)}
-                      tabIndex={-1}
-                      aria-label={showPassword ? 'Hide password' : 'Show password'}
+                      className="forgot-password-link login-link-btn"
+                      onClick={() => { setUseRecoveryCode((v) => !v); setTwoFactorCode(''); setError(''); }}
                     >
-                      {showPassword ? (
-                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17.94 17.94A10.1 10.1 0 0 1 12 20c-7 0-11-8-11-8a18.06 18.06 0 0 1 5.06-5.94"/><path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/><line x1="1" y1="1" x2="23" y2="23"/></svg>
-                      ) : (
-                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
-                      )}
+                      {useRecoveryCode ? 'Use a code from your app' : 'Use a recovery code'}
                     </button>
                   </div>
-                </div>
-                <div className="forgot-password-row">
-                  <Link to="/forgot-password" className="forgot-password-link">Forgot Password?</Link>
-                </div>
-                <button type="submit" className="submit-btn" disabled={loading}>
-                  {loading ? 'Signing in…' : 'Login'}
-                </button>
-                <p className="register-link">
-                  Don't have an account? <Link to="/register">Register here</Link>
-                </p>
-              </form>
+                  <button type="submit" className="submit-btn" disabled={loading}>
+                    {loading ? 'Verifying…' : 'Verify'}
+                  </button>
+                  <p className="register-link">
+                    <button type="button" className="login-link-btn" onClick={cancelTwoFactor}>← Back to login</button>
+                  </p>
+                </form>
+              ) : (
+                <form onSubmit={handleSubmit} className="login-form">
+                  <div className="form-group">
+                    <label htmlFor="email">Email</label>
+                    <input
+                      type="email"
+                      id="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      required
+                      placeholder="Enter your email"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="password">Password</label>
+                    <div className="password-wrap">
+                      <input
+                        type={showPassword ? 'text' : 'password'}
+                        id="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleChange}
+                        required
+                        placeholder="Enter your password"
+                      />
+                      <button
+                        type="button"
+                        className="eye-btn"
+                        onClick={() => setShowPassword((v) => !v)}
+                        tabIndex={-1}
+                        aria-label={showPassword ? 'Hide password' : 'Show password'}
+                      >
+                        {showPassword ? (
+                          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17.94 17.94A10.1 10.1 0 0 1 12 20c-7 0-11-8-11-8a18.06 18.06 0 0 1 5.06-5.94"/><path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/><line x1="1" y1="1" x2="23" y2="23"/></svg>
+                        ) : (
+                          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
+                        )}
+                      </button>
+                    </div>
+                  </div>
+                  <div className="forgot-password-row">
+                    <Link to="/forgot-password" className="forgot-password-link">Forgot Password?</Link>
+                  </div>
+                  <button type="submit" className="submit-btn" disabled={loading}>
+                    {loading ? 'Signing in…' : 'Login'}
+                  </button>
+                  <p className="register-link">
+                    Don't have an account? <Link to="/register">Register here</Link>
+                  </p>
+                </form>
+              )}
             </div>
           </div>
         </div>
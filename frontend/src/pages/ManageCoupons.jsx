@@ -0,0 +1,315 @@
+/**
+ * Manage Coupons Admin Page Component
+ *
+ * Admin interface for store promo codes
+ * Features:
+ * - Add codes for a store: percentage off, fixed amount off, or free delivery
+ * - Optional category, minimum spend, validity window, and usage limit (amounts in the store's currency)
+ * - Edit codes, switch them off / on, and see how often they were used
+ * - Delete codes with confirmation modal (orders that used a code keep their discount)
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import api from "../api/api";
+import { useCart } from "../context/CartContext";
+import "../styles/ManageProducts.css";
+import "../styles/ManageStores.css";
+import "../styles/ManageCoupons.css";
+
+// Empty add/edit form
+const EMPTY_FORM = {
+  code: "", storeId: "", type: "percent", value: "", category: "",
+  minSpend: "", startsAt: "", endsAt: "", usageLimit: "",
+};
+
+// Labels for the discount kinds (COUPON_TYPES on the backend)
+const TYPE_LABELS = { percent: "Percentage off", fixed: "Amount off", free_delivery: "Free delivery" };
+
+/**
+ * Format an API date for a date input
+ * @param {string|null} value - ISO date
+ * @returns {string} YYYY-MM-DD or ""
+ */
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+export default function ManageCoupons() {
+  // Store list for the store picker; categories come from the catalog
+  const { products } = useCart();
+
+  // Every coupon (GET /api/admin/coupons) and every store, including inactive ones
+  const [coupons, setCoupons] = useState([]);
+  const [stores, setStores] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  // Add/edit form state; editingId is null when adding a new coupon
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [successMsg, setSuccessMsg] = useState("");
+  // Coupon pending deletion
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  /**
+   * Fetch every coupon and store from the admin API
+   */
+  const loadCoupons = useCallback(() => (
+    Promise.all([api.get("/admin/coupons"), api.get("/admin/stores")])
+      .then(([couponRes, storeRes]) => {
+        setCoupons(couponRes.data.coupons || []);
+        setStores(storeRes.data.stores || []);
+        setLoadError("");
+      })
+      .catch((err) => setLoadError(err.response?.data?.error || "Failed to load coupons"))
+  ), []);
+
+  // Load coupons on mount
+  useEffect(() => { loadCoupons(); }, [loadCoupons]);
+
+  const categories = [...new Set(products.map((p) => p.category).filter(Boolean))].sort();
+
+  /** Update a form field and clear the form error */
+  function setField(k, v) { setForm((f) => ({ ...f, [k]: v })); setFormError(""); }
+
+  /** Fill the form with a coupon's details for editing */
+  function startEdit(coupon) {
+    setEditingId(coupon.id);
+    setForm({
+      code: coupon.code,
+      storeId: coupon.storeId,
+      type: coupon.type,
+      value: coupon.type === "free_delivery" ? "" : String(coupon.value),
+      category: coupon.category,
+      minSpend: coupon.minSpend != null ? String(coupon.minSpend) : "",
+      startsAt: toDateInput(coupon.startsAt),
+      endsAt: toDateInput(coupon.endsAt),
+      usageLimit: coupon.usageLimit != null ? String(coupon.usageLimit) : "",
+    });
+    setFormError("");
+  }
+
+  /** Leave edit mode and clear the form */
+  function resetForm() { setEditingId(null); setForm(EMPTY_FORM); setFormError(""); }
+
+  /**
+   * Create or update a coupon via the admin API
+   * The server validates every field; only the required ones are checked here
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.code.trim()) { setFormError("Code is required"); return; }
+    if (!form.storeId) { setFormError("Choose a store"); return; }
+    if (form.type !== "free_delivery" && !(Number(form.value) > 0)) {
+      setFormError("Discount value must be a positive number");
+      return;
+    }
+
+    const body = {
+      code: form.code.trim(),
+      storeId: form.storeId,
+      type: form.type,
+      value: form.type === "free_delivery" ? 0 : Number(form.value),
+      category: form.category,
+      minSpend: form.minSpend,
+      startsAt: form.startsAt,
+      endsAt: form.endsAt,
+      usageLimit: form.usageLimit,
+    };
+
+    setSubmitting(true);
+    try {
+      if (editingId) {
+        await api.put(`/admin/coupons/${editingId}`, body);
+        setSuccessMsg(`"${body.code.toUpperCase()}" updated successfully!`);
+      } else {
+        await api.post("/admin/coupons", body);
+        setSuccessMsg(`"${body.code.toUpperCase()}" added successfully!`);
+      }
+      resetForm();
+      await loadCoupons();
+      setTimeout(() => setSuccessMsg(""), 3000);
+    } catch (err) {
+      setFormError(err.response?.data?.error || "Failed to save coupon");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  /**
+   * Switch a coupon off or back on
+   */
+  async function toggleActive(coupon) {
+    try {
+      await api.put(`/admin/coupons/${coupon.id}`, { active: !coupon.active });
+      await loadCoupons();
+    } catch (err) {
+      setLoadError(err.response?.data?.error || "Failed to update coupon");
+    }
+  }
+
+  /**
+   * Delete the coupon pending confirmation
+   */
+  async function confirmDelete() {
+    try {
+      await api.delete(`/admin/coupons/${deleteTarget.id}`);
+      setDeleteTarget(null);
+      await loadCoupons();
+    } catch (err) {
+      setLoadError(err.response?.data?.error || "Failed to delete coupon");
+      setDeleteTarget(null);
+    }
+  }
+
+  const usableCount = coupons.filter((c) => !c.problem).length;
+  // Amounts are entered in the chosen store's currency
+  const storeCurrency = stores.find((store) => store.id === form.storeId)?.currency || "USD";
+
+  return (
+    <div className="mp-shell">
+      <div className="mp-header">
+        <div>
+          <p className="eyebrow">Admin</p>
+          <h1>Manage Coupons</h1>
+          <p className="muted">Create store promo codes and control when and how often they can be used.</p>
+        </div>
+        <span className="product-count-badge">{usableCount} of {coupons.length} usable</span>
+      </div>
+
+      {/* ────────── ADD / EDIT COUPON FORM ────────── */}
+      <div className="mp-card card">
+        <h2 className="mp-section-title">{editingId ? `Edit ${form.code.toUpperCase()}` : "Add new coupon"}</h2>
+        {successMsg && <div className="success-banner">{successMsg}</div>}
+        <form onSubmit={handleSubmit} className="mp-form" noValidate>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Code <span className="req">*</span></label>
+              <input type="text" value={form.code} onChange={(e) => setField("code", e.target.value.toUpperCase())} placeholder="e.g. SAVE10" />
+            </div>
+            <div className="mp-field">
+              <label>Store <span className="req">*</span></label>
+              <select value={form.storeId} onChange={(e) => setField("storeId", e.target.value)}>
+                <option value="">Choose a store…</option>
+                {stores.map((store) => (
+                  <option key={store.id} value={store.id}>{store.name}{store.active ? "" : " (inactive)"}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Discount <span className="req">*</span></label>
+              <select value={form.type} onChange={(e) => setField("type", e.target.value)}>
+                {Object.entries(TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+              </select>
+            </div>
+            <div className="mp-field">
+              <label>{form.type === "percent" ? "Percent off" : `Amount off (${storeCurrency})`} {form.type !== "free_delivery" && <span className="req">*</span>}</label>
+              <input
+                type="number" min="0" step={form.type === "percent" ? "1" : "0.01"}
+                max={form.type === "percent" ? "100" : undefined}
+                value={form.value} disabled={form.type === "free_delivery"}
+                onChange={(e) => setField("value", e.target.value)}
+                placeholder={form.type === "free_delivery" ? "Delivery fee waived" : form.type === "percent" ? "10" : "5.00"}
+              />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Category <span className="optional">(optional, blank = every item)</span></label>
+              <input type="text" list="coupon-categories" value={form.category} onChange={(e) => setField("category", e.target.value)} placeholder="e.g. Audio" />
+              <datalist id="coupon-categories">
+                {categories.map((category) => <option key={category} value={category} />)}
+              </datalist>
+            </div>
+            <div className="mp-field">
+              <label>Minimum spend ({storeCurrency}) <span className="optional">(optional)</span></label>
+              <input type="number" min="0" step="0.01" value={form.minSpend} onChange={(e) => setField("minSpend", e.target.value)} placeholder="0.00" />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Valid from <span className="optional">(optional)</span></label>
+              <input type="date" value={form.startsAt} onChange={(e) => setField("startsAt", e.target.value)} />
+            </div>
+            <div className="mp-field">
+              <label>Valid until <span className="optional">(optional)</span></label>
+              <input type="date" value={form.endsAt} onChange={(e) => setField("endsAt", e.target.value)} />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Usage limit <span className="optional">(optional, orders in total)</span></label>
+              <input type="number" min="1" step="1" value={form.usageLimit} onChange={(e) => setField("usageLimit", e.target.value)} placeholder="Unlimited" />
+            </div>
+          </div>
+
+          {formError && <span className="field-err">{formError}</span>}
+          <div className="ms-form-actions">
+            <button type="submit" className="btn btn-primary mp-submit" disabled={submitting}>
+              {submitting ? "Saving…" : editingId ? "Save Changes" : "＋ Add Coupon"}
+            </button>
+            {editingId && <button type="button" className="btn btn-outline" onClick={resetForm}>Cancel</button>}
+          </div>
+        </form>
+      </div>
+
+      {/* ────────── COUPON LIST ────────── */}
+      <div className="mp-list-section">
+        <h2 className="mp-section-title">Coupons ({coupons.length})</h2>
+        {loadError && <span className="field-err">{loadError}</span>}
+        {coupons.length === 0 && !loadError && (
+          <div className="mp-empty card">
+            <div className="empty-icon">🏷️</div>
+            <p>No coupons yet. Use the form above to add your first promo code.</p>
+          </div>
+        )}
+        <div className="mp-products-list">
+          {coupons.map((coupon) => (
+            <div key={coupon.id} className={`mp-product-row card ${coupon.problem ? "ms-inactive" : ""}`}>
+              <div className="mp-product-main">
+                <div className="mp-product-thumb"><span className="ms-logo">🏷️</span></div>
+                <div className="mp-product-text">
+                  <h3 className="mc-code">{coupon.code}</h3>
+                  <p className="muted">{coupon.storeName} · {coupon.description}</p>
+                  <div className="mp-product-tags">
+                    <span className={`ms-status ${coupon.problem ? "" : "ms-status-active"}`} title={coupon.problem || ""}>
+                      {coupon.problem ? (coupon.active ? "Not usable" : "Off") : "Active"}
+                    </span>
+                    <span className="store-count-badge">
+                      Used {coupon.usedCount}{coupon.usageLimit != null ? ` / ${coupon.usageLimit}` : ""}
+                    </span>
+                    {(coupon.startsAt || coupon.endsAt) && (
+                      <span className="price-badge">
+                        {coupon.startsAt ? new Date(coupon.startsAt).toLocaleDateString() : "Now"} – {coupon.endsAt ? new Date(coupon.endsAt).toLocaleDateString() : "no end"}
+                      </span>
+                    )}
+                  </div>
+                  {coupon.problem && coupon.active && <p className="mc-problem">{coupon.problem}</p>}
+                </div>
+                <div className="mp-product-actions">
+                  <button className="expand-btn" onClick={() => startEdit(coupon)}>Edit</button>
+                  <button className="expand-btn" onClick={() => toggleActive(coupon)}>{coupon.active ? "Switch off" : "Switch on"}</button>
+                  <button className="delete-btn" onClick={() => setDeleteTarget(coupon)}>Delete</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* ── Delete confirm modal ── */}
+      {deleteTarget && (
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setDeleteTarget(null); }}>
+          <div className="confirm-modal card">
+            <h3>Delete coupon?</h3>
+            <p>Are you sure you want to delete <strong>{deleteTarget.code}</strong> at {deleteTarget.storeName}? Orders that used it keep their discount.</p>
+            <div className="confirm-actions">
+              <button className="btn btn-outline" onClick={() => setDeleteTarget(null)}>Cancel</button>
+              <button className="btn btn-danger" onClick={confirmDelete}>Delete</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+/**
+ * Manage Exchange Rates Admin Page Component
+ *
+ * Admin interface for the exchange rates used to compare stores in different currencies
+ * Features:
+ * - Every rate is the number of units of a currency one unit of the base currency buys
+ * - Add rates by hand and edit them
+ * - Import a rates file (JSON { "base", "rates" } or CSV "currency,rate" lines) to add or replace rates
+ * - Delete rates no store lists its prices in, with confirmation modal (orders keep the rate they were placed at)
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import api from "../api/api";
+import { useCurrency } from "../context/currency";
+import "../styles/ManageProducts.css";
+import "../styles/ManageStores.css";
+
+// Empty add/edit form
+const EMPTY_FORM = { currency: "", rate: "" };
+
+export default function ManageExchangeRates() {
+  // Shared rates are refreshed after changes so prices across the app use the new rates
+  const { refreshCurrencies } = useCurrency();
+
+  // Base currency and every exchange rate (GET /api/admin/exchange-rates)
+  const [base, setBase] = useState("USD");
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  // Add/edit form state; editingCurrency is null when adding a new rate
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingCurrency, setEditingCurrency] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [successMsg, setSuccessMsg] = useState("");
+  // Rates file import state
+  const [importContent, setImportContent] = useState("");
+  const [importError, setImportError] = useState("");
+  const [importing, setImporting] = useState(false);
+  // Rate pending deletion and the error from the last delete attempt
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleteError, setDeleteError] = useState("");
+
+  /**
+   * Fetch every exchange rate from the admin API
+   */
+  const loadExchangeRates = useCallback(() => (
+    api.get("/admin/exchange-rates")
+      .then((response) => {
+        setBase(response.data.base || "USD");
+        setExchangeRates(response.data.exchangeRates || []);
+        setLoadError("");
+      })
+      .catch((err) => setLoadError(err.response?.data?.error || "Failed to load exchange rates"))
+  ), []);
+
+  // Load exchange rates on mount
+  useEffect(() => { loadExchangeRates(); }, [loadExchangeRates]);
+
+  /**
+   * Reload the admin list plus the shared rates
+   */
+  async function refreshAll() {
+    await Promise.all([loadExchangeRates(), refreshCurrencies()]);
+  }
+
+  /** Show a success message for a few seconds */
+  function flash(msg) {
+    setSuccessMsg(msg);
+    setTimeout(() => setSuccessMsg(""), 3000);
+  }
+
+  /** Update a form field and clear the form error */
+  function setField(k, v) { setForm((f) => ({ ...f, [k]: v })); setFormError(""); }
+
+  /** Fill the form with a rate's details for editing */
+  function startEdit(exchangeRate) {
+    setEditingCurrency(exchangeRate.currency);
+    setForm({ currency: exchangeRate.currency, rate: String(exchangeRate.rate) });
+    setFormError("");
+  }
+
+  /** Leave edit mode and clear the form */
+  function resetForm() { setEditingCurrency(null); setForm(EMPTY_FORM); setFormError(""); }
+
+  /**
+   * Create or update an exchange rate via the admin API
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const currency = form.currency.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) { setFormError("Currency must be a three-letter code such as EUR"); return; }
+    const rate = Number(form.rate);
+    if (form.rate === "" || isNaN(rate) || rate <= 0) { setFormError(`Rate must be a positive number of units per ${base}`); return; }
+
+    setSubmitting(true);
+    try {
+      if (editingCurrency) {
+        await api.put(`/admin/exchange-rates/${editingCurrency}`, { rate });
+        flash(`${currency} updated successfully!`);
+      } else {
+        await api.post("/admin/exchange-rates", { currency, rate });
+        flash(`${currency} added successfully!`);
+      }
+      resetForm();
+      await refreshAll();
+    } catch (err) {
+      setFormError(err.response?.data?.error || "Failed to save exchange rate");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  /**
+   * Read a chosen rates file into the import box
+   */
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => { setImportContent(String(reader.result || "")); setImportError(""); };
+    reader.onerror = () => setImportError("Could not read the file");
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  /**
+   * Import the rates file via the admin API
+   */
+  async function handleImport(e) {
+    e.preventDefault();
+    if (!importContent.trim()) { setImportError("Choose a rates file or paste its contents"); return; }
+
+    setImporting(true);
+    try {
+      const response = await api.post("/admin/exchange-rates/import", { content: importContent });
+      setImportContent("");
+      setImportError("");
+      await refreshAll();
+      flash(response.data.message);
+    } catch (err) {
+      setImportError(err.response?.data?.error || "Failed to import exchange rates");
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  /**
+   * Delete the rate pending confirmation
+   * Refused while a store lists its prices in the currency
+   */
+  async function confirmDelete() {
+    try {
+      await api.delete(`/admin/exchange-rates/${deleteTarget.currency}`);
+      setDeleteTarget(null);
+      await refreshAll();
+    } catch (err) {
+      setDeleteError(err.response?.data?.error || "Failed to delete exchange rate");
+    }
+  }
+
+  return (
+    <div className="mp-shell">
+      <div className="mp-header">
+        <div>
+          <p className="eyebrow">Admin</p>
+          <h1>Manage Exchange Rates</h1>
+          <p className="muted">Convert store prices to one currency so stores can be compared. Rates are per 1 {base}.</p>
+        </div>
+        <span className="product-count-badge">{exchangeRates.length} rate{exchangeRates.length !== 1 ? "s" : ""}</span>
+      </div>
+
+      {/* ────────── ADD / EDIT RATE FORM ────────── */}
+      <div className="mp-card card">
+        <h2 className="mp-section-title">{editingCurrency ? `Edit ${editingCurrency}` : "Add exchange rate"}</h2>
+        {successMsg && <div className="success-banner">{successMsg}</div>}
+        <form onSubmit={handleSubmit} className="mp-form" noValidate>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Currency <span className="req">*</span></label>
+              <input type="text" maxLength={3} value={form.currency} disabled={!!editingCurrency} onChange={(e) => setField("currency", e.target.value.toUpperCase())} placeholder="e.g. EUR" />
+            </div>
+            <div className="mp-field">
+              <label>Rate <span className="req">*</span> <span className="optional">(units per 1 {base})</span></label>
+              <input type="number" min="0" step="0.000001" value={form.rate} onChange={(e) => setField("rate", e.target.value)} placeholder="0.92" />
+            </div>
+          </div>
+
+          {formError && <span className="field-err">{formError}</span>}
+          <div className="ms-form-actions">
+            <button type="submit" className="btn btn-primary mp-submit" disabled={submitting}>
+              {submitting ? "Saving…" : editingCurrency ? "Save Changes" : "＋ Add Rate"}
+            </button>
+            {editingCurrency && <button type="button" className="btn btn-outline" onClick={resetForm}>Cancel</button>}
+          </div>
+        </form>
+      </div>
+
+      {/* ────────── IMPORT RATES FILE ────────── */}
+      <div className="mp-card card">
+        <h2 className="mp-section-title">Import rates file</h2>
+        <p className="muted">
+          JSON such as <code>{`{ "base": "${base}", "rates": { "EUR": 0.92 } }`}</code> or CSV with one <code>currency,rate</code> per line.
+          Currencies in the file are added or replaced; others are kept.
+        </p>
+        <form onSubmit={handleImport} className="mp-form" noValidate>
+          <div className="mp-field">
+            <label>File <span className="optional">(.json or .csv)</span></label>
+            <input type="file" accept=".json,.csv,.txt,application/json,text/csv" onChange={handleFile} />
+          </div>
+          <div className="mp-field">
+            <label>Contents</label>
+            <textarea rows={5} value={importContent} onChange={(e) => { setImportContent(e.target.value); setImportError(""); }} placeholder={"currency,rate\nEUR,0.92\nGBP,0.79"} />
+          </div>
+
+          {importError && <span className="field-err">{importError}</span>}
+          <div className="ms-form-actions">
+            <button type="submit" className="btn btn-primary mp-submit" disabled={importing}>
+              {importing ? "Importing…" : "Import Rates"}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* ────────── RATE LIST ────────── */}
+      <div className="mp-list-section">
+        <h2 className="mp-section-title">Exchange rates ({exchangeRates.length})</h2>
+        {loadError && <span className="field-err">{loadError}</span>}
+        {exchangeRates.length === 0 && !loadError && (
+          <div className="mp-empty card">
+            <div className="empty-icon">💱</div>
+            <p>No exchange rates yet. Every store prices in {base} until you add one.</p>
+          </div>
+        )}
+        <div className="mp-products-list">
+          {exchangeRates.map((exchangeRate) => (
+            <div key={exchangeRate.currency} className="mp-product-row card">
+              <div className="mp-product-main">
+                <div className="mp-product-thumb"><span className="ms-logo">💱</span></div>
+                <div className="mp-product-text">
+                  <h3>{exchangeRate.currency}</h3>
+                  <p className="muted">
+                    1 {base} = {exchangeRate.rate} {exchangeRate.currency}
+                    {exchangeRate.updatedAt && ` · Updated ${new Date(exchangeRate.updatedAt).toLocaleDateString()}`}
+                  </p>
+                  <div className="mp-product-tags">
+                    <span className="store-count-badge">{exchangeRate.source === "import" ? "Imported" : "Manual"}</span>
+                  </div>
+                </div>
+                <div className="mp-product-actions">
+                  <button className="expand-btn" onClick={() => startEdit(exchangeRate)}>Edit</button>
+                  <button className="delete-btn" onClick={() => { setDeleteError(""); setDeleteTarget(exchangeRate); }}>Delete</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* ── Delete confirm modal ── */}
+      {deleteTarget && (
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setDeleteTarget(null); }}>
+          <div className="confirm-modal card">
+            <h3>Delete exchange rate?</h3>
+            <p>Are you sure you want to delete <strong>{deleteTarget.currency}</strong>? Orders already placed keep the rate they used.</p>
+            {deleteError && <p className="field-err">{deleteError}</p>}
+            <div className="confirm-actions">
+              <button className="btn btn-outline" onClick={() => setDeleteTarget(null)}>Cancel</button>
+              <button className="btn btn-danger" onClick={confirmDelete}>Delete</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
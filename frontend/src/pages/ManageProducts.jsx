@@ -4,7 +4,7 @@
  * Admin interface for product catalog management
  * Features:
  * - Add new products with name, description, category, and image upload
- * - Configure per-store availability, price, stock, delivery cost, and rating
+ * - Configure per-store availability, price, stock, delivery surcharge, and rating (prices in the store's currency)
  * - Image upload via file picker (converted to base64)
  * - Form validation with error messages per field
  * - Existing products list with expandable store details
@@ -15,24 +15,25 @@
 
 import { useState, useRef } from "react";
 import { useCart } from "../context/CartContext";
-import { stores as STORES } from "../data/catalog";
+import { useCurrency } from "../context/currency";
 import "../styles/ManageProducts.css";
 
 // Default empty store data template
-const EMPTY_STORE = { available: false, price: "", stock: "", deliveryCost: "", rating: "" };
+const EMPTY_STORE = { available: false, price: "", stock: "", deliverySurcharge: "", rating: "" };
 
 /**
- * Create a fresh form state with empty fields and store data for all stores
+ * Create a fresh form state with empty fields
+ * Store data is filled in per store as the admin enables stores
  * @returns {Object} Initial form state
  */
 function newForm() {
-  const storeData = {};
-  STORES.forEach((s) => { storeData[s.id] = { ...EMPTY_STORE }; });
-  return { name: "", description: "", category: "", imageUrl: "", storeData };
+  return { name: "", description: "", category: "", imageUrl: "", storeData: {} };
 }
 
 export default function ManageProducts() {
-  const { products, addProduct, deleteProduct } = useCart();
+  // Only active stores are offered in the form; inactive stores' offers stay hidden
+  const { products, stores, addProduct, deleteProduct } = useCart();
+  const { convert, formatMoney, currency } = useCurrency();
   // File input ref for image upload
   const fileRef = useRef(null);
 
@@ -50,21 +51,23 @@ export default function ManageProducts() {
   const [deleteTarget, setDeleteTarget] = useState(null);
   // Expanded product detail ID in the product list
   const [expandedId, setExpandedId] = useState(null);
+  // Error from the last delete attempt
+  const [deleteError, setDeleteError] = useState("");
 
   /* ── Field update helpers ── */
   /** Update a top-level form field and clear its error */
   function setField(k, v) { setForm((f) => ({ ...f, [k]: v })); setErrors((e) => ({ ...e, [k]: "" })); }
 
-  /** Update a store-specific field (price, stock, deliveryCost, rating) */
+  /** Update a store-specific field (price, stock, deliverySurcharge, rating) */
   function setStoreField(storeId, k, v) {
-    setForm((f) => ({ ...f, storeData: { ...f.storeData, [storeId]: { ...f.storeData[storeId], [k]: v } } }));
+    setForm((f) => ({ ...f, storeData: { ...f.storeData, [storeId]: { ...EMPTY_STORE, ...f.storeData[storeId], [k]: v } } }));
   }
 
   /** Toggle store availability checkbox */
   function toggleStore(storeId) {
     setForm((f) => ({
       ...f,
-      storeData: { ...f.storeData, [storeId]: { ...f.storeData[storeId], available: !f.storeData[storeId].available } },
+      storeData: { ...f.storeData, [storeId]: { ...EMPTY_STORE, ...f.storeData[storeId], available: !f.storeData[storeId]?.available } },
     }));
   }
 
@@ -96,10 +99,10 @@ export default function ManageProducts() {
     if (!hasStore) errs.stores = "Select at least one store";
     Object.entries(form.storeData).forEach(([sid, s]) => {
       if (!s.available) return;
-      const store = STORES.find((st) => st.id === sid)?.name || sid;
+      const store = stores.find((st) => st.id === sid)?.name || sid;
       if (!s.price || isNaN(Number(s.price)) || Number(s.price) < 0) errs[`${sid}_price`] = `${store}: invalid price`;
       if (!s.stock || isNaN(Number(s.stock)) || Number(s.stock) < 0) errs[`${sid}_stock`] = `${store}: invalid stock`;
-      if (!s.deliveryCost || isNaN(Number(s.deliveryCost)) || Number(s.deliveryCost) < 0) errs[`${sid}_delivery`] = `${store}: invalid delivery`;
+      if (s.deliverySurcharge && (isNaN(Number(s.deliverySurcharge)) || Number(s.deliverySurcharge) < 0)) errs[`${sid}_delivery`] = `${store}: invalid delivery surcharge`;
       if (!s.rating || isNaN(Number(s.rating)) || Number(s.rating) < 0 || Number(s.rating) > 5) errs[`${sid}_rating`] = `${store}: rating must be 0–5`;
     });
     setErrors(errs);
@@ -108,7 +111,7 @@ export default function ManageProducts() {
 
   /**
    * Handle form submission
-   * Builds stores object from enabled store data and adds product to catalog
+   * Builds stores object from enabled store data and saves the product via the API
    * Resets form on success with a timed success message
    */
   async function handleSubmit(e) {
@@ -118,19 +121,35 @@ export default function ManageProducts() {
     try {
       const stores = {};
       Object.entries(form.storeData).forEach(([sid, s]) => {
-        if (!s.available) return;
-        stores[sid] = { available: true, price: Number(s.price), stock: Number(s.stock), deliveryCost: Number(s.deliveryCost), rating: Number(s.rating) };
+        if (!s.available || !stores.some((st) => st.id === sid)) return;
+        stores[sid] = { available: true, price: Number(s.price), stock: Number(s.stock), deliverySurcharge: s.deliverySurcharge === "" ? null : Number(s.deliverySurcharge), rating: Number(s.rating) };
       });
-      addProduct({ name: form.name.trim(), description: form.description.trim(), category: form.category.trim(), imageUrl: form.imageUrl, stores });
+      await addProduct({ name: form.name.trim(), description: form.description.trim(), category: form.category.trim(), imageUrl: form.imageUrl, stores });
       setSuccessMsg(`"${form.name}" added successfully!`);
       setForm(newForm()); setPreview(null);
       if (fileRef.current) fileRef.current.value = "";
       setTimeout(() => setSuccessMsg(""), 3000);
+    } catch (err) {
+      setErrors({ submit: err.response?.data?.error || "Failed to add product" });
     } finally {
       setSubmitting(false);
     }
   }
 
+  /**
+   * Delete the product pending confirmation via the API
+   * Keeps the modal open with an error message if the request fails
+   */
+  async function confirmDelete() {
+    try {
+      await deleteProduct(deleteTarget.id);
+      setDeleteTarget(null);
+      setDeleteError("");
+    } catch (err) {
+      setDeleteError(err.response?.data?.error || "Failed to delete product");
+    }
+  }
+
   return (
     <div className="mp-shell">
       <div className="mp-header">
@@ -194,8 +213,8 @@ export default function ManageProducts() {
             <label>Available stores <span className="req">*</span></label>
             {errors.stores && <span className="field-err">{errors.stores}</span>}
             <div className="mp-stores-grid">
-              {STORES.map((store) => {
-                const s = form.storeData[store.id];
+              {stores.map((store) => {
+                const s = form.storeData[store.id] || EMPTY_STORE;
                 return (
                   <div key={store.id} className={`mp-store-block ${s.available ? "active" : ""}`}>
                     <label className="store-checkbox-label">
@@ -206,7 +225,7 @@ export default function ManageProducts() {
                       <div className="store-fields">
                         <div className="sf-row">
                           <div className="sf-field">
-                            <span>Price ($)</span>
+                            <span>Price ({store.currency || "USD"})</span>
                             <input type="number" min="0" step="0.01" value={s.price} onChange={(e) => setStoreField(store.id, "price", e.target.value)} placeholder="0.00" />
                             {errors[`${store.id}_price`] && <span className="field-err">{errors[`${store.id}_price`]}</span>}
                           </div>
@@ -216,8 +235,8 @@ export default function ManageProducts() {
                             {errors[`${store.id}_stock`] && <span className="field-err">{errors[`${store.id}_stock`]}</span>}
                           </div>
                           <div className="sf-field">
-                            <span>Delivery ($)</span>
-                            <input type="number" min="0" step="0.01" value={s.deliveryCost} onChange={(e) => setStoreField(store.id, "deliveryCost", e.target.value)} placeholder="0.00" />
+                            <span>Delivery / unit ({store.currency || "USD"})</span>
+                            <input type="number" min="0" step="0.01" value={s.deliverySurcharge} onChange={(e) => setStoreField(store.id, "deliverySurcharge", e.target.value)} placeholder="Store rule" />
                             {errors[`${store.id}_delivery`] && <span className="field-err">{errors[`${store.id}_delivery`]}</span>}
                           </div>
                           <div className="sf-field">
@@ -234,6 +253,7 @@ export default function ManageProducts() {
             </div>
           </div>
 
+          {errors.submit && <span className="field-err">{errors.submit}</span>}
           <button type="submit" className="btn btn-primary mp-submit" disabled={submitting}>
             {submitting ? "Adding…" : "＋ Add Product"}
           </button>
@@ -252,7 +272,9 @@ export default function ManageProducts() {
         <div className="mp-products-list">
           {products.map((product) => {
             const storeIds = Object.keys(product.stores || {}).filter((sid) => product.stores[sid]?.available);
-            const prices = storeIds.map((sid) => product.stores[sid]?.price).filter(Boolean);
+            const prices = storeIds
+              .map((sid) => product.stores[sid]?.price && convert(product.stores[sid].price, product.stores[sid].currency))
+              .filter(Boolean);
             const minPrice = prices.length ? Math.min(...prices) : null;
             const isExpanded = expandedId === product.id;
 
@@ -272,7 +294,7 @@ export default function ManageProducts() {
                     <div className="mp-product-tags">
                       {product.category && <span className="product-tag">{product.category}</span>}
                       <span className="store-count-badge">{storeIds.length} store{storeIds.length !== 1 ? "s" : ""}</span>
-                      {minPrice != null && <span className="price-badge">From ${minPrice.toFixed(2)}</span>}
+                      {minPrice != null && <span className="price-badge">From {formatMoney(minPrice, currency)}</span>}
                     </div>
                   </div>
                   <div className="mp-product-actions">
@@ -287,13 +309,13 @@ export default function ManageProducts() {
                     <div className="mp-store-pills">
                       {storeIds.map((sid) => {
                         const d = product.stores[sid];
-                        const name = STORES.find((s) => s.id === sid)?.name || sid;
+                        const name = stores.find((s) => s.id === sid)?.name || sid;
                         return (
                           <div key={sid} className="mp-store-pill">
                             <strong>{name}</strong>
-                            <span>${Number(d.price).toFixed(2)}</span>
+                            <span>{formatMoney(d.price, d.currency)}</span>
                             <span>Stock: {d.stock}</span>
-                            <span>Del: ${Number(d.deliveryCost).toFixed(2)}</span>
+                            <span>Del: {d.deliverySurcharge != null ? `+${formatMoney(d.deliverySurcharge, d.currency)}/unit` : "store rule"}</span>
                             <span>★ {Number(d.rating).toFixed(1)}</span>
                           </div>
                         );
@@ -313,9 +335,10 @@ export default function ManageProducts() {
           <div className="confirm-modal card">
             <h3>Delete product?</h3>
             <p>Are you sure you want to delete <strong>"{deleteTarget.name}"</strong>? This will also remove it from all carts.</p>
+            {deleteError && <span className="field-err">{deleteError}</span>}
             <div className="confirm-actions">
-              <button className="btn btn-outline" onClick={() => setDeleteTarget(null)}>Cancel</button>
-              <button className="btn btn-danger" onClick={() => { deleteProduct(deleteTarget.id); setDeleteTarget(null); }}>Delete</button>
+              <button className="btn btn-outline" onClick={() => { setDeleteTarget(null); setDeleteError(""); }}>Cancel</button>
+              <button className="btn btn-danger" onClick={confirmDelete}>Delete</button>
             </div>
           </div>
         </div>
@@ -0,0 +1,213 @@
+/**
+ * Manage Returns Admin Page Component
+ *
+ * Admin interface for customers' return requests
+ * Features:
+ * - Status filter tabs (open returns first, then every status)
+ * - Each return with its customer, order, reason, description, photos, items, tracking, and refund breakdown
+ * - Approve or reject requested returns, mark returned parcels as received, and issue refunds,
+ *   with a confirmation modal and an optional note for the customer
+ */
+
+import { useState, useEffect, useCallback, useMemo } from "react";
+import api from "../api/api";
+import { useCurrency } from "../context/currency";
+import "../styles/ManageProducts.css";
+import "../styles/ManageStores.css";
+import "../styles/AdminDashboard.css";
+import "../styles/OrderReturns.css";
+
+// Display labels and colors for return statuses
+const STATUS_LABELS = { requested: "Requested", approved: "Approved", rejected: "Rejected", in_transit: "In transit", received: "Received", refunded: "Refunded" };
+const STATUS_COLORS = { requested: "#f6ad55", approved: "#63b3ed", rejected: "#fc8181", in_transit: "#63b3ed", received: "#68d391", refunded: "#48bb78" };
+// Statuses for the filter tabs; "open" covers every return still being worked on
+const OPEN_STATUSES = ["requested", "approved", "in_transit", "received"];
+const ALL_STATUSES = ["requested", "approved", "in_transit", "received", "refunded", "rejected"];
+// Button labels for the actions an admin can take
+const ACTION_LABELS = { approved: "Approve", rejected: "Reject", received: "Mark received", refunded: "Refund" };
+// Reasons a customer can give (matches the backend's RETURN_REASONS)
+const REASON_LABELS = { damaged: "Arrived damaged", wrong_item: "Wrong item sent", not_as_described: "Not as described", changed_mind: "Changed their mind", other: "Other" };
+
+export default function ManageReturns() {
+  const { formatMoney } = useCurrency();
+
+  // Every return request (GET /api/admin/returns)
+  const [returns, setReturns] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [filterStatus, setFilterStatus] = useState("open");
+  // Status change pending confirmation ({ ret, status }), its optional note, and the error from the last attempt
+  const [statusChange, setStatusChange] = useState(null);
+  const [statusNote, setStatusNote] = useState("");
+  const [statusError, setStatusError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Fetch every return request from the admin API
+   */
+  const loadReturns = useCallback(() => (
+    api.get("/admin/returns")
+      .then((response) => {
+        setReturns(response.data.returns || []);
+        setLoadError("");
+      })
+      .catch((err) => setLoadError(err.response?.data?.error || "Failed to load returns"))
+  ), []);
+
+  // Load returns on mount
+  useEffect(() => { loadReturns(); }, [loadReturns]);
+
+  const filtered = useMemo(() => {
+    if (filterStatus === "all") return returns;
+    if (filterStatus === "open") return returns.filter((r) => OPEN_STATUSES.includes(r.status));
+    return returns.filter((r) => r.status === filterStatus);
+  }, [returns, filterStatus]);
+  const openCount = returns.filter((r) => OPEN_STATUSES.includes(r.status)).length;
+
+  /**
+   * Ask for confirmation (and an optional note) before changing a return's status
+   * @param {Object} ret - Return to update
+   * @param {string} status - New status
+   */
+  function askStatusChange(ret, status) {
+    setStatusChange({ ret, status });
+    setStatusNote("");
+    setStatusError("");
+  }
+
+  /**
+   * Apply the status change pending confirmation
+   * Receiving a return puts its items back in stock; refunding it updates the order's status
+   */
+  async function confirmStatusChange() {
+    const { ret, status } = statusChange;
+    setSubmitting(true);
+    try {
+      await api.patch(`/admin/returns/${ret.id}/status`, { status, note: statusNote.trim() || undefined });
+      setStatusChange(null);
+      await loadReturns();
+    } catch (err) {
+      setStatusError(err.response?.data?.error || "Failed to update the return");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="mp-shell">
+      <div className="mp-header">
+        <div>
+          <p className="eyebrow">Admin</p>
+          <h1>Manage Returns</h1>
+          <p className="muted">Review return requests, confirm returned parcels, and refund customers.</p>
+        </div>
+        <span className="product-count-badge">{openCount} open</span>
+      </div>
+
+      {/* ────────── RETURN LIST ────────── */}
+      <div className="mp-list-section">
+        <div className="status-filter">
+          <button className={filterStatus === "open" ? "tab active" : "tab"} onClick={() => setFilterStatus("open")}>Open</button>
+          <button className={filterStatus === "all" ? "tab active" : "tab"} onClick={() => setFilterStatus("all")}>All</button>
+          {ALL_STATUSES.map((s) => (
+            <button key={s} className={filterStatus === s ? "tab active" : "tab"} onClick={() => setFilterStatus(s)}>
+              {STATUS_LABELS[s]}
+            </button>
+          ))}
+        </div>
+
+        {loadError && <span className="field-err">{loadError}</span>}
+        {filtered.length === 0 && !loadError && (
+          <div className="mp-empty card">
+            <div className="empty-icon">↩️</div>
+            <p>{returns.length === 0 ? "Return requests will appear here once customers send them." : "No returns with this status."}</p>
+          </div>
+        )}
+        <div className="mp-products-list">
+          {filtered.map((ret) => {
+            const color = STATUS_COLORS[ret.status] || "#a0aec0";
+            return (
+              <div key={ret.id} className="mp-product-row card">
+                <div className="mp-product-main">
+                  <div className="mp-product-thumb"><span className="ms-logo">↩️</span></div>
+                  <div className="mp-product-text">
+                    <h3>Return #{ret.id} · Order #{ret.orderId}</h3>
+                    <p className="muted">
+                      {ret.userName || "Deleted user"}{ret.userEmail && ` (${ret.userEmail})`} · {ret.storeName || "—"}
+                      {" · "}{new Date(ret.createdAt).toLocaleDateString()}
+                    </p>
+                    <div className="mp-product-tags">
+                      <span className="status-badge" style={{ background: `${color}22`, color, borderColor: `${color}55` }}>
+                        {STATUS_LABELS[ret.status] || ret.status}
+                      </span>
+                      <span className="store-count-badge">{REASON_LABELS[ret.reason] || ret.reason}</span>
+                      <span className="price-badge">{formatMoney(ret.refundAmount, ret.currency)}</span>
+                    </div>
+                  </div>
+                  <div className="mp-product-actions">
+                    {ret.nextStatuses.map((status) => (
+                      <button key={status} className={status === "rejected" ? "delete-btn" : "expand-btn"} onClick={() => askStatusChange(ret, status)}>
+                        {ACTION_LABELS[status] || STATUS_LABELS[status]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="mp-product-detail">
+                  <p className="or-line">{ret.items.map((item) => `${item.productName} × ${item.quantity}`).join(", ")}</p>
+                  {ret.details && <p className="or-note">💬 {ret.details}</p>}
+                  {ret.photos.length > 0 && (
+                    <div className="or-photos">
+                      {ret.photos.map((photo, i) => (
+                        <a key={i} className="or-photo" href={photo} target="_blank" rel="noreferrer">
+                          <img src={photo} alt={`Return #${ret.id} photo ${i + 1}`} />
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                  <p className="muted or-line">
+                    Items {formatMoney(ret.subtotal, ret.currency)}
+                    {ret.discount > 0 && ` − discount ${formatMoney(ret.discount, ret.currency)}`}
+                    {ret.deliveryFee > 0 && ` + delivery ${formatMoney(ret.deliveryFee, ret.currency)}`}
+                    {ret.tax > 0 && ` + tax ${formatMoney(ret.tax, ret.currency)}`}
+                    {" = "}<strong>{formatMoney(ret.refundAmount, ret.currency)}</strong>
+                  </p>
+                  {ret.trackingNumber && <p className="muted or-line">📦 {ret.carrier ? `${ret.carrier} ` : ""}{ret.trackingNumber}</p>}
+                  {ret.adminNote && <p className="muted or-line">Note to customer: {ret.adminNote}{ret.reviewedBy && ` (${ret.reviewedBy.name})`}</p>}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* ── Status change confirm modal ── */}
+      {statusChange && (
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setStatusChange(null); }}>
+          <div className="confirm-modal card">
+            <h3>{ACTION_LABELS[statusChange.status]} return #{statusChange.ret.id}?</h3>
+            <p>
+              {statusChange.status === "approved" && "The customer is asked to send the items back."}
+              {statusChange.status === "rejected" && "The customer keeps the items and gets no refund."}
+              {statusChange.status === "received" && "The returned items are put back in stock."}
+              {statusChange.status === "refunded" && <>The customer is refunded <strong>{formatMoney(statusChange.ret.refundAmount, statusChange.ret.currency)}</strong> and order #{statusChange.ret.orderId} is marked as returned.</>}
+              {" "}The customer is notified.
+            </p>
+            <textarea
+              placeholder="Note for the customer (optional)"
+              className="aorders-search"
+              style={{ maxWidth: '100%', minHeight: '70px', resize: 'vertical' }}
+              maxLength={500}
+              value={statusNote}
+              onChange={(e) => { setStatusNote(e.target.value); setStatusError(""); }}
+            />
+            {statusError && <p className="field-err">{statusError}</p>}
+            <div className="confirm-actions">
+              <button className="btn btn-outline" onClick={() => setStatusChange(null)}>Cancel</button>
+              <button className={`btn ${statusChange.status === "rejected" ? "btn-danger" : "btn-primary"}`} onClick={confirmStatusChange} disabled={submitting}>Confirm</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
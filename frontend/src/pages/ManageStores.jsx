@@ -0,0 +1,297 @@
+/**
+ * Manage Stores Admin Page Component
+ *
+ * Admin interface for the partner store directory
+ * Features:
+ * - Add new stores with ID, name, logo, delivery rule, ETA, and rating
+ * - Delivery rule: flat fee per order, optional per-item surcharge, and optional free-delivery threshold
+ * - Tax-inclusive pricing flag (sales tax is then shown as included rather than added)
+ * - Currency the store lists its prices, fees, and promo amounts in (any currency with an exchange rate)
+ * - Edit existing store details
+ * - Activate / deactivate stores (inactive stores and their offers are hidden from shoppers)
+ * - Delete stores that have no offers or orders, with confirmation modal
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import api from "../api/api";
+import { useCart } from "../context/CartContext";
+import { useCurrency } from "../context/currency";
+import "../styles/ManageProducts.css";
+import "../styles/ManageStores.css";
+
+// Empty add/edit form
+const EMPTY_FORM = { id: "", name: "", logo: "", currency: "", flatFee: "", perItemFee: "", freeOver: "", eta: "", rating: "", pricesIncludeTax: false };
+
+export default function ManageStores() {
+  // Shared store list and catalog are refreshed after changes so shoppers' views stay in sync
+  const { refreshStores, refreshProducts } = useCart();
+  // Currencies with an exchange rate a store can list prices in
+  const { base, currencies } = useCurrency();
+
+  // Every store, including inactive ones (GET /api/admin/stores)
+  const [stores, setStores] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  // Add/edit form state; editingId is null when adding a new store
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [successMsg, setSuccessMsg] = useState("");
+  // Store pending deletion and the error from the last delete attempt
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleteError, setDeleteError] = useState("");
+
+  /**
+   * Fetch every store from the admin API
+   */
+  const loadStores = useCallback(() => (
+    api.get("/admin/stores")
+      .then((response) => { setStores(response.data.stores || []); setLoadError(""); })
+      .catch((err) => setLoadError(err.response?.data?.error || "Failed to load stores"))
+  ), []);
+
+  // Load stores on mount
+  useEffect(() => { loadStores(); }, [loadStores]);
+
+  /**
+   * Reload the admin list plus the shared store list and catalog
+   */
+  async function refreshAll() {
+    await Promise.all([loadStores(), refreshStores(), refreshProducts()]);
+  }
+
+  /** Update a form field and clear the form error */
+  function setField(k, v) { setForm((f) => ({ ...f, [k]: v })); setFormError(""); }
+
+  /** Fill the form with a store's details for editing */
+  function startEdit(store) {
+    setEditingId(store.id);
+    setForm({
+      id: store.id,
+      name: store.name,
+      logo: store.logo,
+      currency: store.currency,
+      flatFee: String(store.delivery.flatFee),
+      perItemFee: store.delivery.perItemFee ? String(store.delivery.perItemFee) : "",
+      freeOver: store.delivery.freeOver != null ? String(store.delivery.freeOver) : "",
+      eta: store.eta,
+      rating: store.rating != null ? String(store.rating) : "",
+      pricesIncludeTax: store.pricesIncludeTax,
+    });
+    setFormError("");
+  }
+
+  /** Leave edit mode and clear the form */
+  function resetForm() { setEditingId(null); setForm(EMPTY_FORM); setFormError(""); }
+
+  /**
+   * Create or update a store via the admin API
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.name.trim()) { setFormError("Store name is required"); return; }
+    if (!editingId && !/^[a-z0-9-]+$/.test(form.id.trim())) {
+      setFormError("Store ID must use lowercase letters, digits, and dashes");
+      return;
+    }
+    const fee = Number(form.flatFee);
+    if (form.flatFee === "" || isNaN(fee) || fee < 0) { setFormError("Delivery fee must be a non-negative number"); return; }
+    const perItemFee = form.perItemFee === "" ? 0 : Number(form.perItemFee);
+    if (isNaN(perItemFee) || perItemFee < 0) { setFormError("Per-item surcharge must be a non-negative number"); return; }
+    const freeOver = form.freeOver === "" ? null : Number(form.freeOver);
+    if (freeOver !== null && (isNaN(freeOver) || freeOver < 0)) { setFormError("Free delivery threshold must be a non-negative number"); return; }
+
+    const body = {
+      name: form.name.trim(),
+      logo: form.logo.trim(),
+      currency: form.currency || base,
+      delivery: { flatFee: fee, perItemFee, freeOver },
+      eta: form.eta.trim(),
+      rating: form.rating === "" ? null : Number(form.rating),
+      pricesIncludeTax: form.pricesIncludeTax,
+    };
+
+    setSubmitting(true);
+    try {
+      if (editingId) {
+        await api.put(`/admin/stores/${editingId}`, body);
+        setSuccessMsg(`"${body.name}" updated successfully!`);
+      } else {
+        await api.post("/admin/stores", { id: form.id.trim(), ...body });
+        setSuccessMsg(`"${body.name}" added successfully!`);
+      }
+      resetForm();
+      await refreshAll();
+      setTimeout(() => setSuccessMsg(""), 3000);
+    } catch (err) {
+      setFormError(err.response?.data?.error || "Failed to save store");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  /**
+   * Activate or deactivate a store
+   * Deactivated stores keep their offers, which are hidden until the store is reactivated
+   */
+  async function toggleActive(store) {
+    try {
+      await api.put(`/admin/stores/${store.id}`, { active: !store.active });
+      await refreshAll();
+    } catch (err) {
+      setLoadError(err.response?.data?.error || "Failed to update store");
+    }
+  }
+
+  /**
+   * Delete the store pending confirmation
+   * Keeps the modal open with an error message if the request fails
+   */
+  async function confirmDelete() {
+    try {
+      await api.delete(`/admin/stores/${deleteTarget.id}`);
+      setDeleteTarget(null);
+      setDeleteError("");
+      await refreshAll();
+    } catch (err) {
+      setDeleteError(err.response?.data?.error || "Failed to delete store");
+    }
+  }
+
+  const activeCount = stores.filter((s) => s.active).length;
+
+  return (
+    <div className="mp-shell">
+      <div className="mp-header">
+        <div>
+          <p className="eyebrow">Admin</p>
+          <h1>Manage Stores</h1>
+          <p className="muted">Add partner stores, update their delivery details, or take them offline.</p>
+        </div>
+        <span className="product-count-badge">{activeCount} of {stores.length} active</span>
+      </div>
+
+      {/* ────────── ADD / EDIT STORE FORM ────────── */}
+      <div className="mp-card card">
+        <h2 className="mp-section-title">{editingId ? `Edit ${editingId}` : "Add new store"}</h2>
+        {successMsg && <div className="success-banner">{successMsg}</div>}
+        <form onSubmit={handleSubmit} className="mp-form" noValidate>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Store ID <span className="req">*</span></label>
+              <input type="text" value={form.id} disabled={!!editingId} onChange={(e) => setField("id", e.target.value.toLowerCase())} placeholder="e.g. pcworld" />
+            </div>
+            <div className="mp-field">
+              <label>Store Name <span className="req">*</span></label>
+              <input type="text" value={form.name} onChange={(e) => setField("name", e.target.value)} placeholder="e.g. PC World" />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Logo <span className="optional">(emoji, optional)</span></label>
+              <input type="text" value={form.logo} onChange={(e) => setField("logo", e.target.value)} placeholder="🏬" />
+            </div>
+            <div className="mp-field">
+              <label>Delivery ETA <span className="optional">(optional)</span></label>
+              <input type="text" value={form.eta} onChange={(e) => setField("eta", e.target.value)} placeholder="e.g. 2-4 days" />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Currency <span className="optional">(prices, fees, and promo amounts)</span></label>
+              <select value={form.currency || base} onChange={(e) => setField("currency", e.target.value)}>
+                {(currencies.length ? currencies : [{ currency: base }]).map((c) => (
+                  <option key={c.currency} value={c.currency}>{c.currency}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Delivery fee ({form.currency || base}) <span className="req">*</span></label>
+              <input type="number" min="0" step="0.01" value={form.flatFee} onChange={(e) => setField("flatFee", e.target.value)} placeholder="0.00" />
+            </div>
+            <div className="mp-field">
+              <label>Rating (0–5) <span className="optional">(optional)</span></label>
+              <input type="number" min="0" max="5" step="0.1" value={form.rating} onChange={(e) => setField("rating", e.target.value)} placeholder="4.5" />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Per-item surcharge ({form.currency || base}) <span className="optional">(optional, per unit)</span></label>
+              <input type="number" min="0" step="0.01" value={form.perItemFee} onChange={(e) => setField("perItemFee", e.target.value)} placeholder="0.00" />
+            </div>
+            <div className="mp-field">
+              <label>Free delivery over ({form.currency || base}) <span className="optional">(optional)</span></label>
+              <input type="number" min="0" step="0.01" value={form.freeOver} onChange={(e) => setField("freeOver", e.target.value)} placeholder="Never free" />
+            </div>
+          </div>
+          <label className="store-checkbox-label">
+            <input type="checkbox" checked={form.pricesIncludeTax} onChange={(e) => setField("pricesIncludeTax", e.target.checked)} />
+            Prices include sales tax
+          </label>
+
+          {formError && <span className="field-err">{formError}</span>}
+          <div className="ms-form-actions">
+            <button type="submit" className="btn btn-primary mp-submit" disabled={submitting}>
+              {submitting ? "Saving…" : editingId ? "Save Changes" : "＋ Add Store"}
+            </button>
+            {editingId && <button type="button" className="btn btn-outline" onClick={resetForm}>Cancel</button>}
+          </div>
+        </form>
+      </div>
+
+      {/* ────────── STORE LIST ────────── */}
+      <div className="mp-list-section">
+        <h2 className="mp-section-title">Stores ({stores.length})</h2>
+        {loadError && <span className="field-err">{loadError}</span>}
+        {stores.length === 0 && !loadError && (
+          <div className="mp-empty card">
+            <div className="empty-icon">🏬</div>
+            <p>No stores yet. Use the form above to add your first store.</p>
+          </div>
+        )}
+        <div className="mp-products-list">
+          {stores.map((store) => (
+            <div key={store.id} className={`mp-product-row card ${store.active ? "" : "ms-inactive"}`}>
+              <div className="mp-product-main">
+                <div className="mp-product-thumb"><span className="ms-logo">{store.logo || "🏬"}</span></div>
+                <div className="mp-product-text">
+                  <h3>{store.name}</h3>
+                  <p className="muted">{store.id} · {store.eta || "No ETA"}</p>
+                  <div className="mp-product-tags">
+                    <span className={`ms-status ${store.active ? "ms-status-active" : ""}`}>{store.active ? "Active" : "Inactive"}</span>
+                    <span className="price-badge">{store.delivery.description}</span>
+                    {store.currency !== base && <span className="store-count-badge">{store.currency}</span>}
+                    {store.rating != null && <span className="store-count-badge">★ {store.rating.toFixed(1)}</span>}
+                    {store.pricesIncludeTax && <span className="store-count-badge">Tax incl.</span>}
+                  </div>
+                </div>
+                <div className="mp-product-actions">
+                  <button className="expand-btn" onClick={() => startEdit(store)}>Edit</button>
+                  <button className="expand-btn" onClick={() => toggleActive(store)}>{store.active ? "Deactivate" : "Activate"}</button>
+                  <button className="delete-btn" onClick={() => { setDeleteError(""); setDeleteTarget(store); }}>Delete</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* ── Delete confirm modal ── */}
+      {deleteTarget && (
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setDeleteTarget(null); }}>
+          <div className="confirm-modal card">
+            <h3>Delete store?</h3>
+            <p>Are you sure you want to delete <strong>"{deleteTarget.name}"</strong>? Stores with offers or orders can only be deactivated.</p>
+            {deleteError && <span className="field-err">{deleteError}</span>}
+            <div className="confirm-actions">
+              <button className="btn btn-outline" onClick={() => { setDeleteTarget(null); setDeleteError(""); }}>Cancel</button>
+              <button className="btn btn-danger" onClick={confirmDelete}>Delete</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
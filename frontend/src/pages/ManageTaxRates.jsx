@@ -0,0 +1,218 @@
+/**
+ * Manage Tax Rates Admin Page Component
+ *
+ * Admin interface for sales tax rates
+ * Features:
+ * - Add rates keyed by region (e.g. "CA"), postal code prefix (e.g. "941"), or both
+ * - The most specific match for the shipping address applies (longest prefix, then region)
+ * - Edit rates and switch them off / on
+ * - Delete rates with confirmation modal (orders already placed keep their tax)
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import api from "../api/api";
+import "../styles/ManageProducts.css";
+import "../styles/ManageStores.css";
+
+// Empty add/edit form
+const EMPTY_FORM = { name: "", region: "", postalPrefix: "", rate: "" };
+
+export default function ManageTaxRates() {
+  // Every tax rate (GET /api/admin/tax-rates)
+  const [taxRates, setTaxRates] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  // Add/edit form state; editingId is null when adding a new rate
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [successMsg, setSuccessMsg] = useState("");
+  // Rate pending deletion
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  /**
+   * Fetch every tax rate from the admin API
+   */
+  const loadTaxRates = useCallback(() => (
+    api.get("/admin/tax-rates")
+      .then((response) => { setTaxRates(response.data.taxRates || []); setLoadError(""); })
+      .catch((err) => setLoadError(err.response?.data?.error || "Failed to load tax rates"))
+  ), []);
+
+  // Load tax rates on mount
+  useEffect(() => { loadTaxRates(); }, [loadTaxRates]);
+
+  /** Update a form field and clear the form error */
+  function setField(k, v) { setForm((f) => ({ ...f, [k]: v })); setFormError(""); }
+
+  /** Fill the form with a rate's details for editing */
+  function startEdit(taxRate) {
+    setEditingId(taxRate.id);
+    setForm({ name: taxRate.name, region: taxRate.region, postalPrefix: taxRate.postalPrefix, rate: String(taxRate.rate) });
+    setFormError("");
+  }
+
+  /** Leave edit mode and clear the form */
+  function resetForm() { setEditingId(null); setForm(EMPTY_FORM); setFormError(""); }
+
+  /**
+   * Create or update a tax rate via the admin API
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.name.trim()) { setFormError("Name is required"); return; }
+    if (!form.region.trim() && !form.postalPrefix.trim()) { setFormError("Enter a region, a postal prefix, or both"); return; }
+    const rate = Number(form.rate);
+    if (form.rate === "" || isNaN(rate) || rate < 0 || rate > 100) {
+      setFormError("Tax rate must be a percentage between 0 and 100");
+      return;
+    }
+
+    const body = { name: form.name.trim(), region: form.region, postalPrefix: form.postalPrefix, rate };
+
+    setSubmitting(true);
+    try {
+      if (editingId) {
+        await api.put(`/admin/tax-rates/${editingId}`, body);
+        setSuccessMsg(`"${body.name}" updated successfully!`);
+      } else {
+        await api.post("/admin/tax-rates", body);
+        setSuccessMsg(`"${body.name}" added successfully!`);
+      }
+      resetForm();
+      await loadTaxRates();
+      setTimeout(() => setSuccessMsg(""), 3000);
+    } catch (err) {
+      setFormError(err.response?.data?.error || "Failed to save tax rate");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  /**
+   * Switch a tax rate off or back on
+   */
+  async function toggleActive(taxRate) {
+    try {
+      await api.put(`/admin/tax-rates/${taxRate.id}`, { active: !taxRate.active });
+      await loadTaxRates();
+    } catch (err) {
+      setLoadError(err.response?.data?.error || "Failed to update tax rate");
+    }
+  }
+
+  /**
+   * Delete the tax rate pending confirmation
+   */
+  async function confirmDelete() {
+    try {
+      await api.delete(`/admin/tax-rates/${deleteTarget.id}`);
+      setDeleteTarget(null);
+      await loadTaxRates();
+    } catch (err) {
+      setLoadError(err.response?.data?.error || "Failed to delete tax rate");
+      setDeleteTarget(null);
+    }
+  }
+
+  const activeCount = taxRates.filter((r) => r.active).length;
+
+  return (
+    <div className="mp-shell">
+      <div className="mp-header">
+        <div>
+          <p className="eyebrow">Admin</p>
+          <h1>Manage Tax Rates</h1>
+          <p className="muted">Set the sales tax charged on orders shipped to a region or postal code.</p>
+        </div>
+        <span className="product-count-badge">{activeCount} of {taxRates.length} active</span>
+      </div>
+
+      {/* ────────── ADD / EDIT TAX RATE FORM ────────── */}
+      <div className="mp-card card">
+        <h2 className="mp-section-title">{editingId ? `Edit ${form.name}` : "Add new tax rate"}</h2>
+        {successMsg && <div className="success-banner">{successMsg}</div>}
+        <form onSubmit={handleSubmit} className="mp-form" noValidate>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Name <span className="req">*</span></label>
+              <input type="text" value={form.name} onChange={(e) => setField("name", e.target.value)} placeholder="e.g. California" />
+            </div>
+            <div className="mp-field">
+              <label>Rate (%) <span className="req">*</span></label>
+              <input type="number" min="0" max="100" step="0.001" value={form.rate} onChange={(e) => setField("rate", e.target.value)} placeholder="7.25" />
+            </div>
+          </div>
+          <div className="mp-row-two">
+            <div className="mp-field">
+              <label>Region <span className="optional">(state or region code)</span></label>
+              <input type="text" value={form.region} onChange={(e) => setField("region", e.target.value.toUpperCase())} placeholder="e.g. CA" />
+            </div>
+            <div className="mp-field">
+              <label>Postal prefix <span className="optional">(postal codes starting with)</span></label>
+              <input type="text" value={form.postalPrefix} onChange={(e) => setField("postalPrefix", e.target.value.toUpperCase())} placeholder="e.g. 941" />
+            </div>
+          </div>
+
+          {formError && <span className="field-err">{formError}</span>}
+          <div className="ms-form-actions">
+            <button type="submit" className="btn btn-primary mp-submit" disabled={submitting}>
+              {submitting ? "Saving…" : editingId ? "Save Changes" : "＋ Add Tax Rate"}
+            </button>
+            {editingId && <button type="button" className="btn btn-outline" onClick={resetForm}>Cancel</button>}
+          </div>
+        </form>
+      </div>
+
+      {/* ────────── TAX RATE LIST ────────── */}
+      <div className="mp-list-section">
+        <h2 className="mp-section-title">Tax rates ({taxRates.length})</h2>
+        {loadError && <span className="field-err">{loadError}</span>}
+        {taxRates.length === 0 && !loadError && (
+          <div className="mp-empty card">
+            <div className="empty-icon">🧾</div>
+            <p>No tax rates yet. Orders are placed without sales tax until you add one.</p>
+          </div>
+        )}
+        <div className="mp-products-list">
+          {taxRates.map((taxRate) => (
+            <div key={taxRate.id} className={`mp-product-row card ${taxRate.active ? "" : "ms-inactive"}`}>
+              <div className="mp-product-main">
+                <div className="mp-product-thumb"><span className="ms-logo">🧾</span></div>
+                <div className="mp-product-text">
+                  <h3>{taxRate.name}</h3>
+                  <p className="muted">
+                    {[taxRate.region && `Region ${taxRate.region}`, taxRate.postalPrefix && `Postal codes ${taxRate.postalPrefix}…`].filter(Boolean).join(" · ")}
+                  </p>
+                  <div className="mp-product-tags">
+                    <span className={`ms-status ${taxRate.active ? "ms-status-active" : ""}`}>{taxRate.active ? "Active" : "Off"}</span>
+                    <span className="price-badge">{taxRate.rate}%</span>
+                  </div>
+                </div>
+                <div className="mp-product-actions">
+                  <button className="expand-btn" onClick={() => startEdit(taxRate)}>Edit</button>
+                  <button className="expand-btn" onClick={() => toggleActive(taxRate)}>{taxRate.active ? "Switch off" : "Switch on"}</button>
+                  <button className="delete-btn" onClick={() => setDeleteTarget(taxRate)}>Delete</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* ── Delete confirm modal ── */}
+      {deleteTarget && (
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setDeleteTarget(null); }}>
+          <div className="confirm-modal card">
+            <h3>Delete tax rate?</h3>
+            <p>Are you sure you want to delete <strong>{deleteTarget.name}</strong>? Orders already placed keep their tax.</p>
+            <div className="confirm-actions">
+              <button className="btn btn-outline" onClick={() => setDeleteTarget(null)}>Cancel</button>
+              <button className="btn btn-danger" onClick={confirmDelete}>Delete</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
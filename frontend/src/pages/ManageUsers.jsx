@@ -6,6 +6,8 @@
  * - Edit user details (name, email, password, profile picture)
  * - Delete user accounts (with confirmation)
  * - Self-deletion prevention for current admin
+ * - Unlock accounts locked by failed logins
+ * - Security setting: require two-factor authentication for admins
  * - Inline editing UI
  * - Success/error message display
  * - Access control (admin only)
@@ -24,6 +26,7 @@ function ManageUsers() {
   
   // State management
   const [users, setUsers] = useState([]); // All users from backend
+  const [fetchedAt, setFetchedAt] = useState(0); // When users were fetched (ms), to tell which locks are still on
   const [loading, setLoading] = useState(true); // Initial fetch loading
   const [error, setError] = useState(''); // Error messages
   const [editingUser, setEditingUser] = useState(null); // Currently editing user ID
@@ -36,6 +39,9 @@ function ManageUsers() {
   const [saving, setSaving] = useState(false); // Save operation loading
   const [message, setMessage] = useState(''); // Success messages
   const [deleteConfirm, setDeleteConfirm] = useState(null); // Delete confirmation state
+  const [security, setSecurity] = useState(null); // Security settings ({ requireAdminTwoFactor })
+  const [savingSecurity, setSavingSecurity] = useState(false); // Security setting save loading
+  const [needsTwoFactor, setNeedsTwoFactor] = useState(false); // This admin must turn on two-factor first
 
   /**
    * Check authentication and fetch users on mount
@@ -48,6 +54,7 @@ function ManageUsers() {
     }
 
     fetchUsers();
+    fetchSecurity();
   }, [isAuthenticated, user, navigate]);
 
   /**
@@ -59,8 +66,15 @@ function ManageUsers() {
       setLoading(true);
       const response = await api.get('/admin/users');
       setUsers(response.data.users || []);
+      setFetchedAt(Date.now());
     } catch (err) {
       console.error('Fetch users error:', err);
+      // Admins may have to turn on two-factor authentication first; that's not a reason to log out
+      if (err?.response?.data?.twoFactorSetupRequired) {
+        setNeedsTwoFactor(true);
+        setError(err.response.data.error);
+        return;
+      }
       // Handle unauthorized access
       if (err?.response?.status === 401 || err?.response?.status === 403) {
         logout();
@@ -73,6 +87,42 @@ function ManageUsers() {
     }
   };
 
+  /**
+   * Fetch the security settings
+   * Failures leave the setting hidden (fetchUsers reports access problems)
+   */
+  const fetchSecurity = async () => {
+    try {
+      const response = await api.get('/admin/settings/security');
+      setSecurity(response.data);
+    } catch (err) {
+      console.error('Fetch security settings error:', err);
+    }
+  };
+
+  /**
+   * Turn the two-factor requirement for admins on or off
+   * The server refuses to turn it on for an admin who doesn't use two-factor themselves
+   * @param {boolean} requireAdminTwoFactor - New value
+   */
+  const handleRequireTwoFactor = async (requireAdminTwoFactor) => {
+    setSavingSecurity(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await api.put('/admin/settings/security', { requireAdminTwoFactor });
+      setSecurity(response.data.settings);
+      setMessage(requireAdminTwoFactor
+        ? 'Admins now need two-factor authentication to use the admin pages'
+        : 'Two-factor authentication is no longer required for admins');
+    } catch (err) {
+      console.error('Update security settings error:', err);
+      setError(err.response?.data?.error || 'Failed to update security settings');
+    } finally {
+      setSavingSecurity(false);
+    }
+  };
+
   /**
    * Start editing a user
    * Populates form with current user data
@@ -162,6 +212,31 @@ function ManageUsers() {
     }
   };
 
+  /**
+   * Unlock an account locked by failed logins
+   * Refreshes user list after unlocking
+   * @param {Object} userData - Locked user
+   */
+  const handleUnlockUser = async (userData) => {
+    setError('');
+    setMessage('');
+    try {
+      const response = await api.post(`/admin/users/${userData.id}/unlock`);
+      setMessage(response.data.message);
+      fetchUsers(); // Refresh user list
+    } catch (err) {
+      console.error('Unlock user error:', err);
+      setError(err.response?.data?.error || 'Failed to unlock user');
+    }
+  };
+
+  /**
+   * Check whether a user's account is locked by failed logins
+   * @param {Object} userData - User from the list
+   * @returns {boolean}
+   */
+  const isLocked = (userData) => Boolean(userData.lockedUntil) && new Date(userData.lockedUntil).getTime() > fetchedAt;
+
   // Show loading state during initial fetch
   if (loading) {
     return (
@@ -184,6 +259,25 @@ function ManageUsers() {
       {(message || error) && (
         <div className={`alert ${error ? 'alert-error' : 'alert-success'}`}>
           {error || message}
+          {needsTwoFactor && <> <Link to="/profile">Go to your profile</Link></>}
+        </div>
+      )}
+
+      {security && (
+        <div className="security-settings">
+          <label className="security-toggle">
+            <input
+              type="checkbox"
+              checked={security.requireAdminTwoFactor}
+              disabled={savingSecurity}
+              onChange={(e) => handleRequireTwoFactor(e.target.checked)}
+            />
+            Require two-factor authentication for admins
+          </label>
+          <p className="field-note">
+            Admins without it can't use the admin pages until they turn it on in their profile.
+            You need it on for your own account first.
+          </p>
         </div>
       )}
 
@@ -280,6 +374,11 @@ function ManageUsers() {
                   <p className="user-meta">
                     Joined {new Date(userData.createdAt).toLocaleDateString()}
                   </p>
+                  {isLocked(userData) && (
+                    <p className="user-locked">
+                      🔒 Locked after failed logins until {new Date(userData.lockedUntil).toLocaleTimeString()}
+                    </p>
+                  )}
                 </div>
                 <div className="user-actions">
                   <button
@@ -288,7 +387,15 @@ function ManageUsers() {
                   >
                     Edit User
                   </button>
-                  {userData.email !== 'admin@cleancart.com' && (
+                  {isLocked(userData) && (
+                    <button
+                      className="btn btn-outline"
+                      onClick={() => handleUnlockUser(userData)}
+                    >
+                      Unlock
+                    </button>
+                  )}
+                  {userData.id !== user?.id && (
                     <button
                       className="btn btn-text btn-danger"
                       onClick={() => setDeleteConfirm(userData.id)}
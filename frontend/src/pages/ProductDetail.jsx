@@ -4,22 +4,34 @@
  * Displays detailed information for a single product with:
  * - Product image, name, description, and category tag
  * - Store-by-store price comparison with visual bar chart
- * - Store cards showing price, stock, delivery cost, and rating
+ * - Price history line chart per store (30/90/365 days, with low/high/average)
+ * - Price alert: watch the product for a target price or any drop
+ * - Recommended store picked by the user's weighted scoring (price, total, ETA, rating),
+ *   with a per-store score and an explanation of the recommendation
+ * - Store cards showing price, stock, delivery cost (with the store's delivery rule), and rating
  * - Star rating display component
- * - Multi-step checkout modal:
- *   Step 0: Select store (with recommended/cheapest badges)
- *   Step 1: Enter shipping details (name, email, phone, address)
- *   Step 2: Payment review and order placement
+ * - Add to cart (checked out from the cart page across the cheapest stores)
+ * - Multi-step "Buy now" checkout modal:
+ *   Step 0: Select store (with recommended/cheapest badges); continuing holds one unit
+ *           at that store for a few minutes (released when the modal is closed)
+ *   Step 1: Enter shipping details (name, email, phone, address, state, ZIP)
+ *   Step 2: Payment review (delivery, promo codes, and sales tax for the address priced by the server),
+ *           cash on delivery or card, and order placement; card orders are paid right away (with 3-D Secure
+ *           when the bank asks)
  * - Order success animation with redirect to dashboard
  * - Login wall for unauthenticated users
- * - 404 state for missing products
+ * - Loading and 404 states while fetching the product from the API
  */
 
 import { useState, useEffect } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
+import api from "../api/api";
 import { useAuth } from "../context/AuthContext";
 import { useCart } from "../context/CartContext";
-import { stores as STORES } from "../data/catalog";
+import { useCurrency } from "../context/currency";
+import CardPayment, { PaymentChoice } from "../components/CardPayment";
+import PriceHistoryChart from "../components/PriceHistoryChart";
+import PriceAlertCard from "../components/PriceAlertCard";
 import "../styles/ProductDetail.css";
 
 // Checkout wizard step labels
@@ -47,28 +59,71 @@ export default function ProductDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
-  const { products, checkoutSingleProduct } = useCart();
+  const {
+    cart, stores, addToCart, checkoutSingleProduct, couponCodes, applyCouponCode, removeCouponCode, shipTo, setShipTo,
+  } = useCart();
+  const { convert, formatPrice, formatMoney, currency } = useCurrency();
 
-  // Find the product in the catalog by URL param ID
-  const product = products.find((p) => p.id === id);
+  // Product loaded from GET /api/products/:id (fresh stock and prices)
+  const [product, setProduct] = useState(null);
+  const [loadingProduct, setLoadingProduct] = useState(true);
+
+  // Fetch the product whenever the URL param changes
+  useEffect(() => {
+    let cancelled = false;
+    api.get(`/products/${id}`)
+      .then((response) => { if (!cancelled) setProduct(response.data.product); })
+      .catch(() => { if (!cancelled) setProduct(null); })
+      .finally(() => { if (!cancelled) setLoadingProduct(false); });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  // Store scores from GET /api/products/:id/scores (best first), using the weights and display currency saved in the profile
+  const [scores, setScores] = useState([]);
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    let cancelled = false;
+    api.get(`/products/${id}/scores`)
+      .then((response) => { if (!cancelled) setScores(response.data.scores || []); })
+      .catch(() => { if (!cancelled) setScores([]); });
+    return () => { cancelled = true; };
+  }, [id, isAuthenticated, user?.currency]);
+
+  // Price history from GET /api/products/:id/history, stamped with when it was fetched (the chart's "today")
+  const [history, setHistory] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    api.get(`/products/${id}/history`)
+      .then((response) => { if (!cancelled) setHistory({ ...response.data, fetchedAt: Date.now() }); })
+      .catch(() => { if (!cancelled) setHistory(null); });
+    return () => { cancelled = true; };
+  }, [id]);
 
   // Compute available stores list (runs even if product is null to keep hooks unconditional)
+  // Only active stores are listed; offers at deactivated stores stay hidden
+  // Prices are in each store's currency; displayPrice converts them so stores can be compared
   const availableStores = Object.entries(product?.stores || {})
-    .filter(([, data]) => data.available)
+    .filter(([sid, data]) => data.available && stores.some((s) => s.id === sid))
     .map(([sid, data]) => {
-      const storeMeta = STORES.find((s) => s.id === sid) || { name: sid };
-      return { id: sid, meta: storeMeta, ...data };
+      const storeMeta = stores.find((s) => s.id === sid);
+      return { id: sid, meta: storeMeta, ...data, displayPrice: convert(data.price, data.currency) ?? Number(data.price || 0) };
     });
-  // Recommended store: highest rated among available stores
-  const recommendedStore = availableStores.length
-    ? availableStores.reduce((best, s) => (Number(s.rating || 0) > Number(best.rating || 0) ? s : best))
-    : null;
+  // Score and explanation for each store, keyed by store ID
+  const scoreById = Object.fromEntries(scores.map((s) => [s.storeId, s]));
+  // Recommended store: best weighted score (falls back to the highest rated if scores are unavailable)
+  const recommendedStore = availableStores.find((s) => s.id === scores[0]?.storeId)
+    || (availableStores.length
+      ? availableStores.reduce((best, s) => (Number(s.rating || 0) > Number(best.rating || 0) ? s : best))
+      : null);
+  const recommendation = recommendedStore ? scoreById[recommendedStore.id] : null;
   // Cheapest store: lowest price among available stores
   const cheapestStore = availableStores.length
-    ? availableStores.reduce((low, s) => (Number(s.price || 0) < Number(low.price || 0) ? s : low))
+    ? availableStores.reduce((low, s) => (s.displayPrice < low.displayPrice ? s : low))
     : null;
+  // This product's line in the cart, if any
+  const inCart = cart.find((item) => item.productId === product?.id);
   // Max price for price bar width calculation
-  const maxPrice = availableStores.length ? Math.max(...availableStores.map((s) => Number(s.price || 0))) : 0;
+  const maxPrice = availableStores.length ? Math.max(...availableStores.map((s) => s.displayPrice)) : 0;
 
   /* ── Checkout modal state ── */
   const [open, setOpen] = useState(false);     // Modal visibility
@@ -76,24 +131,49 @@ export default function ProductDetail() {
 
   /* Step 1: Selected store for purchase */
   const [selectedStore, setSelectedStore] = useState(null);
+  const [reservation, setReservation] = useState(null); // Stock hold from POST /api/orders/reservations
+  const [reserving, setReserving] = useState(false);
 
   /* Step 2: Shipping address form fields */
-  const [addr, setAddr] = useState({ name: user?.name || "", email: user?.email || "", phone: "", address: "", city: "", zip: "" });
+  const [addr, setAddr] = useState({ name: user?.name || "", email: user?.email || "", phone: "", address: "", city: "", region: shipTo.region, zip: shipTo.postalCode });
 
   /* Step 3: Order placement state */
   const [placing, setPlacing] = useState(false);  // Loading during order placement
   const [success, setSuccess] = useState(false);  // Order success flag
   const [err, setErr] = useState("");              // Error message
+  const [codeInput, setCodeInput] = useState("");  // Promo code being typed
+  const [codeError, setCodeError] = useState("");
+  const [paymentMethod, setPaymentMethod] = useState("cod");
+  const [card, setCard] = useState({ number: "", expiry: "", cvc: "" });
+  const [paying, setPaying] = useState(null);      // Card order being paid
+  // Quote for one unit (promo codes and sales tax), tagged with the product, codes, and address it was computed for
+  const [quoteState, setQuoteState] = useState({ key: null, quote: null });
 
   // Reset modal state when opened; auto-select recommended store
   useEffect(() => {
     if (open) {
       setStep(0); setSelectedStore(recommendedStore || null);
-      setAddr({ name: user?.name || "", email: user?.email || "", phone: "", address: "", city: "", zip: "" });
-      setSuccess(false); setErr("");
+      setAddr({ name: user?.name || "", email: user?.email || "", phone: "", address: "", city: "", region: shipTo.region, zip: shipTo.postalCode });
+      setSuccess(false); setErr(""); setReservation(null);
     }
   }, [open]);
 
+  // Price one unit with the entered promo codes and the address's sales tax once the payment step is shown
+  const orderShipTo = { region: addr.region, postalCode: addr.zip };
+  const quoteKey = JSON.stringify({ productId: product?.id, couponCodes, orderShipTo });
+  useEffect(() => {
+    if (!open || step !== 2 || !product) return undefined;
+    let cancelled = false;
+    api.post("/orders/quote", {
+      items: [{ productId: product.id, quantity: 1 }],
+      couponCodes,
+      shipTo: { region: addr.region, postalCode: addr.zip },
+    })
+      .then((response) => { if (!cancelled) setQuoteState({ key: quoteKey, quote: response.data }); })
+      .catch(() => { if (!cancelled) setQuoteState({ key: quoteKey, quote: null }); });
+    return () => { cancelled = true; };
+  }, [open, step, product, couponCodes, addr.region, addr.zip, quoteKey]);
+
   if (!isAuthenticated) {
     return (
       <div className="pd-shell">
@@ -106,6 +186,17 @@ export default function ProductDetail() {
     );
   }
 
+  if (loadingProduct) {
+    return (
+      <div className="pd-shell">
+        <div className="pd-wall card">
+          <div className="empty-icon">⏳</div>
+          <h2>Loading product…</h2>
+        </div>
+      </div>
+    );
+  }
+
   if (!product) {
     return (
       <div className="pd-shell">
@@ -119,34 +210,125 @@ export default function ProductDetail() {
   }
 
   /* ── Address validation helper — all fields must be filled ── */
-  const addrFilled = addr.name && addr.email && addr.phone && addr.address && addr.city && addr.zip;
+  const addrFilled = addr.name && addr.email && addr.phone && addr.address && addr.city && addr.region && addr.zip;
+  const paymentFilled = paymentMethod === "cod" || (card.number && card.expiry && card.cvc);
+
+  /**
+   * Hold one unit at the selected store, then move on to shipping
+   * A hold at a previously selected store is released first
+   */
+  async function reserveAndContinue() {
+    if (!selectedStore) return;
+    setReserving(true); setErr("");
+    try {
+      if (reservation && reservation.storeId !== selectedStore.id) {
+        await api.delete(`/orders/reservations/${reservation.id}`).catch(() => {});
+        setReservation(null);
+      }
+      const response = await api.post("/orders/reservations", {
+        productId: product.id,
+        storeId: selectedStore.id,
+        quantity: 1,
+      });
+      setReservation(response.data.reservation);
+      setStep(1);
+    } catch (e) {
+      setErr(e.response?.data?.error || "Could not reserve this item");
+    } finally {
+      setReserving(false);
+    }
+  }
+
+  /**
+   * Close the checkout modal and release any unused stock hold
+   * (placing the order uses the hold up)
+   */
+  function closeModal() {
+    if (reservation && !success) {
+      api.delete(`/orders/reservations/${reservation.id}`).catch(() => {});
+    }
+    setReservation(null);
+    setOpen(false);
+  }
+
+  // Quoted totals for the selected store: promo discount lines and sales tax (none until the quote arrives)
+  const storeQuote = quoteState.key === quoteKey
+    ? quoteState.quote?.stores.find((q) => q.storeId === selectedStore?.id)
+    : null;
+  const discounts = storeQuote?.discounts || [];
+  const discount = discounts.reduce((sum, line) => sum + line.amount, 0);
+  // The order is charged in the selected store's own currency
+  const storeCurrency = selectedStore?.currency || currency;
+  const reviewTotal = storeQuote ? storeQuote.total : Math.max(0, Number(selectedStore?.price||0) + Number(selectedStore?.deliveryCost||0) - discount);
+
+  /**
+   * Check the typed promo code and add it to the entered codes
+   */
+  async function applyCode(e) {
+    e.preventDefault();
+    if (!codeInput.trim()) return;
+    setCodeError("");
+    try {
+      await applyCouponCode(codeInput, [{ productId: product.id, quantity: 1 }]);
+      setCodeInput("");
+    } catch (error) {
+      setCodeError(error.response?.data?.error || error.message || "Failed to check promo code");
+    }
+  }
+
+  // When the hold runs out, shown on the shipping and payment steps
+  const holdUntil = reservation
+    ? new Date(reservation.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : null;
 
   /**
    * Place order via checkout function
    * Calls checkoutSingleProduct with selected store and shipping info
    * Shows success animation and redirects to dashboard on completion
+   * Card orders are paid first (see finishPayment)
    */
   async function placeOrder() {
-    if (!selectedStore || !addrFilled) return;
+    if (!selectedStore || !addrFilled || !paymentFilled) return;
     setPlacing(true); setErr("");
     try {
-      await checkoutSingleProduct({
-        user,
+      const order = await checkoutSingleProduct({
         productId: product.id,
         storeId: selectedStore.id,
         quantity: 1,
-        address: `${addr.address}, ${addr.city} ${addr.zip} — ${addr.phone} (${addr.name})`,
-        paymentMethod: "Cash on Delivery",
+        address: `${addr.address}, ${addr.city}, ${addr.region} ${addr.zip} — ${addr.phone} (${addr.name})`,
+        shipTo: orderShipTo,
+        paymentMethod,
       });
+      setShipTo(orderShipTo);
+      if (paymentMethod === "card") {
+        setPaying(order);
+        return;
+      }
       setSuccess(true);
       setTimeout(() => { setOpen(false); navigate("/dashboard"); }, 2200);
     } catch (e) {
-      setErr(e.message || "Order failed");
+      setErr(e.response?.data?.error || e.message || "Order failed");
     } finally {
       setPlacing(false);
     }
   }
 
+  /**
+   * Show the success animation once the card order is paid; otherwise the dashboard shows what happened to it
+   * @param {Object} results - Payment results by order ID (from CardPayment)
+   */
+  function finishPayment(results) {
+    const paid = results[paying.id]?.status === "authorized";
+    setPaying(null);
+    if (!paid) {
+      setOpen(false);
+      navigate("/dashboard");
+      return;
+    }
+    setSuccess(true);
+    setTimeout(() => { setOpen(false); navigate("/dashboard"); }, 2200);
+  }
+
   return (
     <div className="pd-shell">
       {/* Back link */}
@@ -183,12 +365,22 @@ export default function ProductDetail() {
                   <span className="pcb-rec-label">We recommend: <strong>{recommendedStore.meta.name}</strong> ⭐</span>
                 )}
               </div>
+              {recommendation && (
+                <div className="pcb-why">
+                  <span className="pcb-why-title">Why? Score {recommendation.score}/100 with your <Link to="/profile">recommendation weights</Link>:</span>
+                  <ul>
+                    {recommendation.breakdown.filter((part) => part.weight > 0).map((part) => (
+                      <li key={part.factor}>{part.value} — {part.points} of {part.maxPoints} pts</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               <div className="pcb-rows">
-                {[...availableStores].sort((a, b) => Number(a.price) - Number(b.price)).map((store) => {
+                {[...availableStores].sort((a, b) => a.displayPrice - b.displayPrice).map((store) => {
                   const isRec = store.id === recommendedStore?.id;
                   const isCheap = store.id === cheapestStore?.id;
-                  const saving = maxPrice - Number(store.price || 0);
-                  const barPct = maxPrice > 0 ? Math.round((Number(store.price) / maxPrice) * 100) : 100;
+                  const saving = maxPrice - store.displayPrice;
+                  const barPct = maxPrice > 0 ? Math.round((store.displayPrice / maxPrice) * 100) : 100;
                   return (
                     <div key={store.id} className={`pcb-row ${isRec ? "pcb-row-rec" : ""}`}>
                       <div className="pcb-store-name">
@@ -200,8 +392,8 @@ export default function ProductDetail() {
                         <div className="pcb-bar" style={{ width: `${barPct}%`, background: isRec ? "var(--green)" : "var(--border)" }} />
                       </div>
                       <div className="pcb-price-info">
-                        <span className="pcb-price">${Number(store.price).toFixed(2)}</span>
-                        {saving > 0.01 && <span className="pcb-saving">Save ${saving.toFixed(2)}</span>}
+                        <span className="pcb-price">{formatMoney(store.displayPrice, currency)}</span>
+                        {saving > 0.01 && <span className="pcb-saving">Save {formatMoney(saving, currency)}</span>}
                       </div>
                       <StarRating value={store.rating} />
                     </div>
@@ -211,6 +403,10 @@ export default function ProductDetail() {
             </div>
           )}
 
+          {history?.stores.length > 0 && <PriceHistoryChart history={history} />}
+
+          <PriceAlertCard productId={product.id} stores={availableStores} />
+
           <div className="pd-stores-list">
             {availableStores.map((store) => {
               const isRec = store.id === recommendedStore?.id;
@@ -226,12 +422,22 @@ export default function ProductDetail() {
                       </div>
                       <StarRating value={store.rating} />
                     </div>
-                    <span className="pd-store-price">${Number(store.price).toFixed(2)}</span>
+                    <span className="pd-store-price" title={store.currency !== currency ? `${formatMoney(store.price, store.currency)} at ${store.meta.name}` : undefined}>
+                      {formatMoney(store.displayPrice, currency)}
+                    </span>
                   </div>
+                  {scoreById[store.id] && (
+                    <p
+                      className="pd-store-score"
+                      title={scoreById[store.id].breakdown.map((part) => `${part.value}: ${part.points}/${part.maxPoints}`).join("\n")}
+                    >
+                      Score <strong>{scoreById[store.id].score}</strong>/100 · {store.meta.eta || "ETA unknown"}
+                    </p>
+                  )}
                   <div className="pd-store-meta">
                     <span>📦 Stock: <strong>{store.stock}</strong></span>
-                    <span>🚚 Delivery: <strong>${Number(store.deliveryCost).toFixed(2)}</strong></span>
-                    <span>Total: <strong className="pd-total-price">${(Number(store.price) + Number(store.deliveryCost)).toFixed(2)}</strong></span>
+                    <span title={store.meta.delivery?.description}>🚚 Delivery: <strong>{store.deliveryCost > 0 ? formatPrice(store.deliveryCost, store.currency) : "Free"}</strong></span>
+                    <span>Total: <strong className="pd-total-price">{formatPrice(Number(store.price) + Number(store.deliveryCost), store.currency)}</strong></span>
                   </div>
                 </div>
               );
@@ -239,16 +445,22 @@ export default function ProductDetail() {
           </div>
 
           {availableStores.length > 0 && (
-            <button className="btn btn-primary pd-cta" onClick={() => setOpen(true)}>
-              Add to Cart &amp; Checkout
-            </button>
+            <div className="pd-cta-row">
+              <button className="btn btn-outline pd-cta" onClick={() => addToCart(product.id)}>
+                {inCart ? `In Cart (${inCart.quantity}) — Add Another` : "Add to Cart"}
+              </button>
+              <button className="btn btn-primary pd-cta" onClick={() => setOpen(true)}>
+                Buy Now
+              </button>
+            </div>
           )}
+          {inCart && <Link to="/cart" className="pd-cart-link">View cart &amp; compare stores →</Link>}
         </div>
       </div>
 
       {/* ──────────── CHECKOUT MODAL ──────────── */}
       {open && (
-        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) setOpen(false); }}>
+        <div className="modal-backdrop" onClick={(e) => { if (e.target === e.currentTarget) closeModal(); }}>
           <div className="modal-box" role="dialog" aria-modal="true">
             {success ? (
               <div className="order-success">
@@ -293,8 +505,8 @@ export default function ProductDetail() {
                                 <StarRating value={store.rating} />
                               </div>
                               <div className="so-right">
-                                <span className="price-value">${Number(store.price).toFixed(2)}</span>
-                                <span className="muted">+${Number(store.deliveryCost).toFixed(2)} delivery</span>
+                                <span className="price-value">{formatMoney(store.displayPrice, currency)}</span>
+                                <span className="muted">+{formatPrice(store.deliveryCost, store.currency)} delivery</span>
                               </div>
                             </div>
                             <p className="muted" style={{fontSize:'0.78rem',margin:'4px 0 0'}}>
@@ -304,9 +516,12 @@ export default function ProductDetail() {
                         );
                       })}
                     </div>
+                    {err && <p className="err-msg">{err}</p>}
                     <div className="modal-actions">
-                      <button className="btn btn-outline" onClick={() => setOpen(false)}>Cancel</button>
-                      <button className="btn btn-primary" disabled={!selectedStore} onClick={() => setStep(1)}>Continue</button>
+                      <button className="btn btn-outline" onClick={closeModal}>Cancel</button>
+                      <button className="btn btn-primary" disabled={!selectedStore || reserving} onClick={reserveAndContinue}>
+                        {reserving ? "Reserving…" : "Continue"}
+                      </button>
                     </div>
                   </div>
                 )}
@@ -315,6 +530,7 @@ export default function ProductDetail() {
                 {step === 1 && (
                   <div className="modal-step">
                     <h3>Shipping details</h3>
+                    {holdUntil && <p className="hold-note">⏱ Reserved for you until {holdUntil}</p>}
                     <div className="addr-grid">
                       {[
                         {k:"name", label:"Full name", type:"text"},
@@ -322,6 +538,7 @@ export default function ProductDetail() {
                         {k:"phone", label:"Phone", type:"tel"},
                         {k:"address", label:"Street address", type:"text"},
                         {k:"city", label:"City", type:"text"},
+                        {k:"region", label:"State / Region", type:"text"},
                         {k:"zip", label:"ZIP / Postal code", type:"text"},
                       ].map(({k, label, type}) => (
                         <label key={k} className={k === "address" ? "full-span" : ""}>
@@ -346,26 +563,50 @@ export default function ProductDetail() {
                 {step === 2 && (
                   <div className="modal-step">
                     <h3>Payment &amp; Review</h3>
+                    {holdUntil && <p className="hold-note">⏱ Reserved for you until {holdUntil}</p>}
                     <div className="review-card card">
                       <p><strong>Product:</strong> {product.name}</p>
                       <p><strong>Store:</strong> {selectedStore?.meta?.name}</p>
-                      <p><strong>Price:</strong> ${Number(selectedStore?.price||0).toFixed(2)}</p>
-                      <p><strong>Delivery:</strong> ${Number(selectedStore?.deliveryCost||0).toFixed(2)}</p>
-                      <p className="review-total"><strong>Total:</strong> ${(Number(selectedStore?.price||0) + Number(selectedStore?.deliveryCost||0)).toFixed(2)}</p>
-                      <p><strong>Ship to:</strong> {addr.address}, {addr.city} {addr.zip}</p>
+                      <p><strong>Price:</strong> {formatMoney(selectedStore?.price||0, storeCurrency)}</p>
+                      <p><strong>Delivery:</strong> {formatMoney(selectedStore?.deliveryCost||0, storeCurrency)}</p>
+                      {discounts.map((line) => (
+                        <p key={line.code} className="review-discount"><strong>{line.code}:</strong> {line.description} −{formatMoney(line.amount, storeCurrency)}</p>
+                      ))}
+                      {storeQuote?.tax > 0 && (
+                        <p><strong>Tax ({storeQuote.taxRate}%{storeQuote.taxIncluded ? ", included in price" : ""}):</strong> {formatMoney(storeQuote.tax, storeCurrency)}</p>
+                      )}
+                      <p className="review-total"><strong>Total:</strong> {formatMoney(reviewTotal, storeCurrency)}</p>
+                      {storeCurrency !== currency && (
+                        <p className="muted">Charged in {storeCurrency}, about {formatPrice(reviewTotal, storeCurrency)}</p>
+                      )}
+                      <p><strong>Ship to:</strong> {addr.address}, {addr.city}, {addr.region} {addr.zip}</p>
                     </div>
-                    <div className="payment-option card">
-                      <span className="payment-icon">💵</span>
-                      <div>
-                        <strong>Cash on Delivery</strong>
-                        <p className="muted" style={{margin:0,fontSize:'0.82rem'}}>Pay when your order arrives</p>
+                    <form className="promo-form" onSubmit={applyCode}>
+                      <input
+                        type="text"
+                        value={codeInput}
+                        onChange={(e) => setCodeInput(e.target.value)}
+                        placeholder="Promo code"
+                        aria-label="Promo code"
+                      />
+                      <button type="submit" className="btn btn-outline" disabled={!codeInput.trim()}>Apply</button>
+                    </form>
+                    {codeError && <p className="err-msg">{codeError}</p>}
+                    {couponCodes.length > 0 && (
+                      <div className="promo-codes">
+                        {couponCodes.map((code) => (
+                          <span key={code} className="promo-code">
+                            {code}
+                            <button onClick={() => removeCouponCode(code)} aria-label={`Remove ${code}`}>×</button>
+                          </span>
+                        ))}
                       </div>
-                      <span className="payment-check">✓</span>
-                    </div>
+                    )}
+                    <PaymentChoice method={paymentMethod} onMethodChange={setPaymentMethod} card={card} onCardChange={setCard} />
                     {err && <p className="err-msg">{err}</p>}
                     <div className="modal-actions">
                       <button className="btn btn-outline" onClick={() => setStep(1)}>Back</button>
-                      <button className="btn btn-primary" disabled={placing} onClick={placeOrder}>
+                      <button className="btn btn-primary" disabled={placing || !paymentFilled} onClick={placeOrder}>
                         {placing ? "Placing…" : "Place Order"}
                       </button>
                     </div>
@@ -376,6 +617,8 @@ export default function ProductDetail() {
           </div>
         </div>
       )}
+
+      {paying && <CardPayment orders={[paying]} card={card} onClose={finishPayment} />}
     </div>
   );
 }
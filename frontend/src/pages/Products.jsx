@@ -6,7 +6,7 @@
  * - Login wall for unauthenticated users
  * - Search bar for name/description filtering
  * - Category tabs for category-based filtering
- * - Product cards showing image, price range, and store count
+ * - Product cards showing image, lowest price in the display currency, and store count
  * - Click-to-navigate to product detail page
  * - Cart item count badge
  * - Empty state for no products or no search results
@@ -17,12 +17,14 @@ import { useMemo, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useCart } from "../context/CartContext";
+import { useCurrency } from "../context/currency";
 import "../styles/Products.css";
 
 function Products() {
   const navigate = useNavigate();
   const { isAuthenticated } = useAuth();
-  const { products, cart } = useCart();
+  const { products, productsLoading, cart } = useCart();
+  const { convert, formatMoney, currency } = useCurrency();
   // Search query for filtering products by name/description
   const [search, setSearch] = useState("");
   // Currently selected category tab
@@ -96,7 +98,14 @@ function Products() {
         </div>
       </div>
 
-      {filtered.length === 0 && (
+      {productsLoading && products.length === 0 && (
+        <div className="empty-catalog card">
+          <div className="empty-icon">⏳</div>
+          <h2>Loading products…</h2>
+        </div>
+      )}
+
+      {!productsLoading && filtered.length === 0 && (
         <div className="empty-catalog card">
           <div className="empty-icon">📦</div>
           {products.length === 0 ? (
@@ -115,8 +124,11 @@ function Products() {
 
       <div className="products-grid">
         {filtered.map((product, idx) => {
-          const storeIds = Object.keys(product.stores || {});
-          const prices = storeIds.map((sid) => product.stores[sid]?.price).filter(Boolean);
+          const storeIds = Object.keys(product.stores || {}).filter((sid) => product.stores[sid]?.available);
+          // Convert each store's price to the display currency before picking the lowest
+          const prices = storeIds
+            .map((sid) => product.stores[sid]?.price && convert(product.stores[sid].price, product.stores[sid].currency))
+            .filter(Boolean);
           const minPrice = prices.length ? Math.min(...prices) : null;
 
           return (
@@ -142,7 +154,7 @@ function Products() {
                     {minPrice != null ? (
                       <>
                         <span className="price-label">From</span>
-                        <span className="price-value">${minPrice.toFixed(2)}</span>
+                        <span className="price-value">{formatMoney(minPrice, currency)}</span>
                       </>
                     ) : (
                       <span className="price-label muted">No pricing</span>
@@ -1,9 +1,14 @@
 /**
  * User Profile Page Component
  * 
- * Provides user profile management with two main sections:
+ * Provides user profile management with six main sections:
  * 1. Account Details - Update name and profile picture
  * 2. Password Change - Update password with current password verification
+ * 3. Two-Factor Authentication - Authenticator app codes and recovery codes (see TwoFactorSettings)
+ * 4. Store Recommendations - Weights for price, total, delivery time and rating
+ *    used to pick the recommended store on product pages
+ * 5. Display Currency - Currency prices are shown in (converted with the admin's exchange rates)
+ * 6. Price Alerts - Watchlist of products with pause/resume and remove
  * 
  * Features:
  * - Profile picture upload (file or URL)
@@ -16,13 +21,24 @@
  */
 
 import { useEffect, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import api from '../api/api';
+import TwoFactorSettings from '../components/TwoFactorSettings';
 import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/currency';
 import '../styles/Profile.css';
 
+// Recommendation factors, in display order
+const SCORING_FACTORS = [
+  { key: 'price', label: 'Item price' },
+  { key: 'total', label: 'Total with delivery' },
+  { key: 'eta', label: 'Delivery time' },
+  { key: 'rating', label: 'Store rating' }
+];
+
 function Profile() {
   const { isAuthenticated, updateUser, user, logout } = useAuth();
+  const { currency, base, currencies, formatPrice } = useCurrency();
   const navigate = useNavigate();
 
   // Profile form state (name, email, picture)
@@ -43,6 +59,10 @@ function Profile() {
   const [loading, setLoading] = useState(true); // Initial profile load
   const [savingProfile, setSavingProfile] = useState(false); // Profile save loading
   const [savingPassword, setSavingPassword] = useState(false); // Password save loading
+  const [weights, setWeights] = useState(null); // Store recommendation weights (0-100 each)
+  const [savingWeights, setSavingWeights] = useState(false); // Weights save loading
+  const [savingCurrency, setSavingCurrency] = useState(false); // Display currency save loading
+  const [alerts, setAlerts] = useState([]); // Price alert watchlist
   const [message, setMessage] = useState(''); // Success message
   const [error, setError] = useState(''); // Error message
 
@@ -66,6 +86,7 @@ function Profile() {
           email: fetchedUser.email || '',
           profilePicture: fetchedUser.profilePicture || ''
         });
+        setWeights(fetchedUser.scoringWeights || null);
         updateUser(fetchedUser); // Update context with latest data
       } catch (err) {
         console.error('Profile fetch error:', err);
@@ -84,6 +105,18 @@ function Profile() {
     fetchProfile();
   }, [isAuthenticated, navigate]);
 
+  /**
+   * Fetch the price alert watchlist
+   */
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    let cancelled = false;
+    api.get('/alerts')
+      .then((response) => { if (!cancelled) setAlerts(response.data.alerts); })
+      .catch((err) => console.error('Alerts fetch error:', err));
+    return () => { cancelled = true; };
+  }, [isAuthenticated]);
+
   /**
    * Calculate password strength score (0-4)
    * Checks for: length (8+), uppercase, number, symbol
@@ -239,6 +272,105 @@ function Profile() {
     }
   };
 
+  /**
+   * Save store recommendation weights
+   * Sending null resets them to the defaults
+   * @param {Object|null} nextWeights - { price, total, eta, rating } or null
+   */
+  const saveWeights = async (nextWeights) => {
+    setSavingWeights(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await api.put('/auth/profile', { scoringWeights: nextWeights });
+      const updatedUser = response.data.user;
+      setWeights(updatedUser.scoringWeights);
+      updateUser(updatedUser);
+      setMessage(nextWeights ? 'Recommendation weights saved' : 'Recommendation weights reset');
+    } catch (err) {
+      console.error('Weights save error:', err);
+      if (err?.response?.status === 401) {
+        logout();
+        navigate('/login');
+        return;
+      }
+      setError(err.response?.data?.error || 'Failed to save recommendation weights');
+    } finally {
+      setSavingWeights(false);
+    }
+  };
+
+  /**
+   * Save the display currency
+   * @param {string} nextCurrency - Currency code (the base currency clears the choice)
+   */
+  const saveCurrency = async (nextCurrency) => {
+    setSavingCurrency(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await api.put('/auth/profile', { currency: nextCurrency });
+      updateUser(response.data.user);
+      setMessage(`Prices are now shown in ${response.data.user.currency}`);
+    } catch (err) {
+      console.error('Currency save error:', err);
+      if (err?.response?.status === 401) {
+        logout();
+        navigate('/login');
+        return;
+      }
+      setError(err.response?.data?.error || 'Failed to save display currency');
+    } finally {
+      setSavingCurrency(false);
+    }
+  };
+
+  /**
+   * Submit the weights form
+   */
+  const handleWeightsSave = (e) => {
+    e.preventDefault();
+    saveWeights(weights);
+  };
+
+  /**
+   * Pause or resume a price alert
+   * @param {Object} alert - Alert to toggle
+   */
+  const toggleAlert = async (alert) => {
+    setError('');
+    setMessage('');
+    try {
+      const response = await api.put(`/alerts/${alert.id}`, { active: !alert.active });
+      setAlerts((prev) => prev.map((a) => (a.id === alert.id ? response.data.alert : a)));
+    } catch (err) {
+      console.error('Alert update error:', err);
+      setError(err.response?.data?.error || 'Failed to update price alert');
+    }
+  };
+
+  /**
+   * Remove a product from the watchlist
+   * @param {Object} alert - Alert to remove
+   */
+  const removeAlert = async (alert) => {
+    setError('');
+    setMessage('');
+    try {
+      await api.delete(`/alerts/${alert.id}`);
+      setAlerts((prev) => prev.filter((a) => a.id !== alert.id));
+      setMessage('Price alert removed');
+    } catch (err) {
+      console.error('Alert remove error:', err);
+      setError(err.response?.data?.error || 'Failed to remove price alert');
+    }
+  };
+
+  // Share of the total weight each factor gets (what the sliders mean in the score)
+  const totalWeight = weights ? SCORING_FACTORS.reduce((sum, f) => sum + Number(weights[f.key] || 0), 0) : 0;
+
   // Use profile picture from state or fallback to context user
   const currentAvatar = profile.profilePicture || user?.profilePicture;
 
@@ -419,6 +551,104 @@ function Profile() {
           </div>
           <p className="muted small">Password updates require your current password for security.</p>
         </form>
+
+        <TwoFactorSettings />
+
+        {weights && (
+          <form className="profile-card" onSubmit={handleWeightsSave}>
+            <div className="card-header">
+              <div>
+                <h3>Store recommendations</h3>
+                <p className="muted small">Choose what matters most when we recommend a store for a product.</p>
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={savingWeights || totalWeight === 0}>
+                {savingWeights ? 'Saving...' : 'Save weights'}
+              </button>
+            </div>
+
+            {SCORING_FACTORS.map(({ key, label }) => (
+              <div key={key} className="field-group weight-row">
+                <label className="label" htmlFor={`weight-${key}`}>{label}</label>
+                <input
+                  id={`weight-${key}`}
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={weights[key]}
+                  onChange={(e) => setWeights((prev) => ({ ...prev, [key]: Number(e.target.value) }))}
+                />
+                <span className="weight-share">
+                  {totalWeight ? Math.round((weights[key] / totalWeight) * 100) : 0}%
+                </span>
+              </div>
+            ))}
+
+            {totalWeight === 0 && <p className="muted small">At least one factor must be above zero.</p>}
+            <button type="button" className="link-btn" disabled={savingWeights} onClick={() => saveWeights(null)}>
+              Reset to defaults
+            </button>
+          </form>
+        )}
+
+        <div className="profile-card">
+          <div className="card-header">
+            <div>
+              <h3>Display currency</h3>
+              <p className="muted small">
+                Prices from every store are converted to this currency. Orders are charged in the store's own currency.
+              </p>
+            </div>
+          </div>
+          <div className="field-group">
+            <label className="label" htmlFor="currency">Show prices in</label>
+            <select
+              id="currency"
+              value={currency}
+              disabled={savingCurrency || currencies.length < 2}
+              onChange={(e) => saveCurrency(e.target.value)}
+            >
+              {(currencies.length ? currencies : [{ currency: base }]).map((c) => (
+                <option key={c.currency} value={c.currency}>
+                  {c.currency}{c.currency !== base ? ` (${c.rate} per ${base})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="profile-card">
+          <div className="card-header">
+            <div>
+              <h3>Price alerts</h3>
+              <p className="muted small">Products you watch. Alerts arrive in your notifications and by email.</p>
+            </div>
+          </div>
+
+          {alerts.length === 0 && (
+            <p className="muted small">No alerts yet. Use “Watch Price” on a product page to add one.</p>
+          )}
+          {alerts.map((alert) => (
+            <div key={alert.id} className={`alert-row ${alert.active ? '' : 'paused'}`}>
+              <div className="alert-info">
+                <Link to={`/products/${alert.productId}`}>{alert.productName}</Link>
+                <span className="muted small">
+                  {alert.targetPrice != null ? `At or below ${formatPrice(alert.targetPrice)}` : 'Any price drop'}
+                  {alert.storeIds ? ` · ${alert.storeIds.length} store${alert.storeIds.length !== 1 ? 's' : ''}` : ' · All stores'}
+                  {alert.currentPrice != null && ` · Now ${formatPrice(alert.currentPrice)}`}
+                </span>
+              </div>
+              <div className="alert-actions">
+                <button type="button" className="link-btn" onClick={() => toggleAlert(alert)}>
+                  {alert.active ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" className="link-btn danger" onClick={() => removeAlert(alert)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
       </div>
     </div>
   );
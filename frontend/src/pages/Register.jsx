@@ -7,8 +7,8 @@
  * - Password strength indicator (Weak/Medium/Strong)
  * - Real-time password requirement checklist
  * - Show/hide password toggles
- * - Auto-redirect if already authenticated
- * - Success message with link to login
+ * - Signs the new user in with the session registration returns, then redirects to the dashboard
+ *   (where the verification banner asks them to verify their email address)
  * - Server connection error handling
  */
 
@@ -36,9 +36,8 @@ const EyeOffIcon = () => (
 function Register() {
   // Form field state
   const [formData, setFormData] = useState({ name: '', email: '', password: '', confirmPassword: '' });
-  // Error and success message states
+  // Error message state
   const [error, setError] = useState('');
-  const [success, setSuccess] = useState(false);
   // API loading state
   const [loading, setLoading] = useState(false);
   // Password strength score (0–4)
@@ -46,7 +45,7 @@ function Register() {
   // Password visibility toggles
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
-  const { isAuthenticated } = useAuth();
+  const { login, isAuthenticated } = useAuth();
   const navigate = useNavigate();
 
   /**
@@ -88,12 +87,11 @@ function Register() {
   /**
    * Handle registration form submission
    * Validates password strength and match before sending to backend
-   * Resets form on success, shows error on failure
+   * Signs the user in on success (the redirect effect then takes over), shows error on failure
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
-    setSuccess(false);
     if (getPasswordStrength(formData.password) < 4) {
       setError('Password must contain at least 8 characters, 1 uppercase letter, 1 number, and 1 symbol');
       return;
@@ -104,10 +102,9 @@ function Register() {
     }
     setLoading(true);
     try {
-      await api.post('/auth/register', formData);
-      setSuccess(true);
-      setFormData({ name: '', email: '', password: '', confirmPassword: '' });
-      setPasswordStrength(0);
+      const response = await api.post('/auth/register', formData);
+      const { user, token, refreshToken } = response.data;
+      await login(user, token, refreshToken);
     } catch (err) {
       if (!err.response) {
         setError('Cannot connect to server. Please make sure the backend is running.');
@@ -141,21 +138,20 @@ function Register() {
             </div>
             <h1>Create account</h1>
             <p className="login-sub">Join CleanCart and start comparing store prices.</p>
-            {success && <div className="success-message">🎉 Registration successful! You may now <Link to="/login">login</Link>.</div>}
             {error && <div className="error-message">{error}</div>}
             <form onSubmit={handleSubmit} className="register-form">
               <div className="form-group">
                 <label htmlFor="name">Full Name</label>
-                <input type="text" id="name" name="name" value={formData.name} onChange={handleChange} required placeholder="Enter your full name" disabled={success} />
+                <input type="text" id="name" name="name" value={formData.name} onChange={handleChange} required placeholder="Enter your full name" />
               </div>
               <div className="form-group">
                 <label htmlFor="email">Email</label>
-                <input type="email" id="email" name="email" value={formData.email} onChange={handleChange} required placeholder="Enter your email" disabled={success} />
+                <input type="email" id="email" name="email" value={formData.email} onChange={handleChange} required placeholder="Enter your email" />
               </div>
               <div className="form-group">
                 <label htmlFor="password">Password</label>
                 <div className="password-wrap">
-                  <input type={showPassword ? 'text' : 'password'} id="password" name="password" value={formData.password} onChange={handleChange} required placeholder="Create a password" disabled={success} />
+                  <input type={showPassword ? 'text' : 'password'} id="password" name="password" value={formData.password} onChange={handleChange} required placeholder="Create a password" />
                   <button type="button" className="eye-btn" onClick={() => setShowPassword(v => !v)} tabIndex={-1} aria-label="Toggle password">
                     {showPassword ? <EyeOffIcon /> : <EyeIcon />}
                   </button>
@@ -183,17 +179,15 @@ function Register() {
               <div className="form-group">
                 <label htmlFor="confirmPassword">Confirm Password</label>
                 <div className="password-wrap">
-                  <input type={showConfirm ? 'text' : 'password'} id="confirmPassword" name="confirmPassword" value={formData.confirmPassword} onChange={handleChange} required placeholder="Confirm your password" disabled={success} />
+                  <input type={showConfirm ? 'text' : 'password'} id="confirmPassword" name="confirmPassword" value={formData.confirmPassword} onChange={handleChange} required placeholder="Confirm your password" />
                   <button type="button" className="eye-btn" onClick={() => setShowConfirm(v => !v)} tabIndex={-1} aria-label="Toggle confirm password">
                     {showConfirm ? <EyeOffIcon /> : <EyeIcon />}
                   </button>
                 </div>
               </div>
-              {!success && (
-                <button type="submit" className="submit-btn" disabled={loading}>
-                  {loading ? 'Registering…' : 'Create Account'}
-                </button>
-              )}
+              <button type="submit" className="submit-btn" disabled={loading}>
+                {loading ? 'Registering…' : 'Create Account'}
+              </button>
               <p className="login-link">
                 Already have an account? <Link to="/login">Login here</Link>
               </p>
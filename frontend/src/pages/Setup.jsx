@@ -0,0 +1,178 @@
+/**
+ * Setup Page Component
+ *
+ * First-run setup: creates the first admin account of a new install
+ * Features:
+ * - Split layout (image panel + form panel)
+ * - Full name, email, password, and confirm password fields
+ * - Show/hide password toggles
+ * - Only offered while no admin exists (GET /api/setup); afterwards it points to the login page
+ * - Signs the new admin in and redirects to /admin
+ * - Server connection error handling
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../api/api';
+import { useAuth } from '../context/AuthContext';
+import '../styles/Login.css';
+
+function Setup() {
+  // Form field state
+  const [formData, setFormData] = useState({ name: '', email: '', password: '', confirmPassword: '' });
+  // Whether the install still needs its first admin (null while checking)
+  const [needsAdmin, setNeedsAdmin] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [showPassword, setShowPassword] = useState(false);
+  const { login } = useAuth();
+  const navigate = useNavigate();
+
+  // Check whether an admin already exists
+  useEffect(() => {
+    const checkSetup = async () => {
+      try {
+        const response = await api.get('/setup');
+        setNeedsAdmin(response.data.needsAdmin);
+      } catch {
+        setError('Cannot connect to server. Please make sure the backend is running.');
+      }
+    };
+    checkSetup();
+  }, []);
+
+  /** Handle form input changes and clear errors */
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+  };
+
+  /**
+   * Create the admin account, sign in with it, and go to the admin dashboard
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters long.');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.post('/setup/admin', formData);
+      const { token, refreshToken, user } = response.data;
+      await login(user, token, refreshToken);
+      navigate('/admin');
+    } catch (err) {
+      if (!err.response) {
+        setError('Cannot connect to server. Please make sure the backend is running.');
+      } else {
+        // Someone else finished setup first
+        if (err.response.status === 403) setNeedsAdmin(false);
+        setError(err.response?.data?.error || 'Setup failed. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-split">
+        {/* Left: Image Panel */}
+        <div className="login-image-panel">
+          <img src="/images/register.jpg" alt="Set up CleanCart" className="login-cover-img" />
+          <div className="login-image-overlay">
+            <h2>Set up CleanCart</h2>
+            <p>Create the admin account that manages stores, products, and orders.</p>
+          </div>
+        </div>
+
+        {/* Right: Form Panel */}
+        <div className="login-form-panel">
+          <div className="login-card">
+            <Link to="/login" className="back-button">← Back to Login</Link>
+            <div className="login-brand">
+              <img src="/images/logo.png" alt="CleanCart" className="login-logo" />
+              <span>CleanCart</span>
+            </div>
+            <h1>Create the admin account</h1>
+            {error && <div className="error-message">{error}</div>}
+
+            {needsAdmin === false && (
+              <p className="login-sub">
+                Setup is already complete. <Link to="/login">Log in</Link> with an admin account.
+              </p>
+            )}
+
+            {needsAdmin && (
+              <>
+                <p className="login-sub">This install has no admin yet. The first account you create here becomes the admin.</p>
+                <form onSubmit={handleSubmit} className="login-form">
+                  <div className="form-group">
+                    <label htmlFor="name">Full Name</label>
+                    <input type="text" id="name" name="name" value={formData.name} onChange={handleChange} required placeholder="Enter your full name" />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="email">Email</label>
+                    <input type="email" id="email" name="email" value={formData.email} onChange={handleChange} required placeholder="Enter your email" />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="password">Password</label>
+                    <div className="password-wrap">
+                      <input
+                        type={showPassword ? 'text' : 'password'}
+                        id="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleChange}
+                        required
+                        placeholder="At least 6 characters"
+                      />
+                      <button
+                        type="button"
+                        className="eye-btn"
+                        onClick={() => setShowPassword((v) => !v)}
+                        tabIndex={-1}
+                        aria-label={showPassword ? 'Hide password' : 'Show password'}
+                      >
+                        {showPassword ? (
+                          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17.94 17.94A10.1 10.1 0 0 1 12 20c-7 0-11-8-11-8a18.06 18.06 0 0 1 5.06-5.94"/><path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/><line x1="1" y1="1" x2="23" y2="23"/></svg>
+                        ) : (
+                          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
+                        )}
+                      </button>
+                    </div>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="confirmPassword">Confirm Password</label>
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      id="confirmPassword"
+                      name="confirmPassword"
+                      value={formData.confirmPassword}
+                      onChange={handleChange}
+                      required
+                      placeholder="Confirm your password"
+                    />
+                  </div>
+                  <button type="submit" className="submit-btn" disabled={loading}>
+                    {loading ? 'Creating…' : 'Create Admin Account'}
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Setup;
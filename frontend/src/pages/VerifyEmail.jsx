@@ -0,0 +1,108 @@
+/**
+ * Verify Email Page Component
+ *
+ * Opened from the link in the verification email
+ * Features:
+ * - Split layout (image panel + message panel)
+ * - Token extracted from URL params and sent once (POST /api/auth/verify-email)
+ * - Marks the signed-in user as verified, so checkout and price alerts open up right away
+ * - Expired or used links explain how to get a new one
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../api/api';
+import { useAuth } from '../context/AuthContext';
+import '../styles/Login.css';
+
+function VerifyEmail() {
+  // Extract verification token from URL params (/verify-email/:token)
+  const { token } = useParams();
+  const { isAuthenticated, updateUser } = useAuth();
+  // 'verifying', 'verified', or 'failed'
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  // The token only works once, so it is only sent once (even if the effect runs twice in StrictMode)
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (sent.current) return;
+    sent.current = true;
+
+    const verify = async () => {
+      try {
+        await api.post('/auth/verify-email', { token });
+        setStatus('verified');
+      } catch (err) {
+        setError(err.response
+          ? err.response.data?.error || 'This link could not be verified.'
+          : 'Cannot connect to server. Please make sure the backend is running.');
+        setStatus('failed');
+      }
+    };
+    verify();
+  }, [token]);
+
+  // Update the signed-in user once verified
+  useEffect(() => {
+    if (status === 'verified' && isAuthenticated) {
+      updateUser({ emailVerified: true });
+    }
+  }, [status, isAuthenticated, updateUser]);
+
+  return (
+    <div className="login-container">
+      <div className="login-split">
+        {/* Left: Image Panel */}
+        <div className="login-image-panel">
+          <img src="/images/register.jpg" alt="Verify your email" className="login-cover-img" />
+          <div className="login-image-overlay">
+            <h2>Almost there</h2>
+            <p>Verified accounts can check out and get price alerts by email.</p>
+          </div>
+        </div>
+
+        {/* Right: Message Panel */}
+        <div className="login-form-panel">
+          <div className="login-card">
+            <div className="login-brand">
+              <img src="/images/logo.png" alt="CleanCart" className="login-logo" />
+              <span>CleanCart</span>
+            </div>
+
+            {status === 'verifying' && (
+              <>
+                <h1>Verifying…</h1>
+                <p className="login-sub">Checking your verification link.</p>
+              </>
+            )}
+
+            {status === 'verified' && (
+              <>
+                <h1>Email verified ✓</h1>
+                <p className="login-sub">
+                  Thanks! You can now place orders and set price alerts.{' '}
+                  {isAuthenticated ? <Link to="/products">Start shopping</Link> : <Link to="/login">Log in</Link>}
+                </p>
+              </>
+            )}
+
+            {status === 'failed' && (
+              <>
+                <h1>Link not valid</h1>
+                <div className="error-message">{error}</div>
+                <p className="login-sub">
+                  {isAuthenticated
+                    ? 'Use "Resend email" in the banner at the top of the page to get a new link.'
+                    : <>After you <Link to="/login">log in</Link>, use "Resend email" in the banner at the top of the page to get a new link.</>}
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;